@@ -399,6 +399,9 @@ app.use((req, res, next) => {
   next();
 });
 
+// Request id header and request-scoped context for the audit trail
+app.use(require('./middleware/requestContext').requestContext);
+
 // Enhanced Logging middleware
 if (AppConfig.IS_DEVELOPMENT) {
   app.use(morgan('dev'));
@@ -575,6 +578,8 @@ app.use('/api/management', require('./routes/managementRoutes'));
 app.use('/api/installments', require('./routes/installmentPlanRoutes'));
 app.use('/api/share-packages', require('./routes/sharePackageRoutes'));
 app.use('/api/admin/analytics', require('./routes/adminAnalyticsRoutes'));
+app.use('/api/admin/approvals', require('./routes/approvalRoutes'));
+app.use('/api/admin/audit', require('./routes/auditRoutes'));
 
 
 // Share Resale & OTC Marketplace Routes
@@ -584,6 +589,10 @@ app.use('/api/franchise', require('./routes/franchiseRoutes'));
 app.use('/api/preorders', require('./routes/preOrderRoutes'));
 app.use('/api/loans', require('./routes/shareLoanRoutes')); 
 
+// Payment provider webhooks (signature-verified, no auth)
+app.use('/api/webhooks/paystack', require('./routes/paystackWebhookRoutes'));
+app.use('/api/webhooks/payouts', require('./routes/payoutWebhookRoutes'));
+
 // ============================================================================
 // END API ROUTES
 // ============================================================================
@@ -933,20 +942,36 @@ async function startApp() {
           logger.error('Admin setup failed', { error: error.message });
         }
         
-        // Start bank withdrawal verification cron jobs
+        // Bank withdrawal status checks and retries of transient payout failures
         try {
           const withdrawalCronJobs = require('./withdrawalCronJobs');
-          jobsManager.addJob('verifyProcessingWithdrawals', withdrawalCronJobs.verifyProcessingWithdrawals);
-          jobsManager.addJob('verifyPendingWithdrawals', withdrawalCronJobs.verifyPendingWithdrawals);
-          
-          withdrawalCronJobs.verifyProcessingWithdrawals.start();
-          withdrawalCronJobs.verifyPendingWithdrawals.start();
-          console.log('✅ Bank withdrawal cron jobs started');
-          logger.info('Bank withdrawal verification jobs started');
+          withdrawalCronJobs.registerJobs(jobsManager);
+          console.log('✅ Bank withdrawal cron jobs configured');
+          logger.info('Bank withdrawal verification and retry jobs configured');
         } catch (error) {
           console.error('❌ Error starting bank withdrawal cron jobs:', error.message);
           logger.error('Failed to start bank withdrawal cron jobs', { error: error.message });
         }
+
+        // Nightly UserShare ↔ TransactionV2 ↔ UserShareV2 reconciliation
+        try {
+          const reconciliationCronJobs = require('./reconciliationCronJobs');
+          jobsManager.addJob('nightlyShareReconciliation', reconciliationCronJobs.nightlyShareReconciliation);
+          console.log('✅ Share reconciliation job configured');
+        } catch (error) {
+          console.error('❌ Error configuring share reconciliation job:', error.message);
+          logger.error('Failed to configure share reconciliation job', { error: error.message });
+        }
+
+        // Hourly release of referral commissions past their lock period
+        try {
+          const commissionCronJobs = require('./commissionCronJobs');
+          jobsManager.addJob('matureReferralCommissions', commissionCronJobs.matureReferralCommissions);
+          console.log('✅ Commission maturity job configured');
+        } catch (error) {
+          console.error('❌ Error configuring commission maturity job:', error.message);
+          logger.error('Failed to configure commission maturity job', { error: error.message });
+        }
         
         // Start installment and referral jobs if in production
         if (AppConfig.IS_PRODUCTION) {
@@ -956,7 +981,10 @@ async function startApp() {
             console.log('✅ Installment reminder scheduler started');
             
             const referralCronJobs = require('./referralCronJobs');
-            console.log('✅ Referral sync jobs configured');
+            jobsManager.addJob('referralGraphRepair', referralCronJobs.referralGraphRepair);
+            console.log('✅ Referral graph repair job configured');
+            jobsManager.addJob('referralMonthlyStatements', referralCronJobs.referralMonthlyStatements);
+            console.log('✅ Referral monthly statement job configured');
             
             logger.info('Production background jobs initialized');
           } catch (error) {
@@ -0,0 +1,28 @@
+// commissionCronJobs.js
+// Releases referral commissions once their lock period is over
+
+const cron = require('node-cron');
+const { matureDueCommissions } = require('./utils/referralUtils');
+
+/**
+ * Cron job to move matured commissions from locked to available
+ * Runs every hour at quarter past
+ */
+const matureReferralCommissions = cron.schedule('15 * * * *', async () => {
+  try {
+    console.log('🔓 Maturing referral commissions...');
+    const result = await matureDueCommissions();
+
+    if (result.failed) {
+      console.log(`⚠️ ${result.failed} commission(s) could not be matured and will be retried`);
+    }
+  } catch (error) {
+    console.error('Error in commission maturity cron job:', error);
+  }
+}, {
+  scheduled: false // Don't start automatically
+});
+
+module.exports = {
+  matureReferralCommissions
+};
@@ -0,0 +1,92 @@
+// config/adminRoles.js
+/**
+ * Admin roles and the permissions each one carries. Routes ask for a
+ * permission with requirePermission('<permission>') (middleware/auth.js);
+ * users hold roles in User.adminRoles.
+ *
+ * An admin with no adminRoles holds no permissions. Admins from before roles
+ * existed are given super_admin explicitly by
+ * migrations/assign_legacy_admin_roles.js.
+ */
+
+const PERMISSIONS = {
+  'users.view':           'View user accounts, balances and overviews',
+  'users.manage':         'Ban, unban and edit users; reset passwords and 2FA',
+  'admins.manage':        'Grant and revoke admin access and assign roles',
+  'kyc.review':           'Review KYC documents and payout details',
+  'payments.verify':      'Verify, approve, reject or cancel manual and installment payments',
+  'shares.manage':        'Edit share pricing, tiers and packages; add, edit or revoke shares',
+  'installments.manage':  'Manage installment plans',
+  'loans.manage':         'Approve, disburse and record repayments on share loans',
+  'franchise.manage':     'Manage franchises and franchise credit',
+  'executives.manage':    'Manage executive applications and activation codes',
+  'referrals.manage':     'Change referral settings and repair referral data',
+  'ledger.adjust':        'Correct transactions, earnings and ledger balances',
+  'withdrawals.process':  'Review, approve, reject and pay withdrawals',
+  'withdrawals.control':  'Pause, freeze, limit and override withdrawals',
+  'marketplace.moderate': 'Moderate marketplace listings and transfers',
+  'reports.view':         'View statistics, reports and reconciliation results',
+  'audit.view':           'Search and export the admin audit trail'
+};
+
+const ADMIN_ROLES = {
+  super_admin: {
+    label: 'Super admin',
+    permissions: Object.keys(PERMISSIONS)
+  },
+  finance: {
+    label: 'Finance',
+    permissions: [
+      'users.view',
+      'payments.verify',
+      'installments.manage',
+      'loans.manage',
+      'franchise.manage',
+      'ledger.adjust',
+      'withdrawals.process',
+      'withdrawals.control',
+      'reports.view'
+    ]
+  },
+  support: {
+    label: 'Support',
+    permissions: ['users.view', 'payments.verify']
+  },
+  kyc_reviewer: {
+    label: 'KYC reviewer',
+    permissions: ['users.view', 'kyc.review']
+  },
+  marketplace_moderator: {
+    label: 'Marketplace moderator',
+    permissions: ['users.view', 'marketplace.moderate']
+  }
+};
+
+const ROLE_NAMES = Object.keys(ADMIN_ROLES);
+
+const isKnownPermission = (permission) =>
+  Object.prototype.hasOwnProperty.call(PERMISSIONS, permission);
+
+/**
+ * Roles in effect for a user. isAdmin stays the master switch (controllers
+ * still check it), adminRoles narrows what an admin may do.
+ */
+const getEffectiveRoles = (user) => {
+  if (!user?.isAdmin) return [];
+  return (user.adminRoles || []).filter(role => ADMIN_ROLES[role]);
+};
+
+const getPermissions = (user) =>
+  [...new Set(getEffectiveRoles(user).flatMap(role => ADMIN_ROLES[role].permissions))];
+
+const hasPermission = (user, permission) => getPermissions(user).includes(permission);
+
+module.exports = {
+  PERMISSIONS,
+  ADMIN_ROLES,
+  ROLE_NAMES,
+  isKnownPermission,
+  getEffectiveRoles,
+  getPermissions,
+  hasPermission
+};
@@ -0,0 +1,65 @@
+// config/approvalPolicies.js
+/**
+ * Admin actions that need a second admin's approval (four-eyes) once their
+ * value reaches a threshold. Routes opt in with requireApproval('<action>')
+ * (middleware/approval.js); utils/approvalService.js knows how to value,
+ * preview and replay each action.
+ *
+ * Threshold precedence: ApprovalThreshold document (set through
+ * PUT /api/admin/approvals/thresholds/:action) → env var → default below.
+ * Amounts are in Naira.
+ */
+
+const APPROVAL_POLICIES = {
+  'shares.add': {
+    label: 'Add shares to a user',
+    permission: 'shares.manage',
+    env: 'APPROVAL_THRESHOLD_SHARES_ADD',
+    defaultThreshold: 1000000
+  },
+  'cofounder.add': {
+    label: 'Add co-founder shares to a user',
+    permission: 'shares.manage',
+    env: 'APPROVAL_THRESHOLD_COFOUNDER_ADD',
+    defaultThreshold: 1000000
+  },
+  'referral.earnings.adjust': {
+    label: 'Adjust referral earnings',
+    permission: 'ledger.adjust',
+    env: 'APPROVAL_THRESHOLD_EARNINGS_ADJUST',
+    defaultThreshold: 100000
+  },
+  'franchise.credit.adjust': {
+    label: 'Adjust franchise credit',
+    permission: 'franchise.manage',
+    env: 'APPROVAL_THRESHOLD_FRANCHISE_CREDIT',
+    defaultThreshold: 500000
+  },
+  'withdrawal.pay': {
+    label: 'Mark a withdrawal as paid',
+    permission: 'withdrawals.process',
+    env: 'APPROVAL_THRESHOLD_WITHDRAWAL_PAY',
+    defaultThreshold: 500000
+  },
+  'withdrawal.batch.release': {
+    label: 'Release a payout batch',
+    permission: 'withdrawals.process',
+    env: 'APPROVAL_THRESHOLD_WITHDRAWAL_BATCH',
+    defaultThreshold: 1000000
+  }
+};
+
+const APPROVAL_ACTIONS = Object.keys(APPROVAL_POLICIES);
+
+// How long a pending request waits for a checker before it expires
+const APPROVAL_TTL_HOURS = parseInt(process.env.APPROVAL_REQUEST_TTL_HOURS, 10) || 24;
+
+const isKnownApprovalAction = (action) =>
+  Object.prototype.hasOwnProperty.call(APPROVAL_POLICIES, action);
+
+module.exports = {
+  APPROVAL_POLICIES,
+  APPROVAL_ACTIONS,
+  APPROVAL_TTL_HOURS,
+  isKnownApprovalAction
+};
@@ -47,10 +47,26 @@ const coFounderPaymentUpload = multer({
   fileFilter: fileFilter
 });
 
+// Bank result files for payout batch reconciliation
+const payoutResultUpload = multer({
+  storage: memoryStorage,
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (/\.(csv|xlsx|xls)$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only CSV and Excel (XLSX) result files are allowed'));
+    }
+  }
+});
+
 module.exports = {
   paymentProofUpload,
   kycUpload,
   coFounderPaymentUpload,
+  payoutResultUpload,
   memoryStorage,
   fileFilter
 };
\ No newline at end of file
@@ -458,6 +458,31 @@ const swaggerOptions = {
           }
         },
 
+        ApprovalRequired: {
+          description: 'Held for a second admin (four-eyes). Approve or reject via /api/admin/approvals/{requestId}.',
+          content: {
+            'application/json': {
+              example: {
+                success: true,
+                code: 'APPROVAL_REQUIRED',
+                message: 'This action needs approval from a second admin. It has been queued for review.',
+                approvalRequest: {
+                  id: '665f1c2e9b1e8a0012345678',
+                  action: 'shares.add',
+                  amount: 5000000,
+                  threshold: 1000000,
+                  preview: {
+                    summary: 'Add 50 Premium Package share(s) to jane@example.com',
+                    changes: [{ field: 'totalInvestedNaira', from: 200000, to: 5200000 }]
+                  },
+                  status: 'pending',
+                  expiresAt: '2026-01-02T10:00:00.000Z'
+                }
+              }
+            }
+          }
+        },
+
         ConflictError: {
           description: 'Conflict - Resource already exists',
           content: {
@@ -487,6 +512,30 @@ const swaggerOptions = {
             }
           }
         }
+      },
+
+      parameters: {
+        IdempotencyKey: {
+          in: 'header',
+          name: 'Idempotency-Key',
+          required: false,
+          description: 'Client-generated unique key (e.g. a UUID). Retrying with the same key and body returns the original response instead of repeating the operation; reusing a key with a different body is rejected with 422.',
+          schema: {
+            type: 'string',
+            maxLength: 255,
+            example: '3f1c2a9e-6b7d-4e2f-9a51-0c8d7e6f5a4b'
+          }
+        },
+        TwoFactorCode: {
+          in: 'header',
+          name: 'X-2FA-Code',
+          required: false,
+          description: 'Current authenticator code or an unused backup code. Required unless the session was stepped up through POST /users/2fa/verify in the last few minutes; without either the request is refused with 403 TWO_FACTOR_REQUIRED.',
+          schema: {
+            type: 'string',
+            example: '492039'
+          }
+        }
       }
     },
     security: [
@@ -1,41 +1,151 @@
 // controller/adminReferralController.js
+const crypto = require('crypto');
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const Referral = require('../models/Referral');
 const ReferralTransaction = require('../models/ReferralTransaction');
+const ReferralClawback = require('../models/ReferralClawback');
 const SiteConfig = require('../models/SiteConfig');
 const UserShare = require('../models/UserShare');
 const PaymentTransaction = require('../models/Transaction');
 const { sendEmail } = require('../utils/emailService');
 const { syncReferralStats, processReferralCommission } = require('../utils/referralUtils');
-
-// Create audit log entry
-const createAuditLog = async (adminId, action, targetUserId, details, ipAddress) => {
-  try {
-    // You might want to create a separate AuditLog model for this
-    console.log('AUDIT LOG:', {
-      adminId,
-      action,
-      targetUserId,
-      details,
-      ipAddress,
-      timestamp: new Date()
-    });
-    
-    // For now, we'll just log to console, but in production you'd save this to a database
-    // const auditEntry = new AuditLog({
-    //   adminId,
-    //   action,
-    //   targetUserId,
-    //   details,
-    //   ipAddress,
-    //   timestamp: new Date()
-    // });
-    // await auditEntry.save();
-  } catch (error) {
-    console.error('Error creating audit log:', error);
+const ledgerService = require('../utils/ledgerService');
+const { settlementAmount } = require('../utils/referralCurrency');
+const AuditEvent = require('../models/AuditEvent');
+const { recordAuditEvent } = require('../utils/auditService');
+const { planReassignment, applyReassignment, ReassignmentError } = require('../utils/referrerReassignment');
+const ReferralFraudFlag = require('../models/ReferralFraudFlag');
+const { reviewFlag, FraudReviewError } = require('../utils/referralFraud');
+const ReferralCampaign = require('../models/ReferralCampaign');
+const {
+  createCampaign,
+  updateCampaign,
+  getCampaignAnalytics,
+  CampaignError
+} = require('../utils/referralCampaigns');
+const ReferralRankAward = require('../models/ReferralRankAward');
+const { validateRanks } = require('../utils/referralRanks');
+
+// Create audit log entry in the unified audit trail. Paired oldX/newX
+// details (oldEarnings/newEarnings, oldSettings/newSettings…) become the
+// before/after snapshot. With options.session the event is written in that
+// transaction.
+const createAuditLog = async (adminId, action, targetUserId, details = {}, ipAddress, options = {}) => {
+  const before = {};
+  const after = {};
+  for (const key of Object.keys(details || {})) {
+    const field = key.match(/^old([A-Z]\w*)$/)?.[1];
+    if (field && details[`new${field}`] !== undefined) {
+      const name = field.charAt(0).toLowerCase() + field.slice(1);
+      before[name] = details[key];
+      after[name] = details[`new${field}`];
+    }
   }
+
+  await recordAuditEvent({
+    actor: adminId,
+    action,
+    source: 'referrals',
+    entityType: targetUserId ? 'user' : 'referral_system',
+    entityId: targetUserId,
+    targetUser: targetUserId,
+    before: Object.keys(before).length ? before : undefined,
+    after: Object.keys(after).length ? after : undefined,
+    details,
+    reason: details?.reason,
+    ipAddress
+  }, options);
 };
 
+/**
+ * Ledger reference key for an admin adjustment request, so a retried or
+ * approved-and-replayed request posts only once
+ */
+const adjustmentKey = (req) => {
+  if (req.approval?.requestId) return `approval:${req.approval.requestId}`;
+  const key = req.get('Idempotency-Key');
+  if (key) return `${req.user.id}:${key}`;
+  return `request:${req.id || crypto.randomUUID()}`;
+};
+
+/**
+ * Post an admin adjustment that moves a user's ledger totalEarnings to
+ * targetFor(current) and refresh their cached balances. A deduction takes no
+ * more than the user has available.
+ * @returns {Promise<{oldEarnings: number, newEarnings: number, adjustment: Object}>}
+ */
+const adjustEarnings = (userId, targetFor, details) =>
+  ledgerService.withLedgerSession(async (session) => {
+    await ledgerService.ensureUserOpeningBalance(userId, { session });
+    const { totalEarnings } = await ledgerService.getUserBalances(userId, { session });
+    const adjustment = await ledgerService.recordEarningsAdjustment(
+      userId, targetFor(totalEarnings) - totalEarnings, details, { session }
+    );
+    const balances = await ledgerService.syncReferralBalances(userId, { session });
+
+    return {
+      oldEarnings: Math.round((balances.totalEarnings - adjustment.amount) * 100) / 100,
+      newEarnings: balances.totalEarnings,
+      adjustment
+    };
+  });
+
+// Statuses of a commission that can never be credited again
+const REVERSED_COMMISSION_STATUSES = ['rolled_back', 'voided'];
+
+/**
+ * Apply an admin edit of a commission's amount and/or status and post it to
+ * the ledger in the same transaction: a live commission that leaves
+ * `completed` is reversed, one that becomes `completed` is credited, and a new
+ * amount on a live one posts the difference. Refreshes the beneficiary's
+ * cached balances.
+ * @returns {Promise<Object>} the saved ReferralTransaction
+ */
+const applyCommissionEdit = (transactionId, { newAmount, newStatus, adminId, reason, key }) =>
+  ledgerService.withLedgerSession(async (session) => {
+    const options = { session };
+    const commission = await ReferralTransaction.findById(transactionId).session(session);
+    const wasLive = commission.status === 'completed';
+    const previousAmount = settlementAmount(commission);
+
+    // Take back what was credited before the amount changes
+    if (wasLive && newStatus && newStatus !== 'completed') {
+      await ledgerService.reverseCommission(commission, { reason, createdBy: adminId }, options);
+    }
+
+    if (newAmount !== undefined) {
+      commission.amount = newAmount;
+      if (commission.conversion?.settlementAmount != null) {
+        commission.conversion.settlementAmount = Math.round(newAmount * commission.conversion.rate * 100) / 100;
+      }
+    }
+    if (newStatus) {
+      commission.status = newStatus;
+      if (REVERSED_COMMISSION_STATUSES.includes(newStatus)) commission.rolledBackAt = new Date();
+    }
+    await commission.save({ session });
+
+    const isLive = commission.status === 'completed';
+    if (!wasLive && isLive) {
+      await ledgerService.recordCommission(commission, options);
+    } else if (wasLive && isLive) {
+      await ledgerService.adjustCommission(commission, previousAmount, { key, reason, createdBy: adminId }, options);
+    }
+
+    // Per-generation earnings are counted from live commissions, not the ledger
+    const earned = (isLive ? settlementAmount(commission) : 0) - (wasLive ? previousAmount : 0);
+    if (earned && commission.generation <= 3) {
+      await Referral.updateOne(
+        { user: commission.beneficiary },
+        { $inc: { [`generation${commission.generation}.earnings`]: earned } },
+        { session }
+      );
+    }
+    await ledgerService.syncReferralBalances(commission.beneficiary, options);
+    return commission;
+  });
+
 // Get referral system dashboard overview
 const getReferralDashboard = async (req, res) => {
   try {
@@ -565,52 +675,27 @@ const getUserReferralDetails = async (req, res) => {
             throw new Error('Transaction ID is required');
           }
   
-          const transaction = await ReferralTransaction.findById(id)
-            .populate('beneficiary', 'name email');
+          const transaction = await ReferralTransaction.findById(id);
           
           if (!transaction) {
             throw new Error('Transaction not found');
           }
   
-          const oldAmount = transaction.amount;
-          const oldStatus = transaction.status;
-          let amountChanged = false;
-  
-          // Update amount if provided
-          if (newAmount !== undefined && parseFloat(newAmount) !== oldAmount) {
-            transaction.originalAmount = transaction.originalAmount || oldAmount;
-            transaction.amount = parseFloat(newAmount);
-            amountChanged = true;
-          }
+          const amountChanged = newAmount !== undefined && parseFloat(newAmount) !== transaction.amount;
+          const statusChanged = newStatus && newStatus !== transaction.status;
   
-          // Update status if provided
-          if (newStatus && newStatus !== oldStatus) {
-            transaction.status = newStatus;
+          if (statusChanged && REVERSED_COMMISSION_STATUSES.includes(transaction.status)) {
+            throw new Error('A reversed commission cannot be reinstated');
           }
   
-          // Add adjustment tracking
-          transaction.adjustedBy = adminId;
-          transaction.adjustmentReason = reason || 'Bulk transaction edit';
-          
-          await transaction.save();
-  
-          // Update user's referral stats if amount changed
-          if (amountChanged) {
-            const referralData = await Referral.findOne({ user: transaction.beneficiary._id });
-            
-            if (referralData) {
-              const amountDifference = parseFloat(newAmount) - oldAmount;
-              
-              referralData.totalEarnings += amountDifference;
-              
-              // Update generation-specific earnings
-              const genKey = `generation${transaction.generation}`;
-              if (referralData[genKey]) {
-                referralData[genKey].earnings += amountDifference;
-              }
-              
-              await referralData.save();
-            }
+          if (amountChanged || statusChanged) {
+            await applyCommissionEdit(transaction._id, {
+              newAmount: amountChanged ? parseFloat(newAmount) : undefined,
+              newStatus: statusChanged ? newStatus : undefined,
+              adminId,
+              reason: reason || 'Bulk transaction edit',
+              key: adjustmentKey(req)
+            });
           }
   
           results.successful++;
@@ -853,85 +938,23 @@ const adjustUserEarnings = async (req, res) => {
       });
     }
 
-    // Get user's referral data
-    let referralData = await Referral.findOne({ user: userId });
-    if (!referralData) {
-      // Create new referral data if doesn't exist
-      referralData = new Referral({
-        user: userId,
-        referredUsers: 0,
-        totalEarnings: 0,
-        generation1: { count: 0, earnings: 0 },
-        generation2: { count: 0, earnings: 0 },
-        generation3: { count: 0, earnings: 0 }
-      });
-    }
-
-    const oldEarnings = referralData.totalEarnings;
+    // The change is worked out from the ledger in the transaction that posts it
     const adjustmentAmount = parseFloat(amount);
-    let newEarnings;
-
-    // Calculate new earnings based on adjustment type
-    switch (adjustmentType) {
-      case 'add':
-        newEarnings = oldEarnings + adjustmentAmount;
-        break;
-      case 'subtract':
-        newEarnings = Math.max(0, oldEarnings - adjustmentAmount);
-        break;
-      case 'set':
-        newEarnings = adjustmentAmount;
-        break;
-    }
-
-    // Create adjustment transaction record
-    const adjustmentTransaction = new ReferralTransaction({
-      beneficiary: userId,
-      referredUser: referredUserId || null,
-      amount: adjustmentType === 'set' ? (newEarnings - oldEarnings) : 
-              (adjustmentType === 'add' ? adjustmentAmount : -adjustmentAmount),
-      currency: 'USD',
-      generation: generation || 1,
-      purchaseType: 'adjustment',
-      status: 'completed',
-      sourceTransaction: null,
-      sourceTransactionModel: 'AdminAdjustment',
-      adjustedBy: adminId,
-      adjustmentReason: reason,
-      originalAmount: oldEarnings
-    });
-
-    await adjustmentTransaction.save();
-
-    // Update referral data
-    const earningsDifference = newEarnings - oldEarnings;
-    
-    if (generation) {
-      // Adjust specific generation
-      const genKey = `generation${generation}`;
-      referralData[genKey].earnings += earningsDifference;
-    } else {
-      // Distribute adjustment across generations proportionally
-      const totalGenEarnings = referralData.generation1.earnings + 
-                              referralData.generation2.earnings + 
-                              referralData.generation3.earnings;
-      
-      if (totalGenEarnings > 0) {
-        const gen1Ratio = referralData.generation1.earnings / totalGenEarnings;
-        const gen2Ratio = referralData.generation2.earnings / totalGenEarnings;
-        const gen3Ratio = referralData.generation3.earnings / totalGenEarnings;
-        
-        referralData.generation1.earnings += earningsDifference * gen1Ratio;
-        referralData.generation2.earnings += earningsDifference * gen2Ratio;
-        referralData.generation3.earnings += earningsDifference * gen3Ratio;
-      } else {
-        // If no previous earnings, add to generation 1
-        referralData.generation1.earnings += earningsDifference;
+    const { oldEarnings, newEarnings, adjustment } = await adjustEarnings(user._id, (current) => {
+      switch (adjustmentType) {
+        case 'add':
+          return current + adjustmentAmount;
+        case 'subtract':
+          return Math.max(0, current - adjustmentAmount);
+        default:
+          return adjustmentAmount;
       }
-    }
-
-    referralData.totalEarnings = newEarnings;
-    await referralData.save();
+    }, {
+      reference: `referral-adjust:${user._id}:${adjustmentKey(req)}`,
+      description: reason,
+      createdBy: adminId,
+      metadata: { adjustmentType, requestedAmount: adjustmentAmount, generation, referredUserId }
+    });
 
     // Create audit log
     await createAuditLog(adminId, 'earnings_adjustment', userId, {
@@ -975,7 +998,7 @@ const adjustUserEarnings = async (req, res) => {
       success: true,
       message: 'Earnings adjusted successfully',
       adjustment: {
-        adjustmentId: adjustmentTransaction._id,
+        adjustmentId: adjustment.entry ? adjustment.entry._id : null,
         oldEarnings: Math.round(oldEarnings * 100) / 100,
         newEarnings: Math.round(newEarnings * 100) / 100,
         adjustmentAmount: Math.round(adjustmentAmount * 100) / 100,
@@ -1025,10 +1048,10 @@ const adjustReferralTransaction = async (req, res) => {
       }
     }
 
-    if (newStatus && !['completed', 'pending', 'failed', 'cancelled', 'adjusted'].includes(newStatus)) {
+    if (newStatus && !['completed', 'pending', 'failed', 'rolled_back', 'voided'].includes(newStatus)) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid status. Must be one of: completed, pending, failed, cancelled, adjusted'
+        message: 'Invalid status. Must be one of: completed, pending, failed, rolled_back, voided'
       });
     }
 
@@ -1080,52 +1103,26 @@ const adjustReferralTransaction = async (req, res) => {
       });
     }
 
-    // Update transaction fields
-    if (newAmount !== undefined) {
-      transaction.originalAmount = originalAmount;
-      transaction.amount = parseFloat(newAmount);
-      console.log('💰 Amount updated:', oldAmount, '→', parseFloat(newAmount));
-    }
-
-    if (newStatus) {
-      transaction.status = newStatus;
-      console.log('📋 Status updated:', oldStatus, '→', newStatus);
+    if (statusChanged && REVERSED_COMMISSION_STATUSES.includes(oldStatus)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reversed commission cannot be reinstated'
+      });
     }
 
-    transaction.adjustedBy = adminId;
-    transaction.adjustmentReason = adjustmentReason.trim();
-    
-    // Save the transaction
+    // Save the edit and post it to the ledger
     console.log('💾 Saving transaction...');
-    await transaction.save();
+    const adjusted = await applyCommissionEdit(transaction._id, {
+      newAmount: amountChanged ? parseFloat(newAmount) : undefined,
+      newStatus: statusChanged ? newStatus : undefined,
+      adminId,
+      reason: adjustmentReason.trim(),
+      key: adjustmentKey(req)
+    });
+    transaction.amount = adjusted.amount;
+    transaction.status = adjusted.status;
     console.log('✅ Transaction saved successfully');
 
-    // Update user's referral stats if amount changed
-    if (amountChanged) {
-      console.log('📈 Updating user referral stats...');
-      
-      const referralData = await Referral.findOne({ user: transaction.beneficiary._id });
-      
-      if (referralData) {
-        const amountDifference = parseFloat(newAmount) - oldAmount;
-        console.log('💵 Amount difference:', amountDifference);
-        
-        // Update total earnings
-        referralData.totalEarnings += amountDifference;
-        
-        // Update generation-specific earnings
-        const genKey = `generation${transaction.generation}`;
-        if (referralData[genKey]) {
-          referralData[genKey].earnings += amountDifference;
-        }
-        
-        await referralData.save();
-        console.log('✅ User referral stats updated');
-      } else {
-        console.log('⚠️ No referral data found for user');
-      }
-    }
-
     // Create audit log
     await createAuditLog(adminId, 'transaction_adjustment', transaction.beneficiary._id, {
       transactionId,
@@ -1176,12 +1173,12 @@ const adjustReferralTransaction = async (req, res) => {
         email: transaction.beneficiary.email
       },
       amount: transaction.amount,
-      originalAmount: transaction.originalAmount,
+      originalAmount,
       status: transaction.status,
       generation: transaction.generation,
       purchaseType: transaction.purchaseType,
       adjustedBy: adminId,
-      adjustmentReason: transaction.adjustmentReason,
+      adjustmentReason: adjustmentReason.trim(),
       createdAt: transaction.createdAt,
       updatedAt: new Date()
     };
@@ -1255,30 +1252,22 @@ const cancelReferralTransaction = async (req, res) => {
       });
     }
 
+    if (transaction.status !== 'completed') {
+      return res.status(400).json({
+        success: false,
+        message: `Only a completed transaction can be cancelled (this one is ${transaction.status})`
+      });
+    }
+
     const originalAmount = transaction.amount;
     const beneficiaryId = transaction.beneficiary._id;
 
-    // Update user's referral stats by removing this transaction's amount
-    const referralData = await Referral.findOne({ user: beneficiaryId });
-    
-    if (referralData) {
-      referralData.totalEarnings = Math.max(0, referralData.totalEarnings - originalAmount);
-      
-      // Update generation-specific earnings
-      const genKey = `generation${transaction.generation}`;
-      if (referralData[genKey]) {
-        referralData[genKey].earnings = Math.max(0, referralData[genKey].earnings - originalAmount);
-      }
-      
-      await referralData.save();
-    }
-
-    // Mark transaction as cancelled instead of deleting
-    transaction.status = 'cancelled';
-    transaction.adjustedBy = adminId;
-    transaction.adjustmentReason = `CANCELLED: ${reason}`;
-    transaction.amount = 0; // Set amount to 0 for cancelled transactions
-    await transaction.save();
+    // Reverse the commission; what the user already withdrew becomes a clawback
+    await applyCommissionEdit(transaction._id, {
+      newStatus: 'rolled_back',
+      adminId,
+      reason: `CANCELLED: ${reason}`
+    });
 
     // Create audit log
     await createAuditLog(adminId, 'transaction_cancellation', beneficiaryId, {
@@ -1313,7 +1302,7 @@ const cancelReferralTransaction = async (req, res) => {
       }
     }
 
-    // Calculate new total earnings
+    // New total earnings, as synced from the ledger
     const updatedReferralData = await Referral.findOne({ user: beneficiaryId });
     const newTotalEarnings = updatedReferralData ? updatedReferralData.totalEarnings : 0;
 
@@ -1394,71 +1383,31 @@ const performBulkActions = async (req, res) => {
               throw new Error('User not found');
             }
             
-            let referralData = await Referral.findOne({ user: userId });
-            if (!referralData) {
-              referralData = new Referral({
-                user: userId,
-                referredUsers: 0,
-                totalEarnings: 0,
-                generation1: { count: 0, earnings: 0 },
-                generation2: { count: 0, earnings: 0 },
-                generation3: { count: 0, earnings: 0 }
-              });
-            }
-            
-            const oldEarnings = referralData.totalEarnings;
             const adjustmentAmount = parseFloat(adjustmentData.amount);
-            let newEarnings;
-            
-            switch (adjustmentData.type) {
-              case 'add':
-                newEarnings = oldEarnings + adjustmentAmount;
-                break;
-              case 'subtract':
-                newEarnings = Math.max(0, oldEarnings - adjustmentAmount);
-                break;
-              case 'multiply':
-                newEarnings = oldEarnings * adjustmentAmount;
-                break;
-              default:
-                throw new Error('Invalid adjustment type');
+            if (!['add', 'subtract', 'multiply'].includes(adjustmentData.type)) {
+              throw new Error('Invalid adjustment type');
             }
             
-            // Create adjustment transaction
-            const adjustmentTransaction = new ReferralTransaction({
-              beneficiary: userId,
-              amount: newEarnings - oldEarnings,
-              currency: 'USD',
-              generation: 1,
-              purchaseType: 'bulk_adjustment',
-              status: 'completed',
-              adjustedBy: adminId,
-              adjustmentReason: adjustmentData.reason || 'Bulk adjustment'
+            await adjustEarnings(user._id, (current) => {
+              switch (adjustmentData.type) {
+                case 'add':
+                  return current + adjustmentAmount;
+                case 'subtract':
+                  return Math.max(0, current - adjustmentAmount);
+                default:
+                  return current * adjustmentAmount;
+              }
+            }, {
+              reference: `referral-adjust:${user._id}:${adjustmentKey(req)}`,
+              description: adjustmentData.reason || 'Bulk adjustment',
+              createdBy: adminId,
+              metadata: { adjustmentType: adjustmentData.type, requestedAmount: adjustmentAmount }
             });
-            
-            await adjustmentTransaction.save();
-            
-            referralData.totalEarnings = newEarnings;
-            await referralData.save();
             break;
             
           case 'recalculate_all':
-            // Full recalculation (more intensive)
+            // Recounts the generation stats and re-syncs totalEarnings from the ledger
             await syncReferralStats(userId);
-            
-            // Additional recalculation logic if needed
-            const allTransactions = await ReferralTransaction.find({ 
-              beneficiary: userId, 
-              status: 'completed' 
-            });
-            
-            const totalCalculated = allTransactions.reduce((sum, tx) => sum + tx.amount, 0);
-            
-            const referralDataForRecalc = await Referral.findOne({ user: userId });
-            if (referralDataForRecalc && Math.abs(referralDataForRecalc.totalEarnings - totalCalculated) > 0.01) {
-              referralDataForRecalc.totalEarnings = totalCalculated;
-              await referralDataForRecalc.save();
-            }
             break;
         }
         
@@ -2071,35 +2020,42 @@ const getAuditLog = async (req, res) => {
       toDate 
     } = req.query;
 
-    // For now, return a mock audit log since we're logging to console
-    // In production, you'd fetch from an AuditLog model
-    const mockAuditLog = [
-      {
-        id: '1',
-        adminId: adminId,
-        adminName: admin.name,
-        action: 'earnings_adjustment',
-        targetUserId: 'user123',
-        targetUserName: 'John Doe',
-        details: {
-          adjustmentType: 'add',
-          amount: 50,
-          oldEarnings: 100,
-          newEarnings: 150,
-          reason: 'Bonus payment'
-        },
-        timestamp: new Date(),
-        ipAddress: req.ip
-      }
-    ];
+    const query = { source: 'referrals' };
+    if (filterAdminId) query.actor = filterAdminId;
+    if (action) query.action = action;
+    if (fromDate || toDate) {
+      query.createdAt = {};
+      if (fromDate) query.createdAt.$gte = new Date(fromDate);
+      if (toDate) query.createdAt.$lte = new Date(toDate);
+    }
+
+    const [events, totalCount] = await Promise.all([
+      AuditEvent.find(query)
+        .populate('actor', 'name')
+        .populate('targetUser', 'name')
+        .sort({ createdAt: -1 })
+        .skip((parseInt(page) - 1) * parseInt(limit))
+        .limit(parseInt(limit)),
+      AuditEvent.countDocuments(query)
+    ]);
 
     res.status(200).json({
       success: true,
-      auditLog: mockAuditLog,
+      auditLog: events.map(event => ({
+        id: event._id,
+        adminId: event.actor?._id || null,
+        adminName: event.actor?.name || null,
+        action: event.action,
+        targetUserId: event.targetUser?._id || null,
+        targetUserName: event.targetUser?.name || null,
+        details: event.details,
+        timestamp: event.createdAt,
+        ipAddress: event.ipAddress
+      })),
       pagination: {
         currentPage: parseInt(page),
-        totalPages: 1,
-        totalCount: mockAuditLog.length
+        totalPages: Math.ceil(totalCount / parseInt(limit)),
+        totalCount
       }
     });
 
@@ -2480,6 +2436,623 @@ const getCommissionBreakdown = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Clawbacks per user: commissions reversed after the money had been
+ *          withdrawn, and how much is still to be recovered from future
+ *          commissions
+ * @route   GET /api/admin/referrals/clawbacks
+ * @access  Admin (reports.view)
+ */
+const getClawbackReport = async (req, res) => {
+  try {
+    const { status = 'outstanding', userId } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    if (!['outstanding', 'recovered', 'all'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'status must be outstanding, recovered or all'
+      });
+    }
+    if (userId && !mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid userId'
+      });
+    }
+
+    const match = {};
+    if (status !== 'all') match.status = status;
+    if (userId) match.user = new mongoose.Types.ObjectId(userId);
+
+    const [result] = await ReferralClawback.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: '$user',
+          clawbacks: { $sum: 1 },
+          amount: { $sum: '$amount' },
+          recoveredAmount: { $sum: '$recoveredAmount' },
+          outstandingAmount: { $sum: '$outstandingAmount' },
+          oldestAt: { $min: '$createdAt' }
+        }
+      },
+      {
+        $facet: {
+          users: [
+            { $sort: { outstandingAmount: -1, oldestAt: 1 } },
+            { $skip: (page - 1) * limit },
+            { $limit: limit },
+            { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'user' } },
+            { $unwind: { path: '$user', preserveNullAndEmptyArrays: true } }
+          ],
+          summary: [
+            {
+              $group: {
+                _id: null,
+                users: { $sum: 1 },
+                clawbacks: { $sum: '$clawbacks' },
+                amount: { $sum: '$amount' },
+                recoveredAmount: { $sum: '$recoveredAmount' },
+                outstandingAmount: { $sum: '$outstandingAmount' }
+              }
+            }
+          ]
+        }
+      }
+    ]);
+
+    const summary = result.summary[0] || {
+      users: 0, clawbacks: 0, amount: 0, recoveredAmount: 0, outstandingAmount: 0
+    };
+    delete summary._id;
+
+    const response = {
+      success: true,
+      users: result.users.map(row => ({
+        user: {
+          id: row._id,
+          name: row.user?.name,
+          userName: row.user?.userName,
+          email: row.user?.email
+        },
+        clawbacks: row.clawbacks,
+        amount: row.amount,
+        recoveredAmount: row.recoveredAmount,
+        outstandingAmount: row.outstandingAmount,
+        oldestAt: row.oldestAt
+      })),
+      summary,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(summary.users / limit),
+        totalUsers: summary.users,
+        limit
+      }
+    };
+
+    // One user's report also lists the individual clawbacks
+    if (userId) {
+      response.clawbacks = await ReferralClawback.find(match)
+        .populate('referralTransaction', 'generation purchaseType amount currency sourceTransaction')
+        .sort({ createdAt: -1 })
+        .lean();
+    }
+
+    res.status(200).json(response);
+  } catch (error) {
+    console.error('Error fetching clawback report:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch clawback report',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Move a user (and their downline) to a different referrer. With
+ *          dryRun the response lists the commissions that would be rolled
+ *          back and re-created; otherwise the change is applied in one
+ *          transaction and audited
+ * @route   PUT /api/admin/referrals/user/:userId/referrer
+ * @body    { referrer: userName|null, reason, dryRun }
+ * @access  Admin (referrals.manage)
+ */
+const changeUserReferrer = async (req, res) => {
+  try {
+    const adminId = req.user.id;
+    const { userId } = req.params;
+    const { referrer, reason } = req.body;
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+
+    if (!mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({ success: false, message: 'Invalid user ID' });
+    }
+    if (referrer === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the new referrer\'s username, or null to remove the referrer'
+      });
+    }
+
+    if (dryRun) {
+      const plan = await planReassignment(userId, referrer);
+      return res.status(200).json({ success: true, dryRun: true, plan });
+    }
+
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({ success: false, message: 'Please provide a reason for the change' });
+    }
+
+    const result = await applyReassignment(userId, referrer, {
+      adminId,
+      reason: String(reason).trim(),
+      audit: (applied, session) => createAuditLog(adminId, 'referrer_reassignment', userId, {
+        oldReferrer: applied.currentReferrer?.userName || null,
+        newReferrer: applied.newReferrer?.userName || null,
+        reason: String(reason).trim(),
+        downlineMembers: applied.members - 1,
+        commissionsRolledBack: applied.rollBack.map(item => item.id),
+        commissionsCreated: applied.create.length,
+        totals: applied.totals,
+        clawbackTotal: applied.clawbackTotal
+      }, req.ip, { session })
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `${result.user.userName} is now referred by ${result.newReferrer?.userName || 'nobody'}`,
+      result
+    });
+  } catch (error) {
+    if (error instanceof ReassignmentError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error('Error changing referrer:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to change referrer',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Commissions held by each of the given flags
+const heldCommissionTotals = async (flagIds) => {
+  const rows = await ReferralTransaction.aggregate([
+    { $match: { status: 'pending', 'fraudHold.flags': { $in: flagIds } } },
+    { $unwind: '$fraudHold.flags' },
+    { $match: { 'fraudHold.flags': { $in: flagIds } } },
+    {
+      $group: {
+        _id: { flag: '$fraudHold.flags', currency: '$currency' },
+        commissions: { $sum: 1 },
+        amount: { $sum: '$amount' }
+      }
+    }
+  ]);
+
+  const byFlag = {};
+  for (const row of rows) {
+    const held = byFlag[row._id.flag] || (byFlag[row._id.flag] = { commissions: 0, amounts: {} });
+    held.commissions += row.commissions;
+    held.amounts[row._id.currency] = row.amount;
+  }
+  return byFlag;
+};
+
+/**
+ * @desc    Fraud review queue: flagged referral edges, highest score first,
+ *          with the commissions each one is holding
+ * @route   GET /api/admin/referrals/fraud/flags?status=open|released|voided|all
+ * @access  Admin (reports.view)
+ */
+const getFraudFlags = async (req, res) => {
+  try {
+    const { status = 'open', userId } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    if (!['open', 'released', 'voided', 'all'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'status must be open, released, voided or all'
+      });
+    }
+    if (userId && !mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid userId'
+      });
+    }
+
+    const query = {};
+    if (status !== 'all') query.status = status;
+    if (userId) query.$or = [{ user: userId }, { referrer: userId }];
+
+    const [flags, total] = await Promise.all([
+      ReferralFraudFlag.find(query)
+        .populate('user', 'name userName email createdAt')
+        .populate('referrer', 'name userName email')
+        .populate('reviewedBy', 'name userName')
+        .sort({ score: -1, createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      ReferralFraudFlag.countDocuments(query)
+    ]);
+
+    const held = await heldCommissionTotals(flags.map(flag => flag._id));
+
+    res.status(200).json({
+      success: true,
+      flags: flags.map(flag => ({
+        ...flag,
+        held: held[flag._id] || { commissions: 0, amounts: {} }
+      })),
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalFlags: total,
+        limit
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching fraud flags:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch fraud flags',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    One flagged referral with its signals and held commissions
+ * @route   GET /api/admin/referrals/fraud/flags/:flagId
+ * @access  Admin (reports.view)
+ */
+const getFraudFlag = async (req, res) => {
+  try {
+    const { flagId } = req.params;
+    if (!mongoose.isValidObjectId(flagId)) {
+      return res.status(400).json({ success: false, message: 'Invalid flag ID' });
+    }
+
+    const flag = await ReferralFraudFlag.findById(flagId)
+      .populate('user', 'name userName email phone registrationInfo createdAt')
+      .populate('referrer', 'name userName email phone registrationInfo createdAt')
+      .populate('signals.relatedUser', 'name userName email')
+      .populate('reviewedBy', 'name userName')
+      .lean();
+    if (!flag) {
+      return res.status(404).json({ success: false, message: 'Flag not found' });
+    }
+
+    const commissions = await ReferralTransaction.find({ 'fraudHold.flags': flag._id })
+      .populate('beneficiary', 'name userName')
+      .populate('referredUser', 'name userName')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.status(200).json({ success: true, flag, commissions });
+  } catch (error) {
+    console.error('Error fetching fraud flag:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch fraud flag',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Release (credit) or void the commissions a flag is holding
+ * @route   POST /api/admin/referrals/fraud/flags/:flagId/release
+ * @route   POST /api/admin/referrals/fraud/flags/:flagId/void
+ * @body    { note }
+ * @access  Admin (referrals.manage)
+ */
+const reviewFraudFlag = async (req, res) => {
+  try {
+    const adminId = req.user.id;
+    const { flagId, decision } = req.params;
+    const { note } = req.body;
+
+    if (!mongoose.isValidObjectId(flagId)) {
+      return res.status(400).json({ success: false, message: 'Invalid flag ID' });
+    }
+
+    const result = await reviewFlag(flagId, decision, { adminId, note });
+
+    await createAuditLog(adminId, `fraud_flag_${decision}`, result.flag.user, {
+      flagId: result.flag._id,
+      referrerId: result.flag.referrer,
+      score: result.flag.score,
+      signals: result.flag.signals.map(s => s.code),
+      released: result.released,
+      voided: result.voided,
+      stillHeld: result.stillHeld,
+      reason: note
+    }, req.ip);
+
+    res.status(200).json({
+      success: true,
+      message: decision === 'release'
+        ? `${result.released} held commission(s) released`
+        : `${result.voided} held commission(s) voided`,
+      ...result
+    });
+  } catch (error) {
+    if (error instanceof FraudReviewError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error('Error reviewing fraud flag:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to review fraud flag',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// ============= CAMPAIGNS =============
+
+const CAMPAIGN_STATUSES = ['running', 'upcoming', 'ended', 'inactive', 'all'];
+
+const campaignStatusQuery = (status, now = new Date()) => ({
+  running: { active: true, startsAt: { $lte: now }, endsAt: { $gte: now } },
+  upcoming: { active: true, startsAt: { $gt: now } },
+  ended: { endsAt: { $lt: now } },
+  inactive: { active: false },
+  all: {}
+}[status]);
+
+const campaignErrorResponse = (res, error, message) => {
+  if (error instanceof CampaignError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      errors: error.errors.length ? error.errors : undefined
+    });
+  }
+  console.error(`${message}:`, error);
+  return res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+/**
+ * @desc    List referral campaigns
+ * @route   GET /api/admin/referrals/campaigns?status=running|upcoming|ended|inactive|all
+ * @access  Admin (reports.view)
+ */
+const getReferralCampaigns = async (req, res) => {
+  try {
+    const { status = 'all' } = req.query;
+    if (!CAMPAIGN_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of ${CAMPAIGN_STATUSES.join(', ')}`
+      });
+    }
+
+    const campaigns = await ReferralCampaign.find(campaignStatusQuery(status))
+      .populate('createdBy', 'name userName')
+      .sort({ startsAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      campaigns: campaigns.map(campaign => ({
+        ...campaign.toObject(),
+        remainingBudget: campaign.remainingBudget,
+        running: campaign.isRunning()
+      }))
+    });
+  } catch (error) {
+    campaignErrorResponse(res, error, 'Failed to get referral campaigns');
+  }
+};
+
+/**
+ * @desc    Create a referral campaign
+ * @route   POST /api/admin/referrals/campaigns
+ * @body    { name, code, description, startsAt, endsAt, rates: [{ level, rate }], eligibleTiers, budget, active }
+ * @access  Admin (referrals.manage)
+ */
+const createReferralCampaign = async (req, res) => {
+  try {
+    const adminId = req.user.id;
+    const campaign = await createCampaign(req.body, { adminId });
+
+    await createAuditLog(adminId, 'referral_campaign_create', null, {
+      campaignId: campaign._id,
+      code: campaign.code,
+      campaign: campaign.toObject()
+    }, req.ip);
+
+    res.status(201).json({
+      success: true,
+      message: `Campaign ${campaign.code} created`,
+      campaign
+    });
+  } catch (error) {
+    campaignErrorResponse(res, error, 'Failed to create referral campaign');
+  }
+};
+
+/**
+ * @desc    Change a referral campaign (set active: false to stop it early)
+ * @route   PUT /api/admin/referrals/campaigns/:campaignId
+ * @body    any of the create fields
+ * @access  Admin (referrals.manage)
+ */
+const updateReferralCampaign = async (req, res) => {
+  try {
+    const adminId = req.user.id;
+    const { campaignId } = req.params;
+
+    if (!mongoose.isValidObjectId(campaignId)) {
+      return res.status(400).json({ success: false, message: 'Invalid campaign ID' });
+    }
+
+    const { campaign, before } = await updateCampaign(campaignId, req.body, { adminId });
+
+    await createAuditLog(adminId, 'referral_campaign_update', null, {
+      campaignId: campaign._id,
+      code: campaign.code,
+      oldCampaign: before,
+      newCampaign: campaign.toObject()
+    }, req.ip);
+
+    res.status(200).json({
+      success: true,
+      message: `Campaign ${campaign.code} updated`,
+      campaign
+    });
+  } catch (error) {
+    campaignErrorResponse(res, error, 'Failed to update referral campaign');
+  }
+};
+
+/**
+ * @desc    Sign-ups, purchases and commission paid per campaign
+ * @route   GET /api/admin/referrals/analytics/campaigns?status=running|upcoming|ended|inactive|all
+ * @route   GET /api/admin/referrals/analytics/campaigns/:campaignId
+ * @access  Admin (reports.view)
+ */
+const getCampaignAnalyticsReport = async (req, res) => {
+  try {
+    const { campaignId } = req.params;
+    const { status = 'all' } = req.query;
+
+    if (campaignId) {
+      if (!mongoose.isValidObjectId(campaignId)) {
+        return res.status(400).json({ success: false, message: 'Invalid campaign ID' });
+      }
+      const [analytics] = await getCampaignAnalytics({ _id: campaignId });
+      if (!analytics) {
+        return res.status(404).json({ success: false, message: 'Campaign not found' });
+      }
+      return res.status(200).json({ success: true, analytics });
+    }
+
+    if (!CAMPAIGN_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of ${CAMPAIGN_STATUSES.join(', ')}`
+      });
+    }
+
+    const campaigns = await getCampaignAnalytics(campaignStatusQuery(status));
+    res.status(200).json({
+      success: true,
+      campaigns,
+      totals: {
+        signUps: campaigns.reduce((sum, row) => sum + row.signUps, 0),
+        commissionPaid: campaigns.reduce((sum, row) => sum + row.commission.paid, 0),
+        commissionHeld: campaigns.reduce((sum, row) => sum + row.commission.held, 0)
+      }
+    });
+  } catch (error) {
+    campaignErrorResponse(res, error, 'Failed to get campaign analytics');
+  }
+};
+
+// ============= RANKS =============
+
+/**
+ * @desc    Referral rank ladder, with how many users reached each rank
+ * @route   GET /api/admin/referrals/ranks
+ * @access  Admin (reports.view)
+ */
+const getReferralRanks = async (req, res) => {
+  try {
+    const siteConfig = await SiteConfig.getCurrentConfig();
+    const awards = await ReferralRankAward.aggregate([
+      {
+        $group: {
+          _id: '$rank',
+          users: { $sum: 1 },
+          bonusPaid: { $sum: '$bonus.amount' },
+          lastAchievedAt: { $max: '$achievedAt' }
+        }
+      }
+    ]);
+    const byRank = Object.fromEntries(awards.map(row => [row._id, row]));
+
+    res.status(200).json({
+      success: true,
+      ranks: (siteConfig.referralRanks || []).map(rank => ({
+        ...rank,
+        achieved: {
+          users: byRank[rank.key]?.users || 0,
+          bonusPaid: byRank[rank.key]?.bonusPaid || 0,
+          lastAchievedAt: byRank[rank.key]?.lastAchievedAt || null
+        }
+      }))
+    });
+  } catch (error) {
+    console.error('Error getting referral ranks:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get referral ranks',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Replace the referral rank ladder (lowest rank first). Ranks already
+ *          reached are kept; new ones are awarded as users next earn.
+ * @route   PUT /api/admin/referrals/ranks
+ * @body    { ranks: [{ key, name, minDirectReferrals, minTeamVolume, minCoFounderDownlines, bonus, active }] }
+ * @access  Admin (referrals.manage)
+ */
+const updateReferralRanks = async (req, res) => {
+  try {
+    const adminId = req.user.id;
+    const { ranks } = req.body;
+
+    const errors = validateRanks(ranks);
+    if (errors.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid referral ranks',
+        errors
+      });
+    }
+
+    const siteConfig = await SiteConfig.getCurrentConfig();
+    const oldRanks = siteConfig.referralRanks || [];
+    siteConfig.referralRanks = ranks;
+    siteConfig.markModified('referralRanks');
+    await siteConfig.save();
+
+    await createAuditLog(adminId, 'referral_ranks_update', null, {
+      oldRanks,
+      newRanks: ranks
+    }, req.ip);
+
+    res.status(200).json({
+      success: true,
+      message: 'Referral ranks updated',
+      ranks: siteConfig.referralRanks
+    });
+  } catch (error) {
+    console.error('Error updating referral ranks:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update referral ranks',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 // Make sure to export all functions
 module.exports = {
   getReferralDashboard,
@@ -2498,5 +3071,16 @@ module.exports = {
   bulkEditTransactions,
   syncUserReferralData,
   getPerformanceReport,
-  getCommissionBreakdown
+  getCommissionBreakdown,
+  getClawbackReport,
+  changeUserReferrer,
+  getFraudFlags,
+  getFraudFlag,
+  reviewFraudFlag,
+  getReferralCampaigns,
+  createReferralCampaign,
+  updateReferralCampaign,
+  getCampaignAnalyticsReport,
+  getReferralRanks,
+  updateReferralRanks
 };
\ No newline at end of file
@@ -0,0 +1,160 @@
+// controller/adminRoleController.js
+const User = require('../models/User');
+const AdminAuditLog = require('../models/AdminAuditLog');
+const {
+  PERMISSIONS,
+  ADMIN_ROLES,
+  ROLE_NAMES,
+  getEffectiveRoles,
+  getPermissions
+} = require('../config/adminRoles');
+
+const serverError = (res, message, error) =>
+  res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+
+// Admins holding the super_admin role
+const superAdminFilter = { isAdmin: true, adminRoles: 'super_admin' };
+
+/**
+ * @desc    Role catalogue with the permissions each role grants
+ * @route   GET /api/users/admin/roles
+ * @access  Private (admins.manage)
+ */
+exports.getRoles = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      roles: ROLE_NAMES.map(name => ({
+        name,
+        label: ADMIN_ROLES[name].label,
+        permissions: ADMIN_ROLES[name].permissions
+      })),
+      permissions: PERMISSIONS
+    });
+  } catch (error) {
+    console.error('Error fetching admin roles:', error);
+    serverError(res, 'Failed to fetch admin roles', error);
+  }
+};
+
+/**
+ * @desc    Roles and permissions of the signed-in admin
+ * @route   GET /api/users/admin/me/permissions
+ * @access  Private (any admin)
+ */
+exports.getMyPermissions = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      roles: getEffectiveRoles(req.user),
+      permissions: getPermissions(req.user)
+    });
+  } catch (error) {
+    console.error('Error fetching admin permissions:', error);
+    serverError(res, 'Failed to fetch permissions', error);
+  }
+};
+
+/**
+ * @desc    Set a user's admin roles. An empty list removes admin access.
+ * @route   PUT /api/users/admin/users/:userId/roles
+ * @access  Private (admins.manage)
+ */
+exports.assignRoles = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { roles } = req.body || {};
+
+    if (!Array.isArray(roles)) {
+      return res.status(400).json({
+        success: false,
+        message: 'roles must be an array of role names'
+      });
+    }
+
+    const requested = [...new Set(roles)];
+    const unknown = requested.filter(role => !ADMIN_ROLES[role]);
+    if (unknown.length) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown role(s): ${unknown.join(', ')}`,
+        availableRoles: ROLE_NAMES
+      });
+    }
+
+    if (userId === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own admin roles'
+      });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    const previousRoles = getEffectiveRoles(user);
+
+    // Keep at least one super admin so roles can still be managed
+    if (previousRoles.includes('super_admin') && !requested.includes('super_admin')) {
+      const otherSuperAdmins = await User.countDocuments({ ...superAdminFilter, _id: { $ne: user._id } });
+      if (otherSuperAdmins === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot remove the last super admin'
+        });
+      }
+    }
+
+    const now = new Date();
+    if (requested.length) {
+      if (!user.isAdmin) {
+        user.adminGrantedAt = now;
+        user.adminGrantedBy = req.user._id;
+      }
+      user.isAdmin = true;
+    } else if (user.isAdmin) {
+      user.isAdmin = false;
+      user.adminRevokedAt = now;
+      user.adminRevokedBy = req.user._id;
+    }
+    user.adminRoles = requested;
+    await user.save({ validateBeforeSave: false });
+
+    await AdminAuditLog.create({
+      adminId: req.user._id,
+      action: 'ASSIGN_ADMIN_ROLES',
+      targetUserId: user._id,
+      details: {
+        previousRoles,
+        roles: requested,
+        before: { roles: previousRoles },
+        after: { roles: requested }
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.status(200).json({
+      success: true,
+      message: requested.length
+        ? `Roles updated for ${user.email}`
+        : `Admin access removed from ${user.email}`,
+      user: {
+        id: user._id,
+        email: user.email,
+        isAdmin: user.isAdmin,
+        roles: getEffectiveRoles(user),
+        permissions: getPermissions(user)
+      }
+    });
+  } catch (error) {
+    console.error('Error assigning admin roles:', error);
+    serverError(res, 'Failed to assign admin roles', error);
+  }
+};
@@ -12,6 +12,11 @@ const UserWithdrawalControl = require('../models/UserWithdrawalControl');
 const WithdrawalAuditLog = require('../models/WithdrawalAuditLog');
 const WithdrawalSchedule = require('../models/WithdrawalSchedule');
 const { sendEmail } = require('../utils/emailService');
+const { withLedgerSession, transitionWithdrawalFunds, WITHDRAWAL_STATUS_BUCKETS } = require('../utils/ledgerService');
+const payoutProviders = require('../services/payoutProviders');
+const { WithdrawalRetryError, retryWithdrawal, refundWithdrawal, getRetryOverview } = require('../utils/withdrawalRetry');
+const { IN_PROGRESS_STATUSES, saveWithdrawalTransition } = require('../utils/withdrawalSettlement');
+const { CONFIG_KEYS: VELOCITY_CONFIG_KEYS, normalizeLimits, getVelocitySettings } = require('../utils/withdrawalVelocity');
 
 async function getConfig(key, defaultValue = null) {
   const doc = await WithdrawalConfig.findOne({ key });
@@ -50,6 +55,19 @@ async function auditLog(action, adminId, options = {}) {
   }
 }
 
+// Cancel the in-progress withdrawals matching `filter` and refund them, in one transaction
+async function cancelAndRefund(filter, fields, adminId) {
+  return withLedgerSession(async (session) => {
+    const withdrawals = await Withdrawal.find({ ...filter, status: { $in: IN_PROGRESS_STATUSES } }).session(session);
+    if (withdrawals.length === 0) return withdrawals;
+    await Withdrawal.updateMany({ _id: { $in: withdrawals.map(w => w._id) } }, { ...fields, status: 'cancelled' }, { session });
+    for (const w of withdrawals) {
+      await transitionWithdrawalFunds(w, 'available', WITHDRAWAL_STATUS_BUCKETS[w.status], { createdBy: adminId }, { session });
+    }
+    return withdrawals;
+  });
+}
+
 exports.getSystemStatus = async (req, res) => {
   try {
     const [
@@ -68,7 +86,8 @@ exports.getSystemStatus = async (req, res) => {
       getConfig('crypto_withdrawals_enabled', true)
     ]);
 
-    const pendingCount = await Withdrawal.countDocuments({ status: { $in: ['pending', 'processing'] } });
+    const payoutRoutes = await payoutProviders.getRoutes();
+    const pendingCount = await Withdrawal.countDocuments({ status: { $in: IN_PROGRESS_STATUSES } });
     const blacklistedCount = await UserWithdrawalControl.countDocuments({ isBlacklisted: true });
     const pausedUsersCount = await UserWithdrawalControl.countDocuments({ isPaused: true });
 
@@ -77,6 +96,7 @@ exports.getSystemStatus = async (req, res) => {
       data: {
         system: { globalPaused, globalPauseReason, emergencyFreeze, bankWithdrawalsEnabled: bankEnabled, cryptoWithdrawalsEnabled: cryptoEnabled },
         limits: { globalMaxLimit },
+        payoutProviders: payoutRoutes,
         stats: { pendingWithdrawals: pendingCount, blacklistedUsers: blacklistedCount, pausedUsers: pausedUsersCount }
       }
     });
@@ -157,7 +177,7 @@ exports.emergencyFreeze = async (req, res) => {
     await auditLog('EMERGENCY_FREEZE', req.user.id, { reason, ip: req.ip });
     console.log(`[ADMIN] EMERGENCY FREEZE activated by ${req.user.id}. Reason: ${reason}`);
 
-    const activeWithdrawals = await Withdrawal.find({ status: { $in: ['pending', 'processing'] } }).populate('user', 'name email');
+    const activeWithdrawals = await Withdrawal.find({ status: { $in: IN_PROGRESS_STATUSES } }).populate('user', 'name email');
     const uniqueUsers = [];
     const seenIds = new Set();
     for (const w of activeWithdrawals) {
@@ -230,6 +250,92 @@ exports.setGlobalLimits = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Rolling velocity caps, bank-change cooldown and first-withdrawal hold
+ * @route   GET /api/withdrawal/admin/control/velocity
+ */
+exports.getVelocityLimits = async (req, res) => {
+  try {
+    res.json({ success: true, data: await getVelocitySettings() });
+  } catch (error) {
+    console.error('getVelocityLimits error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch velocity limits' });
+  }
+};
+
+/**
+ * @desc    Set rolling velocity caps (each { daily, weekly, monthly } of { count, amount }; null clears) and holds
+ * @route   POST /api/withdrawal/admin/control/velocity
+ * @body    { global?, user?, bank?, crypto?, bankChangeCooldownHours?, firstWithdrawalHoldDays?, reason? }
+ */
+exports.setVelocityLimits = async (req, res) => {
+  try {
+    const { reason, bankChangeCooldownHours, firstWithdrawalHoldDays } = req.body;
+    const errors = [];
+    const updates = {};
+    for (const level of ['global', 'user', 'bank', 'crypto']) {
+      if (req.body[level] === undefined) continue;
+      const { limits, errors: levelErrors } = normalizeLimits(req.body[level], level);
+      errors.push(...levelErrors);
+      updates[level] = limits;
+    }
+    for (const [field, value] of Object.entries({ bankChangeCooldownHours, firstWithdrawalHoldDays })) {
+      if (value === undefined) continue;
+      if (!Number.isFinite(Number(value)) || Number(value) < 0) errors.push(`${field} must be a number >= 0`);
+      else updates[field] = Number(value);
+    }
+    if (errors.length) return res.status(400).json({ success: false, message: 'Invalid velocity limits', errors });
+    if (Object.keys(updates).length === 0) return res.status(400).json({ success: false, message: 'Provide global, user, bank, crypto, bankChangeCooldownHours and/or firstWithdrawalHoldDays' });
+
+    const previous = await getVelocitySettings();
+    if (updates.global !== undefined) await setConfig(VELOCITY_CONFIG_KEYS.global, updates.global, req.user.id, reason);
+    if (updates.user !== undefined) await setConfig(VELOCITY_CONFIG_KEYS.user, updates.user, req.user.id, reason);
+    if (updates.bank !== undefined || updates.crypto !== undefined) {
+      await setConfig(VELOCITY_CONFIG_KEYS.method, {
+        bank: updates.bank !== undefined ? updates.bank : previous.bank,
+        crypto: updates.crypto !== undefined ? updates.crypto : previous.crypto
+      }, req.user.id, reason);
+    }
+    if (updates.bankChangeCooldownHours !== undefined) await setConfig('bank_change_cooldown_hours', updates.bankChangeCooldownHours, req.user.id, reason);
+    if (updates.firstWithdrawalHoldDays !== undefined) await setConfig('first_withdrawal_hold_days', updates.firstWithdrawalHoldDays, req.user.id, reason);
+
+    const current = await getVelocitySettings();
+    await auditLog('GLOBAL_LIMITS_SET', req.user.id, { reason, ip: req.ip, metadata: { velocity: { from: previous, to: current } } });
+    res.json({ success: true, message: 'Withdrawal velocity limits updated', data: current });
+  } catch (error) {
+    console.error('setVelocityLimits error:', error);
+    res.status(500).json({ success: false, message: 'Failed to set velocity limits' });
+  }
+};
+
+exports.getPayoutProviders = async (req, res) => {
+  try {
+    const routes = await payoutProviders.getRoutes();
+    res.json({ success: true, data: { routes, providers: payoutProviders.describeProviders() } });
+  } catch (error) {
+    console.error('getPayoutProviders error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch payout providers' });
+  }
+};
+
+exports.setPayoutProviders = async (req, res) => {
+  try {
+    const { paymentMethod = 'bank', providers, reason } = req.body;
+    const errors = payoutProviders.validateRoute(paymentMethod, providers);
+    if (errors.length) {
+      return res.status(400).json({ success: false, message: 'Invalid payout providers', errors });
+    }
+    const previous = await payoutProviders.getRoute(paymentMethod);
+    const routes = await payoutProviders.setRoute(paymentMethod, providers, { updatedBy: req.user.id, reason });
+    await auditLog('PAYOUT_PROVIDER_CHANGED', req.user.id, { reason, ip: req.ip, metadata: { paymentMethod, previous, providers } });
+    console.log(`[ADMIN] ${paymentMethod} payouts routed to ${providers.join(' -> ')} by ${req.user.id}`);
+    res.json({ success: true, message: `${paymentMethod} payouts now go through ${providers.join(', then ')}`, data: { routes, reason } });
+  } catch (error) {
+    console.error('setPayoutProviders error:', error);
+    res.status(500).json({ success: false, message: 'Failed to set payout providers' });
+  }
+};
+
 exports.pauseUserWithdrawals = async (req, res) => {
   try {
     const { identifier } = req.params;
@@ -307,14 +413,21 @@ exports.whitelistUser = async (req, res) => {
 exports.setUserLimits = async (req, res) => {
   try {
     const { identifier } = req.params;
-    const { minLimit, maxLimit } = req.body;
+    const { minLimit, maxLimit, velocityLimits, reason } = req.body;
     const user = await findUserByIdentifier(identifier);
     if (!user) return res.status(404).json({ success: false, message: `User not found: ${identifier}` });
     const update = { updatedAt: new Date() };
     if (minLimit !== undefined) update.customMinLimit = minLimit === null ? null : Number(minLimit);
     if (maxLimit !== undefined) update.customMaxLimit = maxLimit === null ? null : Number(maxLimit);
+    if (velocityLimits !== undefined) {
+      // Replaces the default per-user rolling caps for this user; null goes back to the default
+      const { limits, errors } = normalizeLimits(velocityLimits, 'velocityLimits');
+      if (errors.length) return res.status(400).json({ success: false, message: 'Invalid velocity limits', errors });
+      update.velocityLimits = limits;
+    }
     const control = await UserWithdrawalControl.findOneAndUpdate({ user: user._id }, update, { upsert: true, new: true });
-    res.json({ success: true, message: `Custom limits set for ${user.name}`, data: { userId: user._id, username: user.username, customMinLimit: control.customMinLimit, customMaxLimit: control.customMaxLimit } });
+    await auditLog('USER_LIMITS_SET', req.user.id, { targetUser: user._id, reason, ip: req.ip, metadata: { customMinLimit: control.customMinLimit, customMaxLimit: control.customMaxLimit, velocityLimits: control.velocityLimits } });
+    res.json({ success: true, message: `Custom limits set for ${user.name}`, data: { userId: user._id, username: user.username, customMinLimit: control.customMinLimit, customMaxLimit: control.customMaxLimit, velocityLimits: control.velocityLimits } });
   } catch (error) {
     console.error('setUserLimits error:', error);
     res.status(500).json({ success: false, message: 'Failed to set user limits' });
@@ -359,38 +472,19 @@ exports.getAuditLog = async (req, res) => {
 exports.bulkCancelAllPendingWithdrawals = async (req, res) => {
   try {
     const { reason = 'Bulk cancellation by admin', dryRun = false } = req.body;
-    const pendingWithdrawals = await Withdrawal.find({ status: { $in: ['pending', 'processing'] } }).populate('user', 'name email');
+    const pendingWithdrawals = await Withdrawal.find({ status: { $in: IN_PROGRESS_STATUSES } }).populate('user', 'name email');
     if (pendingWithdrawals.length === 0) return res.json({ success: true, message: 'No pending withdrawals found', data: { cancelled: 0, dryRun } });
     if (dryRun) {
       return res.json({
         success: true, message: `DRY RUN: Would cancel ${pendingWithdrawals.length} withdrawals`,
-        data: { dryRun: true, wouldCancel: pendingWithdrawals.length, totalAmountRefunded: pendingWithdrawals.reduce((s, w) => s + w.amount, 0), breakdown: { pending: pendingWithdrawals.filter(w => w.status === 'pending').length, processing: pendingWithdrawals.filter(w => w.status === 'processing').length }, withdrawals: pendingWithdrawals.slice(0, 10).map(w => ({ id: w._id, amount: w.amount, status: w.status, user: w.user?.email })) }
+        data: { dryRun: true, wouldCancel: pendingWithdrawals.length, totalAmountRefunded: pendingWithdrawals.reduce((s, w) => s + w.amount, 0), breakdown: Object.fromEntries(IN_PROGRESS_STATUSES.map(status => [status, pendingWithdrawals.filter(w => w.status === status).length])), withdrawals: pendingWithdrawals.slice(0, 10).map(w => ({ id: w._id, amount: w.amount, status: w.status, user: w.user?.email })) }
       });
     }
-    const userRefunds = {};
-    for (const w of pendingWithdrawals) {
-      const uid = w.user._id.toString();
-      if (!userRefunds[uid]) userRefunds[uid] = { pendingRefund: 0, processingRefund: 0 };
-      if (w.status === 'pending') userRefunds[uid].pendingRefund += w.amount;
-      if (w.status === 'processing') userRefunds[uid].processingRefund += w.amount;
-    }
-    const session = await mongoose.startSession();
-    session.startTransaction();
-    try {
-      await Withdrawal.updateMany({ status: { $in: ['pending', 'processing'] } }, { status: 'cancelled', rejectionReason: reason, adminNotes: `Bulk cancelled by admin ${req.user.id} at ${new Date().toISOString()}` }, { session });
-      for (const [userId, refunds] of Object.entries(userRefunds)) {
-        await Referral.findOneAndUpdate({ user: userId }, { $inc: { pendingWithdrawals: -refunds.pendingRefund, processingWithdrawals: -refunds.processingRefund } }, { session });
-      }
-      await session.commitTransaction();
-      session.endSession();
-      const totalRefunded = pendingWithdrawals.reduce((s, w) => s + w.amount, 0);
-      await auditLog('WITHDRAWAL_BULK_CANCELLED', req.user.id, { reason, ip: req.ip, metadata: { totalCancelled: pendingWithdrawals.length, totalRefunded, usersAffected: Object.keys(userRefunds).length } });
-      res.json({ success: true, message: `Cancelled ${pendingWithdrawals.length} withdrawals and refunded ₦${totalRefunded.toLocaleString()}`, data: { cancelled: pendingWithdrawals.length, totalRefunded, usersAffected: Object.keys(userRefunds).length, reason } });
-    } catch (err) {
-      await session.abortTransaction();
-      session.endSession();
-      throw err;
-    }
+    const cancelled = await cancelAndRefund({}, { rejectionReason: reason, adminNotes: `Bulk cancelled by admin ${req.user.id} at ${new Date().toISOString()}` }, req.user.id);
+    const totalRefunded = cancelled.reduce((s, w) => s + w.amount, 0);
+    const usersAffected = new Set(cancelled.map(w => w.user.toString())).size;
+    await auditLog('WITHDRAWAL_BULK_CANCELLED', req.user.id, { reason, ip: req.ip, metadata: { totalCancelled: cancelled.length, totalRefunded, usersAffected } });
+    res.json({ success: true, message: `Cancelled ${cancelled.length} withdrawals and refunded ₦${totalRefunded.toLocaleString()}`, data: { cancelled: cancelled.length, totalRefunded, usersAffected, reason } });
   } catch (error) {
     console.error('bulkCancelAllPendingWithdraws error:', error);
     res.status(500).json({ success: false, message: 'Failed to bulk cancel withdrawals' });
@@ -522,25 +616,28 @@ exports.getAdminDashboard = async (req, res) => {
     const now = new Date();
     const last24h = new Date(now - 24 * 60 * 60 * 1000);
     const last7d = new Date(now - 7 * 24 * 60 * 60 * 1000);
-    const [pendingCount, processingCount, paidToday, failedToday, paidThisWeek, pendingAmountAgg, blacklistedCount, pausedUsersCount, pendingSchedules, recentAuditLogs, topPendingUsers] = await Promise.all([
+    const [pendingCount, processingCount, activeCount, paidToday, failedToday, paidThisWeek, pendingAmountAgg, blacklistedCount, pausedUsersCount, pendingSchedules, recentAuditLogs, topPendingUsers] = await Promise.all([
       Withdrawal.countDocuments({ status: 'pending' }), Withdrawal.countDocuments({ status: 'processing' }),
+      Withdrawal.countDocuments({ status: { $in: IN_PROGRESS_STATUSES } }),
       Withdrawal.countDocuments({ status: 'paid', processedAt: { $gte: last24h } }), Withdrawal.countDocuments({ status: 'failed', updatedAt: { $gte: last24h } }),
       Withdrawal.countDocuments({ status: 'paid', processedAt: { $gte: last7d } }),
-      Withdrawal.aggregate([{ $match: { status: { $in: ['pending', 'processing'] } } }, { $group: { _id: null, total: { $sum: '$amount' }, bankTotal: { $sum: { $cond: [{ $eq: ['$withdrawalType', 'bank'] }, '$amount', 0] } }, cryptoTotal: { $sum: { $cond: [{ $eq: ['$withdrawalType', 'crypto'] }, '$amount', 0] } } } }]),
+      Withdrawal.aggregate([{ $match: { status: { $in: IN_PROGRESS_STATUSES } } }, { $group: { _id: null, total: { $sum: '$amount' }, bankTotal: { $sum: { $cond: [{ $eq: ['$withdrawalType', 'bank'] }, '$amount', 0] } }, cryptoTotal: { $sum: { $cond: [{ $eq: ['$withdrawalType', 'crypto'] }, '$amount', 0] } } } }]),
       UserWithdrawalControl.countDocuments({ isBlacklisted: true }), UserWithdrawalControl.countDocuments({ isPaused: true, isBlacklisted: false }),
       WithdrawalSchedule.countDocuments({ executed: false, cancelled: false }),
       WithdrawalAuditLog.find().sort({ createdAt: -1 }).limit(5).populate('performedBy', 'name'),
-      Withdrawal.aggregate([{ $match: { status: { $in: ['pending', 'processing'] } } }, { $group: { _id: '$user', count: { $sum: 1 }, totalAmount: { $sum: '$amount' } } }, { $sort: { totalAmount: -1 } }, { $limit: 5 }, { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'userInfo' } }, { $unwind: { path: '$userInfo', preserveNullAndEmpty: true } }])
+      Withdrawal.aggregate([{ $match: { status: { $in: IN_PROGRESS_STATUSES } } }, { $group: { _id: '$user', count: { $sum: 1 }, totalAmount: { $sum: '$amount' } } }, { $sort: { totalAmount: -1 } }, { $limit: 5 }, { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'userInfo' } }, { $unwind: { path: '$userInfo', preserveNullAndEmpty: true } }])
     ]);
+    const retries = await getRetryOverview();
     const pendingAmounts = pendingAmountAgg[0] || { total: 0, bankTotal: 0, cryptoTotal: 0 };
     res.json({
       success: true,
       data: {
         systemStatus: { globalPaused, globalPauseReason, emergencyFreeze, bankEnabled, cryptoEnabled, overallHealthy: !globalPaused && !emergencyFreeze && bankEnabled && cryptoEnabled },
         limits: { globalMinLimit, globalMaxLimit },
-        withdrawalMetrics: { pendingCount, processingCount, totalActiveCount: pendingCount + processingCount, totalActiveAmount: pendingAmounts.total, bankPendingAmount: pendingAmounts.bankTotal, cryptoPendingAmount: pendingAmounts.cryptoTotal, paidLast24h: paidToday, failedLast24h: failedToday, paidLast7d: paidThisWeek },
+        withdrawalMetrics: { pendingCount, processingCount, totalActiveCount: activeCount, totalActiveAmount: pendingAmounts.total, bankPendingAmount: pendingAmounts.bankTotal, cryptoPendingAmount: pendingAmounts.cryptoTotal, paidLast24h: paidToday, failedLast24h: failedToday, paidLast7d: paidThisWeek },
         userControls: { blacklistedUsers: blacklistedCount, pausedUsers: pausedUsersCount },
         scheduled: { pendingSchedules },
+        retries,
         recentAdminActivity: recentAuditLogs.map(l => ({ action: l.action, performedBy: l.performedBy?.name || 'System', createdAt: l.createdAt })),
         topUsersWithPendingWithdrawals: topPendingUsers.map(u => ({ userId: u._id, name: u.userInfo?.name || 'Unknown', email: u.userInfo?.email || 'Unknown', pendingCount: u.count, totalPendingAmount: u.totalAmount }))
       }
@@ -553,21 +650,85 @@ exports.getAdminDashboard = async (req, res) => {
 
 module.exports = exports;
 
+const retryErrorResponse = (res, error, message) => {
+  if (error instanceof WithdrawalRetryError) return res.status(error.statusCode).json({ success: false, message: error.message });
+  console.error(`${message}:`, error);
+  return res.status(500).json({ success: false, message, error: process.env.NODE_ENV === 'development' ? error.message : undefined });
+};
+
+/**
+ * @desc    Withdrawals whose retries ran out, waiting for an admin to retry or refund them
+ * @route   GET /api/withdrawal/admin/control/dashboard/dead-letter
+ * @query   { page, limit }
+ */
+exports.getDeadLetterWithdrawals = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 100);
+    const [withdrawals, count, overview] = await Promise.all([
+      Withdrawal.find({ status: 'dead_letter' }).populate('user', 'name email username').sort({ deadLetteredAt: 1 }).skip((page - 1) * limit).limit(limit),
+      Withdrawal.countDocuments({ status: 'dead_letter' }),
+      getRetryOverview()
+    ]);
+    res.json({
+      success: true,
+      count,
+      totalPages: Math.ceil(count / limit),
+      currentPage: page,
+      summary: overview,
+      data: withdrawals.map(w => ({ id: w._id, clientReference: w.clientReference, user: w.user, amount: w.amount, paymentDetails: w.paymentDetails, payoutProvider: w.payoutProvider, retryCount: w.retryCount, lastRetryAt: w.lastRetryAt, failureReason: w.failureReason, failureType: w.failureType, deadLetteredAt: w.deadLetteredAt, createdAt: w.createdAt }))
+    });
+  } catch (error) {
+    retryErrorResponse(res, error, 'Failed to fetch dead-letter withdrawals');
+  }
+};
+
+/**
+ * @desc    Send a dead-lettered withdrawal to the payout provider again
+ * @route   POST /api/withdrawal/admin/control/dashboard/dead-letter/:withdrawalId/retry
+ * @body    { reason? }
+ */
+exports.retryDeadLetterWithdrawal = async (req, res) => {
+  try {
+    const { withdrawalId } = req.params;
+    const { withdrawal, outcome } = await retryWithdrawal(withdrawalId, { adminId: req.user.id });
+    await auditLog('WITHDRAWAL_RETRIED', req.user.id, { targetUser: withdrawal.user, targetWithdrawal: withdrawal._id, reason: req.body.reason, ip: req.ip, metadata: { retryCount: withdrawal.retryCount, transferReference: withdrawal.transferReference, outcome } });
+    const messages = {
+      paid: 'Withdrawal retried and paid',
+      processing: 'Withdrawal retried; the provider is processing it',
+      unknown: 'Withdrawal retried; the provider did not answer, its status will be checked'
+    };
+    res.json({ success: true, message: messages[outcome] || `Withdrawal retried but failed again: ${withdrawal.failureReason}`, data: { withdrawalId, status: withdrawal.status, outcome, retryCount: withdrawal.retryCount, failureReason: outcome === 'paid' ? undefined : withdrawal.failureReason } });
+  } catch (error) {
+    retryErrorResponse(res, error, 'Failed to retry withdrawal');
+  }
+};
+
+/**
+ * @desc    Return a dead-lettered withdrawal's amount to the user's balance
+ * @route   POST /api/withdrawal/admin/control/dashboard/dead-letter/:withdrawalId/refund
+ * @body    { reason? }
+ */
+exports.refundDeadLetterWithdrawal = async (req, res) => {
+  try {
+    const { withdrawalId } = req.params;
+    const { reason } = req.body;
+    const withdrawal = await refundWithdrawal(withdrawalId, { adminId: req.user.id, reason });
+    await auditLog('WITHDRAWAL_REFUNDED', req.user.id, { targetUser: withdrawal.user, targetWithdrawal: withdrawal._id, reason: withdrawal.rejectionReason, ip: req.ip, metadata: { amount: withdrawal.amount, retryCount: withdrawal.retryCount } });
+    res.json({ success: true, message: 'Withdrawal refunded to the user\'s balance', data: { withdrawalId, status: withdrawal.status, amount: withdrawal.amount, reason: withdrawal.rejectionReason } });
+  } catch (error) {
+    retryErrorResponse(res, error, 'Failed to refund withdrawal');
+  }
+};
+
 exports.cancelAllUserPendingWithdrawals = async (req, res) => {
   try {
     const { identifier } = req.params;
     const { reason = 'Admin cancellation' } = req.body;
     const user = await findUserByIdentifier(identifier);
     if (!user) return res.status(404).json({ success: false, message: `User not found: ${identifier}` });
-    const withdrawals = await Withdrawal.find({ user: user._id, status: { $in: ['pending', 'processing'] } });
+    const withdrawals = await cancelAndRefund({ user: user._id }, { rejectionReason: reason, adminNotes: `Cancelled by admin ${req.user.id}` }, req.user.id);
     if (withdrawals.length === 0) return res.json({ success: true, message: 'No pending withdrawals found', data: { cancelled: 0 } });
-    let pendingRefund = 0, processingRefund = 0;
-    for (const w of withdrawals) {
-      if (w.status === 'pending') pendingRefund += w.amount;
-      if (w.status === 'processing') processingRefund += w.amount;
-    }
-    await Withdrawal.updateMany({ user: user._id, status: { $in: ['pending', 'processing'] } }, { status: 'cancelled', rejectionReason: reason, adminNotes: `Cancelled by admin ${req.user.id}` });
-    await Referral.findOneAndUpdate({ user: user._id }, { $inc: { pendingWithdrawals: -pendingRefund, processingWithdrawals: -processingRefund } });
     await auditLog('USER_WITHDRAWALS_CANCELLED', req.user.id, { targetUser: user._id, reason, ip: req.ip, metadata: { cancelled: withdrawals.length } });
     res.json({ success: true, message: `Cancelled ${withdrawals.length} withdrawals for ${user.name}`, data: { cancelled: withdrawals.length, reason } });
   } catch (error) {
@@ -587,9 +748,7 @@ exports.forceCancelWithdrawal = async (req, res) => {
     withdrawal.status = 'cancelled';
     withdrawal.rejectionReason = reason;
     withdrawal.adminNotes = `Force cancelled by admin ${req.user.id} at ${new Date().toISOString()}`;
-    await withdrawal.save();
-    if (prevStatus === 'pending') await Referral.findOneAndUpdate({ user: withdrawal.user }, { $inc: { pendingWithdrawals: -withdrawal.amount } });
-    if (prevStatus === 'processing') await Referral.findOneAndUpdate({ user: withdrawal.user }, { $inc: { processingWithdrawals: -withdrawal.amount } });
+    await saveWithdrawalTransition(withdrawal, 'available', WITHDRAWAL_STATUS_BUCKETS[prevStatus] || 'pending', { createdBy: req.user.id });
     await auditLog('WITHDRAWAL_FORCE_CANCELLED', req.user.id, { targetUser: withdrawal.user, targetWithdrawal: withdrawal._id, reason, ip: req.ip });
     res.json({ success: true, message: 'Withdrawal force cancelled', data: { withdrawalId, previousStatus: prevStatus, newStatus: 'cancelled', reason } });
   } catch (error) {
@@ -610,7 +769,7 @@ exports.overrideWithdrawalStatus = async (req, res) => {
     withdrawal.status = status;
     if (adminNotes) withdrawal.adminNotes = adminNotes;
     if (status === 'paid') withdrawal.processedAt = new Date();
-    await withdrawal.save();
+    await saveWithdrawalTransition(withdrawal, WITHDRAWAL_STATUS_BUCKETS[status], WITHDRAWAL_STATUS_BUCKETS[prevStatus] || 'pending', { createdBy: req.user.id });
     await auditLog('WITHDRAWAL_STATUS_OVERRIDDEN', req.user.id, { targetUser: withdrawal.user, targetWithdrawal: withdrawal._id, reason, ip: req.ip, metadata: { from: prevStatus, to: status } });
     res.json({ success: true, message: `Withdrawal status overridden from ${prevStatus} to ${status}`, data: { withdrawalId, previousStatus: prevStatus, newStatus: status } });
   } catch (error) {
@@ -0,0 +1,236 @@
+// controller/approvalController.js
+const mongoose = require('mongoose');
+const ApprovalRequest = require('../models/ApprovalRequest');
+const ApprovalThreshold = require('../models/ApprovalThreshold');
+const AdminAuditLog = require('../models/AdminAuditLog');
+const { APPROVAL_POLICIES, APPROVAL_ACTIONS, isKnownApprovalAction } = require('../config/approvalPolicies');
+const { hasPermission } = require('../config/adminRoles');
+const approvalService = require('../utils/approvalService');
+
+const serverError = (res, message, error) =>
+  res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+
+const approvalErrorResponse = (res, error) =>
+  res.status(error.statusCode).json({
+    success: false,
+    code: error.code,
+    message: error.message
+  });
+
+// Actions whose requests this admin may see and decide
+const visibleActions = (user) =>
+  APPROVAL_ACTIONS.filter(action => hasPermission(user, APPROVAL_POLICIES[action].permission));
+
+const PEOPLE = [
+  { path: 'requestedBy', select: 'name email' },
+  { path: 'decidedBy', select: 'name email' },
+  { path: 'targetUserId', select: 'name email' }
+];
+
+/**
+ * @desc    List approval requests for actions the admin may decide
+ * @route   GET /api/admin/approvals
+ * @access  Private (any admin; filtered by permission)
+ */
+exports.listRequests = async (req, res) => {
+  try {
+    const { status, action } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    await ApprovalRequest.expireStale();
+
+    const actions = visibleActions(req.user);
+    const filter = { action: { $in: action ? actions.filter(a => a === action) : actions } };
+    if (status) filter.status = status;
+
+    const [requests, total] = await Promise.all([
+      ApprovalRequest.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('-executionResult.body')
+        .populate(PEOPLE),
+      ApprovalRequest.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      requests,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    console.error('Error listing approval requests:', error);
+    serverError(res, 'Failed to fetch approval requests', error);
+  }
+};
+
+/**
+ * @desc    One approval request with its preview and execution result
+ * @route   GET /api/admin/approvals/:requestId
+ * @access  Private (permission of the underlying action)
+ */
+exports.getRequest = async (req, res) => {
+  try {
+    const { requestId } = req.params;
+    const request = mongoose.isValidObjectId(requestId)
+      ? await ApprovalRequest.findById(requestId).populate(PEOPLE)
+      : null;
+
+    if (!request || !visibleActions(req.user).includes(request.action)) {
+      return res.status(404).json({ success: false, message: 'Approval request not found' });
+    }
+
+    res.status(200).json({ success: true, request });
+  } catch (error) {
+    console.error('Error fetching approval request:', error);
+    serverError(res, 'Failed to fetch approval request', error);
+  }
+};
+
+/**
+ * @desc    Approve a pending request; the held action runs immediately
+ * @route   POST /api/admin/approvals/:requestId/approve
+ * @access  Private (permission of the underlying action; not the requester)
+ */
+exports.approveRequest = async (req, res) => {
+  try {
+    const request = await approvalService.approveRequest(req.params.requestId, req.user, {
+      note: req.body?.note,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.status(200).json({
+      success: request.status === 'executed',
+      message: request.status === 'executed'
+        ? 'Request approved and carried out'
+        : 'Request approved but the action failed; see result',
+      request: {
+        id: request._id,
+        action: request.action,
+        status: request.status,
+        decidedAt: request.decidedAt,
+        executedAt: request.executedAt
+      },
+      result: request.executionResult
+    });
+  } catch (error) {
+    if (error instanceof approvalService.ApprovalError) return approvalErrorResponse(res, error);
+    console.error('Error approving request:', error);
+    serverError(res, 'Failed to approve request', error);
+  }
+};
+
+/**
+ * @desc    Reject a pending request
+ * @route   POST /api/admin/approvals/:requestId/reject
+ * @access  Private (permission of the underlying action; not the requester)
+ */
+exports.rejectRequest = async (req, res) => {
+  try {
+    const request = await approvalService.rejectRequest(req.params.requestId, req.user, {
+      note: req.body?.reason,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Request rejected',
+      request: {
+        id: request._id,
+        action: request.action,
+        status: request.status,
+        decidedAt: request.decidedAt,
+        decisionNote: request.decisionNote
+      }
+    });
+  } catch (error) {
+    if (error instanceof approvalService.ApprovalError) return approvalErrorResponse(res, error);
+    console.error('Error rejecting request:', error);
+    serverError(res, 'Failed to reject request', error);
+  }
+};
+
+/**
+ * @desc    Thresholds in force for each four-eyes action
+ * @route   GET /api/admin/approvals/thresholds
+ * @access  Private (any admin)
+ */
+exports.getThresholds = async (req, res) => {
+  try {
+    res.status(200).json({ success: true, thresholds: await approvalService.listThresholds() });
+  } catch (error) {
+    console.error('Error fetching approval thresholds:', error);
+    serverError(res, 'Failed to fetch approval thresholds', error);
+  }
+};
+
+/**
+ * @desc    Change the threshold for an action, or switch its check off
+ * @route   PUT /api/admin/approvals/thresholds/:action
+ * @access  Private (admins.manage)
+ */
+exports.updateThreshold = async (req, res) => {
+  try {
+    const { action } = req.params;
+    const { threshold, enabled = true, reason } = req.body || {};
+
+    if (!isKnownApprovalAction(action)) {
+      return res.status(404).json({
+        success: false,
+        message: `Unknown approval action: ${action}`,
+        availableActions: APPROVAL_ACTIONS
+      });
+    }
+
+    const value = Number(threshold);
+    if (threshold === undefined || threshold === null || !Number.isFinite(value) || value < 0) {
+      return res.status(400).json({ success: false, message: 'threshold must be a non-negative number' });
+    }
+    if (!reason) {
+      return res.status(400).json({ success: false, message: 'A reason is required' });
+    }
+
+    const previous = await approvalService.getThreshold(action);
+    const updated = await ApprovalThreshold.findOneAndUpdate(
+      { action },
+      { $set: { threshold: value, enabled: Boolean(enabled), updatedBy: req.user._id, reason } },
+      { new: true, upsert: true }
+    );
+
+    await AdminAuditLog.create({
+      adminId: req.user._id,
+      action: 'UPDATE_APPROVAL_THRESHOLD',
+      targetType: 'approval_threshold',
+      targetId: action,
+      details: {
+        approvalAction: action,
+        before: { threshold: previous.threshold, enabled: previous.enabled },
+        after: { threshold: updated.threshold, enabled: updated.enabled }
+      },
+      reason,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Approval threshold for ${APPROVAL_POLICIES[action].label} updated`,
+      threshold: {
+        action,
+        threshold: updated.threshold,
+        enabled: updated.enabled,
+        source: 'admin'
+      }
+    });
+  } catch (error) {
+    console.error('Error updating approval threshold:', error);
+    serverError(res, 'Failed to update approval threshold', error);
+  }
+};
@@ -0,0 +1,144 @@
+// controller/auditController.js
+const AuditEvent = require('../models/AuditEvent');
+const { buildFilter, backfillAuditEvents } = require('../utils/auditService');
+
+const serverError = (res, message, error) =>
+  res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+
+const EXPORT_MAX_ROWS = parseInt(process.env.AUDIT_EXPORT_MAX_ROWS, 10) || 50000;
+
+const PEOPLE = [
+  { path: 'actor', select: 'name email' },
+  { path: 'targetUser', select: 'name email' }
+];
+
+const CSV_COLUMNS = [
+  ['timestamp', e => e.createdAt?.toISOString()],
+  ['action', e => e.action],
+  ['source', e => e.source],
+  ['actorId', e => e.actor?._id],
+  ['actorName', e => e.actor?.name],
+  ['actorEmail', e => e.actor?.email],
+  ['entityType', e => e.entityType],
+  ['entityId', e => e.entityId],
+  ['targetUserId', e => e.targetUser?._id],
+  ['targetUserEmail', e => e.targetUser?.email],
+  ['reason', e => e.reason],
+  ['ipAddress', e => e.ipAddress],
+  ['userAgent', e => e.userAgent],
+  ['requestId', e => e.requestId],
+  ['before', e => (e.before === undefined ? '' : JSON.stringify(e.before))],
+  ['after', e => (e.after === undefined ? '' : JSON.stringify(e.after))],
+  ['details', e => (e.details === undefined ? '' : JSON.stringify(e.details))]
+];
+
+const csvCell = (value) => {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvRow = (cells) => `${cells.map(csvCell).join(',')}\r\n`;
+
+/**
+ * Validated filter from the query string. Sends a 400 and returns null when
+ * a date cannot be parsed.
+ */
+const filterFromQuery = async (req, res) => {
+  const { from, to } = req.query;
+  if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+    res.status(400).json({ success: false, message: 'from and to must be valid dates' });
+    return null;
+  }
+  // Unknown actor: match nothing rather than everything
+  return (await buildFilter(req.query)) || { _id: null };
+};
+
+/**
+ * @desc    Search the audit trail
+ * @route   GET /api/admin/audit
+ * @access  Private (audit.view)
+ */
+exports.getAuditEvents = async (req, res) => {
+  try {
+    const filter = await filterFromQuery(req, res);
+    if (!filter) return;
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    const [events, total] = await Promise.all([
+      AuditEvent.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate(PEOPLE)
+        .lean(),
+      AuditEvent.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      events,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    console.error('Error fetching audit events:', error);
+    serverError(res, 'Failed to fetch audit events', error);
+  }
+};
+
+/**
+ * @desc    Export the audit trail as CSV (same filters as the search)
+ * @route   GET /api/admin/audit/export
+ * @access  Private (audit.view)
+ */
+exports.exportAuditEvents = async (req, res) => {
+  try {
+    const filter = await filterFromQuery(req, res);
+    if (!filter) return;
+
+    const total = await AuditEvent.countDocuments(filter);
+    if (total > EXPORT_MAX_ROWS) {
+      return res.status(413).json({
+        success: false,
+        message: `Export would contain ${total} rows; narrow the filters to at most ${EXPORT_MAX_ROWS}`
+      });
+    }
+
+    const filename = `audit_${new Date().toISOString().split('T')[0]}.csv`;
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.write(csvRow(CSV_COLUMNS.map(([name]) => name)));
+
+    const cursor = AuditEvent.find(filter).sort({ createdAt: -1 }).populate(PEOPLE).lean().cursor();
+    for await (const event of cursor) {
+      res.write(csvRow(CSV_COLUMNS.map(([, value]) => value(event))));
+    }
+    res.end();
+  } catch (error) {
+    console.error('Error exporting audit events:', error);
+    if (res.headersSent) return res.end();
+    serverError(res, 'Failed to export audit events', error);
+  }
+};
+
+/**
+ * @desc    Copy AdminAuditLog, WithdrawalAuditLog and TierConfig history into
+ *          the audit trail. Already-copied records are skipped.
+ * @route   POST /api/admin/audit/backfill
+ * @access  Private (admins.manage)
+ */
+exports.backfill = async (req, res) => {
+  try {
+    const results = await backfillAuditEvents();
+    res.status(200).json({ success: true, message: 'Audit backfill complete', results });
+  } catch (error) {
+    console.error('Error backfilling audit events:', error);
+    serverError(res, 'Failed to backfill audit events', error);
+  }
+};
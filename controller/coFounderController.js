@@ -875,7 +875,7 @@ const adminAddCoFounderShares = async (req, res) => {
 
 const adminAddCoFounderSharesFlexible = async (req, res) => {
     try {
-        const { userIdentifier, shares, note } = req.body;
+        const { userIdentifier, shares, note, tierKey } = req.body;
         const adminId = req.user.id;
         
         const admin = await User.findById(adminId);
@@ -889,7 +889,7 @@ const adminAddCoFounderSharesFlexible = async (req, res) => {
         }
         
         // Create a modified request to use the standard add shares function
-        const modifiedReq = { ...req, body: { userId: user._id, shares, note } };
+        const modifiedReq = { ...req, body: { userId: user._id, shares, note, tierKey } };
         return adminAddCoFounderShares(modifiedReq, res);
     } catch (error) {
         console.error('Error in flexible add shares:', error);
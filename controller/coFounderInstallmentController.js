@@ -562,44 +562,28 @@ const payCoFounderInstallmentWithPaystack = async (req, res) => {
 };
 
 /**
- * @desc    Verify Paystack co-founder installment payment
- * @route   GET /api/shares/cofounder/installment/paystack/verify
- * @access  Private (User)
+ * Apply a successful Paystack charge to its co-founder installment plan.
+ * Shared by the verify route and the Paystack webhook. Idempotent: a charge
+ * that has already been applied returns 200 with alreadyProcessed set.
+ * @param {object} paymentData - Paystack transaction (verify response `data` or webhook `data`)
+ * @param {object} [options]
+ * @param {string} [options.requestUserId] - Signed-in user; must own the payment
+ * @returns {Promise<{statusCode: number, body: object, alreadyProcessed?: boolean}>}
  */
-const verifyCoFounderInstallmentPaystack = async (req, res) => {
+const applyCoFounderInstallmentPaystackPayment = async (paymentData, { requestUserId = null } = {}) => {
   const session = await CoFounderInstallmentPlan.startSession();
   session.startTransaction();
-  
+
+  const abort = async (statusCode, body) => {
+    await session.abortTransaction();
+    session.endSession();
+    return { statusCode, body };
+  };
+
   try {
-    const { reference } = req.query;
-    const userId = req.user.id;
-    
-    if (!reference) {
-      await session.abortTransaction();
-      session.endSession();
-      return res.status(400).json({
-        success: false,
-        message: 'Please provide payment reference'
-      });
-    }
-    
-    // Verify payment with Paystack
-    const verificationResponse = await axios.get(
-      `https://api.paystack.co/transaction/verify/${reference}`,
-      {
-        headers: {
-          Authorization: `Bearer ${process.env.PAYSTACK_SECRET_KEY}`
-        }
-      }
-    );
-    
-    const paymentData = verificationResponse.data.data;
-    
     // Check if payment was successful
     if (paymentData.status !== 'success') {
-      await session.abortTransaction();
-      session.endSession();
-      return res.status(400).json({
+      return abort(400, {
         success: false,
         message: 'Payment verification failed',
         data: paymentData
@@ -607,7 +591,24 @@ const verifyCoFounderInstallmentPaystack = async (req, res) => {
     }
     
     // Get metadata
-    const { planId, installmentNumber, transactionId } = paymentData.metadata;
+    const { planId, installmentNumber, transactionId } = paymentData.metadata || {};
+    const userId = requestUserId || paymentData.metadata?.userId;
+
+    if (!planId || !installmentNumber || !userId) {
+      return abort(400, {
+        success: false,
+        message: 'Invalid payment metadata. Missing required fields.',
+        receivedMetadata: paymentData.metadata
+      });
+    }
+
+    // When a signed-in user is verifying, it must be their own payment
+    if (requestUserId && paymentData.metadata?.userId && String(paymentData.metadata.userId) !== requestUserId) {
+      return abort(403, {
+        success: false,
+        message: 'Payment verification failed: User mismatch'
+      });
+    }
     
     // Find the co-founder installment plan
     const plan = await CoFounderInstallmentPlan.findOne({
@@ -616,9 +617,7 @@ const verifyCoFounderInstallmentPaystack = async (req, res) => {
     }).session(session);
     
     if (!plan) {
-      await session.abortTransaction();
-      session.endSession();
-      return res.status(404).json({
+      return abort(404, {
         success: false,
         message: 'Co-founder installment plan not found'
       });
@@ -627,21 +626,41 @@ const verifyCoFounderInstallmentPaystack = async (req, res) => {
     // Find the installment
     const installmentIndex = parseInt(installmentNumber) - 1;
     if (installmentIndex < 0 || installmentIndex >= plan.installments.length) {
-      await session.abortTransaction();
-      session.endSession();
-      return res.status(400).json({
+      return abort(400, {
         success: false,
         message: 'Invalid installment number'
       });
     }
     
     const installment = plan.installments[installmentIndex];
+
+    // Already applied (e.g. the webhook beat the browser callback, or vice versa)
+    if (installment.status === 'completed' && installment.transactionId === transactionId) {
+      await session.abortTransaction();
+      session.endSession();
+      return {
+        statusCode: 200,
+        alreadyProcessed: true,
+        body: {
+          success: true,
+          message: 'Co-founder payment already verified',
+          data: {
+            planId: plan.planId,
+            amount: installment.paidAmount,
+            status: 'completed',
+            planStatus: plan.status,
+            totalPaidAmount: plan.totalPaidAmount,
+            remainingBalance: plan.totalPrice - plan.totalPaidAmount,
+            sharesReleased: 0,
+            alreadyProcessed: true
+          }
+        }
+      };
+    }
     
     // Check if this transaction matches
     if (installment.transactionId !== transactionId) {
-      await session.abortTransaction();
-      session.endSession();
-      return res.status(400).json({
+      return abort(400, {
         success: false,
         message: 'Transaction ID mismatch'
       });
@@ -750,24 +769,63 @@ const verifyCoFounderInstallmentPaystack = async (req, res) => {
       }
     }
     
-    res.status(200).json({
-      success: true,
-      message: 'Co-founder payment verified successfully',
-      data: {
-        planId: plan.planId,
-        amount,
-        status: 'completed',
-        planStatus: plan.status,
-        totalPaidAmount: plan.totalPaidAmount,
-        remainingBalance: plan.totalPrice - plan.totalPaidAmount,
-        sharesReleased: sharesToRelease
+    return {
+      statusCode: 200,
+      body: {
+        success: true,
+        message: 'Co-founder payment verified successfully',
+        data: {
+          planId: plan.planId,
+          amount,
+          status: 'completed',
+          planStatus: plan.status,
+          totalPaidAmount: plan.totalPaidAmount,
+          remainingBalance: plan.totalPrice - plan.totalPaidAmount,
+          sharesReleased: sharesToRelease
+        }
       }
-    });
-    
+    };
   } catch (error) {
     await session.abortTransaction();
     session.endSession();
+    throw error;
+  }
+};
+
+/**
+ * @desc    Verify Paystack co-founder installment payment
+ * @route   GET /api/shares/cofounder/installment/paystack/verify
+ * @access  Private (User)
+ */
+const verifyCoFounderInstallmentPaystack = async (req, res) => {
+  try {
+    const { reference } = req.query;
     
+    if (!reference) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide payment reference'
+      });
+    }
+    
+    // Verify payment with Paystack
+    const verificationResponse = await axios.get(
+      `https://api.paystack.co/transaction/verify/${reference}`,
+      {
+        headers: {
+          Authorization: `Bearer ${process.env.PAYSTACK_SECRET_KEY}`
+        }
+      }
+    );
+    
+    const result = await applyCoFounderInstallmentPaystackPayment(
+      verificationResponse.data.data,
+      { requestUserId: req.user.id }
+    );
+
+    res.status(result.statusCode).json(result.body);
+    
+  } catch (error) {
     console.error('Error verifying co-founder Paystack payment:', error);
     
     let errorMessage = 'Failed to verify co-founder payment';
@@ -1151,6 +1209,7 @@ module.exports = {
   getUserCoFounderInstallmentPlans,
   payCoFounderInstallmentWithPaystack,
   verifyCoFounderInstallmentPaystack,
+  applyCoFounderInstallmentPaystackPayment,
   cancelCoFounderInstallmentPlan,
   checkCoFounderLatePayments,
   adminGetAllCoFounderInstallmentPlans,
@@ -29,10 +29,20 @@ const TransactionV2        = require('../models/TransactionV2');
 const UserShareV2          = require('../models/UserShareV2');
 const writeToV2            = require('../helpers/writeToV2');
 const recalculateUserShare = require('../helpers/recalculateUserShare');
+const ledgerService        = require('../utils/ledgerService');
+const LedgerEntry          = require('../models/LedgerEntry');
 
 const genTxId  = (prefix = 'FRN') =>
   `${prefix}-${crypto.randomBytes(4).toString('hex').toUpperCase()}-${Date.now().toString().slice(-6)}`;
 
+// ─── Helper: post a credit movement to the ledger, refresh creditBalance ──────
+// Call ledgerService.ensureFranchiseOpeningBalance() before mutating the
+// franchise so its pre-ledger credit is carried over first.
+const postFranchiseCredit = async (franchiseId, amount, details) => {
+  await ledgerService.recordFranchiseCredit(franchiseId, amount, details);
+  return ledgerService.syncFranchiseCredit(franchiseId);
+};
+
 // ─── Helper: resolve TierConfig ───────────────────────────────────────────────
 // ─── Helper: resolve TierConfig ───────────────────────────────────────────────
 const getTierData = async (tierKey) => {
@@ -545,6 +555,8 @@ exports.selfPurchase = async (req, res) => {
 
     const transactionId = genTxId('FSP');
 
+    await ledgerService.ensureFranchiseOpeningBalance(franchise);
+
     // ── Atomic deduction: guard and update in one operation ──────
     const updatedFranchise = await Franchise.findOneAndUpdate(
       {
@@ -571,6 +583,14 @@ exports.selfPurchase = async (req, res) => {
       });
     }
 
+    await postFranchiseCredit(franchise._id, -companyPrice, {
+      reference:   `franchise-tx:${transactionId}`,
+      description: `Self-purchase ${transactionId}`,
+      sourceModel: 'FranchiseTransaction',
+      sourceId:    transactionId,
+      createdBy:   userId,
+    });
+
     await FranchiseTx.create({
       transactionId,
       franchise:        updatedFranchise._id,
@@ -641,6 +661,8 @@ exports.approveTransaction = async (req, res) => {
     const tierData = await getTierData(tx.tierKey);
     if (!tierData) return res.status(400).json({ success: false, message: 'Tier no longer available' });
 
+    await ledgerService.ensureFranchiseOpeningBalance(franchise);
+
     // ── Atomic deduction: the $gte condition and $inc happen in one operation.
     // If two approvals fire at the same time, only the one that finds
     // creditBalance >= companyPrice will succeed — the other gets null back.
@@ -667,6 +689,14 @@ exports.approveTransaction = async (req, res) => {
       });
     }
 
+    await postFranchiseCredit(franchise._id, -tx.companyPrice, {
+      reference:   `franchise-tx:${tx.transactionId}`,
+      description: `Sale approved ${tx.transactionId}`,
+      sourceModel: 'FranchiseTransaction',
+      sourceId:    tx.transactionId,
+      createdBy:   userId,
+    });
+
     tx.status           = 'approved';
     tx.approvedAt       = new Date();
     tx.sharesReleased   = true;
@@ -1154,10 +1184,18 @@ exports.adminApproveCredit = async (req, res) => {
     purchase.approvedAt = new Date();
     purchase.adminNote  = adminNote;
 
-    franchise.creditBalance        += purchase.creditNaira;
+    await ledgerService.ensureFranchiseOpeningBalance(franchise);
+
     franchise.totalCreditPurchased += purchase.creditNaira;
     await franchise.save();
 
+    franchise.creditBalance = await postFranchiseCredit(franchise._id, purchase.creditNaira, {
+      reference:   `franchise-credit-purchase:${transactionId}`,
+      description: `${purchase.packageLabel} credit purchase approved`,
+      sourceId:    transactionId,
+      createdBy:   req.user.id,
+    });
+
     const owner = await User.findById(franchise.user);
     if (owner?.email) {
       try {
@@ -1295,6 +1333,9 @@ exports.adminResolveDispute = async (req, res) => {
 
       const tierData = await getTierData(tx.tierKey);
       if (tierData) {
+        const disputedFranchise = await Franchise.findById(tx.franchise);
+        if (disputedFranchise) await ledgerService.ensureFranchiseOpeningBalance(disputedFranchise);
+
         // ── Attempt atomic deduction first ───────────────────────
         const updatedFranchise = await Franchise.findOneAndUpdate(
           {
@@ -1313,10 +1354,17 @@ exports.adminResolveDispute = async (req, res) => {
         // ── If credit was insufficient, zero-floor the balance ───
         // Shares are still released — this is an admin decision, not
         // a voluntary approval, so the franchise bears the shortfall.
+        const ledgerCredit = await ledgerService.getFranchiseCredit(tx.franchise);
+        await postFranchiseCredit(tx.franchise, -(updatedFranchise ? tx.companyPrice : Math.max(0, ledgerCredit)), {
+          reference:   `franchise-tx:${tx.transactionId}`,
+          description: `Dispute resolved for buyer ${tx.transactionId}`,
+          sourceModel: 'FranchiseTransaction',
+          sourceId:    tx.transactionId,
+          createdBy:   req.user.id,
+          metadata:    { shortfall: !updatedFranchise },
+        });
+
         if (!updatedFranchise) {
-          await Franchise.findByIdAndUpdate(tx.franchise, {
-            $set: { creditBalance: 0 },
-          });
           console.warn(
             `Dispute ${tx.transactionId}: franchise ${tx.franchise} had insufficient credit. ` +
             `Balance zeroed. Shares still released per admin decision.`
@@ -1353,6 +1401,19 @@ exports.adminResolveDispute = async (req, res) => {
   }
 };
 
+/**
+ * Ledger reference for a manual credit adjustment: the approval request it was
+ * approved under, the admin's Idempotency-Key or the request id, so a retried
+ * request posts the adjustment only once
+ */
+const adjustmentReference = (req) => {
+  const franchiseId = req.params.franchiseId;
+  if (req.approval?.requestId) return `franchise-adjust:${franchiseId}:approval:${req.approval.requestId}`;
+  const key = req.get('Idempotency-Key');
+  if (key) return `franchise-adjust:${franchiseId}:${req.user.id}:${key}`;
+  return `franchise-adjust:${franchiseId}:request:${req.id || crypto.randomUUID()}`;
+};
+
 /**
  * POST /franchise/admin/adjust-credit/:franchiseId
  */
@@ -1367,19 +1428,41 @@ exports.adminAdjustCredit = async (req, res) => {
     if (!franchise) return res.status(404).json({ success: false, message: 'Franchise not found' });
 
     const adjustAmount = parseFloat(amount);
-    if (type === 'add') {
-      franchise.creditBalance        += adjustAmount;
-      franchise.totalCreditPurchased += adjustAmount;
-    } else {
-      if (franchise.creditBalance < adjustAmount) {
-        return res.status(400).json({ success: false, message: 'Deduction exceeds current balance' });
-      }
-      franchise.creditBalance -= adjustAmount;
+    if (!(adjustAmount > 0)) {
+      return res.status(400).json({ success: false, message: 'amount must be a positive number' });
     }
+    const reference = adjustmentReference(req);
 
-    await franchise.save();
+    // The deduction is checked against the ledger in the transaction that posts it
+    const adjusted = await ledgerService.withLedgerSession(async (session) => {
+      const current = await Franchise.findById(franchise._id).session(session);
+      await ledgerService.ensureFranchiseOpeningBalance(current, { session });
 
-    const owner = await User.findById(franchise.user);
+      const posted = await LedgerEntry.exists({ reference }).session(session);
+      if (!posted && type === 'deduct' && await ledgerService.getFranchiseCredit(current._id, { session }) < adjustAmount) {
+        return null;
+      }
+
+      const { created } = await ledgerService.recordFranchiseCredit(current._id, type === 'add' ? adjustAmount : -adjustAmount, {
+        reference,
+        description: reason || `Admin credit ${type}`,
+        createdBy:   req.user.id,
+        metadata:    { type, reason },
+      }, { session });
+
+      if (created && type === 'add') {
+        current.totalCreditPurchased += adjustAmount;
+        await current.save({ session });
+      }
+      return { created, creditBalance: await ledgerService.syncFranchiseCredit(current._id, { session }) };
+    });
+
+    if (!adjusted) {
+      return res.status(400).json({ success: false, message: 'Deduction exceeds current balance' });
+    }
+    franchise.creditBalance = adjusted.creditBalance;
+
+    const owner = adjusted.created ? await User.findById(franchise.user) : null;
     if (owner?.email) {
       try {
         await sendEmail({
@@ -891,46 +891,29 @@ exports.payInstallmentWithPaystack = async (req, res) => {
   }
 };
 /**
- * @desc    Verify Paystack installment payment (FIXED VERSION)
- * @route   GET /api/shares/installment/paystack/verify
- * @access  Private (User)
+ * Apply a successful Paystack charge to its installment plan.
+ * Shared by the verify route and the Paystack webhook. Idempotent: a charge
+ * that has already been applied returns 200 with alreadyProcessed set.
+ * @param {object} paymentData - Paystack transaction (verify response `data` or webhook `data`)
+ * @param {object} [options]
+ * @param {string} [options.requestUserId] - Signed-in user; must own the payment
+ * @returns {Promise<{statusCode: number, body: object, alreadyProcessed?: boolean}>}
  */
-exports.verifyInstallmentPaystack = async (req, res) => {
+const applyInstallmentPaystackPayment = async (paymentData, { requestUserId = null } = {}) => {
+  const reference = paymentData.reference;
   const session = await InstallmentPlan.startSession();
   session.startTransaction();
-  
-  try {
-    const { reference } = req.query;
-    
-    if (!reference) {
-      await session.abortTransaction();
-      session.endSession();
-      return res.status(400).json({
-        success: false,
-        message: 'Please provide payment reference'
-      });
-    }
 
-    console.log(`🔍 Verifying payment with reference: ${reference}`);
-    
-    // Verify payment with Paystack first
-    const verificationResponse = await axios.get(
-      `https://api.paystack.co/transaction/verify/${reference}`,
-      {
-        headers: {
-          Authorization: `Bearer ${process.env.PAYSTACK_SECRET_KEY}`
-        }
-      }
-    );
-    
-    const paymentData = verificationResponse.data.data;
-    console.log(`💳 Paystack verification response:`, paymentData);
-    
+  const abort = async (statusCode, body) => {
+    await session.abortTransaction();
+    session.endSession();
+    return { statusCode, body };
+  };
+
+  try {
     // Check if payment was successful
     if (paymentData.status !== 'success') {
-      await session.abortTransaction();
-      session.endSession();
-      return res.status(400).json({
+      return abort(400, {
         success: false,
         message: 'Payment verification failed',
         data: paymentData
@@ -941,9 +924,7 @@ exports.verifyInstallmentPaystack = async (req, res) => {
     const { planId, installmentNumber, userId } = paymentData.metadata;
     
     if (!planId || !installmentNumber || !userId) {
-      await session.abortTransaction();
-      session.endSession();
-      return res.status(400).json({
+      return abort(400, {
         success: false,
         message: 'Invalid payment metadata. Missing required fields.',
         receivedMetadata: paymentData.metadata
@@ -953,19 +934,15 @@ exports.verifyInstallmentPaystack = async (req, res) => {
     // Verify user from metadata instead of req.user
     const user = await User.findById(userId);
     if (!user) {
-      await session.abortTransaction();
-      session.endSession();
-      return res.status(404).json({
+      return abort(404, {
         success: false,
         message: 'User not found'
       });
     }
 
-    // If req.user exists, verify it matches the payment user
-    if (req.user && req.user.id !== userId) {
-      await session.abortTransaction();
-      session.endSession();
-      return res.status(403).json({
+    // When a signed-in user is verifying, it must be their own payment
+    if (requestUserId && requestUserId !== userId) {
+      return abort(403, {
         success: false,
         message: 'Payment verification failed: User mismatch'
       });
@@ -978,9 +955,7 @@ exports.verifyInstallmentPaystack = async (req, res) => {
     }).session(session);
     
     if (!plan) {
-      await session.abortTransaction();
-      session.endSession();
-      return res.status(404).json({
+      return abort(404, {
         success: false,
         message: `Installment plan not found for planId: ${planId} and userId: ${userId}`
       });
@@ -989,15 +964,39 @@ exports.verifyInstallmentPaystack = async (req, res) => {
     // Find the installment
     const installmentIndex = parseInt(installmentNumber) - 1;
     if (installmentIndex < 0 || installmentIndex >= plan.installments.length) {
-      await session.abortTransaction();
-      session.endSession();
-      return res.status(400).json({
+      return abort(400, {
         success: false,
         message: `Invalid installment number: ${installmentNumber}. Plan has ${plan.installments.length} installments.`
       });
     }
     
     const installment = plan.installments[installmentIndex];
+
+    // Already applied (e.g. the webhook beat the browser callback, or vice versa)
+    if (installment.status === 'paid' && installment.transactionId === reference) {
+      await session.abortTransaction();
+      session.endSession();
+      return {
+        statusCode: 200,
+        alreadyProcessed: true,
+        body: {
+          success: true,
+          message: 'Payment already verified',
+          data: {
+            planId: plan.planId,
+            amount: installment.paidAmount,
+            status: 'paid',
+            planStatus: plan.status,
+            totalPaidAmount: plan.totalPaidAmount,
+            remainingBalance: plan.totalPrice - plan.totalPaidAmount,
+            sharesReleased: 0,
+            totalSharesReleased: plan.sharesReleased,
+            transactionId: reference,
+            alreadyProcessed: true
+          }
+        }
+      };
+    }
     
     // More flexible transaction matching logic
     const canAcceptPayment = (
@@ -1015,9 +1014,7 @@ exports.verifyInstallmentPaystack = async (req, res) => {
     );
 
     if (!canAcceptPayment) {
-      await session.abortTransaction();
-      session.endSession();
-      return res.status(400).json({
+      return abort(400, {
         success: false,
         message: 'This installment cannot accept this payment',
         details: {
@@ -1031,9 +1028,7 @@ exports.verifyInstallmentPaystack = async (req, res) => {
 
     // Check if installment is already paid with a different transaction
     if (installment.status === 'paid' && installment.transactionId !== reference) {
-      await session.abortTransaction();
-      session.endSession();
-      return res.status(400).json({
+      return abort(400, {
         success: false,
         message: 'This installment has already been paid with a different transaction',
         data: {
@@ -1054,9 +1049,7 @@ exports.verifyInstallmentPaystack = async (req, res) => {
     );
     
     if (existingPayment && existingPayment !== installment) {
-      await session.abortTransaction();
-      session.endSession();
-      return res.status(400).json({
+      return abort(400, {
         success: false,
         message: 'This payment reference has already been used for another installment',
         data: {
@@ -1075,9 +1068,7 @@ exports.verifyInstallmentPaystack = async (req, res) => {
     
     // Validate payment amount for first payment
     if (installment.isFirstPayment && amount < plan.minimumDownPaymentAmount) {
-      await session.abortTransaction();
-      session.endSession();
-      return res.status(400).json({
+      return abort(400, {
         success: false,
         message: `First payment amount is below minimum requirement of ${plan.currency === 'naira' ? '₦' : '$'}${plan.minimumDownPaymentAmount.toFixed(2)}`,
         provided: amount,
@@ -1088,9 +1079,7 @@ exports.verifyInstallmentPaystack = async (req, res) => {
     // Check if payment exceeds remaining balance
     const remainingBalance = plan.totalPrice - (plan.totalPaidAmount || 0);
     if (amount > remainingBalance) {
-      await session.abortTransaction();
-      session.endSession();
-      return res.status(400).json({
+      return abort(400, {
         success: false,
         message: `Payment amount cannot exceed remaining balance of ${plan.currency === 'naira' ? '₦' : '$'}${remainingBalance.toFixed(2)}`,
         providedAmount: amount,
@@ -1215,26 +1204,72 @@ exports.verifyInstallmentPaystack = async (req, res) => {
       }
     }
     
-    res.status(200).json({
-      success: true,
-      message: 'Payment verified successfully',
-      data: {
-        planId: plan.planId,
-        amount,
-        status: 'paid', // Correct enum value
-        planStatus: plan.status,
-        totalPaidAmount: plan.totalPaidAmount,
-        remainingBalance: plan.totalPrice - plan.totalPaidAmount,
-        sharesReleased: sharesToRelease,
-        totalSharesReleased: plan.sharesReleased,
-        transactionId: reference
+    return {
+      statusCode: 200,
+      body: {
+        success: true,
+        message: 'Payment verified successfully',
+        data: {
+          planId: plan.planId,
+          amount,
+          status: 'paid', // Correct enum value
+          planStatus: plan.status,
+          totalPaidAmount: plan.totalPaidAmount,
+          remainingBalance: plan.totalPrice - plan.totalPaidAmount,
+          sharesReleased: sharesToRelease,
+          totalSharesReleased: plan.sharesReleased,
+          transactionId: reference
+        }
       }
-    });
-    
+    };
   } catch (error) {
     await session.abortTransaction();
     session.endSession();
+    throw error;
+  }
+};
+
+exports.applyInstallmentPaystackPayment = applyInstallmentPaystackPayment;
+
+/**
+ * @desc    Verify Paystack installment payment (FIXED VERSION)
+ * @route   GET /api/shares/installment/paystack/verify
+ * @access  Private (User)
+ */
+exports.verifyInstallmentPaystack = async (req, res) => {
+  try {
+    const { reference } = req.query;
     
+    if (!reference) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide payment reference'
+      });
+    }
+
+    console.log(`🔍 Verifying payment with reference: ${reference}`);
+    
+    // Verify payment with Paystack first
+    const verificationResponse = await axios.get(
+      `https://api.paystack.co/transaction/verify/${reference}`,
+      {
+        headers: {
+          Authorization: `Bearer ${process.env.PAYSTACK_SECRET_KEY}`
+        }
+      }
+    );
+    
+    const paymentData = verificationResponse.data.data;
+    console.log(`💳 Paystack verification response:`, paymentData);
+
+    const result = await applyInstallmentPaystackPayment(
+      { ...paymentData, reference },
+      { requestUserId: req.user?.id }
+    );
+
+    res.status(result.statusCode).json(result.body);
+    
+  } catch (error) {
     console.error('💥 Error verifying Paystack payment:', error);
     
     let errorMessage = 'Failed to verify payment';
@@ -3,7 +3,8 @@ const User = require('../models/User');
 const Payment = require('../models/Payment');
 const fs = require('fs');
 const path = require('path');
-const axios = require('axios'); // Add axios for API requests
+const payoutProviders = require('../services/payoutProviders');
+const { PayoutProviderError } = payoutProviders;
 
 /**
  * Get current user's payment details
@@ -78,26 +79,18 @@ exports.getPaymentDetails = async (req, res) => {
 };
 
 /**
- * Get list of banks from Lenco API
+ * Get list of banks from the bank payout provider
  * @route GET /api/payment/banks
  * @access Private
  */
 exports.getBanks = async (req, res) => {
   try {
-    const response = await axios.get('https://api.lenco.co/access/v1/banks', {
-      headers: {
-        'Authorization': `Bearer ${process.env.LENCO_API_KEY}`
-      }
+    const banks = await payoutProviders.listBanks('bank');
+
+    return res.status(200).json({
+      success: true,
+      data: banks
     });
-    
-    if (response.data && response.data.status && response.data.data) {
-      return res.status(200).json({
-        success: true,
-        data: response.data.data
-      });
-    } else {
-      throw new Error('Invalid response from bank API');
-    }
   } catch (error) {
     console.error('Error fetching banks:', error);
     res.status(500).json({
@@ -109,7 +102,7 @@ exports.getBanks = async (req, res) => {
 };
 
 /**
- * Verify bank account with Lenco API
+ * Verify bank account with the bank payout provider
  * @route GET /api/payment/verify-account
  * @access Private
  */
@@ -125,38 +118,21 @@ exports.verifyBankAccount = async (req, res) => {
       });
     }
     
-    // Call Lenco API to verify account
-    const response = await axios.get('https://api.lenco.co/access/v1/resolve', {
-      headers: {
-        'Authorization': `Bearer ${process.env.LENCO_API_KEY}`
-      },
-      params: {
-        accountNumber,
-        bankCode
-      }
+    const account = await payoutProviders.resolveAccount({ accountNumber, bankCode });
+
+    return res.status(200).json({
+      success: true,
+      data: account
     });
-    
-    if (response.data && response.data.status && response.data.data) {
-      return res.status(200).json({
-        success: true,
-        data: response.data.data
-      });
-    } else {
-      return res.status(400).json({
-        success: false,
-        message: 'Account verification failed',
-        data: response.data
-      });
-    }
   } catch (error) {
     console.error('Error verifying bank account:', error);
     
-    // Handle specific API error responses
-    if (error.response && error.response.data) {
-      return res.status(error.response.status || 400).json({
+    // Handle specific provider error responses
+    if (error instanceof PayoutProviderError && error.statusCode < 500) {
+      return res.status(error.statusCode).json({
         success: false,
         message: 'Account verification failed',
-        error: error.response.data.message || 'Invalid account details'
+        error: error.message || 'Invalid account details'
       });
     }
     
@@ -205,22 +181,12 @@ exports.updateBankAccount = async (req, res) => {
       });
     }
 
-    // Verify with Lenco API
+    // Verify with the bank payout provider
     try {
-      const verificationResponse = await axios.get('https://api.lenco.co/access/v1/resolve', {
-        headers: {
-          'Authorization': `Bearer ${process.env.LENCO_API_KEY}`
-        },
-        params: {
-          accountNumber,
-          bankCode
-        }
-      });
+      const account = await payoutProviders.resolveAccount({ accountNumber, bankCode });
       
-      // Check if verification successful and account number matches
-      if (!verificationResponse.data.status || 
-          !verificationResponse.data.data || 
-          verificationResponse.data.data.accountNumber !== accountNumber) {
+      // Check that the account number matches
+      if (!account || account.accountNumber !== accountNumber) {
         return res.status(400).json({
           success: false,
           message: 'Bank account verification failed. Please check your details.'
@@ -228,7 +194,7 @@ exports.updateBankAccount = async (req, res) => {
       }
       
       // Optional: Check if account name matches (can be enabled if needed)
-      // const apiAccountName = verificationResponse.data.data.accountName.toLowerCase().trim();
+      // const apiAccountName = account.accountName.toLowerCase().trim();
       // const providedAccountName = accountName.toLowerCase().trim();
       // if (!apiAccountName.includes(providedAccountName) && !providedAccountName.includes(apiAccountName)) {
       //   return res.status(400).json({
@@ -0,0 +1,244 @@
+// controller/payoutBatchController.js
+/**
+ * Admin endpoints for payout batches (utils/payoutBatches.js), mounted
+ * under /api/withdrawal/admin/batches.
+ */
+
+const PayoutBatch = require('../models/PayoutBatch');
+const WithdrawalAuditLog = require('../models/WithdrawalAuditLog');
+const { payoutResultUpload } = require('../config/multer');
+const {
+  MAX_BATCH_ITEMS,
+  PayoutBatchError,
+  getQueue,
+  loadBatch,
+  createBatch,
+  releaseBatch,
+  cancelBatch,
+  buildBankFile,
+  reconcileBatch
+} = require('../utils/payoutBatches');
+
+async function auditLog(action, adminId, batch, options = {}) {
+  try {
+    await WithdrawalAuditLog.create({
+      action,
+      performedBy: adminId,
+      reason: options.reason || null,
+      metadata: {
+        batchId: batch._id,
+        name: batch.name,
+        itemCount: batch.itemCount,
+        totalAmount: batch.totalAmount,
+        ...options.metadata
+      },
+      ip: options.ip || null
+    });
+  } catch (e) {
+    console.error('[AUDIT LOG ERROR]', e.message);
+  }
+}
+
+const batchErrorResponse = (res, error, message) => {
+  if (error instanceof PayoutBatchError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      errors: error.errors.length ? error.errors : undefined
+    });
+  }
+  console.error(`${message}:`, error);
+  return res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+/**
+ * Multipart upload of the bank result file, field name "file"
+ */
+exports.uploadResultFile = (req, res, next) =>
+  payoutResultUpload.single('file')(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    next();
+  });
+
+/**
+ * @desc    Approved bank withdrawals waiting for a batch
+ * @route   GET /api/withdrawal/admin/batches/queue
+ * @access  Admin (withdrawals.process)
+ */
+exports.getPayoutQueue = async (req, res) => {
+  try {
+    const queue = await getQueue();
+    res.status(200).json({ success: true, data: { ...queue, maxBatchItems: MAX_BATCH_ITEMS } });
+  } catch (error) {
+    batchErrorResponse(res, error, 'Failed to fetch the payout queue');
+  }
+};
+
+/**
+ * @desc    List payout batches, newest first
+ * @route   GET /api/withdrawal/admin/batches
+ * @query   { status, page, limit }
+ * @access  Admin (withdrawals.process)
+ */
+exports.listPayoutBatches = async (req, res) => {
+  try {
+    const { status } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const filter = status ? { status } : {};
+
+    const [batches, total] = await Promise.all([
+      PayoutBatch.find(filter)
+        .select('-items -reconciliations')
+        .populate('createdBy releasedBy', 'name email')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      PayoutBatch.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: batches,
+      pagination: { total, page, pages: Math.ceil(total / limit), limit }
+    });
+  } catch (error) {
+    batchErrorResponse(res, error, 'Failed to fetch payout batches');
+  }
+};
+
+/**
+ * @desc    One payout batch with its items and reconciliation uploads
+ * @route   GET /api/withdrawal/admin/batches/:id
+ * @access  Admin (withdrawals.process)
+ */
+exports.getPayoutBatch = async (req, res) => {
+  try {
+    const batch = await loadBatch(req.params.id);
+    await batch.populate('createdBy releasedBy cancelledBy', 'name email');
+    res.status(200).json({ success: true, data: batch });
+  } catch (error) {
+    batchErrorResponse(res, error, 'Failed to fetch payout batch');
+  }
+};
+
+/**
+ * @desc    Reserve approved withdrawals into a new batch
+ * @route   POST /api/withdrawal/admin/batches
+ * @body    { name, withdrawalIds?, maxItems?, maxAmount?, notes? }
+ * @access  Admin (withdrawals.process)
+ */
+exports.createPayoutBatch = async (req, res) => {
+  try {
+    const batch = await createBatch(req.body, { adminId: req.user.id });
+    await auditLog('PAYOUT_BATCH_CREATED', req.user.id, batch, {
+      reason: req.body.notes,
+      ip: req.ip,
+      metadata: { selection: req.body.withdrawalIds ? 'picked' : 'queue' }
+    });
+    console.log(`[ADMIN] Payout batch ${batch.name} created with ${batch.itemCount} withdrawals by ${req.user.id}`);
+    res.status(201).json({
+      success: true,
+      message: `Payout batch created with ${batch.itemCount} withdrawals`,
+      data: batch
+    });
+  } catch (error) {
+    batchErrorResponse(res, error, 'Failed to create payout batch');
+  }
+};
+
+/**
+ * @desc    Release an open batch as a bank file or through the payout provider
+ * @route   POST /api/withdrawal/admin/batches/:id/release
+ * @body    { method: 'file' | 'provider' }
+ * @access  Admin (withdrawals.process)
+ */
+exports.releasePayoutBatch = async (req, res) => {
+  try {
+    const { method } = req.body;
+    const { batch, summary } = await releaseBatch(req.params.id, { method, adminId: req.user.id });
+    await auditLog('PAYOUT_BATCH_RELEASED', req.user.id, batch, {
+      ip: req.ip,
+      metadata: { method, summary, approvalRequestId: req.approval?.requestId }
+    });
+    console.log(`[ADMIN] Payout batch ${batch.name} released (${method}) by ${req.user.id}`);
+    res.status(200).json({
+      success: true,
+      message: method === 'file'
+        ? 'Payout batch released; download the bank file and upload it to the bank'
+        : 'Payout batch sent through the payout provider',
+      data: { batch, summary }
+    });
+  } catch (error) {
+    batchErrorResponse(res, error, 'Failed to release payout batch');
+  }
+};
+
+/**
+ * @desc    Download the bank bulk-transfer file of a batch released as a file
+ * @route   GET /api/withdrawal/admin/batches/:id/file
+ * @query   { format: 'csv' | 'xlsx' }
+ * @access  Admin (withdrawals.process)
+ */
+exports.downloadPayoutBatchFile = async (req, res) => {
+  try {
+    const batch = await loadBatch(req.params.id);
+    const { buffer, contentType, fileName } = buildBankFile(batch, req.query.format || 'csv');
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.send(buffer);
+  } catch (error) {
+    batchErrorResponse(res, error, 'Failed to build the bank file');
+  }
+};
+
+/**
+ * @desc    Apply the bank's result file to a released batch
+ * @route   POST /api/withdrawal/admin/batches/:id/reconcile
+ * @body    multipart/form-data with "file" (CSV or XLSX with Reference and Status columns)
+ * @access  Admin (withdrawals.process)
+ */
+exports.reconcilePayoutBatch = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ success: false, message: 'Please upload the bank result file' });
+    }
+    const { batch, summary } = await reconcileBatch(req.params.id, {
+      buffer: req.file.buffer,
+      fileName: req.file.originalname
+    }, { adminId: req.user.id });
+    await auditLog('PAYOUT_BATCH_RECONCILED', req.user.id, batch, {
+      ip: req.ip,
+      metadata: { fileName: req.file.originalname, summary }
+    });
+    res.status(200).json({
+      success: true,
+      message: `Reconciled ${summary.paid} paid and ${summary.failed} failed withdrawals`,
+      data: { batch, summary }
+    });
+  } catch (error) {
+    batchErrorResponse(res, error, 'Failed to reconcile payout batch');
+  }
+};
+
+/**
+ * @desc    Cancel an open batch, returning its withdrawals to the queue
+ * @route   POST /api/withdrawal/admin/batches/:id/cancel
+ * @body    { reason? }
+ * @access  Admin (withdrawals.process)
+ */
+exports.cancelPayoutBatch = async (req, res) => {
+  try {
+    const batch = await cancelBatch(req.params.id, { adminId: req.user.id });
+    await auditLog('PAYOUT_BATCH_CANCELLED', req.user.id, batch, { reason: req.body.reason, ip: req.ip });
+    res.status(200).json({ success: true, message: 'Payout batch cancelled', data: batch });
+  } catch (error) {
+    batchErrorResponse(res, error, 'Failed to cancel payout batch');
+  }
+};
@@ -0,0 +1,139 @@
+// controller/payoutWebhookController.js
+const PayoutWebhookEvent = require('../models/PayoutWebhookEvent');
+const payoutProviders = require('../services/payoutProviders');
+const {
+  findWithdrawalForTransfer,
+  applyTransferStatus,
+  notifyWithdrawalOutcome
+} = require('../utils/withdrawalSettlement');
+
+const recordEvent = (provider, event, reference, fields) =>
+  PayoutWebhookEvent.findOneAndUpdate(
+    { provider, event, reference },
+    { $set: fields, $inc: { attempts: 1 } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+/**
+ * Apply a signature-checked transfer event from a payout provider.
+ * Also used for Paystack transfer events, which arrive on the Paystack
+ * charge webhook.
+ * @param {string} providerName
+ * @param {Object} body - the webhook body
+ * @returns {Promise<{statusCode: number, body: Object}>}
+ */
+const receivePayoutEvent = async (providerName, body) => {
+  const parsed = payoutProviders.getProvider(providerName).parseWebhook(body);
+  if (!parsed || !(parsed.reference || parsed.providerReference)) {
+    return { statusCode: 200, body: { success: true, message: 'Event ignored' } };
+  }
+
+  const { event, transfer } = parsed;
+  const reference = parsed.reference || parsed.providerReference;
+
+  const existing = await PayoutWebhookEvent.findOne({ provider: providerName, event, reference });
+  if (existing && existing.status === 'processed') {
+    console.log(`⏭️  ${providerName} ${event} for ${reference} already handled`);
+    return { statusCode: 200, body: { success: true, message: 'Event already handled', status: existing.status } };
+  }
+
+  const withdrawal = await findWithdrawalForTransfer(parsed);
+  if (!withdrawal) {
+    await recordEvent(providerName, event, reference, {
+      status: 'unmatched',
+      providerReference: parsed.providerReference,
+      transferStatus: transfer.status,
+      payload: body.data
+    });
+    // Non-2xx so the provider redelivers: the withdrawal may not be committed yet
+    return { statusCode: 404, body: { success: false, message: 'No withdrawal matches this transfer' } };
+  }
+
+  let result;
+  try {
+    result = await applyTransferStatus(withdrawal._id, transfer, {
+      source: `${providerName} webhook`,
+      attemptReference: parsed.reference
+    });
+  } catch (error) {
+    console.error(`💥 Error applying ${providerName} ${event} for ${reference}:`, error);
+    await recordEvent(providerName, event, reference, {
+      status: 'failed',
+      withdrawal: withdrawal._id,
+      providerReference: parsed.providerReference,
+      transferStatus: transfer.status,
+      lastError: error.message,
+      payload: body.data
+    });
+    return {
+      statusCode: 500,
+      body: {
+        success: false,
+        message: 'Failed to process webhook',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    };
+  }
+
+  await recordEvent(providerName, event, reference, {
+    status: 'processed',
+    withdrawal: withdrawal._id,
+    providerReference: parsed.providerReference,
+    transferStatus: transfer.status,
+    previousStatus: result.previousStatus,
+    newStatus: result.withdrawal.status,
+    changed: result.changed,
+    payload: body.data,
+    processedAt: new Date()
+  });
+
+  if (result.changed) {
+    console.log(`✅ Withdrawal ${withdrawal._id} ${result.previousStatus} -> ${result.withdrawal.status} from ${providerName} ${event}`);
+    await notifyWithdrawalOutcome(result.withdrawal);
+  }
+
+  return {
+    statusCode: 200,
+    body: {
+      success: true,
+      message: result.changed ? 'Withdrawal updated' : 'Withdrawal already up to date',
+      status: result.withdrawal.status
+    }
+  };
+};
+
+/**
+ * @desc    Receive transfer status webhooks from a payout provider
+ * @route   POST /api/webhooks/payouts/:provider
+ * @access  Public (provider signature)
+ */
+exports.handlePayoutWebhook = async (req, res) => {
+  try {
+    const { provider: providerName } = req.params;
+    const provider = payoutProviders.getProvider(providerName);
+
+    if (!provider) {
+      return res.status(404).json({ success: false, message: 'Unknown payout provider' });
+    }
+
+    if (!provider.verifyWebhook(req.rawBody, req.headers)) {
+      console.warn(`❌ Rejected ${providerName} payout webhook with invalid signature`);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid webhook signature'
+      });
+    }
+
+    const { statusCode, body } = await receivePayoutEvent(providerName, req.body || {});
+    res.status(statusCode).json(body);
+  } catch (error) {
+    console.error('💥 Error handling payout webhook:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process webhook',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+exports.receivePayoutEvent = receivePayoutEvent;
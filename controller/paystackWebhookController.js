@@ -0,0 +1,142 @@
+// controller/paystackWebhookController.js
+const crypto = require('crypto');
+const PaystackWebhookEvent = require('../models/PaystackWebhookEvent');
+const { applyInstallmentPaystackPayment } = require('./installmentController');
+const { applyCoFounderInstallmentPaystackPayment } = require('./coFounderInstallmentController');
+const { receivePayoutEvent } = require('./payoutWebhookController');
+
+/**
+ * Paystack signs the raw request body with HMAC-SHA512 using the secret key
+ * and sends the hex digest in x-paystack-signature.
+ */
+const isValidPaystackSignature = (rawBody, signature, secret = process.env.PAYSTACK_SECRET_KEY) => {
+  if (!rawBody || !signature || !secret) return false;
+
+  const expected = crypto.createHmac('sha512', secret).update(rawBody).digest('hex');
+  const received = String(signature);
+
+  return expected.length === received.length &&
+    crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(received));
+};
+
+/**
+ * Pick the plan type a charge belongs to from the metadata set when the
+ * payment was initialised (see pay*InstallmentWithPaystack).
+ */
+const resolveTarget = (metadata) => {
+  if (!metadata || !metadata.planId || !metadata.installmentNumber) return null;
+
+  if (metadata.type === 'cofounder-installment') {
+    return { target: 'cofounder_installment', apply: applyCoFounderInstallmentPaystackPayment };
+  }
+  return { target: 'installment', apply: applyInstallmentPaystackPayment };
+};
+
+const recordEvent = (event, reference, fields) =>
+  PaystackWebhookEvent.findOneAndUpdate(
+    { event, reference },
+    { $set: fields, $inc: { attempts: 1 } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+/**
+ * @desc    Receive Paystack webhook events
+ * @route   POST /api/webhooks/paystack
+ * @access  Public (Paystack signature)
+ */
+exports.handlePaystackWebhook = async (req, res) => {
+  try {
+    const signature = req.get('x-paystack-signature');
+
+    if (!isValidPaystackSignature(req.rawBody, signature)) {
+      console.warn('❌ Rejected Paystack webhook with invalid signature');
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid webhook signature'
+      });
+    }
+
+    const { event, data } = req.body || {};
+
+    // Transfer events are updates on withdrawals paid out through Paystack
+    if (typeof event === 'string' && event.startsWith('transfer.')) {
+      const { statusCode, body } = await receivePayoutEvent('paystack', req.body);
+      return res.status(statusCode).json(body);
+    }
+
+    // Only successful charges move money; acknowledge everything else
+    if (event !== 'charge.success' || !data?.reference) {
+      return res.status(200).json({ success: true, message: 'Event ignored' });
+    }
+
+    const { reference } = data;
+
+    const existing = await PaystackWebhookEvent.findOne({ event, reference });
+    if (existing && existing.status !== 'failed') {
+      console.log(`⏭️  Paystack ${event} for ${reference} already handled (${existing.status})`);
+      return res.status(200).json({ success: true, message: 'Event already handled', status: existing.status });
+    }
+
+    const handler = resolveTarget(data.metadata);
+    if (!handler) {
+      await recordEvent(event, reference, {
+        status: 'ignored',
+        message: 'Not an installment payment',
+        payload: data,
+        processedAt: new Date()
+      });
+      return res.status(200).json({ success: true, message: 'Event ignored' });
+    }
+
+    let result;
+    try {
+      result = await handler.apply(data);
+    } catch (error) {
+      console.error(`💥 Error applying Paystack charge ${reference}:`, error);
+      await recordEvent(event, reference, {
+        target: handler.target,
+        status: 'failed',
+        lastError: error.message,
+        payload: data
+      });
+      // Non-2xx so Paystack redelivers
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to process webhook',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+
+    const applied = result.statusCode >= 200 && result.statusCode < 300;
+    await recordEvent(event, reference, {
+      target: handler.target,
+      status: applied ? 'processed' : 'rejected',
+      resultStatusCode: result.statusCode,
+      message: result.body?.message,
+      alreadyProcessed: !!result.alreadyProcessed,
+      payload: data,
+      processedAt: new Date()
+    });
+
+    if (!applied) {
+      console.warn(`⚠️  Paystack charge ${reference} rejected by ${handler.target}: ${result.body?.message}`);
+    }
+
+    // Rejections are final: a redelivery would be rejected the same way
+    res.status(200).json({
+      success: true,
+      message: applied ? 'Payment applied' : 'Payment not applied',
+      target: handler.target,
+      alreadyProcessed: !!result.alreadyProcessed
+    });
+  } catch (error) {
+    console.error('💥 Error handling Paystack webhook:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process webhook',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+exports.isValidPaystackSignature = isValidPaystackSignature;
@@ -2,720 +2,36 @@ const User = require('../models/User');
 const Referral = require('../models/Referral');
 const ReferralTransaction = require('../models/ReferralTransaction');
 const SiteConfig = require('../models/SiteConfig');
-const UserShare = require('../models/UserShare');
-
-// Enhanced referral utility function
-const syncReferralStats = async (userId) => {
-  try {
-    // Get user
-    const user = await User.findById(userId);
-    if (!user) {
-      return { success: false, message: 'User not found' };
-    }
-
-    // Get commission rates from site config
-    const siteConfig = await SiteConfig.getCurrentConfig();
-    const commissionRates = siteConfig.referralCommission || {
-      generation1: 15, // 15% for direct referrals
-      generation2: 3,  // 3% for second generation
-      generation3: 2   // 2% for third generation
-    };
-
-    // Find users who have this person as their referrer (Gen 1)
-    const gen1Users = await User.find({ 'referralInfo.code': user.userName });
-    
-    // Initialize stats counters
-    let totalReferred = gen1Users.length;
-    let totalEarnings = 0;
-    
-    // Stats by generation
-    const generation1 = { count: gen1Users.length, earnings: 0 };
-    const generation2 = { count: 0, earnings: 0 };
-    const generation3 = { count: 0, earnings: 0 };
-    
-    // Clear existing referral transactions to avoid duplicates
-    await ReferralTransaction.deleteMany({ beneficiary: userId });
-    
-    // Process Generation 1 users
-    for (const gen1User of gen1Users) {
-      // Get share transactions for this user
-      const userShare = await UserShare.findOne({ user: gen1User._id });
-      
-      if (userShare) {
-        const completedTransactions = userShare.transactions.filter(tx => tx.status === 'completed');
-        
-        for (const tx of completedTransactions) {
-          // Calculate commission (Generation 1)
-          const commissionAmount = (tx.totalAmount * commissionRates.generation1) / 100;
-          
-          // Create referral transaction
-          const referralTx = new ReferralTransaction({
-            beneficiary: userId,
-            referredUser: gen1User._id,
-            amount: commissionAmount,
-            currency: tx.currency || 'USD',
-            generation: 1,
-            purchaseType: 'share',
-            sourceTransactionModel: 'UserShare',
-            status: 'completed',
-            createdAt: tx.createdAt || new Date()
-          });
-          
-          await referralTx.save();
-          
-          generation1.earnings += commissionAmount;
-          totalEarnings += commissionAmount;
-        }
-      }
-      
-      // Find Generation 2 users
-      const gen2Users = await User.find({ 'referralInfo.code': gen1User.userName });
-      generation2.count += gen2Users.length;
-      
-      // Process Generation 2 users
-      for (const gen2User of gen2Users) {
-        // Get share transactions for this user
-        const gen2UserShare = await UserShare.findOne({ user: gen2User._id });
-        
-        if (gen2UserShare) {
-          const gen2CompletedTransactions = gen2UserShare.transactions.filter(tx => tx.status === 'completed');
-          
-          for (const tx of gen2CompletedTransactions) {
-            // Calculate commission (Generation 2)
-            const commissionAmount = (tx.totalAmount * commissionRates.generation2) / 100;
-            
-            // Create referral transaction
-            const referralTx = new ReferralTransaction({
-              beneficiary: userId,
-              referredUser: gen2User._id,
-              amount: commissionAmount,
-              currency: tx.currency || 'USD',
-              generation: 2,
-              purchaseType: 'share',
-              sourceTransactionModel: 'UserShare',
-              status: 'completed',
-              createdAt: tx.createdAt || new Date()
-            });
-            
-            await referralTx.save();
-            
-            generation2.earnings += commissionAmount;
-            totalEarnings += commissionAmount;
-          }
-        }
-        
-        // Find Generation 3 users
-        const gen3Users = await User.find({ 'referralInfo.code': gen2User.userName });
-        generation3.count += gen3Users.length;
-        
-        // Process Generation 3 users
-        for (const gen3User of gen3Users) {
-          // Get share transactions for this user
-          const gen3UserShare = await UserShare.findOne({ user: gen3User._id });
-          
-          if (gen3UserShare) {
-            const gen3CompletedTransactions = gen3UserShare.transactions.filter(tx => tx.status === 'completed');
-            
-            for (const tx of gen3CompletedTransactions) {
-              // Calculate commission (Generation 3)
-              const commissionAmount = (tx.totalAmount * commissionRates.generation3) / 100;
-              
-              // Create referral transaction
-              const referralTx = new ReferralTransaction({
-                beneficiary: userId,
-                referredUser: gen3User._id,
-                amount: commissionAmount,
-                currency: tx.currency || 'USD',
-                generation: 3,
-                purchaseType: 'share',
-                sourceTransactionModel: 'UserShare',
-                status: 'completed',
-                createdAt: tx.createdAt || new Date()
-              });
-              
-              await referralTx.save();
-              
-              generation3.earnings += commissionAmount;
-              totalEarnings += commissionAmount;
-            }
-          }
-        }
-      }
-    }
-    
-    // Update or create referral stats
-    let referralStats = await Referral.findOne({ user: userId });
-    
-    if (!referralStats) {
-      referralStats = new Referral({
-        user: userId,
-        referredUsers: totalReferred,
-        totalEarnings: totalEarnings,
-        generation1: generation1,
-        generation2: generation2,
-        generation3: generation3
-      });
-    } else {
-      referralStats.referredUsers = totalReferred;
-      referralStats.totalEarnings = totalEarnings;
-      referralStats.generation1 = generation1;
-      referralStats.generation2 = generation2;
-      referralStats.generation3 = generation3;
-    }
-    
-    await referralStats.save();
-    
-    return {
-      success: true,
-      message: 'Referral stats synced successfully',
-      stats: referralStats
-    };
-  } catch (error) {
-    console.error('Error syncing referral stats:', error);
-    return {
-      success: false,
-      message: 'Failed to sync referral stats',
-      error: error.message
-    };
-  }
-};
-
-// NEW: Enhanced Co-founder Referral Commission Function
-const processCofounderReferralCommission = async (userId, purchaseAmount, shares, transactionId) => {
-  try {
-    console.log(`🏆 Processing co-founder referral commission for user: ${userId}`);
-    console.log(`💰 Purchase amount: ${purchaseAmount}, Shares: ${shares}, Transaction: ${transactionId}`);
-    
-    // Get the purchaser
-    const purchaser = await User.findById(userId);
-    if (!purchaser || !purchaser.referralInfo || !purchaser.referralInfo.code) {
-      console.log('❌ User has no referrer, skipping co-founder commission');
-      return { success: false, message: 'User has no referrer' };
-    }
-    
-    // Get commission rates from site config
-    const siteConfig = await SiteConfig.getCurrentConfig();
-    const commissionRates = siteConfig.referralCommission || {
-      generation1: 15, // 15% for direct referrals
-      generation2: 3,  // 3% for second generation  
-      generation3: 2   // 2% for third generation
-    };
-    
-    console.log(`📊 Commission rates: Gen1: ${commissionRates.generation1}%, Gen2: ${commissionRates.generation2}%, Gen3: ${commissionRates.generation3}%`);
-    console.log(`👤 Purchaser: ${purchaser.userName}, Referrer code: ${purchaser.referralInfo.code}`);
-    
-    // Find Generation 1 referrer (direct referrer)
-    const gen1Referrer = await User.findOne({ userName: purchaser.referralInfo.code });
-    
-    if (!gen1Referrer) {
-      console.log(`❌ Generation 1 referrer with username ${purchaser.referralInfo.code} not found`);
-      return { success: false, message: 'Generation 1 referrer not found' };
-    }
-    
-    console.log(`✅ Found Generation 1 referrer: ${gen1Referrer.userName} (${gen1Referrer._id})`);
-    
-    // ===================
-    // GENERATION 1 COMMISSION
-    // ===================
-    const gen1Commission = (purchaseAmount * commissionRates.generation1) / 100;
-    
-    // Create Generation 1 referral transaction
-    const gen1Transaction = new ReferralTransaction({
-      beneficiary: gen1Referrer._id,
-      referredUser: userId,
-      amount: gen1Commission,
-      currency: 'USD',
-      generation: 1,
-      purchaseType: 'co-founder',
-      sourceTransaction: transactionId,
-      sourceTransactionModel: 'PaymentTransaction',
-      status: 'completed',
-      metadata: {
-        shares: shares,
-        originalAmount: purchaseAmount,
-        commissionRate: commissionRates.generation1
-      },
-      createdAt: new Date()
-    });
-    
-    await gen1Transaction.save();
-    console.log(`💵 Created Generation 1 commission: $${gen1Commission.toFixed(2)} for ${gen1Referrer.userName}`);
-    
-    // Update Generation 1 referrer stats
-    let gen1Stats = await Referral.findOne({ user: gen1Referrer._id });
-    
-    if (!gen1Stats) {
-      gen1Stats = new Referral({
-        user: gen1Referrer._id,
-        referredUsers: 1,
-        totalEarnings: gen1Commission,
-        generation1: { count: 1, earnings: gen1Commission },
-        generation2: { count: 0, earnings: 0 },
-        generation3: { count: 0, earnings: 0 }
-      });
-    } else {
-      gen1Stats.totalEarnings += gen1Commission;
-      gen1Stats.generation1.earnings += gen1Commission;
-    }
-    
-    await gen1Stats.save();
-    console.log(`📈 Updated Generation 1 stats for ${gen1Referrer.userName}`);
-    
-    let gen2Commission = 0;
-    let gen3Commission = 0;
-    
-    // ===================
-    // GENERATION 2 COMMISSION
-    // ===================
-    if (gen1Referrer.referralInfo && gen1Referrer.referralInfo.code) {
-      const gen2Referrer = await User.findOne({ userName: gen1Referrer.referralInfo.code });
-      
-      if (gen2Referrer) {
-        console.log(`✅ Found Generation 2 referrer: ${gen2Referrer.userName} (${gen2Referrer._id})`);
-        
-        gen2Commission = (purchaseAmount * commissionRates.generation2) / 100;
-        
-        // Create Generation 2 referral transaction
-        const gen2Transaction = new ReferralTransaction({
-          beneficiary: gen2Referrer._id,
-          referredUser: userId,
-          amount: gen2Commission,
-          currency: 'USD',
-          generation: 2,
-          purchaseType: 'co-founder',
-          sourceTransaction: transactionId,
-          sourceTransactionModel: 'PaymentTransaction',
-          status: 'completed',
-          metadata: {
-            shares: shares,
-            originalAmount: purchaseAmount,
-            commissionRate: commissionRates.generation2
-          },
-          createdAt: new Date()
-        });
-        
-        await gen2Transaction.save();
-        console.log(`💵 Created Generation 2 commission: $${gen2Commission.toFixed(2)} for ${gen2Referrer.userName}`);
-        
-        // Update Generation 2 referrer stats
-        let gen2Stats = await Referral.findOne({ user: gen2Referrer._id });
-        
-        if (!gen2Stats) {
-          gen2Stats = new Referral({
-            user: gen2Referrer._id,
-            referredUsers: 0,
-            totalEarnings: gen2Commission,
-            generation1: { count: 0, earnings: 0 },
-            generation2: { count: 1, earnings: gen2Commission },
-            generation3: { count: 0, earnings: 0 }
-          });
-        } else {
-          gen2Stats.totalEarnings += gen2Commission;
-          gen2Stats.generation2.earnings += gen2Commission;
-        }
-        
-        await gen2Stats.save();
-        console.log(`📈 Updated Generation 2 stats for ${gen2Referrer.userName}`);
-        
-        // ===================
-        // GENERATION 3 COMMISSION
-        // ===================
-        if (gen2Referrer.referralInfo && gen2Referrer.referralInfo.code) {
-          const gen3Referrer = await User.findOne({ userName: gen2Referrer.referralInfo.code });
-          
-          if (gen3Referrer) {
-            console.log(`✅ Found Generation 3 referrer: ${gen3Referrer.userName} (${gen3Referrer._id})`);
-            
-            gen3Commission = (purchaseAmount * commissionRates.generation3) / 100;
-            
-            // Create Generation 3 referral transaction
-            const gen3Transaction = new ReferralTransaction({
-              beneficiary: gen3Referrer._id,
-              referredUser: userId,
-              amount: gen3Commission,
-              currency: 'USD',
-              generation: 3,
-              purchaseType: 'co-founder',
-              sourceTransaction: transactionId,
-              sourceTransactionModel: 'PaymentTransaction',
-              status: 'completed',
-              metadata: {
-                shares: shares,
-                originalAmount: purchaseAmount,
-                commissionRate: commissionRates.generation3
-              },
-              createdAt: new Date()
-            });
-            
-            await gen3Transaction.save();
-            console.log(`💵 Created Generation 3 commission: $${gen3Commission.toFixed(2)} for ${gen3Referrer.userName}`);
-            
-            // Update Generation 3 referrer stats
-            let gen3Stats = await Referral.findOne({ user: gen3Referrer._id });
-            
-            if (!gen3Stats) {
-              gen3Stats = new Referral({
-                user: gen3Referrer._id,
-                referredUsers: 0,
-                totalEarnings: gen3Commission,
-                generation1: { count: 0, earnings: 0 },
-                generation2: { count: 0, earnings: 0 },
-                generation3: { count: 1, earnings: gen3Commission }
-              });
-            } else {
-              gen3Stats.totalEarnings += gen3Commission;
-              gen3Stats.generation3.earnings += gen3Commission;
-            }
-            
-            await gen3Stats.save();
-            console.log(`📈 Updated Generation 3 stats for ${gen3Referrer.userName}`);
-          } else {
-            console.log(`⚠️ Generation 3 referrer with username ${gen2Referrer.referralInfo.code} not found`);
-          }
-        } else {
-          console.log(`⚠️ Generation 2 referrer ${gen2Referrer.userName} has no referrer (no Gen 3)`);
-        }
-      } else {
-        console.log(`⚠️ Generation 2 referrer with username ${gen1Referrer.referralInfo.code} not found`);
-      }
-    } else {
-      console.log(`⚠️ Generation 1 referrer ${gen1Referrer.userName} has no referrer (no Gen 2)`);
-    }
-    
-    console.log(`🎉 Co-founder referral commission processing completed successfully!`);
-    
-    return { 
-      success: true, 
-      message: 'Co-founder referral commissions processed successfully',
-      commissions: {
-        generation1: gen1Commission,
-        generation2: gen2Commission,
-        generation3: gen3Commission,
-        total: gen1Commission + gen2Commission + gen3Commission
-      }
-    };
-  } catch (error) {
-    console.error('❌ Error processing co-founder referral commission:', error);
-    return { success: false, message: error.message };
-  }
-};
+const { validateLevels, MAX_REFERRAL_DEPTH } = require('../utils/referralRules');
+const referralGraph = require('../utils/referralGraph');
+const { findRunningCampaign } = require('../utils/referralCampaigns');
+const { getRankSummary } = require('../utils/referralRanks');
+const { formatEarningsByCurrency } = require('../utils/referralCurrency');
+const {
+  StatementError,
+  resolveStatementPeriod,
+  getStatementData,
+  renderStatementPdf,
+  statementFileName
+} = require('../utils/referralStatementService');
+// Counts come from the referral graph and earnings from the commission
+// records; registration adds the new user to the graph.
+const {
+  processReferralCommission: processCommissionWithRules,
+  syncReferralStats,
+  processNewUserReferral
+} = require('../utils/referralUtils');
+const ledgerService = require('../utils/ledgerService');
 
-// UPDATED: Generic function that handles both regular and co-founder purchases
-const processReferralCommission = async (userId, purchaseAmount, purchaseType = 'share', transactionId = null, shares = null) => {
-  try {
-    console.log(`🚀 Processing referral commission - Type: ${purchaseType}, Amount: ${purchaseAmount}`);
-    
-    // For co-founder purchases, use the specialized function
-    if (purchaseType === 'co-founder') {
-      return await processCofounderReferralCommission(userId, purchaseAmount, shares, transactionId);
-    }
-    
-    // For regular share purchases, use the existing logic
-    return await processRegularReferralCommission(userId, purchaseAmount, purchaseType, transactionId);
-  } catch (error) {
-    console.error('❌ Error in processReferralCommission:', error);
-    return { success: false, message: error.message };
-  }
-};
+// Commissions are worked out by utils/referralUtils.js, which applies the
+// SiteConfig commission rules (depth, minimum purchase, per-type and per-tier
+// rates) and credits the ledger.
+const processReferralCommission = (userId, purchaseAmount, purchaseType = 'share', transactionId = null) =>
+  processCommissionWithRules(userId, purchaseAmount, purchaseType, transactionId);
 
-// Regular share purchase commission processing (existing logic preserved)
-const processRegularReferralCommission = async (userId, purchaseAmount, purchaseType, transactionId) => {
-  try {
-    // Get the purchaser
-    const purchaser = await User.findById(userId);
-    if (!purchaser || !purchaser.referralInfo || !purchaser.referralInfo.code) {
-      console.log('User has no referrer, skipping commission');
-      return { success: false, message: 'User has no referrer' };
-    }
-    
-    // Get site config for commission rates
-    const siteConfig = await SiteConfig.getCurrentConfig();
-    const commissionRates = siteConfig.referralCommission || {
-      generation1: 15,
-      generation2: 3,
-      generation3: 2
-    };
-
-    console.log(`Processing regular referral commission for purchase: ${purchaseAmount} by user: ${purchaser.userName}`);
-    console.log(`Purchase type: ${purchaseType}, Referral code: ${purchaser.referralInfo.code}`);
-    
-    // Find direct referrer (Generation 1)
-    const gen1Referrer = await User.findOne({ userName: purchaser.referralInfo.code });
-    
-    if (!gen1Referrer) {
-      console.log(`Referrer with username ${purchaser.referralInfo.code} not found`);
-      return { success: false, message: 'Referrer not found' };
-    }
-    
-    console.log(`Found Generation 1 referrer: ${gen1Referrer.userName}`);
-    
-    // Calculate and create Generation 1 commission
-    const gen1Commission = (purchaseAmount * commissionRates.generation1) / 100;
-    
-    const gen1Transaction = new ReferralTransaction({
-      beneficiary: gen1Referrer._id,
-      referredUser: userId,
-      amount: gen1Commission,
-      currency: 'USD',
-      generation: 1,
-      purchaseType: purchaseType,
-      sourceTransaction: transactionId,
-      sourceTransactionModel: 'UserShare',
-      status: 'completed',
-      createdAt: new Date()
-    });
-    
-    await gen1Transaction.save();
-    console.log(`Created Generation 1 commission: ${gen1Commission} for ${purchaseType} purchase`);
-    
-    // Update referrer stats
-    let gen1Stats = await Referral.findOne({ user: gen1Referrer._id });
-    
-    if (!gen1Stats) {
-      gen1Stats = new Referral({
-        user: gen1Referrer._id,
-        referredUsers: 1,
-        totalEarnings: gen1Commission,
-        generation1: { count: 1, earnings: gen1Commission },
-        generation2: { count: 0, earnings: 0 },
-        generation3: { count: 0, earnings: 0 }
-      });
-    } else {
-      gen1Stats.totalEarnings += gen1Commission;
-      gen1Stats.generation1.earnings += gen1Commission;
-    }
-    
-    await gen1Stats.save();
-    
-    // Continue with Generation 2 and 3 processing (similar pattern as co-founder)
-    if (gen1Referrer.referralInfo && gen1Referrer.referralInfo.code) {
-      const gen2Referrer = await User.findOne({ userName: gen1Referrer.referralInfo.code });
-      
-      if (gen2Referrer) {
-        console.log(`Found Generation 2 referrer: ${gen2Referrer.userName}`);
-        
-        // Calculate and create Generation 2 commission
-        const gen2Commission = (purchaseAmount * commissionRates.generation2) / 100;
-        
-        const gen2Transaction = new ReferralTransaction({
-          beneficiary: gen2Referrer._id,
-          referredUser: userId,
-          amount: gen2Commission,
-          currency: 'USD',
-          generation: 2,
-          purchaseType: purchaseType,
-          sourceTransaction: transactionId,
-          sourceTransactionModel: 'UserShare',
-          status: 'completed',
-          createdAt: new Date()
-        });
-        
-        await gen2Transaction.save();
-        console.log(`Created Generation 2 commission: ${gen2Commission} for ${purchaseType} purchase`);
-        
-        // Update referrer stats
-        let gen2Stats = await Referral.findOne({ user: gen2Referrer._id });
-        
-        if (!gen2Stats) {
-          gen2Stats = new Referral({
-            user: gen2Referrer._id,
-            referredUsers: 0,
-            totalEarnings: gen2Commission,
-            generation1: { count: 0, earnings: 0 },
-            generation2: { count: 1, earnings: gen2Commission },
-            generation3: { count: 0, earnings: 0 }
-          });
-        } else {
-          gen2Stats.totalEarnings += gen2Commission;
-          gen2Stats.generation2.earnings += gen2Commission;
-          gen2Stats.generation2.count += 1;
-        }
-        
-        await gen2Stats.save();
-        
-        // Look for Generation 3 referrer
-        if (gen2Referrer.referralInfo && gen2Referrer.referralInfo.code) {
-          const gen3Referrer = await User.findOne({ userName: gen2Referrer.referralInfo.code });
-          
-          if (gen3Referrer) {
-            console.log(`Found Generation 3 referrer: ${gen3Referrer.userName}`);
-            
-            // Calculate and create Generation 3 commission
-            const gen3Commission = (purchaseAmount * commissionRates.generation3) / 100;
-            
-            const gen3Transaction = new ReferralTransaction({
-              beneficiary: gen3Referrer._id,
-              referredUser: userId,
-              amount: gen3Commission,
-              currency: 'USD',
-              generation: 3,
-              purchaseType: purchaseType,
-              sourceTransaction: transactionId,
-              sourceTransactionModel: 'UserShare',
-              status: 'completed',
-              createdAt: new Date()
-            });
-            
-            await gen3Transaction.save();
-            console.log(`Created Generation 3 commission: ${gen3Commission}`);
-            
-            // Update referrer stats
-            let gen3Stats = await Referral.findOne({ user: gen3Referrer._id });
-            
-            if (!gen3Stats) {
-              gen3Stats = new Referral({
-                user: gen3Referrer._id,
-                referredUsers: 0,
-                totalEarnings: gen3Commission,
-                generation1: { count: 0, earnings: 0 },
-                generation2: { count: 0, earnings: 0 },
-                generation3: { count: 1, earnings: gen3Commission }
-              });
-            } else {
-              gen3Stats.totalEarnings += gen3Commission;
-              gen3Stats.generation3.earnings += gen3Commission;
-              gen3Stats.generation3.count += 1;
-            }
-            
-            await gen3Stats.save();
-          }
-        }
-      }
-    }
-    
-    return { success: true };
-  } catch (error) {
-    console.error('Error processing regular referral commission:', error);
-    return { success: false, message: error.message };
-  }
-};
-
-// Process new user registration to update referral counts (called when user registers)
-const processNewUserReferral = async (userId) => {
-  try {
-    // Get the new user
-    const newUser = await User.findById(userId);
-    
-    if (!newUser || !newUser.referralInfo || !newUser.referralInfo.code) {
-      console.log('New user has no referrer, skipping');
-      return { success: false, message: 'User has no referrer' };
-    }
-    
-    const referrerUserName = newUser.referralInfo.code;
-    console.log(`Processing new user registration for referral: ${referrerUserName}`);
-    
-    // Find direct referrer (Generation 1)
-    const gen1Referrer = await User.findOne({ userName: referrerUserName });
-    
-    if (!gen1Referrer) {
-      console.log(`Referrer with username ${referrerUserName} not found`);
-      return { success: false, message: 'Referrer not found' };
-    }
-    
-    // Update or create Generation 1 referrer stats
-    let gen1Stats = await Referral.findOne({ user: gen1Referrer._id });
-    
-    if (!gen1Stats) {
-      gen1Stats = new Referral({
-        user: gen1Referrer._id,
-        referredUsers: 1,
-        totalEarnings: 0,
-        generation1: { count: 1, earnings: 0 },
-        generation2: { count: 0, earnings: 0 },
-        generation3: { count: 0, earnings: 0 },
-        referrals: [{
-          userId: newUser._id,
-          name: newUser.name,
-          userName: newUser.userName,
-          email: newUser.email,
-          date: new Date(),
-          status: 'active'
-        }]
-      });
-    } else {
-      gen1Stats.referredUsers += 1;
-      gen1Stats.generation1.count += 1;
-      
-      // Add to referrals list if not already there
-      const existingReferral = gen1Stats.referrals.find(ref => 
-        ref.userId.toString() === newUser._id.toString()
-      );
-      
-      if (!existingReferral) {
-        gen1Stats.referrals.push({
-          userId: newUser._id,
-          name: newUser.name,
-          userName: newUser.userName,
-          email: newUser.email,
-          date: new Date(),
-          status: 'active'
-        });
-      }
-    }
-    
-    await gen1Stats.save();
-    console.log(`Updated Generation 1 referrer stats for ${gen1Referrer.userName}`);
-    
-    // Check for Generation 2 referrer
-    if (gen1Referrer.referralInfo && gen1Referrer.referralInfo.code) {
-      const gen2ReferrerUserName = gen1Referrer.referralInfo.code;
-      const gen2Referrer = await User.findOne({ userName: gen2ReferrerUserName });
-      
-      if (gen2Referrer) {
-        // Update Generation 2 stats
-        let gen2Stats = await Referral.findOne({ user: gen2Referrer._id });
-        
-        if (!gen2Stats) {
-          gen2Stats = new Referral({
-            user: gen2Referrer._id,
-            referredUsers: 0, // Direct referrals only
-            totalEarnings: 0,
-            generation1: { count: 0, earnings: 0 },
-            generation2: { count: 1, earnings: 0 },
-            generation3: { count: 0, earnings: 0 }
-          });
-        } else {
-          gen2Stats.generation2.count += 1;
-        }
-        
-        await gen2Stats.save();
-        console.log(`Updated Generation 2 referrer stats for ${gen2Referrer.userName}`);
-        
-        // Check for Generation 3 referrer
-        if (gen2Referrer.referralInfo && gen2Referrer.referralInfo.code) {
-          const gen3ReferrerUserName = gen2Referrer.referralInfo.code;
-          const gen3Referrer = await User.findOne({ userName: gen3ReferrerUserName });
-          
-          if (gen3Referrer) {
-            // Update Generation 3 stats
-            let gen3Stats = await Referral.findOne({ user: gen3Referrer._id });
-            
-            if (!gen3Stats) {
-              gen3Stats = new Referral({
-                user: gen3Referrer._id,
-                referredUsers: 0, // Direct referrals only
-                totalEarnings: 0,
-                generation1: { count: 0, earnings: 0 },
-                generation2: { count: 0, earnings: 0 },
-                generation3: { count: 1, earnings: 0 }
-              });
-            } else {
-              gen3Stats.generation3.count += 1;
-            }
-            
-            await gen3Stats.save();
-            console.log(`Updated Generation 3 referrer stats for ${gen3Referrer.userName}`);
-          }
-        }
-      }
-    }
-    
-    return { success: true };
-  } catch (error) {
-    console.error('Error processing new user referral:', error);
-    return { success: false, message: error.message };
-  }
-};
+// Older co-founder entry point; the share count is not needed for the rates
+const processCofounderReferralCommission = (userId, purchaseAmount, shares, transactionId) =>
+  processCommissionWithRules(userId, purchaseAmount, 'co-founder', transactionId);
 
 // NEW: Integration function for co-founder purchases
 const handleCofounderPurchase = async (userId, purchaseAmount, shares, transactionId) => {
@@ -757,6 +73,9 @@ const getReferralStats = async (req, res) => {
     // Referral code is the username
     const referralCode = user.userName;
     
+    // Current rank, progress to the next and rank history
+    const rank = await getRankSummary(user._id);
+    
     // Get referral data
     const referralData = await Referral.findOne({ user: userId });
     // Sync referral stats if needed (to ensure accuracy)
@@ -777,12 +96,15 @@ const getReferralStats = async (req, res) => {
             stats: {
               totalReferred: refreshedData.referredUsers,
               totalEarnings: refreshedData.totalEarnings,
+              lockedEarnings: refreshedData.lockedEarnings || 0,
+              ...formatEarningsByCurrency(refreshedData),
               generations: {
                 gen1: refreshedData.generation1,
                 gen2: refreshedData.generation2,
                 gen3: refreshedData.generation3
               }
-            }
+            },
+            rank
           };
           
           return res.status(200).json(response);
@@ -798,12 +120,15 @@ const getReferralStats = async (req, res) => {
       stats: {
         totalReferred: 0,
         totalEarnings: 0,
+        lockedEarnings: 0,
+        ...formatEarningsByCurrency(null),
         generations: {
           gen1: { count: 0, earnings: 0 },
           gen2: { count: 0, earnings: 0 },
           gen3: { count: 0, earnings: 0 }
         }
-      }
+      },
+      rank
     };
     
     // Add referral data if exists
@@ -811,6 +136,8 @@ const getReferralStats = async (req, res) => {
       response.stats = {
         totalReferred: referralData.referredUsers,
         totalEarnings: referralData.totalEarnings,
+        lockedEarnings: referralData.lockedEarnings || 0,
+        ...formatEarningsByCurrency(referralData),
         generations: {
           gen1: referralData.generation1,
           gen2: referralData.generation2,
@@ -852,13 +179,19 @@ const validateInviteLink = async (req, res) => {
       });
     }
     
+    // ?campaign=CODE on the sign-up link; null when it is not running
+    const campaign = req.query.campaign ? await findRunningCampaign(req.query.campaign) : null;
+    
     res.status(200).json({
       success: true,
       referrer: {
         name: user.name,
         userName: user.userName,
         id: user._id
-      }
+      },
+      campaign: campaign
+        ? { code: campaign.code, name: campaign.name, description: campaign.description, endsAt: campaign.endsAt }
+        : null
     });
   } catch (error) {
     console.error('Error validating invite link:', error);
@@ -885,109 +218,142 @@ const getReferralTree = async (req, res) => {
       });
     }
     
-    // Get direct referrals (gen 1)
-    const gen1Users = await User.find(
-      { 'referralInfo.code': user.userName },
-      'name userName email phone createdAt profileImage'
-    );
+    // One indexed query for the whole downline, however deep
+    const depth = Math.min(Math.max(parseInt(req.query.depth) || 3, 1), MAX_REFERRAL_DEPTH);
+    const { members } = await referralGraph.getDownline(user._id, { maxDepth: depth, limit: 0 });
     
-    // Get gen 2 (people referred by your referrals)
-    const gen1UserNames = gen1Users.map(user => user.userName);
-    const gen2Users = await User.find(
-      { 'referralInfo.code': { $in: gen1UserNames } },
-      'name userName email phone referralInfo.code createdAt profileImage'
-    );
+    const namesByUserName = new Map(members.map(({ user: member }) => [member.userName, member.name]));
     
-    // Get gen 3 
-    const gen2UserNames = gen2Users.map(user => user.userName);
-    const gen3Users = await User.find(
-      { 'referralInfo.code': { $in: gen2UserNames } },
-      'name userName email phone referralInfo.code createdAt profileImage'
-    );
+    // Structure the tree
+    const referralTree = {};
+    const counts = {};
+    for (let generation = 1; generation <= depth; generation++) {
+      referralTree[`generation${generation}`] = [];
+      counts[`generation${generation}`] = 0;
+    }
     
-    // Track referring relationship more clearly
-    const gen2WithReferrer = gen2Users.map(gen2User => {
-      // Find which gen1 user referred this gen2 user
-      const referredBy = gen1Users.find(gen1User => 
-        gen1User.userName === gen2User.referralInfo.code
-      );
-      
-      return {
-        ...gen2User.toObject(),
-        referredByInfo: referredBy ? {
-          id: referredBy._id,
-          name: referredBy.name,
-          userName: referredBy.userName
-        } : null
+    members.forEach(({ depth: generation, user: member }) => {
+      const node = {
+        id: member._id,
+        name: member.name,
+        userName: member.userName,
+        email: member.email,
+        phone: member.phone || null,
+        joinedDate: member.createdAt,
+        profileImage: member.profileImage
       };
+      if (generation > 1) {
+        node.referredBy = member.referralInfo?.code;
+        node.referredByName = namesByUserName.get(member.referralInfo?.code);
+      }
+      referralTree[`generation${generation}`].push(node);
+      counts[`generation${generation}`]++;
     });
+    counts.total = members.length;
     
-    const gen3WithReferrer = gen3Users.map(gen3User => {
-      // Find which gen2 user referred this gen3 user
-      const referredBy = gen2Users.find(gen2User => 
-        gen2User.userName === gen3User.referralInfo.code
-      );
-      
-      return {
-        ...gen3User.toObject(),
-        referredByInfo: referredBy ? {
-          id: referredBy._id,
-          name: referredBy.name,
-          userName: referredBy.userName
-        } : null
-      };
+    res.status(200).json({
+      success: true,
+      referralTree,
+      counts
+    });
+  } catch (error) {
+    console.error('Error fetching referral tree:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch referral tree',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
+  }
+};
+
+// Get downline members at any depth, paginated
+const getDownline = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const depth = parseInt(req.query.generation) || null;
+    const maxDepth = parseInt(req.query.maxDepth) || null;
     
-    // Structure the tree
-    const referralTree = {
-      generation1: gen1Users.map(user => ({
-        id: user._id,
-        name: user.name,
-        userName: user.userName,
-        email: user.email,
-        phone: user.phone || null,
-        joinedDate: user.createdAt,
-        profileImage: user.profileImage
-      })),
-      generation2: gen2WithReferrer.map(user => ({
-        id: user._id,
-        name: user.name,
-        userName: user.userName,
-        email: user.email,
-        phone: user.phone || null,
-        referredBy: user.referralInfo.code,
-        referredByName: user.referredByInfo?.name,
-        joinedDate: user.createdAt,
-        profileImage: user.profileImage
-      })),
-      generation3: gen3WithReferrer.map(user => ({
-        id: user._id,
-        name: user.name,
-        userName: user.userName,
-        email: user.email,
-        phone: user.phone || null,
-        referredBy: user.referralInfo.code,
-        referredByName: user.referredByInfo?.name,
-        joinedDate: user.createdAt,
-        profileImage: user.profileImage
-      }))
-    };
+    const { members, total } = await referralGraph.getDownline(req.user.id, { depth, maxDepth, page, limit });
     
     res.status(200).json({
       success: true,
-      referralTree,
-      counts: {
-        generation1: gen1Users.length,
-        generation2: gen2Users.length,
-        generation3: gen3Users.length,
-        total: gen1Users.length + gen2Users.length + gen3Users.length
+      members: members.map(({ depth: generation, user: member }) => ({
+        generation,
+        id: member._id,
+        name: member.name,
+        userName: member.userName,
+        referredBy: member.referralInfo?.code,
+        joinedDate: member.createdAt,
+        profileImage: member.profileImage
+      })),
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
       }
     });
   } catch (error) {
-    console.error('Error fetching referral tree:', error);
+    console.error('Error fetching downline:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to fetch referral tree',
+      message: 'Failed to fetch downline',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Get the purchase volume of the whole downline
+const getTeamVolume = async (req, res) => {
+  try {
+    const maxDepth = parseInt(req.query.maxDepth) || null;
+    const purchaseType = req.query.type || null;
+    
+    const volume = await referralGraph.getTeamVolume(req.user.id, { maxDepth, purchaseType });
+    
+    res.status(200).json({
+      success: true,
+      teamVolume: volume
+    });
+  } catch (error) {
+    console.error('Error fetching team volume:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch team volume',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Download a referral income statement (?month=YYYY-MM or ?from&to; ?format=json for the data)
+const getReferralStatement = async (req, res) => {
+  try {
+    const period = resolveStatementPeriod(req.query);
+    const statement = await getStatementData(req.user.id, period);
+
+    if (req.query.format === 'json') {
+      return res.status(200).json({
+        success: true,
+        statement
+      });
+    }
+
+    const pdf = await renderStatementPdf(statement);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${statementFileName(statement)}"`);
+    res.status(200).send(pdf);
+  } catch (error) {
+    if (error instanceof StatementError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Error generating referral statement:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate referral statement',
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
@@ -1193,37 +559,18 @@ const adminSeeWhoReferred = async (req, res) => {
       });
     }
  
-    // Build the referrer chain (who referred this person, who referred their referrer, etc.)
-    const referrerChain = [];
-    let currentUser = user;
- 
-    for (let generation = 1; generation <= 3; generation++) {
-      // Check if current user has a referrer
-      if (!currentUser.referralInfo?.code) {
-        break;
-      }
- 
-      // Find the referrer by their username
-      const referrer = await User.findOne({ userName: currentUser.referralInfo.code })
-        .select('_id userName email name referralInfo createdAt');
- 
-      if (!referrer) {
-        break;
-      }
- 
-      // Add to chain
-      referrerChain.push({
-        generation,
-        userId: referrer._id,
-        userName: referrer.userName,
-        email: referrer.email,
-        name: referrer.name,
-        joinedDate: referrer.createdAt
-      });
- 
-      // Move up to next level
-      currentUser = referrer;
-    }
+    // The whole referrer chain (who referred this person, who referred their referrer, etc.)
+    const upline = await referralGraph.getUpline(user._id);
+    const referrerChain = upline
+      .filter(row => row.ancestor)
+      .map(row => ({
+        generation: row.depth,
+        userId: row.ancestor._id,
+        userName: row.ancestor.userName,
+        email: row.ancestor.email,
+        name: row.ancestor.name,
+        joinedDate: row.ancestor.createdAt
+      }));
  
     // Format response
     res.status(200).json({
@@ -1276,64 +623,39 @@ const updateReferralSettings = async (req, res) => {
       });
     }
     
-    // Get current rates to check if there's a change
-    const oldConfig = await SiteConfig.getCurrentConfig();
-    const oldRates = oldConfig.referralCommission || {
-      generation1: 0,
-      generation2: 0,
-      generation3: 0
-    };
-    
     const newRates = {
       generation1: parseFloat(gen1Commission),
       generation2: parseFloat(gen2Commission),
       generation3: parseFloat(gen3Commission)
     };
     
-    // Check if rates changed
-    const ratesChanged = (
-      oldRates.generation1 !== newRates.generation1 ||
-      oldRates.generation2 !== newRates.generation2 ||
-      oldRates.generation3 !== newRates.generation3
-    );
+    const errors = validateLevels([1, 2, 3].map(level => ({ level, rate: newRates[`generation${level}`] })));
+    if (errors.length) {
+      return res.status(400).json({ success: false, message: 'Invalid commission rates', errors });
+    }
     
     // Update site config
     const siteConfig = await SiteConfig.getCurrentConfig();
     
     siteConfig.referralCommission = newRates;
     
-    await siteConfig.save();
-    
-    // If rates changed significantly, trigger a global recalculation
-    let recalcTriggered = false;
-    if (ratesChanged) {
-      // Start recalculation in background
-      process.nextTick(async () => {
-        try {
-          console.log("Commission rates changed, starting global recalculation...");
-          
-          // Find all users with referral data
-          const referrals = await Referral.find();
-          console.log(`Found ${referrals.length} users with referral data to update`);
-          
-          for (const referral of referrals) {
-            await syncReferralStats(referral.user);
-          }
-          
-          console.log("Global recalculation completed successfully");
-        } catch (error) {
-          console.error("Error in global recalculation:", error);
-        }
-      });
-      
-      recalcTriggered = true;
+    // When per-level rates are in use, these three replace levels 1-3 there too
+    if (siteConfig.referralRates?.length) {
+      siteConfig.referralRates = [
+        ...[1, 2, 3].map(level => ({ level, rate: newRates[`generation${level}`] })),
+        ...siteConfig.referralRates.filter(entry => entry.level > 3)
+      ];
+      siteConfig.markModified('referralRates');
     }
     
+    await siteConfig.save();
+    
+    // New rates apply to purchases from now on; commissions already paid and
+    // the downline counts (kept by the referral graph) are unaffected
     res.status(200).json({
       success: true,
-      message: `Referral commission rates updated successfully${recalcTriggered ? ' (Global recalculation started)' : ''}`,
-      commissionRates: siteConfig.referralCommission,
-      recalculationTriggered: recalcTriggered
+      message: 'Referral commission rates updated successfully',
+      commissionRates: siteConfig.referralCommission
     });
   } catch (error) {
     console.error('Error updating referral settings:', error);
@@ -1360,10 +682,23 @@ const generateCustomInviteLink = async (req, res) => {
       });
     }
     
+    // Optionally tie the link to a running campaign
+    let campaign = null;
+    if (req.body?.campaignCode) {
+      campaign = await findRunningCampaign(req.body.campaignCode);
+      if (!campaign) {
+        return res.status(400).json({
+          success: false,
+          message: 'This campaign is not running'
+        });
+      }
+    }
+    
     res.status(200).json({
       success: true,
       inviteCode: user.userName,
-      inviteLink: `${process.env.FRONTEND_URL}/sign-up?ref=${user.userName}`
+      inviteLink: `${process.env.FRONTEND_URL}/sign-up?ref=${user.userName}${campaign ? `&campaign=${campaign.code}` : ''}`,
+      campaign: campaign ? { code: campaign.code, name: campaign.name, endsAt: campaign.endsAt } : null
     });
   } catch (error) {
     console.error('Error generating invite link:', error);
@@ -1564,18 +899,21 @@ const fixWrongBalances = async (req, res) => {
           status: 'completed'
         });
 
+        // totalEarnings is the ledger's; only the generation stats are recounted
+        await ledgerService.ensureUserOpeningBalance(userId);
+        const balances = await ledgerService.getUserBalances(userId);
+
         // Calculate new values
         const newStats = {
           generation1: { count: gen1Count.length, earnings: 0 },
           generation2: { count: gen2Count.length, earnings: 0 },
           generation3: { count: gen3Count.length, earnings: 0 },
-          totalEarnings: 0
+          totalEarnings: balances.totalEarnings
         };
 
         // Map earnings by generation
         actualEarnings.forEach(earning => {
           newStats[`generation${earning._id}`].earnings = earning.totalEarnings;
-          newStats.totalEarnings += earning.totalEarnings;
         });
 
         // Check if there are differences
@@ -1591,13 +929,13 @@ const fixWrongBalances = async (req, res) => {
 
         if (hasChanges) {
           // Update the referral record
-          referral.totalEarnings = newStats.totalEarnings;
           referral.referredUsers = gen1Count.length; // Direct referrals only
           referral.generation1 = newStats.generation1;
           referral.generation2 = newStats.generation2;
           referral.generation3 = newStats.generation3;
           
           await referral.save();
+          await ledgerService.syncReferralBalances(userId);
           
           fixedCount++;
           
@@ -1729,6 +1067,9 @@ const processPurchase = async (userId, amount, purchaseType, transactionId) => {
 module.exports = {
   getReferralStats,
   getReferralTree,
+  getDownline,
+  getTeamVolume,
+  getReferralStatement,
   getReferralEarnings,
   updateReferralSettings,
   generateCustomInviteLink,
@@ -0,0 +1,142 @@
+// controller/sessionController.js
+const {
+  SessionError,
+  refreshSession,
+  revokeSession,
+  revokeAllSessions,
+  listSessions
+} = require('../utils/sessionService');
+
+const serverError = (res, message, error) =>
+  res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+
+/**
+ * @desc    Exchange a refresh token for a new access/refresh token pair
+ * @route   POST /api/users/refresh-token
+ * @access  Public (refresh token)
+ */
+exports.refreshToken = async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required'
+      });
+    }
+
+    const tokens = await refreshSession(refreshToken, req);
+
+    res.status(200).json({
+      success: true,
+      token: tokens.token,
+      refreshToken: tokens.refreshToken
+    });
+  } catch (error) {
+    if (error instanceof SessionError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        code: error.code,
+        message: error.message
+      });
+    }
+    console.error('Error refreshing token:', error);
+    serverError(res, 'Failed to refresh token', error);
+  }
+};
+
+/**
+ * @desc    Sign out the current session
+ * @route   POST /api/users/logout
+ * @access  Private
+ */
+exports.logout = async (req, res) => {
+  try {
+    if (req.sessionId) {
+      await revokeSession(req.user._id, req.sessionId, 'logout');
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Error logging out:', error);
+    serverError(res, 'Failed to log out', error);
+  }
+};
+
+/**
+ * @desc    List the user's active sessions
+ * @route   GET /api/users/sessions
+ * @access  Private
+ */
+exports.getSessions = async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user._id, req.sessionId);
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      sessions
+    });
+  } catch (error) {
+    console.error('Error fetching sessions:', error);
+    serverError(res, 'Failed to fetch sessions', error);
+  }
+};
+
+/**
+ * @desc    Revoke one of the user's sessions
+ * @route   DELETE /api/users/sessions/:sessionId
+ * @access  Private
+ */
+exports.revokeSession = async (req, res) => {
+  try {
+    const revoked = await revokeSession(req.user._id, req.params.sessionId, 'user_revoked');
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found or already revoked'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked'
+    });
+  } catch (error) {
+    console.error('Error revoking session:', error);
+    serverError(res, 'Failed to revoke session', error);
+  }
+};
+
+/**
+ * @desc    Revoke all of the user's sessions (?keepCurrent=true keeps this one)
+ * @route   DELETE /api/users/sessions
+ * @access  Private
+ */
+exports.revokeAllSessions = async (req, res) => {
+  try {
+    const keepCurrent = req.query.keepCurrent === 'true' && req.sessionId;
+
+    const revokedCount = await revokeAllSessions(req.user._id, 'user_revoked', {
+      exceptSessionId: keepCurrent ? req.sessionId : null
+    });
+
+    res.status(200).json({
+      success: true,
+      message: keepCurrent ? 'Signed out of all other sessions' : 'Signed out of all sessions',
+      revokedCount
+    });
+  } catch (error) {
+    console.error('Error revoking sessions:', error);
+    serverError(res, 'Failed to revoke sessions', error);
+  }
+};
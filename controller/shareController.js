@@ -349,6 +349,7 @@ exports.adminAddShares = async (req, res) => {
     // ── V1 writes ─────────────────────────────────────────────────────────
     await UserShare.addTransaction(userId, {
       ...sharedTxData,
+      amount       : totalAmountNaira,
       ownershipPct : tierData.percentPerShare * shareCount,   // V1 expects total
       earningKobo  : tierData.earningPerPhone  * shareCount
     });
@@ -370,7 +371,7 @@ exports.adminAddShares = async (req, res) => {
     // ── Referral ──────────────────────────────────────────────────────────
     try {
       if (user.referralInfo?.code) {
-        await processReferralCommission(userId, totalAmountNaira, 'share', transactionId, shareCount);
+        await processReferralCommission(userId, totalAmountNaira, 'share', transactionId, { tierKey: selectedTierKey });
       }
     } catch (referralError) {
       console.error('Error processing referral commissions:', referralError);
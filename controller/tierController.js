@@ -1,5 +1,6 @@
 const TierConfig = require('../models/TierConfig');
 const User = require('../models/User');
+const { recordAuditEvent } = require('../utils/auditService');
 
 /**
  * @desc    Get all share tiers (grouped by type)
@@ -122,10 +123,22 @@ exports.updateTier = async (req, res) => {
     }
 
     const existing = config.tiers.get(tierKey);
-    const updated = { ...(existing.toObject ? existing.toObject() : existing), ...updates };
+    const before = existing.toObject ? existing.toObject() : { ...existing };
+    const updated = { ...before, ...updates };
     config.tiers.set(tierKey, updated);
     await config.save();
 
+    await recordAuditEvent({
+      action: 'TIER_UPDATED',
+      source: 'tiers',
+      entityType: 'tier',
+      entityId: tierKey,
+      before,
+      after: updated,
+      details: { fieldsChanged: Object.keys(updates) },
+      reason: updates.reason
+    });
+
     res.status(200).json({ success: true, message: `Tier "${tierKey}" updated`, tier: updated });
   } catch (error) {
     console.error('Error updating tier:', error);
@@ -173,6 +186,14 @@ exports.createTier = async (req, res) => {
     config.tiers.set(key, newTier);
     await config.save();
 
+    await recordAuditEvent({
+      action: 'TIER_CREATED',
+      source: 'tiers',
+      entityType: 'tier',
+      entityId: key,
+      after: newTier
+    });
+
     res.status(201).json({ success: true, message: `Tier "${key}" created`, tier: newTier });
   } catch (error) {
     console.error('Error creating tier:', error);
@@ -200,9 +221,18 @@ exports.deleteTier = async (req, res) => {
       return res.status(404).json({ success: false, message: `Tier "${tierKey}" not found` });
     }
 
+    const removed = config.tiers.get(tierKey);
     config.tiers.delete(tierKey);
     await config.save();
 
+    await recordAuditEvent({
+      action: 'TIER_DELETED',
+      source: 'tiers',
+      entityType: 'tier',
+      entityId: tierKey,
+      before: removed.toObject ? removed.toObject() : removed
+    });
+
     res.status(200).json({ success: true, message: `Tier "${tierKey}" deleted` });
   } catch (error) {
     console.error('Error deleting tier:', error);
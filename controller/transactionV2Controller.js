@@ -5,7 +5,11 @@ const UserShareV2          = require('../models/UserShareV2');
 const UserShare            = require('../models/UserShare');
 const PaymentTransaction   = require('../models/Transaction');
 const User                 = require('../models/User');
+const AdminAuditLog        = require('../models/AdminAuditLog');
 const recalculateUserShare = require('../helpers/recalculateUserShare');
+const ReconciliationReport   = require('../models/ReconciliationReport');
+const ReconciliationMismatch = require('../models/ReconciliationMismatch');
+const { runReconciliation, repairReport } = require('../utils/shareReconciliation');
 
 // ─────────────────────────────────────────────────────────────────────────────
 // POST /api/v2/transactions
@@ -389,4 +393,209 @@ exports.compareUserData = async (req, res) => {
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
-};
\ No newline at end of file
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// POST /api/v2/transactions/reconciliation/run
+// Start a reconciliation run now. Returns immediately; poll the report.
+// ─────────────────────────────────────────────────────────────────────────────
+exports.runReconciliationNow = async (req, res) => {
+  try {
+    const admin = await User.findById(req.user.id);
+    if (!admin?.isAdmin) {
+      return res.status(403).json({ success: false, message: 'Admin access required' });
+    }
+
+    const active = await ReconciliationReport.findOne({ status: 'running' })
+      .sort({ startedAt: -1 }).lean();
+    if (active) {
+      return res.status(409).json({
+        success: false,
+        message: 'A reconciliation run is already in progress',
+        reportId: active._id
+      });
+    }
+
+    runReconciliation({ trigger: 'manual', triggeredBy: admin._id })
+      .catch(err => console.error('Manual reconciliation failed:', err));
+
+    res.status(202).json({
+      success: true,
+      message: 'Reconciliation started. Check /reconciliation/reports for progress.'
+    });
+
+  } catch (error) {
+    console.error('Error starting reconciliation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start reconciliation',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// GET /api/v2/transactions/reconciliation/reports
+// ─────────────────────────────────────────────────────────────────────────────
+exports.getReconciliationReports = async (req, res) => {
+  try {
+    const admin = await User.findById(req.user.id);
+    if (!admin?.isAdmin) {
+      return res.status(403).json({ success: false, message: 'Admin access required' });
+    }
+
+    const page  = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+
+    const [reports, total] = await Promise.all([
+      ReconciliationReport.find()
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('triggeredBy', 'name email username')
+        .lean(),
+      ReconciliationReport.countDocuments()
+    ]);
+
+    res.status(200).json({
+      success: true,
+      reports,
+      pagination: {
+        currentPage: page,
+        totalPages : Math.ceil(total / limit),
+        total
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching reconciliation reports:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch reconciliation reports',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// GET /api/v2/transactions/reconciliation/reports/:reportId/mismatches
+// Filters: type, scope, status, autoRepairable, userId
+// ─────────────────────────────────────────────────────────────────────────────
+exports.getReconciliationMismatches = async (req, res) => {
+  try {
+    const admin = await User.findById(req.user.id);
+    if (!admin?.isAdmin) {
+      return res.status(403).json({ success: false, message: 'Admin access required' });
+    }
+
+    const { reportId } = req.params;
+    const { type, scope, status, autoRepairable, userId } = req.query;
+    const page  = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit) || 50));
+
+    const report = await ReconciliationReport.findById(reportId).lean();
+    if (!report) {
+      return res.status(404).json({ success: false, message: 'Report not found' });
+    }
+
+    const query = { report: reportId };
+    if (type)   query.mismatchType = type;
+    if (scope)  query.scope = scope;
+    if (status) query.status = status;
+    if (userId) query.user = userId;
+    if (autoRepairable !== undefined) query.autoRepairable = autoRepairable === 'true';
+
+    const [mismatches, total] = await Promise.all([
+      ReconciliationMismatch.find(query)
+        .sort({ mismatchType: 1, user: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('user', 'name email username')
+        .lean(),
+      ReconciliationMismatch.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      report,
+      mismatches,
+      pagination: {
+        currentPage: page,
+        totalPages : Math.ceil(total / limit),
+        total
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching reconciliation mismatches:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch reconciliation mismatches',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// POST /api/v2/transactions/reconciliation/reports/:reportId/repair
+// Auto-repair the safe classes. Body: { types?: ['missing_v2', ...] }
+// ─────────────────────────────────────────────────────────────────────────────
+exports.repairReconciliationReport = async (req, res) => {
+  try {
+    const admin = await User.findById(req.user.id);
+    if (!admin?.isAdmin) {
+      return res.status(403).json({ success: false, message: 'Admin access required' });
+    }
+
+    const { reportId } = req.params;
+    const { types } = req.body || {};
+
+    const report = await ReconciliationReport.findById(reportId).lean();
+    if (!report) {
+      return res.status(404).json({ success: false, message: 'Report not found' });
+    }
+    if (report.status !== 'completed') {
+      return res.status(400).json({
+        success: false,
+        message: `Only completed reports can be repaired (status: ${report.status})`
+      });
+    }
+
+    if (types !== undefined) {
+      const invalid = [].concat(types).filter(t => !ReconciliationMismatch.MISMATCH_TYPES.includes(t));
+      if (invalid.length) {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown mismatch types: ${invalid.join(', ')}`
+        });
+      }
+    }
+
+    const result = await repairReport(reportId, {
+      types  : types !== undefined ? [].concat(types) : undefined,
+      adminId: admin._id
+    });
+
+    await AdminAuditLog.create({
+      adminId  : admin._id,
+      action   : 'RECONCILIATION_REPAIR',
+      details  : { reportId, types, ...result },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Repaired ${result.repaired} of ${result.attempted} mismatches`,
+      result
+    });
+
+  } catch (error) {
+    console.error('Error repairing reconciliation report:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to repair reconciliation report',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
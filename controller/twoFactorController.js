@@ -0,0 +1,264 @@
+// controller/twoFactorController.js
+const User = require('../models/User');
+const AdminAuditLog = require('../models/AdminAuditLog');
+const twoFactorService = require('../utils/twoFactorService');
+const { revokeAllSessions } = require('../utils/sessionService');
+
+const serverError = (res, message, error) =>
+  res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+
+const invalidCode = (res) =>
+  res.status(400).json({
+    success: false,
+    code: 'TWO_FACTOR_INVALID',
+    message: 'Invalid or already used two-factor code'
+  });
+
+/**
+ * @desc    Two-factor status of the current user
+ * @route   GET /api/users/2fa/status
+ * @access  Private
+ */
+exports.getStatus = async (req, res) => {
+  try {
+    const status = await twoFactorService.getStatus(req.user._id);
+    res.status(200).json({ success: true, twoFactor: status });
+  } catch (error) {
+    console.error('Error fetching 2FA status:', error);
+    serverError(res, 'Failed to fetch two-factor status', error);
+  }
+};
+
+/**
+ * @desc    Start TOTP enrollment; returns the secret for the authenticator app
+ * @route   POST /api/users/2fa/setup
+ * @access  Private
+ */
+exports.setup = async (req, res) => {
+  try {
+    if (req.user.twoFactor?.enabled) {
+      return res.status(409).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const { secret, otpauthUrl } = await twoFactorService.beginSetup(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Add this secret to your authenticator app, then confirm with a code',
+      secret,
+      otpauthUrl
+    });
+  } catch (error) {
+    console.error('Error starting 2FA setup:', error);
+    serverError(res, 'Failed to start two-factor setup', error);
+  }
+};
+
+/**
+ * @desc    Confirm enrollment with a code; returns the backup codes once
+ * @route   POST /api/users/2fa/enable
+ * @access  Private
+ */
+exports.enable = async (req, res) => {
+  try {
+    const { code } = req.body || {};
+
+    if (!code) {
+      return res.status(400).json({ success: false, message: 'Code is required' });
+    }
+    if (req.user.twoFactor?.enabled) {
+      return res.status(409).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const backupCodes = await twoFactorService.confirmSetup(req.user._id, code);
+    if (!backupCodes) return invalidCode(res);
+
+    // Enrolling proves the second factor for this session
+    if (req.sessionId) await twoFactorService.markSessionStepUp(req.sessionId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store these backup codes somewhere safe; they will not be shown again.',
+      backupCodes
+    });
+  } catch (error) {
+    console.error('Error enabling 2FA:', error);
+    serverError(res, 'Failed to enable two-factor authentication', error);
+  }
+};
+
+/**
+ * @desc    Step up the current session with a TOTP or backup code
+ * @route   POST /api/users/2fa/verify
+ * @access  Private
+ */
+exports.verify = async (req, res) => {
+  try {
+    const { code } = req.body || {};
+
+    if (!code) {
+      return res.status(400).json({ success: false, message: 'Code is required' });
+    }
+    if (!req.user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        code: 'TWO_FACTOR_SETUP_REQUIRED',
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+    if (!req.sessionId) {
+      return res.status(400).json({
+        success: false,
+        code: 'TWO_FACTOR_SESSION_REQUIRED',
+        message: 'This token has no session to step up. Log in again, or send the code in the X-2FA-Code header.'
+      });
+    }
+
+    const method = await twoFactorService.verifySecondFactor(req.user._id, code);
+    if (!method) return invalidCode(res);
+
+    const stepUpExpiresAt = await twoFactorService.markSessionStepUp(req.sessionId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor verification successful',
+      method,
+      stepUpExpiresAt
+    });
+  } catch (error) {
+    console.error('Error verifying 2FA:', error);
+    serverError(res, 'Failed to verify two-factor code', error);
+  }
+};
+
+/**
+ * @desc    Replace the backup codes
+ * @route   POST /api/users/2fa/backup-codes
+ * @access  Private
+ */
+exports.regenerateBackupCodes = async (req, res) => {
+  try {
+    const { code } = req.body || {};
+
+    if (!req.user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        code: 'TWO_FACTOR_SETUP_REQUIRED',
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const method = await twoFactorService.verifySecondFactor(req.user._id, code);
+    if (!method) return invalidCode(res);
+
+    const backupCodes = await twoFactorService.regenerateBackupCodes(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'New backup codes generated. Previous codes no longer work.',
+      backupCodes
+    });
+  } catch (error) {
+    console.error('Error regenerating backup codes:', error);
+    serverError(res, 'Failed to regenerate backup codes', error);
+  }
+};
+
+/**
+ * @desc    Turn off two-factor authentication (password and code required)
+ * @route   POST /api/users/2fa/disable
+ * @access  Private
+ */
+exports.disable = async (req, res) => {
+  try {
+    const { password, code } = req.body || {};
+
+    if (!password || !code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password and code are required'
+      });
+    }
+    if (!req.user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+password');
+    if (!user || !(await user.comparePassword(password))) {
+      return res.status(401).json({ success: false, message: 'Password is incorrect' });
+    }
+
+    const method = await twoFactorService.verifySecondFactor(req.user._id, code);
+    if (!method) return invalidCode(res);
+
+    await twoFactorService.disableTwoFactor(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('Error disabling 2FA:', error);
+    serverError(res, 'Failed to disable two-factor authentication', error);
+  }
+};
+
+/**
+ * @desc    Reset a user's 2FA (lost device); signs the user out everywhere
+ * @route   POST /api/users/admin/users/:userId/2fa/reset
+ * @access  Private (Admin)
+ */
+exports.adminResetTwoFactor = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { reason } = req.body || {};
+
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required to reset two-factor authentication'
+      });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    const wasEnabled = !!user.twoFactor?.enabled;
+    await twoFactorService.disableTwoFactor(user._id);
+    const revokedSessions = await revokeAllSessions(user._id, 'two_factor_reset');
+
+    await AdminAuditLog.create({
+      adminId: req.user._id,
+      action: 'RESET_USER_2FA',
+      targetUserId: user._id,
+      details: { reason: String(reason).trim(), wasEnabled, revokedSessions },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Two-factor authentication reset for ${user.email}`,
+      wasEnabled,
+      revokedSessions
+    });
+  } catch (error) {
+    console.error('Error resetting 2FA:', error);
+    serverError(res, 'Failed to reset two-factor authentication', error);
+  }
+};
@@ -1,6 +1,5 @@
 // controller/userController.js - Updated to use NIN instead of BVN
 const User = require("../models/User");
-const jwt = require("jsonwebtoken");
 const crypto = require("crypto");
 const mongoose = require('mongoose');
 const { sendEmail } = require("../utils/emailService");
@@ -10,17 +9,15 @@ const {
   welcomeTemplate,
 } = require("../utils/emailTemplates");
 const referralController = require("../controller/referralController");
+const { registrationSignals, checkNewReferral } = require("../utils/referralFraud");
+const { findRunningCampaign } = require("../utils/referralCampaigns");
 
 // controller/userController.js
 const SmileIDService = require("../services/smileIDService");
 const smileIDService = new SmileIDService();
 
-// Helper function to generate JWT
-const generateToken = (userId) => {
-  return jwt.sign({ id: userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || "7d",
-  });
-};
+const { createSession, revokeAllSessions } = require("../utils/sessionService");
+const { ROLE_NAMES, getEffectiveRoles } = require("../config/adminRoles");
 
 // Basic Ethereum address validation
 const isValidEthAddress = (address) => {
@@ -44,6 +41,7 @@ exports.registerUser = async (req, res) => {
       interest,
       walletAddress,
       referralCode,
+      campaignCode,
     } = req.body;
 
     // Basic validation
@@ -93,6 +91,10 @@ exports.registerUser = async (req, res) => {
       }
     }
 
+    // A campaign code that has ended or never existed is ignored, so an old
+    // sign-up link still works
+    const campaign = campaignCode ? await findRunningCampaign(campaignCode) : null;
+
     // Create new user with enhanced fields
     const user = new User({
       name: name || fullName, // Support both name formats
@@ -107,11 +109,14 @@ exports.registerUser = async (req, res) => {
       city: city || null,
       interest: interest || null,
       walletAddress: walletAddress || null,
-      referralInfo: referralCode
+      registrationInfo: registrationSignals(req),
+      referralInfo: referralCode || campaign
         ? {
-            code: referralCode,
+            code: referralCode || undefined,
             source: req.body.referralSource || "direct",
             timestamp: new Date(),
+            campaign: campaign?._id || null,
+            campaignCode: campaign?.code,
           }
         : null,
     });
@@ -127,14 +132,16 @@ exports.registerUser = async (req, res) => {
         console.log(
           `Referral processed for new user ${user.email} with code ${referralCode}`
         );
+        // Suspicious referrals have their commissions held for review
+        await checkNewReferral(user._id);
       } catch (referralError) {
         console.error("Error processing referral:", referralError);
         // Continue with registration even if referral processing fails
       }
     }
 
-    // Generate JWT token
-    const token = generateToken(user._id);
+    // Start a session for this device
+    const { token, refreshToken } = await createSession(user._id, req);
 
     // Send welcome email
     const loginUrl = `${
@@ -157,6 +164,7 @@ exports.registerUser = async (req, res) => {
       success: true,
       message: "User registered successfully",
       token,
+      refreshToken,
       user: {
         id: user._id,
         name: user.name || fullName,
@@ -226,14 +234,15 @@ exports.loginUser = async (req, res) => {
       });
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Start a session for this device
+    const { token, refreshToken } = await createSession(user._id, req);
 
     // Return success response with enhanced user data
     res.status(200).json({
       success: true,
       message: "Login successful",
       token,
+      refreshToken,
       user: {
         id: user._id,
         name: user.name,
@@ -397,8 +406,9 @@ exports.resetPassword = async (req, res) => {
     // This will fix the "Name is required" error
     await user.save({ validateBeforeSave: false });
 
-    // Generate new JWT
-    const newToken = generateToken(user._id);
+    // Sign out every device that used the old password, then this one in
+    await revokeAllSessions(user._id, "password_reset");
+    const { token: newToken, refreshToken } = await createSession(user._id, req);
 
     // Send password change confirmation email
     const loginUrl = `${
@@ -423,6 +433,7 @@ exports.resetPassword = async (req, res) => {
       success: true,
       message: "Password has been reset successfully",
       token: newToken,
+      refreshToken,
     });
   } catch (error) {
     console.error("Reset password error:", error);
@@ -521,14 +532,15 @@ exports.loginWithWallet = async (req, res) => {
       });
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Start a session for this device
+    const { token, refreshToken } = await createSession(user._id, req);
 
     // Return success response with enhanced user data
     res.status(200).json({
       success: true,
       message: "Login successful",
       token,
+      refreshToken,
       user: {
         id: user._id,
         name: user.name,
@@ -811,9 +823,15 @@ exports.updatePassword = async (req, res) => {
     user.password = newPassword;
     await user.save();
 
+    // Sign out every other device; this one gets a fresh session
+    await revokeAllSessions(user._id, "password_changed");
+    const { token, refreshToken } = await createSession(user._id, req);
+
     res.status(200).json({
       success: true,
       message: "Password updated successfully",
+      token,
+      refreshToken,
     });
   } catch (error) {
     console.error("Error updating password:", error);
@@ -897,59 +915,6 @@ grantAdminRights("onuhbernard4@gmail.com", "newadmin@example.com")
     console.error("Failed to grant admin rights:", error);
   });
 
-// Add this to your userController.js
-exports.grantAdminRights = async (req, res) => {
-  try {
-    const { email } = req.body;
-
-    if (!email) {
-      return res.status(400).json({
-        success: false,
-        message: "Please provide an email address",
-      });
-    }
-
-    // Find the user to be granted admin rights
-    const userToPromote = await User.findOne({ email });
-
-    if (!userToPromote) {
-      return res.status(404).json({
-        success: false,
-        message: "User not found",
-      });
-    }
-
-    // Check if user is already an admin
-    if (userToPromote.isAdmin) {
-      return res.status(400).json({
-        success: false,
-        message: "User is already an admin",
-      });
-    }
-
-    // Grant admin rights
-    userToPromote.isAdmin = true;
-    await userToPromote.save();
-
-    res.status(200).json({
-      success: true,
-      message: `User ${email} has been granted admin privileges`,
-      user: {
-        id: userToPromote._id,
-        email: userToPromote.email,
-        isAdmin: true,
-      },
-    });
-  } catch (error) {
-    console.error("Error granting admin rights:", error);
-    res.status(500).json({
-      success: false,
-      message: "Internal server error",
-      error: process.env.NODE_ENV === "development" ? error.message : undefined,
-    });
-  }
-};
-
 // Add these to your userController.js file
 
 // Ban user
@@ -991,6 +956,7 @@ exports.banUser = async (req, res) => {
     userToBan.bannedBy = req.user.id;
 
     await userToBan.save();
+    await revokeAllSessions(userToBan._id, "banned");
 
     res.status(200).json({
       success: true,
@@ -1397,6 +1363,7 @@ exports.revokeAdminRights = async (req, res) => {
 
     // Revoke admin rights
     userToRevoke.isAdmin = false;
+    userToRevoke.adminRoles = [];
     userToRevoke.adminRevokedAt = new Date();
     userToRevoke.adminRevokedBy = req.user.id;
 
@@ -1486,7 +1453,7 @@ exports.getBannedUsers = async (req, res) => {
 // Updated grantAdminRights function with tracking
 exports.grantAdminRights = async (req, res) => {
   try {
-    const { email } = req.body;
+    const { email, roles } = req.body;
 
     if (!email) {
       return res.status(400).json({
@@ -1495,6 +1462,24 @@ exports.grantAdminRights = async (req, res) => {
       });
     }
 
+    // Admins get exactly the roles chosen here; there is no default access
+    const requestedRoles = [...new Set([].concat(roles || []))];
+    if (!requestedRoles.length) {
+      return res.status(400).json({
+        success: false,
+        message: "Please choose at least one admin role",
+        availableRoles: ROLE_NAMES,
+      });
+    }
+    const unknownRoles = requestedRoles.filter((role) => !ROLE_NAMES.includes(role));
+    if (unknownRoles.length) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown role(s): ${unknownRoles.join(", ")}`,
+        availableRoles: ROLE_NAMES,
+      });
+    }
+
     // Find the user to be granted admin rights
     const userToPromote = await User.findOne({ email });
 
@@ -1515,6 +1500,7 @@ exports.grantAdminRights = async (req, res) => {
 
     // Grant admin rights with tracking
     userToPromote.isAdmin = true;
+    userToPromote.adminRoles = requestedRoles;
     userToPromote.adminGrantedAt = new Date();
     userToPromote.adminGrantedBy = req.user.id;
 
@@ -1527,6 +1513,7 @@ exports.grantAdminRights = async (req, res) => {
         id: userToPromote._id,
         email: userToPromote.email,
         isAdmin: true,
+        roles: getEffectiveRoles(userToPromote),
         adminGrantedAt: userToPromote.adminGrantedAt,
       },
     });
@@ -2298,21 +2285,54 @@ exports.getOnboardingStatus = async (req, res) => {
     res.status(500).json({ success: false, message: 'Failed to fetch onboarding status' });
   }
 };
+/**
+ * @desc    Update the referral commission rules (levels, depth, minimum
+ *          purchase, lock days and per-type/tier overrides)
+ * @route   POST /api/users/admin/referral/update-rates
+ * @access  Private (referrals.manage)
+ */
 exports.updateReferralRates = async (req, res) => {
   try {
     const admin = await User.findById(req.user.id);
     if (!admin || !admin.isAdmin) return res.status(403).json({ success: false, message: 'Admin required' });
 
     const { levels, maxDepth, minPurchase, lockDays, commissionRules } = req.body;
+    const { MAX_REFERRAL_DEPTH, validateLevels, validateRules } = require('../utils/referralRules');
+
+    const errors = [];
+    if (levels !== undefined) errors.push(...validateLevels(levels));
+    if (maxDepth !== undefined) {
+      const depth = Number(maxDepth);
+      if (!Number.isInteger(depth) || depth < 1 || depth > MAX_REFERRAL_DEPTH) {
+        errors.push(`maxDepth must be a whole number from 1 to ${MAX_REFERRAL_DEPTH}`);
+      }
+    }
+    if (minPurchase !== undefined && !(Number(minPurchase) >= 0)) {
+      errors.push('minPurchase must be a non-negative number');
+    }
+    if (lockDays !== undefined && !(Number.isInteger(Number(lockDays)) && Number(lockDays) >= 0)) {
+      errors.push('lockDays must be a non-negative whole number');
+    }
+    if (commissionRules !== undefined) errors.push(...validateRules(commissionRules));
+    if (errors.length) {
+      return res.status(400).json({ success: false, message: 'Invalid referral rules', errors });
+    }
 
     const SiteConfig = require('../models/SiteConfig');
     const config = await SiteConfig.getCurrentConfig();
 
-    if (levels) config.referralRates = levels;
-    if (maxDepth) config.referralMaxDepth = parseInt(maxDepth);
-    if (minPurchase) config.referralMinPurchase = parseInt(minPurchase);
-    if (lockDays !== undefined) config.referralLockDays = parseInt(lockDays);
-    if (commissionRules) config.commissionRules = commissionRules;
+    if (levels !== undefined) {
+      config.referralRates = levels
+        .map(({ level, rate }) => ({ level, rate }))
+        .sort((a, b) => a.level - b.level);
+      // Keep the older generation1..3 setting in step for the screens that read it
+      const rateFor = (level) => levels.find(entry => entry.level === level)?.rate || 0;
+      config.referralCommission = { generation1: rateFor(1), generation2: rateFor(2), generation3: rateFor(3) };
+    }
+    if (maxDepth !== undefined) config.referralMaxDepth = Number(maxDepth);
+    if (minPurchase !== undefined) config.referralMinPurchase = Number(minPurchase);
+    if (lockDays !== undefined) config.referralLockDays = Number(lockDays);
+    if (commissionRules !== undefined) config.commissionRules = commissionRules;
 
     config.markModified('referralRates');
     config.markModified('commissionRules');
@@ -2333,14 +2353,25 @@ exports.adminUpdateUser = async (req, res) => {
     const { name, userName, email, phoneNumber, walletAddress, kycStatus, referralCode } = req.body;
     const user = await User.findById(userId);
     if (!user) return res.status(404).json({ success: false, message: 'User not found' });
+    const previousUserName = user.userName;
     if (name !== undefined) user.name = name;
     if (userName !== undefined) user.userName = userName;
     if (email !== undefined) user.email = email;
     if (phoneNumber !== undefined) user.phoneNumber = phoneNumber;
     if (walletAddress !== undefined) user.walletAddress = walletAddress;
     if (kycStatus !== undefined) user.kycStatus = kycStatus;
-    if (referralCode !== undefined && user.referralInfo) user.referralInfo.code = referralCode;
+    // A new referrer moves commissions too, so it has its own endpoint with a dry run
+    if (referralCode !== undefined && (user.referralInfo?.code || '') !== (referralCode || '')) {
+      return res.status(400).json({
+        success: false,
+        message: 'Change the referrer through PUT /api/admin/referrals/user/:userId/referrer, which previews the commissions that move'
+      });
+    }
     await user.save();
+    // Referral codes are usernames, so the user's direct referrals follow a rename
+    if (user.userName !== previousUserName) {
+      await User.updateMany({ 'referralInfo.code': previousUserName }, { $set: { 'referralInfo.code': user.userName } });
+    }
     res.status(200).json({ success: true, message: 'User updated successfully', data: user });
   } catch (error) {
     console.error('Error updating user:', error);
@@ -2359,10 +2390,10 @@ exports.adminResetUserPassword = async (req, res) => {
     }
     const user = await User.findById(userId);
     if (!user) return res.status(404).json({ success: false, message: 'User not found' });
-    const bcrypt = require('bcryptjs');
-    const salt = await bcrypt.genSalt(10);
-    user.password = await bcrypt.hash(newPassword, salt);
+    // Hashed by the User pre-save hook
+    user.password = newPassword;
     await user.save();
+    await revokeAllSessions(user._id, 'admin_password_reset');
     res.status(200).json({ success: true, message: 'Password reset successfully' });
   } catch (error) {
     console.error('Error resetting password:', error);
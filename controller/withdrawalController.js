@@ -19,6 +19,19 @@ const Withdrawal = require('../models/Withdrawal');
 const Payment = require('../models/Payment');
 const CryptoExchangeRate = require('../models/CryptoExchangeRate');
 const { sendEmail } = require('../utils/emailService');
+const {
+  withLedgerSession,
+  transitionWithdrawalFunds,
+  ensureUserOpeningBalance,
+  getUserBalances,
+  syncReferralBalances,
+  getUserStatement
+} = require('../utils/ledgerService');
+const { formatEarningsByCurrency } = require('../utils/referralCurrency');
+const payoutProviders = require('../services/payoutProviders');
+const { PayoutProviderError } = payoutProviders;
+const { IN_PROGRESS_STATUSES, applyTransferStatus, saveWithdrawalTransition, notifyWithdrawalOutcome } = require('../utils/withdrawalSettlement');
+const { getAllowance, allowanceBlock } = require('../utils/withdrawalVelocity');
 const axios = require('axios');
 const ethers = require('ethers');
 const PDFDocument = require('pdfkit');
@@ -39,6 +52,26 @@ const BNB_CONFIG = {
   USDT_DECIMALS: 18
 };
 
+/**
+ * Save a new withdrawal and reserve its amount (available -> pending), checking
+ * the ledger balance in the same transaction. Concurrent reservations for one
+ * user conflict on their Referral counters, so the second re-runs and sees
+ * the first one's reservation.
+ * @returns {Promise<Object|null>} the saved withdrawal, or null when the
+ *   available balance doesn't cover it
+ */
+const reserveWithdrawal = (withdrawal) =>
+  withLedgerSession(async (session) => {
+    await ensureUserOpeningBalance(withdrawal.user, { session });
+    const { availableBalance } = await getUserBalances(withdrawal.user, { session });
+    console.log(`User ${withdrawal.user} - Available balance: ${availableBalance}, Requested: ${withdrawal.amount}`);
+    if (availableBalance < withdrawal.amount) return null;
+
+    await withdrawal.save({ session });
+    await transitionWithdrawalFunds(withdrawal, 'pending', 'available', {}, { session });
+    return withdrawal;
+  });
+
 // ========== BANK WITHDRAWAL FUNCTIONS ==========
 
 /**
@@ -72,7 +105,7 @@ exports.processInstantWithdrawal = async (req, res) => {
     // Check for ANY non-completed withdrawal (pending OR processing)
     const existingWithdrawal = await Withdrawal.findOne({
       user: userId,
-      status: { $in: ['pending', 'processing'] }
+      status: { $in: IN_PROGRESS_STATUSES }
     });
 
     if (existingWithdrawal) {
@@ -82,30 +115,6 @@ exports.processInstantWithdrawal = async (req, res) => {
       });
     }
 
-    // Get referral data for balance check
-    const referralData = await Referral.findOne({ user: userId });
-    if (!referralData || referralData.totalEarnings < amount) {
-      return res.status(400).json({
-        success: false,
-        message: 'Insufficient balance for this withdrawal'
-      });
-    }
-
-    // Calculate available balance
-    const availableBalance = referralData.totalEarnings - 
-                            (referralData.totalWithdrawn || 0) - 
-                            (referralData.pendingWithdrawals || 0) - 
-                            (referralData.processingWithdrawals || 0);
-
-    console.log(`User ${userId} - Available balance: ${availableBalance}, Requested: ${amount}`);
-
-    if (availableBalance < amount) {
-      return res.status(400).json({
-        success: false,
-        message: 'Insufficient available balance for this withdrawal'
-      });
-    }
-
     // Check if user has verified payment details
     const paymentData = await Payment.findOne({ user: userId });
     if (!paymentData || !paymentData.bankAccount) {
@@ -125,202 +134,142 @@ exports.processInstantWithdrawal = async (req, res) => {
 
     // Generate a unique client reference
     const clientReference = `WD-${userId.substr(-6)}-${Date.now()}`;
-    
-    const session = await mongoose.startSession();
-    session.startTransaction();
 
-    try {
-      console.log(`Creating withdrawal record with reference: ${clientReference}`);
-      
-      // Create a pending withdrawal record
-      const withdrawal = new Withdrawal({
-        user: userId,
-        amount,
-        withdrawalType: 'bank',
-        paymentMethod: 'bank',
-        paymentDetails: {
-          bankName: paymentData.bankAccount.bankName,
-          accountName: paymentData.bankAccount.accountName,
-          accountNumber: paymentData.bankAccount.accountNumber,
-          bankCode: paymentData.bankAccount.bankCode
-        },
-        notes,
-        status: 'pending',
-        clientReference: clientReference
-      });
+    console.log(`Creating withdrawal record with reference: ${clientReference}`);
 
-      await withdrawal.save({ session });
-
-      // Update referral to add pending withdrawal amount
-      await Referral.findOneAndUpdate(
-        { user: userId },
-        { $inc: { pendingWithdrawals: amount } },
-        { session }
-      );
+    // Record the withdrawal and reserve its amount (available -> pending)
+    // before anything is sent, so a transfer can never go out unrecorded
+    let withdrawal = await reserveWithdrawal(new Withdrawal({
+      user: userId,
+      amount,
+      withdrawalType: 'bank',
+      paymentMethod: 'bank',
+      paymentDetails: {
+        bankName: paymentData.bankAccount.bankName,
+        accountName: paymentData.bankAccount.accountName,
+        accountNumber: paymentData.bankAccount.accountNumber,
+        bankCode: paymentData.bankAccount.bankCode
+      },
+      notes,
+      status: 'pending',
+      clientReference: clientReference,
+      transferReference: clientReference
+    }));
+    if (!withdrawal) {
+      return res.status(400).json({
+        success: false,
+        message: 'Insufficient available balance for this withdrawal'
+      });
+    }
 
-      console.log(`Making API call to Lenco for withdrawal...`);
-      
-      // Process the bank transfer using Lenco API
-      const lencoPayload = {
-        accountId: process.env.LENCO_ACCOUNT_ID,
+    // Send the transfer through the provider configured for bank payouts
+    let transfer;
+    try {
+      transfer = await payoutProviders.initiateTransfer('bank', {
+        reference: clientReference,
+        amount,
         accountNumber: paymentData.bankAccount.accountNumber,
         bankCode: paymentData.bankAccount.bankCode,
-        amount: amount.toString(),
-        narration: `Afrimobile Earnings Withdrawal`,
-        reference: clientReference,
-        senderName: 'Afrimobile'
-      };
-      
-      console.log('Lenco request payload:', JSON.stringify(lencoPayload));
-      console.log('Using Lenco account ID:', process.env.LENCO_ACCOUNT_ID);
-      
-      const response = await axios.post('https://api.lenco.co/access/v1/transactions', lencoPayload, {
-        headers: {
-          'Authorization': `Bearer ${process.env.LENCO_API_KEY}`,
-          'Content-Type': 'application/json'
-        }
+        bankName: paymentData.bankAccount.bankName,
+        accountName: paymentData.bankAccount.accountName,
+        narration: 'Afrimobile Earnings Withdrawal'
       });
+      console.log(`${transfer.provider} transfer ${clientReference} status: ${transfer.status}`);
+    } catch (transferError) {
+      console.error('Bank transfer error:', transferError.message);
 
-      console.log(`Lenco API response status:`, response.status);
-      console.log(`Lenco API response:`, JSON.stringify(response.data));
-
-      if (response.data && response.data.status) {
-        // Update withdrawal with transaction reference
-        withdrawal.transactionReference = response.data.data.transactionReference;
-        
-        // Set status based on immediate response
-        if (response.data.data.status === 'successful') {
-          withdrawal.status = 'paid';
-          withdrawal.processedAt = new Date();
-          
-          // Move amount from pending to totalWithdrawn
-          await Referral.findOneAndUpdate(
-            { user: userId },
-            { 
-              $inc: { 
-                pendingWithdrawals: -amount,
-                totalWithdrawn: amount 
-              } 
-            },
-            { session }
-          );
-          
-          // Create a transaction record
-          const transaction = new ReferralTransaction({
-            user: userId,
-            type: 'withdrawal',
-            amount: -amount,
-            description: `Withdrawal to ${paymentData.bankAccount.bankName} - ${paymentData.bankAccount.accountNumber}`,
-            status: 'completed',
-            reference: clientReference,
-            generation: 0,
-            referredUser: userId,
-            beneficiary: userId
-          });
-          await transaction.save({ session });
-          
-        } else if (response.data.data.status === 'failed' || response.data.data.status === 'declined') {
-          withdrawal.status = 'failed';
-          withdrawal.rejectionReason = response.data.data.reasonForFailure || 'Transaction failed';
-          
-          // Remove pending withdrawal amount
-          await Referral.findOneAndUpdate(
-            { user: userId },
-            { $inc: { pendingWithdrawals: -amount } },
-            { session }
-          );
-          
-        } else if (response.data.data.status === 'processing') {
-          withdrawal.status = 'processing';
-          
-          // Move amount from pending to processing
-          await Referral.findOneAndUpdate(
-            { user: userId },
-            { 
-              $inc: { 
-                pendingWithdrawals: -amount,
-                processingWithdrawals: amount 
-              } 
-            },
-            { session }
-          );
-        }
-
-        await withdrawal.save({ session });
-        await session.commitTransaction();
-        session.endSession();
-
-        console.log(`Withdrawal record updated with status: ${withdrawal.status}`);
-
-        // Get user info for receipt and notification
-        const user = await User.findById(userId);
-
-        // Generate receipt for successful payments
-        let receipt = null;
-        if (withdrawal.status === 'paid') {
-          try {
-            receipt = await generateBankWithdrawalReceipt(withdrawal, user);
-            
-            // Send confirmation email
-            try {
-              await sendEmail({
-                email: user.email,
-                subject: 'Withdrawal Successful',
-                html: `
-                  <h2>Withdrawal Successful</h2>
-                  <p>Hello ${user.name},</p>
-                  <p>Your withdrawal of ₦${amount.toLocaleString()} has been processed successfully.</p>
-                  <p><strong>Transaction Reference:</strong> ${response.data.data.transactionReference}</p>
-                  <p>Thank you for using our platform!</p>
-                `
-              });
-            } catch (emailError) {
-              console.error('Failed to send withdrawal confirmation email:', emailError);
-            }
-          } catch (receiptError) {
-            console.error('Failed to generate receipt:', receiptError);
-          }
-        }
+      if (!(transferError instanceof PayoutProviderError) || !transferError.failover) {
+        // The transfer may have gone out: keep the amount reserved as processing
+        // and let the status poll or the provider's webhook settle it
+        await Withdrawal.updateOne(
+          { _id: withdrawal._id },
+          { $set: { payoutProvider: transferError.provider || null } }
+        );
+        ({ withdrawal } = await applyTransferStatus(withdrawal, { status: 'processing' }, { source: 'instant withdrawal' }));
 
-        return res.status(200).json({
+        return res.status(202).json({
           success: true,
-          message: withdrawal.status === 'paid' ? 'Withdrawal processed successfully' : 'Withdrawal initiated, processing in progress',
+          message: 'Withdrawal submitted; we are confirming it with the bank and will notify you',
           data: {
             id: withdrawal._id,
             amount: withdrawal.amount,
             status: withdrawal.status,
-            transactionReference: response.data.data.transactionReference,
-            clientReference: clientReference,
-            processedAt: withdrawal.processedAt,
-            receiptUrl: receipt?.filePath || null
+            clientReference: clientReference
           }
         });
-      } else {
-        // Rollback if API response is invalid
-        await session.abortTransaction();
-        session.endSession();
-        throw new Error('Failed to process transaction with payment provider');
-      }
-    } catch (transferError) {
-      await session.abortTransaction();
-      session.endSession();
-      
-      console.error('Bank transfer error:', transferError.message);
-      
-      // Update withdrawal status to failed
-      const withdrawal = await Withdrawal.findOne({ clientReference });
-      if (withdrawal) {
-        withdrawal.status = 'failed';
-        withdrawal.rejectionReason = transferError.response?.data?.message || 'Payment processing failed';
-        await withdrawal.save();
       }
 
-      return res.status(400).json({
-        success: false,
-        message: 'Failed to process withdrawal',
-        error: transferError.response?.data?.message || 'Payment processing failed'
-      });
+      // No provider took the transfer, so nothing was sent
+      transfer = { status: 'failed', failureReason: transferError.message, error: transferError };
+    }
+
+    if (transfer.provider) {
+      await Withdrawal.updateOne(
+        { _id: withdrawal._id },
+        { $set: { payoutProvider: transfer.provider, transactionReference: transfer.providerReference } }
+      );
     }
+
+    // Paid, processing, refunded or scheduled for a retry (utils/withdrawalRetryPolicy.js)
+    ({ withdrawal } = await applyTransferStatus(withdrawal, transfer, {
+      source: transfer.provider ? `${transfer.provider} instant withdrawal` : 'instant withdrawal'
+    }));
+
+    console.log(`Withdrawal record updated with status: ${withdrawal.status}`);
+
+    // Get user info for receipt and notification
+    const user = await User.findById(userId);
+
+    // Generate receipt for successful payments
+    let receipt = null;
+    if (withdrawal.status === 'paid') {
+      try {
+        receipt = await generateBankWithdrawalReceipt(withdrawal, user);
+        
+        // Send confirmation email
+        try {
+          await sendEmail({
+            email: user.email,
+            subject: 'Withdrawal Successful',
+            html: `
+              <h2>Withdrawal Successful</h2>
+              <p>Hello ${user.name},</p>
+              <p>Your withdrawal of ₦${amount.toLocaleString()} has been processed successfully.</p>
+              <p><strong>Transaction Reference:</strong> ${transfer.providerReference}</p>
+              <p>Thank you for using our platform!</p>
+            `
+          });
+        } catch (emailError) {
+          console.error('Failed to send withdrawal confirmation email:', emailError);
+        }
+      } catch (receiptError) {
+        console.error('Failed to generate receipt:', receiptError);
+      }
+    } else {
+      await notifyWithdrawalOutcome(withdrawal);
+    }
+
+    const messages = {
+      paid: 'Withdrawal processed successfully',
+      failed: 'Withdrawal failed; the amount has been returned to your balance',
+      retrying: 'Withdrawal could not be sent yet; it will be retried automatically'
+    };
+
+    return res.status(200).json({
+      success: true,
+      message: messages[withdrawal.status] || 'Withdrawal initiated, processing in progress',
+      data: {
+        id: withdrawal._id,
+        amount: withdrawal.amount,
+        status: withdrawal.status,
+        transactionReference: transfer.providerReference || null,
+        clientReference: clientReference,
+        processedAt: withdrawal.processedAt,
+        failureReason: withdrawal.failureReason || null,
+        nextRetryAt: withdrawal.nextRetryAt || null,
+        receiptUrl: receipt?.filePath || null
+      }
+    });
   } catch (error) {
     console.error('Error processing instant withdrawal:', error.message);
     res.status(500).json({
@@ -341,7 +290,7 @@ exports.checkExistingWithdrawals = async (req, res, next) => {
     
     const existingWithdrawal = await Withdrawal.findOne({
       user: userId,
-      status: { $in: ['pending', 'processing'] }
+      status: { $in: IN_PROGRESS_STATUSES }
     });
 
     if (existingWithdrawal) {
@@ -373,7 +322,7 @@ exports.getWithdrawalStatus = async (req, res) => {
     
     const existingWithdrawal = await Withdrawal.findOne({
       user: userId,
-      status: { $in: ['pending', 'processing'] }
+      status: { $in: IN_PROGRESS_STATUSES }
     }).sort({ createdAt: -1 });
     
     const referralData = await Referral.findOne({ user: userId });
@@ -395,7 +344,8 @@ exports.getWithdrawalStatus = async (req, res) => {
           amount: existingWithdrawal.amount,
           status: existingWithdrawal.status,
           createdAt: existingWithdrawal.createdAt,
-          clientReference: existingWithdrawal.clientReference
+          clientReference: existingWithdrawal.clientReference,
+          nextRetryAt: existingWithdrawal.nextRetryAt || null
         } : null
       }
     });
@@ -410,7 +360,7 @@ exports.getWithdrawalStatus = async (req, res) => {
 };
 
 /**
- * Verify pending withdrawals with Lenco API
+ * Verify pending withdrawals with their payout provider
  * @route GET /api/withdrawal/verify-pending
  * @access Private
  */
@@ -432,37 +382,9 @@ exports.verifyPendingWithdrawals = async (req, res) => {
 
     for (const withdrawal of pendingWithdrawals) {
       try {
-        const response = await axios.get(`https://api.lenco.co/access/v1/transaction-by-reference/${withdrawal.clientReference}`, {
-          headers: {
-            'Authorization': `Bearer ${process.env.LENCO_API_KEY}`
-          }
-        });
-
-        if (response.data && response.data.status) {
-          const transactionData = response.data.data;
-          
-          if (transactionData.status === 'successful') {
-            withdrawal.status = 'paid';
-            withdrawal.processedAt = new Date();
-            withdrawal.transactionReference = transactionData.transactionReference;
-            
-            const transaction = new ReferralTransaction({
-              user: userId,
-              type: 'withdrawal',
-              amount: -withdrawal.amount,
-              description: `Withdrawal to ${withdrawal.paymentDetails.bankName}`,
-              status: 'completed',
-              reference: withdrawal.clientReference
-            });
-            await transaction.save();
-            
-          } else if (transactionData.status === 'failed' || transactionData.status === 'declined') {
-            withdrawal.status = 'failed';
-            withdrawal.rejectionReason = transactionData.reasonForFailure || 'Transaction failed';
-          }
-          
-          await withdrawal.save();
-        }
+        const transfer = await payoutProviders.getTransferStatus(withdrawal);
+        const result = await applyTransferStatus(withdrawal._id, transfer, { source: `${transfer.provider} status check` });
+        if (result.changed) await notifyWithdrawalOutcome(result.withdrawal);
       } catch (apiError) {
         console.error(`Error verifying withdrawal ${withdrawal._id}:`, apiError);
       }
@@ -500,7 +422,7 @@ exports.checkTransactionStatus = async (req, res) => {
   try {
     const { reference } = req.params;
     
-    const withdrawal = await Withdrawal.findOne({
+    let withdrawal = await Withdrawal.findOne({
       $or: [
         { clientReference: reference },
         { transactionReference: reference }
@@ -514,86 +436,16 @@ exports.checkTransactionStatus = async (req, res) => {
       });
     }
     
-    // If transaction is still processing, check status with Lenco
-    if (withdrawal.status === 'processing' || withdrawal.status === 'pending') {
+    // If transaction is still processing, check status with the provider
+    // (batch items sent to the bank as a file are settled from the bank's result file)
+    const inBankFile = withdrawal.payoutBatch && !withdrawal.payoutProvider;
+    if ((withdrawal.status === 'processing' || withdrawal.status === 'pending') && !inBankFile) {
       try {
-        const session = await mongoose.startSession();
-        session.startTransaction();
-        
-        try {
-          const response = await axios.get(`https://api.lenco.co/access/v1/transaction-by-reference/${withdrawal.clientReference}`, {
-            headers: {
-              'Authorization': `Bearer ${process.env.LENCO_API_KEY}`
-            }
-          });
-          
-          if (response.data && response.data.status) {
-            const transactionData = response.data.data;
-            
-            if (transactionData.status === 'successful') {
-              const prevStatus = withdrawal.status;
-              
-              withdrawal.status = 'paid';
-              withdrawal.processedAt = new Date();
-              withdrawal.transactionReference = transactionData.transactionReference;
-              
-              const existingTransaction = await ReferralTransaction.findOne({ reference: withdrawal.clientReference });
-              if (!existingTransaction) {
-                const transaction = new ReferralTransaction({
-                  user: withdrawal.user,
-                  type: 'withdrawal',
-                  amount: -withdrawal.amount,
-                  description: `Withdrawal to ${withdrawal.paymentDetails.bankName}`,
-                  status: 'completed',
-                  reference: withdrawal.clientReference
-                });
-                await transaction.save({ session });
-              }
-              
-              const updateObj = { $inc: { totalWithdrawn: withdrawal.amount } };
-              
-              if (prevStatus === 'pending') {
-                updateObj.$inc.pendingWithdrawals = -withdrawal.amount;
-              } else if (prevStatus === 'processing') {
-                updateObj.$inc.processingWithdrawals = -withdrawal.amount;
-              }
-              
-              await Referral.findOneAndUpdate(
-                { user: withdrawal.user },
-                updateObj,
-                { session }
-              );
-              
-            } else if (transactionData.status === 'failed' || transactionData.status === 'declined') {
-              const prevStatus = withdrawal.status;
-              
-              withdrawal.status = 'failed';
-              withdrawal.failedAt = transactionData.failedAt;
-              withdrawal.rejectionReason = transactionData.reasonForFailure || 'Transaction failed';
-              
-              const updateObj = { $inc: {} };
-              
-              if (prevStatus === 'pending') {
-                updateObj.$inc.pendingWithdrawals = -withdrawal.amount;
-              } else if (prevStatus === 'processing') {
-                updateObj.$inc.processingWithdrawals = -withdrawal.amount;
-              }
-              
-              await Referral.findOneAndUpdate(
-                { user: withdrawal.user },
-                updateObj,
-                { session }
-              );
-            }
-            
-            await withdrawal.save({ session });
-            await session.commitTransaction();
-            session.endSession();
-          }
-        } catch (error) {
-          await session.abortTransaction();
-          session.endSession();
-          throw error;
+        const transfer = await payoutProviders.getTransferStatus(withdrawal);
+        const result = await applyTransferStatus(withdrawal._id, transfer, { source: `${transfer.provider} status check` });
+        if (result.changed) {
+          withdrawal = result.withdrawal;
+          await notifyWithdrawalOutcome(withdrawal);
         }
       } catch (apiError) {
         console.error('Error checking transaction status:', apiError);
@@ -922,16 +774,6 @@ exports.requestWithdrawal = async (req, res) => {
       });
     }
 
-    const referralData = await Referral.findOne({ user: userId });
-    if (!referralData || referralData.totalEarnings < amount) {
-      return res.status(400).json({
-        success: false,
-        message: 'Insufficient balance for this withdrawal'
-      });
-    }
-
-    const paymentData = await Payment.findOne({ user: userId });
-    
     if (paymentMethod === 'bank') {
       if (!paymentDetails.bankName || !paymentDetails.accountName || !paymentDetails.accountNumber) {
         return res.status(400).json({
@@ -941,17 +783,23 @@ exports.requestWithdrawal = async (req, res) => {
       }
     }
 
-    const withdrawal = new Withdrawal({
+    // Reserve the amount until an admin approves or rejects the request
+    const withdrawal = await reserveWithdrawal(new Withdrawal({
       user: userId,
       amount,
       withdrawalType: 'bank',
       paymentMethod,
       paymentDetails,
       notes,
-      status: 'pending'
-    });
-
-    await withdrawal.save();
+      status: 'pending',
+      clientReference: `WD-${userId.substr(-6)}-${Date.now()}`
+    }));
+    if (!withdrawal) {
+      return res.status(400).json({
+        success: false,
+        message: 'Insufficient balance for this withdrawal'
+      });
+    }
 
     try {
       const user = await User.findById(userId);
@@ -1017,6 +865,19 @@ exports.getWithdrawalHistory = async (req, res) => {
   }
 };
 
+// When the user's next locked commission becomes withdrawable
+const getNextUnlockAt = async (userId) => {
+  const next = await ReferralTransaction.findOne({
+    beneficiary: userId,
+    status: 'completed',
+    maturityStatus: 'pending'
+  })
+    .sort({ maturesAt: 1 })
+    .select('maturesAt')
+    .lean();
+  return next ? next.maturesAt : null;
+};
+
 /**
  * Get user's current earnings balance
  * @route GET /api/withdrawal/earnings-balance
@@ -1026,19 +887,29 @@ exports.getEarningsBalance = async (req, res) => {
   try {
     const userId = req.user.id;
 
-    const referralData = await Referral.findOne({ user: userId });
+    const [referralData, allowance] = await Promise.all([
+      Referral.findOne({ user: userId }),
+      // What the rolling caps and holds still let the user withdraw
+      getAllowance(userId)
+    ]);
     
     if (!referralData) {
       return res.status(200).json({
         success: true,
         data: {
           totalEarnings: 0,
+          lockedEarnings: 0,
+          nextUnlockAt: null,
+          clawbackOutstanding: 0,
           pendingWithdrawals: 0,
           processingWithdrawals: 0,
           totalWithdrawn: 0,
           availableBalance: 0,
           minimumWithdrawalAmount: MINIMUM_WITHDRAWAL_AMOUNT,
-          canWithdraw: false
+          canWithdraw: false,
+          withdrawalBlock: { code: 'BELOW_MINIMUM', retryAt: null },
+          allowance,
+          ...formatEarningsByCurrency(null)
         }
       });
     }
@@ -1049,19 +920,38 @@ exports.getEarningsBalance = async (req, res) => {
     const totalWithdrawn = referralData.totalWithdrawn || 0;
     
     const availableBalance = totalEarnings - totalWithdrawn - pendingWithdrawals - processingWithdrawals;
+    
+    // Commissions still in their lock period are not part of totalEarnings
+    const lockedEarnings = referralData.lockedEarnings || 0;
+    const nextUnlockAt = lockedEarnings > 0 ? await getNextUnlockAt(userId) : null;
+
+    // First reason a minimum bank withdrawal would be refused right now
+    let withdrawalBlock = null;
+    if (pendingWithdrawals > 0 || processingWithdrawals > 0) {
+      withdrawalBlock = { code: 'WITHDRAWAL_IN_PROGRESS', retryAt: null };
+    } else if (availableBalance < MINIMUM_WITHDRAWAL_AMOUNT) {
+      withdrawalBlock = { code: 'BELOW_MINIMUM', retryAt: null };
+    } else {
+      withdrawalBlock = allowanceBlock(allowance, 'bank', MINIMUM_WITHDRAWAL_AMOUNT);
+    }
 
     res.status(200).json({
       success: true,
       data: {
         totalEarnings,
+        lockedEarnings,
+        nextUnlockAt,
+        clawbackOutstanding: referralData.clawbackOutstanding || 0,
         pendingWithdrawals,
         processingWithdrawals,
         totalWithdrawn,
         availableBalance,
         minimumWithdrawalAmount: MINIMUM_WITHDRAWAL_AMOUNT,
-        canWithdraw: availableBalance >= MINIMUM_WITHDRAWAL_AMOUNT && 
-                     pendingWithdrawals === 0 && 
-                     processingWithdrawals === 0
+        canWithdraw: !withdrawalBlock,
+        withdrawalBlock,
+        allowance,
+        // Balances above are naira; commissions by the currency they were earned in
+        ...formatEarningsByCurrency(referralData)
       }
     });
   } catch (error) {
@@ -1310,7 +1200,8 @@ exports.rejectWithdrawal = async (req, res) => {
     withdrawal.rejectionReason = rejectionReason;
     withdrawal.adminNotes = notes;
 
-    await withdrawal.save();
+    // Release the reserved amount back to the user's available balance
+    await saveWithdrawalTransition(withdrawal, 'available', 'pending', { createdBy: req.user.id });
 
     const user = await User.findById(withdrawal.user);
 
@@ -1370,6 +1261,13 @@ exports.markWithdrawalAsPaid = async (req, res) => {
       });
     }
 
+    if (withdrawal.payoutBatch) {
+      return res.status(400).json({
+        success: false,
+        message: 'This withdrawal is in a payout batch; settle it through the batch'
+      });
+    }
+
     withdrawal.status = 'paid';
     withdrawal.paidBy = req.user.id;
     withdrawal.processedAt = new Date();
@@ -1377,7 +1275,7 @@ exports.markWithdrawalAsPaid = async (req, res) => {
       withdrawal.transactionReference = transactionReference;
     }
 
-    await withdrawal.save();
+    await saveWithdrawalTransition(withdrawal, 'withdrawn', 'pending', { createdBy: req.user.id });
 
     const transaction = new ReferralTransaction({
       user: withdrawal.user,
@@ -1676,7 +1574,7 @@ exports.processCryptoWithdrawal = async (req, res) => {
     const existingBank = await Withdrawal.findOne({
       user: userId,
       withdrawalType: 'bank',
-      status: { $in: ['pending', 'processing'] }
+      status: { $in: IN_PROGRESS_STATUSES }
     });
 
     if (existingBank) {
@@ -1701,29 +1599,9 @@ exports.processCryptoWithdrawal = async (req, res) => {
 
     const amountUSDT = parseFloat((amountNGN / rates.usdtPriceNGN).toFixed(6));
 
-    const referralData = await Referral.findOne({ user: userId });
-    if (!referralData || referralData.totalEarnings < amountNGN) {
-      return res.status(400).json({
-        success: false,
-        message: 'Insufficient balance'
-      });
-    }
-
-    const availableBalance = referralData.totalEarnings - 
-                            (referralData.totalWithdrawn || 0) - 
-                            (referralData.pendingWithdrawals || 0) - 
-                            (referralData.processingWithdrawals || 0);
-
-    if (availableBalance < amountNGN) {
-      return res.status(400).json({
-        success: false,
-        message: 'Insufficient available balance'
-      });
-    }
-
     const reference = `CRYPTO-${userId.substr(-6)}-${Date.now()}`;
     
-    const withdrawal = new Withdrawal({
+    const withdrawal = await reserveWithdrawal(new Withdrawal({
       user: userId,
       amount: amountNGN,
       withdrawalType: 'crypto',
@@ -1735,14 +1613,13 @@ exports.processCryptoWithdrawal = async (req, res) => {
       },
       status: 'pending',
       clientReference: reference
-    });
-
-    await withdrawal.save();
-
-    await Referral.findOneAndUpdate(
-      { user: userId },
-      { $inc: { pendingWithdrawals: amountNGN } }
-    );
+    }));
+    if (!withdrawal) {
+      return res.status(400).json({
+        success: false,
+        message: 'Insufficient available balance'
+      });
+    }
 
     const user = await User.findById(userId);
     try {
@@ -2339,17 +2216,7 @@ exports.processPendingCryptoWithdrawals = async (req, res) => {
         withdrawal.cryptoDetails.transactionHash = receipt.transactionHash;
         withdrawal.cryptoDetails.blockNumber = receipt.blockNumber;
         withdrawal.processedAt = new Date();
-        await withdrawal.save();
-
-        await Referral.findOneAndUpdate(
-          { user: withdrawal.user },
-          {
-            $inc: {
-              pendingWithdrawals: -withdrawal.amount,
-              totalWithdrawn: withdrawal.amount
-            }
-          }
-        );
+        await saveWithdrawalTransition(withdrawal, 'withdrawn', 'pending', { createdBy: req.user.id });
 
         const transaction = new ReferralTransaction({
           user: withdrawal.user,
@@ -2388,12 +2255,7 @@ exports.processPendingCryptoWithdrawals = async (req, res) => {
 
         withdrawal.status = 'failed';
         withdrawal.failureReason = error.message;
-        await withdrawal.save();
-
-        await Referral.findOneAndUpdate(
-          { user: withdrawal.user },
-          { $inc: { pendingWithdrawals: -withdrawal.amount } }
-        );
+        await saveWithdrawalTransition(withdrawal, 'available', 'pending', { createdBy: req.user.id });
 
         results.push({
           withdrawalId: withdrawal._id,
@@ -2707,11 +2569,15 @@ exports.adminGetUserBalance = async (req, res) => {
           email: user.email,
           name: user.name,
           totalEarnings: 0,
+          lockedEarnings: 0,
+          nextUnlockAt: null,
+          clawbackOutstanding: 0,
           totalWithdrawn: 0,
           pendingWithdrawals: 0,
           processingWithdrawals: 0,
           availableBalance: 0,
-          minimumWithdrawalAmount: 20000
+          minimumWithdrawalAmount: 20000,
+          ...formatEarningsByCurrency(null)
         }
       });
     }
@@ -2722,6 +2588,8 @@ exports.adminGetUserBalance = async (req, res) => {
     const processingWithdrawals = referralData.processingWithdrawals || 0;
 
     const availableBalance = totalEarnings - totalWithdrawn - pendingWithdrawals - processingWithdrawals;
+    const lockedEarnings = referralData.lockedEarnings || 0;
+    const nextUnlockAt = lockedEarnings > 0 ? await getNextUnlockAt(user._id) : null;
 
     res.status(200).json({
       success: true,
@@ -2732,12 +2600,16 @@ exports.adminGetUserBalance = async (req, res) => {
         name: user.name,
         accountStatus: user.accountStatus,
         totalEarnings,
+        lockedEarnings,
+        nextUnlockAt,
+        clawbackOutstanding: referralData.clawbackOutstanding || 0,
         totalWithdrawn,
         pendingWithdrawals,
         processingWithdrawals,
         availableBalance,
         minimumWithdrawalAmount: 20000,
         canWithdraw: availableBalance >= 20000 && pendingWithdrawals === 0 && processingWithdrawals === 0,
+        ...formatEarningsByCurrency(referralData),
         lastEarningDate: referralData.lastEarningDate,
         updatedAt: referralData.updatedAt
       }
@@ -2838,7 +2710,7 @@ exports.adminGetUserPendingWithdrawals = async (req, res) => {
 
     const pendingWithdrawals = await Withdrawal.find({
       user: user._id,
-      status: { $in: ['pending', 'processing'] }
+      status: { $in: IN_PROGRESS_STATUSES }
     }).sort({ createdAt: -1 });
 
     const breakdown = {
@@ -2897,7 +2769,7 @@ exports.adminGetUserWithdrawalSummary = async (req, res) => {
       Referral.findOne({ user: user._id }),
       Payment.findOne({ user: user._id }),
       Withdrawal.find({ user: user._id }),
-      Withdrawal.find({ user: user._id, status: { $in: ['pending', 'processing'] } })
+      Withdrawal.find({ user: user._id, status: { $in: IN_PROGRESS_STATUSES } })
     ]);
 
     // Calculate statistics
@@ -2999,4 +2871,111 @@ exports.adminGetUserWithdrawalSummary = async (req, res) => {
   }
 };
 
+/**
+ * Admin: Get a user's ledger statement and the balances rebuilt from it
+ * @route GET /api/withdrawal/admin/user/:identifier/ledger
+ * @access Private (Admin)
+ */
+exports.adminGetUserLedger = async (req, res) => {
+  try {
+    const { identifier } = req.params;
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit, 10) || 50));
+
+    const user = await findUserByIdentifier(identifier);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: `User not found: ${identifier}`
+      });
+    }
+
+    await ensureUserOpeningBalance(user._id);
+
+    const [referralData, ledgerBalances, statement] = await Promise.all([
+      Referral.findOne({ user: user._id }).lean(),
+      getUserBalances(user._id),
+      getUserStatement(user._id, { page, limit })
+    ]);
+
+    const cachedBalances = {
+      totalEarnings: referralData?.totalEarnings || 0,
+      availableBalance: (referralData?.totalEarnings || 0) -
+                        (referralData?.totalWithdrawn || 0) -
+                        (referralData?.pendingWithdrawals || 0) -
+                        (referralData?.processingWithdrawals || 0),
+      pendingWithdrawals: referralData?.pendingWithdrawals || 0,
+      processingWithdrawals: referralData?.processingWithdrawals || 0,
+      totalWithdrawn: referralData?.totalWithdrawn || 0
+    };
+
+    const drift = Object.keys(ledgerBalances).filter(
+      key => Math.abs(ledgerBalances[key] - cachedBalances[key]) >= 0.01
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {
+        user: {
+          id: user._id,
+          username: user.username,
+          email: user.email
+        },
+        balances: ledgerBalances,
+        cachedBalances,
+        inSync: drift.length === 0,
+        drift,
+        statement
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching user ledger (admin):', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch user ledger',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Admin: Rewrite a user's cached Referral balances from the ledger
+ * @route POST /api/withdrawal/admin/user/:identifier/ledger/rebuild
+ * @access Private (Admin)
+ */
+exports.adminRebuildUserBalance = async (req, res) => {
+  try {
+    const { identifier } = req.params;
+
+    const user = await findUserByIdentifier(identifier);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: `User not found: ${identifier}`
+      });
+    }
+
+    await ensureUserOpeningBalance(user._id);
+    const balances = await syncReferralBalances(user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Balances rebuilt from ledger',
+      data: {
+        userId: user._id,
+        balances
+      }
+    });
+  } catch (error) {
+    console.error('Error rebuilding user balance (admin):', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to rebuild user balance',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 module.exports = exports;
\ No newline at end of file
@@ -3,12 +3,10 @@ const TransactionV2 = require('../models/TransactionV2');
 const UserShareV2   = require('../models/UserShareV2');
 
 /**
- * Recomputes UserShareV2 snapshot from all TransactionV2 records for a user.
- * Call this after any create / update / delete on TransactionV2.
+ * Sums a user's TransactionV2 records into UserShareV2 snapshot totals.
+ * Pure — used by recalculateUserShare and by the reconciliation job.
  */
-async function recalculateUserShare(userId) {
-  const txs = await TransactionV2.find({ userId }).lean();
-
+function computeTotals(txs) {
   let totalOwnershipPct     = 0;
   let regularOwnershipPct   = 0;
   let cofounderOwnershipPct = 0;
@@ -41,17 +39,29 @@ async function recalculateUserShare(userId) {
     }
   }
 
+  return {
+    totalOwnershipPct,
+    regularOwnershipPct,
+    cofounderOwnershipPct,
+    pendingOwnershipPct,
+    totalEarningKobo,
+    totalInvestedNaira,
+    totalInvestedUSDT,
+    transactionCount : txs.length
+  };
+}
+
+/**
+ * Recomputes UserShareV2 snapshot from all TransactionV2 records for a user.
+ * Call this after any create / update / delete on TransactionV2.
+ */
+async function recalculateUserShare(userId) {
+  const txs = await TransactionV2.find({ userId }).lean();
+
   const snapshot = await UserShareV2.findOneAndUpdate(
     { user: userId },
     {
-      totalOwnershipPct,
-      regularOwnershipPct,
-      cofounderOwnershipPct,
-      pendingOwnershipPct,
-      totalEarningKobo,
-      totalInvestedNaira,
-      totalInvestedUSDT,
-      transactionCount   : txs.length,
+      ...computeTotals(txs),
       lastRecalculatedAt : new Date()
     },
     { upsert: true, new: true }
@@ -60,4 +70,5 @@ async function recalculateUserShare(userId) {
   return snapshot;
 }
 
-module.exports = recalculateUserShare;
\ No newline at end of file
+module.exports = recalculateUserShare;
+module.exports.computeTotals = computeTotals;
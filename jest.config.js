@@ -0,0 +1,12 @@
+// jest.config.js
+// Integration tests run against a throwaway MongoDB (see tests/setup).
+// Run serially: every test file shares the same database.
+module.exports = {
+  testEnvironment: 'node',
+  roots: ['<rootDir>/tests'],
+  testMatch: ['**/*.test.js'],
+  globalSetup: '<rootDir>/tests/setup/globalSetup.js',
+  globalTeardown: '<rootDir>/tests/setup/globalTeardown.js',
+  setupFilesAfterEnv: ['<rootDir>/tests/setup/db.js'],
+  testTimeout: 30000
+};
@@ -0,0 +1,67 @@
+/**
+ * FOUR-EYES APPROVAL MIDDLEWARE
+ * Holds high-value admin actions until a second admin approves them.
+ *
+ *   - value below the action's threshold   → handled normally
+ *   - value at or above the threshold      → 202 APPROVAL_REQUIRED, stored as a
+ *                                            pending ApprovalRequest with a preview
+ *   - same request re-sent while pending   → 202 with the existing request
+ *
+ * Approving the request (POST /api/admin/approvals/:id/approve) replays it
+ * through the same handlers. Requests the assessor cannot value (unknown user,
+ * bad input) pass through so the handler can report the error.
+ *
+ * Must run after requirePermission, directly before the handler.
+ *
+ * Usage in routes:
+ *   const { requireApproval } = require('../middleware/approval');
+ *   router.post('/admin/add-shares', protect, requirePermission('shares.manage'), requireApproval('shares.add'), controller.adminAddShares);
+ */
+
+const { isKnownApprovalAction } = require('../config/approvalPolicies');
+const { evaluate, createRequest } = require('../utils/approvalService');
+const { hashRequest } = require('./idempotency');
+
+function requireApproval(action) {
+  if (!isKnownApprovalAction(action)) {
+    throw new Error(`Unknown approval action: ${action}`);
+  }
+
+  return async function approvalGate(req, res, next) {
+    try {
+      const decision = await evaluate(action, req);
+      if (!decision.required) return next();
+
+      const { request, created } = await createRequest(action, req, {
+        ...decision,
+        requestHash: hashRequest(req)
+      });
+
+      return res.status(202).json({
+        success: true,
+        code: 'APPROVAL_REQUIRED',
+        message: created
+          ? 'This action needs approval from a second admin. It has been queued for review.'
+          : 'An identical request is already awaiting approval.',
+        approvalRequest: {
+          id: request._id,
+          action: request.action,
+          amount: request.amount,
+          threshold: request.threshold,
+          preview: request.preview,
+          status: request.status,
+          expiresAt: request.expiresAt
+        }
+      });
+    } catch (error) {
+      console.error('[approvals] error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Unable to check whether this action needs approval.',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  };
+}
+
+module.exports = { requireApproval };
@@ -1,5 +1,10 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { validateAccessSession } = require('../utils/sessionService');
+const { requireTwoFactor } = require('./twoFactor');
+const AdminAuditLog = require('../models/AdminAuditLog');
+const { trackAdminMutation } = require('../utils/auditService');
+const { isKnownPermission, getEffectiveRoles, getPermissions } = require('../config/adminRoles');
 
 // Authentication middleware
 exports.protect = async (req, res, next) => {
@@ -63,6 +68,26 @@ exports.protect = async (req, res, next) => {
         });
       }
       
+      // Tokens issued with a session must belong to a live session
+      if (decoded.sid) {
+        const session = await validateAccessSession(decoded, req);
+        if (!session) {
+          return res.status(401).json({
+            success: false,
+            code: 'SESSION_REVOKED',
+            message: 'Session has expired or been revoked. Please login again.'
+          });
+        }
+        req.sessionId = session._id;
+        req.authSession = session;
+      } else if (user.sessionsRevokedAt && decoded.iat * 1000 < user.sessionsRevokedAt.getTime()) {
+        return res.status(401).json({
+          success: false,
+          code: 'SESSION_REVOKED',
+          message: 'Session has been revoked. Please login again.'
+        });
+      }
+
       // Add user to request object
       req.user = user;
       next();
@@ -96,31 +121,56 @@ exports.protect = async (req, res, next) => {
   }
 };
 
-// Admin authorization middleware
-exports.adminProtect = async (req, res, next) => {
-  try {
-    // First authenticate the user using protect middleware
-    await new Promise((resolve, reject) => {
-      exports.protect(req, res, (err) => {
-        if (err) reject(err);
-        else resolve();
-      });
-    });
-    
-    // Then check if user has admin rights
-    if (!req.user || !req.user.isAdmin) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. Admin privileges required.'
-      });
-    }
-    
-    // If user is admin, proceed
-    next();
-    
-  } catch (error) {
-    // Error already handled by protect middleware
-    if (!res.headersSent) {
+// Record a refused admin request; never blocks the response
+const recordPermissionDenied = (req, required) =>
+  AdminAuditLog.create({
+    adminId: req.user._id,
+    action: 'PERMISSION_DENIED',
+    details: {
+      required,
+      roles: getEffectiveRoles(req.user),
+      method: req.method,
+      path: req.originalUrl
+    },
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent')
+  }).catch(error => console.error('Failed to record permission denial:', error));
+
+/**
+ * Permission-based admin authorization. Authenticates first when `protect`
+ * has not run, requires every listed permission (see config/adminRoles.js)
+ * and then the 2FA step-up. With no permissions, any admin role will do.
+ *
+ *   router.post('/admin/pause', protect, requirePermission('withdrawals.control'), ctrl.pause);
+ */
+exports.requirePermission = (...permissions) => {
+  const unknown = permissions.filter(permission => !isKnownPermission(permission));
+  if (unknown.length) {
+    throw new Error(`Unknown permission(s): ${unknown.join(', ')}`);
+  }
+
+  const check = async (req, res, next) => {
+    try {
+      const granted = getPermissions(req.user);
+      const allowed = granted.length > 0 && permissions.every(permission => granted.includes(permission));
+
+      if (!allowed) {
+        await recordPermissionDenied(req, permissions);
+        return res.status(403).json({
+          success: false,
+          code: 'PERMISSION_DENIED',
+          message: granted.length
+            ? 'Access denied. Your admin role does not allow this action.'
+            : 'Access denied. Admin privileges required.',
+          required: permissions
+        });
+      }
+
+      trackAdminMutation(req, res);
+
+      // Admin actions need a second factor on top of the JWT
+      return requireTwoFactor(req, res, next);
+    } catch (error) {
       console.error('Admin authorization error:', error);
       return res.status(500).json({
         success: false,
@@ -128,9 +178,17 @@ exports.adminProtect = async (req, res, next) => {
         error: process.env.NODE_ENV === 'development' ? error.message : undefined
       });
     }
-  }
+  };
+
+  return (req, res, next) => {
+    if (req.user) return check(req, res, next);
+    return exports.protect(req, res, () => check(req, res, next));
+  };
 };
 
+// Any admin role; prefer requirePermission with a specific permission
+exports.adminProtect = exports.requirePermission();
+
 // Role-based authorization middleware (for future use)
 exports.authorize = (...roles) => {
   return (req, res, next) => {
@@ -144,7 +202,8 @@ exports.authorize = (...roles) => {
     
     // If checking for admin role, also check isAdmin field
     if (roles.includes('admin') && req.user.isAdmin) {
-      return next();
+      trackAdminMutation(req, res);
+      return requireTwoFactor(req, res, next);
     }
     
     // Otherwise check the role field
@@ -0,0 +1,262 @@
+/**
+ * IDEMPOTENCY MIDDLEWARE
+ * Honours the Idempotency-Key header on POST endpoints that move money, so a
+ * request retried by a flaky client is only acted on once.
+ *
+ *   - first request with a key      → handled normally, response stored
+ *   - same key, same body           → stored response replayed (Idempotent-Replayed: true)
+ *   - same key, different body      → 422 IDEMPOTENCY_KEY_REUSED
+ *   - same key, first still running → 409 IDEMPOTENCY_IN_PROGRESS
+ *
+ * 5xx responses are not stored, so the client may retry with the same key.
+ * Requests without the header pass straight through.
+ *
+ * Must run after `protect` (keys are scoped per user) and after any multer
+ * upload middleware, so an upload is hashed with its form fields and the
+ * names and types of its files. Place it before guards such as
+ * checkExistingWithdrawals so a replay gets the original response rather than
+ * a "withdrawal in progress" error.
+ *
+ * Whatever must not run again for a key that is already taken goes after
+ * idempotentReplay, which answers those requests up front: a file upload
+ * (it would be sent to Cloudinary again), or requireTwoFactor (a TOTP step or
+ * backup code is only accepted once, so the retry would be refused).
+ *
+ * Usage in routes:
+ *   const { idempotency, idempotentReplay } = require('../middleware/idempotency');
+ *   router.post('/request', protect, idempotentReplay, requireTwoFactor, idempotency, bankWithdrawalGuard, controller.requestWithdrawal);
+ *   router.post('/proof', protect, idempotentReplay, upload.single('paymentProof'), idempotency, controller.submitProof);
+ */
+
+const crypto = require('crypto');
+const multer = require('multer');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+const HEADER = 'Idempotency-Key';
+const MAX_KEY_LENGTH = 255;
+
+// A 'processing' claim older than this is assumed to belong to a crashed
+// request and may be taken over by a retry.
+const PROCESSING_TIMEOUT_MS = 5 * 60 * 1000;
+
+/**
+ * JSON with object keys sorted, so field order does not change the hash.
+ */
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .map(k => `${JSON.stringify(k)}:${canonicalize(value[k])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+// What identifies the files of a multer-parsed upload, whichever multer
+// method (single / array / fields / any) and storage parsed it
+function uploadedFiles(req) {
+  const files = Array.isArray(req.files) ? req.files : Object.values(req.files || {}).flat();
+  return [...(req.file ? [req.file] : []), ...files]
+    .map(f => ({ fieldname: f.fieldname, originalname: f.originalname, mimetype: f.mimetype }))
+    .sort((a, b) => canonicalize(a).localeCompare(canonicalize(b)));
+}
+
+function hashRequest(req) {
+  const files = uploadedFiles(req);
+  return crypto
+    .createHash('sha256')
+    .update(canonicalize({
+      method: req.method,
+      path: req.baseUrl + req.path,
+      body: req.body || {},
+      ...(files.length ? { files } : {})
+    }))
+    .digest('hex');
+}
+
+// Multer storage that reads past uploaded files without keeping them
+const discardFiles = {
+  _handleFile(req, file, cb) {
+    file.stream.on('error', cb);
+    file.stream.on('end', () => cb(null, {}));
+    file.stream.resume();
+  },
+  _removeFile(req, file, cb) {
+    cb(null);
+  }
+};
+
+const readMultipart = multer({ storage: discardFiles }).any();
+
+/**
+ * Parse a multipart body that no upload middleware will see, so it can be
+ * hashed like the original request was
+ */
+function parseMultipart(req, res) {
+  return new Promise((resolve, reject) => {
+    readMultipart(req, res, error => (error ? reject(error) : resolve()));
+  });
+}
+
+function isStale(record) {
+  return record.status === 'processing' &&
+    record.updatedAt < new Date(Date.now() - PROCESSING_TIMEOUT_MS);
+}
+
+/**
+ * Answer a request whose key is held by an earlier request: refuse it when
+ * the request differs or the earlier one is still running, else replay
+ */
+function respondToHeldKey(res, record, requestHash) {
+  if (record.requestHash !== requestHash) {
+    return res.status(422).json({
+      success: false,
+      code: 'IDEMPOTENCY_KEY_REUSED',
+      message: `This ${HEADER} was already used for a different request`
+    });
+  }
+
+  if (record.status === 'processing') {
+    return res.status(409).json({
+      success: false,
+      code: 'IDEMPOTENCY_IN_PROGRESS',
+      message: 'The original request with this key is still being processed'
+    });
+  }
+
+  res.set('Idempotent-Replayed', 'true');
+  return res.status(record.responseStatus).json(record.responseBody);
+}
+
+/**
+ * Claim the key for this request. Returns the claimed record, or the
+ * existing record when another request already holds the key.
+ */
+async function claimKey(key, req, requestHash) {
+  try {
+    const record = await IdempotencyKey.create({
+      key,
+      user: req.user.id,
+      method: req.method,
+      path: req.baseUrl + req.path,
+      requestHash
+    });
+    return { claimed: true, record };
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  // Take over a stale claim left behind by a request that never finished
+  const staleBefore = new Date(Date.now() - PROCESSING_TIMEOUT_MS);
+  const takenOver = await IdempotencyKey.findOneAndUpdate(
+    { user: req.user.id, key, status: 'processing', requestHash, updatedAt: { $lt: staleBefore } },
+    { $set: { updatedAt: new Date() } },
+    { new: true, timestamps: false }
+  );
+  if (takenOver) return { claimed: true, record: takenOver };
+
+  const existing = await IdempotencyKey.findOne({ user: req.user.id, key });
+  return { claimed: false, record: existing };
+}
+
+async function idempotency(req, res, next) {
+  const key = req.get(HEADER);
+  if (!key) return next();
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      code: 'IDEMPOTENCY_KEY_INVALID',
+      message: `${HEADER} must be at most ${MAX_KEY_LENGTH} characters`
+    });
+  }
+
+  try {
+    const requestHash = hashRequest(req);
+    const { claimed, record } = await claimKey(key, req, requestHash);
+
+    if (!claimed) {
+      // Expired between the insert and the lookup — treat as a fresh request
+      if (!record) return idempotency(req, res, next);
+
+      return respondToHeldKey(res, record, requestHash);
+    }
+
+    // Store the response before it is sent, so a retry that arrives the
+    // moment the client gets the response is replayed rather than refused
+    let stored = false;
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      res.json = originalJson;
+      if (res.statusCode >= 500 || body === undefined) return originalJson(body);
+
+      stored = true;
+      IdempotencyKey.updateOne(
+        { _id: record._id },
+        {
+          $set: {
+            status: 'completed',
+            responseStatus: res.statusCode,
+            // Plain JSON snapshot — handlers may pass mongoose documents
+            responseBody: JSON.parse(JSON.stringify(body)),
+            completedAt: new Date()
+          }
+        }
+      )
+        .catch(error => console.error('[idempotency] failed to store response:', error))
+        .finally(() => originalJson(body));
+      return res;
+    };
+
+    // Anything not stored (5xx, non-JSON responses) releases the key
+    res.on('finish', () => {
+      if (stored) return;
+      IdempotencyKey.deleteOne({ _id: record._id })
+        .catch(error => console.error('[idempotency] failed to release key:', error));
+    });
+
+    next();
+  } catch (error) {
+    console.error('[idempotency] error:', error);
+    return res.status(500).json({
+      success: false,
+      code: 'IDEMPOTENCY_ERROR',
+      message: 'Unable to verify request idempotency. Please try again shortly.'
+    });
+  }
+}
+
+/**
+ * Answer a request whose key an earlier request already holds, as
+ * idempotency() would, before the middleware that must not run again for it.
+ * A request with a new key (or a stale claim to take over) is passed on;
+ * `idempotency` must still follow to claim the key. A multipart body is read
+ * here without keeping its files, so they are not uploaded again.
+ */
+async function idempotentReplay(req, res, next) {
+  const key = req.get(HEADER);
+  if (!key || key.length > MAX_KEY_LENGTH) return next();
+
+  let record;
+  try {
+    record = await IdempotencyKey.findOne({ user: req.user.id, key });
+  } catch (error) {
+    // idempotency() reports it when it runs
+    console.error('[idempotency] lookup failed:', error);
+    return next();
+  }
+  if (!record || isStale(record)) return next();
+
+  if (req.is('multipart/form-data')) {
+    try {
+      await parseMultipart(req, res);
+    } catch (error) {
+      return res.status(400).json({ success: false, message: `Invalid upload: ${error.message}` });
+    }
+  }
+  return respondToHeldKey(res, record, hashRequest(req));
+}
+
+module.exports = { idempotency, idempotentReplay, hashRequest };
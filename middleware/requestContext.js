@@ -0,0 +1,38 @@
+/**
+ * REQUEST CONTEXT MIDDLEWARE
+ * Gives every request an id (X-Request-Id response header) and makes the
+ * request reachable from code that has no `req` in scope — model hooks and
+ * helpers that write to the audit trail (utils/auditService.js).
+ *
+ * Mount once, after the body parsers and before the routers.
+ *
+ * Usage in app.js:
+ *   const { requestContext } = require('./middleware/requestContext');
+ *   app.use(requestContext);
+ */
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const HEADER = 'X-Request-Id';
+const MAX_ID_LENGTH = 128;
+
+const storage = new AsyncLocalStorage();
+
+function requestContext(req, res, next) {
+  if (!req.id) {
+    const incoming = req.get(HEADER);
+    req.id = incoming && incoming.length <= MAX_ID_LENGTH ? incoming : crypto.randomUUID();
+  }
+  res.set(HEADER, req.id);
+
+  // `audited` is set once the request has written an audit event
+  storage.run({ req, audited: false }, next);
+}
+
+/**
+ * The current request's context ({ req, audited }), or null outside a request.
+ */
+const getRequestContext = () => storage.getStore() || null;
+
+module.exports = { requestContext, getRequestContext, HEADER };
@@ -0,0 +1,67 @@
+/**
+ * TWO-FACTOR STEP-UP MIDDLEWARE
+ * Requires proof of the user's second factor before a sensitive action.
+ *
+ *   - 2FA not enabled                 → 403 TWO_FACTOR_SETUP_REQUIRED
+ *   - valid X-2FA-Code header         → allowed (TOTP or backup code)
+ *   - session stepped up recently     → allowed (POST /api/users/2fa/verify)
+ *   - otherwise                       → 403 TWO_FACTOR_REQUIRED
+ *
+ * Must run after `protect`. requirePermission applies it to every admin route.
+ * On idempotent endpoints place it before `idempotency`, so a refused
+ * attempt is not stored and replayed when the client retries with a code.
+ *
+ * Usage in routes:
+ *   const { requireTwoFactor } = require('../middleware/twoFactor');
+ *   router.post('/request', protect, requireTwoFactor, idempotency, controller.requestWithdrawal);
+ */
+
+const { verifySecondFactor, isSessionSteppedUp } = require('../utils/twoFactorService');
+
+const HEADER = 'X-2FA-Code';
+
+async function requireTwoFactor(req, res, next) {
+  try {
+    if (!req.user?.twoFactor?.enabled) {
+      return res.status(403).json({
+        success: false,
+        code: 'TWO_FACTOR_SETUP_REQUIRED',
+        message: 'Two-factor authentication must be enabled for this action. Set it up under /api/users/2fa/setup.'
+      });
+    }
+
+    const code = req.get(HEADER);
+    if (code) {
+      const method = await verifySecondFactor(req.user._id, code);
+      if (!method) {
+        return res.status(403).json({
+          success: false,
+          code: 'TWO_FACTOR_INVALID',
+          message: 'Invalid or already used two-factor code'
+        });
+      }
+      req.twoFactorMethod = method;
+      return next();
+    }
+
+    if (isSessionSteppedUp(req.authSession)) {
+      req.twoFactorMethod = 'session';
+      return next();
+    }
+
+    return res.status(403).json({
+      success: false,
+      code: 'TWO_FACTOR_REQUIRED',
+      message: `This action requires two-factor verification. Send a code in the ${HEADER} header or verify via /api/users/2fa/verify.`
+    });
+  } catch (error) {
+    console.error('[2fa] error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Unable to verify two-factor authentication.',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
+
+module.exports = { requireTwoFactor, HEADER };
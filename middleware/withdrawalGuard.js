@@ -7,12 +7,13 @@
  *   const { bankWithdrawalGuard, cryptoWithdrawalGuard, withdrawalAdminGuard } = require('../middleware/withdrawalGuard');
  *   router.post('/instant',        protect, bankWithdrawalGuard,   controller.processInstantWithdrawal);
  *   router.post('/crypto/request', protect, cryptoWithdrawalGuard, controller.processCryptoWithdrawal);
- *   router.put('/admin/:id/approve', protect, adminProtect, withdrawalAdminGuard, controller.approveWithdrawal);
- *   router.put('/admin/:id/pay',     protect, adminProtect, withdrawalAdminGuard, controller.markWithdrawalAsPaid);
+ *   router.put('/admin/:id/approve', protect, requirePermission('withdrawals.process'), withdrawalAdminGuard, controller.approveWithdrawal);
+ *   router.put('/admin/:id/pay',     protect, requirePermission('withdrawals.process'), withdrawalAdminGuard, controller.markWithdrawalAsPaid);
  */
 
 const WithdrawalConfig = require('../models/WithdrawalConfig');
 const UserWithdrawalControl = require('../models/UserWithdrawalControl');
+const { checkVelocity } = require('../utils/withdrawalVelocity');
 
 async function getConfig(key, defaultValue = null) {
   const doc = await WithdrawalConfig.findOne({ key });
@@ -20,10 +21,12 @@ async function getConfig(key, defaultValue = null) {
 }
 
 /**
- * Core guard — checks global freeze/pause + per-user controls + limits.
+ * Core guard — checks global freeze/pause + per-user controls + limits +
+ * rolling velocity caps and holds (utils/withdrawalVelocity.js).
+ * `method` ('bank' or 'crypto') is passed by the channel guards below.
  * Fail-CLOSED: if the guard itself throws, the withdrawal is BLOCKED (not allowed through).
  */
-async function withdrawalGuard(req, res, next) {
+async function withdrawalGuard(req, res, next, method = null) {
   try {
     const userId = req.user.id;
 
@@ -121,6 +124,18 @@ async function withdrawalGuard(req, res, next) {
       }
     }
 
+    // 5. Rolling velocity caps, bank-change cooldown and first-withdrawal hold
+    const velocity = await checkVelocity(userId, method, req.body.amount || req.body.amountNGN);
+    if (velocity) {
+      const holding = ['FIRST_WITHDRAWAL_HOLD', 'BANK_CHANGE_COOLDOWN'].includes(velocity.code);
+      return res.status(holding ? 403 : 400).json({
+        success: false,
+        code: velocity.code,
+        message: velocity.message,
+        retryAt: velocity.retryAt
+      });
+    }
+
     next();
   } catch (error) {
     console.error('[withdrawalGuard] error:', error);
@@ -147,7 +162,7 @@ async function bankWithdrawalGuard(req, res, next) {
         message: 'Bank withdrawals are currently disabled. Please try crypto withdrawal or check back later.'
       });
     }
-    return withdrawalGuard(req, res, next);
+    return withdrawalGuard(req, res, next, 'bank');
   } catch (error) {
     console.error('[bankWithdrawalGuard] error:', error);
     return res.status(500).json({
@@ -171,7 +186,7 @@ async function cryptoWithdrawalGuard(req, res, next) {
         message: 'Crypto withdrawals are currently disabled. Please try bank withdrawal or check back later.'
       });
     }
-    return withdrawalGuard(req, res, next);
+    return withdrawalGuard(req, res, next, 'crypto');
   } catch (error) {
     console.error('[cryptoWithdrawalGuard] error:', error);
     return res.status(500).json({
@@ -0,0 +1,48 @@
+// migrations/assign_legacy_admin_roles.js
+// Admins created before roles existed have isAdmin but no adminRoles, and
+// used to be treated as super_admin. An admin without roles now holds no
+// permissions, so give each of them super_admin explicitly to keep the access
+// they have today; narrow it afterwards from the roles screen. Run once before
+// deploying the least-privilege default.
+//
+//   node migrations/assign_legacy_admin_roles.js [--dry-run]
+const mongoose = require('mongoose');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+
+const User = require('../models/User');
+
+const dryRun = process.argv.includes('--dry-run');
+
+const LEGACY_ADMINS = {
+  isAdmin: true,
+  $or: [{ adminRoles: { $size: 0 } }, { adminRoles: { $exists: false } }]
+};
+
+async function run() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || process.env.MONGO_URI);
+    console.log(`Connected to ${mongoose.connection.name}`);
+
+    const admins = await User.find(LEGACY_ADMINS).select('email').lean();
+    admins.forEach(admin => console.log(`  ${admin.email}`));
+
+    if (dryRun) {
+      console.log(`${admins.length} admin(s) without roles would be given super_admin (dry run)`);
+      return;
+    }
+
+    const result = await User.collection.updateMany(
+      { _id: { $in: admins.map(admin => admin._id) }, ...LEGACY_ADMINS },
+      { $set: { adminRoles: ['super_admin'] } }
+    );
+    console.log(`${result.modifiedCount} admin(s) without roles are now super_admin`);
+  } catch (error) {
+    console.error('Admin roles migration failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+run();
@@ -0,0 +1,46 @@
+// migrations/award_referral_ranks.js
+// Ranks are checked as commissions are paid, so users who already met a
+// threshold when SiteConfig.referralRanks was set are only awarded at their
+// next commission. This awards them now, bonuses included, for everyone with
+// a downline. Safe to re-run: a rank is never awarded twice. Pass --dry-run to
+// only list the ranks that are due.
+//
+//   node migrations/award_referral_ranks.js [--dry-run]
+const mongoose = require('mongoose');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+
+const ReferralClosure = require('../models/ReferralClosure');
+const ReferralRankAward = require('../models/ReferralRankAward');
+const { evaluateRanks } = require('../utils/referralRanks');
+
+async function run() {
+  const dryRun = process.argv.includes('--dry-run');
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || process.env.MONGO_URI);
+    console.log(`Connected to ${mongoose.connection.name}`);
+
+    await ReferralRankAward.syncIndexes();
+    const referrers = await ReferralClosure.distinct('ancestor', { depth: 1 });
+
+    let users = 0;
+    let ranks = 0;
+    for (const userId of referrers) {
+      const { awarded, due } = await evaluateRanks(userId, { dryRun });
+      const reached = dryRun ? due : awarded;
+      if (!reached.length) continue;
+      users++;
+      ranks += reached.length;
+      console.log(`${userId}: ${reached.map(rank => rank.name).join(', ')}`);
+    }
+
+    console.log(`${referrers.length} referrers checked; ${ranks} rank(s) for ${users} user(s) ${dryRun ? 'are due' : 'awarded'}`);
+  } catch (error) {
+    console.error('Referral rank backfill failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+run();
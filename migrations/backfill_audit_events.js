@@ -0,0 +1,30 @@
+// migrations/backfill_audit_events.js
+// Copies AdminAuditLog, WithdrawalAuditLog and TierConfig change history into
+// the unified audit trail (AuditEvent). Safe to re-run: records already copied
+// are skipped. Same as POST /api/admin/audit/backfill.
+//
+//   node migrations/backfill_audit_events.js
+const mongoose = require('mongoose');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+
+const { backfillAuditEvents } = require('../utils/auditService');
+
+async function run() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || process.env.MONGO_URI);
+    console.log(`Connected to ${mongoose.connection.name}`);
+
+    const results = await backfillAuditEvents();
+    for (const [source, { scanned, inserted }] of Object.entries(results)) {
+      console.log(`${source}: ${scanned} scanned, ${inserted} inserted`);
+    }
+  } catch (error) {
+    console.error('Audit backfill failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+run();
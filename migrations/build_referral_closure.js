@@ -0,0 +1,36 @@
+// migrations/build_referral_closure.js
+// Builds the referral closure table (models/ReferralClosure.js) from every
+// user's referralInfo.code and refreshes the downline counts cached on
+// Referral. Safe to re-run: only users whose rows differ are rewritten. Run
+// once before deploying the referral graph; pass --dry-run to only report.
+//
+//   node migrations/build_referral_closure.js [--dry-run]
+const mongoose = require('mongoose');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+
+const ReferralClosure = require('../models/ReferralClosure');
+const referralGraph = require('../utils/referralGraph');
+
+async function run() {
+  const dryRun = process.argv.includes('--dry-run');
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || process.env.MONGO_URI);
+    console.log(`Connected to ${mongoose.connection.name}`);
+
+    await ReferralClosure.syncIndexes();
+    const result = await referralGraph.rebuild({ dryRun });
+    console.log(`${result.users} users, ${result.rows} ancestor/descendant rows`);
+    console.log(`${result.repaired} user(s) ${dryRun ? 'would be' : 'were'} rewritten`);
+    if (result.cycles) {
+      console.log(`${result.cycles} user(s) have a referral loop in their upline; it is cut at the repeat`);
+    }
+  } catch (error) {
+    console.error('Referral closure migration failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+run();
@@ -0,0 +1,35 @@
+// migrations/clear_unused_referral_rates.js
+// SiteConfig.referralRates used to default to 5% / 2% / 1%, but nothing paid by
+// it: commissions came from referralCommission.generation1..3. Now that the
+// commission rules read referralRates, clear it wherever it still holds that
+// untouched default, so payouts keep following referralCommission. Rates an
+// admin has set are left alone. Run once before deploying the rules engine.
+//
+//   node migrations/clear_unused_referral_rates.js
+const mongoose = require('mongoose');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+
+const SiteConfig = require('../models/SiteConfig');
+
+const OLD_DEFAULT = [{ level: 1, rate: 5 }, { level: 2, rate: 2 }, { level: 3, rate: 1 }];
+
+async function run() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || process.env.MONGO_URI);
+    console.log(`Connected to ${mongoose.connection.name}`);
+
+    const result = await SiteConfig.collection.updateMany(
+      { referralRates: OLD_DEFAULT },
+      { $set: { referralRates: [] } }
+    );
+    console.log(`${result.modifiedCount} site config(s) now use referralCommission for level rates`);
+  } catch (error) {
+    console.error('Referral rates migration failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+run();
@@ -0,0 +1,77 @@
+// migrations/convert_referral_commissions.js
+// usdt and USD commissions made before conversion was introduced were
+// credited to naira balances at face value. This stores on each of them the
+// exchange rate in effect when it was accrued (the last CryptoExchangeRate
+// snapshot updated by then), tops the ledger up to the converted naira value
+// and resyncs the beneficiaries' stats. Safe to re-run: converted commissions
+// are skipped. Pass --dry-run to only list the changes.
+//
+//   node migrations/convert_referral_commissions.js [--dry-run]
+const mongoose = require('mongoose');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+
+const ReferralTransaction = require('../models/ReferralTransaction');
+const ledgerService = require('../utils/ledgerService');
+const { getConversionRate, convert } = require('../utils/referralCurrency');
+const { syncReferralStats } = require('../utils/referralUtils');
+
+async function run() {
+  const dryRun = process.argv.includes('--dry-run');
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || process.env.MONGO_URI);
+    console.log(`Connected to ${mongoose.connection.name}`);
+
+    const commissions = await ReferralTransaction.find({
+      currency: { $in: ['usdt', 'USD'] },
+      'conversion.settlementAmount': { $exists: false }
+    }).sort({ createdAt: 1 });
+
+    let converted = 0;
+    let topUp = 0;
+    const noRate = [];
+    const beneficiaries = new Set();
+
+    for (const refTx of commissions) {
+      const conversionRate = await getConversionRate(refTx.currency, { at: refTx.createdAt });
+      if (!conversionRate) {
+        noRate.push(refTx._id);
+        continue;
+      }
+      const conversion = convert(refTx.amount, conversionRate);
+      const credited = refTx.status === 'completed';
+      console.log(`${refTx._id}: ${refTx.amount} ${refTx.currency} x ${conversion.rate} = ${conversion.settlementAmount} naira (${refTx.status})`);
+
+      if (!dryRun) {
+        await ledgerService.withLedgerSession(async (session) => {
+          // updateOne: older records may not pass today's save validation
+          await ReferralTransaction.updateOne({ _id: refTx._id }, { $set: { conversion } }, { session });
+          refTx.conversion = conversion;
+          if (credited) await ledgerService.recordCommissionConversion(refTx, { session });
+        });
+      }
+
+      converted++;
+      beneficiaries.add(refTx.beneficiary.toString());
+      if (credited) topUp += conversion.settlementAmount - refTx.amount;
+    }
+
+    if (!dryRun) {
+      for (const userId of beneficiaries) {
+        await syncReferralStats(userId);
+      }
+    }
+
+    if (noRate.length) {
+      console.log(`⚠️ No exchange rate snapshot to convert ${noRate.length} commission(s): ${noRate.join(', ')}`);
+    }
+    console.log(`${converted} commission(s) for ${beneficiaries.size} user(s) ${dryRun ? 'to convert' : 'converted'}; ${Math.round(topUp * 100) / 100} naira ${dryRun ? 'to credit' : 'credited'}`);
+  } catch (error) {
+    console.error('Referral commission conversion failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+run();
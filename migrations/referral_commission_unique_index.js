@@ -0,0 +1,44 @@
+// migrations/referral_commission_unique_index.js
+// The prevent_duplicate_commissions index (one commission per beneficiary,
+// purchase and generation) now only covers completed commissions, so that a
+// commission rolled back by a referrer reassignment can be paid to the same
+// person again if the user is moved back. MongoDB cannot change an index in
+// place: drop the old one and let the model create the new definition.
+//
+//   node migrations/referral_commission_unique_index.js
+const mongoose = require('mongoose');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+
+const ReferralTransaction = require('../models/ReferralTransaction');
+
+const INDEX_NAME = 'prevent_duplicate_commissions';
+
+async function run() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || process.env.MONGO_URI);
+    console.log(`Connected to ${mongoose.connection.name}`);
+
+    const indexes = await ReferralTransaction.collection.indexes();
+    const current = indexes.find(index => index.name === INDEX_NAME);
+
+    if (current?.partialFilterExpression) {
+      console.log(`${INDEX_NAME} already covers completed commissions only`);
+      return;
+    }
+    if (current) {
+      await ReferralTransaction.collection.dropIndex(INDEX_NAME);
+      console.log(`Dropped the old ${INDEX_NAME} index`);
+    }
+
+    await ReferralTransaction.createIndexes();
+    console.log(`Created ${INDEX_NAME} for completed commissions`);
+  } catch (error) {
+    console.error('Referral commission index migration failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+run();
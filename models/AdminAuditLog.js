@@ -4,7 +4,11 @@ const adminAuditLogSchema = new mongoose.Schema({
   adminId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   action: { type: String, required: true },
   targetUserId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  // Non-user targets, e.g. targetType 'transaction' with its transactionId
+  targetType: String,
+  targetId: String,
   details: mongoose.Schema.Types.Mixed,
+  reason: String,
   ipAddress: String,
   userAgent: String,
   timestamp: { type: Date, default: Date.now }
@@ -12,5 +16,12 @@ const adminAuditLogSchema = new mongoose.Schema({
 
 adminAuditLogSchema.index({ adminId: 1, timestamp: -1 });
 adminAuditLogSchema.index({ action: 1, timestamp: -1 });
+adminAuditLogSchema.index({ targetId: 1, timestamp: -1 });
+
+// Copy into the unified audit trail (utils/auditService.js)
+adminAuditLogSchema.post('save', function(doc) {
+  const { mirror, fromAdminAuditLog } = require('../utils/auditService');
+  return mirror(fromAdminAuditLog)(doc);
+});
 
 module.exports = mongoose.model('AdminAuditLog', adminAuditLogSchema);
\ No newline at end of file
@@ -0,0 +1,70 @@
+// models/ApprovalRequest.js
+// A sensitive admin action held for a second admin's sign-off (four-eyes).
+// The original request is stored so it can be replayed once approved.
+const mongoose = require('mongoose');
+
+const approvalRequestSchema = new mongoose.Schema({
+  // Policy key from config/approvalPolicies.js, e.g. 'shares.add'
+  action: { type: String, required: true, index: true },
+
+  // The request as the maker sent it
+  method:      { type: String, required: true },
+  path:        { type: String, required: true },
+  params:      { type: mongoose.Schema.Types.Mixed, default: {} },
+  query:       { type: mongoose.Schema.Types.Mixed, default: {} },
+  body:        { type: mongoose.Schema.Types.Mixed, default: {} },
+  requestHash: { type: String, required: true },
+
+  // Value that tripped the threshold, and the threshold in force at the time
+  amount:    { type: Number, required: true },
+  currency:  { type: String, default: 'NGN' },
+  threshold: { type: Number, required: true },
+
+  // What the action will change: { summary, target, changes: [{ field, from, to }] }
+  preview: { type: mongoose.Schema.Types.Mixed, default: {} },
+
+  targetUserId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'expired', 'executed', 'failed'],
+    default: 'pending',
+    index: true
+  },
+
+  requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  reason:      { type: String, trim: true, default: null },
+
+  decidedBy:    { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  decidedAt:    { type: Date, default: null },
+  decisionNote: { type: String, trim: true, default: null },
+
+  expiresAt: { type: Date, required: true },
+
+  // Response of the replayed handler once approved
+  executedAt: { type: Date, default: null },
+  executionResult: {
+    statusCode: Number,
+    body: mongoose.Schema.Types.Mixed
+  }
+}, { timestamps: true });
+
+approvalRequestSchema.index({ status: 1, expiresAt: 1 });
+approvalRequestSchema.index({ requestedBy: 1, action: 1, requestHash: 1, status: 1 });
+
+approvalRequestSchema.methods.isExpired = function(now = new Date()) {
+  return this.status === 'pending' && this.expiresAt <= now;
+};
+
+/**
+ * Move pending requests past their expiry to 'expired'. Called before
+ * listings so stale requests never show up as actionable.
+ */
+approvalRequestSchema.statics.expireStale = function(now = new Date()) {
+  return this.updateMany(
+    { status: 'pending', expiresAt: { $lte: now } },
+    { $set: { status: 'expired', decidedAt: now } }
+  );
+};
+
+module.exports = mongoose.model('ApprovalRequest', approvalRequestSchema);
@@ -0,0 +1,15 @@
+// models/ApprovalThreshold.js
+// Admin overrides for the four-eyes thresholds in config/approvalPolicies.js.
+const mongoose = require('mongoose');
+
+const approvalThresholdSchema = new mongoose.Schema({
+  action:    { type: String, required: true, unique: true },
+  // Amounts at or above this need a second admin; 0 = every request
+  threshold: { type: Number, required: true, min: 0 },
+  // false switches the four-eyes check off for this action
+  enabled:   { type: Boolean, default: true },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  reason:    { type: String, trim: true }
+}, { timestamps: true });
+
+module.exports = mongoose.model('ApprovalThreshold', approvalThresholdSchema);
@@ -0,0 +1,58 @@
+// models/AuditEvent.js
+// Unified, append-only audit trail of admin actions across all subsystems.
+// Written through utils/auditService.js; AdminAuditLog and WithdrawalAuditLog
+// entries are mirrored here as they are saved.
+const mongoose = require('mongoose');
+
+const auditEventSchema = new mongoose.Schema({
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  action: { type: String, required: true },
+  // Subsystem that recorded the event: admin, withdrawals, referrals, tiers, request
+  source: { type: String, required: true },
+
+  // What was acted on, e.g. { entityType: 'withdrawal', entityId: '<id>' }
+  entityType: { type: String, default: null },
+  entityId: { type: String, default: null },
+  targetUser: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed,
+  details: mongoose.Schema.Types.Mixed,
+  reason: { type: String, default: null },
+
+  ipAddress: String,
+  userAgent: String,
+  requestId: String,
+
+  // Legacy record this event was copied from (mirroring and backfill)
+  origin: {
+    collection: String,
+    id: String
+  },
+
+  createdAt: { type: Date, default: Date.now }
+}, { versionKey: false });
+
+auditEventSchema.index({ createdAt: -1 });
+auditEventSchema.index({ actor: 1, createdAt: -1 });
+auditEventSchema.index({ action: 1, createdAt: -1 });
+auditEventSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditEventSchema.index({ targetUser: 1, createdAt: -1 });
+auditEventSchema.index({ requestId: 1 });
+auditEventSchema.index(
+  { 'origin.collection': 1, 'origin.id': 1 },
+  { unique: true, partialFilterExpression: { 'origin.id': { $type: 'string' } } }
+);
+
+// Append-only: events are never edited or removed through the model
+const refuse = function(next) {
+  next(new Error('Audit events are append-only'));
+};
+auditEventSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], refuse);
+auditEventSchema.pre(['deleteOne', 'deleteMany', 'findOneAndDelete'], { document: false, query: true }, refuse);
+auditEventSchema.pre('save', function(next) {
+  if (!this.isNew) return refuse(next);
+  next();
+});
+
+module.exports = mongoose.model('AuditEvent', auditEventSchema);
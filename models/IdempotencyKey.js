@@ -0,0 +1,55 @@
+// models/IdempotencyKey.js
+/**
+ * IdempotencyKey Model - stored results of POST requests sent with an
+ * Idempotency-Key header (see middleware/idempotency.js).
+ *
+ * A record is claimed in 'processing' state before the handler runs and
+ * moved to 'completed' with the response once it finishes. Keys are scoped
+ * to the user and expire automatically.
+ */
+
+const mongoose = require('mongoose');
+
+const KEY_TTL_HOURS = 24;
+
+const idempotencyKeySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 255
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  method: { type: String, required: true },
+  path:   { type: String, required: true },
+
+  // SHA-256 of the method, path and body, with the names and types of any uploaded files
+  requestHash: { type: String, required: true },
+
+  status: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing'
+  },
+
+  responseStatus: { type: Number },
+  responseBody:   { type: mongoose.Schema.Types.Mixed },
+  completedAt:    { type: Date },
+
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + KEY_TTL_HOURS * 60 * 60 * 1000)
+  }
+}, { timestamps: true });
+
+idempotencyKeySchema.index({ user: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+idempotencyKeySchema.statics.KEY_TTL_HOURS = KEY_TTL_HOURS;
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
@@ -0,0 +1,155 @@
+// models/LedgerEntry.js
+/**
+ * LedgerEntry Model - append-only double-entry journal
+ *
+ * Every balance-moving operation (referral commissions, withdrawals,
+ * franchise credit) is recorded as one journal entry holding two or more
+ * postings. The debits and credits of an entry must balance, and entries are
+ * never updated or deleted: corrections are made by posting a reversal.
+ *
+ * Accounts are plain strings:
+ *   user:<userId>:locked         - commissions still in their lock period
+ *   user:<userId>:available      - withdrawable referral earnings
+ *   user:<userId>:pending        - withdrawals awaiting processing
+ *   user:<userId>:processing     - withdrawals sent to the payout provider
+ *   user:<userId>:withdrawn      - withdrawals paid out
+ *   user:<userId>:clawback       - reversed commissions owed back (negative)
+ *   franchise:<franchiseId>:credit - franchise distribution credit
+ *   system:*                     - company-side contra accounts
+ *
+ * All user/franchise accounts are credit-normal, so their balance is
+ * sum(credit) - sum(debit).
+ */
+
+const mongoose = require('mongoose');
+
+const postingSchema = new mongoose.Schema({
+  account: { type: String, required: true, trim: true },
+  debit:   { type: Number, default: 0, min: 0 },
+  credit:  { type: Number, default: 0, min: 0 }
+}, { _id: false });
+
+const ledgerEntrySchema = new mongoose.Schema({
+  // Idempotency key — posting the same reference twice returns the first entry
+  reference: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+
+  entryType: {
+    type: String,
+    required: true,
+    enum: [
+      'opening_balance',
+      'referral_commission',
+      'referral_commission_reversal',
+      'referral_commission_matured',
+      'withdrawal_transition',
+      'franchise_credit',
+      'referral_bonus',
+      'adjustment'
+    ],
+    index: true
+  },
+
+  description: { type: String, trim: true },
+
+  postings: {
+    type: [postingSchema],
+    validate: {
+      validator: (postings) => Array.isArray(postings) && postings.length >= 2,
+      message: 'A journal entry needs at least two postings'
+    }
+  },
+
+  // Denormalised list of touched accounts for indexed balance queries
+  accounts: { type: [String], index: true },
+
+  // Links back to the business record that caused this entry
+  sourceModel: { type: String },
+  sourceId:    { type: String, index: true },
+
+  reversalOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LedgerEntry',
+    default: null
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  metadata: { type: mongoose.Schema.Types.Mixed },
+
+  createdAt: { type: Date, default: Date.now, index: true }
+});
+
+ledgerEntrySchema.index({ 'postings.account': 1, createdAt: 1 });
+
+// Rounded to kobo/cents to avoid floating point drift when comparing sums
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+ledgerEntrySchema.pre('validate', function(next) {
+  const totalDebit = round2(this.postings.reduce((sum, p) => sum + (p.debit || 0), 0));
+  const totalCredit = round2(this.postings.reduce((sum, p) => sum + (p.credit || 0), 0));
+
+  if (totalDebit !== totalCredit) {
+    return next(new Error(`Unbalanced journal entry ${this.reference}: debits ${totalDebit} != credits ${totalCredit}`));
+  }
+  if (totalDebit <= 0) {
+    return next(new Error(`Journal entry ${this.reference} moves no value`));
+  }
+
+  this.accounts = [...new Set(this.postings.map(p => p.account))];
+  next();
+});
+
+// Append-only: block every mutation path except inserting new documents
+const rejectMutation = function(next) {
+  next(new Error('LedgerEntry is append-only; post a reversal instead'));
+};
+
+ledgerEntrySchema.pre('save', function(next) {
+  if (!this.isNew) return rejectMutation(next);
+  next();
+});
+
+[
+  'updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne',
+  'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndReplace'
+].forEach((op) => {
+  ledgerEntrySchema.pre(op, rejectMutation);
+});
+
+/**
+ * Sum the balance of one or more accounts
+ * @param {string|string[]} accounts - Account name(s)
+ * @returns {Promise<Object>} Map of account -> credit-normal balance
+ */
+ledgerEntrySchema.statics.getBalances = async function(accounts, options = {}) {
+  const list = Array.isArray(accounts) ? accounts : [accounts];
+
+  const rows = await this.aggregate([
+    { $match: { accounts: { $in: list } } },
+    { $unwind: '$postings' },
+    { $match: { 'postings.account': { $in: list } } },
+    {
+      $group: {
+        _id: '$postings.account',
+        debit: { $sum: '$postings.debit' },
+        credit: { $sum: '$postings.credit' }
+      }
+    }
+  ]).session(options.session || null);
+
+  const balances = {};
+  list.forEach(a => { balances[a] = 0; });
+  rows.forEach(r => { balances[r._id] = round2(r.credit - r.debit); });
+  return balances;
+};
+
+module.exports = mongoose.model('LedgerEntry', ledgerEntrySchema);
@@ -45,6 +45,11 @@ const paymentSchema = new mongoose.Schema(
       },
       lastVerificationAttempt: Date
     },
+    // When a saved bank account was last replaced; starts the withdrawal cooldown
+    bankAccountChangedAt: {
+      type: Date,
+      default: null
+    },
 
     // ========== CRYPTO WALLET FIELDS ==========
     cryptoWallet: {
@@ -121,9 +126,24 @@ paymentSchema.index({
   'bankAccount.bankCode': 1 
 }, { sparse: true });
 
+// Remember the bank account as loaded, to tell a change from a first save
+paymentSchema.post('init', function() {
+  this.$locals.loadedBankAccount = this.bankAccount && this.bankAccount.accountNumber
+    ? { accountNumber: this.bankAccount.accountNumber, bankCode: this.bankAccount.bankCode }
+    : null;
+});
+
 // Pre-save hook to update updatedAt
 paymentSchema.pre('save', function(next) {
   this.updatedAt = new Date();
+
+  const loaded = this.$locals.loadedBankAccount;
+  if (loaded && this.bankAccount && (
+    this.bankAccount.accountNumber !== loaded.accountNumber || this.bankAccount.bankCode !== loaded.bankCode
+  )) {
+    this.bankAccountChangedAt = new Date();
+    this.$locals.loadedBankAccount = { accountNumber: this.bankAccount.accountNumber, bankCode: this.bankAccount.bankCode };
+  }
   next();
 });
 
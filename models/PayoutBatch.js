@@ -0,0 +1,102 @@
+// models/PayoutBatch.js
+// A named run of approved bank withdrawals paid out together, either as a
+// bulk-transfer file uploaded to the bank or by sending each one through the
+// payout provider. Written by utils/payoutBatches.js; items are settled by
+// utils/withdrawalSettlement.js, whether the result comes from a provider or
+// from the bank's result file.
+const mongoose = require('mongoose');
+
+const payoutBatchItemSchema = new mongoose.Schema({
+  withdrawal: { type: mongoose.Schema.Types.ObjectId, ref: 'Withdrawal', required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  reference: { type: String, required: true },
+  amount: { type: Number, required: true },
+  accountName: String,
+  accountNumber: String,
+  bankName: String,
+  bankCode: String,
+
+  // queued while the batch is open, processing once released, then paid or
+  // failed (a failed item's withdrawal goes back to the approved queue)
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'paid', 'failed'],
+    default: 'queued'
+  },
+  providerReference: String,
+  failureReason: String,
+  settledAt: Date
+}, { _id: false });
+
+const reconciliationSchema = new mongoose.Schema({
+  uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  uploadedAt: { type: Date, default: Date.now },
+  fileName: String,
+  rows: { type: Number, default: 0 },
+  paid: { type: Number, default: 0 },
+  failed: { type: Number, default: 0 },
+  skipped: { type: Number, default: 0 },
+  unmatched: { type: [String], default: [] },
+  invalid: { type: [String], default: [] }
+}, { _id: false });
+
+const payoutBatchSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true, maxlength: 120 },
+
+  // open: items reserved, nothing sent yet
+  // processing: released as a bank file or through the provider
+  // completed: every item paid or failed
+  // cancelled: closed before release, items back in the queue
+  status: {
+    type: String,
+    enum: ['open', 'processing', 'completed', 'cancelled'],
+    default: 'open',
+    index: true
+  },
+
+  // How the batch was released: 'file' (bank upload) or 'provider'
+  releaseMethod: { type: String, enum: ['file', 'provider', null], default: null },
+  provider: { type: String, default: null },
+
+  items: { type: [payoutBatchItemSchema], default: [] },
+
+  itemCount: { type: Number, default: 0 },
+  totalAmount: { type: Number, default: 0 },
+  paidCount: { type: Number, default: 0 },
+  paidAmount: { type: Number, default: 0 },
+  failedCount: { type: Number, default: 0 },
+
+  reconciliations: { type: [reconciliationSchema], default: [] },
+
+  notes: { type: String, trim: true, maxlength: 1000 },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  releasedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  releasedAt: Date,
+  cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  cancelledAt: Date,
+  completedAt: Date
+}, { timestamps: true });
+
+payoutBatchSchema.index({ createdAt: -1 });
+payoutBatchSchema.index({ 'items.withdrawal': 1 });
+payoutBatchSchema.index({ 'items.reference': 1 });
+
+/**
+ * Recount items and complete the batch once nothing is left in flight
+ */
+payoutBatchSchema.methods.refreshTotals = function() {
+  const paid = this.items.filter(item => item.status === 'paid');
+  this.itemCount = this.items.length;
+  this.totalAmount = this.items.reduce((sum, item) => sum + item.amount, 0);
+  this.paidCount = paid.length;
+  this.paidAmount = paid.reduce((sum, item) => sum + item.amount, 0);
+  this.failedCount = this.items.filter(item => item.status === 'failed').length;
+
+  if (this.status === 'processing' && this.paidCount + this.failedCount === this.itemCount) {
+    this.status = 'completed';
+    this.completedAt = new Date();
+  }
+  return this;
+};
+
+module.exports = mongoose.model('PayoutBatch', payoutBatchSchema);
@@ -0,0 +1,42 @@
+// models/PayoutWebhookEvent.js
+/**
+ * One payout provider webhook delivery per (provider, event, reference).
+ * Providers retry deliveries that don't get a 2xx, so this is both the
+ * dedupe record and the trail of what each transfer update did.
+ *
+ * status:
+ *   processed - applied to its withdrawal, or the withdrawal had already moved on
+ *   unmatched - no withdrawal with that reference (yet); the provider will redeliver
+ *   failed    - unexpected error; the provider will redeliver
+ */
+const mongoose = require('mongoose');
+
+const PayoutWebhookEventSchema = new mongoose.Schema({
+  provider:  { type: String, required: true },
+  event:     { type: String, required: true },
+  reference: { type: String, required: true },
+  providerReference: { type: String },
+
+  status: {
+    type: String,
+    enum: ['processed', 'unmatched', 'failed'],
+    required: true,
+    index: true
+  },
+
+  withdrawal:     { type: mongoose.Schema.Types.ObjectId, ref: 'Withdrawal', default: null },
+  transferStatus: { type: String },
+  previousStatus: { type: String },
+  newStatus:      { type: String },
+  changed:        { type: Boolean, default: false },
+
+  attempts:    { type: Number, default: 0 },
+  lastError:   { type: String },
+  processedAt: { type: Date },
+
+  payload: { type: mongoose.Schema.Types.Mixed }
+}, { timestamps: true });
+
+PayoutWebhookEventSchema.index({ provider: 1, event: 1, reference: 1 }, { unique: true });
+
+module.exports = mongoose.model('PayoutWebhookEvent', PayoutWebhookEventSchema);
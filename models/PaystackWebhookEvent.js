@@ -0,0 +1,45 @@
+// models/PaystackWebhookEvent.js
+/**
+ * One Paystack webhook delivery per (event, reference). Paystack retries
+ * deliveries that don't get a 2xx, so this doubles as the dedupe record and
+ * as an audit trail of what each charge was applied to.
+ *
+ * status:
+ *   processed - applied to its plan (or found already applied)
+ *   rejected  - the plan logic refused it (mismatch, amount rules, ...); not retried
+ *   ignored   - not an installment charge
+ *   failed    - unexpected error; Paystack will redeliver
+ */
+const mongoose = require('mongoose');
+
+const PaystackWebhookEventSchema = new mongoose.Schema({
+  event:     { type: String, required: true },
+  reference: { type: String, required: true },
+
+  target: {
+    type: String,
+    enum: ['installment', 'cofounder_installment', null],
+    default: null
+  },
+
+  status: {
+    type: String,
+    enum: ['processed', 'rejected', 'ignored', 'failed'],
+    required: true,
+    index: true
+  },
+
+  resultStatusCode: { type: Number },
+  message:          { type: String },
+  alreadyProcessed: { type: Boolean, default: false },
+
+  attempts:    { type: Number, default: 0 },
+  lastError:   { type: String },
+  processedAt: { type: Date },
+
+  payload: { type: mongoose.Schema.Types.Mixed }
+}, { timestamps: true });
+
+PaystackWebhookEventSchema.index({ event: 1, reference: 1 }, { unique: true });
+
+module.exports = mongoose.model('PaystackWebhookEvent', PaystackWebhookEventSchema);
@@ -0,0 +1,61 @@
+// models/ReconciliationMismatch.js
+/**
+ * A single disagreement found by a reconciliation run.
+ *
+ * scope tells where the disagreement sits (expected vs actual):
+ *   transaction  - UserShare.transactions entry vs its TransactionV2 row
+ *   snapshot     - fresh sum of TransactionV2 vs stored UserShareV2 totals
+ *   legacy_total - fresh sum of UserShare.transactions vs stored UserShare totals
+ */
+const mongoose = require('mongoose');
+
+const MISMATCH_TYPES = ['missing_v2', 'ownership_drift', 'earning_drift', 'status_mismatch'];
+
+const ReconciliationMismatchSchema = new mongoose.Schema({
+  report: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReconciliationReport',
+    required: true,
+    index: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  transactionId: { type: String, default: null },
+
+  mismatchType: {
+    type: String,
+    enum: MISMATCH_TYPES,
+    required: true
+  },
+  scope: {
+    type: String,
+    enum: ['transaction', 'snapshot', 'legacy_total'],
+    required: true
+  },
+
+  // Values as seen when the run found the mismatch; difference = actual - expected
+  expectedValue: { type: mongoose.Schema.Types.Mixed },
+  actualValue:   { type: mongoose.Schema.Types.Mixed },
+  difference:    { type: Number },
+
+  autoRepairable: { type: Boolean, default: false },
+
+  status: {
+    type: String,
+    enum: ['open', 'repaired', 'repair_failed', 'ignored'],
+    default: 'open'
+  },
+  repairedAt:  { type: Date },
+  repairedBy:  { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  repairError: { type: String }
+}, { timestamps: true });
+
+ReconciliationMismatchSchema.index({ report: 1, mismatchType: 1, status: 1 });
+
+ReconciliationMismatchSchema.statics.MISMATCH_TYPES = MISMATCH_TYPES;
+
+module.exports = mongoose.model('ReconciliationMismatch', ReconciliationMismatchSchema);
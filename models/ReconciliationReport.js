@@ -0,0 +1,46 @@
+// models/ReconciliationReport.js
+/**
+ * One run of the UserShare ↔ TransactionV2 ↔ UserShareV2 reconciliation.
+ * Individual findings live in ReconciliationMismatch so large runs don't
+ * hit the document size limit.
+ */
+const mongoose = require('mongoose');
+
+const ReconciliationReportSchema = new mongoose.Schema({
+  trigger: {
+    type: String,
+    enum: ['scheduled', 'manual'],
+    required: true
+  },
+  triggeredBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running',
+    index: true
+  },
+
+  startedAt:  { type: Date, default: Date.now },
+  finishedAt: { type: Date },
+
+  usersScanned:        { type: Number, default: 0 },
+  transactionsScanned: { type: Number, default: 0 },
+
+  // Mismatch counts by class
+  summary: {
+    missing_v2:      { type: Number, default: 0 },
+    ownership_drift: { type: Number, default: 0 },
+    earning_drift:   { type: Number, default: 0 },
+    status_mismatch: { type: Number, default: 0 },
+    total:           { type: Number, default: 0 },
+    autoRepairable:  { type: Number, default: 0 },
+    repaired:        { type: Number, default: 0 }
+  },
+
+  error: { type: String }
+}, { timestamps: true });
+
+ReconciliationReportSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('ReconciliationReport', ReconciliationReportSchema);
@@ -1,5 +1,18 @@
 const mongoose = require('mongoose');
 
+// Commission earnings in one currency, and their naira value
+const currencyEarningsSchema = new mongoose.Schema({
+  earned: { type: Number, default: 0 },
+  locked: { type: Number, default: 0 },
+  held: { type: Number, default: 0 },
+  commissions: { type: Number, default: 0 },
+  converted: {
+    earned: { type: Number, default: 0 },
+    locked: { type: Number, default: 0 },
+    held: { type: Number, default: 0 }
+  }
+}, { _id: false });
+
 // Schema for tracking referral generations and earnings
 const ReferralSchema = new mongoose.Schema({
   // User who is generating referrals
@@ -16,12 +29,34 @@ const ReferralSchema = new mongoose.Schema({
     default: 0
   },
   
-  // Total earnings from referrals
+  // Total earnings from referrals (matured; see lockedEarnings)
   totalEarnings: {
     type: Number,
     default: 0
   },
   
+  // Commissions still inside the lock period; not yet withdrawable
+  lockedEarnings: {
+    type: Number,
+    default: 0
+  },
+  
+  // Reversed commissions already withdrawn, owed back from future
+  // commissions (see ReferralClawback)
+  clawbackOutstanding: {
+    type: Number,
+    default: 0
+  },
+  
+  // The balances here are naira. Commissions earned in other currencies are
+  // converted at the rate of the day they were accrued; this keeps what was
+  // earned in each currency (see utils/referralCurrency.js)
+  earningsByCurrency: {
+    naira: { type: currencyEarningsSchema, default: () => ({}) },
+    usdt: { type: currencyEarningsSchema, default: () => ({}) },
+    USD: { type: currencyEarningsSchema, default: () => ({}) }
+  },
+  
   // NEW FIELDS: Track withdrawal amounts by status
   totalWithdrawn: {
     type: Number,
@@ -69,6 +104,21 @@ const ReferralSchema = new mongoose.Schema({
       default: 0
     }
   },
+
+  // Generations beyond the third, when SiteConfig.referralMaxDepth pays them
+  deeperGenerations: [{
+    _id: false,
+    generation: { type: Number, min: 4 },
+    count: { type: Number, default: 0 },
+    earnings: { type: Number, default: 0 }
+  }],
+  
+  // Highest referral rank reached; the full history is in ReferralRankAward
+  rank: {
+    key: { type: String, default: null },
+    name: { type: String, default: null },
+    achievedAt: { type: Date, default: null }
+  },
   
   // List of direct referrals
   referrals: [{
@@ -101,6 +151,17 @@ ReferralSchema.virtual('availableBalance').get(function() {
          (this.processingWithdrawals || 0);
 });
 
+// Counters for one generation; adds the entry for a generation past the third
+ReferralSchema.methods.generationStats = function(generation) {
+  if (generation <= 3) return this[`generation${generation}`];
+  let stats = this.deeperGenerations.find(entry => entry.generation === generation);
+  if (!stats) {
+    this.deeperGenerations.push({ generation, count: 0, earnings: 0 });
+    stats = this.deeperGenerations[this.deeperGenerations.length - 1];
+  }
+  return stats;
+};
+
 // Static method to create or update referral record
 ReferralSchema.statics.updateReferralStats = async function(userId, referredUserId, generation, earnings = 0) {
   try {
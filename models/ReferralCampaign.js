@@ -0,0 +1,51 @@
+// models/ReferralCampaign.js
+// A time-boxed referral campaign. Users who register with the campaign code
+// carry it on referralInfo.campaign; their purchases inside the window pay the
+// campaign's boosted generation rates until the budget is spent. Written by
+// the admin campaign endpoints, applied by utils/referralCampaigns.js.
+const mongoose = require('mongoose');
+
+const levelRateSchema = new mongoose.Schema({
+  level: { type: Number, required: true, min: 1 },
+  rate: { type: Number, required: true, min: 0, max: 100 }
+}, { _id: false });
+
+const referralCampaignSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true, maxlength: 120 },
+  // Code carried on sign-up links (?campaign=CODE), stored upper case
+  code: { type: String, required: true, trim: true, uppercase: true, unique: true },
+  description: { type: String, trim: true, maxlength: 1000 },
+
+  startsAt: { type: Date, required: true },
+  endsAt: { type: Date, required: true },
+
+  // Replace the policy rate for the levels listed; other levels keep theirs
+  rates: { type: [levelRateSchema], default: [] },
+  // Tier keys whose purchases qualify; empty means every tier
+  eligibleTiers: { type: [String], default: [] },
+
+  // Most commission (naira) paid at campaign rates; null means no cap.
+  // spent is reserved as each boosted commission is created and given back
+  // when one is rolled back or voided.
+  budget: { type: Number, min: 0, default: null },
+  spent: { type: Number, min: 0, default: 0 },
+
+  active: { type: Boolean, default: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }
+}, { timestamps: true });
+
+referralCampaignSchema.index({ active: 1, startsAt: 1, endsAt: 1 });
+
+referralCampaignSchema.virtual('remainingBudget').get(function() {
+  return this.budget === null || this.budget === undefined ? null : Math.max(this.budget - this.spent, 0);
+});
+
+/**
+ * Whether sign-ups and purchases at `at` fall inside the campaign
+ */
+referralCampaignSchema.methods.isRunning = function(at = new Date()) {
+  return this.active && this.startsAt <= at && at <= this.endsAt;
+};
+
+module.exports = mongoose.model('ReferralCampaign', referralCampaignSchema);
@@ -0,0 +1,41 @@
+// models/ReferralClawback.js
+// Money owed back by a referrer whose commission was reversed after it had
+// already left their available balance (withdrawn or requested). The ledger's
+// user:<id>:clawback account holds the total owed; these records say what it
+// came from and how it has been recovered. Written by utils/ledgerService.js.
+const mongoose = require('mongoose');
+
+const recoverySchema = new mongoose.Schema({
+  amount: { type: Number, required: true, min: 0 },
+  // Commission the recovery was taken from
+  referralTransaction: { type: mongoose.Schema.Types.ObjectId, ref: 'ReferralTransaction', default: null },
+  ledgerReference: String,
+  recoveredAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const referralClawbackSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  // Reversed commission that could not be taken back in full
+  referralTransaction: { type: mongoose.Schema.Types.ObjectId, ref: 'ReferralTransaction', required: true },
+  sourceTransaction: String,
+  ledgerReference: { type: String, required: true },
+
+  amount: { type: Number, required: true, min: 0 },
+  recoveredAmount: { type: Number, default: 0, min: 0 },
+  outstandingAmount: { type: Number, required: true, min: 0 },
+  status: {
+    type: String,
+    enum: ['outstanding', 'recovered'],
+    default: 'outstanding'
+  },
+  recoveries: [recoverySchema],
+
+  reason: String,
+  recoveredAt: { type: Date, default: null }
+}, { timestamps: true });
+
+referralClawbackSchema.index({ ledgerReference: 1 }, { unique: true });
+referralClawbackSchema.index({ user: 1, status: 1, createdAt: 1 });
+referralClawbackSchema.index({ status: 1, outstandingAmount: -1 });
+
+module.exports = mongoose.model('ReferralClawback', referralClawbackSchema);
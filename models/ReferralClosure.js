@@ -0,0 +1,19 @@
+// models/ReferralClosure.js
+// Closure table of the referral graph: one row for every ancestor/descendant
+// pair, so a whole downline or upline is a single indexed query. depth 1 is
+// the direct referrer, 2 the referrer's referrer, and so on. Derived from
+// User.referralInfo.code and maintained by utils/referralGraph.js.
+const mongoose = require('mongoose');
+
+const referralClosureSchema = new mongoose.Schema({
+  ancestor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  descendant: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  depth: { type: Number, required: true, min: 1 },
+  createdAt: { type: Date, default: Date.now }
+}, { versionKey: false });
+
+referralClosureSchema.index({ ancestor: 1, descendant: 1 }, { unique: true });
+referralClosureSchema.index({ ancestor: 1, depth: 1, createdAt: -1 });
+referralClosureSchema.index({ descendant: 1, depth: 1 });
+
+module.exports = mongoose.model('ReferralClosure', referralClosureSchema);
@@ -0,0 +1,38 @@
+// models/ReferralFraudFlag.js
+// A referral edge (user -> the referrer whose code they signed up with) that
+// scored as suspicious at registration. While a flag is open, commissions
+// paid through the edge are held (ReferralTransaction status 'pending') until
+// an admin releases or voids them. Written by utils/referralFraud.js.
+const mongoose = require('mongoose');
+
+const signalSchema = new mongoose.Schema({
+  // shared_device, shared_ip, shared_user_agent, similar_email, shared_phone,
+  // registration_burst, circular_chain
+  code: { type: String, required: true },
+  weight: { type: Number, required: true },
+  detail: String,
+  // Account the signal matched against, when it is not the referrer
+  relatedUser: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }
+}, { _id: false });
+
+const referralFraudFlagSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  referrer: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  score: { type: Number, required: true, min: 0 },
+  signals: [signalSchema],
+
+  status: {
+    type: String,
+    enum: ['open', 'released', 'voided'],
+    default: 'open'
+  },
+  reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  reviewedAt: { type: Date, default: null },
+  reviewNote: { type: String, maxlength: 1000 }
+}, { timestamps: true });
+
+referralFraudFlagSchema.index({ user: 1, referrer: 1 }, { unique: true });
+referralFraudFlagSchema.index({ status: 1, score: -1, createdAt: -1 });
+referralFraudFlagSchema.index({ referrer: 1, status: 1 });
+
+module.exports = mongoose.model('ReferralFraudFlag', referralFraudFlagSchema);
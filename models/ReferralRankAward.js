@@ -0,0 +1,32 @@
+// models/ReferralRankAward.js
+// A referral rank (SiteConfig.referralRanks) reached by a user, with the
+// one-off milestone bonus it paid. One per user and rank, so a bonus is never
+// paid twice. Written by utils/referralRanks.js.
+const mongoose = require('mongoose');
+
+const referralRankAwardSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  rank: { type: String, required: true },
+  name: { type: String, required: true },
+  // Position on the rank ladder when it was reached (1 = lowest)
+  level: { type: Number, required: true, min: 1 },
+  achievedAt: { type: Date, default: Date.now },
+
+  // What the user had when the rank was reached
+  metrics: {
+    directReferrals: { type: Number, default: 0 },
+    teamVolume: { type: Number, default: 0 },
+    coFounderDownlines: { type: Number, default: 0 }
+  },
+
+  bonus: {
+    amount: { type: Number, min: 0, default: 0 },
+    currency: { type: String, default: 'naira' },
+    ledgerReference: { type: String, default: null }
+  }
+}, { timestamps: true });
+
+referralRankAwardSchema.index({ user: 1, rank: 1 }, { unique: true });
+referralRankAwardSchema.index({ rank: 1, achievedAt: -1 });
+
+module.exports = mongoose.model('ReferralRankAward', referralRankAwardSchema);
@@ -28,9 +28,14 @@ const ReferralTransactionSchema = new mongoose.Schema({
     default: 'naira'
   },
   
+  // 1 = direct referrer; as deep as SiteConfig.referralMaxDepth allows
   generation: {
     type: Number,
-    enum: [1, 2, 3],
+    min: 1,
+    validate: {
+      validator: Number.isInteger,
+      message: 'generation must be a whole number'
+    },
     required: true,
     index: true
   },
@@ -54,18 +59,68 @@ const ReferralTransactionSchema = new mongoose.Schema({
     default: 'share'
   },
   
+  // 'pending' while held for fraud review (see fraudHold), 'voided' when the
+  // review rejected it
   status: {
     type: String,
-    enum: ['pending', 'completed', 'failed', 'rolled_back'],
+    enum: ['pending', 'completed', 'failed', 'rolled_back', 'voided'],
     default: 'completed',
     index: true
   },
   
+  // Open ReferralFraudFlags on the referral path that hold this commission;
+  // it is credited once the last of them is released
+  fraudHold: {
+    flags: [{ type: mongoose.Schema.Types.ObjectId, ref: 'ReferralFraudFlag' }],
+    heldAt: { type: Date }
+  },
+  
+  // ReferralCampaign whose boosted rate paid this commission; the amount is
+  // counted against the campaign budget
+  campaign: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReferralCampaign',
+    default: null
+  },
+  
+  // Naira value of the commission, converted at the CryptoExchangeRate in
+  // effect when it was accrued (see utils/referralCurrency.js). The ledger is
+  // posted with settlementAmount; `amount` stays in `currency`. Missing on
+  // records from before conversion, which were credited at face value.
+  conversion: {
+    settlementCurrency: { type: String, enum: ['naira'] },
+    settlementAmount: { type: Number, min: 0 },
+    // Naira per unit of `currency`
+    rate: { type: Number, min: 0 },
+    rateSnapshot: { type: mongoose.Schema.Types.ObjectId, ref: 'CryptoExchangeRate', default: undefined },
+    rateSource: { type: String },
+    ratedAt: { type: Date }
+  },
+  
   rolledBackAt: {
     type: Date,
     default: null
   },
   
+  // Lock period (SiteConfig.referralLockDays): a commission is `pending`
+  // until maturesAt, then `matured` and withdrawable. `cancelled` when the
+  // purchase was revoked before it matured. Older records are matured.
+  maturityStatus: {
+    type: String,
+    enum: ['pending', 'matured', 'cancelled'],
+    default: 'matured'
+  },
+  
+  maturesAt: {
+    type: Date,
+    default: null
+  },
+  
+  maturedAt: {
+    type: Date,
+    default: null
+  },
+  
   notes: {
     type: String,
     maxlength: 500
@@ -88,19 +143,26 @@ const ReferralTransactionSchema = new mongoose.Schema({
   commissionDetails: {
     baseAmount: { type: Number, min: 0 },
     commissionRate: { type: Number, min: 0, max: 100 },
+    // commissionRules entry that set the rate, if any
+    rule: { type: String },
+    // Rate the policy would have paid when a campaign boosted it
+    policyRate: { type: Number, min: 0, max: 100 },
     calculatedAt: { type: Date, default: Date.now }
   }
 }, {
   timestamps: true
 });
 
-// CRITICAL: Add compound unique index to prevent duplicates
+// CRITICAL: Add compound unique index to prevent duplicates. Only live
+// commissions count, so one rolled back (e.g. by a referrer reassignment) can
+// be paid again to the same person later.
 ReferralTransactionSchema.index({ 
   beneficiary: 1, 
   sourceTransaction: 1, 
   generation: 1 
 }, { 
   unique: true,
+  partialFilterExpression: { status: 'completed' },
   name: 'prevent_duplicate_commissions'
 });
 
@@ -109,6 +171,9 @@ ReferralTransactionSchema.index({ beneficiary: 1, status: 1 });
 ReferralTransactionSchema.index({ beneficiary: 1, generation: 1, status: 1 });
 ReferralTransactionSchema.index({ referredUser: 1, generation: 1 });
 ReferralTransactionSchema.index({ createdAt: -1 });
+ReferralTransactionSchema.index({ maturityStatus: 1, maturesAt: 1 });
+ReferralTransactionSchema.index({ 'fraudHold.flags': 1 });
+ReferralTransactionSchema.index({ campaign: 1, status: 1 });
 
 // FIXED: Safe commission creation with duplicate prevention
 ReferralTransactionSchema.statics.createCommission = async function(commissionData) {
@@ -3,11 +3,16 @@ const mongoose = require('mongoose');
 
 const siteConfigSchema = new mongoose.Schema({
   
-  referralRates:       { type: Array, default: [{ level: 1, rate: 5 }, { level: 2, rate: 2 }, { level: 3, rate: 1 }] },
+  // Referral commission policy; see utils/referralRules.js.
+  // Empty referralRates means the generation1..3 rates in referralCommission.
+  referralRates:       { type: Array, default: [] },
   referralMaxDepth:    { type: Number, default: 3 },
   referralMinPurchase: { type: Number, default: 50000 },
   referralLockDays:    { type: Number, default: 30 },
   commissionRules:     { type: Array, default: [] },
+  // Referral ranks (Bronze, Silver…) and their milestone bonuses; see
+  // utils/referralRanks.js
+  referralRanks:       { type: Array, default: [] },
   companyWalletAddress: {
     type: String,
     required: true,
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcrypt');
+const { ROLE_NAMES } = require('../config/adminRoles');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -66,6 +67,11 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // What an admin may do (config/adminRoles.js); an admin with none may do nothing
+  adminRoles: {
+    type: [{ type: String, enum: ROLE_NAMES }],
+    default: []
+  },
   // Admin tracking fields
   adminGrantedAt: {
     type: Date,
@@ -122,6 +128,30 @@ const userSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  // Access tokens without a session id issued before this are rejected
+  sessionsRevokedAt: {
+    type: Date,
+    default: null
+  },
+  // TOTP two-factor authentication (see utils/twoFactorService.js)
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    enabledAt: { type: Date },
+    // Encrypted base32 secrets; pendingSecret is set until setup is confirmed
+    secret: { type: String, select: false },
+    pendingSecret: { type: String, select: false },
+    // SHA-256 hashes of unused backup codes
+    backupCodes: { type: [String], select: false },
+    // Last TOTP time step accepted, so a code can't be replayed
+    lastUsedStep: { type: Number, select: false }
+  },
+  // Where the account was registered from, for the referral fraud checks
+  // (utils/referralFraud.js)
+  registrationInfo: {
+    ip: { type: String, trim: true },
+    userAgent: { type: String, trim: true, maxlength: 500 },
+    deviceFingerprint: { type: String, trim: true, maxlength: 200 }
+  },
   // Referral system fields
   referralInfo: {
     code: {
@@ -135,6 +165,16 @@ const userSchema = new mongoose.Schema({
     },
     timestamp: {
       type: Date
+    },
+    // ReferralCampaign whose code the user registered with
+    campaign: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ReferralCampaign',
+      default: null
+    },
+    campaignCode: {
+      type: String,
+      trim: true
     }
   },
   referrals: [{
@@ -209,6 +249,9 @@ const userSchema = new mongoose.Schema({
 // Index for better query performance
 userSchema.index({ email: 1 });
 userSchema.index({ userName: 1 });
+userSchema.index({ 'registrationInfo.ip': 1, createdAt: -1 }, { sparse: true });
+userSchema.index({ 'registrationInfo.deviceFingerprint': 1 }, { sparse: true });
+userSchema.index({ 'referralInfo.campaign': 1 }, { sparse: true });
 userSchema.index({ walletAddress: 1 });
 userSchema.index({ isAdmin: 1 });
 userSchema.index({ isBanned: 1 });
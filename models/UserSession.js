@@ -0,0 +1,51 @@
+// models/UserSession.js
+/**
+ * UserSession Model - one signed-in device (see utils/sessionService.js).
+ *
+ * Access tokens are short-lived JWTs carrying the session id (`sid`); the
+ * long-lived refresh token is stored here only as a hash and is replaced on
+ * every refresh. The previous hash is kept so a replayed (stolen) refresh
+ * token can be recognised and the session revoked.
+ */
+
+const mongoose = require('mongoose');
+
+const userSessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  // SHA-256 of the current and the last rotated-out refresh token
+  refreshTokenHash:         { type: String, required: true },
+  previousRefreshTokenHash: { type: String, default: null },
+  rotationCount:            { type: Number, default: 0 },
+
+  device:    { type: String, trim: true, maxlength: 500 },
+  ip:        { type: String, trim: true },
+  lastSeenAt: { type: Date, default: Date.now },
+
+  // Last second-factor verification on this session (step-up)
+  stepUpAt: { type: Date, default: null },
+
+  revokedAt: { type: Date, default: null },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'user_revoked', 'password_changed', 'password_reset', 'admin_password_reset', 'banned', 'token_reuse', 'two_factor_reset', null],
+    default: null
+  },
+
+  expiresAt: { type: Date, required: true }
+}, { timestamps: true });
+
+userSessionSchema.index({ user: 1, revokedAt: 1 });
+// Expired sessions are removed a day after their refresh token stops working
+userSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+userSessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('UserSession', userSessionSchema);
@@ -6,6 +6,8 @@ const UserWithdrawalControlSchema = new mongoose.Schema({
   isBlacklisted: { type: Boolean, default: false },
   customMinLimit: { type: Number, default: null },
   customMaxLimit: { type: Number, default: null },
+  // Rolling caps replacing the 'velocity_user_limits' default (utils/withdrawalVelocity.js)
+  velocityLimits: { type: mongoose.Schema.Types.Mixed, default: null },
   pauseReason: { type: String },
   blacklistReason: { type: String },
   pausedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
@@ -55,6 +55,22 @@ const withdrawalSchema = new mongoose.Schema(
       sparse: true
     },
 
+    // Provider the transfer was sent through (services/payoutProviders).
+    // Unset on older withdrawals, which all went through Lenco.
+    payoutProvider: {
+      type: String,
+      default: null
+    },
+
+    // Payout batch currently holding this withdrawal (models/PayoutBatch.js).
+    // Cleared when a failed item goes back to the approved queue.
+    payoutBatch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PayoutBatch',
+      default: null,
+      index: true
+    },
+
     // ========== CRYPTO WITHDRAWAL FIELDS ==========
     cryptoDetails: {
       amountUSDT: Number,
@@ -80,7 +96,7 @@ const withdrawalSchema = new mongoose.Schema(
     // ========== WITHDRAWAL STATUS ==========
     status: {
       type: String,
-      enum: ['pending', 'processing', 'paid', 'failed', 'approved', 'rejected'],
+      enum: ['pending', 'processing', 'paid', 'failed', 'approved', 'rejected', 'retrying', 'dead_letter', 'cancelled'],
       default: 'pending',
       index: true
     },
@@ -122,13 +138,33 @@ const withdrawalSchema = new mongoose.Schema(
     processedAt: Date,
     failedAt: Date,
 
-    // For retries
+    // For retries (utils/withdrawalRetryPolicy.js)
     retryCount: {
       type: Number,
       default: 0
     },
     lastRetryAt: Date,
     failureReason: String,
+    failureType: {
+      type: String,
+      enum: ['transient', 'permanent', null],
+      default: null
+    },
+    // When a 'retrying' withdrawal is next sent
+    nextRetryAt: {
+      type: Date,
+      default: null
+    },
+    // Reference sent to the provider for the current attempt; retries get a
+    // fresh one so the provider doesn't reject them as duplicates
+    transferReference: String,
+    deadLetteredAt: Date,
+    refundedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      sparse: true
+    },
+    refundedAt: Date,
 
     createdAt: {
       type: Date,
@@ -149,6 +185,7 @@ const withdrawalSchema = new mongoose.Schema(
 withdrawalSchema.index({ user: 1, createdAt: -1 });
 withdrawalSchema.index({ status: 1, createdAt: -1 });
 withdrawalSchema.index({ withdrawalType: 1, status: 1 });
+withdrawalSchema.index({ status: 1, nextRetryAt: 1 });
 withdrawalSchema.index({ walletAddress: 1 }, { sparse: true });
 withdrawalSchema.index({ cryptoDetails: { transactionHash: 1 } }, { sparse: true });
 
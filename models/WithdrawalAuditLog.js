@@ -16,9 +16,14 @@ const WithdrawalAuditLogSchema = new mongoose.Schema({
       'USER_PAUSED', 'USER_RESUMED',
       'USER_BLACKLISTED', 'USER_WHITELISTED',
       'USER_LIMITS_SET',
+      'USER_WITHDRAWALS_CANCELLED',
       'WITHDRAWAL_FORCE_CANCELLED',
       'WITHDRAWAL_BULK_CANCELLED',
       'WITHDRAWAL_STATUS_OVERRIDDEN',
+      'PAYOUT_PROVIDER_CHANGED',
+      'PAYOUT_BATCH_CREATED', 'PAYOUT_BATCH_RELEASED',
+      'PAYOUT_BATCH_RECONCILED', 'PAYOUT_BATCH_CANCELLED',
+      'WITHDRAWAL_RETRIED', 'WITHDRAWAL_REFUNDED',
       'SCHEDULED_RESUME'
     ]
   },
@@ -35,4 +40,10 @@ WithdrawalAuditLogSchema.index({ action: 1, createdAt: -1 });
 WithdrawalAuditLogSchema.index({ performedBy: 1, createdAt: -1 });
 WithdrawalAuditLogSchema.index({ targetUser: 1, createdAt: -1 });
 
+// Copy into the unified audit trail (utils/auditService.js)
+WithdrawalAuditLogSchema.post('save', function(doc) {
+  const { mirror, fromWithdrawalAuditLog } = require('../utils/auditService');
+  return mirror(fromWithdrawalAuditLog)(doc);
+});
+
 module.exports = mongoose.model('WithdrawalAuditLog', WithdrawalAuditLogSchema);
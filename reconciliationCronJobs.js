@@ -0,0 +1,28 @@
+// reconciliationCronJobs.js
+// Nightly reconciliation between UserShare, TransactionV2 and UserShareV2
+
+const cron = require('node-cron');
+const { runReconciliation } = require('./utils/shareReconciliation');
+
+/**
+ * Cron job to reconcile legacy and V2 share data
+ * Runs every night at 03:30
+ */
+const nightlyShareReconciliation = cron.schedule('30 3 * * *', async () => {
+  try {
+    console.log('🔄 Running nightly share reconciliation...');
+    const result = await runReconciliation({ trigger: 'scheduled' });
+
+    if (result.skipped) {
+      console.log(`⚠️ Share reconciliation skipped: ${result.reason}`);
+    }
+  } catch (error) {
+    console.error('Error in share reconciliation cron job:', error);
+  }
+}, {
+  scheduled: false // Don't start automatically
+});
+
+module.exports = {
+  nightlyShareReconciliation
+};
@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { adminProtect } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/auth');
 const { getOverview, getTransactionDetail } = require('../controller/adminAnalyticsController');
 
 /**
@@ -111,7 +111,7 @@ const { getOverview, getTransactionDetail } = require('../controller/adminAnalyt
  *         description: Server error
  */
 
-router.get('/overview', adminProtect, getOverview);
-router.get('/transaction/:transactionId', adminProtect, getTransactionDetail);
+router.get('/overview', requirePermission('reports.view'), getOverview);
+router.get('/transaction/:transactionId', requirePermission('reports.view'), getTransactionDetail);
 
 module.exports = router;
\ No newline at end of file
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
-const { adminProtect } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/auth');
+const { requireApproval } = require('../middleware/approval');
 
 const {
   getReferralDashboard,
@@ -19,7 +20,18 @@ const {
   bulkEditTransactions,
   syncUserReferralData,
   getPerformanceReport,
-  getCommissionBreakdown
+  getCommissionBreakdown,
+  getClawbackReport,
+  changeUserReferrer,
+  getFraudFlags,
+  getFraudFlag,
+  reviewFraudFlag,
+  getReferralCampaigns,
+  createReferralCampaign,
+  updateReferralCampaign,
+  getCampaignAnalyticsReport,
+  getReferralRanks,
+  updateReferralRanks
 } = require('../controller/adminReferralController');
 
 // Rate limiting middleware
@@ -45,37 +57,55 @@ const createRateLimiter = (maxRequests, windowMs) => {
 const adminRateLimiter = createRateLimiter(100, 60 * 60 * 1000);
 
 // ============= DASHBOARD & ANALYTICS =============
-router.get('/dashboard', adminProtect, adminRateLimiter, getReferralDashboard);
-router.get('/analytics', adminProtect, getReferralAnalytics);
-router.get('/performance-report', adminProtect, getPerformanceReport);
-router.get('/commission-breakdown', adminProtect, getCommissionBreakdown);
+router.get('/dashboard', requirePermission('reports.view'), adminRateLimiter, getReferralDashboard);
+router.get('/analytics', requirePermission('reports.view'), getReferralAnalytics);
+router.get('/analytics/campaigns', requirePermission('reports.view'), getCampaignAnalyticsReport);
+router.get('/analytics/campaigns/:campaignId', requirePermission('reports.view'), getCampaignAnalyticsReport);
+router.get('/performance-report', requirePermission('reports.view'), getPerformanceReport);
+router.get('/commission-breakdown', requirePermission('reports.view'), getCommissionBreakdown);
+router.get('/clawbacks', requirePermission('reports.view'), getClawbackReport);
 
 // ============= USER MANAGEMENT =============
-router.get('/users', adminProtect, adminRateLimiter, getAllUsersWithReferralData);
-router.get('/user/:userId', adminProtect, getUserReferralDetails);
-router.post('/user/:userId/sync', adminProtect, syncUserReferralData);
+router.get('/users', requirePermission('reports.view'), adminRateLimiter, getAllUsersWithReferralData);
+router.get('/user/:userId', requirePermission('reports.view'), getUserReferralDetails);
+router.post('/user/:userId/sync', requirePermission('referrals.manage'), syncUserReferralData);
+router.put('/user/:userId/referrer', requirePermission('referrals.manage'), changeUserReferrer);
 
 // ============= TRANSACTION MANAGEMENT =============
-router.get('/transactions', adminProtect, getAllReferralTransactions);
-router.post('/transactions/bulk-edit', adminProtect, bulkEditTransactions);
-router.put('/transaction/:transactionId/adjust', adminProtect, adjustReferralTransaction);
-router.delete('/transaction/:transactionId/cancel', adminProtect, cancelReferralTransaction);
+router.get('/transactions', requirePermission('reports.view'), getAllReferralTransactions);
+router.post('/transactions/bulk-edit', requirePermission('ledger.adjust'), bulkEditTransactions);
+router.put('/transaction/:transactionId/adjust', requirePermission('ledger.adjust'), adjustReferralTransaction);
+router.delete('/transaction/:transactionId/cancel', requirePermission('ledger.adjust'), cancelReferralTransaction);
 
 // ============= EARNINGS MANAGEMENT =============
-router.post('/earnings/adjust', adminProtect, adminRateLimiter, adjustUserEarnings);
+router.post('/earnings/adjust', requirePermission('ledger.adjust'), adminRateLimiter, requireApproval('referral.earnings.adjust'), adjustUserEarnings);
 
 // ============= BULK ACTIONS =============
-router.post('/bulk-actions', adminProtect, performBulkActions);
+router.post('/bulk-actions', requirePermission('ledger.adjust'), performBulkActions);
+
+// ============= FRAUD REVIEW =============
+router.get('/fraud/flags', requirePermission('reports.view'), getFraudFlags);
+router.get('/fraud/flags/:flagId', requirePermission('reports.view'), getFraudFlag);
+router.post('/fraud/flags/:flagId/:decision(release|void)', requirePermission('referrals.manage'), reviewFraudFlag);
+
+// ============= CAMPAIGNS =============
+router.get('/campaigns', requirePermission('reports.view'), getReferralCampaigns);
+router.post('/campaigns', requirePermission('referrals.manage'), createReferralCampaign);
+router.put('/campaigns/:campaignId', requirePermission('referrals.manage'), updateReferralCampaign);
+
+// ============= RANKS =============
+router.get('/ranks', requirePermission('reports.view'), getReferralRanks);
+router.put('/ranks', requirePermission('referrals.manage'), updateReferralRanks);
 
 // ============= SYSTEM SETTINGS =============
-router.get('/settings', adminProtect, getReferralSettings);
-router.put('/settings', adminProtect, updateReferralSettings);
+router.get('/settings', requirePermission('reports.view'), getReferralSettings);
+router.put('/settings', requirePermission('referrals.manage'), updateReferralSettings);
 
 // ============= DATA EXPORT =============
-router.get('/export', adminProtect, exportReferralData);
+router.get('/export', requirePermission('reports.view'), exportReferralData);
 
 // ============= AUDIT LOGS =============
-router.get('/audit-log', adminProtect, getAuditLog);
+router.get('/audit-log', requirePermission('reports.view'), getAuditLog);
 
 // Error handling middleware
 router.use((err, req, res, next) => {
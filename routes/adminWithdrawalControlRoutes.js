@@ -4,8 +4,9 @@
 const express = require('express');
 const router = express.Router();
 const ctrl = require('../controller/adminWithdrawalControlController');
-const { protect, adminProtect } = require('../middleware/auth');
-const admin = [protect, adminProtect];
+const { protect, requirePermission } = require('../middleware/auth');
+const { withdrawalAdminGuard } = require('../middleware/withdrawalGuard');
+const admin = [protect, requirePermission('withdrawals.control')];
 
 // System status
 router.get('/status', ...admin, ctrl.getSystemStatus);
@@ -25,6 +26,14 @@ router.post('/unfreeze', ...admin, ctrl.liftEmergencyFreeze);
 // Global limits
 router.post('/limits', ...admin, ctrl.setGlobalLimits);
 
+// Rolling velocity caps, bank-change cooldown and first-withdrawal hold
+router.get('/velocity', ...admin, ctrl.getVelocityLimits);
+router.post('/velocity', ...admin, ctrl.setVelocityLimits);
+
+// Payout providers per payment method
+router.get('/providers', ...admin, ctrl.getPayoutProviders);
+router.post('/providers', ...admin, ctrl.setPayoutProviders);
+
 // Per-user controls
 router.post('/user/:identifier/pause', ...admin, ctrl.pauseUserWithdrawals);
 router.post('/user/:identifier/resume', ...admin, ctrl.resumeUserWithdrawals);
@@ -47,6 +56,11 @@ router.get('/audit-log', ...admin, ctrl.getAuditLog);
 // Dashboard
 router.get('/dashboard', ...admin, ctrl.getAdminDashboard);
 
+// Dead-letter queue: withdrawals whose automatic retries ran out
+router.get('/dashboard/dead-letter', ...admin, ctrl.getDeadLetterWithdrawals);
+router.post('/dashboard/dead-letter/:withdrawalId/retry', ...admin, withdrawalAdminGuard, ctrl.retryDeadLetterWithdrawal);
+router.post('/dashboard/dead-letter/:withdrawalId/refund', ...admin, ctrl.refundDeadLetterWithdrawal);
+
 // Bulk operations
 router.post('/bulk/cancel-pending', ...admin, ctrl.bulkCancelAllPendingWithdrawals);
 router.post('/bulk/pause-users', ...admin, ctrl.bulkPauseUsers);
@@ -0,0 +1,230 @@
+// routes/approvalRoutes.js
+
+const express = require('express');
+const router  = express.Router();
+const { protect, requirePermission } = require('../middleware/auth');
+const {
+  listRequests,
+  getRequest,
+  approveRequest,
+  rejectRequest,
+  getThresholds,
+  updateThreshold
+} = require('../controller/approvalController');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Approvals
+ *   description: |
+ *     Four-eyes approval of high-value admin actions. Adding shares or co-founder shares,
+ *     adjusting referral earnings or franchise credit, and marking withdrawals as paid
+ *     answer 202 APPROVAL_REQUIRED at or above their threshold; a second admin holding
+ *     the same permission approves or rejects the held request here.
+ */
+
+/**
+ * @swagger
+ * /admin/approvals:
+ *   get:
+ *     tags: [Approvals]
+ *     summary: List approval requests
+ *     description: Only requests for actions the signed-in admin has permission to decide are returned.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected, expired, executed, failed]
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           example: shares.add
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - $ref: '#/components/parameters/TwoFactorCode'
+ *     responses:
+ *       200:
+ *         description: Approval requests, newest first
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.get('/', protect, requirePermission(), listRequests);
+
+/**
+ * @swagger
+ * /admin/approvals/thresholds:
+ *   get:
+ *     tags: [Approvals]
+ *     summary: Thresholds in force for each four-eyes action
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/TwoFactorCode'
+ *     responses:
+ *       200:
+ *         description: Threshold, whether the check is on, and where the value comes from (admin, env or default)
+ */
+router.get('/thresholds', protect, requirePermission(), getThresholds);
+
+/**
+ * @swagger
+ * /admin/approvals/thresholds/{action}:
+ *   put:
+ *     tags: [Approvals]
+ *     summary: Change an action's approval threshold
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: action
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [shares.add, cofounder.add, referral.earnings.adjust, franchise.credit.adjust, withdrawal.pay, withdrawal.batch.release]
+ *       - $ref: '#/components/parameters/TwoFactorCode'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [threshold, reason]
+ *             properties:
+ *               threshold:
+ *                 type: number
+ *                 example: 2000000
+ *                 description: Amount (₦) at or above which a second admin must approve. 0 holds every request.
+ *               enabled:
+ *                 type: boolean
+ *                 default: true
+ *                 description: false switches the four-eyes check off for this action
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Threshold updated and audited
+ *       400:
+ *         description: Invalid threshold or missing reason
+ *       404:
+ *         description: Unknown action
+ */
+router.put('/thresholds/:action', protect, requirePermission('admins.manage'), updateThreshold);
+
+/**
+ * @swagger
+ * /admin/approvals/{requestId}:
+ *   get:
+ *     tags: [Approvals]
+ *     summary: One approval request with its diff preview and result
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: requestId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/TwoFactorCode'
+ *     responses:
+ *       200:
+ *         description: Approval request
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/:requestId', protect, requirePermission(), getRequest);
+
+/**
+ * @swagger
+ * /admin/approvals/{requestId}/approve:
+ *   post:
+ *     tags: [Approvals]
+ *     summary: Approve a held request and carry it out
+ *     description: |
+ *       The approver must hold the permission of the underlying action and must not be the
+ *       admin who made the request. The stored request is replayed as the requesting admin;
+ *       its response is returned in `result`.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: requestId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/TwoFactorCode'
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Approved; `request.status` is executed or failed
+ *       403:
+ *         description: APPROVAL_SELF_DECISION or PERMISSION_DENIED
+ *       404:
+ *         description: APPROVAL_NOT_FOUND
+ *       409:
+ *         description: APPROVAL_ALREADY_DECIDED
+ *       410:
+ *         description: APPROVAL_EXPIRED
+ */
+router.post('/:requestId/approve', protect, requirePermission(), approveRequest);
+
+/**
+ * @swagger
+ * /admin/approvals/{requestId}/reject:
+ *   post:
+ *     tags: [Approvals]
+ *     summary: Reject a held request
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: requestId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/TwoFactorCode'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Rejected
+ *       400:
+ *         description: APPROVAL_REASON_REQUIRED
+ *       403:
+ *         description: APPROVAL_SELF_DECISION or PERMISSION_DENIED
+ *       409:
+ *         description: APPROVAL_ALREADY_DECIDED
+ *       410:
+ *         description: APPROVAL_EXPIRED
+ */
+router.post('/:requestId/reject', protect, requirePermission(), rejectRequest);
+
+module.exports = router;
@@ -0,0 +1,163 @@
+// routes/auditRoutes.js
+
+const express = require('express');
+const router  = express.Router();
+const { protect, requirePermission } = require('../middleware/auth');
+const {
+  getAuditEvents,
+  exportAuditEvents,
+  backfill
+} = require('../controller/auditController');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Audit
+ *   description: |
+ *     Unified audit trail of admin actions across users, shares, referrals, withdrawals,
+ *     tiers and approvals. Each event records the actor, the entity acted on, before/after
+ *     snapshots where available, IP, user agent and the request id (X-Request-Id).
+ */
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     AuditActor:
+ *       in: query
+ *       name: actor
+ *       schema:
+ *         type: string
+ *       description: Admin user id or email
+ *     AuditAction:
+ *       in: query
+ *       name: action
+ *       schema:
+ *         type: string
+ *       description: One action or a comma-separated list, e.g. APPROVAL_APPROVED,TIER_UPDATED
+ *     AuditEntityType:
+ *       in: query
+ *       name: entityType
+ *       schema:
+ *         type: string
+ *       example: withdrawal
+ *     AuditEntityId:
+ *       in: query
+ *       name: entityId
+ *       schema:
+ *         type: string
+ *     AuditSource:
+ *       in: query
+ *       name: source
+ *       schema:
+ *         type: string
+ *         enum: [admin, withdrawals, referrals, tiers, request]
+ *     AuditFrom:
+ *       in: query
+ *       name: from
+ *       schema:
+ *         type: string
+ *         format: date-time
+ *     AuditTo:
+ *       in: query
+ *       name: to
+ *       schema:
+ *         type: string
+ *         format: date-time
+ */
+
+/**
+ * @swagger
+ * /admin/audit:
+ *   get:
+ *     tags: [Audit]
+ *     summary: Search the audit trail
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AuditActor'
+ *       - $ref: '#/components/parameters/AuditAction'
+ *       - $ref: '#/components/parameters/AuditEntityType'
+ *       - $ref: '#/components/parameters/AuditEntityId'
+ *       - $ref: '#/components/parameters/AuditSource'
+ *       - $ref: '#/components/parameters/AuditFrom'
+ *       - $ref: '#/components/parameters/AuditTo'
+ *       - in: query
+ *         name: targetUser
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: requestId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - $ref: '#/components/parameters/TwoFactorCode'
+ *     responses:
+ *       200:
+ *         description: Matching events, newest first
+ *       400:
+ *         description: Invalid date filter
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.get('/', protect, requirePermission('audit.view'), getAuditEvents);
+
+/**
+ * @swagger
+ * /admin/audit/export:
+ *   get:
+ *     tags: [Audit]
+ *     summary: Export the audit trail as CSV
+ *     description: Takes the same filters as the search. Refuses exports above AUDIT_EXPORT_MAX_ROWS (default 50,000).
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AuditActor'
+ *       - $ref: '#/components/parameters/AuditAction'
+ *       - $ref: '#/components/parameters/AuditEntityType'
+ *       - $ref: '#/components/parameters/AuditEntityId'
+ *       - $ref: '#/components/parameters/AuditSource'
+ *       - $ref: '#/components/parameters/AuditFrom'
+ *       - $ref: '#/components/parameters/AuditTo'
+ *       - $ref: '#/components/parameters/TwoFactorCode'
+ *     responses:
+ *       200:
+ *         description: CSV file
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       413:
+ *         description: Too many rows; narrow the filters
+ */
+router.get('/export', protect, requirePermission('audit.view'), exportAuditEvents);
+
+/**
+ * @swagger
+ * /admin/audit/backfill:
+ *   post:
+ *     tags: [Audit]
+ *     summary: Copy older audit records into the trail
+ *     description: |
+ *       Imports AdminAuditLog, WithdrawalAuditLog and TierConfig price/status/supply history.
+ *       Safe to run more than once; records already imported are skipped.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/TwoFactorCode'
+ *     responses:
+ *       200:
+ *         description: Records scanned and inserted per source
+ */
+router.post('/backfill', protect, requirePermission('admins.manage'), backfill);
+
+module.exports = router;
@@ -1,7 +1,7 @@
 // routes/coFounderInstallmentRoutes.js
 const express = require('express');
 const router = express.Router();
-const { protect, adminProtect } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
 const coFounderInstallmentController = require('../controller/coFounderInstallmentController');
 
 // Rate limiting middleware (basic implementation)
@@ -639,7 +639,7 @@ router.get('/paystack/verify',
  *         $ref: '#/components/responses/ServerError'
  */
 router.get('/admin/plans', 
-  adminProtect, 
+  requirePermission('installments.manage'), 
   coFounderInstallmentController.adminGetAllCoFounderInstallmentPlans
 );
 
@@ -677,7 +677,7 @@ router.get('/admin/plans',
  *         $ref: '#/components/responses/ServerError'
  */
 router.post('/admin/check-late-payments', 
-  adminProtect, 
+  requirePermission('installments.manage'), 
   coFounderInstallmentController.checkCoFounderLatePayments
 );
 
@@ -1,7 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const coFounderController = require('../controller/coFounderController');
-const { protect, adminProtect } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
+const { idempotency, idempotentReplay } = require('../middleware/idempotency');
+const { requireApproval } = require('../middleware/approval');
 const { 
   cofounderPaymentUpload, 
   logCloudinaryUpload, 
@@ -373,6 +375,8 @@ router.get('/manual/status/:transactionId', protect, coFounderController.getCoFo
  *     summary: Submit co-founder manual payment
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -415,9 +419,11 @@ router.get('/manual/status/:transactionId', protect, coFounderController.getCoFo
  */
 router.post('/manual/submit',
   protect,
+  idempotentReplay,
   cofounderPaymentUpload.single('paymentProof'),
   logCloudinaryUpload,
   handleCloudinaryError,
+  idempotency,
   coFounderController.submitCoFounderManualPayment
 );
 
@@ -479,7 +485,7 @@ router.get('/payment-proof/:transactionId', protect, coFounderController.getCoFo
  *       404:
  *         $ref: '#/components/responses/NotFoundError'
  */
-router.get('/admin/payment-proof/:transactionId', protect, adminProtect, coFounderController.getCoFounderPaymentProofDirect);
+router.get('/admin/payment-proof/:transactionId', protect, requirePermission('payments.verify'), coFounderController.getCoFounderPaymentProofDirect);
 
 /**
  * @swagger
@@ -502,7 +508,7 @@ router.get('/admin/payment-proof/:transactionId', protect, adminProtect, coFound
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
-router.get('/admin/statistics', protect, adminProtect, coFounderController.getCoFounderShareStatistics);
+router.get('/admin/statistics', protect, requirePermission('reports.view'), coFounderController.getCoFounderShareStatistics);
 
 /**
  * @swagger
@@ -547,7 +553,7 @@ router.get('/admin/statistics', protect, adminProtect, coFounderController.getCo
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
-router.get('/admin/transactions', protect, adminProtect, coFounderController.getAllCoFounderTransactions);
+router.get('/admin/transactions', protect, requirePermission('reports.view'), coFounderController.getAllCoFounderTransactions);
 
 /**
  * @swagger
@@ -579,6 +585,8 @@ router.get('/admin/transactions', protect, adminProtect, coFounderController.get
  *               note:
  *                 type: string
  *     responses:
+ *       202:
+ *         $ref: '#/components/responses/ApprovalRequired'
  *       200:
  *         description: Shares added successfully
  *       400:
@@ -590,7 +598,7 @@ router.get('/admin/transactions', protect, adminProtect, coFounderController.get
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
-router.post('/admin/add-shares', protect, adminProtect, coFounderController.adminAddCoFounderShares);
+router.post('/admin/add-shares', protect, requirePermission('shares.manage'), requireApproval('cofounder.add'), coFounderController.adminAddCoFounderShares);
 
 /**
  * @swagger
@@ -625,7 +633,7 @@ router.post('/admin/add-shares', protect, adminProtect, coFounderController.admi
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
-router.post('/admin/update-ratio', protect, adminProtect, coFounderController.updateCoFounderToRegularRatio);
+router.post('/admin/update-ratio', protect, requirePermission('shares.manage'), coFounderController.updateCoFounderToRegularRatio);
 
 /**
  * @swagger
@@ -666,7 +674,7 @@ router.post('/admin/update-ratio', protect, adminProtect, coFounderController.up
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
-router.post('/admin/update-tier-pricing', protect, adminProtect, coFounderController.updateCoFounderTierPricing);
+router.post('/admin/update-tier-pricing', protect, requirePermission('shares.manage'), coFounderController.updateCoFounderTierPricing);
 
 // ==================== ADMIN MANUAL PAYMENT ROUTES ====================
 
@@ -703,7 +711,7 @@ router.post('/admin/update-tier-pricing', protect, adminProtect, coFounderContro
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
-router.get('/admin/manual/transactions', protect, adminProtect, coFounderController.adminGetCoFounderManualTransactions);
+router.get('/admin/manual/transactions', protect, requirePermission('payments.verify'), coFounderController.adminGetCoFounderManualTransactions);
 
 /**
  * @swagger
@@ -736,7 +744,7 @@ router.get('/admin/manual/transactions', protect, adminProtect, coFounderControl
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
-router.get('/admin/manual/all', protect, adminProtect, coFounderController.getAllCoFounderManualPayments);
+router.get('/admin/manual/all', protect, requirePermission('payments.verify'), coFounderController.getAllCoFounderManualPayments);
 
 /**
  * @swagger
@@ -764,7 +772,7 @@ router.get('/admin/manual/all', protect, adminProtect, coFounderController.getAl
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
-router.get('/admin/manual/pending', protect, adminProtect, coFounderController.getCoFounderPendingManualPayments);
+router.get('/admin/manual/pending', protect, requirePermission('payments.verify'), coFounderController.getCoFounderPendingManualPayments);
 
 /**
  * @swagger
@@ -803,7 +811,7 @@ router.get('/admin/manual/pending', protect, adminProtect, coFounderController.g
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
-router.post('/admin/manual/verify', protect, adminProtect, coFounderController.adminVerifyCoFounderManualPayment);
+router.post('/admin/manual/verify', protect, requirePermission('payments.verify'), coFounderController.adminVerifyCoFounderManualPayment);
 
 /**
  * @swagger
@@ -838,7 +846,7 @@ router.post('/admin/manual/verify', protect, adminProtect, coFounderController.a
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
-router.post('/admin/manual/approve/:transactionId', protect, adminProtect, coFounderController.approveCoFounderManualPayment);
+router.post('/admin/manual/approve/:transactionId', protect, requirePermission('payments.verify'), coFounderController.approveCoFounderManualPayment);
 
 /**
  * @swagger
@@ -873,7 +881,7 @@ router.post('/admin/manual/approve/:transactionId', protect, adminProtect, coFou
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
-router.post('/admin/manual/reject/:transactionId', protect, adminProtect, coFounderController.rejectCoFounderManualPayment);
+router.post('/admin/manual/reject/:transactionId', protect, requirePermission('payments.verify'), coFounderController.rejectCoFounderManualPayment);
 
 /**
  * @swagger
@@ -909,7 +917,7 @@ router.post('/admin/manual/reject/:transactionId', protect, adminProtect, coFoun
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
-router.post('/admin/manual/cancel', protect, adminProtect, coFounderController.adminCancelCoFounderManualPayment);
+router.post('/admin/manual/cancel', protect, requirePermission('payments.verify'), coFounderController.adminCancelCoFounderManualPayment);
 
 /**
  * @swagger
@@ -938,7 +946,7 @@ router.post('/admin/manual/cancel', protect, adminProtect, coFounderController.a
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
-router.delete('/admin/manual/:transactionId', protect, adminProtect, coFounderController.adminDeleteCoFounderManualPayment);
+router.delete('/admin/manual/:transactionId', protect, requirePermission('payments.verify'), coFounderController.adminDeleteCoFounderManualPayment);
 
 // ==================== ADMIN USER MANAGEMENT ====================
 
@@ -970,7 +978,7 @@ router.delete('/admin/manual/:transactionId', protect, adminProtect, coFounderCo
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
-router.get('/admin/user-overview/:identifier', protect, adminProtect, coFounderController.adminGetUserCoFounderOverview);
+router.get('/admin/user-overview/:identifier', protect, requirePermission('reports.view'), coFounderController.adminGetUserCoFounderOverview);
 
 /**
  * @swagger
@@ -999,6 +1007,8 @@ router.get('/admin/user-overview/:identifier', protect, adminProtect, coFounderC
  *               note:
  *                 type: string
  *     responses:
+ *       202:
+ *         $ref: '#/components/responses/ApprovalRequired'
  *       200:
  *         description: Shares added
  *       400:
@@ -1010,7 +1020,7 @@ router.get('/admin/user-overview/:identifier', protect, adminProtect, coFounderC
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
-router.post('/admin/add-shares-flexible', protect, adminProtect, coFounderController.adminAddCoFounderSharesFlexible);
+router.post('/admin/add-shares-flexible', protect, requirePermission('shares.manage'), requireApproval('cofounder.add'), coFounderController.adminAddCoFounderSharesFlexible);
 
 /**
  * @swagger
@@ -1029,6 +1039,6 @@ router.post('/admin/add-shares-flexible', protect, adminProtect, coFounderContro
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
-router.post('/admin/disable', protect, adminProtect, coFounderController.disableCoFounderProgramme);
+router.post('/admin/disable', protect, requirePermission('shares.manage'), coFounderController.disableCoFounderProgramme);
 
 module.exports = router;
\ No newline at end of file
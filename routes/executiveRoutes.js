@@ -3,7 +3,7 @@ const express = require('express');
 const router = express.Router();
 const multer = require('multer');
 const executiveController = require('../controller/executiveController');
-const { protect, adminProtect } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
 
 // Configure multer for memory storage
 const storage = multer.memoryStorage();
@@ -300,7 +300,7 @@ router.put('/update', protect, executiveController.updateExecutiveInfo);
  *       200:
  *         description: Applications retrieved successfully
  */
-router.get('/admin/applications', protect, adminProtect, executiveController.getAllExecutiveApplications);
+router.get('/admin/applications', protect, requirePermission('executives.manage'), executiveController.getAllExecutiveApplications);
 
 /**
  * @swagger
@@ -336,7 +336,7 @@ router.get('/admin/applications', protect, adminProtect, executiveController.get
  *       200:
  *         description: Application approved
  */
-router.post('/admin/approve/:applicationId', protect, adminProtect, executiveController.approveExecutiveApplication);
+router.post('/admin/approve/:applicationId', protect, requirePermission('executives.manage'), executiveController.approveExecutiveApplication);
 
 /**
  * @swagger
@@ -366,7 +366,7 @@ router.post('/admin/approve/:applicationId', protect, adminProtect, executiveCon
  *       200:
  *         description: Application rejected
  */
-router.post('/admin/reject/:applicationId', protect, adminProtect, executiveController.rejectExecutiveApplication);
+router.post('/admin/reject/:applicationId', protect, requirePermission('executives.manage'), executiveController.rejectExecutiveApplication);
 
 /**
  * @swagger
@@ -399,7 +399,7 @@ router.post('/admin/reject/:applicationId', protect, adminProtect, executiveCont
  *       200:
  *         description: Executive suspended
  */
-router.post('/admin/suspend/:executiveId', protect, adminProtect, executiveController.suspendExecutive);
+router.post('/admin/suspend/:executiveId', protect, requirePermission('executives.manage'), executiveController.suspendExecutive);
 
 /**
  * @swagger
@@ -427,7 +427,7 @@ router.post('/admin/suspend/:executiveId', protect, adminProtect, executiveContr
  *       200:
  *         description: Executive removed
  */
-router.delete('/admin/remove/:executiveId', protect, adminProtect, executiveController.removeExecutive);
+router.delete('/admin/remove/:executiveId', protect, requirePermission('executives.manage'), executiveController.removeExecutive);
 
 /**
  * @swagger
@@ -441,12 +441,12 @@ router.delete('/admin/remove/:executiveId', protect, adminProtect, executiveCont
  *       200:
  *         description: Statistics retrieved successfully
  */
-router.get('/admin/statistics', protect, adminProtect, executiveController.getExecutiveStatistics);
+router.get('/admin/statistics', protect, requirePermission('executives.manage'), executiveController.getExecutiveStatistics);
 
 // Admin: Generate activation code
-router.post('/admin/generate-code', protect, adminProtect, executiveController.generateActivationCode);
+router.post('/admin/generate-code', protect, requirePermission('executives.manage'), executiveController.generateActivationCode);
 
 // Admin: List all activation codes
-router.get('/admin/codes', protect, adminProtect, executiveController.listActivationCodes);
+router.get('/admin/codes', protect, requirePermission('executives.manage'), executiveController.listActivationCodes);
 
 module.exports = router;
\ No newline at end of file
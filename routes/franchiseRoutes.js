@@ -18,7 +18,9 @@
 
 const express = require('express');
 const router  = express.Router();
-const { protect, adminProtect } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
+const { requireApproval } = require('../middleware/approval');
 const fc = require('../controller/franchiseController');
 const { sharePaymentUpload } = require('../config/cloudinary');
 
@@ -140,7 +142,7 @@ router.get('/list', fc.listFranchises);   // ← no protect
  *       500:
  *         description: Server error
  */
-router.delete('/admin/:franchiseId', protect, adminProtect, fc.adminDeleteFranchise);
+router.delete('/admin/:franchiseId', protect, requirePermission('franchise.manage'), fc.adminDeleteFranchise);
 
 /**
  * @swagger
@@ -185,7 +187,7 @@ router.delete('/admin/:franchiseId', protect, adminProtect, fc.adminDeleteFranch
  *       500:
  *         description: Server error
  */
-router.delete('/admin/:franchiseId', protect, adminProtect, fc.adminDeleteFranchise);
+router.delete('/admin/:franchiseId', protect, requirePermission('franchise.manage'), fc.adminDeleteFranchise);
 
 /**
  * @swagger
@@ -629,6 +631,7 @@ router.put('/reject/:transactionId', protect, fc.rejectTransaction);
  *         required: true
  *         schema:
  *           type: string
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -663,6 +666,7 @@ router.put('/reject/:transactionId', protect, fc.rejectTransaction);
 router.post('/:franchiseId/buy',
   protect,
   sharePaymentUpload.single('paymentProof'),
+  idempotency,
   fc.buyFromFranchise
 );
 
@@ -789,7 +793,7 @@ router.get('/proof/:transactionId', protect, fc.getPaymentProof);
  *       200:
  *         description: Franchise list returned
  */
-router.get('/admin/list', protect, adminProtect, fc.adminListFranchises);
+router.get('/admin/list', protect, requirePermission('franchise.manage'), fc.adminListFranchises);
 
 /**
  * @swagger
@@ -804,7 +808,7 @@ router.get('/admin/list', protect, adminProtect, fc.adminListFranchises);
  *       200:
  *         description: Stats returned
  */
-router.get('/admin/stats', protect, adminProtect, fc.adminStats);
+router.get('/admin/stats', protect, requirePermission('franchise.manage'), fc.adminStats);
 
 /**
  * @swagger
@@ -838,7 +842,7 @@ router.get('/admin/stats', protect, adminProtect, fc.adminStats);
  *       200:
  *         description: Transactions returned
  */
-router.get('/admin/transactions', protect, adminProtect, fc.adminGetTransactions);
+router.get('/admin/transactions', protect, requirePermission('franchise.manage'), fc.adminGetTransactions);
 
 /**
  * @swagger
@@ -853,7 +857,7 @@ router.get('/admin/transactions', protect, adminProtect, fc.adminGetTransactions
  *       200:
  *         description: Pending credit purchases returned
  */
-router.get('/admin/credit/pending', protect, adminProtect, fc.adminGetPendingCredits);
+router.get('/admin/credit/pending', protect, requirePermission('franchise.manage'), fc.adminGetPendingCredits);
 
 /**
  * @swagger
@@ -886,7 +890,7 @@ router.get('/admin/credit/pending', protect, adminProtect, fc.adminGetPendingCre
  *       200:
  *         description: Status updated
  */
-router.put('/admin/:franchiseId/status', protect, adminProtect, fc.adminUpdateStatus);
+router.put('/admin/:franchiseId/status', protect, requirePermission('franchise.manage'), fc.adminUpdateStatus);
 
 /**
  * @swagger
@@ -926,7 +930,7 @@ router.put('/admin/:franchiseId/status', protect, adminProtect, fc.adminUpdateSt
  *       404:
  *         description: Franchise or purchase not found
  */
-router.put('/admin/credit/:franchiseId/approve/:transactionId', protect, adminProtect, fc.adminApproveCredit);
+router.put('/admin/credit/:franchiseId/approve/:transactionId', protect, requirePermission('franchise.manage'), fc.adminApproveCredit);
 
 /**
  * @swagger
@@ -960,7 +964,7 @@ router.put('/admin/credit/:franchiseId/approve/:transactionId', protect, adminPr
  *       200:
  *         description: Credit purchase rejected
  */
-router.put('/admin/credit/:franchiseId/reject/:transactionId', protect, adminProtect, fc.adminRejectCredit);
+router.put('/admin/credit/:franchiseId/reject/:transactionId', protect, requirePermission('franchise.manage'), fc.adminRejectCredit);
 
 /**
  * @swagger
@@ -977,6 +981,7 @@ router.put('/admin/credit/:franchiseId/reject/:transactionId', protect, adminPro
  *         required: true
  *         schema:
  *           type: string
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -996,12 +1001,14 @@ router.put('/admin/credit/:franchiseId/reject/:transactionId', protect, adminPro
  *                 type: string
  *                 example: "Bonus for top franchise"
  *     responses:
+ *       202:
+ *         $ref: '#/components/responses/ApprovalRequired'
  *       200:
  *         description: Credit adjusted
  *       400:
  *         description: Deduction exceeds balance or invalid params
  */
-router.post('/admin/adjust-credit/:franchiseId', protect, adminProtect, fc.adminAdjustCredit);
+router.post('/admin/adjust-credit/:franchiseId', protect, requirePermission('franchise.manage'), idempotency, requireApproval('franchise.credit.adjust'), fc.adminAdjustCredit);
 
 /**
  * @swagger
@@ -1046,6 +1053,6 @@ router.post('/admin/adjust-credit/:franchiseId', protect, adminProtect, fc.admin
  *       400:
  *         description: Transaction not in disputed status
  */
-router.put('/admin/resolve-dispute/:transactionId', protect, adminProtect, fc.adminResolveDispute);
+router.put('/admin/resolve-dispute/:transactionId', protect, requirePermission('franchise.manage'), fc.adminResolveDispute);
 
 module.exports = router;
\ No newline at end of file
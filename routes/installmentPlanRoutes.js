@@ -1,7 +1,7 @@
 // routes/installmentPlanRoutes.js
 const express = require('express');
 const router = express.Router();
-const { protect, adminProtect } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
 const controller = require('../controller/installmentPlanController');
 
 // Multer for proof uploads
@@ -40,11 +40,11 @@ router.get('/my-plans/:planId', protect, controller.getPlanDetails);
 router.post('/pay/:planId', protect, upload.single('proof'), controller.makePayment);
 
 // Admin routes
-router.get('/admin/stats', adminProtect, controller.adminGetStats);
-router.get('/admin/all', adminProtect, controller.adminGetAll);
-router.get('/admin/:planId', adminProtect, controller.adminGetPlan);
-router.put('/admin/:planId/approve-payment/:paymentIndex', adminProtect, controller.adminApprovePayment);
-router.put('/admin/:planId/reject-payment/:paymentIndex', adminProtect, controller.adminRejectPayment);
-router.put('/admin/:planId/forfeit', adminProtect, controller.adminForfeitPlan);
+router.get('/admin/stats', requirePermission('installments.manage'), controller.adminGetStats);
+router.get('/admin/all', requirePermission('installments.manage'), controller.adminGetAll);
+router.get('/admin/:planId', requirePermission('installments.manage'), controller.adminGetPlan);
+router.put('/admin/:planId/approve-payment/:paymentIndex', requirePermission('payments.verify'), controller.adminApprovePayment);
+router.put('/admin/:planId/reject-payment/:paymentIndex', requirePermission('payments.verify'), controller.adminRejectPayment);
+router.put('/admin/:planId/forfeit', requirePermission('installments.manage'), controller.adminForfeitPlan);
 
 module.exports = router;
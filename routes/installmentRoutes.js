@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { protect, adminProtect } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
 const installmentController = require('../controller/installmentController');
 
 // Rate limiting middleware (basic implementation)
@@ -726,7 +726,7 @@ router.get('/paystack/verify',
  *         description: Internal server error
  */
 router.get('/admin/plans', 
-  adminProtect, 
+  requirePermission('installments.manage'), 
   installmentController.adminGetAllInstallmentPlans
 );
 
@@ -764,7 +764,7 @@ router.get('/admin/plans',
  *         description: Internal server error
  */
 router.post('/admin/check-late-payments', 
-  adminProtect, 
+  requirePermission('installments.manage'), 
   installmentController.checkLatePayments
 );
 
@@ -890,7 +890,7 @@ router.post('/admin/check-late-payments',
  *         description: Server error
  */
 router.post('/admin/verify-transaction', 
-  adminProtect, 
+  requirePermission('payments.verify'), 
   installmentController.adminVerifyTransaction
 );
 
@@ -1059,7 +1059,7 @@ router.post('/admin/verify-transaction',
  *         $ref: '#/components/responses/ServerError'
  */
 router.post('/admin/unverify-transaction', 
-  adminProtect, 
+  requirePermission('payments.verify'), 
   installmentController.adminUnverifyTransaction
 );
 
@@ -1103,7 +1103,7 @@ router.post('/admin/unverify-transaction',
  *         description: Server error
  */
 router.get('/admin/pending-transactions', 
-  adminProtect, 
+  requirePermission('payments.verify'), 
   installmentController.adminGetPendingTransactions
 );
 
@@ -1134,7 +1134,7 @@ router.get('/admin/pending-transactions',
  *         description: Server error
  */
 router.get('/admin/transaction-details/:reference', 
-  adminProtect, 
+  requirePermission('payments.verify'), 
   installmentController.adminGetTransactionDetails
 );
 
@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const leaderboardController = require('../controller/leaderboardController');
-const { protect } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
 const { applyVisibilityRules } = require('../middleware/visibilityMiddleware');
 
 router.use((req, res, next) => {
@@ -9,31 +9,6 @@ router.use((req, res, next) => {
   next();
 });
 
-let restrictTo;
-try {
-  const auth = require('../middleware/auth');
-  restrictTo = auth.restrictTo || function(...roles) {
-    return (req, res, next) => {
-      // Simple fallback - check if user exists and has role
-      if (!req.user) {
-        return res.status(401).json({ success: false, message: 'Authentication required' });
-      }
-      if (roles.length > 0 && !roles.includes(req.user.role)) {
-        return res.status(403).json({ success: false, message: 'Insufficient permissions' });
-      }
-      next();
-    };
-  };
-} catch (e) {
-  console.log('Auth middleware not found, using fallback restrictTo');
-  restrictTo = function(...roles) {
-    return (req, res, next) => {
-      console.log('Fallback restrictTo middleware - skipping role check');
-      next();
-    };
-  };
-}
-
 /**
  * @swagger
  * components:
@@ -454,7 +429,7 @@ try {
  */
 router.get('/admin/visibility/settings',
   protect,
-  restrictTo('admin'),
+  requirePermission('reports.view'),
   leaderboardController.getVisibilitySettings
 );
 
@@ -522,7 +497,7 @@ router.get('/admin/visibility/settings',
  */
 router.post('/admin/visibility/earnings',
   protect,
-  restrictTo('admin'),
+  requirePermission('reports.view'),
   leaderboardController.toggleEarningsVisibility
 );
 
@@ -590,7 +565,7 @@ router.post('/admin/visibility/earnings',
  */
 router.post('/admin/visibility/balance',
   protect,
-  restrictTo('admin'),
+  requirePermission('reports.view'),
   leaderboardController.toggleBalanceVisibility
 );
 
@@ -2535,6 +2510,6 @@ router.get('/cofounder/debug', leaderboardController.getCofounderLeaderboardDebu
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.post('/cofounder/fix-inactive', protect, restrictTo('admin'), leaderboardController.fixInactiveCofounderUsers);
+router.post('/cofounder/fix-inactive', protect, requirePermission('users.manage'), leaderboardController.fixInactiveCofounderUsers);
 
 module.exports = router;
\ No newline at end of file
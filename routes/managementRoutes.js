@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const tierController = require('../controller/tier-management-controller');
-const { protect, adminProtect } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
 
 /**
  * @swagger
@@ -77,7 +77,7 @@ const { protect, adminProtect } = require('../middleware/auth');
  *       500:
  *         description: Server error
  */
-router.get('/admin/tiers', protect, adminProtect, tierController.getAllTiers);
+router.get('/admin/tiers', protect, requirePermission('shares.manage'), tierController.getAllTiers);
 
 /**
  * @swagger
@@ -149,7 +149,7 @@ router.get('/admin/tiers', protect, adminProtect, tierController.getAllTiers);
  *       500:
  *         description: Server error
  */
-router.post('/admin/tiers/edit', protect, adminProtect, tierController.editShareTier);
+router.post('/admin/tiers/edit', protect, requirePermission('shares.manage'), tierController.editShareTier);
 
 /**
  * @swagger
@@ -199,7 +199,7 @@ router.post('/admin/tiers/edit', protect, adminProtect, tierController.editShare
  *       500:
  *         description: Server error
  */
-router.post('/admin/tiers/bulk-update', protect, adminProtect, tierController.bulkUpdateTiers);
+router.post('/admin/tiers/bulk-update', protect, requirePermission('shares.manage'), tierController.bulkUpdateTiers);
 
 /**
  * @swagger
@@ -231,7 +231,7 @@ router.post('/admin/tiers/bulk-update', protect, adminProtect, tierController.bu
  *       500:
  *         description: Server error
  */
-router.get('/admin/tiers/history', protect, adminProtect, tierController.getTierChangeHistory);
+router.get('/admin/tiers/history', protect, requirePermission('shares.manage'), tierController.getTierChangeHistory);
 
 // ==================== PACKAGE MANAGEMENT ROUTES ====================
 
@@ -332,7 +332,7 @@ router.get('/admin/tiers/history', protect, adminProtect, tierController.getTier
  *       500:
  *         description: Server error
  */
-router.post('/admin/packages/create', protect, adminProtect, tierController.createPackage);
+router.post('/admin/packages/create', protect, requirePermission('shares.manage'), tierController.createPackage);
 
 /**
  * @swagger
@@ -374,7 +374,7 @@ router.post('/admin/packages/create', protect, adminProtect, tierController.crea
  *       500:
  *         description: Server error
  */
-router.get('/admin/packages', protect, adminProtect, tierController.getAllPackages);
+router.get('/admin/packages', protect, requirePermission('shares.manage'), tierController.getAllPackages);
 
 /**
  * @swagger
@@ -418,7 +418,7 @@ router.get('/admin/packages', protect, adminProtect, tierController.getAllPackag
  *       500:
  *         description: Server error
  */
-router.put('/admin/packages/:packageId/edit', protect, adminProtect, tierController.editPackage);
+router.put('/admin/packages/:packageId/edit', protect, requirePermission('shares.manage'), tierController.editPackage);
 
 /**
  * @swagger
@@ -449,6 +449,6 @@ router.put('/admin/packages/:packageId/edit', protect, adminProtect, tierControl
  *       500:
  *         description: Server error
  */
-router.delete('/admin/packages/:packageId/delete', protect, adminProtect, tierController.deletePackage);
+router.delete('/admin/packages/:packageId/delete', protect, requirePermission('shares.manage'), tierController.deletePackage);
 
 module.exports = router;
\ No newline at end of file
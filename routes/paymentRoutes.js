@@ -2,7 +2,7 @@
 const express = require('express');
 const router = express.Router();
 const paymentController = require('../controller/paymentController');
-const { protect, adminProtect } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
 const multer = require('multer');
 const path = require('path');
 
@@ -60,8 +60,8 @@ router.post(
 router.get('/kyc-status', protect, paymentController.getKycStatus);
 
 // Admin routes
-router.get('/admin/user-payment-details/:userId', protect, adminProtect, paymentController.getUserPaymentDetails);
-router.put('/admin/verify-payment-details/:userId', protect, adminProtect, paymentController.verifyUserPaymentDetails);
-router.put('/admin/verify-kyc/:userId', protect, adminProtect, paymentController.verifyKycDocuments);
+router.get('/admin/user-payment-details/:userId', protect, requirePermission('kyc.review'), paymentController.getUserPaymentDetails);
+router.put('/admin/verify-payment-details/:userId', protect, requirePermission('kyc.review'), paymentController.verifyUserPaymentDetails);
+router.put('/admin/verify-kyc/:userId', protect, requirePermission('kyc.review'), paymentController.verifyKycDocuments);
 
 module.exports = router;
\ No newline at end of file
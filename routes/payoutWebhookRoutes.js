@@ -0,0 +1,66 @@
+// routes/payoutWebhookRoutes.js
+
+const express = require('express');
+const router  = express.Router();
+const { handlePayoutWebhook } = require('../controller/payoutWebhookController');
+
+// Signatures cover the exact bytes the provider sent. app.js already keeps
+// them on req.rawBody; this parser only runs when no earlier parser has.
+const jsonWithRawBody = express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+});
+
+/**
+ * @swagger
+ * /webhooks/payouts/{provider}:
+ *   post:
+ *     tags: [Webhooks]
+ *     summary: Payout provider transfer webhook receiver
+ *     description: |
+ *       Receives transfer status events from a payout provider and settles the matching
+ *       withdrawal (by `clientReference`, or the provider's `transactionReference`):
+ *       a successful transfer moves the amount to withdrawn, a failed one returns it to
+ *       the user's available balance. Each (provider, event, reference) is handled once;
+ *       redeliveries and events for withdrawals that have already moved on change nothing.
+ *
+ *       Lenco signs deliveries in `x-lenco-signature` (HMAC-SHA512 of the raw body, keyed
+ *       with the SHA-256 hex digest of the API key); Paystack in `x-paystack-signature`.
+ *       Paystack transfer events may also be delivered to `/webhooks/paystack`.
+ *
+ *       The withdrawal cron jobs still poll withdrawals that have had no update for a
+ *       while, in case a delivery is lost.
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [lenco, paystack]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               event:
+ *                 type: string
+ *                 example: transfer.successful
+ *               data:
+ *                 type: object
+ *     responses:
+ *       200:
+ *         description: Event acknowledged (applied, already handled or ignored)
+ *       401:
+ *         description: Invalid webhook signature
+ *       404:
+ *         description: Unknown provider, or no withdrawal matches the transfer yet; the provider will redeliver
+ *       500:
+ *         description: Processing failed; the provider will redeliver
+ */
+router.post('/:provider', jsonWithRawBody, handlePayoutWebhook);
+
+module.exports = router;
@@ -0,0 +1,75 @@
+// routes/paystackWebhookRoutes.js
+
+const express = require('express');
+const router  = express.Router();
+const { handlePaystackWebhook } = require('../controller/paystackWebhookController');
+
+// The signature covers the exact bytes Paystack sent. app.js already keeps
+// them on req.rawBody; this parser only runs when no earlier parser has.
+const jsonWithRawBody = express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+});
+
+/**
+ * @swagger
+ * /webhooks/paystack:
+ *   post:
+ *     tags: [Webhooks]
+ *     summary: Paystack webhook receiver
+ *     description: |
+ *       Receives Paystack events. Requests must carry a valid `x-paystack-signature`
+ *       (HMAC-SHA512 of the raw body with the Paystack secret key).
+ *
+ *       `charge.success` events for installment and co-founder installment payments are
+ *       applied through the same logic as the `/paystack/verify` routes, so a payment is
+ *       confirmed even if the user never returns to the callback page. Each
+ *       (event, reference) pair is handled once; redeliveries are acknowledged without
+ *       re-applying the payment. `transfer.success`, `transfer.failed` and
+ *       `transfer.reversed` events settle withdrawals paid out through Paystack, as
+ *       on `/webhooks/payouts/paystack`. All other events are acknowledged and ignored.
+ *     security: []
+ *     parameters:
+ *       - in: header
+ *         name: x-paystack-signature
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               event:
+ *                 type: string
+ *                 example: charge.success
+ *               data:
+ *                 type: object
+ *                 properties:
+ *                   reference:
+ *                     type: string
+ *                   status:
+ *                     type: string
+ *                     example: success
+ *                   amount:
+ *                     type: integer
+ *                     description: Amount in kobo
+ *                   paid_at:
+ *                     type: string
+ *                     format: date-time
+ *                   metadata:
+ *                     type: object
+ *     responses:
+ *       200:
+ *         description: Event acknowledged (applied, already handled, rejected by plan rules, or ignored)
+ *       401:
+ *         description: Invalid webhook signature
+ *       500:
+ *         description: Processing failed; Paystack will redeliver
+ */
+router.post('/', jsonWithRawBody, handlePaystackWebhook);
+
+module.exports = router;
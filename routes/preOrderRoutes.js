@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { protect, adminProtect } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
 const {
   createPreOrder,
   getMyPreOrders,
@@ -18,8 +18,8 @@ router.put('/:id', protect, updatePreOrder);
 router.put('/:id/cancel', protect, cancelPreOrder);
 
 // Admin routes
-router.get('/admin/all', adminProtect, adminGetAllPreOrders);
-router.put('/admin/:id/status', adminProtect, adminUpdatePreOrderStatus);
-router.get('/admin/stats', adminProtect, adminGetPreOrderStats);
+router.get('/admin/all', requirePermission('reports.view'), adminGetAllPreOrders);
+router.put('/admin/:id/status', requirePermission('payments.verify'), adminUpdatePreOrderStatus);
+router.get('/admin/stats', requirePermission('reports.view'), adminGetPreOrderStats);
 
 module.exports = router;
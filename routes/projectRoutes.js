@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const projectController = require('../controller/projectController');
-const { protect, adminProtect } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
 
 /**
  * @swagger
@@ -72,7 +72,7 @@ const { protect, adminProtect } = require('../middleware/auth');
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
-router.get('/user-stats/:userId', protect, adminProtect, projectController.getAdminUserProjectStats);
+router.get('/user-stats/:userId', protect, requirePermission('reports.view'), projectController.getAdminUserProjectStats);
 
 
 /**
@@ -264,7 +264,7 @@ router.get('/user-stats/:userId', protect, adminProtect, projectController.getAd
 router.get(
     '/user-transactions/:userId',
     protect,
-    adminProtect,
+    requirePermission('reports.view'),
     projectController.getAdminUserTransactionBreakdown
   );
   
@@ -696,7 +696,7 @@ router.get('/user-stats', protect, projectController.getUserProjectStats);
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
-router.get('/analytics', protect, adminProtect, projectController.getProjectAnalytics);
+router.get('/analytics', protect, requirePermission('reports.view'), projectController.getProjectAnalytics);
 
 
 
@@ -1,7 +1,7 @@
 const express = require('express'); 
 const router = express.Router(); 
 const referralController = require('../controller/referralController'); 
-const { protect, adminProtect } = require('../middleware/auth');  
+const { protect, requirePermission } = require('../middleware/auth');  
 
 // Import the new audit utilities
 const { 
@@ -26,6 +26,15 @@ router.get('/stats', protect, referralController.getReferralStats);
 // Get referral tree (people you've referred)
 router.get('/tree', protect, referralController.getReferralTree);
 
+// Get downline members at any depth (?generation, ?maxDepth, ?page, ?limit)
+router.get('/downline', protect, referralController.getDownline);
+
+// Get downline purchase volume per generation and currency (?maxDepth, ?type)
+router.get('/team-volume', protect, referralController.getTeamVolume);
+
+// Download referral income statement as PDF (?month=YYYY-MM or ?from&to, ?format=json)
+router.get('/statement', protect, referralController.getReferralStatement);
+
 // Get referral earnings (for self)
 router.get('/earnings', protect, referralController.getReferralEarnings);
 
@@ -42,13 +51,13 @@ router.get('/validate-invite/:inviteCode', referralController.validateInviteLink
 // Get any user's referral earnings (admin only)
 // Example: /api/referral/admin/earnings?userName=johnsmith
 // OR: /api/referral/admin/earnings?email=john@example.com
-router.get('/admin/earnings', protect, adminProtect, referralController.getReferralEarnings);
+router.get('/admin/earnings', protect, requirePermission('reports.view'), referralController.getReferralEarnings);
 
 // Admin route to adjust referral commission settings
-router.post('/settings', protect, adminProtect, referralController.updateReferralSettings);
+router.post('/settings', protect, requirePermission('referrals.manage'), referralController.updateReferralSettings);
 
 // Admin route to sync referral data for a specific user
-router.post('/admin/sync/:userId', protect, adminProtect, referralController.syncUserReferralData);
+router.post('/admin/sync/:userId', protect, requirePermission('referrals.manage'), referralController.syncUserReferralData);
 
 /**
  * @swagger
@@ -220,14 +229,14 @@ router.post('/admin/sync/:userId', protect, adminProtect, referralController.syn
  *                 error:
  *                   type: string
  */
-router.get('/admin/who-referred/:userId', protect, adminProtect, referralController.adminSeeWhoReferred);
+router.get('/admin/who-referred/:userId', protect, requirePermission('reports.view'), referralController.adminSeeWhoReferred);
 
 // =========================
 // NEW REFERRAL AUDIT & FIX ROUTES
 // =========================
 
 // Emergency quick scan (safe check) - NO CHANGES MADE
-router.get('/admin/audit/quick-scan', protect, adminProtect, async (req, res) => {
+router.get('/admin/audit/quick-scan', protect, requirePermission('reports.view'), async (req, res) => {
   try {
     console.log(`🔍 Admin ${req.user.id} running emergency quick scan`);
     
@@ -253,7 +262,7 @@ router.get('/admin/audit/quick-scan', protect, adminProtect, async (req, res) =>
 });
 
 // Emergency quick fix - APPLIES CRITICAL FIXES
-router.post('/admin/audit/quick-fix', protect, adminProtect, async (req, res) => {
+router.post('/admin/audit/quick-fix', protect, requirePermission('referrals.manage'), async (req, res) => {
   try {
     const { executeMode = false } = req.body;
     
@@ -284,7 +293,7 @@ router.post('/admin/audit/quick-fix', protect, adminProtect, async (req, res) =>
 });
 
 // Full comprehensive referral audit
-router.post('/admin/audit/full', protect, adminProtect, async (req, res) => {
+router.post('/admin/audit/full', protect, requirePermission('referrals.manage'), async (req, res) => {
   try {
     const { dryRun = true, generateReport = true } = req.body;
     
@@ -303,7 +312,7 @@ router.post('/admin/audit/full', protect, adminProtect, async (req, res) => {
 });
 
 // Audit specific user
-router.post('/admin/audit/user/:userId', protect, adminProtect, async (req, res) => {
+router.post('/admin/audit/user/:userId', protect, requirePermission('referrals.manage'), async (req, res) => {
   try {
     const { userId } = req.params;
     const { dryRun = true } = req.body;
@@ -333,7 +342,7 @@ router.post('/admin/audit/user/:userId', protect, adminProtect, async (req, res)
 });
 
 // Check specific user referral status (detailed view)
-router.get('/admin/audit/user/:userId/status', protect, adminProtect, async (req, res) => {
+router.get('/admin/audit/user/:userId/status', protect, requirePermission('reports.view'), async (req, res) => {
   try {
     const { userId } = req.params;
     
@@ -372,7 +381,7 @@ router.get('/admin/audit/user/:userId/status', protect, adminProtect, async (req
 });
 
 // Get referral system health overview
-router.get('/admin/audit/overview', protect, adminProtect, async (req, res) => {
+router.get('/admin/audit/overview', protect, requirePermission('reports.view'), async (req, res) => {
   try {
     const ReferralTransaction = require('../models/ReferralTransaction');
     const Referral = require('../models/Referral');
@@ -484,7 +493,7 @@ router.get('/admin/audit/overview', protect, adminProtect, async (req, res) => {
 });
 
 // Get detailed user referral report
-router.get('/admin/audit/user/:userId/report', protect, adminProtect, async (req, res) => {
+router.get('/admin/audit/user/:userId/report', protect, requirePermission('reports.view'), async (req, res) => {
   try {
     const { userId } = req.params;
     const ReferralTransaction = require('../models/ReferralTransaction');
@@ -620,7 +629,7 @@ router.get('/admin/audit/user/:userId/report', protect, adminProtect, async (req
 });
 
 // Recalculate all referral statistics
-router.post('/admin/audit/recalculate-stats', protect, adminProtect, async (req, res) => {
+router.post('/admin/audit/recalculate-stats', protect, requirePermission('referrals.manage'), async (req, res) => {
   try {
     const { dryRun = true } = req.body;
     
@@ -628,6 +637,7 @@ router.post('/admin/audit/recalculate-stats', protect, adminProtect, async (req,
     
     const ReferralTransaction = require('../models/ReferralTransaction');
     const Referral = require('../models/Referral');
+    const ledgerService = require('../utils/ledgerService');
     const mongoose = require('mongoose');
     
     // Get all users who have referral transactions
@@ -693,15 +703,13 @@ router.post('/admin/audit/recalculate-stats', protect, adminProtect, async (req,
           });
         }
         
-        // Reset stats
-        referralStats.totalEarnings = 0;
+        // Reset stats; totalEarnings is synced from the ledger below
         referralStats.generation1 = { count: 0, earnings: 0 };
         referralStats.generation2 = { count: 0, earnings: 0 };
         referralStats.generation3 = { count: 0, earnings: 0 };
         
         // Apply calculated earnings
         for (const earning of earnings) {
-          referralStats.totalEarnings += earning.totalEarnings;
           referralStats[`generation${earning._id}`].earnings = earning.totalEarnings;
         }
         
@@ -715,6 +723,9 @@ router.post('/admin/audit/recalculate-stats', protect, adminProtect, async (req,
         }
         
         await referralStats.save();
+        
+        await ledgerService.ensureUserOpeningBalance(beneficiaryId);
+        await ledgerService.syncReferralBalances(beneficiaryId);
       }
       
       recalculatedCount++;
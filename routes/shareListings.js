@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const shareListingController = require('../controller/Sharelistingcontroller');
-const { protect, adminProtect } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
 const { sharePaymentUpload } = require('../config/cloudinary');
 
 /**
@@ -578,7 +578,7 @@ router.get('/offers', protect, shareListingController.getUserOffers);
  *       403:
  *         description: Admin access required
  */
-router.get('/admin/dashboard', protect, adminProtect, shareListingController.getDashboard);
+router.get('/admin/dashboard', protect, requirePermission('marketplace.moderate'), shareListingController.getDashboard);
 
 /**
  * @swagger
@@ -628,7 +628,7 @@ router.get('/admin/dashboard', protect, adminProtect, shareListingController.get
  *       403:
  *         description: Admin access required
  */
-router.get('/admin/transactions', protect, adminProtect, shareListingController.getAllTransactions);
+router.get('/admin/transactions', protect, requirePermission('marketplace.moderate'), shareListingController.getAllTransactions);
 
 /**
  * @swagger
@@ -656,7 +656,7 @@ router.get('/admin/transactions', protect, adminProtect, shareListingController.
  *       403:
  *         description: Admin access required
  */
-router.get('/admin/transactions/:transactionId', protect, adminProtect, shareListingController.getTransactionDetails);
+router.get('/admin/transactions/:transactionId', protect, requirePermission('marketplace.moderate'), shareListingController.getTransactionDetails);
 
 // ============================================================================
 // STUCK TRANSACTION ROUTES
@@ -690,7 +690,7 @@ router.get('/admin/transactions/:transactionId', protect, adminProtect, shareLis
  *       403:
  *         description: Admin access required
  */
-router.get('/admin/stuck', protect, adminProtect, shareListingController.getStuckTransactions);
+router.get('/admin/stuck', protect, requirePermission('marketplace.moderate'), shareListingController.getStuckTransactions);
 
 /**
  * @swagger
@@ -728,7 +728,7 @@ router.get('/admin/stuck', protect, adminProtect, shareListingController.getStuc
  *       403:
  *         description: Admin access required
  */
-router.post('/admin/transactions/:transactionId/flag-stuck', protect, adminProtect, shareListingController.flagTransactionAsStuck);
+router.post('/admin/transactions/:transactionId/flag-stuck', protect, requirePermission('marketplace.moderate'), shareListingController.flagTransactionAsStuck);
 
 // ============================================================================
 // FORCE COMPLETE TRANSACTION
@@ -781,7 +781,7 @@ router.post('/admin/transactions/:transactionId/flag-stuck', protect, adminProte
  *       403:
  *         description: Admin access required
  */
-router.post('/admin/transactions/:transactionId/force-complete', protect, adminProtect, shareListingController.forceCompleteTransaction);
+router.post('/admin/transactions/:transactionId/force-complete', protect, requirePermission('marketplace.moderate'), shareListingController.forceCompleteTransaction);
 
 // ============================================================================
 // TRANSACTION CANCELLATION
@@ -834,7 +834,7 @@ router.post('/admin/transactions/:transactionId/force-complete', protect, adminP
  *       403:
  *         description: Admin access required
  */
-router.post('/admin/transactions/:transactionId/cancel', protect, adminProtect, shareListingController.cancelTransaction);
+router.post('/admin/transactions/:transactionId/cancel', protect, requirePermission('marketplace.moderate'), shareListingController.cancelTransaction);
 
 // ============================================================================
 // TRANSACTION DELETION
@@ -889,7 +889,7 @@ router.post('/admin/transactions/:transactionId/cancel', protect, adminProtect,
  *       403:
  *         description: Admin access required
  */
-router.delete('/admin/transactions/:transactionId/delete', protect, adminProtect, shareListingController.deleteTransaction);
+router.delete('/admin/transactions/:transactionId/delete', protect, requirePermission('marketplace.moderate'), shareListingController.deleteTransaction);
 
 // ============================================================================
 // REFUND PROCESSING
@@ -937,7 +937,7 @@ router.delete('/admin/transactions/:transactionId/delete', protect, adminProtect
  *       403:
  *         description: Admin access required
  */
-router.post('/admin/transactions/:transactionId/refund', protect, adminProtect, shareListingController.processRefund);
+router.post('/admin/transactions/:transactionId/refund', protect, requirePermission('marketplace.moderate'), shareListingController.processRefund);
 
 // ============================================================================
 // DISPUTE MANAGEMENT
@@ -978,7 +978,7 @@ router.post('/admin/transactions/:transactionId/refund', protect, adminProtect,
  *       403:
  *         description: Admin access required
  */
-router.post('/admin/transactions/:transactionId/create-dispute', protect, adminProtect, shareListingController.createDispute);
+router.post('/admin/transactions/:transactionId/create-dispute', protect, requirePermission('marketplace.moderate'), shareListingController.createDispute);
 
 /**
  * @swagger
@@ -1020,7 +1020,7 @@ router.post('/admin/transactions/:transactionId/create-dispute', protect, adminP
  *       403:
  *         description: Admin access required
  */
-router.post('/admin/transactions/:transactionId/resolve-dispute', protect, adminProtect, shareListingController.resolveDispute);
+router.post('/admin/transactions/:transactionId/resolve-dispute', protect, requirePermission('marketplace.moderate'), shareListingController.resolveDispute);
 
 // ============================================================================
 // STATUS UPDATE
@@ -1063,7 +1063,7 @@ router.post('/admin/transactions/:transactionId/resolve-dispute', protect, admin
  *       403:
  *         description: Admin access required
  */
-router.patch('/admin/transactions/:transactionId/update-status', protect, adminProtect, shareListingController.updateTransactionStatus);
+router.patch('/admin/transactions/:transactionId/update-status', protect, requirePermission('marketplace.moderate'), shareListingController.updateTransactionStatus);
 
 // ============================================================================
 // AUDIT LOGS
@@ -1093,7 +1093,7 @@ router.patch('/admin/transactions/:transactionId/update-status', protect, adminP
  *       403:
  *         description: Admin access required
  */
-router.get('/admin/transactions/:transactionId/audit-log', protect, adminProtect, shareListingController.getAuditLog);
+router.get('/admin/transactions/:transactionId/audit-log', protect, requirePermission('marketplace.moderate'), shareListingController.getAuditLog);
 
 /**
  * @swagger
@@ -1127,7 +1127,7 @@ router.get('/admin/transactions/:transactionId/audit-log', protect, adminProtect
  *       403:
  *         description: Admin access required
  */
-router.get('/admin/audit-logs', protect, adminProtect, shareListingController.getAdminAuditLogs);
+router.get('/admin/audit-logs', protect, requirePermission('marketplace.moderate'), shareListingController.getAdminAuditLogs);
 
 // ============================================================================
 // BULK TRANSACTION ROUTES
@@ -1166,7 +1166,7 @@ router.get('/admin/audit-logs', protect, adminProtect, shareListingController.ge
  *       403:
  *         description: Admin access required
  */
-router.post('/admin/bulk/complete', protect, adminProtect, shareListingController.bulkCompleteTransactions);
+router.post('/admin/bulk/complete', protect, requirePermission('marketplace.moderate'), shareListingController.bulkCompleteTransactions);
 
 /**
  * @swagger
@@ -1201,7 +1201,7 @@ router.post('/admin/bulk/complete', protect, adminProtect, shareListingControlle
  *       403:
  *         description: Admin access required
  */
-router.post('/admin/bulk/cancel', protect, adminProtect, shareListingController.bulkCancelTransactions);
+router.post('/admin/bulk/cancel', protect, requirePermission('marketplace.moderate'), shareListingController.bulkCancelTransactions);
 
 // ============================================================================
 // REPORTING ROUTES
@@ -1225,7 +1225,7 @@ router.post('/admin/bulk/cancel', protect, adminProtect, shareListingController.
  *       403:
  *         description: Admin access required
  */
-router.get('/admin/reports/daily', protect, adminProtect, shareListingController.getDailyReport);
+router.get('/admin/reports/daily', protect, requirePermission('marketplace.moderate'), shareListingController.getDailyReport);
 
 /**
  * @swagger
@@ -1245,6 +1245,6 @@ router.get('/admin/reports/daily', protect, adminProtect, shareListingController
  *       403:
  *         description: Admin access required
  */
-router.get('/admin/reports/stuck', protect, adminProtect, shareListingController.getStuckTransactionsReport);
+router.get('/admin/reports/stuck', protect, requirePermission('marketplace.moderate'), shareListingController.getStuckTransactionsReport);
 
 module.exports = router;
\ No newline at end of file
@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { protect, adminProtect } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
 const {
   requestLoan,
   getMyLoans,
@@ -17,11 +17,11 @@ router.post('/request', protect, requestLoan);
 router.get('/my-loans', protect, getMyLoans);
 
 // Admin routes
-router.get('/admin/all', adminProtect, adminGetAllLoans);
-router.post('/admin/:id/approve', adminProtect, adminApproveLoan);
-router.post('/admin/:id/reject', adminProtect, adminRejectLoan);
-router.post('/admin/:id/disburse', adminProtect, adminDisburseLoan);
-router.post('/admin/:id/repayment', adminProtect, recordRepayment);
-router.get('/admin/stats', adminProtect, adminGetLoanStats);
+router.get('/admin/all', requirePermission('loans.manage'), adminGetAllLoans);
+router.post('/admin/:id/approve', requirePermission('loans.manage'), adminApproveLoan);
+router.post('/admin/:id/reject', requirePermission('loans.manage'), adminRejectLoan);
+router.post('/admin/:id/disburse', requirePermission('loans.manage'), adminDisburseLoan);
+router.post('/admin/:id/repayment', requirePermission('loans.manage'), recordRepayment);
+router.get('/admin/stats', requirePermission('loans.manage'), adminGetLoanStats);
 
 module.exports = router;
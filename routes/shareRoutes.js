@@ -2,7 +2,9 @@ const express = require('express');
 const router = express.Router();
 const shareController = require('../controller/shareController');
 const coFounderController = require('../controller/coFounderController');
-const { protect, adminProtect } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
+const { idempotency, idempotentReplay } = require('../middleware/idempotency');
+const { requireApproval } = require('../middleware/approval');
 const upload = require('../middleware/upload');
 const multer = require('multer');
 const { 
@@ -506,6 +508,8 @@ router.get('/user/earnings-summary', protect, async (req, res) => {
  *     summary: Submit manual payment with Cloudinary
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     responses:
  *       200:
  *         description: Manual payment submitted successfully
@@ -518,9 +522,11 @@ router.get('/user/earnings-summary', protect, async (req, res) => {
  */
 router.post('/manual/submit', 
   protect,
+  idempotentReplay,
   sharePaymentUpload.single('paymentProof'),
   logCloudinaryUpload,
   handleCloudinaryError,
+  idempotency,
   validateManualPayment,
   shareController.submitManualPayment
 );
@@ -654,7 +660,7 @@ router.post('/certificate/email', protect, shareController.sendCertificateEmail)
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
-router.get('/admin/payment-proof/:transactionId', protect, adminProtect, shareController.getPaymentProofDirect);
+router.get('/admin/payment-proof/:transactionId', protect, requirePermission('payments.verify'), shareController.getPaymentProofDirect);
 
 /**
  * @swagger
@@ -675,7 +681,7 @@ router.get('/admin/payment-proof/:transactionId', protect, adminProtect, shareCo
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
-router.post('/admin/update-pricing', protect, adminProtect, shareController.updateSharePricing);
+router.post('/admin/update-pricing', protect, requirePermission('shares.manage'), shareController.updateSharePricing);
 
 /**
  * @swagger
@@ -687,6 +693,8 @@ router.post('/admin/update-pricing', protect, adminProtect, shareController.upda
  *     security:
  *       - adminAuth: []
  *     responses:
+ *       202:
+ *         $ref: '#/components/responses/ApprovalRequired'
  *       200:
  *         description: Share package added successfully
  *       401:
@@ -696,7 +704,7 @@ router.post('/admin/update-pricing', protect, adminProtect, shareController.upda
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
-router.post('/admin/add-shares', protect, adminProtect, shareController.adminAddShares);
+router.post('/admin/add-shares', protect, requirePermission('shares.manage'), requireApproval('shares.add'), shareController.adminAddShares);
 
 /**
  * @swagger
@@ -717,7 +725,7 @@ router.post('/admin/add-shares', protect, adminProtect, shareController.adminAdd
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
-router.post('/admin/update-wallet', protect, adminProtect, shareController.updateCompanyWallet);
+router.post('/admin/update-wallet', protect, requirePermission('shares.manage'), shareController.updateCompanyWallet);
 
 /**
  * @swagger
@@ -738,7 +746,7 @@ router.post('/admin/update-wallet', protect, adminProtect, shareController.updat
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
-router.get('/admin/transactions', protect, adminProtect, shareController.getAllTransactions);
+router.get('/admin/transactions', protect, requirePermission('reports.view'), shareController.getAllTransactions);
 
 /**
  * @swagger
@@ -759,7 +767,7 @@ router.get('/admin/transactions', protect, adminProtect, shareController.getAllT
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
-router.get('/admin/statistics', protect, adminProtect, shareController.getShareStatistics);
+router.get('/admin/statistics', protect, requirePermission('reports.view'), shareController.getShareStatistics);
 
 // ==================== ADMIN MANUAL PAYMENT ROUTES ====================
 
@@ -782,7 +790,7 @@ router.get('/admin/statistics', protect, adminProtect, shareController.getShareS
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
-router.post('/admin/manual/verify', protect, adminProtect, shareController.adminVerifyManualPayment);
+router.post('/admin/manual/verify', protect, requirePermission('payments.verify'), shareController.adminVerifyManualPayment);
 
 /**
  * @swagger
@@ -803,7 +811,7 @@ router.post('/admin/manual/verify', protect, adminProtect, shareController.admin
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
-router.get('/admin/manual/transactions', protect, adminProtect, shareController.adminGetManualTransactions);
+router.get('/admin/manual/transactions', protect, requirePermission('payments.verify'), shareController.adminGetManualTransactions);
 
 /**
  * @swagger
@@ -824,7 +832,7 @@ router.get('/admin/manual/transactions', protect, adminProtect, shareController.
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
-router.post('/admin/manual/cancel', protect, adminProtect, shareController.adminCancelManualPayment);
+router.post('/admin/manual/cancel', protect, requirePermission('payments.verify'), shareController.adminCancelManualPayment);
 
 /**
  * @swagger
@@ -851,7 +859,7 @@ router.post('/admin/manual/cancel', protect, adminProtect, shareController.admin
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
-router.delete('/admin/manual/:transactionId', protect, adminProtect, shareController.adminDeleteManualPayment);
+router.delete('/admin/manual/:transactionId', protect, requirePermission('payments.verify'), shareController.adminDeleteManualPayment);
 
 // ==================== ADMIN REPORTS ====================
 
@@ -875,10 +883,10 @@ router.delete('/admin/manual/:transactionId', protect, adminProtect, shareContro
  *         $ref: '#/components/responses/ServerError'
  */
 if (shareController.getSharePurchaseReport) {
-  router.get('/admin/purchase-report', protect, adminProtect, shareController.getSharePurchaseReport);
+  router.get('/admin/purchase-report', protect, requirePermission('reports.view'), shareController.getSharePurchaseReport);
 } else {
   console.error('❌ WARNING: shareController.getSharePurchaseReport is undefined - route not registered');
-  router.get('/admin/purchase-report', protect, adminProtect, async (req, res) => {
+  router.get('/admin/purchase-report', protect, requirePermission('reports.view'), async (req, res) => {
     res.status(501).json({ 
       success: false, 
       message: 'Purchase report endpoint not implemented yet.' 
@@ -915,7 +923,7 @@ if (shareController.getSharePurchaseReport) {
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
-router.get('/admin/user-overview/:identifier', protect, adminProtect, shareController.adminGetUserOverview);
+router.get('/admin/user-overview/:identifier', protect, requirePermission('reports.view'), shareController.adminGetUserOverview);
 
 // ==================== ADMIN REVOKE ====================
 
@@ -946,7 +954,7 @@ router.get('/admin/user-overview/:identifier', protect, adminProtect, shareContr
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
-router.delete('/admin/revoke/:transactionId', protect, adminProtect, shareController.adminRevokeTransaction);
+router.delete('/admin/revoke/:transactionId', protect, requirePermission('shares.manage'), shareController.adminRevokeTransaction);
 
 // ==================== ADMIN LEGACY TIER ROUTES ====================
 // NOTE: These older endpoints are kept for backwards compatibility.
@@ -971,7 +979,7 @@ router.delete('/admin/revoke/:transactionId', protect, adminProtect, shareContro
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
-router.post('/admin/create-tier', protect, adminProtect, shareController.createTier);
+router.post('/admin/create-tier', protect, requirePermission('shares.manage'), shareController.createTier);
 
 /**
  * @swagger
@@ -998,7 +1006,7 @@ router.post('/admin/create-tier', protect, adminProtect, shareController.createT
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
-router.delete('/admin/delete-tier/:tierKey', protect, adminProtect, shareController.deleteTier);
+router.delete('/admin/delete-tier/:tierKey', protect, requirePermission('shares.manage'), shareController.deleteTier);
 
 // ==================== ADMIN USER SHARES UPDATE ====================
 
@@ -1027,7 +1035,7 @@ router.delete('/admin/delete-tier/:tierKey', protect, adminProtect, shareControl
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
-router.put('/admin/user/:userId/shares', protect, adminProtect, shareController.adminUpdateUserShares);
+router.put('/admin/user/:userId/shares', protect, requirePermission('shares.manage'), shareController.adminUpdateUserShares);
 
 /**
  * @swagger
@@ -1054,7 +1062,7 @@ router.put('/admin/user/:userId/shares', protect, adminProtect, shareController.
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
-router.put('/admin/transaction/:transactionId', protect, adminProtect, shareController.adminEditTransaction);
+router.put('/admin/transaction/:transactionId', protect, requirePermission('shares.manage'), shareController.adminEditTransaction);
 
 // ==================== ADMIN TIER MANAGEMENT ROUTES ====================
 // IMPORTANT: Route order matters in Express. More specific routes (with fixed
@@ -1079,7 +1087,7 @@ router.put('/admin/transaction/:transactionId', protect, adminProtect, shareCont
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
-router.get('/admin/tiers', protect, adminProtect, async (req, res) => {
+router.get('/admin/tiers', protect, requirePermission('shares.manage'), async (req, res) => {
   try {
     const TierConfig = require('../models/TierConfig');
     const config = await TierConfig.getCurrentConfig();
@@ -1144,7 +1152,7 @@ router.get('/admin/tiers', protect, adminProtect, async (req, res) => {
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
-router.get('/admin/tiers/all', protect, adminProtect, shareController.getAllTiers);
+router.get('/admin/tiers/all', protect, requirePermission('shares.manage'), shareController.getAllTiers);
 
 /**
  * @swagger
@@ -1165,7 +1173,7 @@ router.get('/admin/tiers/all', protect, adminProtect, shareController.getAllTier
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
-router.post('/admin/tiers/create', protect, adminProtect, shareController.createTier);
+router.post('/admin/tiers/create', protect, requirePermission('shares.manage'), shareController.createTier);
 
 /**
  * @swagger
@@ -1230,7 +1238,7 @@ router.post('/admin/tiers/create', protect, adminProtect, shareController.create
  *         $ref: '#/components/responses/ServerError'
  */
 // FIXED: This specific route MUST come before the generic /:tierKey route
-router.put('/admin/tiers/:tierKey/edit', protect, adminProtect, shareController.editTier);
+router.put('/admin/tiers/:tierKey/edit', protect, requirePermission('shares.manage'), shareController.editTier);
 
 // ========== TIER MANAGEMENT - GENERIC ROUTES (MUST COME LAST) ==========
 
@@ -1277,7 +1285,7 @@ router.put('/admin/tiers/:tierKey/edit', protect, adminProtect, shareController.
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
-router.put('/admin/tiers/:tierKey', protect, adminProtect, shareController.updateTierStatus);
+router.put('/admin/tiers/:tierKey', protect, requirePermission('shares.manage'), shareController.updateTierStatus);
 
 /**
  * @swagger
@@ -1310,7 +1318,7 @@ router.put('/admin/tiers/:tierKey', protect, adminProtect, shareController.updat
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
-router.delete('/admin/tiers/:tierKey', protect, adminProtect, shareController.deleteTier);
+router.delete('/admin/tiers/:tierKey', protect, requirePermission('shares.manage'), shareController.deleteTier);
 
 // ==================== CO-FOUNDER ADMIN ROUTES ====================
 
@@ -1333,7 +1341,7 @@ router.delete('/admin/tiers/:tierKey', protect, adminProtect, shareController.de
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
-router.get('/cofounder/admin/statistics', protect, adminProtect, coFounderController.getCoFounderShareStatistics);
+router.get('/cofounder/admin/statistics', protect, requirePermission('reports.view'), coFounderController.getCoFounderShareStatistics);
 
 /**
  * @swagger
@@ -1354,7 +1362,7 @@ router.get('/cofounder/admin/statistics', protect, adminProtect, coFounderContro
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
-router.post('/cofounder/admin/update-ratio', protect, adminProtect, coFounderController.updateCoFounderToRegularRatio);
+router.post('/cofounder/admin/update-ratio', protect, requirePermission('shares.manage'), coFounderController.updateCoFounderToRegularRatio);
 
 /**
  * @swagger
@@ -1375,7 +1383,7 @@ router.post('/cofounder/admin/update-ratio', protect, adminProtect, coFounderCon
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
-router.post('/cofounder/admin/update-tier-pricing', protect, adminProtect, coFounderController.updateCoFounderTierPricing);
+router.post('/cofounder/admin/update-tier-pricing', protect, requirePermission('shares.manage'), coFounderController.updateCoFounderTierPricing);
 
 /**
  * @swagger
@@ -1396,7 +1404,7 @@ router.post('/cofounder/admin/update-tier-pricing', protect, adminProtect, coFou
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
-router.get('/cofounder/admin/manual/all', protect, adminProtect, coFounderController.getAllCoFounderManualPayments);
+router.get('/cofounder/admin/manual/all', protect, requirePermission('payments.verify'), coFounderController.getAllCoFounderManualPayments);
 
 /**
  * @swagger
@@ -1417,7 +1425,7 @@ router.get('/cofounder/admin/manual/all', protect, adminProtect, coFounderContro
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
-router.post('/cofounder/admin/manual/verify', protect, adminProtect, coFounderController.adminVerifyCoFounderManualPayment);
+router.post('/cofounder/admin/manual/verify', protect, requirePermission('payments.verify'), coFounderController.adminVerifyCoFounderManualPayment);
 
 /**
  * @swagger
@@ -1438,7 +1446,7 @@ router.post('/cofounder/admin/manual/verify', protect, adminProtect, coFounderCo
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
-router.post('/cofounder/admin/manual/cancel', protect, adminProtect, coFounderController.adminCancelCoFounderManualPayment);
+router.post('/cofounder/admin/manual/cancel', protect, requirePermission('payments.verify'), coFounderController.adminCancelCoFounderManualPayment);
 
 /**
  * @swagger
@@ -1465,7 +1473,7 @@ router.post('/cofounder/admin/manual/cancel', protect, adminProtect, coFounderCo
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
-router.delete('/cofounder/admin/manual/:transactionId', protect, adminProtect, coFounderController.adminDeleteCoFounderManualPayment);
+router.delete('/cofounder/admin/manual/:transactionId', protect, requirePermission('payments.verify'), coFounderController.adminDeleteCoFounderManualPayment);
 
 /**
  * @swagger
@@ -1477,6 +1485,8 @@ router.delete('/cofounder/admin/manual/:transactionId', protect, adminProtect, c
  *     security:
  *       - adminAuth: []
  *     responses:
+ *       202:
+ *         $ref: '#/components/responses/ApprovalRequired'
  *       200:
  *         description: Shares added successfully
  *       401:
@@ -1486,6 +1496,6 @@ router.delete('/cofounder/admin/manual/:transactionId', protect, adminProtect, c
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
-router.post('/cofounder/admin/add-shares', protect, adminProtect, coFounderController.adminAddCoFounderShares);
+router.post('/cofounder/admin/add-shares', protect, requirePermission('shares.manage'), requireApproval('cofounder.add'), coFounderController.adminAddCoFounderShares);
 
 module.exports = router
\ No newline at end of file
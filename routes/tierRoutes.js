@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const tierController = require('../controller/tierController');
-const { protect, adminProtect } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
 
 /**
  * @swagger
@@ -113,7 +113,7 @@ router.get('/', tierController.getTiers);
  *       500:
  *         description: Server error
  */
-router.post('/', protect, adminProtect, tierController.createTier);
+router.post('/', protect, requirePermission('shares.manage'), tierController.createTier);
 
 /**
  * @swagger
@@ -164,7 +164,7 @@ router.post('/', protect, adminProtect, tierController.createTier);
  *       500:
  *         description: Server error
  */
-router.put('/:tierKey', protect, adminProtect, tierController.updateTier);
+router.put('/:tierKey', protect, requirePermission('shares.manage'), tierController.updateTier);
 
 /**
  * @swagger
@@ -196,6 +196,6 @@ router.put('/:tierKey', protect, adminProtect, tierController.updateTier);
  *       500:
  *         description: Server error
  */
-router.delete('/:tierKey', protect, adminProtect, tierController.deleteTier);
+router.delete('/:tierKey', protect, requirePermission('shares.manage'), tierController.deleteTier);
 
 module.exports = router;
\ No newline at end of file
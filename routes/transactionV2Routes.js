@@ -2,13 +2,17 @@
 
 const express = require('express');
 const router  = express.Router();
-const { protect } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
 const {
   createTransaction,
   deleteTransaction,
   updateTransaction,
   getUserTransactions,
-  compareUserData
+  compareUserData,
+  runReconciliationNow,
+  getReconciliationReports,
+  getReconciliationMismatches,
+  repairReconciliationReport
 } = require('../controller/transactionV2Controller');
 
 /**
@@ -184,7 +188,7 @@ const {
  *       409:
  *         $ref: '#/components/responses/Conflict'
  */
-router.post('/', protect, createTransaction);
+router.post('/', protect, requirePermission('ledger.adjust'), createTransaction);
 
 // ─────────────────────────────────────────────────────────────────────────────
 
@@ -211,7 +215,7 @@ router.post('/', protect, createTransaction);
  *       404:
  *         $ref: '#/components/responses/NotFound'
  */
-router.delete('/:transactionId', protect, deleteTransaction);
+router.delete('/:transactionId', protect, requirePermission('ledger.adjust'), deleteTransaction);
 
 // ─────────────────────────────────────────────────────────────────────────────
 
@@ -261,7 +265,7 @@ router.delete('/:transactionId', protect, deleteTransaction);
  *       404:
  *         $ref: '#/components/responses/NotFound'
  */
-router.patch('/:transactionId', protect, updateTransaction);
+router.patch('/:transactionId', protect, requirePermission('ledger.adjust'), updateTransaction);
 
 // ─────────────────────────────────────────────────────────────────────────────
 
@@ -288,7 +292,7 @@ router.patch('/:transactionId', protect, updateTransaction);
  *       404:
  *         $ref: '#/components/responses/NotFound'
  */
-router.get('/user/:userId', protect, getUserTransactions);
+router.get('/user/:userId', protect, requirePermission('reports.view'), getUserTransactions);
 
 // ─────────────────────────────────────────────────────────────────────────────
 
@@ -315,7 +319,144 @@ router.get('/user/:userId', protect, getUserTransactions);
  *       404:
  *         $ref: '#/components/responses/NotFound'
  */
-router.get('/compare/:userId', protect, compareUserData);
+router.get('/compare/:userId', protect, requirePermission('reports.view'), compareUserData);
+
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * @swagger
+ * /v2/transactions/reconciliation/run:
+ *   post:
+ *     summary: Start a UserShare / TransactionV2 / UserShareV2 reconciliation run (admin only)
+ *     description: Runs nightly on its own; this triggers an extra run. Returns 202 and runs in the background.
+ *     tags: [TransactionsV2]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       202:
+ *         description: Run started
+ *       409:
+ *         description: A run is already in progress
+ */
+router.post('/reconciliation/run', protect, requirePermission('ledger.adjust'), runReconciliationNow);
+
+/**
+ * @swagger
+ * /v2/transactions/reconciliation/reports:
+ *   get:
+ *     summary: List reconciliation reports, newest first (admin only)
+ *     tags: [TransactionsV2]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Reports with per-class mismatch counts
+ */
+router.get('/reconciliation/reports', protect, requirePermission('reports.view'), getReconciliationReports);
+
+/**
+ * @swagger
+ * /v2/transactions/reconciliation/reports/{reportId}/mismatches:
+ *   get:
+ *     summary: List the mismatches found by a reconciliation run (admin only)
+ *     tags: [TransactionsV2]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: reportId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [missing_v2, ownership_drift, earning_drift, status_mismatch]
+ *       - in: query
+ *         name: scope
+ *         schema:
+ *           type: string
+ *           enum: [transaction, snapshot, legacy_total]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, repaired, repair_failed, ignored]
+ *       - in: query
+ *         name: autoRepairable
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Mismatches returned
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/reconciliation/reports/:reportId/mismatches', protect, requirePermission('reports.view'), getReconciliationMismatches);
+
+/**
+ * @swagger
+ * /v2/transactions/reconciliation/reports/{reportId}/repair:
+ *   post:
+ *     summary: Auto-repair the safe mismatch classes of a report (admin only)
+ *     description: |
+ *       Repairs missing V2 rows, V2 rows still pending after the legacy
+ *       transaction settled, and stale UserShareV2 snapshots. Other drift is
+ *       left open for manual review.
+ *     tags: [TransactionsV2]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: reportId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               types:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [missing_v2, ownership_drift, earning_drift, status_mismatch]
+ *                 description: Limit repair to these classes (default all safe ones)
+ *     responses:
+ *       200:
+ *         description: Repair summary
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.post('/reconciliation/reports/:reportId/repair', protect, requirePermission('ledger.adjust'), repairReconciliationReport);
 
 module.exports = router;
 
@@ -1,7 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const userController = require('../controller/userController');
-const { protect, adminProtect } = require('../middleware/auth');
+const sessionController = require('../controller/sessionController');
+const twoFactorController = require('../controller/twoFactorController');
+const adminRoleController = require('../controller/adminRoleController');
+const { protect, requirePermission } = require('../middleware/auth');
 
 /**
  * @swagger
@@ -289,7 +292,11 @@ router.post('/register', userController.registerUser);
  *                       $ref: '#/components/schemas/User'
  *                     token:
  *                       type: string
+ *                       description: Short-lived access token
  *                       example: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
+ *                     refreshToken:
+ *                       type: string
+ *                       description: Rotating refresh token for POST /users/refresh-token
  *       400:
  *         $ref: '#/components/responses/ValidationError'
  *       401:
@@ -567,7 +574,9 @@ router.put('/profile', protect, userController.updateUserProfile);
  *   put:
  *     tags: [Users]
  *     summary: Update user password
- *     description: Update current user's password
+ *     description: |
+ *       Update current user's password. All sessions are signed out and a new
+ *       `token` / `refreshToken` pair is returned for this device.
  *     security:
  *       - bearerAuth: []
  *     requestBody:
@@ -606,13 +615,381 @@ router.put('/profile', protect, userController.updateUserProfile);
  */
 router.put('/password', protect, userController.updatePassword);
 
+/**
+ * @swagger
+ * /users/refresh-token:
+ *   post:
+ *     tags: [Users]
+ *     summary: Refresh access token
+ *     description: |
+ *       Exchanges a refresh token for a new access token and a new refresh token.
+ *       The old refresh token stops working; presenting it again revokes the session.
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New token pair issued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 token:
+ *                   type: string
+ *                 refreshToken:
+ *                   type: string
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         description: Refresh token invalid, expired, reused or revoked
+ *       403:
+ *         description: Account banned or inactive
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.post('/refresh-token', sessionController.refreshToken);
+
+/**
+ * @swagger
+ * /users/logout:
+ *   post:
+ *     tags: [Users]
+ *     summary: Log out
+ *     description: Revokes the session the access token belongs to
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.post('/logout', protect, sessionController.logout);
+
+/**
+ * @swagger
+ * /users/sessions:
+ *   get:
+ *     tags: [Users]
+ *     summary: List active sessions
+ *     description: Devices currently signed in to the account, most recently used first
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 sessions:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                       device:
+ *                         type: string
+ *                         description: User agent of the device
+ *                       ip:
+ *                         type: string
+ *                       createdAt:
+ *                         type: string
+ *                         format: date-time
+ *                       lastSeenAt:
+ *                         type: string
+ *                         format: date-time
+ *                       expiresAt:
+ *                         type: string
+ *                         format: date-time
+ *                       current:
+ *                         type: boolean
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ *   delete:
+ *     tags: [Users]
+ *     summary: Revoke all sessions
+ *     description: Signs the account out everywhere, or everywhere else with keepCurrent=true
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: keepCurrent
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *     responses:
+ *       200:
+ *         description: Sessions revoked
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.get('/sessions', protect, sessionController.getSessions);
+router.delete('/sessions', protect, sessionController.revokeAllSessions);
+
+/**
+ * @swagger
+ * /users/sessions/{sessionId}:
+ *   delete:
+ *     tags: [Users]
+ *     summary: Revoke a session
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         description: Session not found or already revoked
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.delete('/sessions/:sessionId', protect, sessionController.revokeSession);
+
+/**
+ * @swagger
+ * /users/2fa/status:
+ *   get:
+ *     tags: [Users]
+ *     summary: Two-factor authentication status
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 twoFactor:
+ *                   type: object
+ *                   properties:
+ *                     enabled:
+ *                       type: boolean
+ *                     enabledAt:
+ *                       type: string
+ *                       format: date-time
+ *                     setupPending:
+ *                       type: boolean
+ *                     backupCodesRemaining:
+ *                       type: integer
+ *                     required:
+ *                       type: boolean
+ *                       description: True for admins, who cannot use admin routes without 2FA
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/2fa/status', protect, twoFactorController.getStatus);
+
+/**
+ * @swagger
+ * /users/2fa/setup:
+ *   post:
+ *     tags: [Users]
+ *     summary: Start TOTP enrollment
+ *     description: |
+ *       Generates a secret for an authenticator app. 2FA is not active until it is
+ *       confirmed with POST /users/2fa/enable. Calling this again replaces the pending secret.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Secret generated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 secret:
+ *                   type: string
+ *                   description: Base32 secret for manual entry
+ *                 otpauthUrl:
+ *                   type: string
+ *                   description: otpauth:// URI to render as a QR code
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       409:
+ *         description: 2FA already enabled
+ */
+router.post('/2fa/setup', protect, twoFactorController.setup);
+
+/**
+ * @swagger
+ * /users/2fa/enable:
+ *   post:
+ *     tags: [Users]
+ *     summary: Confirm TOTP enrollment
+ *     description: Activates 2FA and returns ten single-use backup codes. They are only shown once.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code]
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "492039"
+ *     responses:
+ *       200:
+ *         description: 2FA enabled
+ *       400:
+ *         description: Missing or invalid code
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       409:
+ *         description: 2FA already enabled
+ */
+router.post('/2fa/enable', protect, twoFactorController.enable);
+
+/**
+ * @swagger
+ * /users/2fa/verify:
+ *   post:
+ *     tags: [Users]
+ *     summary: Step up the current session
+ *     description: |
+ *       Verifies a TOTP or backup code. Admin routes and withdrawals are then allowed on this
+ *       session for TWO_FACTOR_STEP_UP_MINUTES (default 10) without sending X-2FA-Code.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code]
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Session stepped up
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 method:
+ *                   type: string
+ *                   enum: [totp, backup_code]
+ *                 stepUpExpiresAt:
+ *                   type: string
+ *                   format: date-time
+ *       400:
+ *         description: Missing or invalid code, 2FA not enabled, or token without a session
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.post('/2fa/verify', protect, twoFactorController.verify);
+
+/**
+ * @swagger
+ * /users/2fa/backup-codes:
+ *   post:
+ *     tags: [Users]
+ *     summary: Regenerate backup codes
+ *     description: Requires a current code. Replaces all previous backup codes.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code]
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New backup codes
+ *       400:
+ *         description: Invalid code or 2FA not enabled
+ */
+router.post('/2fa/backup-codes', protect, twoFactorController.regenerateBackupCodes);
+
+/**
+ * @swagger
+ * /users/2fa/disable:
+ *   post:
+ *     tags: [Users]
+ *     summary: Disable two-factor authentication
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [password, code]
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 2FA disabled
+ *       400:
+ *         description: Missing fields, invalid code or 2FA not enabled
+ *       401:
+ *         description: Password is incorrect
+ */
+router.post('/2fa/disable', protect, twoFactorController.disable);
+
 /**
  * @swagger
  * /users/admin/grant-rights:
  *   post:
  *     tags: [Admin]
  *     summary: Grant admin rights to user
- *     description: Grant administrative privileges to a user (admin only)
+ *     description: Grant administrative privileges to a user (requires admins.manage)
  *     security:
  *       - adminAuth: []
  *     requestBody:
@@ -623,11 +1000,19 @@ router.put('/password', protect, userController.updatePassword);
  *             type: object
  *             required:
  *               - email
+ *               - roles
  *             properties:
  *               email:
  *                 type: string
  *                 format: email
  *                 example: "user@example.com"
+ *               roles:
+ *                 type: array
+ *                 minItems: 1
+ *                 description: Admin roles to grant; an admin has no access beyond them
+ *                 items:
+ *                   type: string
+ *                   enum: [super_admin, finance, support, kyc_reviewer, marketplace_moderator]
  *     responses:
  *       200:
  *         description: Admin rights granted successfully
@@ -649,7 +1034,7 @@ router.put('/password', protect, userController.updatePassword);
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
-router.post('/admin/grant-rights', protect, adminProtect, userController.grantAdminRights);
+router.post('/admin/grant-rights', protect, requirePermission('admins.manage'), userController.grantAdminRights);
 
 /**
  * @swagger
@@ -694,7 +1079,7 @@ router.post('/admin/grant-rights', protect, adminProtect, userController.grantAd
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
-router.post('/admin/revoke-rights', protect, adminProtect, userController.revokeAdminRights);
+router.post('/admin/revoke-rights', protect, requirePermission('admins.manage'), userController.revokeAdminRights);
 
 /**
  * @swagger
@@ -742,7 +1127,7 @@ router.post('/admin/revoke-rights', protect, adminProtect, userController.revoke
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
-router.post('/admin/users/:userId/ban', protect, adminProtect, userController.banUser);
+router.post('/admin/users/:userId/ban', protect, requirePermission('users.manage'), userController.banUser);
 
 /**
  * @swagger
@@ -780,7 +1165,7 @@ router.post('/admin/users/:userId/ban', protect, adminProtect, userController.ba
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
-router.post('/admin/users/:userId/unban', protect, adminProtect, userController.unbanUser);
+router.post('/admin/users/:userId/unban', protect, requirePermission('users.manage'), userController.unbanUser);
 
 /**
  * @swagger
@@ -850,7 +1235,7 @@ router.post('/admin/users/:userId/unban', protect, adminProtect, userController.
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
-router.get('/admin/users/banned', protect, adminProtect, userController.getBannedUsers);
+router.get('/admin/users/banned', protect, requirePermission('users.view'), userController.getBannedUsers);
 
 /**
  * @swagger
@@ -978,7 +1363,7 @@ router.get('/admin/users/banned', protect, adminProtect, userController.getBanne
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
-router.get('/admin/users', protect, adminProtect, userController.getAllUsers);
+router.get('/admin/users', protect, requirePermission('users.view'), userController.getAllUsers);
 
 /**
  * @swagger
@@ -1019,7 +1404,7 @@ router.get('/admin/users', protect, adminProtect, userController.getAllUsers);
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
-router.get('/admin/users/:userId', protect, adminProtect, userController.getUserById);
+router.get('/admin/users/:userId', protect, requirePermission('users.view'), userController.getUserById);
 
 /**
  * @swagger
@@ -1089,7 +1474,107 @@ router.get('/admin/users/:userId', protect, adminProtect, userController.getUser
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
-router.get('/admin/admins', protect, adminProtect, userController.getAllAdmins);
+router.get('/admin/admins', protect, requirePermission('admins.manage'), userController.getAllAdmins);
+
+/**
+ * @swagger
+ * /users/admin/roles:
+ *   get:
+ *     tags: [Admin]
+ *     summary: List admin roles and their permissions
+ *     security:
+ *       - adminAuth: []
+ *     responses:
+ *       200:
+ *         description: Role catalogue
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 roles:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       name:
+ *                         type: string
+ *                         example: finance
+ *                       label:
+ *                         type: string
+ *                       permissions:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                 permissions:
+ *                   type: object
+ *                   description: Permission name to description
+ *       403:
+ *         description: Missing admins.manage permission
+ */
+router.get('/admin/roles', protect, requirePermission('admins.manage'), adminRoleController.getRoles);
+
+/**
+ * @swagger
+ * /users/admin/me/permissions:
+ *   get:
+ *     tags: [Admin]
+ *     summary: Roles and permissions of the current admin
+ *     security:
+ *       - adminAuth: []
+ *     responses:
+ *       200:
+ *         description: Effective roles and permissions
+ *       403:
+ *         description: Not an admin
+ */
+router.get('/admin/me/permissions', protect, requirePermission(), adminRoleController.getMyPermissions);
+
+/**
+ * @swagger
+ * /users/admin/users/{userId}/roles:
+ *   put:
+ *     tags: [Admin]
+ *     summary: Assign admin roles to a user
+ *     description: |
+ *       Replaces the user's admin roles. Any role makes the user an admin; an empty list
+ *       removes admin access. You cannot change your own roles or remove the last super admin.
+ *       Recorded in the admin audit log as ASSIGN_ADMIN_ROLES.
+ *     security:
+ *       - adminAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [roles]
+ *             properties:
+ *               roles:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [super_admin, finance, support, kyc_reviewer, marketplace_moderator]
+ *                 example: [support]
+ *     responses:
+ *       200:
+ *         description: Roles updated
+ *       400:
+ *         description: Invalid roles, own account, or last super admin
+ *       403:
+ *         description: Missing admins.manage permission
+ *       404:
+ *         description: User not found
+ */
+router.put('/admin/users/:userId/roles', protect, requirePermission('admins.manage'), adminRoleController.assignRoles);
 /**
  * @swagger
  * /users/kyc/create-link:
@@ -1645,21 +2130,122 @@ router.post('/kyc/webhook/smileid', express.raw({ type: 'application/json' }), u
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
-router.get('/admin/user-details/:identifier', protect, adminProtect, userController.getUserDetails);
+router.get('/admin/user-details/:identifier', protect, requirePermission('users.view'), userController.getUserDetails);
 
 // Admin: Complete user overview
 const adminCompleteOverviewController = require('../controller/adminCompleteOverviewController');
-router.get('/admin/user/:userId/complete-overview', protect, adminProtect, adminCompleteOverviewController.getCompleteUserOverview);
-router.get('/admin/complete-overview', protect, adminProtect, adminCompleteOverviewController.getCompleteProjectOverview);
+router.get('/admin/user/:userId/complete-overview', protect, requirePermission('reports.view'), adminCompleteOverviewController.getCompleteUserOverview);
+router.get('/admin/complete-overview', protect, requirePermission('reports.view'), adminCompleteOverviewController.getCompleteProjectOverview);
 
 // Shareholder Onboarding
 router.post('/onboarding-agreement', protect, userController.submitOnboardingAgreement);
 router.get('/onboarding-status', protect, userController.getOnboardingStatus);
 
-router.post('/admin/referral/update-rates', protect, adminProtect, userController.updateReferralRates);
+/**
+ * @swagger
+ * /users/admin/referral/update-rates:
+ *   post:
+ *     tags: [Admin]
+ *     summary: Update the referral commission rules
+ *     description: |
+ *       Every field is optional; only those sent are changed. Rules override the level
+ *       rates, depth and minimum for a purchase type and/or tier. The most specific
+ *       active rule wins (type and tier, then tier, then type).
+ *     security:
+ *       - adminAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               levels:
+ *                 type: array
+ *                 description: Percentage paid to each generation; may not add up to more than 100
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     level: { type: integer, minimum: 1, maximum: 10 }
+ *                     rate: { type: number, minimum: 0, maximum: 100 }
+ *                 example: [{ level: 1, rate: 15 }, { level: 2, rate: 3 }, { level: 3, rate: 2 }, { level: 4, rate: 1 }]
+ *               maxDepth:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 10
+ *               minPurchase:
+ *                 type: number
+ *                 description: Purchases worth less than this in naira pay no commission; other currencies are converted first
+ *               lockDays:
+ *                 type: integer
+ *                 description: Days a commission stays locked before it can be withdrawn
+ *               commissionRules:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required: [name]
+ *                   properties:
+ *                     name: { type: string }
+ *                     purchaseType: { type: string, enum: [share, co-founder, other] }
+ *                     tierKey: { type: string }
+ *                     rates: { type: array, items: { type: object } }
+ *                     maxDepth: { type: integer }
+ *                     minPurchase: { type: number }
+ *                     lockDays: { type: integer }
+ *                     active: { type: boolean }
+ *                 example: [{ name: 'Co-founder', purchaseType: 'co-founder', rates: [{ level: 1, rate: 10 }], maxDepth: 1 }]
+ *     responses:
+ *       200:
+ *         description: Rules saved
+ *       400:
+ *         description: Invalid rules; errors lists each problem
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.post('/admin/referral/update-rates', protect, requirePermission('referrals.manage'), userController.updateReferralRates);
 
 
-router.put('/admin/users/:userId', protect, adminProtect, userController.adminUpdateUser);
-router.post('/admin/users/:userId/reset-password', protect, adminProtect, userController.adminResetUserPassword);
+router.put('/admin/users/:userId', protect, requirePermission('users.manage'), userController.adminUpdateUser);
+router.post('/admin/users/:userId/reset-password', protect, requirePermission('users.manage'), userController.adminResetUserPassword);
+
+/**
+ * @swagger
+ * /users/admin/users/{userId}/2fa/reset:
+ *   post:
+ *     tags: [Admin]
+ *     summary: Reset a user's two-factor authentication
+ *     description: |
+ *       For users who lost their authenticator and backup codes. Clears the user's 2FA,
+ *       signs them out of every session and records the reset in the admin audit log.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/TwoFactorCode'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: "Lost phone, identity confirmed via support ticket"
+ *     responses:
+ *       200:
+ *         description: 2FA reset
+ *       400:
+ *         description: Reason missing
+ *       403:
+ *         description: Not an admin, or admin 2FA step-up missing
+ *       404:
+ *         description: User not found
+ */
+router.post('/admin/users/:userId/2fa/reset', protect, requirePermission('users.manage'), twoFactorController.adminResetTwoFactor);
 
 module.exports = router;
@@ -12,8 +12,12 @@
 const express = require('express');
 const router = express.Router();
 const withdrawalController = require('../controller/withdrawalController');
-const { protect, adminProtect } = require('../middleware/auth');
+const payoutBatchController = require('../controller/payoutBatchController');
+const { protect, requirePermission } = require('../middleware/auth');
 const { bankWithdrawalGuard, cryptoWithdrawalGuard, withdrawalAdminGuard } = require('../middleware/withdrawalGuard');
+const { idempotency, idempotentReplay } = require('../middleware/idempotency');
+const { requireTwoFactor } = require('../middleware/twoFactor');
+const { requireApproval } = require('../middleware/approval');
 
 // ========== BANK WITHDRAWAL ROUTES ==========
 
@@ -27,6 +31,9 @@ const { bankWithdrawalGuard, cryptoWithdrawalGuard, withdrawalAdminGuard } = req
  *       - Bank Withdrawal
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/TwoFactorCode'
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -47,15 +54,18 @@ const { bankWithdrawalGuard, cryptoWithdrawalGuard, withdrawalAdminGuard } = req
  *       200:
  *         description: Withdrawal processed successfully
  */
-router.post('/instant', protect, bankWithdrawalGuard, withdrawalController.checkExistingWithdrawals, withdrawalController.processInstantWithdrawal);
+router.post('/instant', protect, idempotentReplay, requireTwoFactor, idempotency, bankWithdrawalGuard, withdrawalController.checkExistingWithdrawals, withdrawalController.processInstantWithdrawal);
 
 /**
  * @swagger
  * /withdrawal/request:
  *   post:
  *     summary: Request a bank withdrawal
+ *     parameters:
+ *       - $ref: '#/components/parameters/TwoFactorCode'
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  */
-router.post('/request', protect, bankWithdrawalGuard, withdrawalController.checkExistingWithdrawals, withdrawalController.requestWithdrawal);
+router.post('/request', protect, idempotentReplay, requireTwoFactor, idempotency, bankWithdrawalGuard, withdrawalController.checkExistingWithdrawals, withdrawalController.requestWithdrawal);
 
 /**
  * @swagger
@@ -99,12 +109,46 @@ router.get('/history', protect, withdrawalController.getWithdrawalHistory);
  *                   properties:
  *                     totalEarnings:
  *                       type: number
+ *                       description: Matured commissions; excludes lockedEarnings
+ *                     lockedEarnings:
+ *                       type: number
+ *                       description: Commissions still in their lock period, not yet withdrawable
+ *                     nextUnlockAt:
+ *                       type: string
+ *                       format: date-time
+ *                       nullable: true
+ *                       description: When the next locked commission becomes withdrawable
+ *                     clawbackOutstanding:
+ *                       type: number
+ *                       description: Reversed commissions already withdrawn, recovered from future commissions
  *                     totalWithdrawn:
  *                       type: number
  *                     availableBalance:
  *                       type: number
  *                     minimumWithdrawalAmount:
  *                       type: number
+ *                     canWithdraw:
+ *                       type: boolean
+ *                       description: Whether a minimum bank withdrawal would be accepted now
+ *                     withdrawalBlock:
+ *                       type: object
+ *                       nullable: true
+ *                       description: Why canWithdraw is false, and when that lifts if known
+ *                       properties:
+ *                         code:
+ *                           type: string
+ *                           enum: [WITHDRAWAL_IN_PROGRESS, BELOW_MINIMUM, FIRST_WITHDRAWAL_HOLD, BANK_CHANGE_COOLDOWN, VELOCITY_COUNT_LIMIT, VELOCITY_AMOUNT_LIMIT]
+ *                         retryAt:
+ *                           type: string
+ *                           format: date-time
+ *                           nullable: true
+ *                     allowance:
+ *                       type: object
+ *                       description: |
+ *                         What the rolling withdrawal caps still allow, per method (bank, crypto) and
+ *                         window (daily, weekly, monthly) as { remainingCount, remainingAmount, resetsAt };
+ *                         null means uncapped. bankCooldownUntil and firstWithdrawalHoldUntil are set
+ *                         while a recent bank-detail change or the new-account hold blocks withdrawals.
  *       401:
  *         description: Unauthorized
  */
@@ -155,7 +199,7 @@ router.get('/download-receipt/:id', protect, withdrawalController.downloadWithdr
  *   get:
  *     summary: Get withdrawal statistics (Admin)
  */
-router.get('/admin/stats', protect, adminProtect, withdrawalController.getWithdrawalStats);
+router.get('/admin/stats', protect, requirePermission('reports.view'), withdrawalController.getWithdrawalStats);
 
 /**
  * @swagger
@@ -163,7 +207,7 @@ router.get('/admin/stats', protect, adminProtect, withdrawalController.getWithdr
  *   get:
  *     summary: Get all instant withdrawals (Admin)
  */
-router.get('/admin/instant', protect, adminProtect, withdrawalController.getInstantWithdrawals);
+router.get('/admin/instant', protect, requirePermission('withdrawals.process'), withdrawalController.getInstantWithdrawals);
 
 /**
  * @swagger
@@ -171,7 +215,7 @@ router.get('/admin/instant', protect, adminProtect, withdrawalController.getInst
  *   get:
  *     summary: Get pending bank withdrawals (Admin)
  */
-router.get('/admin/pending', protect, adminProtect, withdrawalController.getPendingWithdrawals);
+router.get('/admin/pending', protect, requirePermission('withdrawals.process'), withdrawalController.getPendingWithdrawals);
 
 /**
  * @swagger
@@ -179,7 +223,7 @@ router.get('/admin/pending', protect, adminProtect, withdrawalController.getPend
  *   put:
  *     summary: Approve pending bank withdrawal (Admin)
  */
-router.put('/admin/:id/approve', protect, adminProtect, withdrawalAdminGuard, withdrawalController.approveWithdrawal);
+router.put('/admin/:id/approve', protect, requirePermission('withdrawals.process'), withdrawalAdminGuard, withdrawalController.approveWithdrawal);
 
 /**
  * @swagger
@@ -187,7 +231,7 @@ router.put('/admin/:id/approve', protect, adminProtect, withdrawalAdminGuard, wi
  *   put:
  *     summary: Reject pending bank withdrawal (Admin)
  */
-router.put('/admin/:id/reject', protect, adminProtect, withdrawalController.rejectWithdrawal);
+router.put('/admin/:id/reject', protect, requirePermission('withdrawals.process'), withdrawalController.rejectWithdrawal);
 
 /**
  * @swagger
@@ -195,7 +239,7 @@ router.put('/admin/:id/reject', protect, adminProtect, withdrawalController.reje
  *   put:
  *     summary: Mark withdrawal as paid (Admin)
  */
-router.put('/admin/:id/pay', protect, adminProtect, withdrawalAdminGuard, withdrawalController.markWithdrawalAsPaid);
+router.put('/admin/:id/pay', protect, requirePermission('withdrawals.process'), withdrawalAdminGuard, requireApproval('withdrawal.pay'), withdrawalController.markWithdrawalAsPaid);
 
 /**
  * @swagger
@@ -203,7 +247,159 @@ router.put('/admin/:id/pay', protect, adminProtect, withdrawalAdminGuard, withdr
  *   get:
  *     summary: Get all withdrawals (Admin)
  */
-router.get('/admin/all', protect, adminProtect, withdrawalController.getAllWithdrawals);
+router.get('/admin/all', protect, requirePermission('withdrawals.process'), withdrawalController.getAllWithdrawals);
+
+// ========== ADMIN PAYOUT BATCH ROUTES ==========
+
+/**
+ * @swagger
+ * /withdrawal/admin/batches/queue:
+ *   get:
+ *     summary: Count and total of approved bank withdrawals waiting for a payout batch (Admin)
+ *     tags:
+ *       - Payout Batches
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/admin/batches/queue', protect, requirePermission('withdrawals.process'), payoutBatchController.getPayoutQueue);
+
+/**
+ * @swagger
+ * /withdrawal/admin/batches:
+ *   get:
+ *     summary: List payout batches (Admin)
+ *     tags:
+ *       - Payout Batches
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, processing, completed, cancelled]
+ *   post:
+ *     summary: Create a payout batch from approved bank withdrawals (Admin)
+ *     description: Picks the listed withdrawals, or the oldest approved ones up to maxItems / maxAmount.
+ *     tags:
+ *       - Payout Batches
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               withdrawalIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               maxItems:
+ *                 type: integer
+ *               maxAmount:
+ *                 type: number
+ *               notes:
+ *                 type: string
+ */
+router.get('/admin/batches', protect, requirePermission('withdrawals.process'), payoutBatchController.listPayoutBatches);
+router.post('/admin/batches', protect, requirePermission('withdrawals.process'), payoutBatchController.createPayoutBatch);
+
+/**
+ * @swagger
+ * /withdrawal/admin/batches/{id}:
+ *   get:
+ *     summary: Get a payout batch with its items (Admin)
+ *     tags:
+ *       - Payout Batches
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/admin/batches/:id', protect, requirePermission('withdrawals.process'), payoutBatchController.getPayoutBatch);
+
+/**
+ * @swagger
+ * /withdrawal/admin/batches/{id}/release:
+ *   post:
+ *     summary: Release an open payout batch as a bank file or through the payout provider (Admin)
+ *     description: Batches at or above the withdrawal.batch.release threshold need a second admin's approval.
+ *     tags:
+ *       - Payout Batches
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - method
+ *             properties:
+ *               method:
+ *                 type: string
+ *                 enum: [file, provider]
+ */
+router.post('/admin/batches/:id/release', protect, requirePermission('withdrawals.process'), withdrawalAdminGuard, requireApproval('withdrawal.batch.release'), payoutBatchController.releasePayoutBatch);
+
+/**
+ * @swagger
+ * /withdrawal/admin/batches/{id}/file:
+ *   get:
+ *     summary: Download the bank bulk-transfer file of a released batch (Admin)
+ *     tags:
+ *       - Payout Batches
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, xlsx]
+ *           default: csv
+ */
+router.get('/admin/batches/:id/file', protect, requirePermission('withdrawals.process'), payoutBatchController.downloadPayoutBatchFile);
+
+/**
+ * @swagger
+ * /withdrawal/admin/batches/{id}/reconcile:
+ *   post:
+ *     summary: Upload the bank's result file for a released batch (Admin)
+ *     description: CSV or XLSX with Reference and Status columns (optional Reason and Bank Reference). Failed items go back to the approved queue.
+ *     tags:
+ *       - Payout Batches
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ */
+router.post('/admin/batches/:id/reconcile', protect, requirePermission('withdrawals.process'), payoutBatchController.uploadResultFile, payoutBatchController.reconcilePayoutBatch);
+
+/**
+ * @swagger
+ * /withdrawal/admin/batches/{id}/cancel:
+ *   post:
+ *     summary: Cancel an open payout batch, returning its withdrawals to the queue (Admin)
+ *     tags:
+ *       - Payout Batches
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/admin/batches/:id/cancel', protect, requirePermission('withdrawals.process'), payoutBatchController.cancelPayoutBatch);
 
 // ========== NEW: ADMIN USER LOOKUP ROUTES ==========
 
@@ -230,7 +426,7 @@ router.get('/admin/all', protect, adminProtect, withdrawalController.getAllWithd
  *       404:
  *         description: User not found
  */
-router.get('/admin/user/:identifier/balance', protect, adminProtect, withdrawalController.adminGetUserBalance);
+router.get('/admin/user/:identifier/balance', protect, requirePermission('withdrawals.process'), withdrawalController.adminGetUserBalance);
 
 /**
  * @swagger
@@ -260,7 +456,7 @@ router.get('/admin/user/:identifier/balance', protect, adminProtect, withdrawalC
  *           type: string
  *         description: Filter by type (bank, crypto)
  */
-router.get('/admin/user/:identifier/withdrawals', protect, adminProtect, withdrawalController.adminGetUserWithdrawals);
+router.get('/admin/user/:identifier/withdrawals', protect, requirePermission('withdrawals.process'), withdrawalController.adminGetUserWithdrawals);
 
 /**
  * @swagger
@@ -280,7 +476,7 @@ router.get('/admin/user/:identifier/withdrawals', protect, adminProtect, withdra
  *           type: string
  *         description: User ID, username, or email
  */
-router.get('/admin/user/:identifier/pending', protect, adminProtect, withdrawalController.adminGetUserPendingWithdrawals);
+router.get('/admin/user/:identifier/pending', protect, requirePermission('withdrawals.process'), withdrawalController.adminGetUserPendingWithdrawals);
 
 /**
  * @swagger
@@ -300,7 +496,57 @@ router.get('/admin/user/:identifier/pending', protect, adminProtect, withdrawalC
  *           type: string
  *         description: User ID, username, or email
  */
-router.get('/admin/user/:identifier/summary', protect, adminProtect, withdrawalController.adminGetUserWithdrawalSummary);
+router.get('/admin/user/:identifier/summary', protect, requirePermission('withdrawals.process'), withdrawalController.adminGetUserWithdrawalSummary);
+
+/**
+ * @swagger
+ * /withdrawal/admin/user/{identifier}/ledger:
+ *   get:
+ *     summary: Get user's ledger statement (Admin lookup)
+ *     description: Journal entries touching the user's accounts, with balances computed from postings and compared against the cached Referral counters
+ *     tags:
+ *       - Admin User Lookup
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: identifier
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID, username, or email
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ */
+router.get('/admin/user/:identifier/ledger', protect, requirePermission('withdrawals.process'), withdrawalController.adminGetUserLedger);
+
+/**
+ * @swagger
+ * /withdrawal/admin/user/{identifier}/ledger/rebuild:
+ *   post:
+ *     summary: Rebuild user's cached balances from the ledger (Admin)
+ *     description: Overwrites the Referral earnings/withdrawal counters with the balances computed from ledger postings
+ *     tags:
+ *       - Admin User Lookup
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: identifier
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID, username, or email
+ */
+router.post('/admin/user/:identifier/ledger/rebuild', protect, requirePermission('ledger.adjust'), withdrawalController.adminRebuildUserBalance);
 
 // ========== CRYPTO WITHDRAWAL ROUTES ==========
 
@@ -333,8 +579,11 @@ router.post('/crypto/wallet/setup', protect, withdrawalController.setupCryptoWal
  * /withdrawal/crypto/request:
  *   post:
  *     summary: Request crypto withdrawal
+ *     parameters:
+ *       - $ref: '#/components/parameters/TwoFactorCode'
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  */
-router.post('/crypto/request', protect, cryptoWithdrawalGuard, withdrawalController.processCryptoWithdrawal);
+router.post('/crypto/request', protect, idempotentReplay, requireTwoFactor, idempotency, cryptoWithdrawalGuard, withdrawalController.processCryptoWithdrawal);
 
 /**
  * @swagger
@@ -376,7 +625,7 @@ router.get('/crypto/download-receipt/:id', protect, withdrawalController.downloa
  *   post:
  *     summary: Setup admin crypto wallet (Admin)
  */
-router.post('/admin/crypto/wallet/setup', protect, adminProtect, withdrawalController.setupAdminCryptoWallet);
+router.post('/admin/crypto/wallet/setup', protect, requirePermission('withdrawals.control'), withdrawalController.setupAdminCryptoWallet);
 
 /**
  * @swagger
@@ -384,7 +633,7 @@ router.post('/admin/crypto/wallet/setup', protect, adminProtect, withdrawalContr
  *   get:
  *     summary: Get admin wallet status (Admin)
  */
-router.get('/admin/crypto/wallet/status', protect, adminProtect, withdrawalController.getAdminCryptoWalletStatus);
+router.get('/admin/crypto/wallet/status', protect, requirePermission('withdrawals.process'), withdrawalController.getAdminCryptoWalletStatus);
 
 /**
  * @swagger
@@ -392,7 +641,7 @@ router.get('/admin/crypto/wallet/status', protect, adminProtect, withdrawalContr
  *   post:
  *     summary: Process pending crypto withdrawals (Admin)
  */
-router.post('/admin/crypto/process', protect, adminProtect, withdrawalAdminGuard, withdrawalController.processPendingCryptoWithdrawals);
+router.post('/admin/crypto/process', protect, requirePermission('withdrawals.process'), withdrawalAdminGuard, withdrawalController.processPendingCryptoWithdrawals);
 
 /**
  * @swagger
@@ -400,7 +649,7 @@ router.post('/admin/crypto/process', protect, adminProtect, withdrawalAdminGuard
  *   get:
  *     summary: Get pending crypto withdrawals (Admin)
  */
-router.get('/admin/crypto/pending', protect, adminProtect, withdrawalController.getPendingCryptoWithdrawals);
+router.get('/admin/crypto/pending', protect, requirePermission('withdrawals.process'), withdrawalController.getPendingCryptoWithdrawals);
 
 /**
  * @swagger
@@ -408,6 +657,6 @@ router.get('/admin/crypto/pending', protect, adminProtect, withdrawalController.
  *   get:
  *     summary: Get crypto withdrawal statistics (Admin)
  */
-router.get('/admin/crypto/stats', protect, adminProtect, withdrawalController.getCryptoStats);
+router.get('/admin/crypto/stats', protect, requirePermission('reports.view'), withdrawalController.getCryptoStats);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,88 @@
+// scripts/backfillLedger.js
+// Seed opening-balance journal entries for every Referral and Franchise record
+// so balances can be read from the ledger instead of the cached counters.
+//
+// Usage:
+//   node scripts/backfillLedger.js            # seed users and franchises
+//   node scripts/backfillLedger.js --dry-run  # only report what would be seeded
+
+const mongoose = require('mongoose');
+const path = require('path');
+
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+
+const Referral = require('../models/Referral');
+const Franchise = require('../models/Franchise');
+const ledgerService = require('../utils/ledgerService');
+
+const DRY_RUN = process.argv.includes('--dry-run');
+
+async function connectDB() {
+  const mongoUri = process.env.MONGODB_URI || process.env.MONGO_URI;
+  if (!mongoUri) {
+    console.error('❌ MONGODB_URI is not set');
+    process.exit(1);
+  }
+  await mongoose.connect(mongoUri);
+  console.log('✅ Connected to MongoDB');
+}
+
+async function backfillUsers() {
+  let seeded = 0;
+  let skipped = 0;
+
+  const cursor = Referral.find({}, { user: 1 }).lean().cursor();
+  for await (const referral of cursor) {
+    if (DRY_RUN) {
+      seeded++;
+      continue;
+    }
+
+    const entry = await ledgerService.ensureUserOpeningBalance(referral.user);
+    if (entry) {
+      await ledgerService.syncReferralBalances(referral.user);
+      seeded++;
+    } else {
+      skipped++;
+    }
+  }
+
+  console.log(`👤 Users: ${seeded} ${DRY_RUN ? 'to check' : 'seeded'}, ${skipped} already on ledger or empty`);
+}
+
+async function backfillFranchises() {
+  let seeded = 0;
+
+  const franchises = await Franchise.find({ creditBalance: { $gt: 0 } });
+  for (const franchise of franchises) {
+    if (DRY_RUN) {
+      seeded++;
+      continue;
+    }
+    if (await ledgerService.ensureFranchiseOpeningBalance(franchise)) seeded++;
+  }
+
+  console.log(`🏪 Franchises: ${seeded} seeded`);
+}
+
+async function main() {
+  try {
+    await connectDB();
+    if (DRY_RUN) console.log('🧪 Dry run — no entries will be written');
+
+    await backfillUsers();
+    await backfillFranchises();
+
+    await mongoose.disconnect();
+    console.log('✅ Ledger backfill complete');
+  } catch (error) {
+    console.error('💥 Ledger backfill failed:', error);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { backfillUsers, backfillFranchises };
@@ -0,0 +1,157 @@
+// services/payoutProviders/PayoutProvider.js
+/**
+ * Base class for payout provider adapters.
+ *
+ * Every adapter implements the same four operations and returns the same
+ * shapes, whatever the provider's API looks like:
+ *
+ *   initiateTransfer({ reference, amount, accountNumber, bankCode, bankName, accountName, narration })
+ *   getTransferStatus(reference)
+ *     -> { status, providerReference, failureReason, failedAt, raw }
+ *        status is one of 'successful', 'processing', 'pending' or 'failed'
+ *   resolveAccount({ accountNumber, bankCode })
+ *     -> { accountNumber, accountName, bank: { code, name } }
+ *   listBanks()
+ *     -> [{ code, name }]
+ *
+ * Providers that push transfer updates also implement
+ *
+ *   verifyWebhook(rawBody, headers)  -> true when the delivery is signed by the provider
+ *   parseWebhook(body)
+ *     -> { event, reference, providerReference, transfer }, or null for events
+ *        that are not about a transfer; `transfer` has the getTransferStatus shape
+ *
+ * `reference` is the withdrawal's transferReference: its clientReference on
+ * the first attempt and `<clientReference>-R<n>` on retry n. `amount` is naira.
+ */
+
+const crypto = require('crypto');
+
+const REQUEST_TIMEOUT = 30000;
+const BANK_LIST_TTL = 60 * 60 * 1000;
+
+// No response at all: the request never reached the provider
+const CONNECTION_ERRORS = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH'];
+
+class PayoutProviderError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} [options]
+   * @param {string} [options.provider]
+   * @param {number} [options.statusCode]
+   * @param {boolean} [options.failover] - the call certainly had no effect, so the
+   *   next provider may be tried. False whenever a transfer might have gone out.
+   */
+  constructor(message, { provider = null, statusCode = 502, failover = false } = {}) {
+    super(message);
+    this.name = 'PayoutProviderError';
+    this.provider = provider;
+    this.statusCode = statusCode;
+    this.failover = failover;
+  }
+}
+
+const normaliseBankName = (name) => String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Constant-time check of a hex HMAC-SHA512 webhook signature
+ */
+const isValidHmacSignature = (rawBody, signature, key) => {
+  if (!rawBody || !signature || !key) return false;
+
+  const expected = crypto.createHmac('sha512', key).update(rawBody).digest('hex');
+  const received = String(signature);
+
+  return expected.length === received.length &&
+    crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(received));
+};
+
+class PayoutProvider {
+  constructor(name) {
+    this.name = name;
+    this.bankCache = null;
+  }
+
+  isConfigured() {
+    return false;
+  }
+
+  async initiateTransfer() {
+    throw new PayoutProviderError(`${this.name} does not support transfers`, { provider: this.name, failover: true });
+  }
+
+  async getTransferStatus() {
+    throw new PayoutProviderError(`${this.name} does not support status checks`, { provider: this.name });
+  }
+
+  async resolveAccount() {
+    throw new PayoutProviderError(`${this.name} does not support account lookups`, { provider: this.name, failover: true });
+  }
+
+  async listBanks() {
+    throw new PayoutProviderError(`${this.name} does not list banks`, { provider: this.name, failover: true });
+  }
+
+  verifyWebhook() {
+    return false;
+  }
+
+  parseWebhook() {
+    return null;
+  }
+
+  /**
+   * listBanks(), kept for an hour
+   */
+  async cachedBanks() {
+    if (!this.bankCache || this.bankCache.expiresAt < Date.now()) {
+      this.bankCache = { banks: await this.listBanks(), expiresAt: Date.now() + BANK_LIST_TTL };
+    }
+    return this.bankCache.banks;
+  }
+
+  /**
+   * This provider's code for a saved bank account. Providers number banks
+   * differently, so an account saved from another provider's bank list is
+   * matched on the bank name instead. If the list cannot be fetched the
+   * saved code is sent as it is.
+   */
+  async bankCodeFor({ bankCode, bankName }) {
+    let banks;
+    try {
+      banks = await this.cachedBanks();
+    } catch (error) {
+      console.warn(`Could not load ${this.name} bank list: ${error.message}`);
+      return bankCode;
+    }
+    if (banks.some(bank => bank.code === bankCode)) return bankCode;
+    const match = bankName && banks.find(bank => normaliseBankName(bank.name) === normaliseBankName(bankName));
+    return match ? match.code : bankCode;
+  }
+
+  /**
+   * PayoutProviderError for a failed axios call. A request that never
+   * reached the provider, or that it refused outright (4xx other than a
+   * duplicate reference), can be retried elsewhere; a timeout or a 5xx
+   * cannot, since the transfer may have been made.
+   */
+  toProviderError(error) {
+    if (error instanceof PayoutProviderError) return error;
+
+    const status = error.response?.status;
+    const message = error.response?.data?.message || error.message || `${this.name} request failed`;
+    const refused = status >= 400 && status < 500 && status !== 409;
+    return new PayoutProviderError(message, {
+      provider: this.name,
+      statusCode: refused ? status : 502,
+      failover: refused || (!error.response && CONNECTION_ERRORS.includes(error.code))
+    });
+  }
+}
+
+module.exports = {
+  PayoutProvider,
+  PayoutProviderError,
+  REQUEST_TIMEOUT,
+  isValidHmacSignature
+};
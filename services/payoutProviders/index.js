@@ -0,0 +1,171 @@
+// services/payoutProviders/index.js
+/**
+ * Payout providers.
+ *
+ * Each payment method is paid out through an ordered list of providers,
+ * stored on WithdrawalConfig under `payout_providers` and changed through
+ * POST /api/withdrawal/admin/control/providers:
+ *
+ *   { bank: ['lenco', 'paystack'] }
+ *
+ * A transfer goes to the first configured provider in the list and only
+ * moves on to the next when the provider certainly did not make it
+ * (PayoutProviderError.failover), so a payout is never sent twice. Status
+ * checks always go to the provider recorded on the withdrawal.
+ *
+ * Without a stored list the PAYOUT_PROVIDER env var is used (comma-separated),
+ * then Lenco when LENCO_API_KEY is set, then the sandbox when it is enabled
+ * (see sandbox.js), and otherwise Lenco, which fails as not configured.
+ */
+
+const WithdrawalConfig = require('../../models/WithdrawalConfig');
+const { PayoutProviderError } = require('./PayoutProvider');
+const lenco = require('./lenco');
+const paystack = require('./paystack');
+const sandbox = require('./sandbox');
+
+const PROVIDERS = { lenco, paystack, sandbox };
+const CONFIG_KEY = 'payout_providers';
+
+// Payment methods paid out through a provider (crypto is sent on-chain)
+const PAYOUT_METHODS = ['bank'];
+
+// Withdrawals from before providers were recorded all went through Lenco
+const LEGACY_PROVIDER = 'lenco';
+
+const getProvider = (name) => PROVIDERS[name] || null;
+
+const defaultRoute = () => {
+  if (process.env.PAYOUT_PROVIDER) {
+    return process.env.PAYOUT_PROVIDER.split(',').map(name => name.trim()).filter(Boolean);
+  }
+  if (!lenco.isConfigured() && sandbox.isConfigured()) return ['sandbox'];
+  return ['lenco'];
+};
+
+const storedRoutes = async () => {
+  const doc = await WithdrawalConfig.findOne({ key: CONFIG_KEY });
+  return (doc && doc.value) || {};
+};
+
+/**
+ * Provider list for every payout method
+ * @returns {Promise<Object>} { bank: ['lenco', ...] }
+ */
+const getRoutes = async () => {
+  const stored = await storedRoutes();
+  return Object.fromEntries(PAYOUT_METHODS.map(method => [
+    method,
+    Array.isArray(stored[method]) && stored[method].length ? stored[method] : defaultRoute()
+  ]));
+};
+
+const getRoute = async (paymentMethod) => (await getRoutes())[paymentMethod] || defaultRoute();
+
+/**
+ * Problems with a provider list for a payment method; empty when it can be saved
+ */
+const validateRoute = (paymentMethod, providers) => {
+  if (!PAYOUT_METHODS.includes(paymentMethod)) {
+    return [`paymentMethod must be one of ${PAYOUT_METHODS.join(', ')}`];
+  }
+  if (!Array.isArray(providers) || !providers.length) {
+    return ['providers must be a non-empty list'];
+  }
+
+  const errors = [];
+  providers.forEach((name, i) => {
+    const provider = getProvider(name);
+    if (!provider) {
+      errors.push(`providers[${i}] must be one of ${Object.keys(PROVIDERS).join(', ')}`);
+    } else if (providers.indexOf(name) !== i) {
+      errors.push(`providers[${i}] ${name} is listed more than once`);
+    } else if (!provider.isConfigured()) {
+      errors.push(`providers[${i}] ${name} is not configured on this server`);
+    }
+  });
+  return errors;
+};
+
+/**
+ * Save the provider list for a payment method (validate it first)
+ */
+const setRoute = async (paymentMethod, providers, { updatedBy = null, reason = null } = {}) => {
+  const routes = { ...(await storedRoutes()), [paymentMethod]: providers };
+  await WithdrawalConfig.findOneAndUpdate(
+    { key: CONFIG_KEY },
+    { key: CONFIG_KEY, value: routes, updatedBy, reason, updatedAt: new Date() },
+    { upsert: true, new: true }
+  );
+  return routes;
+};
+
+/**
+ * Every provider and whether this server has credentials for it
+ */
+const describeProviders = () =>
+  Object.values(PROVIDERS).map(provider => ({ name: provider.name, configured: provider.isConfigured() }));
+
+/**
+ * Run `operation` against the payment method's providers in order, moving
+ * on only when a provider is not configured or failed without effect.
+ * The error thrown when every provider was skipped keeps failover set, so
+ * callers can tell nothing was sent.
+ */
+const withFailover = async (paymentMethod, operation) => {
+  let lastError = null;
+  for (const name of await getRoute(paymentMethod)) {
+    const provider = getProvider(name);
+    if (!provider || !provider.isConfigured()) continue;
+    try {
+      return { provider: name, result: await operation(provider) };
+    } catch (error) {
+      if (!(error instanceof PayoutProviderError) || !error.failover) throw error;
+      console.warn(`Payout provider ${name} failed, trying the next one: ${error.message}`);
+      lastError = error;
+    }
+  }
+  throw lastError || new PayoutProviderError(`No payout provider is configured for ${paymentMethod} withdrawals`, { statusCode: 503, failover: true });
+};
+
+/**
+ * Send a transfer
+ * @returns {Promise<Object>} { provider, status, providerReference, failureReason, failedAt, raw }
+ */
+const initiateTransfer = async (paymentMethod, transfer) => {
+  const { provider, result } = await withFailover(paymentMethod, p => p.initiateTransfer(transfer));
+  return { provider, ...result };
+};
+
+/**
+ * Latest status of a withdrawal's transfer, from the provider it went through
+ */
+const getTransferStatus = async (withdrawal) => {
+  const name = withdrawal.payoutProvider || LEGACY_PROVIDER;
+  const provider = getProvider(name);
+  if (!provider || !provider.isConfigured()) {
+    throw new PayoutProviderError(`Payout provider ${name} is not configured`, { provider: name, statusCode: 503 });
+  }
+  return { provider: name, ...(await provider.getTransferStatus(withdrawal.transferReference || withdrawal.clientReference)) };
+};
+
+const resolveAccount = async (account, paymentMethod = 'bank') =>
+  (await withFailover(paymentMethod, p => p.resolveAccount(account))).result;
+
+const listBanks = async (paymentMethod = 'bank') =>
+  (await withFailover(paymentMethod, p => p.listBanks())).result;
+
+module.exports = {
+  PayoutProviderError,
+  PAYOUT_METHODS,
+  getProvider,
+  getRoutes,
+  getRoute,
+  validateRoute,
+  setRoute,
+  describeProviders,
+  initiateTransfer,
+  getTransferStatus,
+  resolveAccount,
+  listBanks
+};
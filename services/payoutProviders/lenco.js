@@ -0,0 +1,124 @@
+// services/payoutProviders/lenco.js
+const crypto = require('crypto');
+const axios = require('axios');
+const { PayoutProvider, PayoutProviderError, REQUEST_TIMEOUT, isValidHmacSignature } = require('./PayoutProvider');
+
+const BASE_URL = 'https://api.lenco.co/access/v1';
+
+const STATUSES = {
+  successful: 'successful',
+  failed: 'failed',
+  declined: 'failed',
+  processing: 'processing',
+  pending: 'pending'
+};
+
+// Webhook events about transfers we sent, and the status each one reports
+const TRANSFER_EVENTS = {
+  'transfer.successful': 'successful',
+  'transfer.failed': 'failed'
+};
+
+class LencoPayoutProvider extends PayoutProvider {
+  constructor() {
+    super('lenco');
+  }
+
+  isConfigured() {
+    return Boolean(process.env.LENCO_API_KEY);
+  }
+
+  async request(method, url, { data, params } = {}) {
+    if (!this.isConfigured()) {
+      throw new PayoutProviderError('LENCO_API_KEY is not configured', { provider: this.name, statusCode: 503, failover: true });
+    }
+    let response;
+    try {
+      response = await axios({
+        method,
+        url: `${BASE_URL}${url}`,
+        data,
+        params,
+        timeout: REQUEST_TIMEOUT,
+        headers: {
+          'Authorization': `Bearer ${process.env.LENCO_API_KEY}`,
+          'Content-Type': 'application/json'
+        }
+      });
+    } catch (error) {
+      throw this.toProviderError(error);
+    }
+    if (!response.data || !response.data.status) {
+      throw new PayoutProviderError(response.data?.message || 'Unexpected response from Lenco', { provider: this.name });
+    }
+    return response.data.data;
+  }
+
+  toTransfer(data) {
+    const status = STATUSES[data.status] || 'pending';
+    return {
+      status,
+      providerReference: data.transactionReference || null,
+      failureReason: status === 'failed' ? (data.reasonForFailure || 'Transaction failed') : null,
+      failedAt: status === 'failed' ? (data.failedAt || new Date()) : null,
+      raw: data
+    };
+  }
+
+  async initiateTransfer({ reference, amount, accountNumber, bankCode, bankName, narration }) {
+    const data = await this.request('post', '/transactions', {
+      data: {
+        accountId: process.env.LENCO_ACCOUNT_ID,
+        accountNumber,
+        bankCode: await this.bankCodeFor({ bankCode, bankName }),
+        amount: amount.toString(),
+        narration,
+        reference,
+        senderName: 'Afrimobile'
+      }
+    });
+    return this.toTransfer(data);
+  }
+
+  async getTransferStatus(reference) {
+    return this.toTransfer(await this.request('get', `/transaction-by-reference/${reference}`));
+  }
+
+  async resolveAccount({ accountNumber, bankCode }) {
+    const data = await this.request('get', '/resolve', { params: { accountNumber, bankCode } });
+    return {
+      accountNumber: data.accountNumber,
+      accountName: data.accountName,
+      bank: { code: data.bank?.code || bankCode, name: data.bank?.name || null }
+    };
+  }
+
+  async listBanks() {
+    const data = await this.request('get', '/banks');
+    return (data || []).map(bank => ({ code: bank.code, name: bank.name }));
+  }
+
+  /**
+   * Lenco signs the raw body with HMAC-SHA512, keyed with the SHA-256 hex
+   * digest of the API key, and sends it in x-lenco-signature
+   */
+  verifyWebhook(rawBody, headers) {
+    if (!this.isConfigured()) return false;
+    const key = crypto.createHash('sha256').update(process.env.LENCO_API_KEY).digest('hex');
+    return isValidHmacSignature(rawBody, headers['x-lenco-signature'], key);
+  }
+
+  parseWebhook(body) {
+    const status = TRANSFER_EVENTS[body?.event];
+    const data = body?.data;
+    if (!status || !data) return null;
+    return {
+      event: body.event,
+      reference: data.clientReference || null,
+      providerReference: data.transactionReference || null,
+      transfer: this.toTransfer({ ...data, status: data.status || status })
+    };
+  }
+}
+
+module.exports = new LencoPayoutProvider();
@@ -0,0 +1,152 @@
+// services/payoutProviders/paystack.js
+// Paystack Transfers: a transfer recipient is created for the account, then
+// the transfer is sent from the Paystack balance. Amounts are in kobo.
+const axios = require('axios');
+const { PayoutProvider, PayoutProviderError, REQUEST_TIMEOUT, isValidHmacSignature } = require('./PayoutProvider');
+
+const BASE_URL = 'https://api.paystack.co';
+
+const STATUSES = {
+  success: 'successful',
+  failed: 'failed',
+  reversed: 'failed',
+  abandoned: 'failed',
+  blocked: 'failed',
+  rejected: 'failed',
+  received: 'processing',
+  processing: 'processing',
+  pending: 'pending',
+  otp: 'pending'
+};
+
+const TRANSFER_EVENTS = {
+  'transfer.success': 'success',
+  'transfer.failed': 'failed',
+  'transfer.reversed': 'reversed'
+};
+
+// Paystack only accepts lower-case references
+const transferReference = (reference) => String(reference).toLowerCase();
+
+class PaystackPayoutProvider extends PayoutProvider {
+  constructor() {
+    super('paystack');
+  }
+
+  isConfigured() {
+    return Boolean(process.env.PAYSTACK_SECRET_KEY);
+  }
+
+  async request(method, url, { data, params } = {}) {
+    if (!this.isConfigured()) {
+      throw new PayoutProviderError('PAYSTACK_SECRET_KEY is not configured', { provider: this.name, statusCode: 503, failover: true });
+    }
+    let response;
+    try {
+      response = await axios({
+        method,
+        url: `${BASE_URL}${url}`,
+        data,
+        params,
+        timeout: REQUEST_TIMEOUT,
+        headers: {
+          'Authorization': `Bearer ${process.env.PAYSTACK_SECRET_KEY}`,
+          'Content-Type': 'application/json'
+        }
+      });
+    } catch (error) {
+      throw this.toProviderError(error);
+    }
+    if (!response.data || !response.data.status) {
+      throw new PayoutProviderError(response.data?.message || 'Unexpected response from Paystack', { provider: this.name });
+    }
+    return response.data.data;
+  }
+
+  toTransfer(data) {
+    const status = STATUSES[data.status] || 'pending';
+    return {
+      status,
+      providerReference: data.transfer_code || null,
+      failureReason: status === 'failed' ? (data.gateway_response || `Transfer ${data.status}`) : null,
+      failedAt: status === 'failed' ? new Date() : null,
+      raw: data
+    };
+  }
+
+  async initiateTransfer({ reference, amount, accountNumber, bankCode, bankName, accountName, narration }) {
+    let recipient;
+    try {
+      recipient = await this.request('post', '/transferrecipient', {
+        data: {
+          type: 'nuban',
+          name: accountName,
+          account_number: accountNumber,
+          bank_code: await this.bankCodeFor({ bankCode, bankName }),
+          currency: 'NGN'
+        }
+      });
+    } catch (error) {
+      // Nothing has been sent yet
+      throw new PayoutProviderError(error.message, { provider: this.name, statusCode: error.statusCode, failover: true });
+    }
+
+    const data = await this.request('post', '/transfer', {
+      data: {
+        source: 'balance',
+        amount: Math.round(amount * 100),
+        recipient: recipient.recipient_code,
+        reason: narration,
+        reference: transferReference(reference)
+      }
+    });
+    return this.toTransfer(data);
+  }
+
+  async getTransferStatus(reference) {
+    return this.toTransfer(await this.request('get', `/transfer/verify/${transferReference(reference)}`));
+  }
+
+  async resolveAccount({ accountNumber, bankCode }) {
+    const data = await this.request('get', '/bank/resolve', {
+      params: { account_number: accountNumber, bank_code: bankCode }
+    });
+    const bank = (await this.cachedBanks().catch(() => [])).find(b => b.code === bankCode);
+    return {
+      accountNumber: data.account_number,
+      accountName: data.account_name,
+      bank: { code: bankCode, name: bank ? bank.name : null }
+    };
+  }
+
+  async listBanks() {
+    const data = await this.request('get', '/bank', { params: { country: 'nigeria' } });
+    return (data || []).map(bank => ({ code: bank.code, name: bank.name }));
+  }
+
+  /**
+   * Same signature as charge events: HMAC-SHA512 of the raw body with the
+   * secret key, in x-paystack-signature
+   */
+  verifyWebhook(rawBody, headers) {
+    return isValidHmacSignature(rawBody, headers['x-paystack-signature'], process.env.PAYSTACK_SECRET_KEY);
+  }
+
+  /**
+   * The reference Paystack reports is the lower-cased one we sent, so
+   * withdrawals are matched on the transfer code stored when it was made
+   */
+  parseWebhook(body) {
+    const status = TRANSFER_EVENTS[body?.event];
+    const data = body?.data;
+    if (!status || !data) return null;
+    return {
+      event: body.event,
+      reference: data.reference || null,
+      providerReference: data.transfer_code || null,
+      transfer: this.toTransfer({ ...data, status: data.status || status })
+    };
+  }
+}
+
+module.exports = new PaystackPayoutProvider();
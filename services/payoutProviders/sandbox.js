@@ -0,0 +1,114 @@
+// services/payoutProviders/sandbox.js
+/**
+ * In-process payout provider for development and tests. Nothing leaves the
+ * process, and the outcome is decided by the last digit of the account
+ * number:
+ *
+ *   ...1  the transfer fails (permanently: declined)
+ *   ...2  the transfer is processing and succeeds at the next status check
+ *   ...3  the provider is unavailable (to exercise failover)
+ *   ...4  the transfer fails (transiently: payout balance too low), every time
+ *   ...5  the first transfer to the account fails transiently, later ones succeed
+ *   ...6  the transfer is accepted but the response is lost (a timeout); it
+ *         succeeds at the next status check
+ *   else  the transfer succeeds at once
+ *
+ * Transfers are kept in memory, so they are lost when the process restarts.
+ * Only available when asked for: PAYOUT_SANDBOX=true, or NODE_ENV test or
+ * development. Never in production.
+ */
+const { PayoutProvider, PayoutProviderError } = require('./PayoutProvider');
+
+const BANKS = [
+  { code: '999001', name: 'Sandbox Bank' },
+  { code: '999002', name: 'Sandbox Microfinance Bank' }
+];
+
+class SandboxPayoutProvider extends PayoutProvider {
+  constructor() {
+    super('sandbox');
+    this.transfers = new Map();
+    this.accountsTried = new Set();
+  }
+
+  isConfigured() {
+    if (process.env.NODE_ENV === 'production') return false;
+    return process.env.PAYOUT_SANDBOX === 'true' || ['test', 'development'].includes(process.env.NODE_ENV);
+  }
+
+  toTransfer(transfer) {
+    return {
+      status: transfer.status,
+      providerReference: transfer.providerReference,
+      failureReason: transfer.status === 'failed' ? transfer.failureReason : null,
+      failedAt: transfer.status === 'failed' ? transfer.createdAt : null,
+      raw: { ...transfer }
+    };
+  }
+
+  async initiateTransfer({ reference, amount, accountNumber }) {
+    // Same reference, same transfer, as with the real providers
+    if (this.transfers.has(reference)) return this.toTransfer(this.transfers.get(reference));
+
+    const outcome = String(accountNumber).slice(-1);
+    if (outcome === '3') {
+      throw new PayoutProviderError('Sandbox: provider unavailable', { provider: this.name, statusCode: 503, failover: true });
+    }
+
+    const firstToAccount = !this.accountsTried.has(String(accountNumber));
+    this.accountsTried.add(String(accountNumber));
+    const transient = outcome === '4' || (outcome === '5' && firstToAccount);
+
+    const transfer = {
+      reference,
+      amount,
+      accountNumber,
+      status: outcome === '1' || transient ? 'failed' : outcome === '2' ? 'processing' : 'successful',
+      failureReason: outcome === '1' ? 'Sandbox: transfer declined' : transient ? 'Sandbox: payout balance too low' : null,
+      providerReference: `SBX-${reference}`,
+      createdAt: new Date()
+    };
+    this.transfers.set(reference, transfer);
+
+    if (outcome === '6') {
+      transfer.status = 'processing';
+      throw new PayoutProviderError('Sandbox: gateway timeout', { provider: this.name, statusCode: 504 });
+    }
+    return this.toTransfer(transfer);
+  }
+
+  async getTransferStatus(reference) {
+    const transfer = this.transfers.get(reference);
+    if (!transfer) {
+      throw new PayoutProviderError(`Sandbox: no transfer with reference ${reference}`, { provider: this.name, statusCode: 404 });
+    }
+    if (transfer.status === 'processing') transfer.status = 'successful';
+    return this.toTransfer(transfer);
+  }
+
+  async resolveAccount({ accountNumber, bankCode }) {
+    if (!/^\d{10}$/.test(String(accountNumber))) {
+      throw new PayoutProviderError('Sandbox: account not found', { provider: this.name, statusCode: 400 });
+    }
+    const bank = BANKS.find(b => b.code === bankCode);
+    return {
+      accountNumber: String(accountNumber),
+      accountName: `Sandbox Account ${String(accountNumber).slice(-4)}`,
+      bank: { code: bankCode, name: bank ? bank.name : null }
+    };
+  }
+
+  async listBanks() {
+    return BANKS.map(bank => ({ ...bank }));
+  }
+
+  /**
+   * Forget every transfer (between tests)
+   */
+  reset() {
+    this.transfers.clear();
+    this.accountsTried.clear();
+  }
+}
+
+module.exports = new SandboxPayoutProvider();
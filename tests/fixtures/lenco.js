@@ -0,0 +1,39 @@
+// tests/fixtures/lenco.js
+// Signed Lenco webhook payloads, built the way Lenco sends them.
+const crypto = require('crypto');
+
+const TEST_LENCO_API_KEY = 'lenco_test_api_key';
+
+// Lenco keys the signature with the SHA-256 hex digest of the API key
+const sign = (body, apiKey = TEST_LENCO_API_KEY) => {
+  const key = crypto.createHash('sha256').update(apiKey).digest('hex');
+  return crypto.createHmac('sha512', key).update(body).digest('hex');
+};
+
+/**
+ * transfer.successful / transfer.failed event for one of our transfers
+ */
+const transferEvent = ({ clientReference, transactionReference = null, status = 'successful', amount = 20000, reasonForFailure = null }) => ({
+  event: `transfer.${status}`,
+  data: {
+    id: crypto.randomUUID(),
+    amount: String(amount),
+    status,
+    clientReference,
+    transactionReference,
+    reasonForFailure,
+    initiatedAt: new Date().toISOString(),
+    completedAt: status === 'successful' ? new Date().toISOString() : null,
+    failedAt: status === 'failed' ? new Date().toISOString() : null
+  }
+});
+
+/**
+ * Serialise once so the signature covers exactly the bytes sent.
+ */
+const signedPayload = (payload, apiKey) => {
+  const body = JSON.stringify(payload);
+  return { body, signature: sign(body, apiKey) };
+};
+
+module.exports = { TEST_LENCO_API_KEY, transferEvent, signedPayload, sign };
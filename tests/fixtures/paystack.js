@@ -0,0 +1,53 @@
+// tests/fixtures/paystack.js
+// Signed Paystack webhook payloads, built the way Paystack sends them.
+const crypto = require('crypto');
+
+const TEST_PAYSTACK_SECRET = 'sk_test_webhook_secret';
+
+const sign = (body, secret = TEST_PAYSTACK_SECRET) =>
+  crypto.createHmac('sha512', secret).update(body).digest('hex');
+
+/**
+ * charge.success event. amount is in naira/dollars and converted to kobo/cents.
+ */
+const chargeSuccessEvent = ({ reference, amount, metadata = {}, paidAt = new Date() }) => ({
+  event: 'charge.success',
+  data: {
+    id: Math.floor(Math.random() * 1e9),
+    status: 'success',
+    reference,
+    amount: Math.round(amount * 100),
+    currency: 'NGN',
+    paid_at: paidAt.toISOString(),
+    channel: 'card',
+    metadata
+  }
+});
+
+/**
+ * transfer.success / transfer.failed / transfer.reversed event.
+ * Paystack reports the lower-cased reference it was sent.
+ */
+const transferEvent = ({ reference, transferCode, status = 'success', amount = 20000 }) => ({
+  event: `transfer.${status}`,
+  data: {
+    id: Math.floor(Math.random() * 1e9),
+    status,
+    reference: String(reference).toLowerCase(),
+    transfer_code: transferCode,
+    amount: Math.round(amount * 100),
+    currency: 'NGN',
+    reason: 'Afrimobile Earnings Withdrawal'
+  }
+});
+
+/**
+ * Serialise once so the signature covers exactly the bytes sent.
+ * Returns { body, signature } for supertest's .send(body).set(...)
+ */
+const signedPayload = (payload, secret) => {
+  const body = JSON.stringify(payload);
+  return { body, signature: sign(body, secret) };
+};
+
+module.exports = { TEST_PAYSTACK_SECRET, chargeSuccessEvent, transferEvent, signedPayload, sign };
@@ -0,0 +1,41 @@
+// tests/fixtures/referrals.js
+const mongoose = require('mongoose');
+const Payment = require('../../models/Payment');
+const SiteConfig = require('../../models/SiteConfig');
+const { processReferralCommission } = require('../../utils/referralUtils');
+const { createReferralChain } = require('./users');
+
+// Pays 15,000 / 3,000 / 2,000 over three generations at the policy rates
+const PURCHASE = 100000;
+
+/**
+ * Pay the commissions on a naira share purchase by `purchaser`.
+ * Returns the source transaction id.
+ */
+const purchase = async (purchaser, amount = PURCHASE, options = {}) => {
+  const txId = new mongoose.Types.ObjectId();
+  await processReferralCommission(purchaser._id, amount, 'share', txId, options);
+  return txId;
+};
+
+/**
+ * Direct referrer who has earned 15% of `purchaseAmount`, withdrawable at once.
+ * With an accountNumber they also get a verified sandbox bank account; the
+ * sandbox decides a payout by its last digit.
+ */
+const createEarner = async ({ purchaseAmount = 200000, accountNumber = null } = {}) => {
+  await SiteConfig.findOneAndUpdate({}, { referralLockDays: 0 }, { upsert: true });
+  const { purchaser, referrers } = await createReferralChain(1);
+  await purchase(purchaser, purchaseAmount);
+
+  if (accountNumber) {
+    await Payment.create({
+      user: referrers[0]._id,
+      bankAccount: { bankName: 'Sandbox Bank', accountName: 'Test User', accountNumber, bankCode: '999001', verified: true, verifiedAt: new Date() }
+    });
+  }
+
+  return referrers[0];
+};
+
+module.exports = { PURCHASE, purchase, createEarner };
@@ -0,0 +1,62 @@
+// tests/fixtures/shares.js
+const writeToV2 = require('../../helpers/writeToV2');
+const UserShare = require('../../models/UserShare');
+const { TEST_TIERS } = require('./tiers');
+
+let sequence = 0;
+
+/**
+ * Record a share purchase the way the payment flows do (TransactionV2 row plus
+ * UserShareV2 snapshot). Tiers must already be seeded.
+ */
+const recordSharePurchase = async (user, { tierKey = 'basic', shares = 1, status = 'completed', ...rest } = {}) => {
+  sequence++;
+  const tier = TEST_TIERS[tierKey];
+
+  const { v2tx } = await writeToV2({
+    transactionId: `TXN-TEST-${sequence}`,
+    userId: user._id,
+    type: tier.type === 'co-founder' ? 'co-founder' : 'share',
+    tierKey,
+    shares,
+    ownershipPct: tier.percentPerShare,
+    earningKobo: tier.earningPerPhone,
+    totalAmount: tier.priceNGN * shares,
+    currency: 'naira',
+    paymentMethod: 'manual_bank_transfer',
+    status,
+    ...rest
+  });
+
+  return v2tx;
+};
+
+/**
+ * A basic-package purchase as the legacy flow records it in UserShare
+ */
+const legacyPurchase = (transactionId, status = 'completed') => ({
+  transactionId,
+  type: 'share',
+  packageId: 'basic',
+  ownershipPct: TEST_TIERS.basic.percentPerShare,
+  earningKobo: TEST_TIERS.basic.earningPerPhone,
+  amount: TEST_TIERS.basic.priceNGN,
+  currency: 'naira',
+  paymentMethod: 'manual_bank_transfer',
+  status
+});
+
+/**
+ * Legacy UserShare holding `transactions`, with totals of the completed ones
+ */
+const recordLegacyShares = (user, transactions) => {
+  const completed = transactions.filter(t => t.status === 'completed');
+  return UserShare.create({
+    user: user._id,
+    totalOwnershipPct: completed.reduce((s, t) => s + t.ownershipPct, 0),
+    totalEarningKobo: completed.reduce((s, t) => s + t.earningKobo, 0),
+    transactions
+  });
+};
+
+module.exports = { recordSharePurchase, legacyPurchase, recordLegacyShares };
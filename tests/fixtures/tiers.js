@@ -0,0 +1,52 @@
+// tests/fixtures/tiers.js
+// Share packages as configured in TierConfig. Kept independent of the model
+// defaults so a price change there does not silently change the expectations.
+const TierConfig = require('../../models/TierConfig');
+
+const TEST_TIERS = {
+  basic: {
+    name: 'Basic Package',
+    type: 'share',
+    priceUSD: 30,
+    priceNGN: 50000,
+    percentPerShare: 0.000042,
+    earningPerPhone: 28000,
+    sharesIncluded: 1,
+    active: true
+  },
+  premium: {
+    name: 'Premium Package',
+    type: 'share',
+    priceUSD: 60,
+    priceNGN: 100000,
+    percentPerShare: 0.000084,
+    earningPerPhone: 56000,
+    sharesIncluded: 1,
+    active: true
+  },
+  legacy: {
+    name: 'Retired Package',
+    type: 'share',
+    priceUSD: 10,
+    priceNGN: 15000,
+    percentPerShare: 0.00001,
+    earningPerPhone: 5000,
+    sharesIncluded: 1,
+    active: false
+  },
+  cofounder: {
+    name: 'Co-Founder Package',
+    type: 'co-founder',
+    priceUSD: 600,
+    priceNGN: 1000000,
+    percentPerShare: 0.000924,
+    earningPerPhone: 616000,
+    sharesIncluded: 22,
+    active: true
+  }
+};
+
+const seedTiers = (tiers = TEST_TIERS) =>
+  TierConfig.create({ tiers: new Map(Object.entries(tiers)) });
+
+module.exports = { TEST_TIERS, seedTiers };
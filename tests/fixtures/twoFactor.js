@@ -0,0 +1,44 @@
+// tests/fixtures/twoFactor.js
+const User = require('../../models/User');
+const UserSession = require('../../models/UserSession');
+const totp = require('../../utils/totp');
+const { encryptSecret, hashBackupCode } = require('../../utils/twoFactorService');
+const { createSession } = require('../../utils/sessionService');
+
+const BACKUP_CODES = ['aaaaa-11111', 'bbbbb-22222'];
+
+/**
+ * Turn on 2FA for a user. Returns the base32 secret so tests can produce
+ * codes with totp.generateCode(secret).
+ */
+const enableTwoFactor = async (user) => {
+  const secret = totp.generateSecret();
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        'twoFactor.enabled': true,
+        'twoFactor.enabledAt': new Date(),
+        'twoFactor.secret': encryptSecret(secret),
+        'twoFactor.backupCodes': BACKUP_CODES.map(hashBackupCode)
+      }
+    }
+  );
+  return secret;
+};
+
+/**
+ * Authorization header for a session that has already passed the 2FA
+ * step-up, for exercising admin routes and withdrawals.
+ */
+const steppedUpAuthHeader = async (user) => {
+  const current = await User.findById(user._id);
+  if (!current.twoFactor?.enabled) await enableTwoFactor(user);
+
+  const { token, session } = await createSession(user._id);
+  await UserSession.updateOne({ _id: session._id }, { $set: { stepUpAt: new Date() } });
+
+  return { Authorization: `Bearer ${token}` };
+};
+
+module.exports = { BACKUP_CODES, enableTwoFactor, steppedUpAuthHeader };
@@ -0,0 +1,46 @@
+// tests/fixtures/users.js
+const User = require('../../models/User');
+const referralGraph = require('../../utils/referralGraph');
+
+let sequence = 0;
+
+/**
+ * Create a user. The referral code stored on a user is the referrer's userName;
+ * referred users are added to the referral graph as registration does.
+ */
+const createUser = async (overrides = {}) => {
+  sequence++;
+  const user = await User.create({
+    name: `Test User ${sequence}`,
+    userName: `testuser${sequence}`,
+    email: `testuser${sequence}@example.com`,
+    password: 'password123',
+    ...overrides
+  });
+  await referralGraph.addUser(user);
+  return user;
+};
+
+/** Create an admin: a super admin unless adminRoles are given */
+const createAdmin = (overrides = {}) => createUser({ isAdmin: true, adminRoles: ['super_admin'], ...overrides });
+
+/**
+ * Create a straight referral line of `depth` referrers above a purchaser.
+ * referrers[0] is the purchaser's direct (generation 1) referrer.
+ */
+const createReferralChain = async (depth = 3) => {
+  const topDown = [];
+  for (let i = 0; i < depth; i++) {
+    const above = topDown[topDown.length - 1];
+    topDown.push(await createUser(above ? { referralInfo: { code: above.userName } } : {}));
+  }
+
+  const referrers = topDown.reverse();
+  const purchaser = await createUser(
+    referrers.length ? { referralInfo: { code: referrers[0].userName } } : {}
+  );
+
+  return { purchaser, referrers };
+};
+
+module.exports = { createUser, createAdmin, createReferralChain };
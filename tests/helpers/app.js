@@ -0,0 +1,33 @@
+// tests/helpers/app.js
+// Minimal express app with the routers under test, mounted at the same paths
+// as app.js. app.js itself is not loaded: it connects to the real database,
+// opens a port and starts the cron jobs.
+const express = require('express');
+
+const buildApp = () => {
+  const app = express();
+  // Same as app.js: keep the raw bytes for webhook signature checks
+  app.use(express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    }
+  }));
+  app.use(require('../../middleware/requestContext').requestContext);
+
+  app.use('/api/shares/tiers', require('../../routes/tierRoutes'));
+  app.use('/api/shares', require('../../routes/shareRoutes'));
+  app.use('/api/referral', require('../../routes/referralRoutes'));
+  app.use('/api/admin/referrals', require('../../routes/adminReferralRoutes'));
+  app.use('/api/withdrawal', require('../../routes/withdrawalRoutes'));
+  app.use('/api/withdrawal/admin/control', require('../../routes/adminWithdrawalControlRoutes'));
+  app.use('/api/shares', require('../../routes/shareListings'));
+  app.use('/api/webhooks/paystack', require('../../routes/paystackWebhookRoutes'));
+  app.use('/api/webhooks/payouts', require('../../routes/payoutWebhookRoutes'));
+  app.use('/api/admin/approvals', require('../../routes/approvalRoutes'));
+  app.use('/api/admin/audit', require('../../routes/auditRoutes'));
+  app.use('/api/v2/transactions', require('../../routes/transactionV2Routes'));
+
+  return app;
+};
+
+module.exports = { buildApp };
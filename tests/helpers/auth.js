@@ -0,0 +1,9 @@
+// tests/helpers/auth.js
+const jwt = require('jsonwebtoken');
+
+const tokenFor = (user) =>
+  jwt.sign({ id: user._id.toString() }, process.env.JWT_SECRET, { expiresIn: '1h' });
+
+const authHeader = (user) => ({ Authorization: `Bearer ${tokenFor(user)}` });
+
+module.exports = { tokenFor, authHeader };
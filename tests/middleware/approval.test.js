@@ -0,0 +1,169 @@
+// tests/middleware/approval.test.js
+const request = require('supertest');
+const { buildApp } = require('../helpers/app');
+const { createAdmin, createUser } = require('../fixtures/users');
+const { steppedUpAuthHeader } = require('../fixtures/twoFactor');
+const { seedTiers } = require('../fixtures/tiers');
+const ApprovalRequest = require('../../models/ApprovalRequest');
+const AdminAuditLog = require('../../models/AdminAuditLog');
+const TransactionV2 = require('../../models/TransactionV2');
+
+const app = buildApp();
+
+// Premium is ₦100,000 a share; the default shares.add threshold is ₦1,000,000
+const addShares = async (admin, user, shares) =>
+  request(app)
+    .post('/api/shares/admin/add-shares')
+    .set(await steppedUpAuthHeader(admin))
+    .send({ userId: user._id.toString(), tierKey: 'premium', shares });
+
+const decide = async (admin, requestId, decision, body = {}) =>
+  request(app)
+    .post(`/api/admin/approvals/${requestId}/${decision}`)
+    .set(await steppedUpAuthHeader(admin))
+    .send(body);
+
+describe('requireApproval', () => {
+  beforeEach(() => seedTiers());
+
+  it('lets actions below the threshold through', async () => {
+    const maker = await createAdmin();
+    const user = await createUser();
+
+    const res = await addShares(maker, user, 2);
+
+    expect(res.status).toBe(200);
+    expect(await ApprovalRequest.countDocuments()).toBe(0);
+    expect(await TransactionV2.countDocuments({ userId: user._id })).toBe(1);
+  });
+
+  it('holds actions at the threshold with a preview and audits the request', async () => {
+    const maker = await createAdmin();
+    const user = await createUser();
+
+    const res = await addShares(maker, user, 10);
+
+    expect(res.status).toBe(202);
+    expect(res.body.code).toBe('APPROVAL_REQUIRED');
+    expect(res.body.approvalRequest).toMatchObject({ action: 'shares.add', amount: 1000000, status: 'pending' });
+    expect(res.body.approvalRequest.preview.changes).toEqual([
+      { field: 'totalInvestedNaira', from: 0, to: 1000000 }
+    ]);
+    expect(await TransactionV2.countDocuments({ userId: user._id })).toBe(0);
+
+    const log = await AdminAuditLog.findOne({ action: 'APPROVAL_REQUESTED' });
+    expect(log.adminId.toString()).toBe(maker._id.toString());
+    expect(log.targetUserId.toString()).toBe(user._id.toString());
+  });
+
+  it('does not queue the same request twice', async () => {
+    const maker = await createAdmin();
+    const user = await createUser();
+
+    const first = await addShares(maker, user, 10);
+    const second = await addShares(maker, user, 10);
+
+    expect(second.status).toBe(202);
+    expect(second.body.approvalRequest.id).toBe(first.body.approvalRequest.id);
+    expect(await ApprovalRequest.countDocuments()).toBe(1);
+  });
+});
+
+describe('/api/admin/approvals', () => {
+  beforeEach(() => seedTiers());
+
+  it('refuses to let the maker approve their own request', async () => {
+    const maker = await createAdmin();
+    const user = await createUser();
+    const { body } = await addShares(maker, user, 10);
+
+    const res = await decide(maker, body.approvalRequest.id, 'approve');
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('APPROVAL_SELF_DECISION');
+  });
+
+  it('runs the held action once a second admin approves', async () => {
+    const maker = await createAdmin();
+    const checker = await createAdmin();
+    const user = await createUser();
+    const { body } = await addShares(maker, user, 10);
+
+    const res = await decide(checker, body.approvalRequest.id, 'approve', { note: 'Matches the signed agreement' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.request.status).toBe('executed');
+    expect(res.body.result.statusCode).toBe(200);
+    expect(await TransactionV2.countDocuments({ userId: user._id })).toBe(1);
+
+    const stored = await ApprovalRequest.findById(body.approvalRequest.id);
+    expect(stored.decidedBy.toString()).toBe(checker._id.toString());
+
+    const log = await AdminAuditLog.findOne({ action: 'APPROVAL_APPROVED' });
+    expect(log.adminId.toString()).toBe(checker._id.toString());
+    expect(log.details).toMatchObject({ action: 'shares.add', outcome: 'executed' });
+  });
+
+  it('requires the action\'s permission to decide', async () => {
+    const maker = await createAdmin();
+    const support = await createAdmin({ adminRoles: ['support'] });
+    const user = await createUser();
+    const { body } = await addShares(maker, user, 10);
+
+    const res = await decide(support, body.approvalRequest.id, 'approve');
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('PERMISSION_DENIED');
+  });
+
+  it('rejects with a reason, audits it and blocks later approval', async () => {
+    const maker = await createAdmin();
+    const checker = await createAdmin();
+    const other = await createAdmin();
+    const user = await createUser();
+    const { body } = await addShares(maker, user, 10);
+
+    expect((await decide(checker, body.approvalRequest.id, 'reject')).status).toBe(400);
+
+    const res = await decide(checker, body.approvalRequest.id, 'reject', { reason: 'No payment on file' });
+    expect(res.status).toBe(200);
+    expect(res.body.request.status).toBe('rejected');
+
+    const log = await AdminAuditLog.findOne({ action: 'APPROVAL_REJECTED' });
+    expect(log.details).toMatchObject({ action: 'shares.add', note: 'No payment on file' });
+
+    const late = await decide(other, body.approvalRequest.id, 'approve');
+    expect(late.status).toBe(409);
+    expect(await TransactionV2.countDocuments({ userId: user._id })).toBe(0);
+  });
+
+  it('refuses expired requests', async () => {
+    const maker = await createAdmin();
+    const checker = await createAdmin();
+    const user = await createUser();
+    const { body } = await addShares(maker, user, 10);
+    await ApprovalRequest.updateOne({ _id: body.approvalRequest.id }, { $set: { expiresAt: new Date(Date.now() - 1000) } });
+
+    const res = await decide(checker, body.approvalRequest.id, 'approve');
+
+    expect(res.status).toBe(410);
+    expect(res.body.code).toBe('APPROVAL_EXPIRED');
+  });
+
+  it('applies threshold changes made by admins', async () => {
+    const superAdmin = await createAdmin();
+    const maker = await createAdmin();
+    const user = await createUser();
+
+    const update = await request(app)
+      .put('/api/admin/approvals/thresholds/shares.add')
+      .set(await steppedUpAuthHeader(superAdmin))
+      .send({ threshold: 5000000, reason: 'Raise for launch week' });
+    expect(update.status).toBe(200);
+
+    const res = await addShares(maker, user, 10);
+
+    expect(res.status).toBe(200);
+    expect(await AdminAuditLog.countDocuments({ action: 'UPDATE_APPROVAL_THRESHOLD' })).toBe(1);
+  });
+});
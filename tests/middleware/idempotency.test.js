@@ -0,0 +1,179 @@
+// tests/middleware/idempotency.test.js
+const express = require('express');
+const multer = require('multer');
+const request = require('supertest');
+const { protect } = require('../../middleware/auth');
+const { idempotency, idempotentReplay } = require('../../middleware/idempotency');
+const IdempotencyKey = require('../../models/IdempotencyKey');
+const { authHeader } = require('../helpers/auth');
+const { createUser } = require('../fixtures/users');
+
+/** App whose single endpoint counts how many times it really ran */
+const buildCountingApp = () => {
+  const app = express();
+  app.use(express.json());
+
+  let calls = 0;
+  app.post('/api/purchase', protect, idempotency, (req, res) => {
+    calls++;
+    if (req.body.fail) {
+      return res.status(500).json({ success: false, message: 'Provider unavailable' });
+    }
+    res.status(201).json({ success: true, data: { call: calls, amount: req.body.amount } });
+  });
+
+  return { app, calls: () => calls };
+};
+
+describe('idempotency middleware', () => {
+  it('passes requests without a key straight through', async () => {
+    const { app, calls } = buildCountingApp();
+    const user = await createUser();
+
+    await request(app).post('/api/purchase').set(authHeader(user)).send({ amount: 100 });
+    await request(app).post('/api/purchase').set(authHeader(user)).send({ amount: 100 });
+
+    expect(calls()).toBe(2);
+    expect(await IdempotencyKey.countDocuments()).toBe(0);
+  });
+
+  it('replays the stored response for the same key and body', async () => {
+    const { app, calls } = buildCountingApp();
+    const user = await createUser();
+    const send = () => request(app)
+      .post('/api/purchase')
+      .set(authHeader(user))
+      .set('Idempotency-Key', 'key-1')
+      .send({ amount: 100, currency: 'naira' });
+
+    const first = await send();
+    const replay = await send();
+
+    expect(calls()).toBe(1);
+    expect(replay.status).toBe(201);
+    expect(replay.body).toEqual(first.body);
+    expect(replay.headers['idempotent-replayed']).toBe('true');
+  });
+
+  it('treats a reordered body as the same request', async () => {
+    const { app, calls } = buildCountingApp();
+    const user = await createUser();
+
+    await request(app).post('/api/purchase').set(authHeader(user))
+      .set('Idempotency-Key', 'key-1').send({ amount: 100, currency: 'naira' });
+    const replay = await request(app).post('/api/purchase').set(authHeader(user))
+      .set('Idempotency-Key', 'key-1').send({ currency: 'naira', amount: 100 });
+
+    expect(calls()).toBe(1);
+    expect(replay.status).toBe(201);
+  });
+
+  it('rejects the same key with a different body', async () => {
+    const { app, calls } = buildCountingApp();
+    const user = await createUser();
+
+    await request(app).post('/api/purchase').set(authHeader(user))
+      .set('Idempotency-Key', 'key-1').send({ amount: 100 });
+    const res = await request(app).post('/api/purchase').set(authHeader(user))
+      .set('Idempotency-Key', 'key-1').send({ amount: 200 });
+
+    expect(res.status).toBe(422);
+    expect(res.body.code).toBe('IDEMPOTENCY_KEY_REUSED');
+    expect(calls()).toBe(1);
+  });
+
+  it('scopes keys to the user', async () => {
+    const { app, calls } = buildCountingApp();
+    const alice = await createUser();
+    const bob = await createUser();
+
+    await request(app).post('/api/purchase').set(authHeader(alice))
+      .set('Idempotency-Key', 'shared').send({ amount: 100 });
+    const res = await request(app).post('/api/purchase').set(authHeader(bob))
+      .set('Idempotency-Key', 'shared').send({ amount: 100 });
+
+    expect(res.status).toBe(201);
+    expect(calls()).toBe(2);
+  });
+
+  it('reports a request that is still being processed', async () => {
+    const { app, calls } = buildCountingApp();
+    const user = await createUser();
+    const { hashRequest } = require('../../middleware/idempotency');
+    await IdempotencyKey.create({
+      key: 'key-1',
+      user: user._id,
+      method: 'POST',
+      path: '/api/purchase',
+      requestHash: hashRequest({ method: 'POST', baseUrl: '', path: '/api/purchase', body: { amount: 100 } })
+    });
+
+    const res = await request(app).post('/api/purchase').set(authHeader(user))
+      .set('Idempotency-Key', 'key-1').send({ amount: 100 });
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('IDEMPOTENCY_IN_PROGRESS');
+    expect(calls()).toBe(0);
+  });
+
+  /** Upload endpoint that counts how many files it really received */
+  const buildUploadApp = () => {
+    const app = express();
+    let uploads = 0;
+    const countUpload = (req, res, next) => {
+      uploads++;
+      next();
+    };
+    app.post('/api/proof', protect, idempotentReplay, countUpload, multer().single('paymentProof'), idempotency, (req, res) => {
+      res.status(201).json({ success: true, data: { file: req.file.originalname, amount: req.body.amount } });
+    });
+    return { app, uploads: () => uploads };
+  };
+
+  it('replays an upload without receiving the file again', async () => {
+    const { app, uploads } = buildUploadApp();
+    const user = await createUser();
+    const send = () => request(app).post('/api/proof').set(authHeader(user))
+      .set('Idempotency-Key', 'key-1').field('amount', '100')
+      .attach('paymentProof', Buffer.from('receipt'), 'receipt.png');
+
+    const first = await send();
+    const replay = await send();
+
+    expect(uploads()).toBe(1);
+    expect(replay.status).toBe(201);
+    expect(replay.body).toEqual(first.body);
+    expect(replay.headers['idempotent-replayed']).toBe('true');
+  });
+
+  it('rejects a key reused for an upload with different form fields, without uploading it', async () => {
+    const { app, uploads } = buildUploadApp();
+    const user = await createUser();
+    const send = (amount) => request(app).post('/api/proof').set(authHeader(user))
+      .set('Idempotency-Key', 'key-1').field('amount', amount)
+      .attach('paymentProof', Buffer.from('receipt'), 'receipt.png');
+
+    await send('100');
+    const reused = await send('200');
+
+    expect(reused.status).toBe(422);
+    expect(reused.body.code).toBe('IDEMPOTENCY_KEY_REUSED');
+    expect(uploads()).toBe(1);
+  });
+
+  it('lets the client retry after a server error', async () => {
+    const { app, calls } = buildCountingApp();
+    const user = await createUser();
+    const send = () => request(app).post('/api/purchase').set(authHeader(user))
+      .set('Idempotency-Key', 'key-1').send({ amount: 100, fail: true });
+
+    await send();
+    // The record is released once the 500 has been sent
+    await new Promise(resolve => setTimeout(resolve, 50));
+    const retry = await send();
+
+    expect(retry.status).toBe(500);
+    expect(retry.headers['idempotent-replayed']).toBeUndefined();
+    expect(calls()).toBe(2);
+  });
+});
@@ -0,0 +1,168 @@
+// tests/middleware/permissions.test.js
+const express = require('express');
+const request = require('supertest');
+const { protect, requirePermission } = require('../../middleware/auth');
+const adminRoleController = require('../../controller/adminRoleController');
+const AdminAuditLog = require('../../models/AdminAuditLog');
+const User = require('../../models/User');
+const { authHeader } = require('../helpers/auth');
+const { createAdmin, createUser } = require('../fixtures/users');
+const { steppedUpAuthHeader } = require('../fixtures/twoFactor');
+
+const buildPermissionApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.post('/api/admin/payments/verify', protect, requirePermission('payments.verify'),
+    (req, res) => res.json({ success: true }));
+  app.post('/api/withdrawal/admin/control/emergency-freeze', protect, requirePermission('withdrawals.control'),
+    (req, res) => res.json({ success: true }));
+  app.put('/api/users/admin/users/:userId/roles', protect, requirePermission('admins.manage'),
+    adminRoleController.assignRoles);
+  app.get('/api/users/admin/me/permissions', protect, requirePermission(), adminRoleController.getMyPermissions);
+  return app;
+};
+
+describe('requirePermission', () => {
+  it('lets a role through for the permissions it carries', async () => {
+    const app = buildPermissionApp();
+    const support = await createAdmin({ adminRoles: ['support'] });
+
+    const res = await request(app).post('/api/admin/payments/verify').set(await steppedUpAuthHeader(support));
+
+    expect(res.status).toBe(200);
+  });
+
+  it('refuses support staff the withdrawal controls and records the denial', async () => {
+    const app = buildPermissionApp();
+    const support = await createAdmin({ adminRoles: ['support'] });
+
+    const res = await request(app)
+      .post('/api/withdrawal/admin/control/emergency-freeze')
+      .set(await steppedUpAuthHeader(support));
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('PERMISSION_DENIED');
+    expect(res.body.required).toEqual(['withdrawals.control']);
+
+    const log = await AdminAuditLog.findOne({ action: 'PERMISSION_DENIED' });
+    expect(log.adminId.toString()).toBe(support._id.toString());
+    expect(log.details).toMatchObject({
+      required: ['withdrawals.control'],
+      roles: ['support'],
+      method: 'POST',
+      path: '/api/withdrawal/admin/control/emergency-freeze'
+    });
+  });
+
+  it('records non-admins hitting admin routes', async () => {
+    const app = buildPermissionApp();
+    const user = await createUser();
+
+    const res = await request(app).post('/api/admin/payments/verify').set(authHeader(user));
+
+    expect(res.status).toBe(403);
+    expect(await AdminAuditLog.countDocuments({ action: 'PERMISSION_DENIED', adminId: user._id })).toBe(1);
+  });
+
+  it('gives admins without roles no permissions', async () => {
+    const app = buildPermissionApp();
+    const admin = await createAdmin({ adminRoles: [] });
+
+    const res = await request(app)
+      .post('/api/withdrawal/admin/control/emergency-freeze')
+      .set(await steppedUpAuthHeader(admin));
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('PERMISSION_DENIED');
+  });
+
+  it('still requires the 2FA step-up once the permission check passes', async () => {
+    const app = buildPermissionApp();
+    const admin = await createAdmin();
+
+    const res = await request(app).post('/api/admin/payments/verify').set(authHeader(admin));
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('TWO_FACTOR_SETUP_REQUIRED');
+  });
+
+  it('reports the current admin\'s roles and permissions', async () => {
+    const app = buildPermissionApp();
+    const kyc = await createAdmin({ adminRoles: ['kyc_reviewer'] });
+
+    const res = await request(app).get('/api/users/admin/me/permissions').set(await steppedUpAuthHeader(kyc));
+
+    expect(res.status).toBe(200);
+    expect(res.body.roles).toEqual(['kyc_reviewer']);
+    expect(res.body.permissions).toEqual(expect.arrayContaining(['kyc.review', 'users.view']));
+    expect(res.body.permissions).not.toContain('withdrawals.process');
+  });
+
+  it('rejects unknown permissions when routes are defined', () => {
+    expect(() => requirePermission('withdrawals.everything')).toThrow(/Unknown permission/);
+  });
+});
+
+describe('PUT /api/users/admin/users/:userId/roles', () => {
+  it('assigns roles, makes the user an admin and audits the change', async () => {
+    const app = buildPermissionApp();
+    const superAdmin = await createAdmin({ adminRoles: ['super_admin'] });
+    const user = await createUser();
+
+    const res = await request(app)
+      .put(`/api/users/admin/users/${user._id}/roles`)
+      .set(await steppedUpAuthHeader(superAdmin))
+      .send({ roles: ['finance'] });
+
+    expect(res.status).toBe(200);
+    expect(res.body.user.permissions).toContain('withdrawals.process');
+
+    const updated = await User.findById(user._id);
+    expect(updated.isAdmin).toBe(true);
+    expect([...updated.adminRoles]).toEqual(['finance']);
+
+    const log = await AdminAuditLog.findOne({ action: 'ASSIGN_ADMIN_ROLES' });
+    expect(log.details).toMatchObject({ previousRoles: [], roles: ['finance'] });
+  });
+
+  it('removes admin access with an empty list', async () => {
+    const app = buildPermissionApp();
+    const superAdmin = await createAdmin();
+    const kyc = await createAdmin({ adminRoles: ['kyc_reviewer'] });
+
+    await request(app)
+      .put(`/api/users/admin/users/${kyc._id}/roles`)
+      .set(await steppedUpAuthHeader(superAdmin))
+      .send({ roles: [] });
+
+    const updated = await User.findById(kyc._id);
+    expect(updated.isAdmin).toBe(false);
+    expect([...updated.adminRoles]).toEqual([]);
+  });
+
+  it('rejects unknown roles', async () => {
+    const app = buildPermissionApp();
+    const superAdmin = await createAdmin();
+    const user = await createUser();
+
+    const res = await request(app)
+      .put(`/api/users/admin/users/${user._id}/roles`)
+      .set(await steppedUpAuthHeader(superAdmin))
+      .send({ roles: ['owner'] });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('refuses changes to your own roles', async () => {
+    const app = buildPermissionApp();
+    const superAdmin = await createAdmin({ adminRoles: ['super_admin'] });
+
+    const res = await request(app)
+      .put(`/api/users/admin/users/${superAdmin._id}/roles`)
+      .set(await steppedUpAuthHeader(superAdmin))
+      .send({ roles: ['support'] });
+
+    expect(res.status).toBe(400);
+    expect([...(await User.findById(superAdmin._id)).adminRoles]).toEqual(['super_admin']);
+  });
+});
@@ -0,0 +1,177 @@
+// tests/middleware/twoFactor.test.js
+const express = require('express');
+const request = require('supertest');
+const { protect, adminProtect } = require('../../middleware/auth');
+const { requireTwoFactor } = require('../../middleware/twoFactor');
+const twoFactorController = require('../../controller/twoFactorController');
+const { createSession } = require('../../utils/sessionService');
+const totp = require('../../utils/totp');
+const User = require('../../models/User');
+const UserSession = require('../../models/UserSession');
+const AdminAuditLog = require('../../models/AdminAuditLog');
+const { authHeader } = require('../helpers/auth');
+const { createAdmin, createUser } = require('../fixtures/users');
+const { BACKUP_CODES, enableTwoFactor, steppedUpAuthHeader } = require('../fixtures/twoFactor');
+
+const buildTwoFactorApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.post('/api/users/2fa/setup', protect, twoFactorController.setup);
+  app.post('/api/users/2fa/enable', protect, twoFactorController.enable);
+  app.post('/api/users/2fa/verify', protect, twoFactorController.verify);
+  app.post('/api/users/admin/users/:userId/2fa/reset', protect, adminProtect, twoFactorController.adminResetTwoFactor);
+  app.post('/api/withdraw', protect, requireTwoFactor, (req, res) =>
+    res.status(201).json({ success: true, method: req.twoFactorMethod }));
+  app.get('/api/admin/ping', protect, adminProtect, (req, res) => res.json({ success: true }));
+  return app;
+};
+
+const sessionHeader = async (user) => {
+  const { token } = await createSession(user._id);
+  return { Authorization: `Bearer ${token}` };
+};
+
+describe('two-factor authentication', () => {
+  describe('enrollment', () => {
+    it('enables 2FA after confirming a code and returns backup codes', async () => {
+      const app = buildTwoFactorApp();
+      const user = await createUser();
+      const header = await sessionHeader(user);
+
+      const setup = await request(app).post('/api/users/2fa/setup').set(header);
+      expect(setup.status).toBe(200);
+      expect(setup.body.otpauthUrl).toMatch(/^otpauth:\/\/totp\//);
+
+      const wrong = await request(app).post('/api/users/2fa/enable').set(header).send({ code: '000000' });
+      expect(wrong.status).toBe(400);
+
+      const res = await request(app).post('/api/users/2fa/enable').set(header)
+        .send({ code: totp.generateCode(setup.body.secret) });
+
+      expect(res.status).toBe(200);
+      expect(res.body.backupCodes).toHaveLength(10);
+
+      const stored = await User.findById(user._id).select('+twoFactor.secret +twoFactor.backupCodes');
+      expect(stored.twoFactor.enabled).toBe(true);
+      // Neither the secret nor the codes are stored in the clear
+      expect(stored.twoFactor.secret).not.toContain(setup.body.secret);
+      expect(stored.twoFactor.backupCodes).not.toContain(res.body.backupCodes[0]);
+    });
+  });
+
+  describe('requireTwoFactor', () => {
+    it('asks users without 2FA to set it up', async () => {
+      const app = buildTwoFactorApp();
+      const user = await createUser();
+
+      const res = await request(app).post('/api/withdraw').set(authHeader(user));
+
+      expect(res.status).toBe(403);
+      expect(res.body.code).toBe('TWO_FACTOR_SETUP_REQUIRED');
+    });
+
+    it('requires a code when the session has not been stepped up', async () => {
+      const app = buildTwoFactorApp();
+      const user = await createUser();
+      await enableTwoFactor(user);
+
+      const res = await request(app).post('/api/withdraw').set(await sessionHeader(user));
+
+      expect(res.status).toBe(403);
+      expect(res.body.code).toBe('TWO_FACTOR_REQUIRED');
+    });
+
+    it('accepts a code in the X-2FA-Code header once', async () => {
+      const app = buildTwoFactorApp();
+      const user = await createUser();
+      const secret = await enableTwoFactor(user);
+      const code = totp.generateCode(secret);
+
+      const first = await request(app).post('/api/withdraw').set(authHeader(user)).set('X-2FA-Code', code);
+      const replay = await request(app).post('/api/withdraw').set(authHeader(user)).set('X-2FA-Code', code);
+
+      expect(first.status).toBe(201);
+      expect(first.body.method).toBe('totp');
+      expect(replay.status).toBe(403);
+      expect(replay.body.code).toBe('TWO_FACTOR_INVALID');
+    });
+
+    it('consumes backup codes', async () => {
+      const app = buildTwoFactorApp();
+      const user = await createUser();
+      await enableTwoFactor(user);
+
+      const first = await request(app).post('/api/withdraw').set(authHeader(user)).set('X-2FA-Code', BACKUP_CODES[0]);
+      const again = await request(app).post('/api/withdraw').set(authHeader(user)).set('X-2FA-Code', BACKUP_CODES[0]);
+
+      expect(first.status).toBe(201);
+      expect(first.body.method).toBe('backup_code');
+      expect(again.status).toBe(403);
+    });
+
+    it('lets a stepped-up session through without a code until the step-up lapses', async () => {
+      const app = buildTwoFactorApp();
+      const user = await createUser();
+      const secret = await enableTwoFactor(user);
+      const { token, session } = await createSession(user._id);
+      const header = { Authorization: `Bearer ${token}` };
+
+      const verify = await request(app).post('/api/users/2fa/verify').set(header)
+        .send({ code: totp.generateCode(secret) });
+      expect(verify.status).toBe(200);
+
+      expect((await request(app).post('/api/withdraw').set(header)).status).toBe(201);
+
+      await UserSession.updateOne({ _id: session._id }, { $set: { stepUpAt: new Date(Date.now() - 60 * 60 * 1000) } });
+      expect((await request(app).post('/api/withdraw').set(header)).status).toBe(403);
+    });
+  });
+
+  describe('admin routes', () => {
+    it('refuse admins without a second factor', async () => {
+      const app = buildTwoFactorApp();
+      const admin = await createAdmin();
+
+      const res = await request(app).get('/api/admin/ping').set(authHeader(admin));
+
+      expect(res.status).toBe(403);
+      expect(res.body.code).toBe('TWO_FACTOR_SETUP_REQUIRED');
+    });
+
+    it('allow admins with a stepped-up session', async () => {
+      const app = buildTwoFactorApp();
+      const admin = await createAdmin();
+
+      const res = await request(app).get('/api/admin/ping').set(await steppedUpAuthHeader(admin));
+
+      expect(res.status).toBe(200);
+    });
+
+    it("reset a user's 2FA, sign them out and record it in the audit log", async () => {
+      const app = buildTwoFactorApp();
+      const admin = await createAdmin();
+      const user = await createUser();
+      await enableTwoFactor(user);
+      const userHeader = await sessionHeader(user);
+
+      const res = await request(app)
+        .post(`/api/users/admin/users/${user._id}/2fa/reset`)
+        .set(await steppedUpAuthHeader(admin))
+        .send({ reason: 'Lost phone' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.wasEnabled).toBe(true);
+
+      const updated = await User.findById(user._id).select('+twoFactor.secret');
+      expect(updated.twoFactor.enabled).toBe(false);
+      expect(updated.twoFactor.secret).toBeUndefined();
+
+      const log = await AdminAuditLog.findOne({ action: 'RESET_USER_2FA' });
+      expect(log.adminId.toString()).toBe(admin._id.toString());
+      expect(log.targetUserId.toString()).toBe(user._id.toString());
+      expect(log.details.reason).toBe('Lost phone');
+
+      expect((await request(app).post('/api/withdraw').set(userHeader)).status).toBe(401);
+    });
+  });
+});
@@ -0,0 +1,97 @@
+// tests/referral/clawback.test.js
+const mongoose = require('mongoose');
+const Referral = require('../../models/Referral');
+const ReferralClawback = require('../../models/ReferralClawback');
+const SiteConfig = require('../../models/SiteConfig');
+const ledgerService = require('../../utils/ledgerService');
+const {
+  rollbackReferralCommission,
+  matureDueCommissions
+} = require('../../utils/referralUtils');
+const { createReferralChain } = require('../fixtures/users');
+const { PURCHASE, purchase } = require('../fixtures/referrals');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const revoke = (purchaser, txId, amount = PURCHASE) =>
+  rollbackReferralCommission(purchaser._id, txId, amount, 'naira', 'share', 'UserShare');
+
+// A paid-out withdrawal of `amount` from the user's available balance
+const withdraw = (user, amount) =>
+  ledgerService.transitionWithdrawalFunds(
+    { _id: new mongoose.Types.ObjectId(), user: user._id, amount, status: 'paid' },
+    'withdrawn',
+    'available'
+  );
+
+describe('referral clawbacks', () => {
+  it('takes a reversal from the available balance when it covers it', async () => {
+    await SiteConfig.create({ referralLockDays: 0 });
+    const { purchaser, referrers } = await createReferralChain(1);
+    const txId = await purchase(purchaser);
+
+    const result = await revoke(purchaser, txId);
+
+    expect(result.clawbackTotal).toBe(0);
+    expect(await ledgerService.getUserBalances(referrers[0]._id))
+      .toMatchObject({ availableBalance: 0, clawbackOutstanding: 0 });
+    expect(await ReferralClawback.countDocuments()).toBe(0);
+  });
+
+  it('records what was already withdrawn as owed instead of a negative balance', async () => {
+    await SiteConfig.create({ referralLockDays: 0 });
+    const { purchaser, referrers } = await createReferralChain(1);
+    const txId = await purchase(purchaser);
+    await withdraw(referrers[0], 10000);
+
+    const result = await revoke(purchaser, txId);
+
+    expect(result.clawbackTotal).toBe(10000);
+    expect(await ledgerService.getUserBalances(referrers[0]._id))
+      .toMatchObject({ availableBalance: 0, totalWithdrawn: 10000, clawbackOutstanding: 10000 });
+    expect(await Referral.findOne({ user: referrers[0]._id })).toMatchObject({ clawbackOutstanding: 10000 });
+
+    const [clawback] = await ReferralClawback.find();
+    expect(clawback).toMatchObject({ amount: 10000, outstandingAmount: 10000, status: 'outstanding' });
+    expect(clawback.user.toString()).toBe(referrers[0]._id.toString());
+  });
+
+  it('recovers the clawback from later commissions before they are withdrawable', async () => {
+    await SiteConfig.create({ referralLockDays: 0 });
+    const { purchaser, referrers } = await createReferralChain(1);
+    const txId = await purchase(purchaser);
+    await withdraw(referrers[0], 15000);
+    await revoke(purchaser, txId);
+
+    await purchase(purchaser, 60000); // 9,000
+    expect(await ledgerService.getUserBalances(referrers[0]._id))
+      .toMatchObject({ availableBalance: 0, clawbackOutstanding: 6000 });
+
+    await purchase(purchaser, PURCHASE); // 15,000
+    expect(await ledgerService.getUserBalances(referrers[0]._id))
+      .toMatchObject({ availableBalance: 9000, clawbackOutstanding: 0 });
+
+    const clawback = await ReferralClawback.findOne();
+    expect(clawback).toMatchObject({ recoveredAmount: 15000, outstandingAmount: 0, status: 'recovered' });
+    expect(clawback.recoveries.map(r => r.amount)).toEqual([9000, 6000]);
+  });
+
+  it('recovers from locked commissions when they mature', async () => {
+    await SiteConfig.create({ referralLockDays: 0 });
+    const { purchaser, referrers } = await createReferralChain(1);
+    const txId = await purchase(purchaser);
+    await withdraw(referrers[0], 15000);
+    await revoke(purchaser, txId);
+
+    await SiteConfig.updateOne({}, { referralLockDays: 14 });
+    await purchase(purchaser, PURCHASE);
+    expect(await ledgerService.getUserBalances(referrers[0]._id))
+      .toMatchObject({ lockedEarnings: 15000, clawbackOutstanding: 15000 });
+
+    await matureDueCommissions({ now: new Date(Date.now() + 15 * DAY) });
+
+    expect(await ledgerService.getUserBalances(referrers[0]._id))
+      .toMatchObject({ lockedEarnings: 0, availableBalance: 0, clawbackOutstanding: 0 });
+    expect((await ReferralClawback.findOne()).status).toBe('recovered');
+  });
+});
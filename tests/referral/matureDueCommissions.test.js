@@ -0,0 +1,79 @@
+// tests/referral/matureDueCommissions.test.js
+const Referral = require('../../models/Referral');
+const ReferralTransaction = require('../../models/ReferralTransaction');
+const SiteConfig = require('../../models/SiteConfig');
+const ledgerService = require('../../utils/ledgerService');
+const {
+  rollbackReferralCommission,
+  matureDueCommissions
+} = require('../../utils/referralUtils');
+const { createReferralChain } = require('../fixtures/users');
+const { PURCHASE, purchase } = require('../fixtures/referrals');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('commission lock period', () => {
+  beforeEach(() => SiteConfig.create({ referralLockDays: 14 }));
+
+  it('keeps a new commission locked until it matures', async () => {
+    const { purchaser, referrers } = await createReferralChain(1);
+    const txId = await purchase(purchaser);
+
+    const commission = await ReferralTransaction.findOne({ sourceTransaction: txId });
+    expect(commission.maturityStatus).toBe('pending');
+    expect(commission.maturesAt.getTime()).toBeGreaterThan(Date.now() + 13 * DAY);
+
+    expect(await ledgerService.getUserBalances(referrers[0]._id))
+      .toMatchObject({ lockedEarnings: 15000, availableBalance: 0, totalEarnings: 0 });
+    const stats = await Referral.findOne({ user: referrers[0]._id });
+    expect(stats).toMatchObject({ lockedEarnings: 15000, totalEarnings: 0 });
+    expect(stats.generation1.earnings).toBe(15000);
+  });
+
+  it('releases commissions whose lock period is over, once', async () => {
+    const { purchaser, referrers } = await createReferralChain(2);
+    await purchase(purchaser);
+
+    const early = await matureDueCommissions({ now: new Date(Date.now() + 13 * DAY) });
+    expect(early.matured).toBe(0);
+
+    const due = await matureDueCommissions({ now: new Date(Date.now() + 15 * DAY) });
+    const again = await matureDueCommissions({ now: new Date(Date.now() + 15 * DAY) });
+
+    expect(due).toMatchObject({ matured: 2, failed: 0, beneficiaries: 2 });
+    expect(again.matured).toBe(0);
+    expect(await ledgerService.getUserBalances(referrers[0]._id))
+      .toMatchObject({ lockedEarnings: 0, availableBalance: 15000 });
+    expect(await Referral.findOne({ user: referrers[1]._id }))
+      .toMatchObject({ lockedEarnings: 0, totalEarnings: 3000 });
+    const commissions = await ReferralTransaction.find();
+    expect(commissions.every(c => c.maturityStatus === 'matured' && c.maturedAt instanceof Date)).toBe(true);
+  });
+
+  it('cancels commissions whose purchase is revoked inside the lock period', async () => {
+    const { purchaser, referrers } = await createReferralChain(1);
+    const txId = await purchase(purchaser);
+
+    await rollbackReferralCommission(purchaser._id, txId, PURCHASE, 'naira', 'share', 'UserShare');
+    const result = await matureDueCommissions({ now: new Date(Date.now() + 15 * DAY) });
+
+    expect(result.matured).toBe(0);
+    const commission = await ReferralTransaction.findOne({ sourceTransaction: txId });
+    expect(commission).toMatchObject({ status: 'rolled_back', maturityStatus: 'cancelled' });
+    expect(await ledgerService.getUserBalances(referrers[0]._id))
+      .toMatchObject({ lockedEarnings: 0, availableBalance: 0 });
+  });
+
+  it('takes back a matured commission from the available balance', async () => {
+    const { purchaser, referrers } = await createReferralChain(1);
+    const txId = await purchase(purchaser);
+    await matureDueCommissions({ now: new Date(Date.now() + 15 * DAY) });
+
+    await rollbackReferralCommission(purchaser._id, txId, PURCHASE, 'naira', 'share', 'UserShare');
+
+    const commission = await ReferralTransaction.findOne({ sourceTransaction: txId });
+    expect(commission).toMatchObject({ status: 'rolled_back', maturityStatus: 'matured' });
+    expect(await ledgerService.getUserBalances(referrers[0]._id))
+      .toMatchObject({ lockedEarnings: 0, availableBalance: 0 });
+  });
+});
@@ -0,0 +1,194 @@
+// tests/referral/processReferralCommission.test.js
+const mongoose = require('mongoose');
+const Referral = require('../../models/Referral');
+const ReferralTransaction = require('../../models/ReferralTransaction');
+const SiteConfig = require('../../models/SiteConfig');
+const ledgerService = require('../../utils/ledgerService');
+const { processReferralCommission } = require('../../utils/referralUtils');
+const { createUser, createReferralChain } = require('../fixtures/users');
+const { PURCHASE } = require('../fixtures/referrals');
+
+describe('processReferralCommission', () => {
+  it('pays 15% / 3% / 2% up three generations', async () => {
+    const { purchaser, referrers } = await createReferralChain(3);
+    const txId = new mongoose.Types.ObjectId();
+
+    const result = await processReferralCommission(purchaser._id, PURCHASE, 'share', txId);
+
+    expect(result.success).toBe(true);
+    expect(result.commissionsCreated).toBe(3);
+
+    const commissions = await ReferralTransaction.find({ sourceTransaction: txId }).sort({ generation: 1 });
+    expect(commissions.map(c => [c.generation, c.amount])).toEqual([[1, 15000], [2, 3000], [3, 2000]]);
+    commissions.forEach((c, i) => {
+      expect(c.beneficiary.toString()).toBe(referrers[i]._id.toString());
+      expect(c.referredUser.toString()).toBe(purchaser._id.toString());
+      expect(c.sourceTransactionModel).toBe('UserShare');
+      expect(c.status).toBe('completed');
+    });
+  });
+
+  it('credits the ledger and keeps the Referral counters in step', async () => {
+    await SiteConfig.create({ referralLockDays: 0 });
+    const { purchaser, referrers } = await createReferralChain(3);
+    await processReferralCommission(purchaser._id, PURCHASE, 'share', new mongoose.Types.ObjectId());
+
+    const expected = [15000, 3000, 2000];
+    for (let i = 0; i < referrers.length; i++) {
+      const generation = i + 1;
+      const balances = await ledgerService.getUserBalances(referrers[i]._id);
+      const stats = await Referral.findOne({ user: referrers[i]._id });
+
+      expect(balances.availableBalance).toBe(expected[i]);
+      expect(stats.totalEarnings).toBe(expected[i]);
+      expect(stats[`generation${generation}`].earnings).toBe(expected[i]);
+      expect(stats[`generation${generation}`].count).toBe(1);
+    }
+
+    const gen1Stats = await Referral.findOne({ user: referrers[0]._id });
+    expect(gen1Stats.referredUsers).toBe(1);
+  });
+
+  it('does not leave a commission completed when its ledger credit fails', async () => {
+    const { purchaser, referrers } = await createReferralChain(1);
+    const credit = jest.spyOn(ledgerService, 'recordCommission').mockRejectedValueOnce(new Error('write conflict'));
+
+    const result = await processReferralCommission(purchaser._id, PURCHASE, 'share', new mongoose.Types.ObjectId());
+    credit.mockRestore();
+
+    expect(result.commissionsCreated).toBe(0);
+    expect(await ReferralTransaction.countDocuments({ beneficiary: referrers[0]._id })).toBe(0);
+    expect((await ledgerService.getUserBalances(referrers[0]._id)).totalEarnings).toBe(0);
+  });
+
+  it('uses the commission rates from SiteConfig', async () => {
+    await SiteConfig.create({ referralCommission: { generation1: 10, generation2: 5, generation3: 0 } });
+    const { purchaser } = await createReferralChain(3);
+    const txId = new mongoose.Types.ObjectId();
+
+    const result = await processReferralCommission(purchaser._id, PURCHASE, 'share', txId);
+
+    expect(result.commissionsCreated).toBe(2);
+    const amounts = (await ReferralTransaction.find({ sourceTransaction: txId }).sort({ generation: 1 }))
+      .map(c => c.amount);
+    expect(amounts).toEqual([10000, 5000]);
+  });
+
+  it('pays as many generations as the level rates and depth allow', async () => {
+    await SiteConfig.create({
+      referralRates: [1, 2, 3, 4, 5].map(level => ({ level, rate: 6 - level })),
+      referralMaxDepth: 5,
+      referralLockDays: 0
+    });
+    const { purchaser, referrers } = await createReferralChain(6);
+    const txId = new mongoose.Types.ObjectId();
+
+    const result = await processReferralCommission(purchaser._id, PURCHASE, 'share', txId);
+
+    expect(result.commissionsCreated).toBe(5);
+    const commissions = await ReferralTransaction.find({ sourceTransaction: txId }).sort({ generation: 1 });
+    expect(commissions.map(c => [c.generation, c.amount])).toEqual([[1, 5000], [2, 4000], [3, 3000], [4, 2000], [5, 1000]]);
+
+    const gen5Stats = await Referral.findOne({ user: referrers[4]._id });
+    expect(gen5Stats.deeperGenerations.map(g => [g.generation, g.count, g.earnings])).toEqual([[4, 1, 0], [5, 1, 1000]]);
+    expect(await ledgerService.getUserBalances(referrers[4]._id)).toMatchObject({ availableBalance: 1000 });
+  });
+
+  it('pays nothing on purchases below the minimum', async () => {
+    await SiteConfig.create({ referralMinPurchase: 150000 });
+    const { purchaser } = await createReferralChain(3);
+
+    const result = await processReferralCommission(purchaser._id, PURCHASE, 'share', new mongoose.Types.ObjectId());
+
+    expect(result).toMatchObject({ success: false, minPurchase: 150000 });
+    expect(await ReferralTransaction.countDocuments()).toBe(0);
+  });
+
+  it('applies the rule for the purchase type and tier', async () => {
+    await SiteConfig.create({
+      commissionRules: [
+        { name: 'Co-founder', purchaseType: 'co-founder', rates: [{ level: 1, rate: 10 }], maxDepth: 1 },
+        { name: 'Premium', purchaseType: 'share', tierKey: 'premium', rates: [{ level: 1, rate: 20 }, { level: 2, rate: 5 }] }
+      ]
+    });
+    const { purchaser } = await createReferralChain(3);
+    const cofounderTx = new mongoose.Types.ObjectId();
+    const premiumTx = new mongoose.Types.ObjectId();
+
+    const cofounder = await processReferralCommission(purchaser._id, PURCHASE, 'co-founder', cofounderTx);
+    const premium = await processReferralCommission(purchaser._id, PURCHASE, 'share', premiumTx, { tierKey: 'premium' });
+
+    expect(cofounder).toMatchObject({ commissionsCreated: 1, rule: 'Co-founder' });
+    expect(premium).toMatchObject({ commissionsCreated: 2, rule: 'Premium' });
+    const amounts = async (txId) =>
+      (await ReferralTransaction.find({ sourceTransaction: txId }).sort({ generation: 1 })).map(c => c.amount);
+    expect(await amounts(cofounderTx)).toEqual([10000]);
+    expect(await amounts(premiumTx)).toEqual([20000, 5000]);
+    const [first] = await ReferralTransaction.find({ sourceTransaction: premiumTx, generation: 1 });
+    expect(first.commissionDetails.rule).toBe('Premium');
+  });
+
+  it('stops at the top of a shorter chain', async () => {
+    const { purchaser } = await createReferralChain(1);
+    const txId = new mongoose.Types.ObjectId();
+
+    const result = await processReferralCommission(purchaser._id, PURCHASE, 'share', txId);
+
+    expect(result.commissionsCreated).toBe(1);
+    expect(await ReferralTransaction.countDocuments({ sourceTransaction: txId })).toBe(1);
+  });
+
+  it('stops when a referrer code no longer resolves to a user', async () => {
+    const referrer = await createUser({ referralInfo: { code: 'deleted-account' } });
+    const purchaser = await createUser({ referralInfo: { code: referrer.userName } });
+    const txId = new mongoose.Types.ObjectId();
+
+    const result = await processReferralCommission(purchaser._id, PURCHASE, 'share', txId);
+
+    expect(result.commissionsCreated).toBe(1);
+  });
+
+  it('does not pay twice for the same transaction', async () => {
+    const { purchaser, referrers } = await createReferralChain(3);
+    const txId = new mongoose.Types.ObjectId();
+
+    await processReferralCommission(purchaser._id, PURCHASE, 'share', txId);
+    const second = await processReferralCommission(purchaser._id, PURCHASE, 'share', txId);
+
+    expect(second.success).toBe(false);
+    expect(second.existingCommissions).toHaveLength(3);
+    expect(await ReferralTransaction.countDocuments({ sourceTransaction: txId })).toBe(3);
+
+    const balances = await ledgerService.getUserBalances(referrers[0]._id);
+    expect(balances.availableBalance).toBe(15000);
+  });
+
+  it('accumulates earnings without recounting a repeat purchaser', async () => {
+    const { purchaser, referrers } = await createReferralChain(1);
+
+    await processReferralCommission(purchaser._id, PURCHASE, 'share', new mongoose.Types.ObjectId());
+    await processReferralCommission(purchaser._id, 50000, 'share', new mongoose.Types.ObjectId());
+
+    const stats = await Referral.findOne({ user: referrers[0]._id });
+    expect(stats.totalEarnings).toBe(22500);
+    expect(stats.generation1.earnings).toBe(22500);
+    expect(stats.generation1.count).toBe(1);
+  });
+
+  it('skips purchasers without a referrer', async () => {
+    const purchaser = await createUser();
+
+    const result = await processReferralCommission(purchaser._id, PURCHASE, 'share', new mongoose.Types.ObjectId());
+
+    expect(result).toMatchObject({ success: false, message: 'User has no referrer' });
+    expect(await ReferralTransaction.countDocuments()).toBe(0);
+  });
+
+  it('rejects calls without a transaction id', async () => {
+    const { purchaser } = await createReferralChain(1);
+
+    const result = await processReferralCommission(purchaser._id, PURCHASE, 'share', null);
+
+    expect(result).toMatchObject({ success: false, message: 'Missing required parameters' });
+  });
+});
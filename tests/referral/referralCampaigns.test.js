@@ -0,0 +1,121 @@
+// tests/referral/referralCampaigns.test.js
+const ReferralCampaign = require('../../models/ReferralCampaign');
+const ReferralTransaction = require('../../models/ReferralTransaction');
+const SiteConfig = require('../../models/SiteConfig');
+const { rollbackReferralCommission } = require('../../utils/referralUtils');
+const { createCampaign, getCampaignAnalytics, validateCampaign } = require('../../utils/referralCampaigns');
+const { createUser, createReferralChain } = require('../fixtures/users');
+const { PURCHASE, purchase } = require('../fixtures/referrals');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const launch = (overrides = {}) => createCampaign({
+  name: 'Launch week',
+  code: 'launch',
+  startsAt: new Date(Date.now() - DAY),
+  endsAt: new Date(Date.now() + DAY),
+  rates: [{ level: 1, rate: 20 }],
+  ...overrides
+});
+
+// A two-generation chain whose purchaser signed up through the campaign
+const campaignChain = async (campaign) => {
+  const { purchaser, referrers } = await createReferralChain(2);
+  purchaser.referralInfo.campaign = campaign._id;
+  purchaser.referralInfo.campaignCode = campaign.code;
+  await purchaser.save();
+  return { purchaser, referrers };
+};
+
+const commissions = async () =>
+  (await ReferralTransaction.find().sort({ generation: 1, createdAt: 1 }))
+    .map(c => [c.generation, c.amount, c.campaign ? 'campaign' : 'policy']);
+
+describe('referral campaigns', () => {
+  beforeEach(async () => {
+    await SiteConfig.create({ referralLockDays: 0 });
+  });
+
+  it('pays a campaign sign-up\'s purchases at the boosted rate', async () => {
+    const campaign = await launch();
+    const { purchaser } = await campaignChain(campaign);
+
+    await purchase(purchaser);
+
+    expect(await commissions()).toEqual([[1, 20000, 'campaign'], [2, 3000, 'policy']]);
+    expect((await ReferralCampaign.findById(campaign._id)).spent).toBe(20000);
+    expect((await ReferralTransaction.findOne({ generation: 1 })).commissionDetails.policyRate).toBe(15);
+  });
+
+  it('falls back to the policy rate once the budget cannot cover a commission', async () => {
+    const campaign = await launch({ budget: 30000 });
+    const { purchaser } = await campaignChain(campaign);
+
+    await purchase(purchaser);
+    await purchase(purchaser);
+
+    expect(await commissions()).toEqual([
+      [1, 20000, 'campaign'],
+      [1, 15000, 'policy'],
+      [2, 3000, 'policy'],
+      [2, 3000, 'policy']
+    ]);
+    expect((await ReferralCampaign.findById(campaign._id)).spent).toBe(20000);
+  });
+
+  it('leaves purchases outside the window or for other tiers alone', async () => {
+    const ended = await launch({ code: 'ended', startsAt: new Date(Date.now() - 3 * DAY), endsAt: new Date(Date.now() - DAY) });
+    const { purchaser } = await campaignChain(ended);
+    await purchase(purchaser);
+
+    const premiumOnly = await launch({ code: 'premium', eligibleTiers: ['premium'] });
+    const other = await campaignChain(premiumOnly);
+    await purchase(other.purchaser, PURCHASE, { tierKey: 'basic' });
+
+    expect((await commissions()).filter(([generation]) => generation === 1))
+      .toEqual([[1, 15000, 'policy'], [1, 15000, 'policy']]);
+  });
+
+  it('gives the budget back when a boosted commission is rolled back', async () => {
+    const campaign = await launch({ budget: 20000 });
+    const { purchaser } = await campaignChain(campaign);
+    const txId = await purchase(purchaser);
+
+    await rollbackReferralCommission(purchaser._id, txId, PURCHASE, 'naira', 'share', 'UserShare');
+    await purchase(purchaser);
+
+    expect((await ReferralCampaign.findById(campaign._id)).spent).toBe(20000);
+    expect(await ReferralTransaction.countDocuments({ campaign: campaign._id, status: 'completed' })).toBe(1);
+  });
+
+  it('reports sign-ups, purchases and commission per campaign', async () => {
+    const campaign = await launch({ budget: 100000 });
+    const { purchaser } = await campaignChain(campaign);
+    await createUser({ referralInfo: { campaign: campaign._id, campaignCode: campaign.code } });
+    await purchase(purchaser);
+
+    const [report] = await getCampaignAnalytics({ _id: campaign._id });
+
+    expect(report.signUps).toBe(2);
+    expect(report.commission).toMatchObject({ paid: 20000, paidCount: 1, held: 0, beneficiaries: 1 });
+    expect(report.budget).toEqual({ cap: 100000, spent: 20000, remaining: 80000 });
+  });
+
+  it('rejects an invalid campaign', async () => {
+    const errors = await validateCampaign({
+      name: 'Broken',
+      code: 'x',
+      startsAt: '2026-02-01',
+      endsAt: '2026-01-01',
+      rates: [{ level: 1, rate: 120 }],
+      eligibleTiers: ['gold-bars']
+    });
+
+    expect(errors).toEqual([
+      'code must be 3 to 32 letters, digits, - or _',
+      'endsAt must be after startsAt',
+      'rates[0].rate must be a percentage from 0 to 100',
+      'Unknown tiers: gold-bars'
+    ]);
+  });
+});
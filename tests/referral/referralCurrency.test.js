@@ -0,0 +1,97 @@
+// tests/referral/referralCurrency.test.js
+const CryptoExchangeRate = require('../../models/CryptoExchangeRate');
+const Referral = require('../../models/Referral');
+const ReferralTransaction = require('../../models/ReferralTransaction');
+const PaymentTransaction = require('../../models/Transaction');
+const SiteConfig = require('../../models/SiteConfig');
+const ledgerService = require('../../utils/ledgerService');
+const { ConversionRateError } = require('../../utils/referralCurrency');
+const { processReferralCommission, rollbackReferralCommission } = require('../../utils/referralUtils');
+const { createReferralChain } = require('../fixtures/users');
+
+const setRate = (usdtPriceNGN) => CryptoExchangeRate.create({ usdtPriceNGN, bnbPriceNGN: 900000, source: 'Manual' });
+
+// A USDT co-founder purchase: 1,000 pays 150 USDT to the direct referrer
+const usdtPurchase = async (purchaser, amount = 1000) => {
+  const tx = await PaymentTransaction.create({
+    userId: purchaser._id,
+    type: 'co-founder',
+    amount,
+    currency: 'usdt',
+    paymentMethod: 'web3'
+  });
+  await processReferralCommission(purchaser._id, amount, 'co-founder', tx._id);
+  return tx;
+};
+
+describe('multi-currency referral commissions', () => {
+  beforeEach(async () => {
+    await SiteConfig.create({ referralLockDays: 0 });
+  });
+
+  it('credits a usdt commission in naira at the rate in effect when it was accrued', async () => {
+    const rate = await setRate(1500);
+    const { purchaser, referrers } = await createReferralChain(1);
+
+    await usdtPurchase(purchaser);
+    await setRate(1600);
+    await usdtPurchase(purchaser);
+
+    const commissions = await ReferralTransaction.find({ beneficiary: referrers[0]._id }).sort({ createdAt: 1 });
+    expect(commissions.map(c => [c.amount, c.currency, c.conversion.rate, c.conversion.settlementAmount]))
+      .toEqual([[150, 'usdt', 1500, 225000], [150, 'usdt', 1600, 240000]]);
+    expect(commissions[0].conversion.rateSnapshot.toString()).toBe(rate._id.toString());
+
+    const balances = await ledgerService.getUserBalances(referrers[0]._id);
+    expect(balances.availableBalance).toBe(465000);
+
+    const referral = await Referral.findOne({ user: referrers[0]._id });
+    expect(referral.totalEarnings).toBe(465000);
+    expect(referral.earningsByCurrency.usdt).toMatchObject({ earned: 300, commissions: 2, converted: { earned: 465000 } });
+    expect(referral.generation1.earnings).toBe(465000);
+  });
+
+  it('takes back the naira that was credited when the rate has moved since', async () => {
+    await setRate(1500);
+    const { purchaser, referrers } = await createReferralChain(1);
+    const tx = await usdtPurchase(purchaser);
+    await setRate(2000);
+
+    await rollbackReferralCommission(purchaser._id, tx._id, 1000, 'usdt', 'co-founder', 'PaymentTransaction');
+
+    const balances = await ledgerService.getUserBalances(referrers[0]._id);
+    expect(balances).toMatchObject({ totalEarnings: 0, availableBalance: 0, clawbackOutstanding: 0 });
+  });
+
+  it('converts at the last known rate when no snapshot is active', async () => {
+    const { purchaser, referrers } = await createReferralChain(1);
+    await setRate(1500);
+    await CryptoExchangeRate.updateMany({}, { active: false });
+
+    await usdtPurchase(purchaser);
+
+    const commission = await ReferralTransaction.findOne({ beneficiary: referrers[0]._id });
+    expect(commission.conversion).toMatchObject({ rate: 1500, settlementAmount: 225000 });
+  });
+
+  it('holds a usdt purchase to the naira minimum at the current rate', async () => {
+    await SiteConfig.updateOne({}, { referralMinPurchase: 50000 });
+    const { purchaser, referrers } = await createReferralChain(1);
+
+    await setRate(1500);
+    await usdtPurchase(purchaser, 30); // 45,000 naira
+    await setRate(2000);
+    await usdtPurchase(purchaser, 30); // 60,000 naira
+
+    const commissions = await ReferralTransaction.find({ beneficiary: referrers[0]._id });
+    expect(commissions.map(c => [c.amount, c.conversion.settlementAmount])).toEqual([[4.5, 9000]]);
+  });
+
+  it('fails loudly when there is no exchange rate to convert with', async () => {
+    const { purchaser } = await createReferralChain(1);
+
+    await expect(usdtPurchase(purchaser)).rejects.toThrow(ConversionRateError);
+
+    expect(await ReferralTransaction.countDocuments()).toBe(0);
+  });
+});
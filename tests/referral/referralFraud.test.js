@@ -0,0 +1,121 @@
+// tests/referral/referralFraud.test.js
+const ReferralFraudFlag = require('../../models/ReferralFraudFlag');
+const ReferralTransaction = require('../../models/ReferralTransaction');
+const SiteConfig = require('../../models/SiteConfig');
+const ledgerService = require('../../utils/ledgerService');
+const { rollbackReferralCommission } = require('../../utils/referralUtils');
+const { checkNewReferral, reviewFlag, normalizeEmail } = require('../../utils/referralFraud');
+const { createUser } = require('../fixtures/users');
+const { PURCHASE, purchase } = require('../fixtures/referrals');
+
+const device = (ip, deviceFingerprint = null) => ({ registrationInfo: { ip, deviceFingerprint, userAgent: 'Mozilla/5.0' } });
+
+const referredBy = (referrer, overrides = {}) =>
+  createUser({ referralInfo: { code: referrer.userName }, ...overrides });
+
+// A referral registered on the referrer's own device, already flagged
+const flaggedReferral = async () => {
+  const referrer = await createUser(device('10.0.0.1', 'fp-1'));
+  const user = await referredBy(referrer, device('10.0.0.1', 'fp-1'));
+  const flag = await checkNewReferral(user._id);
+  return { referrer, user, flag };
+};
+
+describe('referral fraud checks', () => {
+  beforeEach(async () => {
+    await SiteConfig.create({ referralLockDays: 0 });
+  });
+
+  it('flags a referral made from the referrer\'s own device', async () => {
+    const { flag } = await flaggedReferral();
+
+    expect(flag.status).toBe('open');
+    expect(flag.signals.map(s => s.code)).toEqual(['shared_device', 'shared_ip', 'shared_user_agent']);
+    expect(flag.score).toBe(105);
+  });
+
+  it('leaves an ordinary referral alone', async () => {
+    const referrer = await createUser(device('10.0.0.1', 'fp-1'));
+    const user = await referredBy(referrer, device('10.0.0.2', 'fp-2'));
+
+    expect(await checkNewReferral(user._id)).toBeNull();
+    expect(await ReferralFraudFlag.countDocuments()).toBe(0);
+  });
+
+  it('flags a burst of sign-ups on one code from one IP', async () => {
+    const referrer = await createUser(device('10.0.0.1'));
+    await referredBy(referrer, device('10.9.9.9'));
+    await referredBy(referrer, device('10.9.9.9'));
+    const third = await referredBy(referrer, device('10.9.9.9'));
+
+    const flag = await checkNewReferral(third._id);
+
+    expect(flag.signals.map(s => s.code)).toEqual(['registration_burst']);
+  });
+
+  it('flags the same mailbox under a different address', async () => {
+    expect(normalizeEmail('John.Doe+second@googlemail.com')).toBe('johndoe@gmail.com');
+
+    const referrer = await createUser({ email: 'john.doe@gmail.com' });
+    const user = await referredBy(referrer, { email: 'johndoe+2@gmail.com' });
+
+    expect((await checkNewReferral(user._id)).signals.map(s => s.code)).toEqual(['similar_email']);
+  });
+
+  it('holds commissions through a flagged referral until they are released', async () => {
+    const { referrer, user, flag } = await flaggedReferral();
+    await purchase(user);
+
+    const [held] = await ReferralTransaction.find({ beneficiary: referrer._id });
+    expect(held.status).toBe('pending');
+    expect(held.fraudHold.flags.map(String)).toEqual([flag._id.toString()]);
+    expect((await ledgerService.getUserBalances(referrer._id)).availableBalance).toBe(0);
+
+    const result = await reviewFlag(flag._id, 'release', { note: 'Family members sharing a laptop' });
+
+    expect(result.released).toBe(1);
+    expect((await ReferralTransaction.findById(held._id)).status).toBe('completed');
+    expect((await ledgerService.getUserBalances(referrer._id)).availableBalance).toBe(15000);
+  });
+
+  it('voids held and later commissions once the flag is voided', async () => {
+    const { referrer, user, flag } = await flaggedReferral();
+    await purchase(user);
+
+    const result = await reviewFlag(flag._id, 'void');
+    await purchase(user);
+
+    expect(result.voided).toBe(1);
+    const statuses = (await ReferralTransaction.find({ beneficiary: referrer._id })).map(c => c.status);
+    expect(statuses).toEqual(['voided', 'voided']);
+    expect((await ledgerService.getUserBalances(referrer._id)).availableBalance).toBe(0);
+    await expect(reviewFlag(flag._id, 'release')).rejects.toThrow('already been reviewed');
+  });
+
+  it('leaves the flag open when a review fails part way, so it can be repeated', async () => {
+    const { referrer, user, flag } = await flaggedReferral();
+    await purchase(user);
+    const write = jest.spyOn(ReferralTransaction, 'updateOne').mockRejectedValueOnce(new Error('write conflict'));
+
+    await expect(reviewFlag(flag._id, 'void')).rejects.toThrow('write conflict');
+    write.mockRestore();
+
+    expect((await ReferralFraudFlag.findById(flag._id)).status).toBe('open');
+    expect((await ReferralTransaction.findOne({ beneficiary: referrer._id })).status).toBe('pending');
+
+    const result = await reviewFlag(flag._id, 'void');
+    expect(result.voided).toBe(1);
+    expect((await ReferralFraudFlag.findById(flag._id)).status).toBe('voided');
+  });
+
+  it('rolls back a held commission without touching the ledger', async () => {
+    const { referrer, user } = await flaggedReferral();
+    const txId = await purchase(user);
+
+    const result = await rollbackReferralCommission(user._id, txId, PURCHASE, 'naira', 'share', 'UserShare');
+
+    expect(result.rolledBackCount).toBe(1);
+    expect((await ReferralTransaction.findOne({ beneficiary: referrer._id })).status).toBe('rolled_back');
+    expect(await ledgerService.getUserBalances(referrer._id)).toMatchObject({ availableBalance: 0, clawbackOutstanding: 0 });
+  });
+});
@@ -0,0 +1,108 @@
+// tests/referral/referralGraph.test.js
+const Referral = require('../../models/Referral');
+const ReferralClosure = require('../../models/ReferralClosure');
+const TransactionV2 = require('../../models/TransactionV2');
+const User = require('../../models/User');
+const referralGraph = require('../../utils/referralGraph');
+const { createUser, createReferralChain } = require('../fixtures/users');
+
+let purchaseSequence = 0;
+
+const completedPurchase = (user, totalAmount, shares = 1) => {
+  purchaseSequence++;
+  return TransactionV2.create({
+    transactionId: `TXN-GRAPH-${purchaseSequence}`,
+    userId: user._id,
+    type: 'share',
+    shares,
+    tierKey: 'standard',
+    pricePerShare: totalAmount / shares,
+    ownershipPctPerShare: 0.001,
+    totalAmount,
+    ownershipPct: 0.001 * shares,
+    currency: 'naira',
+    status: 'completed'
+  });
+};
+
+const changeReferrer = async (user, referrer) => {
+  await User.updateOne({ _id: user._id }, { 'referralInfo.code': referrer ? referrer.userName : null });
+  return referralGraph.moveUser(user._id);
+};
+
+describe('referral graph', () => {
+  it('stores every ancestor of a new user with its depth', async () => {
+    const { purchaser, referrers } = await createReferralChain(3);
+
+    const upline = await referralGraph.getUpline(purchaser._id);
+
+    expect(upline.map(row => [row.ancestor.userName, row.depth])).toEqual(
+      referrers.map((referrer, i) => [referrer.userName, i + 1])
+    );
+    expect(await referralGraph.countByGeneration(referrers[2]._id)).toEqual({ 1: 1, 2: 1, 3: 1 });
+  });
+
+  it('moves a user together with their downline to a new referrer', async () => {
+    const { purchaser, referrers } = await createReferralChain(2);
+    const newReferrer = await createUser();
+
+    await changeReferrer(referrers[0], newReferrer);
+
+    const upline = await referralGraph.getUpline(purchaser._id);
+    expect(upline.map(row => row.ancestor.userName)).toEqual([referrers[0].userName, newReferrer.userName]);
+    expect(await referralGraph.countByGeneration(referrers[1]._id)).toEqual({});
+
+    const oldStats = await Referral.findOne({ user: referrers[1]._id });
+    const newStats = await Referral.findOne({ user: newReferrer._id });
+    expect([oldStats.generation1.count, oldStats.generation2.count]).toEqual([0, 0]);
+    expect([newStats.generation1.count, newStats.generation2.count]).toEqual([1, 1]);
+  });
+
+  it('refuses a referrer from the user\'s own downline', async () => {
+    const { purchaser, referrers } = await createReferralChain(2);
+
+    expect(await referralGraph.wouldCreateCycle(referrers[1]._id, purchaser._id)).toBe(true);
+    await expect(changeReferrer(referrers[1], purchaser)).rejects.toThrow('own downline');
+    expect(await ReferralClosure.countDocuments({ descendant: referrers[1]._id })).toBe(0);
+  });
+
+  it('rebuilds rows that drifted from the referral codes', async () => {
+    const { purchaser, referrers } = await createReferralChain(2);
+    await ReferralClosure.deleteMany({ descendant: purchaser._id });
+    await ReferralClosure.create({ ancestor: purchaser._id, descendant: referrers[1]._id, depth: 1 });
+
+    const result = await referralGraph.rebuild();
+
+    expect(result.repaired).toBe(2);
+    expect((await referralGraph.getUpline(purchaser._id)).map(row => row.depth)).toEqual([1, 2]);
+    expect(await ReferralClosure.countDocuments({ descendant: referrers[1]._id })).toBe(0);
+    expect((await referralGraph.rebuild()).repaired).toBe(0);
+  });
+
+  it('pages through the downline nearest generation first', async () => {
+    const { referrers } = await createReferralChain(2);
+    const root = referrers[1];
+    await createUser({ referralInfo: { code: root.userName } });
+
+    const firstPage = await referralGraph.getDownline(root._id, { limit: 2 });
+    const secondGeneration = await referralGraph.getDownline(root._id, { depth: 2 });
+
+    expect(firstPage.total).toBe(3);
+    expect(firstPage.members.map(m => m.depth)).toEqual([1, 1]);
+    expect(secondGeneration.members).toHaveLength(1);
+  });
+
+  it('totals completed purchases across the downline', async () => {
+    const { purchaser, referrers } = await createReferralChain(2);
+    await completedPurchase(purchaser, 100000, 2);
+    await completedPurchase(purchaser, 50000);
+    await completedPurchase(referrers[0], 30000);
+    await completedPurchase(referrers[1], 999999); // the root's own purchase is not team volume
+
+    const volume = await referralGraph.getTeamVolume(referrers[1]._id);
+
+    expect(volume).toMatchObject({ members: 2, buyers: 2 });
+    expect(volume.byCurrency.naira).toEqual({ amount: 180000, shares: 4, purchases: 3 });
+    expect(volume.byGeneration.map(g => [g.generation, g.amount])).toEqual([[1, 30000], [2, 150000]]);
+  });
+});
@@ -0,0 +1,100 @@
+// tests/referral/referralRanks.test.js
+const mongoose = require('mongoose');
+const CryptoExchangeRate = require('../../models/CryptoExchangeRate');
+const LedgerEntry = require('../../models/LedgerEntry');
+const Referral = require('../../models/Referral');
+const ReferralRankAward = require('../../models/ReferralRankAward');
+const SiteConfig = require('../../models/SiteConfig');
+const TransactionV2 = require('../../models/TransactionV2');
+const ledgerService = require('../../utils/ledgerService');
+const { getRankSummary } = require('../../utils/referralRanks');
+const { createUser } = require('../fixtures/users');
+const { PURCHASE, purchase } = require('../fixtures/referrals');
+
+const RANKS = [
+  { key: 'bronze', name: 'Bronze', minDirectReferrals: 2, bonus: 5000 },
+  { key: 'silver', name: 'Silver', minDirectReferrals: 2, minTeamVolume: 200000, bonus: 20000 }
+];
+
+// A completed V2 purchase, which is what team volume is counted from
+const recordPurchase = (user, totalAmount = PURCHASE, currency = 'naira') =>
+  TransactionV2.create({
+    transactionId: `TX-${new mongoose.Types.ObjectId()}`,
+    userId: user._id,
+    type: 'share',
+    shares: 1,
+    tierKey: 'basic',
+    pricePerShare: totalAmount,
+    ownershipPctPerShare: 0.00004,
+    totalAmount,
+    ownershipPct: 0.00004,
+    currency,
+    status: 'completed'
+  });
+
+const available = async (user) => (await ledgerService.getUserBalances(user._id)).availableBalance;
+
+describe('referral ranks', () => {
+  beforeEach(async () => {
+    await SiteConfig.create({ referralLockDays: 0, referralRanks: RANKS });
+  });
+
+  it('awards a rank and its bonus once when a commission is paid', async () => {
+    const referrer = await createUser();
+    const first = await createUser({ referralInfo: { code: referrer.userName } });
+    await createUser({ referralInfo: { code: referrer.userName } });
+
+    await purchase(first);
+    await purchase(first);
+
+    expect((await ReferralRankAward.find({ user: referrer._id })).map(award => award.rank)).toEqual(['bronze']);
+    expect(await available(referrer)).toBe(35000);
+    expect(await LedgerEntry.countDocuments({ entryType: 'referral_bonus' })).toBe(1);
+    expect((await Referral.findOne({ user: referrer._id })).rank.key).toBe('bronze');
+  });
+
+  it('counts team purchase volume toward a rank', async () => {
+    const referrer = await createUser();
+    const first = await createUser({ referralInfo: { code: referrer.userName } });
+    const second = await createUser({ referralInfo: { code: referrer.userName } });
+    await recordPurchase(first);
+    await recordPurchase(second, 150000);
+
+    await purchase(first);
+
+    const summary = await getRankSummary(referrer._id);
+    expect(summary.current.key).toBe('silver');
+    expect(summary.history.map(rank => [rank.key, rank.bonus])).toEqual([['bronze', 5000], ['silver', 20000]]);
+    expect(summary.next).toBeNull();
+    expect(await available(referrer)).toBe(40000);
+  });
+
+  it('adds USDT downline purchases to team volume at their naira value', async () => {
+    await CryptoExchangeRate.create({ usdtPriceNGN: 1500, bnbPriceNGN: 900000, source: 'Manual' });
+    const referrer = await createUser();
+    const first = await createUser({ referralInfo: { code: referrer.userName } });
+    const second = await createUser({ referralInfo: { code: referrer.userName } });
+    await recordPurchase(first, 50000);
+    await recordPurchase(second, 100, 'usdt');
+
+    await purchase(first);
+
+    // 50,000 naira + 100 USDT at 1,500 = 200,000, just enough for silver
+    expect((await getRankSummary(referrer._id)).current.key).toBe('silver');
+  });
+
+  it('shows progress toward the next rank', async () => {
+    const referrer = await createUser();
+    const only = await createUser({ referralInfo: { code: referrer.userName } });
+
+    await purchase(only);
+
+    const summary = await getRankSummary(referrer._id);
+    expect(summary.current).toBeNull();
+    expect(summary.next).toMatchObject({
+      key: 'bronze',
+      progress: [{ metric: 'directReferrals', required: 2, current: 1 }]
+    });
+    expect(await ReferralRankAward.countDocuments()).toBe(0);
+  });
+});
@@ -0,0 +1,119 @@
+// tests/referral/referrerReassignment.test.js
+const CryptoExchangeRate = require('../../models/CryptoExchangeRate');
+const ReferralTransaction = require('../../models/ReferralTransaction');
+const SiteConfig = require('../../models/SiteConfig');
+const PaymentTransaction = require('../../models/Transaction');
+const User = require('../../models/User');
+const ledgerService = require('../../utils/ledgerService');
+const referralGraph = require('../../utils/referralGraph');
+const { processReferralCommission } = require('../../utils/referralUtils');
+const { planReassignment, applyReassignment, ReassignmentError } = require('../../utils/referrerReassignment');
+const { createUser, createReferralChain } = require('../fixtures/users');
+const { purchase } = require('../fixtures/referrals');
+
+const available = async (user) => (await ledgerService.getUserBalances(user._id)).availableBalance;
+
+describe('referrer reassignment', () => {
+  beforeEach(async () => {
+    await SiteConfig.create({ referralLockDays: 0 });
+  });
+
+  it('previews the commissions that move without changing anything', async () => {
+    const { purchaser, referrers } = await createReferralChain(2);
+    const newReferrer = await createUser();
+    await purchase(purchaser);
+
+    const plan = await planReassignment(purchaser._id, newReferrer.userName);
+
+    expect(plan.rollBack.map(item => [item.generation, item.beneficiary.userName, item.amount])).toEqual([
+      [1, referrers[0].userName, 15000],
+      [2, referrers[1].userName, 3000]
+    ]);
+    expect(plan.create.map(item => [item.generation, item.beneficiary.userName, item.amount])).toEqual([
+      [1, newReferrer.userName, 15000]
+    ]);
+    expect(plan.totals).toEqual({ naira: { rolledBack: 18000, created: 15000 } });
+    expect(await ReferralTransaction.countDocuments({ status: 'rolled_back' })).toBe(0);
+    expect((await User.findById(purchaser._id)).referralInfo.code).toBe(referrers[0].userName);
+  });
+
+  it('moves the commissions to the new upline and re-parents the user', async () => {
+    const { purchaser, referrers } = await createReferralChain(2);
+    const newReferrer = await createUser();
+    await purchase(purchaser);
+
+    await applyReassignment(purchaser._id, newReferrer.userName, { reason: 'Signed up with the wrong link' });
+
+    expect(await available(referrers[0])).toBe(0);
+    expect(await available(referrers[1])).toBe(0);
+    expect(await available(newReferrer)).toBe(15000);
+    expect((await User.findById(purchaser._id)).referralInfo.code).toBe(newReferrer.userName);
+    expect((await referralGraph.getUpline(purchaser._id)).map(row => row.ancestor.userName))
+      .toEqual([newReferrer.userName]);
+  });
+
+  it('only re-pays the generations above a moved downline', async () => {
+    const { purchaser, referrers } = await createReferralChain(2);
+    const grandReferrer = await createUser();
+    const newReferrer = await createUser({ referralInfo: { code: grandReferrer.userName } });
+    await purchase(purchaser);
+
+    const result = await applyReassignment(referrers[0]._id, newReferrer.userName, { reason: 'Wrong upline' });
+
+    expect(result.rollBack.map(item => item.generation)).toEqual([2]);
+    expect(await available(referrers[0])).toBe(15000);
+    expect(await available(referrers[1])).toBe(0);
+    expect(await available(newReferrer)).toBe(3000);
+    expect(await available(grandReferrer)).toBe(2000);
+  });
+
+  it('leaves everything as it was when the audit record cannot be written', async () => {
+    const { purchaser, referrers } = await createReferralChain(2);
+    const newReferrer = await createUser();
+    await purchase(purchaser);
+
+    await expect(applyReassignment(purchaser._id, newReferrer.userName, {
+      reason: 'Wrong link',
+      audit: async () => { throw new Error('audit store unavailable'); }
+    })).rejects.toThrow('audit store unavailable');
+
+    expect(await available(referrers[0])).toBe(15000);
+    expect(await available(newReferrer)).toBe(0);
+    expect(await ReferralTransaction.countDocuments({ status: 'rolled_back' })).toBe(0);
+    expect((await User.findById(purchaser._id)).referralInfo.code).toBe(referrers[0].userName);
+  });
+
+  it('holds a usdt purchase to the naira minimum at the rate it was credited at', async () => {
+    await CryptoExchangeRate.create({ usdtPriceNGN: 1500, bnbPriceNGN: 900000, source: 'Manual' });
+    const { purchaser } = await createReferralChain(1);
+    const newReferrer = await createUser();
+    const tx = await PaymentTransaction.create({ userId: purchaser._id, type: 'co-founder', amount: 40, currency: 'usdt', paymentMethod: 'web3' });
+    await processReferralCommission(purchaser._id, 40, 'co-founder', tx._id); // 60,000 naira
+    await SiteConfig.updateOne({}, { referralMinPurchase: 100000 });
+
+    const plan = await planReassignment(purchaser._id, newReferrer.userName);
+
+    expect(plan.rollBack).toHaveLength(1);
+    expect(plan.create).toEqual([]);
+  });
+
+  it('can move a user back to their original referrer', async () => {
+    const { purchaser, referrers } = await createReferralChain(2);
+    const newReferrer = await createUser();
+    await purchase(purchaser);
+
+    await applyReassignment(purchaser._id, newReferrer.userName, { reason: 'Moved by mistake' });
+    await applyReassignment(purchaser._id, referrers[0].userName, { reason: 'Undo' });
+
+    expect(await available(newReferrer)).toBe(0);
+    expect(await available(referrers[0])).toBe(15000);
+    expect(await available(referrers[1])).toBe(3000);
+  });
+
+  it('refuses a referrer from the user\'s own downline', async () => {
+    const { purchaser, referrers } = await createReferralChain(2);
+
+    await expect(planReassignment(referrers[1]._id, purchaser.userName)).rejects.toThrow(ReassignmentError);
+    await expect(planReassignment(referrers[1]._id, purchaser.userName)).rejects.toThrow('own downline');
+  });
+});
@@ -0,0 +1,77 @@
+// tests/referral/rollbackReferralCommission.test.js
+const Referral = require('../../models/Referral');
+const ReferralTransaction = require('../../models/ReferralTransaction');
+const SiteConfig = require('../../models/SiteConfig');
+const ledgerService = require('../../utils/ledgerService');
+const { rollbackReferralCommission } = require('../../utils/referralUtils');
+const { createReferralChain } = require('../fixtures/users');
+const { PURCHASE, purchase } = require('../fixtures/referrals');
+
+describe('rollbackReferralCommission', () => {
+  // Commissions are withdrawable at once; the lock period has its own tests
+  beforeEach(() => SiteConfig.create({ referralLockDays: 0 }));
+
+  it('reverses every generation of a transaction', async () => {
+    const { purchaser, referrers } = await createReferralChain(3);
+    const txId = await purchase(purchaser);
+
+    const result = await rollbackReferralCommission(purchaser._id, txId, PURCHASE, 'naira', 'share', 'UserShare');
+
+    expect(result).toMatchObject({ success: true, rolledBackCount: 3, totalFound: 3 });
+
+    const commissions = await ReferralTransaction.find({ sourceTransaction: txId });
+    expect(commissions.every(c => c.status === 'rolled_back')).toBe(true);
+    expect(commissions.every(c => c.rolledBackAt instanceof Date)).toBe(true);
+
+    for (let i = 0; i < referrers.length; i++) {
+      const balances = await ledgerService.getUserBalances(referrers[i]._id);
+      const stats = await Referral.findOne({ user: referrers[i]._id });
+
+      expect(balances.availableBalance).toBe(0);
+      expect(stats.totalEarnings).toBe(0);
+      expect(stats[`generation${i + 1}`].earnings).toBe(0);
+    }
+  });
+
+  it('leaves commissions from other transactions alone', async () => {
+    const { purchaser, referrers } = await createReferralChain(3);
+    const keptTxId = await purchase(purchaser, 50000);
+    const reversedTxId = await purchase(purchaser, PURCHASE);
+
+    await rollbackReferralCommission(purchaser._id, reversedTxId, PURCHASE, 'naira', 'share', 'UserShare');
+
+    const kept = await ReferralTransaction.find({ sourceTransaction: keptTxId });
+    expect(kept.every(c => c.status === 'completed')).toBe(true);
+
+    const gen1 = await Referral.findOne({ user: referrers[0]._id });
+    expect(gen1.totalEarnings).toBe(7500);
+    expect(gen1.generation1.earnings).toBe(7500);
+
+    const gen3Balances = await ledgerService.getUserBalances(referrers[2]._id);
+    expect(gen3Balances.availableBalance).toBe(1000);
+  });
+
+  it('is a no-op the second time', async () => {
+    const { purchaser, referrers } = await createReferralChain(3);
+    const txId = await purchase(purchaser);
+
+    await rollbackReferralCommission(purchaser._id, txId, PURCHASE, 'naira', 'share', 'UserShare');
+    const second = await rollbackReferralCommission(purchaser._id, txId, PURCHASE, 'naira', 'share', 'UserShare');
+
+    expect(second).toMatchObject({ success: true, rolledBackCount: 0 });
+
+    const balances = await ledgerService.getUserBalances(referrers[0]._id);
+    expect(balances.availableBalance).toBe(0);
+  });
+
+  it('only matches the source model it is given', async () => {
+    const { purchaser, referrers } = await createReferralChain(1);
+    const txId = await purchase(purchaser);
+
+    const result = await rollbackReferralCommission(purchaser._id, txId, PURCHASE, 'naira', 'share', 'Transaction');
+
+    expect(result.rolledBackCount).toBe(0);
+    const balances = await ledgerService.getUserBalances(referrers[0]._id);
+    expect(balances.availableBalance).toBe(15000);
+  });
+});
@@ -0,0 +1,254 @@
+// tests/routes/adminReferral.test.js
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { buildApp } = require('../helpers/app');
+const { createAdmin, createUser } = require('../fixtures/users');
+const { steppedUpAuthHeader } = require('../fixtures/twoFactor');
+const { createEarner } = require('../fixtures/referrals');
+const LedgerEntry = require('../../models/LedgerEntry');
+const Referral = require('../../models/Referral');
+const ReferralTransaction = require('../../models/ReferralTransaction');
+const ReferralClawback = require('../../models/ReferralClawback');
+const AuditEvent = require('../../models/AuditEvent');
+const User = require('../../models/User');
+const { checkNewReferral } = require('../../utils/referralFraud');
+const ledgerService = require('../../utils/ledgerService');
+
+const app = buildApp();
+
+const createClawback = (user, amount, recoveredAmount = 0) =>
+  ReferralClawback.create({
+    user: user._id,
+    referralTransaction: new mongoose.Types.ObjectId(),
+    ledgerReference: `commission:${new mongoose.Types.ObjectId()}:reversal`,
+    amount,
+    recoveredAmount,
+    outstandingAmount: amount - recoveredAmount,
+    status: amount === recoveredAmount ? 'recovered' : 'outstanding'
+  });
+
+describe('GET /api/admin/referrals/clawbacks', () => {
+  it('totals outstanding clawbacks per user, largest first', async () => {
+    const admin = await createAdmin();
+    const small = await createUser();
+    const large = await createUser();
+    await createClawback(small, 5000, 1000);
+    await createClawback(large, 20000);
+    await createClawback(large, 3000);
+    await createClawback(small, 8000, 8000);
+
+    const res = await request(app).get('/api/admin/referrals/clawbacks').set(await steppedUpAuthHeader(admin));
+
+    expect(res.status).toBe(200);
+    expect(res.body.users.map(u => [u.user.userName, u.clawbacks, u.outstandingAmount])).toEqual([
+      [large.userName, 2, 23000],
+      [small.userName, 1, 4000]
+    ]);
+    expect(res.body.summary).toMatchObject({ users: 2, outstandingAmount: 27000, recoveredAmount: 1000 });
+  });
+
+  it('lists the clawbacks of one user', async () => {
+    const admin = await createAdmin();
+    const user = await createUser();
+    await createClawback(user, 5000);
+
+    const res = await request(app)
+      .get('/api/admin/referrals/clawbacks')
+      .query({ userId: user._id.toString(), status: 'all' })
+      .set(await steppedUpAuthHeader(admin));
+
+    expect(res.status).toBe(200);
+    expect(res.body.clawbacks).toHaveLength(1);
+    expect(res.body.clawbacks[0]).toMatchObject({ amount: 5000, status: 'outstanding' });
+  });
+});
+
+describe('PUT /api/admin/referrals/user/:userId/referrer', () => {
+  it('previews a referrer change with dryRun', async () => {
+    const admin = await createAdmin();
+    const referrer = await createUser();
+    const user = await createUser();
+
+    const res = await request(app)
+      .put(`/api/admin/referrals/user/${user._id}/referrer`)
+      .set(await steppedUpAuthHeader(admin))
+      .send({ referrer: referrer.userName, dryRun: true });
+
+    expect(res.status).toBe(200);
+    expect(res.body.plan).toMatchObject({ currentReferrer: null, newReferrer: { userName: referrer.userName } });
+    expect((await User.findById(user._id)).referralInfo.code).toBeUndefined();
+  });
+
+  it('applies the change and records it in the audit trail', async () => {
+    const admin = await createAdmin();
+    const referrer = await createUser();
+    const user = await createUser();
+
+    const res = await request(app)
+      .put(`/api/admin/referrals/user/${user._id}/referrer`)
+      .set(await steppedUpAuthHeader(admin))
+      .send({ referrer: referrer.userName, reason: 'Used the wrong invite link' });
+
+    expect(res.status).toBe(200);
+    expect((await User.findById(user._id)).referralInfo.code).toBe(referrer.userName);
+    const event = await AuditEvent.findOne({ action: 'referrer_reassignment' });
+    expect(event.after).toMatchObject({ referrer: referrer.userName });
+  });
+
+  it('requires a reason to apply', async () => {
+    const admin = await createAdmin();
+    const referrer = await createUser();
+    const user = await createUser();
+
+    const res = await request(app)
+      .put(`/api/admin/referrals/user/${user._id}/referrer`)
+      .set(await steppedUpAuthHeader(admin))
+      .send({ referrer: referrer.userName });
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('/api/admin/referrals/fraud/flags', () => {
+  const flagReferral = async () => {
+    const registrationInfo = { ip: '10.0.0.1', deviceFingerprint: 'fp-1' };
+    const referrer = await createUser({ registrationInfo });
+    const user = await createUser({ registrationInfo, referralInfo: { code: referrer.userName } });
+    return checkNewReferral(user._id);
+  };
+
+  it('lists open flags for review', async () => {
+    const admin = await createAdmin();
+    const flag = await flagReferral();
+
+    const res = await request(app).get('/api/admin/referrals/fraud/flags').set(await steppedUpAuthHeader(admin));
+
+    expect(res.status).toBe(200);
+    expect(res.body.flags.map(f => f._id)).toEqual([flag._id.toString()]);
+    expect(res.body.flags[0].held).toEqual({ commissions: 0, amounts: {} });
+  });
+
+  it('releases a flag once', async () => {
+    const admin = await createAdmin();
+    const flag = await flagReferral();
+    const headers = await steppedUpAuthHeader(admin);
+
+    const first = await request(app).post(`/api/admin/referrals/fraud/flags/${flag._id}/release`).set(headers).send({ note: 'Checked' });
+    const second = await request(app).post(`/api/admin/referrals/fraud/flags/${flag._id}/void`).set(headers);
+
+    expect(first.status).toBe(200);
+    expect(first.body.flag.status).toBe('released');
+    expect(second.status).toBe(409);
+  });
+});
+
+describe('/api/admin/referrals/campaigns', () => {
+  const campaign = (overrides = {}) => ({
+    name: 'Launch week',
+    code: 'launch',
+    startsAt: new Date(Date.now() - 60 * 60 * 1000).toISOString(),
+    endsAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString(),
+    rates: [{ level: 1, rate: 20 }],
+    budget: 500000,
+    ...overrides
+  });
+
+  it('creates a campaign and reports on it under analytics', async () => {
+    const admin = await createAdmin();
+    const headers = await steppedUpAuthHeader(admin);
+
+    const created = await request(app).post('/api/admin/referrals/campaigns').set(headers).send(campaign());
+    await createUser({ referralInfo: { campaign: created.body.campaign._id, campaignCode: 'LAUNCH' } });
+    const report = await request(app).get('/api/admin/referrals/analytics/campaigns?status=running').set(headers);
+
+    expect(created.status).toBe(201);
+    expect(created.body.campaign.code).toBe('LAUNCH');
+    expect(report.status).toBe(200);
+    expect(report.body.campaigns.map(row => [row.campaign.code, row.signUps, row.budget.remaining]))
+      .toEqual([['LAUNCH', 1, 500000]]);
+    expect(await AuditEvent.countDocuments({ action: 'referral_campaign_create' })).toBe(1);
+  });
+
+  it('refuses an invalid or duplicate campaign', async () => {
+    const admin = await createAdmin();
+    const headers = await steppedUpAuthHeader(admin);
+    await request(app).post('/api/admin/referrals/campaigns').set(headers).send(campaign());
+
+    const invalid = await request(app).post('/api/admin/referrals/campaigns').set(headers).send(campaign({ code: 'other', rates: [{ level: 0, rate: 5 }] }));
+    const duplicate = await request(app).post('/api/admin/referrals/campaigns').set(headers).send(campaign());
+
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.errors).toEqual(['rates[0].level must be a whole number from 1 to 10']);
+    expect(duplicate.status).toBe(409);
+  });
+});
+
+describe('admin referral earnings adjustments', () => {
+  const balances = (user) => ledgerService.getUserBalances(user._id);
+
+  it('posts an earnings adjustment to the ledger once per Idempotency-Key', async () => {
+    const admin = await createAdmin();
+    const earner = await createEarner();
+    const adjust = async () => request(app)
+      .post('/api/admin/referrals/earnings/adjust')
+      .set(await steppedUpAuthHeader(admin))
+      .set('Idempotency-Key', 'adjust-1')
+      .send({ userId: earner._id.toString(), adjustmentType: 'add', amount: 5000, reason: 'Missed campaign bonus' });
+
+    const first = await adjust();
+    const retry = await adjust();
+
+    expect(first.status).toBe(200);
+    expect(first.body.adjustment).toMatchObject({ oldEarnings: 30000, newEarnings: 35000 });
+    expect(retry.body.adjustment.adjustmentId).toBe(first.body.adjustment.adjustmentId);
+    expect(await LedgerEntry.countDocuments({ entryType: 'adjustment' })).toBe(1);
+    expect((await balances(earner)).availableBalance).toBe(35000);
+    expect((await Referral.findOne({ user: earner._id })).totalEarnings).toBe(35000);
+  });
+
+  it('deducts no more than the available balance', async () => {
+    const admin = await createAdmin();
+    const earner = await createEarner();
+
+    const res = await request(app)
+      .post('/api/admin/referrals/earnings/adjust')
+      .set(await steppedUpAuthHeader(admin))
+      .send({ userId: earner._id.toString(), adjustmentType: 'subtract', amount: 50000, reason: 'Duplicate payout' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.adjustment).toMatchObject({ oldEarnings: 30000, newEarnings: 0 });
+    expect((await balances(earner)).availableBalance).toBe(0);
+  });
+
+  it('posts the difference when a commission amount is edited', async () => {
+    const admin = await createAdmin();
+    const earner = await createEarner();
+    const commission = await ReferralTransaction.findOne({ beneficiary: earner._id });
+
+    const res = await request(app)
+      .put(`/api/admin/referrals/transaction/${commission._id}/adjust`)
+      .set(await steppedUpAuthHeader(admin))
+      .send({ newAmount: 20000, adjustmentReason: 'Wrong commission rate' });
+
+    expect(res.status).toBe(200);
+    expect((await balances(earner)).availableBalance).toBe(20000);
+    expect((await Referral.findOne({ user: earner._id })).totalEarnings).toBe(20000);
+  });
+
+  it('takes a cancelled commission back so it can no longer be withdrawn', async () => {
+    const admin = await createAdmin();
+    const earner = await createEarner();
+    const commission = await ReferralTransaction.findOne({ beneficiary: earner._id });
+
+    const res = await request(app)
+      .delete(`/api/admin/referrals/transaction/${commission._id}/cancel`)
+      .set(await steppedUpAuthHeader(admin))
+      .send({ reason: 'The purchase was refunded' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.cancelledTransaction.newTotalEarnings).toBe(0);
+    expect((await ReferralTransaction.findById(commission._id)).status).toBe('rolled_back');
+    expect((await balances(earner)).availableBalance).toBe(0);
+    expect(await LedgerEntry.exists({ reference: `commission:${commission._id}:reversal` })).toBeTruthy();
+  });
+});
@@ -0,0 +1,181 @@
+// tests/routes/audit.test.js
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { buildApp } = require('../helpers/app');
+const { createAdmin } = require('../fixtures/users');
+const { steppedUpAuthHeader } = require('../fixtures/twoFactor');
+const { TEST_TIERS, seedTiers } = require('../fixtures/tiers');
+const AuditEvent = require('../../models/AuditEvent');
+const WithdrawalAuditLog = require('../../models/WithdrawalAuditLog');
+
+const app = buildApp();
+
+// Generic events and permission denials are written after the response
+const waitForEvent = async (filter) => {
+  for (let i = 0; i < 50; i++) {
+    const event = await AuditEvent.findOne(filter);
+    if (event) return event;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  return null;
+};
+
+describe('audit trail', () => {
+  beforeAll(() => AuditEvent.init());
+
+  it('mirrors admin audit logs with before/after and the request id', async () => {
+    const admin = await createAdmin();
+
+    const res = await request(app)
+      .put('/api/admin/approvals/thresholds/withdrawal.pay')
+      .set(await steppedUpAuthHeader(admin))
+      .set('User-Agent', 'audit-test')
+      .send({ threshold: 750000, reason: 'Quarterly review' });
+
+    expect(res.status).toBe(200);
+    const event = await AuditEvent.findOne({ action: 'UPDATE_APPROVAL_THRESHOLD' });
+    expect(event).toMatchObject({
+      source: 'admin',
+      entityType: 'approval_threshold',
+      entityId: 'withdrawal.pay',
+      reason: 'Quarterly review',
+      userAgent: 'audit-test',
+      requestId: res.headers['x-request-id']
+    });
+    expect(event.actor.toString()).toBe(admin._id.toString());
+    expect(event.before).toEqual({ threshold: 500000, enabled: true });
+    expect(event.after).toEqual({ threshold: 750000, enabled: true });
+  });
+
+  it('snapshots tiers before and after an edit', async () => {
+    await seedTiers();
+    const admin = await createAdmin();
+
+    const res = await request(app)
+      .put('/api/shares/tiers/basic')
+      .set(await steppedUpAuthHeader(admin))
+      .send({ priceNGN: 60000 });
+
+    expect(res.status).toBe(200);
+    const events = await AuditEvent.find({ requestId: res.headers['x-request-id'] });
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({ action: 'TIER_UPDATED', entityType: 'tier', entityId: 'basic' });
+    expect(events[0].before.priceNGN).toBe(50000);
+    expect(events[0].after.priceNGN).toBe(60000);
+  });
+
+  it('records admin mutations that write no audit entry of their own', async () => {
+    await seedTiers();
+    const admin = await createAdmin();
+
+    const res = await request(app)
+      .put('/api/shares/admin/tiers/basic')
+      .set(await steppedUpAuthHeader(admin))
+      .send({ active: false, reason: 'Sold out' });
+
+    expect(res.status).toBe(200);
+    const event = await waitForEvent({ requestId: res.headers['x-request-id'] });
+    expect(event).toMatchObject({
+      action: 'PUT /api/shares/admin/tiers/:tierKey',
+      source: 'request',
+      entityType: 'shares',
+      entityId: 'basic',
+      reason: 'Sold out'
+    });
+  });
+});
+
+describe('GET /api/admin/audit', () => {
+  it('filters by actor email, action list and date range', async () => {
+    const admin = await createAdmin();
+    const other = await createAdmin();
+    await AuditEvent.create([
+      { actor: admin._id, action: 'TIER_UPDATED', source: 'tiers', createdAt: new Date('2026-03-01') },
+      { actor: admin._id, action: 'APPROVAL_APPROVED', source: 'admin', createdAt: new Date('2026-03-05') },
+      { actor: admin._id, action: 'APPROVAL_REJECTED', source: 'admin', createdAt: new Date('2026-01-01') },
+      { actor: other._id, action: 'TIER_UPDATED', source: 'tiers', createdAt: new Date('2026-03-02') }
+    ]);
+
+    const res = await request(app)
+      .get('/api/admin/audit')
+      .query({ actor: admin.email, action: 'TIER_UPDATED,APPROVAL_APPROVED', from: '2026-02-01', to: '2026-04-01' })
+      .set(await steppedUpAuthHeader(admin));
+
+    expect(res.status).toBe(200);
+    expect(res.body.events.map(e => e.action)).toEqual(['APPROVAL_APPROVED', 'TIER_UPDATED']);
+    expect(res.body.pagination.total).toBe(2);
+  });
+
+  it('exports CSV', async () => {
+    const admin = await createAdmin();
+    await AuditEvent.create({
+      actor: admin._id,
+      action: 'TIER_UPDATED',
+      source: 'tiers',
+      entityType: 'tier',
+      entityId: 'basic',
+      before: { priceNGN: 50000 },
+      after: { priceNGN: 60000 }
+    });
+
+    const res = await request(app)
+      .get('/api/admin/audit/export')
+      .query({ entityType: 'tier' })
+      .set(await steppedUpAuthHeader(admin));
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/text\/csv/);
+    const lines = res.text.trim().split('\r\n');
+    expect(lines).toHaveLength(2);
+    expect(lines[0]).toMatch(/^timestamp,action,source,actorId/);
+    expect(lines[1]).toContain('"{""priceNGN"":50000}"');
+  });
+
+  it('is limited to admins with audit.view, and the refusal is itself audited', async () => {
+    const support = await createAdmin({ adminRoles: ['support'] });
+
+    const res = await request(app).get('/api/admin/audit').set(await steppedUpAuthHeader(support));
+
+    expect(res.status).toBe(403);
+    const event = await waitForEvent({ action: 'PERMISSION_DENIED' });
+    expect(event.details.required).toEqual(['audit.view']);
+  });
+});
+
+describe('POST /api/admin/audit/backfill', () => {
+  beforeAll(() => AuditEvent.init());
+
+  it('imports legacy records once', async () => {
+    const admin = await createAdmin();
+    // Written straight to the collection, as records from before the trail existed
+    await WithdrawalAuditLog.collection.insertOne({
+      action: 'WITHDRAWAL_STATUS_OVERRIDDEN',
+      performedBy: admin._id,
+      targetWithdrawal: new mongoose.Types.ObjectId(),
+      reason: 'Bank confirmed',
+      metadata: { from: 'pending', to: 'paid' },
+      createdAt: new Date('2025-06-01')
+    });
+    await seedTiers({
+      basic: {
+        ...TEST_TIERS.basic,
+        priceHistory: [{ priceNGN: 50000, priceUSD: 30, changedAt: new Date('2025-05-01'), changedBy: admin._id, reason: 'Launch' }]
+      }
+    });
+
+    const first = await request(app).post('/api/admin/audit/backfill').set(await steppedUpAuthHeader(admin));
+    const second = await request(app).post('/api/admin/audit/backfill').set(await steppedUpAuthHeader(admin));
+
+    expect(first.status).toBe(200);
+    expect(first.body.results.withdrawalAuditLogs.inserted).toBe(1);
+    expect(first.body.results.tierConfigs.inserted).toBe(1);
+    expect(second.body.results.withdrawalAuditLogs.inserted).toBe(0);
+    expect(second.body.results.tierConfigs.inserted).toBe(0);
+
+    const override = await AuditEvent.findOne({ action: 'WITHDRAWAL_STATUS_OVERRIDDEN' });
+    expect(override).toMatchObject({ source: 'withdrawals', entityType: 'withdrawal', reason: 'Bank confirmed' });
+    expect(override.before).toEqual({ status: 'pending' });
+    expect(override.after).toEqual({ status: 'paid' });
+    expect(override.createdAt).toEqual(new Date('2025-06-01'));
+  });
+});
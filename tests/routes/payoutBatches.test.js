@@ -0,0 +1,216 @@
+// tests/routes/payoutBatches.test.js
+const request = require('supertest');
+const XLSX = require('xlsx');
+const { buildApp } = require('../helpers/app');
+const { createAdmin } = require('../fixtures/users');
+const { steppedUpAuthHeader } = require('../fixtures/twoFactor');
+const { createEarner } = require('../fixtures/referrals');
+const ledgerService = require('../../utils/ledgerService');
+const Withdrawal = require('../../models/Withdrawal');
+const PayoutBatch = require('../../models/PayoutBatch');
+const WithdrawalAuditLog = require('../../models/WithdrawalAuditLog');
+const sandbox = require('../../services/payoutProviders/sandbox');
+
+const app = buildApp();
+
+const BANK_DETAILS = {
+  bankName: 'Sandbox Bank',
+  accountName: 'Test User',
+  accountNumber: '0123456789',
+  bankCode: '999001'
+};
+
+/**
+ * Approved 20,000 bank withdrawal by a referrer who earned 30,000.
+ * The sandbox decides a provider payout by the account number's last digit.
+ */
+const createApprovedWithdrawal = async (adminHeader, accountNumber = '0123456789') => {
+  const earner = await createEarner();
+
+  const { body } = await request(app)
+    .post('/api/withdrawal/request')
+    .set(await steppedUpAuthHeader(earner))
+    .send({ amount: 20000, paymentMethod: 'bank', paymentDetails: { ...BANK_DETAILS, accountNumber } });
+  await request(app).put(`/api/withdrawal/admin/${body.data.id}/approve`).set(adminHeader).send({});
+
+  return Withdrawal.findById(body.data.id);
+};
+
+const createBatch = (adminHeader, body) =>
+  request(app).post('/api/withdrawal/admin/batches').set(adminHeader).send({ name: 'Friday run', ...body });
+
+const releaseBatch = (adminHeader, batchId, method) =>
+  request(app).post(`/api/withdrawal/admin/batches/${batchId}/release`).set(adminHeader).send({ method });
+
+const resultFile = (rows) => Buffer.from(XLSX.utils.sheet_to_csv(XLSX.utils.json_to_sheet(rows)), 'utf8');
+
+const reconcile = (adminHeader, batchId, rows) =>
+  request(app)
+    .post(`/api/withdrawal/admin/batches/${batchId}/reconcile`)
+    .set(adminHeader)
+    .attach('file', resultFile(rows), 'results.csv');
+
+describe('/api/withdrawal/admin/batches', () => {
+  let adminHeader;
+
+  beforeEach(async () => {
+    sandbox.reset();
+    adminHeader = await steppedUpAuthHeader(await createAdmin());
+  });
+
+  describe('POST /', () => {
+    it('takes the oldest approved withdrawals that fit under the cap', async () => {
+      const first = await createApprovedWithdrawal(adminHeader);
+      const second = await createApprovedWithdrawal(adminHeader);
+
+      const res = await createBatch(adminHeader, { maxAmount: 30000 });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data).toMatchObject({ status: 'open', itemCount: 1, totalAmount: 20000 });
+      expect(res.body.data.items[0].reference).toBe(first.clientReference);
+      expect((await Withdrawal.findById(first._id)).payoutBatch.toString()).toBe(res.body.data._id);
+      expect((await Withdrawal.findById(second._id)).payoutBatch).toBeNull();
+
+      const queue = await request(app).get('/api/withdrawal/admin/batches/queue').set(adminHeader);
+      expect(queue.body.data).toMatchObject({ count: 1, totalAmount: 20000 });
+      expect(await WithdrawalAuditLog.countDocuments({ action: 'PAYOUT_BATCH_CREATED' })).toBe(1);
+    });
+
+    it('refuses withdrawals that are not waiting in the queue', async () => {
+      const approved = await createApprovedWithdrawal(adminHeader);
+      await createBatch(adminHeader, { withdrawalIds: [approved._id] });
+
+      const res = await createBatch(adminHeader, { withdrawalIds: [approved._id] });
+
+      expect(res.status).toBe(400);
+      expect(res.body.errors).toEqual([`${approved._id} is not in the payout queue`]);
+    });
+
+    it('keeps batched withdrawals out of the one-at-a-time pay endpoint', async () => {
+      const approved = await createApprovedWithdrawal(adminHeader);
+      await createBatch(adminHeader);
+
+      const res = await request(app).put(`/api/withdrawal/admin/${approved._id}/pay`).set(adminHeader).send({});
+
+      expect(res.status).toBe(400);
+      expect((await Withdrawal.findById(approved._id)).status).toBe('approved');
+    });
+  });
+
+  describe('bank file release and reconciliation', () => {
+    it('exports the file, settles paid items and returns failed ones to the queue', async () => {
+      const paid = await createApprovedWithdrawal(adminHeader);
+      const bounced = await createApprovedWithdrawal(adminHeader);
+      const { body: created } = await createBatch(adminHeader);
+      const batchId = created.data._id;
+
+      const release = await releaseBatch(adminHeader, batchId, 'file');
+      expect(release.status).toBe(200);
+      expect((await ledgerService.getUserBalances(paid.user)).processingWithdrawals).toBe(20000);
+
+      const file = await request(app).get(`/api/withdrawal/admin/batches/${batchId}/file?format=csv`).set(adminHeader);
+      expect(file.status).toBe(200);
+      expect(file.headers['content-type']).toMatch(/text\/csv/);
+      expect(file.text).toContain(paid.clientReference);
+      expect(file.text).toContain('0123456789');
+
+      const res = await reconcile(adminHeader, batchId, [
+        { Reference: paid.clientReference, Status: 'Successful', 'Session ID': 'NIP-0001' },
+        { Reference: bounced.clientReference, Status: 'Failed', Reason: 'Account dormant' },
+        { Reference: 'WD-not-ours', Status: 'Successful' }
+      ]);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.summary).toMatchObject({ paid: 1, failed: 1, unmatched: ['WD-not-ours'] });
+      expect(res.body.data.batch).toMatchObject({ status: 'completed', paidCount: 1, failedCount: 1 });
+
+      expect(await Withdrawal.findById(paid._id)).toMatchObject({ status: 'paid', transactionReference: 'NIP-0001' });
+      expect(await ledgerService.getUserBalances(paid.user)).toMatchObject({ totalWithdrawn: 20000, processingWithdrawals: 0 });
+
+      const requeued = await Withdrawal.findById(bounced._id);
+      expect(requeued).toMatchObject({ status: 'approved', payoutBatch: null, failureReason: 'Account dormant' });
+      expect(await ledgerService.getUserBalances(bounced.user)).toMatchObject({ pendingWithdrawals: 20000, processingWithdrawals: 0 });
+
+      const again = await reconcile(adminHeader, batchId, [{ Reference: paid.clientReference, Status: 'Successful' }]);
+      expect(again.body.data.summary).toMatchObject({ paid: 0, skipped: 1 });
+      expect((await ledgerService.getUserBalances(paid.user)).totalWithdrawn).toBe(20000);
+    });
+
+    it('sends a returned withdrawal out again in a later batch under a fresh reference', async () => {
+      const bounced = await createApprovedWithdrawal(adminHeader);
+      const { body: first } = await createBatch(adminHeader);
+      expect(first.data.items[0].reference).toBe(bounced.clientReference);
+      await releaseBatch(adminHeader, first.data._id, 'file');
+      await reconcile(adminHeader, first.data._id, [{ Reference: bounced.clientReference, Status: 'Rejected' }]);
+
+      const { body: second } = await createBatch(adminHeader, { name: 'Retry run' });
+      await releaseBatch(adminHeader, second.data._id, 'file');
+
+      const resent = `${bounced.clientReference}-R1`;
+      expect(second.data.items[0].reference).toBe(resent);
+      expect(await Withdrawal.findById(bounced._id)).toMatchObject({ transferReference: resent, retryCount: 1 });
+      expect(await ledgerService.getUserBalances(bounced.user)).toMatchObject({ pendingWithdrawals: 0, processingWithdrawals: 20000 });
+
+      const file = await request(app).get(`/api/withdrawal/admin/batches/${second.data._id}/file?format=csv`).set(adminHeader);
+      expect(file.text).toContain(resent);
+
+      const res = await reconcile(adminHeader, second.data._id, [
+        { Reference: bounced.clientReference, Status: 'Successful' },
+        { Reference: resent, Status: 'Successful' }
+      ]);
+      expect(res.body.data.summary).toMatchObject({ paid: 1, unmatched: [bounced.clientReference] });
+      expect((await Withdrawal.findById(bounced._id)).status).toBe('paid');
+    });
+
+    it('only serves the bank file once the batch is released as a file', async () => {
+      await createApprovedWithdrawal(adminHeader);
+      const { body: created } = await createBatch(adminHeader);
+
+      const res = await request(app).get(`/api/withdrawal/admin/batches/${created.data._id}/file`).set(adminHeader);
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('POST /:id/release through the provider', () => {
+    it('pays successful transfers and returns declined ones to the queue', async () => {
+      const paid = await createApprovedWithdrawal(adminHeader, '0123456789');
+      const declined = await createApprovedWithdrawal(adminHeader, '0123456781');
+      const { body: created } = await createBatch(adminHeader);
+
+      const res = await releaseBatch(adminHeader, created.data._id, 'provider');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.summary).toMatchObject({ paid: 1, requeued: 1, processing: 0 });
+      expect(res.body.data.batch).toMatchObject({ status: 'completed', provider: 'sandbox' });
+      expect(await Withdrawal.findById(paid._id)).toMatchObject({ status: 'paid', payoutProvider: 'sandbox' });
+      expect(await Withdrawal.findById(declined._id)).toMatchObject({ status: 'approved', payoutBatch: null });
+      expect((await ledgerService.getUserBalances(declined.user)).pendingWithdrawals).toBe(20000);
+    });
+
+    it('sends a requeued withdrawal to the provider under a fresh reference', async () => {
+      const declined = await createApprovedWithdrawal(adminHeader, '0123456781');
+      const { body: first } = await createBatch(adminHeader);
+      await releaseBatch(adminHeader, first.data._id, 'provider');
+
+      const { body: second } = await createBatch(adminHeader, { name: 'Retry run' });
+      await releaseBatch(adminHeader, second.data._id, 'provider');
+
+      expect(sandbox.transfers.has(declined.clientReference)).toBe(true);
+      expect(sandbox.transfers.has(`${declined.clientReference}-R1`)).toBe(true);
+    });
+  });
+
+  describe('POST /:id/cancel', () => {
+    it('returns an open batch to the queue', async () => {
+      const approved = await createApprovedWithdrawal(adminHeader);
+      const { body: created } = await createBatch(adminHeader);
+
+      const res = await request(app).post(`/api/withdrawal/admin/batches/${created.data._id}/cancel`).set(adminHeader).send({});
+
+      expect(res.status).toBe(200);
+      expect((await PayoutBatch.findById(created.data._id)).status).toBe('cancelled');
+      expect((await Withdrawal.findById(approved._id)).payoutBatch).toBeNull();
+    });
+  });
+});
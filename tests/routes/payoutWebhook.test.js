@@ -0,0 +1,143 @@
+// tests/routes/payoutWebhook.test.js
+const request = require('supertest');
+const { buildApp } = require('../helpers/app');
+const { createEarner } = require('../fixtures/referrals');
+const lenco = require('../fixtures/lenco');
+const paystack = require('../fixtures/paystack');
+const ledgerService = require('../../utils/ledgerService');
+const Withdrawal = require('../../models/Withdrawal');
+const PayoutWebhookEvent = require('../../models/PayoutWebhookEvent');
+
+const app = buildApp();
+
+const REFERENCE = 'WD-abc123-1700000000000';
+
+/** A 20,000 withdrawal out of 30,000 earned, sent through `provider` and still processing */
+const createProcessingWithdrawal = async ({ provider = 'lenco', transactionReference = 'LNC-TX-1' } = {}) => {
+  const earner = await createEarner();
+
+  const withdrawal = await Withdrawal.create({
+    user: earner._id,
+    amount: 20000,
+    withdrawalType: 'bank',
+    paymentMethod: 'bank',
+    paymentDetails: { bankName: 'Test Bank', accountName: 'Test User', accountNumber: '0123456789', bankCode: '000013' },
+    status: 'processing',
+    clientReference: REFERENCE,
+    transactionReference,
+    payoutProvider: provider
+  });
+  await ledgerService.transitionWithdrawalFunds(withdrawal, 'processing', 'available');
+  return withdrawal;
+};
+
+const deliverLenco = (payload, { signature, apiKey } = {}) => {
+  const signed = lenco.signedPayload(payload, apiKey);
+  return request(app)
+    .post('/api/webhooks/payouts/lenco')
+    .set('Content-Type', 'application/json')
+    .set('x-lenco-signature', signature ?? signed.signature)
+    .send(signed.body);
+};
+
+describe('POST /api/webhooks/payouts/:provider', () => {
+  const originalApiKey = process.env.LENCO_API_KEY;
+  const originalSecret = process.env.PAYSTACK_SECRET_KEY;
+
+  beforeAll(() => {
+    process.env.LENCO_API_KEY = lenco.TEST_LENCO_API_KEY;
+    process.env.PAYSTACK_SECRET_KEY = paystack.TEST_PAYSTACK_SECRET;
+  });
+
+  afterAll(() => {
+    if (originalApiKey === undefined) delete process.env.LENCO_API_KEY;
+    else process.env.LENCO_API_KEY = originalApiKey;
+    if (originalSecret === undefined) delete process.env.PAYSTACK_SECRET_KEY;
+    else process.env.PAYSTACK_SECRET_KEY = originalSecret;
+  });
+
+  it('rejects an unsigned or wrongly signed delivery', async () => {
+    const withdrawal = await createProcessingWithdrawal();
+    const payload = lenco.transferEvent({ clientReference: REFERENCE });
+
+    const forged = await deliverLenco(payload, { apiKey: 'someone_elses_key' });
+    const unsigned = await deliverLenco(payload, { signature: '' });
+
+    expect(forged.status).toBe(401);
+    expect(unsigned.status).toBe(401);
+    expect((await Withdrawal.findById(withdrawal._id)).status).toBe('processing');
+  });
+
+  it('marks the withdrawal paid and moves the amount to withdrawn', async () => {
+    const withdrawal = await createProcessingWithdrawal();
+
+    const res = await deliverLenco(lenco.transferEvent({ clientReference: REFERENCE, transactionReference: 'LNC-TX-1' }));
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ message: 'Withdrawal updated', status: 'paid' });
+
+    const updated = await Withdrawal.findById(withdrawal._id);
+    expect(updated.processedAt).toBeInstanceOf(Date);
+    const balances = await ledgerService.getUserBalances(withdrawal.user);
+    expect(balances).toMatchObject({ availableBalance: 10000, processingWithdrawals: 0, totalWithdrawn: 20000 });
+
+    const event = await PayoutWebhookEvent.findOne({ provider: 'lenco', reference: REFERENCE });
+    expect(event).toMatchObject({ status: 'processed', previousStatus: 'processing', newStatus: 'paid', changed: true, attempts: 1 });
+  });
+
+  it('applies a redelivered event only once', async () => {
+    const withdrawal = await createProcessingWithdrawal();
+    const payload = lenco.transferEvent({ clientReference: REFERENCE });
+
+    await deliverLenco(payload);
+    const redelivery = await deliverLenco(payload);
+
+    expect(redelivery.status).toBe(200);
+    expect(redelivery.body.message).toBe('Event already handled');
+    const balances = await ledgerService.getUserBalances(withdrawal.user);
+    expect(balances.totalWithdrawn).toBe(20000);
+  });
+
+  it('returns the amount when the transfer failed', async () => {
+    const withdrawal = await createProcessingWithdrawal();
+
+    await deliverLenco(lenco.transferEvent({ clientReference: REFERENCE, status: 'failed', reasonForFailure: 'Beneficiary account closed' }));
+
+    const updated = await Withdrawal.findById(withdrawal._id);
+    expect(updated).toMatchObject({ status: 'failed', rejectionReason: 'Beneficiary account closed' });
+    const balances = await ledgerService.getUserBalances(withdrawal.user);
+    expect(balances).toMatchObject({ availableBalance: 30000, processingWithdrawals: 0, totalWithdrawn: 0 });
+  });
+
+  it('does not undo a withdrawal that has already been settled', async () => {
+    const withdrawal = await createProcessingWithdrawal();
+    await deliverLenco(lenco.transferEvent({ clientReference: REFERENCE }));
+
+    const res = await deliverLenco(lenco.transferEvent({ clientReference: REFERENCE, status: 'failed' }));
+
+    expect(res.body).toMatchObject({ message: 'Withdrawal already up to date', status: 'paid' });
+    const balances = await ledgerService.getUserBalances(withdrawal.user);
+    expect(balances).toMatchObject({ availableBalance: 10000, totalWithdrawn: 20000 });
+  });
+
+  it('asks for redelivery when no withdrawal matches yet', async () => {
+    const res = await deliverLenco(lenco.transferEvent({ clientReference: 'WD-unknown-1' }));
+
+    expect(res.status).toBe(404);
+    expect(await PayoutWebhookEvent.findOne({ reference: 'WD-unknown-1' })).toMatchObject({ status: 'unmatched' });
+  });
+
+  it('settles Paystack transfers delivered to the Paystack webhook by transfer code', async () => {
+    const withdrawal = await createProcessingWithdrawal({ provider: 'paystack', transactionReference: 'TRF_test123' });
+    const signed = paystack.signedPayload(paystack.transferEvent({ reference: REFERENCE, transferCode: 'TRF_test123' }));
+
+    const res = await request(app)
+      .post('/api/webhooks/paystack')
+      .set('Content-Type', 'application/json')
+      .set('x-paystack-signature', signed.signature)
+      .send(signed.body);
+
+    expect(res.status).toBe(200);
+    expect((await Withdrawal.findById(withdrawal._id)).status).toBe('paid');
+  });
+});
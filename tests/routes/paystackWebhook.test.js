@@ -0,0 +1,150 @@
+// tests/routes/paystackWebhook.test.js
+const request = require('supertest');
+const { buildApp } = require('../helpers/app');
+const { createUser } = require('../fixtures/users');
+const { TEST_PAYSTACK_SECRET, chargeSuccessEvent, signedPayload } = require('../fixtures/paystack');
+const CoFounderInstallmentPlan = require('../../models/CoFounderInstallmentPlan');
+const PaystackWebhookEvent = require('../../models/PaystackWebhookEvent');
+
+const app = buildApp();
+
+const REFERENCE = 'CFI-TEST01-000001';
+
+const createCoFounderPlan = (user) =>
+  CoFounderInstallmentPlan.create({
+    planId: 'CFIP-TEST-1',
+    user: user._id,
+    totalShares: 1,
+    totalPrice: 1000000,
+    currency: 'naira',
+    installmentMonths: 4,
+    minimumDownPaymentAmount: 250000,
+    pricePerShare: 1000000,
+    installments: [1, 2, 3, 4].map(n => ({
+      installmentNumber: n,
+      amount: 250000,
+      dueDate: new Date(Date.now() + n * 30 * 24 * 60 * 60 * 1000),
+      percentageOfTotal: 25,
+      isFirstPayment: n === 1,
+      ...(n === 1 ? { status: 'pending', transactionId: REFERENCE, paymentInitialized: true } : {})
+    }))
+  });
+
+const coFounderCharge = (user, overrides = {}) => chargeSuccessEvent({
+  reference: REFERENCE,
+  amount: 250000,
+  metadata: {
+    planId: 'CFIP-TEST-1',
+    installmentNumber: 1,
+    userId: user._id.toString(),
+    transactionId: REFERENCE,
+    type: 'cofounder-installment'
+  },
+  ...overrides
+});
+
+const deliver = (payload, { signature, secret } = {}) => {
+  const signed = signedPayload(payload, secret);
+  return request(app)
+    .post('/api/webhooks/paystack')
+    .set('Content-Type', 'application/json')
+    .set('x-paystack-signature', signature ?? signed.signature)
+    .send(signed.body);
+};
+
+describe('POST /api/webhooks/paystack', () => {
+  const originalSecret = process.env.PAYSTACK_SECRET_KEY;
+
+  beforeAll(() => {
+    process.env.PAYSTACK_SECRET_KEY = TEST_PAYSTACK_SECRET;
+  });
+
+  afterAll(() => {
+    process.env.PAYSTACK_SECRET_KEY = originalSecret;
+  });
+
+  it('rejects an unsigned or wrongly signed delivery', async () => {
+    const user = await createUser();
+    await createCoFounderPlan(user);
+
+    const forged = await deliver(coFounderCharge(user), { secret: 'sk_test_someone_else' });
+    const unsigned = await deliver(coFounderCharge(user), { signature: '' });
+
+    expect(forged.status).toBe(401);
+    expect(unsigned.status).toBe(401);
+    const plan = await CoFounderInstallmentPlan.findOne({ planId: 'CFIP-TEST-1' });
+    expect(plan.totalPaidAmount).toBe(0);
+  });
+
+  it('applies charge.success to a co-founder installment', async () => {
+    const user = await createUser();
+    await createCoFounderPlan(user);
+
+    const res = await deliver(coFounderCharge(user));
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ target: 'cofounder_installment', alreadyProcessed: false });
+
+    const plan = await CoFounderInstallmentPlan.findOne({ planId: 'CFIP-TEST-1' });
+    expect(plan.status).toBe('active');
+    expect(plan.totalPaidAmount).toBe(250000);
+    expect(plan.installments[0]).toMatchObject({ status: 'completed', paidAmount: 250000 });
+
+    const event = await PaystackWebhookEvent.findOne({ reference: REFERENCE });
+    expect(event).toMatchObject({ status: 'processed', target: 'cofounder_installment', attempts: 1 });
+  });
+
+  it('applies a redelivered event only once', async () => {
+    const user = await createUser();
+    await createCoFounderPlan(user);
+    const payload = coFounderCharge(user);
+
+    await deliver(payload);
+    const redelivery = await deliver(payload);
+
+    expect(redelivery.status).toBe(200);
+    expect(redelivery.body.message).toBe('Event already handled');
+    const plan = await CoFounderInstallmentPlan.findOne({ planId: 'CFIP-TEST-1' });
+    expect(plan.totalPaidAmount).toBe(250000);
+  });
+
+  it('does not re-apply a payment the verify route already confirmed', async () => {
+    const user = await createUser();
+    const plan = await createCoFounderPlan(user);
+    plan.installments[0].status = 'completed';
+    plan.installments[0].paidAmount = 250000;
+    plan.totalPaidAmount = 250000;
+    plan.status = 'active';
+    await plan.save();
+
+    const res = await deliver(coFounderCharge(user));
+
+    expect(res.status).toBe(200);
+    expect(res.body.alreadyProcessed).toBe(true);
+    const after = await CoFounderInstallmentPlan.findOne({ planId: 'CFIP-TEST-1' });
+    expect(after.totalPaidAmount).toBe(250000);
+  });
+
+  it('records a charge the plan refuses without asking for a redelivery', async () => {
+    const user = await createUser();
+    await createCoFounderPlan(user);
+    const payload = coFounderCharge(user);
+    payload.data.metadata.transactionId = 'CFI-SOMETHING-ELSE';
+
+    const res = await deliver(payload);
+
+    expect(res.status).toBe(200);
+    const event = await PaystackWebhookEvent.findOne({ reference: REFERENCE });
+    expect(event).toMatchObject({ status: 'rejected', resultStatusCode: 400, message: 'Transaction ID mismatch' });
+  });
+
+  it('acknowledges events that are not installment charges', async () => {
+    const transfer = await deliver({ event: 'transfer.success', data: { reference: 'TRF-1' } });
+    const otherCharge = await deliver(chargeSuccessEvent({ reference: 'SHARE-1', amount: 50000 }));
+
+    expect(transfer.status).toBe(200);
+    expect(otherCharge.status).toBe(200);
+    const event = await PaystackWebhookEvent.findOne({ reference: 'SHARE-1' });
+    expect(event.status).toBe('ignored');
+  });
+});
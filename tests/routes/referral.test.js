@@ -0,0 +1,123 @@
+// tests/routes/referral.test.js
+const request = require('supertest');
+const { buildApp } = require('../helpers/app');
+const { authHeader } = require('../helpers/auth');
+const { createUser, createReferralChain } = require('../fixtures/users');
+const { purchase } = require('../fixtures/referrals');
+const SiteConfig = require('../../models/SiteConfig');
+
+const app = buildApp();
+
+describe('/api/referral', () => {
+  describe('GET /stats', () => {
+    it('requires authentication', async () => {
+      const res = await request(app).get('/api/referral/stats');
+
+      expect(res.status).toBe(401);
+    });
+
+    it('uses the username as the referral code', async () => {
+      const user = await createUser();
+
+      const res = await request(app).get('/api/referral/stats').set(authHeader(user));
+
+      expect(res.status).toBe(200);
+      expect(res.body.referralCode).toBe(user.userName);
+      expect(res.body.stats.totalEarnings).toBe(0);
+    });
+
+    it('reports commissions earned per generation', async () => {
+      const { purchaser, referrers } = await createReferralChain(2);
+      await purchase(purchaser);
+
+      const res = await request(app).get('/api/referral/stats').set(authHeader(referrers[1]));
+
+      expect(res.status).toBe(200);
+      // Still inside the default 30-day lock period
+      expect(res.body.stats.totalEarnings).toBe(0);
+      expect(res.body.stats.lockedEarnings).toBe(3000);
+      expect(res.body.stats.generations.gen2).toMatchObject({ count: 1, earnings: 3000 });
+    });
+
+    it('includes the referral rank and its history', async () => {
+      await SiteConfig.create({ referralRanks: [{ key: 'bronze', name: 'Bronze', minDirectReferrals: 1, bonus: 1000 }] });
+      const { purchaser, referrers } = await createReferralChain(1);
+      await purchase(purchaser);
+
+      const res = await request(app).get('/api/referral/stats').set(authHeader(referrers[0]));
+
+      expect(res.status).toBe(200);
+      expect(res.body.rank.current).toMatchObject({ key: 'bronze', name: 'Bronze' });
+      expect(res.body.rank.history.map(rank => rank.key)).toEqual(['bronze']);
+    });
+  });
+
+  describe('GET /statement', () => {
+    it('lists the period\'s commissions', async () => {
+      const { purchaser, referrers } = await createReferralChain(1);
+      await purchase(purchaser);
+
+      const res = await request(app).get('/api/referral/statement?format=json').set(authHeader(referrers[0]));
+
+      expect(res.status).toBe(200);
+      expect(res.body.statement.commissions).toHaveLength(1);
+      expect(res.body.statement.commissions[0]).toMatchObject({
+        referredUser: purchaser.userName,
+        generation: 1,
+        rate: 15,
+        amount: 15000
+      });
+    });
+
+    it('downloads the statement as a PDF', async () => {
+      const user = await createUser();
+
+      const res = await request(app).get('/api/referral/statement?month=2026-01').set(authHeader(user));
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toBe('application/pdf');
+      expect(res.headers['content-disposition']).toContain(`referral-statement-${user.userName}-2026-01-01.pdf`);
+    });
+
+    it('rejects a malformed period', async () => {
+      const user = await createUser();
+
+      const res = await request(app).get('/api/referral/statement?month=January').set(authHeader(user));
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('month must be YYYY-MM');
+    });
+  });
+
+  describe('GET /tree', () => {
+    it('counts referrals in each generation', async () => {
+      const { referrers } = await createReferralChain(3);
+      const root = referrers[2];
+      await createUser({ referralInfo: { code: root.userName } });
+
+      const res = await request(app).get('/api/referral/tree').set(authHeader(root));
+
+      expect(res.status).toBe(200);
+      expect(res.body.counts).toEqual({ generation1: 2, generation2: 1, generation3: 1, total: 4 });
+      expect(res.body.referralTree.generation2[0].referredBy).toBe(referrers[1].userName);
+    });
+  });
+
+  describe('GET /validate-invite/:inviteCode', () => {
+    it('resolves an invite code to its referrer', async () => {
+      const user = await createUser();
+
+      const res = await request(app).get(`/api/referral/validate-invite/${user.userName}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.referrer).toMatchObject({ userName: user.userName, name: user.name });
+    });
+
+    it('rejects an unknown invite code', async () => {
+      const res = await request(app).get('/api/referral/validate-invite/nobody-here');
+
+      expect(res.status).toBe(404);
+      expect(res.body.success).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,185 @@
+// tests/routes/sessions.test.js
+const express = require('express');
+const request = require('supertest');
+const { protect } = require('../../middleware/auth');
+const sessionController = require('../../controller/sessionController');
+const { createSession, revokeAllSessions } = require('../../utils/sessionService');
+const UserSession = require('../../models/UserSession');
+const { authHeader } = require('../helpers/auth');
+const { createUser } = require('../fixtures/users');
+
+// userRoutes pulls in userController, which talks to the database and
+// external services at load time, so the session routes are mounted directly
+const buildSessionApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.post('/api/users/refresh-token', sessionController.refreshToken);
+  app.post('/api/users/logout', protect, sessionController.logout);
+  app.get('/api/users/sessions', protect, sessionController.getSessions);
+  app.delete('/api/users/sessions', protect, sessionController.revokeAllSessions);
+  app.delete('/api/users/sessions/:sessionId', protect, sessionController.revokeSession);
+  app.get('/api/me', protect, (req, res) => res.json({ success: true, id: req.user.id }));
+  return app;
+};
+
+const signIn = (user, userAgent = 'jest-device') =>
+  createSession(user._id, { get: () => userAgent, ip: '10.0.0.1' });
+
+const bearer = (token) => ({ Authorization: `Bearer ${token}` });
+
+describe('user sessions', () => {
+  it('accepts an access token while its session is active', async () => {
+    const app = buildSessionApp();
+    const user = await createUser();
+    const { token } = await signIn(user);
+
+    const res = await request(app).get('/api/me').set(bearer(token));
+
+    expect(res.status).toBe(200);
+    expect(res.body.id).toBe(user._id.toString());
+  });
+
+  it('rotates the refresh token and rejects the old one', async () => {
+    const app = buildSessionApp();
+    const user = await createUser();
+    const { refreshToken } = await signIn(user);
+
+    const first = await request(app).post('/api/users/refresh-token').send({ refreshToken });
+    expect(first.status).toBe(200);
+    expect(first.body.refreshToken).not.toBe(refreshToken);
+
+    const second = await request(app).post('/api/users/refresh-token')
+      .send({ refreshToken: first.body.refreshToken });
+    expect(second.status).toBe(200);
+
+    const session = await UserSession.findOne({ user: user._id });
+    expect(session.rotationCount).toBe(2);
+  });
+
+  it('revokes the session when a rotated-out refresh token is replayed', async () => {
+    const app = buildSessionApp();
+    const user = await createUser();
+    const { refreshToken } = await signIn(user);
+
+    const rotated = await request(app).post('/api/users/refresh-token').send({ refreshToken });
+    const replay = await request(app).post('/api/users/refresh-token').send({ refreshToken });
+
+    expect(replay.status).toBe(401);
+    expect(replay.body.code).toBe('REFRESH_TOKEN_REUSED');
+
+    // The legitimate holder is signed out too
+    const me = await request(app).get('/api/me').set(bearer(rotated.body.token));
+    expect(me.status).toBe(401);
+    expect(me.body.code).toBe('SESSION_REVOKED');
+  });
+
+  it('lists active sessions with device, IP and the current flag', async () => {
+    const app = buildSessionApp();
+    const user = await createUser();
+    const phone = await signIn(user, 'Phone');
+    await signIn(user, 'Laptop');
+
+    const res = await request(app).get('/api/users/sessions').set(bearer(phone.token));
+
+    expect(res.status).toBe(200);
+    expect(res.body.count).toBe(2);
+    const current = res.body.sessions.find(s => s.current);
+    expect(current.device).toBe('Phone');
+    expect(current.ip).toBe('10.0.0.1');
+    expect(current.lastSeenAt).toBeDefined();
+  });
+
+  it('revokes a single session and only that one', async () => {
+    const app = buildSessionApp();
+    const user = await createUser();
+    const phone = await signIn(user, 'Phone');
+    const laptop = await signIn(user, 'Laptop');
+
+    const res = await request(app)
+      .delete(`/api/users/sessions/${laptop.session._id}`)
+      .set(bearer(phone.token));
+    expect(res.status).toBe(200);
+
+    expect((await request(app).get('/api/me').set(bearer(laptop.token))).status).toBe(401);
+    expect((await request(app).get('/api/me').set(bearer(phone.token))).status).toBe(200);
+
+    const refresh = await request(app).post('/api/users/refresh-token')
+      .send({ refreshToken: laptop.refreshToken });
+    expect(refresh.status).toBe(401);
+  });
+
+  it("cannot revoke another user's session", async () => {
+    const app = buildSessionApp();
+    const alice = await createUser();
+    const bob = await createUser();
+    const aliceSession = await signIn(alice);
+    const bobSession = await signIn(bob);
+
+    const res = await request(app)
+      .delete(`/api/users/sessions/${bobSession.session._id}`)
+      .set(bearer(aliceSession.token));
+
+    expect(res.status).toBe(404);
+    expect((await request(app).get('/api/me').set(bearer(bobSession.token))).status).toBe(200);
+  });
+
+  it('signs out other devices but keeps the current one with keepCurrent', async () => {
+    const app = buildSessionApp();
+    const user = await createUser();
+    const phone = await signIn(user, 'Phone');
+    const laptop = await signIn(user, 'Laptop');
+
+    const res = await request(app)
+      .delete('/api/users/sessions?keepCurrent=true')
+      .set(bearer(phone.token));
+
+    expect(res.status).toBe(200);
+    expect(res.body.revokedCount).toBe(1);
+    expect((await request(app).get('/api/me').set(bearer(phone.token))).status).toBe(200);
+    expect((await request(app).get('/api/me').set(bearer(laptop.token))).status).toBe(401);
+  });
+
+  it('logout revokes the current session', async () => {
+    const app = buildSessionApp();
+    const user = await createUser();
+    const { token } = await signIn(user);
+
+    await request(app).post('/api/users/logout').set(bearer(token));
+
+    const session = await UserSession.findOne({ user: user._id });
+    expect(session.revokedReason).toBe('logout');
+    expect((await request(app).get('/api/me').set(bearer(token))).status).toBe(401);
+  });
+
+  it('revoking all sessions also rejects older tokens without a session', async () => {
+    const app = buildSessionApp();
+    const user = await createUser();
+    const legacyHeader = authHeader(user);
+    const { token } = await signIn(user);
+
+    expect((await request(app).get('/api/me').set(legacyHeader)).status).toBe(200);
+
+    await revokeAllSessions(user._id, 'password_changed');
+
+    expect((await request(app).get('/api/me').set(legacyHeader)).status).toBe(401);
+    expect((await request(app).get('/api/me').set(bearer(token))).status).toBe(401);
+
+    // Signing in again afterwards works
+    const fresh = await signIn(user);
+    expect((await request(app).get('/api/me').set(bearer(fresh.token))).status).toBe(200);
+  });
+
+  it('refuses to refresh a session for a banned user', async () => {
+    const app = buildSessionApp();
+    const user = await createUser();
+    const { refreshToken } = await signIn(user);
+    user.isBanned = true;
+    await user.save();
+
+    const res = await request(app).post('/api/users/refresh-token').send({ refreshToken });
+
+    expect(res.status).toBe(403);
+    const session = await UserSession.findOne({ user: user._id });
+    expect(session.revokedReason).toBe('banned');
+  });
+});
@@ -0,0 +1,101 @@
+// tests/routes/shareListings.test.js
+const request = require('supertest');
+const { buildApp } = require('../helpers/app');
+const { authHeader } = require('../helpers/auth');
+const { createUser } = require('../fixtures/users');
+const ShareListing = require('../../models/Sharelisting');
+const UserShare = require('../../models/UserShare');
+
+const app = buildApp();
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const createListing = (seller, overrides = {}) =>
+  ShareListing.create({
+    listingId: ShareListing.generateListingId(),
+    seller: seller._id,
+    shares: 10,
+    pricePerShare: 5000,
+    totalPrice: 50000,
+    currency: 'naira',
+    paymentMethods: ['bank_transfer'],
+    expiresAt: new Date(Date.now() + 7 * DAY),
+    ...overrides
+  });
+
+describe('/api/shares/listings', () => {
+  describe('GET /listings', () => {
+    it('shows only active, public, unexpired listings', async () => {
+      const seller = await createUser();
+      const visible = await createListing(seller);
+      await createListing(seller, { status: 'cancelled' });
+      await createListing(seller, { isPublic: false });
+      await createListing(seller, { expiresAt: new Date(Date.now() - DAY) });
+
+      const res = await request(app).get('/api/shares/listings');
+
+      expect(res.status).toBe(200);
+      expect(res.body.listings.map(l => l.listingId)).toEqual([visible.listingId]);
+      expect(res.body.listings[0].seller.name).toBe(seller.name);
+      expect(res.body.pagination.totalCount).toBe(1);
+    });
+
+    it('filters by currency', async () => {
+      const seller = await createUser();
+      await createListing(seller);
+      const usdt = await createListing(seller, { currency: 'usdt' });
+
+      const res = await request(app).get('/api/shares/listings').query({ currency: 'usdt' });
+
+      expect(res.body.listings.map(l => l.listingId)).toEqual([usdt.listingId]);
+    });
+  });
+
+  describe('POST /listings', () => {
+    const listingBody = {
+      shares: 5,
+      pricePerShare: 6000,
+      currency: 'naira',
+      paymentMethods: ['bank_transfer'],
+      bankDetails: { bankName: 'Test Bank', accountName: 'Seller', accountNumber: '0123456789' }
+    };
+
+    it('requires authentication', async () => {
+      const res = await request(app).post('/api/shares/listings').send(listingBody);
+
+      expect(res.status).toBe(401);
+    });
+
+    it('requires shares, price, currency and payment methods', async () => {
+      const seller = await createUser();
+
+      const res = await request(app)
+        .post('/api/shares/listings')
+        .set(authHeader(seller))
+        .send({ shares: 5, currency: 'naira' });
+
+      expect(res.status).toBe(400);
+      expect(await ShareListing.countDocuments()).toBe(0);
+    });
+
+    it('refuses sellers with no share records', async () => {
+      const seller = await createUser();
+
+      const res = await request(app).post('/api/shares/listings').set(authHeader(seller)).send(listingBody);
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('No share records found for this user');
+    });
+
+    it('refuses to list more shares than the seller holds', async () => {
+      const seller = await createUser();
+      await UserShare.create({ user: seller._id, transactions: [] });
+
+      const res = await request(app).post('/api/shares/listings').set(authHeader(seller)).send(listingBody);
+
+      expect(res.status).toBe(400);
+      expect(res.body).toMatchObject({ available: 0, requested: 5 });
+      expect(await ShareListing.countDocuments()).toBe(0);
+    });
+  });
+});
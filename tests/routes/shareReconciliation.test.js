@@ -0,0 +1,95 @@
+// tests/routes/shareReconciliation.test.js
+const request = require('supertest');
+const { buildApp } = require('../helpers/app');
+const AdminAuditLog = require('../../models/AdminAuditLog');
+const ReconciliationReport = require('../../models/ReconciliationReport');
+const TransactionV2 = require('../../models/TransactionV2');
+const { runReconciliation } = require('../../utils/shareReconciliation');
+const { createAdmin, createUser } = require('../fixtures/users');
+const { steppedUpAuthHeader } = require('../fixtures/twoFactor');
+const { seedTiers } = require('../fixtures/tiers');
+const { legacyPurchase, recordLegacyShares } = require('../fixtures/shares');
+
+const app = buildApp();
+const BASE = '/api/v2/transactions/reconciliation';
+
+// A legacy purchase that never reached V2
+const seedMissingPurchase = async () =>
+  recordLegacyShares(await createUser(), [legacyPurchase('TXN-MISSING')]);
+
+/** The manual run is started in the background; wait for it to finish */
+const waitForRun = async () => {
+  for (let i = 0; i < 50; i++) {
+    const report = await ReconciliationReport.findOne({ status: { $ne: 'running' } });
+    if (report) return report;
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  throw new Error('Reconciliation run did not finish');
+};
+
+describe('share reconciliation admin endpoints', () => {
+  let adminHeader;
+
+  beforeEach(async () => {
+    await seedTiers();
+    adminHeader = await steppedUpAuthHeader(await createAdmin());
+  });
+
+  it('starts a run and lists its report and mismatches', async () => {
+    await seedMissingPurchase();
+
+    const run = await request(app).post(`${BASE}/run`).set(adminHeader);
+    expect(run.status).toBe(202);
+    const report = await waitForRun();
+    expect(report).toMatchObject({ status: 'completed', trigger: 'manual' });
+
+    const reports = await request(app).get(`${BASE}/reports`).set(adminHeader);
+    expect(reports.status).toBe(200);
+    expect(reports.body.reports.map(r => r._id)).toEqual([report._id.toString()]);
+
+    const mismatches = await request(app).get(`${BASE}/reports/${report._id}/mismatches`).set(adminHeader);
+    expect(mismatches.status).toBe(200);
+    expect(mismatches.body.mismatches.map(m => [m.mismatchType, m.transactionId])).toEqual([['missing_v2', 'TXN-MISSING']]);
+  });
+
+  it('refuses to start a run while one is in progress', async () => {
+    const running = await ReconciliationReport.create({ trigger: 'manual' });
+
+    const res = await request(app).post(`${BASE}/run`).set(adminHeader);
+
+    expect(res.status).toBe(409);
+    expect(res.body.reportId).toBe(running._id.toString());
+  });
+
+  it('repairs a report and records the repair in the audit log', async () => {
+    await seedMissingPurchase();
+    const report = await runReconciliation();
+
+    const res = await request(app).post(`${BASE}/reports/${report._id}/repair`).set(adminHeader).send({ types: ['missing_v2'] });
+
+    expect(res.status).toBe(200);
+    expect(res.body.result).toEqual({ attempted: 1, repaired: 1, failed: 0 });
+    expect(await TransactionV2.countDocuments({ transactionId: 'TXN-MISSING' })).toBe(1);
+    expect(await AdminAuditLog.countDocuments({ action: 'RECONCILIATION_REPAIR' })).toBe(1);
+  });
+
+  it('rejects unknown mismatch types', async () => {
+    const report = await runReconciliation();
+
+    const res = await request(app).post(`${BASE}/reports/${report._id}/repair`).set(adminHeader).send({ types: ['price_drift'] });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Unknown mismatch types: price_drift');
+  });
+
+  it('lets support staff neither view nor repair reports', async () => {
+    const report = await runReconciliation();
+    const supportHeader = await steppedUpAuthHeader(await createAdmin({ adminRoles: ['support'] }));
+
+    const list = await request(app).get(`${BASE}/reports`).set(supportHeader);
+    const repair = await request(app).post(`${BASE}/reports/${report._id}/repair`).set(supportHeader).send({});
+
+    expect(list.status).toBe(403);
+    expect(repair.status).toBe(403);
+  });
+});
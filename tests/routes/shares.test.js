@@ -0,0 +1,113 @@
+// tests/routes/shares.test.js
+const request = require('supertest');
+const { buildApp } = require('../helpers/app');
+const { authHeader } = require('../helpers/auth');
+const { createUser } = require('../fixtures/users');
+const { seedTiers, TEST_TIERS } = require('../fixtures/tiers');
+const { recordSharePurchase } = require('../fixtures/shares');
+
+const app = buildApp();
+
+describe('/api/shares', () => {
+  beforeEach(async () => {
+    await seedTiers();
+  });
+
+  describe('GET /info', () => {
+    it('lists active share packages, cheapest first', async () => {
+      const res = await request(app).get('/api/shares/info');
+
+      expect(res.status).toBe(200);
+      expect(res.body.packages.map(p => p._id)).toEqual(['basic', 'premium']);
+      expect(res.body.packages[0]).toMatchObject({
+        priceNaira: TEST_TIERS.basic.priceNGN,
+        priceUSDT: TEST_TIERS.basic.priceUSD,
+        ownershipPct: TEST_TIERS.basic.percentPerShare
+      });
+    });
+  });
+
+  describe('POST /calculate', () => {
+    it('prices a tier in the requested currency', async () => {
+      const res = await request(app)
+        .post('/api/shares/calculate')
+        .send({ tierKey: 'premium', currency: 'usdt' });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({
+        tierKey: 'premium',
+        tierType: 'share',
+        price: TEST_TIERS.premium.priceUSD,
+        currency: 'usdt',
+        isCoFounder: false
+      });
+    });
+
+    it('reports the regular-share equivalent of a co-founder tier', async () => {
+      const res = await request(app)
+        .post('/api/shares/calculate')
+        .send({ tierKey: 'cofounder', currency: 'naira' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.isCoFounder).toBe(true);
+      expect(res.body.price).toBe(TEST_TIERS.cofounder.priceNGN);
+    });
+
+    it.each([
+      [{ currency: 'naira' }, 'tierKey and currency are required'],
+      [{ tierKey: 'basic', currency: 'btc' }, 'currency must be naira or usdt'],
+      [{ tierKey: 'platinum', currency: 'naira' }, 'Invalid tier: platinum'],
+      [{ tierKey: 'legacy', currency: 'naira' }, 'This tier is not currently available']
+    ])('rejects %j', async (body, message) => {
+      const res = await request(app).post('/api/shares/calculate').send(body);
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe(message);
+    });
+  });
+
+  describe('GET /user/shares', () => {
+    it('requires authentication', async () => {
+      const res = await request(app).get('/api/shares/user/shares');
+
+      expect(res.status).toBe(401);
+    });
+
+    it('returns an empty holding for a new user', async () => {
+      const user = await createUser();
+
+      const res = await request(app).get('/api/shares/user/shares').set(authHeader(user));
+
+      expect(res.status).toBe(200);
+      expect(res.body.totalOwnershipPct).toBe(0);
+      expect(res.body.transactions).toEqual([]);
+    });
+
+    it('sums completed purchases and ignores pending ones', async () => {
+      const user = await createUser();
+      await recordSharePurchase(user, { tierKey: 'basic', shares: 2 });
+      await recordSharePurchase(user, { tierKey: 'premium', shares: 1 });
+      await recordSharePurchase(user, { tierKey: 'premium', shares: 5, status: 'pending' });
+
+      const res = await request(app).get('/api/shares/user/shares').set(authHeader(user));
+
+      const expectedPct = TEST_TIERS.basic.percentPerShare * 2 + TEST_TIERS.premium.percentPerShare;
+      expect(res.status).toBe(200);
+      expect(res.body.transactions).toHaveLength(3);
+      expect(res.body.totalOwnershipPct).toBeCloseTo(expectedPct, 12);
+      expect(res.body.breakdown.regular.transactions).toBe(2);
+      expect(res.body.breakdown.cofounder.transactions).toBe(0);
+    });
+
+    it('counts a co-founder purchase as its regular-share equivalent', async () => {
+      const user = await createUser();
+      await recordSharePurchase(user, { tierKey: 'cofounder', shares: 1 });
+
+      const res = await request(app).get('/api/shares/user/shares').set(authHeader(user));
+
+      const { percentPerShare, sharesIncluded } = TEST_TIERS.cofounder;
+      expect(res.body.totalOwnershipPct).toBeCloseTo(percentPerShare * sharesIncluded, 12);
+      expect(res.body.breakdown.cofounder.transactions).toBe(1);
+    });
+  });
+});
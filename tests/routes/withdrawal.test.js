@@ -0,0 +1,365 @@
+// tests/routes/withdrawal.test.js
+const request = require('supertest');
+const { buildApp } = require('../helpers/app');
+const { authHeader } = require('../helpers/auth');
+const { createAdmin, createUser, createReferralChain } = require('../fixtures/users');
+const { enableTwoFactor, steppedUpAuthHeader } = require('../fixtures/twoFactor');
+const { purchase, createEarner } = require('../fixtures/referrals');
+const ledgerService = require('../../utils/ledgerService');
+const Referral = require('../../models/Referral');
+const Withdrawal = require('../../models/Withdrawal');
+const WithdrawalAuditLog = require('../../models/WithdrawalAuditLog');
+const WithdrawalConfig = require('../../models/WithdrawalConfig');
+const sandbox = require('../../services/payoutProviders/sandbox');
+const SiteConfig = require('../../models/SiteConfig');
+const totp = require('../../utils/totp');
+
+const app = buildApp();
+
+const BANK_DETAILS = {
+  bankName: 'Test Bank',
+  accountName: 'Test User',
+  accountNumber: '0123456789'
+};
+
+const instantWithdrawal = async (user, amount = 20000) =>
+  request(app)
+    .post('/api/withdrawal/instant')
+    .set(await steppedUpAuthHeader(user))
+    .send({ amount });
+
+const requestWithdrawal = async (user, body) =>
+  request(app)
+    .post('/api/withdrawal/request')
+    .set(await steppedUpAuthHeader(user))
+    .send({ paymentMethod: 'bank', paymentDetails: BANK_DETAILS, ...body });
+
+describe('/api/withdrawal', () => {
+  describe('GET /balance', () => {
+    it('returns zeros for a user with no earnings', async () => {
+      const user = await createUser();
+
+      const res = await request(app).get('/api/withdrawal/balance').set(authHeader(user));
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toMatchObject({ totalEarnings: 0, availableBalance: 0, canWithdraw: false });
+    });
+
+    it('reflects referral earnings', async () => {
+      const earner = await createEarner();
+
+      const res = await request(app).get('/api/withdrawal/balance').set(authHeader(earner));
+
+      expect(res.body.data).toMatchObject({
+        totalEarnings: 30000,
+        availableBalance: 30000,
+        pendingWithdrawals: 0,
+        canWithdraw: true
+      });
+    });
+
+    it('shows commissions still in their lock period separately', async () => {
+      await SiteConfig.create({ referralLockDays: 14 });
+      const { purchaser, referrers } = await createReferralChain(1);
+      await purchase(purchaser, 200000);
+
+      const res = await request(app).get('/api/withdrawal/earnings-balance').set(authHeader(referrers[0]));
+
+      expect(res.body.data).toMatchObject({
+        totalEarnings: 0,
+        lockedEarnings: 30000,
+        availableBalance: 0,
+        canWithdraw: false
+      });
+      expect(new Date(res.body.data.nextUnlockAt).getTime()).toBeGreaterThan(Date.now() + 13 * 24 * 60 * 60 * 1000);
+    });
+
+    it('breaks earnings down by the currency they were earned in', async () => {
+      const earner = await createEarner();
+
+      const res = await request(app).get('/api/withdrawal/earnings-balance').set(authHeader(earner));
+
+      expect(res.body.data.settlementCurrency).toBe('naira');
+      expect(res.body.data.byCurrency).toEqual({
+        naira: { earned: 30000, locked: 0, held: 0, commissions: 1, converted: { earned: 30000, locked: 0, held: 0 } }
+      });
+      expect(res.body.data.converted).toEqual({ earned: 30000, locked: 0, held: 0 });
+    });
+  });
+
+  describe('POST /request', () => {
+    it('reserves the amount as pending', async () => {
+      const earner = await createEarner();
+
+      const res = await requestWithdrawal(earner, { amount: 20000 });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data).toMatchObject({ amount: 20000, status: 'pending' });
+
+      const balances = await ledgerService.getUserBalances(earner._id);
+      expect(balances).toMatchObject({ availableBalance: 10000, pendingWithdrawals: 20000, totalEarnings: 30000 });
+
+      const balanceRes = await request(app).get('/api/withdrawal/balance').set(authHeader(earner));
+      expect(balanceRes.body.data).toMatchObject({ availableBalance: 10000, pendingWithdrawals: 20000 });
+    });
+
+    it('replays a retried request without asking for the spent 2FA code again', async () => {
+      const earner = await createEarner();
+      const secret = await enableTwoFactor(earner);
+      const send = () => request(app)
+        .post('/api/withdrawal/request')
+        .set(authHeader(earner))
+        .set('X-2FA-Code', totp.generateCode(secret))
+        .set('Idempotency-Key', 'withdraw-1')
+        .send({ paymentMethod: 'bank', paymentDetails: BANK_DETAILS, amount: 20000 });
+
+      const first = await send();
+      const retry = await send();
+
+      expect(first.status).toBe(201);
+      expect(retry.status).toBe(201);
+      expect(retry.headers['idempotent-replayed']).toBe('true');
+      expect(retry.body).toEqual(first.body);
+      expect(await Withdrawal.countDocuments({ user: earner._id })).toBe(1);
+    });
+
+    it('refuses a second request while one is pending', async () => {
+      const earner = await createEarner();
+      await requestWithdrawal(earner, { amount: 20000 });
+
+      const res = await requestWithdrawal(earner, { amount: 20000 });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toMatch(/pending withdrawal in progress/);
+      expect(await Withdrawal.countDocuments({ user: earner._id })).toBe(1);
+    });
+
+    it('enforces the minimum withdrawal amount', async () => {
+      const earner = await createEarner();
+
+      const res = await requestWithdrawal(earner, { amount: 5000 });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toMatch(/Minimum withdrawal amount/);
+    });
+
+    it('refuses more than the user has earned', async () => {
+      const earner = await createEarner();
+
+      const res = await requestWithdrawal(earner, { amount: 50000 });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('Insufficient balance for this withdrawal');
+    });
+
+    it('requires complete bank details', async () => {
+      const earner = await createEarner();
+
+      const res = await requestWithdrawal(earner, {
+        amount: 20000,
+        paymentDetails: { bankName: 'Test Bank' }
+      });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('Please provide complete bank details');
+    });
+
+    it('is blocked while withdrawals are globally paused', async () => {
+      const earner = await createEarner();
+      await WithdrawalConfig.create({ key: 'global_paused', value: true });
+
+      const res = await requestWithdrawal(earner, { amount: 20000 });
+
+      expect(res.status).toBe(403);
+      expect(res.body.code).toBe('GLOBAL_PAUSE');
+      expect(await Withdrawal.countDocuments()).toBe(0);
+    });
+  });
+
+  describe('POST /instant', () => {
+    afterEach(() => sandbox.reset());
+
+    it('pays out through the sandbox provider', async () => {
+      const earner = await createEarner({ accountNumber: '0123456789' });
+
+      const res = await instantWithdrawal(earner);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toMatchObject({ status: 'paid', transactionReference: `SBX-${res.body.data.clientReference}` });
+      expect((await Withdrawal.findById(res.body.data.id)).payoutProvider).toBe('sandbox');
+
+      const balances = await ledgerService.getUserBalances(earner._id);
+      expect(balances).toMatchObject({ availableBalance: 10000, pendingWithdrawals: 0, totalWithdrawn: 20000 });
+    });
+
+    it('checks the ledger balance rather than the cached counters', async () => {
+      const earner = await createEarner({ accountNumber: '0123456789' });
+      await Referral.updateOne({ user: earner._id }, { $set: { totalEarnings: 500000 } });
+
+      const res = await instantWithdrawal(earner, 40000);
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('Insufficient available balance for this withdrawal');
+      expect(await Withdrawal.countDocuments({ user: earner._id })).toBe(0);
+    });
+
+    it('returns the amount when the provider declines the transfer', async () => {
+      const earner = await createEarner({ accountNumber: '0123456781' });
+
+      const res = await instantWithdrawal(earner);
+
+      expect(res.body.data.status).toBe('failed');
+      const withdrawal = await Withdrawal.findById(res.body.data.id);
+      expect(withdrawal.rejectionReason).toBe('Sandbox: transfer declined');
+      const balances = await ledgerService.getUserBalances(earner._id);
+      expect(balances).toMatchObject({ availableBalance: 30000, pendingWithdrawals: 0, totalWithdrawn: 0 });
+    });
+
+    it('settles a processing transfer when its status is checked', async () => {
+      const earner = await createEarner({ accountNumber: '0123456782' });
+      const { body } = await instantWithdrawal(earner);
+      expect(body.data.status).toBe('processing');
+
+      const res = await request(app)
+        .get(`/api/withdrawal/status/${body.data.clientReference}`)
+        .set(authHeader(earner));
+
+      expect(res.body.data.status).toBe('paid');
+      const balances = await ledgerService.getUserBalances(earner._id);
+      expect(balances).toMatchObject({ processingWithdrawals: 0, totalWithdrawn: 20000 });
+    });
+
+    it('keeps the withdrawal and its reservation when no provider can take the transfer', async () => {
+      const earner = await createEarner({ accountNumber: '0123456783' });
+
+      const res = await instantWithdrawal(earner);
+
+      expect(res.status).toBe(200);
+      const withdrawal = await Withdrawal.findById(res.body.data.id);
+      expect(withdrawal).toMatchObject({ failureReason: 'Sandbox: provider unavailable', payoutProvider: null });
+      const balances = await ledgerService.getUserBalances(earner._id);
+      expect(balances).toMatchObject({ availableBalance: 10000, pendingWithdrawals: 20000 });
+    });
+
+    it('keeps a transfer whose outcome is unknown processing until its status is checked', async () => {
+      const earner = await createEarner({ accountNumber: '0123456786' });
+
+      const res = await instantWithdrawal(earner);
+
+      expect(res.status).toBe(202);
+      expect(res.body.data.status).toBe('processing');
+      expect(await Withdrawal.findById(res.body.data.id)).toMatchObject({ status: 'processing', payoutProvider: 'sandbox' });
+      expect(await ledgerService.getUserBalances(earner._id)).toMatchObject({ availableBalance: 10000, processingWithdrawals: 20000 });
+
+      const again = await instantWithdrawal(earner);
+      expect(again.status).toBe(400);
+
+      const status = await request(app)
+        .get(`/api/withdrawal/status/${res.body.data.clientReference}`)
+        .set(authHeader(earner));
+      expect(status.body.data.status).toBe('paid');
+      expect(await ledgerService.getUserBalances(earner._id)).toMatchObject({ processingWithdrawals: 0, totalWithdrawn: 20000 });
+    });
+  });
+
+  describe('/admin/control/providers', () => {
+    // Paystack stays unconfigured here
+    const originalPaystackSecret = process.env.PAYSTACK_SECRET_KEY;
+
+    beforeAll(() => {
+      delete process.env.PAYSTACK_SECRET_KEY;
+    });
+
+    afterAll(() => {
+      if (originalPaystackSecret !== undefined) process.env.PAYSTACK_SECRET_KEY = originalPaystackSecret;
+    });
+
+    it('switches the bank payout provider and audits the change', async () => {
+      const admin = await createAdmin();
+      const adminHeader = await steppedUpAuthHeader(admin);
+
+      const res = await request(app)
+        .post('/api/withdrawal/admin/control/providers')
+        .set(adminHeader)
+        .send({ paymentMethod: 'bank', providers: ['sandbox'], reason: 'Local testing' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.routes).toEqual({ bank: ['sandbox'] });
+
+      const listRes = await request(app).get('/api/withdrawal/admin/control/providers').set(adminHeader);
+      expect(listRes.body.data.routes).toEqual({ bank: ['sandbox'] });
+      expect(listRes.body.data.providers).toContainEqual({ name: 'sandbox', configured: true });
+
+      const log = await WithdrawalAuditLog.findOne({ action: 'PAYOUT_PROVIDER_CHANGED' });
+      expect(log.metadata).toMatchObject({ paymentMethod: 'bank', providers: ['sandbox'] });
+    });
+
+    it('refuses unknown or unconfigured providers', async () => {
+      const admin = await createAdmin();
+
+      const res = await request(app)
+        .post('/api/withdrawal/admin/control/providers')
+        .set(await steppedUpAuthHeader(admin))
+        .send({ paymentMethod: 'bank', providers: ['paystack', 'moneygram'] });
+
+      expect(res.status).toBe(400);
+      expect(res.body.errors).toEqual([
+        'providers[0] paystack is not configured on this server',
+        'providers[1] must be one of lenco, paystack, sandbox'
+      ]);
+      expect(await WithdrawalConfig.countDocuments({ key: 'payout_providers' })).toBe(0);
+    });
+  });
+
+  describe('PUT /admin/:id/reject', () => {
+    it('releases the reserved amount back to available', async () => {
+      const admin = await createAdmin();
+      const adminHeader = await steppedUpAuthHeader(admin);
+      const earner = await createEarner();
+      const { body } = await requestWithdrawal(earner, { amount: 20000 });
+
+      const res = await request(app)
+        .put(`/api/withdrawal/admin/${body.data.id}/reject`)
+        .set(adminHeader)
+        .send({ rejectionReason: 'Account name does not match' });
+
+      expect(res.status).toBe(200);
+
+      const withdrawal = await Withdrawal.findById(body.data.id);
+      expect(withdrawal.status).toBe('rejected');
+
+      const balances = await ledgerService.getUserBalances(earner._id);
+      expect(balances).toMatchObject({ availableBalance: 30000, pendingWithdrawals: 0 });
+    });
+
+    it('only rejects pending withdrawals', async () => {
+      const admin = await createAdmin();
+      const adminHeader = await steppedUpAuthHeader(admin);
+      const earner = await createEarner();
+      const { body } = await requestWithdrawal(earner, { amount: 20000 });
+      const reject = () => request(app)
+        .put(`/api/withdrawal/admin/${body.data.id}/reject`)
+        .set(adminHeader)
+        .send({ rejectionReason: 'Duplicate' });
+
+      await reject();
+      const res = await reject();
+
+      expect(res.status).toBe(400);
+      const balances = await ledgerService.getUserBalances(earner._id);
+      expect(balances.availableBalance).toBe(30000);
+    });
+
+    it('is admin only', async () => {
+      const earner = await createEarner();
+      const { body } = await requestWithdrawal(earner, { amount: 20000 });
+
+      const res = await request(app)
+        .put(`/api/withdrawal/admin/${body.data.id}/reject`)
+        .set(authHeader(earner))
+        .send({ rejectionReason: 'Self-service' });
+
+      expect(res.status).toBe(403);
+    });
+  });
+});
@@ -0,0 +1,203 @@
+// tests/routes/withdrawalRetry.test.js
+const request = require('supertest');
+const { buildApp } = require('../helpers/app');
+const { createAdmin } = require('../fixtures/users');
+const { steppedUpAuthHeader } = require('../fixtures/twoFactor');
+const { createEarner } = require('../fixtures/referrals');
+const { sendEmail } = require('../../utils/emailService');
+const { retryDueWithdrawals } = require('../../utils/withdrawalRetry');
+const { RETRY_POLICY } = require('../../utils/withdrawalRetryPolicy');
+const ledgerService = require('../../utils/ledgerService');
+const Withdrawal = require('../../models/Withdrawal');
+const WithdrawalAuditLog = require('../../models/WithdrawalAuditLog');
+const WithdrawalConfig = require('../../models/WithdrawalConfig');
+const sandbox = require('../../services/payoutProviders/sandbox');
+
+const app = buildApp();
+
+/**
+ * Instant 20,000 withdrawal by a referrer who earned 30,000. The sandbox
+ * decides the payout by the account number's last digit: 4 always fails
+ * transiently, 5 fails transiently once and then succeeds.
+ */
+const instantWithdrawal = async (accountNumber) => {
+  const user = await createEarner({ accountNumber });
+
+  const res = await request(app)
+    .post('/api/withdrawal/instant')
+    .set(await steppedUpAuthHeader(user))
+    .send({ amount: 20000 });
+  return { res, user };
+};
+
+/** Make a retrying withdrawal due now */
+const makeDue = (id, fields = {}) =>
+  Withdrawal.updateOne({ _id: id }, { $set: { nextRetryAt: new Date(Date.now() - 1000), ...fields } });
+
+describe('withdrawal retries', () => {
+  beforeEach(() => {
+    sandbox.reset();
+    sendEmail.mockClear();
+  });
+
+  it('keeps a transiently failed instant withdrawal reserved for a retry', async () => {
+    const { res, user } = await instantWithdrawal('0123456784');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ status: 'retrying', failureReason: 'Sandbox: payout balance too low' });
+    expect(res.body.data.nextRetryAt).toBeTruthy();
+    expect(await Withdrawal.findById(res.body.data.id)).toMatchObject({ failureType: 'transient', rejectionReason: undefined });
+    expect(await ledgerService.getUserBalances(user._id)).toMatchObject({ availableBalance: 10000, pendingWithdrawals: 20000 });
+  });
+
+  it('retries with a growing backoff when no provider can take the transfer', async () => {
+    const { res, user } = await instantWithdrawal('0123456783');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ status: 'retrying', failureReason: 'Sandbox: provider unavailable' });
+    const first = await Withdrawal.findById(res.body.data.id);
+    expect(first).toMatchObject({ failureType: 'transient', retryCount: 0 });
+    expect(await ledgerService.getUserBalances(user._id)).toMatchObject({ availableBalance: 10000, pendingWithdrawals: 20000 });
+
+    await makeDue(first._id);
+    const before = Date.now();
+    expect(await retryDueWithdrawals()).toMatchObject({ due: 1, retrying: 1 });
+
+    const second = await Withdrawal.findById(first._id);
+    expect(second).toMatchObject({ status: 'retrying', retryCount: 1, transferReference: `${first.clientReference}-R1` });
+    const delay = second.nextRetryAt.getTime() - before;
+    expect(delay).toBeGreaterThanOrEqual(2 * RETRY_POLICY.baseDelayMinutes * 60 * 1000 - 5000);
+    expect((await ledgerService.getUserBalances(user._id)).pendingWithdrawals).toBe(20000);
+  });
+
+  it('pays a due retry under a fresh transfer reference', async () => {
+    const { res, user } = await instantWithdrawal('0123456785');
+    expect(res.body.data.status).toBe('retrying');
+
+    expect(await retryDueWithdrawals()).toMatchObject({ due: 0 });
+    await makeDue(res.body.data.id);
+    const summary = await retryDueWithdrawals();
+
+    expect(summary).toMatchObject({ due: 1, paid: 1 });
+    const withdrawal = await Withdrawal.findById(res.body.data.id);
+    expect(withdrawal).toMatchObject({
+      status: 'paid',
+      retryCount: 1,
+      transferReference: `${withdrawal.clientReference}-R1`,
+      transactionReference: `SBX-${withdrawal.clientReference}-R1`,
+      nextRetryAt: null
+    });
+    expect(await ledgerService.getUserBalances(user._id)).toMatchObject({ pendingWithdrawals: 0, processingWithdrawals: 0, totalWithdrawn: 20000 });
+    expect(sendEmail).toHaveBeenCalledWith(expect.objectContaining({ subject: 'Withdrawal Successful' }));
+  });
+
+  it('dead-letters the withdrawal and emails the user when the retries run out', async () => {
+    const { res, user } = await instantWithdrawal('0123456784');
+    await makeDue(res.body.data.id, { retryCount: RETRY_POLICY.maxRetries - 1 });
+
+    expect(await retryDueWithdrawals()).toMatchObject({ dead_letter: 1 });
+
+    const withdrawal = await Withdrawal.findById(res.body.data.id);
+    expect(withdrawal).toMatchObject({ status: 'dead_letter', retryCount: RETRY_POLICY.maxRetries, nextRetryAt: null });
+    expect(withdrawal.deadLetteredAt).toBeInstanceOf(Date);
+    expect((await ledgerService.getUserBalances(user._id)).pendingWithdrawals).toBe(20000);
+    expect(sendEmail).toHaveBeenCalledWith(expect.objectContaining({ subject: 'Withdrawal Delayed' }));
+  });
+
+  it('holds retries while withdrawals are frozen', async () => {
+    const { res } = await instantWithdrawal('0123456785');
+    await makeDue(res.body.data.id);
+    await WithdrawalConfig.create({ key: 'emergency_freeze', value: true });
+
+    expect(await retryDueWithdrawals()).toMatchObject({ due: 0 });
+    expect((await Withdrawal.findById(res.body.data.id)).status).toBe('retrying');
+  });
+
+  describe('/api/withdrawal/admin/control/dashboard/dead-letter', () => {
+    let adminHeader;
+
+    beforeEach(async () => {
+      adminHeader = await steppedUpAuthHeader(await createAdmin());
+    });
+
+    const deadLetter = async (accountNumber) => {
+      const { res, user } = await instantWithdrawal(accountNumber);
+      await Withdrawal.updateOne({ _id: res.body.data.id }, { $set: { status: 'dead_letter', nextRetryAt: null, deadLetteredAt: new Date() } });
+      return { id: res.body.data.id, user };
+    };
+
+    it('lists dead-lettered withdrawals and counts them on the dashboard', async () => {
+      const { id } = await deadLetter('0123456784');
+
+      const list = await request(app).get('/api/withdrawal/admin/control/dashboard/dead-letter').set(adminHeader);
+      expect(list.status).toBe(200);
+      expect(list.body.count).toBe(1);
+      expect(list.body.data[0]).toMatchObject({ id, amount: 20000, failureReason: 'Sandbox: payout balance too low' });
+
+      const dashboard = await request(app).get('/api/withdrawal/admin/control/dashboard').set(adminHeader);
+      expect(dashboard.body.data.retries).toMatchObject({ deadLetter: { count: 1, totalAmount: 20000 }, policy: RETRY_POLICY });
+    });
+
+    it('counts dead-lettered withdrawals as in progress and cancels them in bulk', async () => {
+      const { id, user } = await deadLetter('0123456784');
+
+      const status = await request(app).get('/api/withdrawal/admin/control/status').set(adminHeader);
+      expect(status.body.data.stats.pendingWithdrawals).toBe(1);
+      const dashboard = await request(app).get('/api/withdrawal/admin/control/dashboard').set(adminHeader);
+      expect(dashboard.body.data.withdrawalMetrics).toMatchObject({ totalActiveCount: 1, totalActiveAmount: 20000 });
+
+      const res = await request(app)
+        .post('/api/withdrawal/admin/control/bulk/cancel-pending')
+        .set(adminHeader)
+        .send({ reason: 'Provider account closed' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.cancelled).toBe(1);
+      expect((await Withdrawal.findById(id)).status).toBe('cancelled');
+      expect(await ledgerService.getUserBalances(user._id)).toMatchObject({ availableBalance: 30000, pendingWithdrawals: 0 });
+    });
+
+    it('force cancels a dead-lettered withdrawal and refunds it', async () => {
+      const { id, user } = await deadLetter('0123456784');
+
+      const res = await request(app)
+        .post(`/api/withdrawal/admin/control/cancel/${id}`)
+        .set(adminHeader)
+        .send({ reason: 'Requested by user' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toMatchObject({ previousStatus: 'dead_letter', newStatus: 'cancelled' });
+      expect((await Withdrawal.findById(id)).status).toBe('cancelled');
+      expect(await ledgerService.getUserBalances(user._id)).toMatchObject({ availableBalance: 30000, pendingWithdrawals: 0 });
+    });
+
+    it('retries a dead-lettered withdrawal', async () => {
+      const { id, user } = await deadLetter('0123456785');
+
+      const res = await request(app).post(`/api/withdrawal/admin/control/dashboard/dead-letter/${id}/retry`).set(adminHeader).send({});
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toMatchObject({ status: 'paid', outcome: 'paid', retryCount: 1 });
+      expect((await ledgerService.getUserBalances(user._id)).totalWithdrawn).toBe(20000);
+      expect(await WithdrawalAuditLog.countDocuments({ action: 'WITHDRAWAL_RETRIED', targetWithdrawal: id })).toBe(1);
+    });
+
+    it('refunds a dead-lettered withdrawal to the balance', async () => {
+      const { id, user } = await deadLetter('0123456784');
+
+      const res = await request(app)
+        .post(`/api/withdrawal/admin/control/dashboard/dead-letter/${id}/refund`)
+        .set(adminHeader)
+        .send({ reason: 'Provider account not funded' });
+
+      expect(res.status).toBe(200);
+      expect(await Withdrawal.findById(id)).toMatchObject({ status: 'failed', rejectionReason: 'Provider account not funded' });
+      expect(await ledgerService.getUserBalances(user._id)).toMatchObject({ availableBalance: 30000, pendingWithdrawals: 0 });
+      expect(await WithdrawalAuditLog.countDocuments({ action: 'WITHDRAWAL_REFUNDED' })).toBe(1);
+      expect(sendEmail).toHaveBeenCalledWith(expect.objectContaining({ subject: 'Withdrawal Failed' }));
+
+      const again = await request(app).post(`/api/withdrawal/admin/control/dashboard/dead-letter/${id}/refund`).set(adminHeader).send({});
+      expect(again.status).toBe(400);
+    });
+  });
+});
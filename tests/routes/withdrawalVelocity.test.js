@@ -0,0 +1,116 @@
+// tests/routes/withdrawalVelocity.test.js
+const request = require('supertest');
+const { buildApp } = require('../helpers/app');
+const { authHeader } = require('../helpers/auth');
+const { createAdmin } = require('../fixtures/users');
+const { steppedUpAuthHeader } = require('../fixtures/twoFactor');
+const { createEarner } = require('../fixtures/referrals');
+const Payment = require('../../models/Payment');
+const Withdrawal = require('../../models/Withdrawal');
+const WithdrawalAuditLog = require('../../models/WithdrawalAuditLog');
+const sandbox = require('../../services/payoutProviders/sandbox');
+
+const app = buildApp();
+
+const instantWithdrawal = async (user, amount = 20000) =>
+  request(app)
+    .post('/api/withdrawal/instant')
+    .set(await steppedUpAuthHeader(user))
+    .send({ amount });
+
+describe('withdrawal velocity limits', () => {
+  let adminHeader;
+
+  const setVelocity = (body) =>
+    request(app).post('/api/withdrawal/admin/control/velocity').set(adminHeader).send(body);
+
+  beforeEach(async () => {
+    sandbox.reset();
+    adminHeader = await steppedUpAuthHeader(await createAdmin());
+  });
+
+  it('refuses a withdrawal over the daily count cap', async () => {
+    const earner = await createEarner({ purchaseAmount: 400000, accountNumber: '0123456789' });
+    const res = await setVelocity({ user: { daily: { count: 1 } }, reason: 'Fraud wave' });
+    expect(res.status).toBe(200);
+    expect(res.body.data.user.daily).toEqual({ count: 1, amount: null });
+    expect(await WithdrawalAuditLog.countDocuments({ action: 'GLOBAL_LIMITS_SET' })).toBe(1);
+
+    expect((await instantWithdrawal(earner)).body.data.status).toBe('paid');
+    const second = await instantWithdrawal(earner);
+
+    expect(second.status).toBe(400);
+    expect(second.body).toMatchObject({ code: 'VELOCITY_COUNT_LIMIT', message: expect.stringContaining('your daily limit of 1 withdrawal') });
+    expect(second.body.retryAt).toBeTruthy();
+    expect(await Withdrawal.countDocuments({ user: earner._id })).toBe(1);
+  });
+
+  it('refuses bank withdrawals over the weekly amount cap and shows what is left', async () => {
+    const earner = await createEarner({ purchaseAmount: 400000, accountNumber: '0123456789' });
+    await setVelocity({ bank: { weekly: { amount: 30000 } } });
+    await instantWithdrawal(earner);
+
+    const res = await instantWithdrawal(earner);
+
+    expect(res.status).toBe(400);
+    expect(res.body).toMatchObject({ code: 'VELOCITY_AMOUNT_LIMIT', message: expect.stringContaining('₦10,000 is left') });
+
+    const balance = await request(app).get('/api/withdrawal/balance').set(authHeader(earner));
+    expect(balance.body.data.allowance.bank.weekly).toMatchObject({ remainingCount: null, remainingAmount: 10000 });
+    expect(balance.body.data).toMatchObject({ canWithdraw: false, withdrawalBlock: { code: 'VELOCITY_AMOUNT_LIMIT' } });
+    expect(balance.body.data.allowance.crypto.weekly).toMatchObject({ remainingAmount: null });
+  });
+
+  it('lets a per-user override replace the default per-user caps', async () => {
+    const earner = await createEarner({ purchaseAmount: 400000, accountNumber: '0123456789' });
+    await setVelocity({ user: { daily: { count: 1 } } });
+    const override = await request(app)
+      .post(`/api/withdrawal/admin/control/user/${earner._id}/limits`)
+      .set(adminHeader)
+      .send({ velocityLimits: { daily: { count: 3 } } });
+    expect(override.body.data.velocityLimits.daily).toEqual({ count: 3, amount: null });
+
+    await instantWithdrawal(earner);
+    const res = await instantWithdrawal(earner);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.status).toBe('paid');
+  });
+
+  it('holds bank withdrawals after the bank account changes', async () => {
+    const earner = await createEarner({ purchaseAmount: 400000, accountNumber: '0123456789' });
+    const payment = await Payment.findOne({ user: earner._id });
+    expect(payment.bankAccountChangedAt).toBeNull();
+    payment.bankAccount.accountNumber = '0123456780';
+    await payment.save();
+
+    const res = await instantWithdrawal(earner);
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('BANK_CHANGE_COOLDOWN');
+    const balance = await request(app).get('/api/withdrawal/balance').set(authHeader(earner));
+    expect(new Date(balance.body.data.allowance.bankCooldownUntil).getTime()).toBeGreaterThan(Date.now() + 23 * 60 * 60 * 1000);
+    expect(balance.body.data.canWithdraw).toBe(false);
+    expect(balance.body.data.withdrawalBlock).toEqual({ code: 'BANK_CHANGE_COOLDOWN', retryAt: balance.body.data.allowance.bankCooldownUntil });
+  });
+
+  it('holds the first withdrawal of a new account', async () => {
+    const earner = await createEarner({ purchaseAmount: 400000, accountNumber: '0123456789' });
+    await setVelocity({ firstWithdrawalHoldDays: 7 });
+
+    const res = await instantWithdrawal(earner);
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('FIRST_WITHDRAWAL_HOLD');
+  });
+
+  it('rejects malformed caps', async () => {
+    const res = await setVelocity({ global: { daily: { amount: -5 } }, firstWithdrawalHoldDays: 'soon' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toEqual([
+      'global.daily.amount must be a number of at least 1, or null',
+      'firstWithdrawalHoldDays must be a number >= 0'
+    ]);
+  });
+});
@@ -0,0 +1,31 @@
+// tests/setup/db.js
+// Per-file setup: connect mongoose, wipe collections between tests and keep
+// outbound email and console noise out of the run.
+const mongoose = require('mongoose');
+
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+
+jest.mock('../../utils/emailService', () => ({
+  sendEmail: jest.fn().mockResolvedValue({ success: true })
+}));
+
+if (!process.env.DEBUG_TESTS) {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+}
+
+beforeAll(async () => {
+  await mongoose.connect(process.env.MONGODB_TEST_URI, { dbName: 'afrimo_test' });
+});
+
+afterEach(async () => {
+  const collections = await mongoose.connection.db.collections();
+  await Promise.all(collections.map(c => c.deleteMany({})));
+});
+
+afterAll(async () => {
+  await mongoose.connection.dropDatabase();
+  await mongoose.disconnect();
+});
@@ -0,0 +1,12 @@
+// tests/setup/globalSetup.js
+// Start a single-node replica set in memory (the ledger uses sessions, which
+// need a replica set). Set MONGODB_TEST_URI to run against an existing server.
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+
+module.exports = async () => {
+  if (process.env.MONGODB_TEST_URI) return;
+
+  const replSet = await MongoMemoryReplSet.create({ replSet: { count: 1 } });
+  globalThis.__MONGO_REPLSET__ = replSet;
+  process.env.MONGODB_TEST_URI = replSet.getUri();
+};
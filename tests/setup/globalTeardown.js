@@ -0,0 +1,6 @@
+// tests/setup/globalTeardown.js
+module.exports = async () => {
+  if (globalThis.__MONGO_REPLSET__) {
+    await globalThis.__MONGO_REPLSET__.stop();
+  }
+};
@@ -0,0 +1,77 @@
+// tests/utils/payoutBatches.test.js
+const XLSX = require('xlsx');
+const { buildBankFile, parseResultFile, PayoutBatchError } = require('../../utils/payoutBatches');
+
+const batch = (overrides = {}) => ({
+  _id: '64b000000000000000000001',
+  name: 'Friday run',
+  status: 'processing',
+  releaseMethod: 'file',
+  items: [
+    { reference: 'WD-abc123-1', amount: 20000, accountNumber: '0123456789', accountName: 'Ada Obi', bankName: 'Test Bank', bankCode: '000013' },
+    { reference: 'WD-def456-2', amount: 35000.5, accountNumber: '0001112223', accountName: 'Tunde Bello', bankName: 'Other Bank', bankCode: '000014' }
+  ],
+  ...overrides
+});
+
+const csv = (text) => Buffer.from(text, 'utf8');
+
+describe('payoutBatches', () => {
+  describe('buildBankFile', () => {
+    it('writes one CSV row per item, keeping leading zeros', () => {
+      const { buffer, contentType, fileName } = buildBankFile(batch(), 'csv');
+      const lines = buffer.toString('utf8').trim().split('\n');
+
+      expect(contentType).toBe('text/csv');
+      expect(fileName).toBe('payout-batch-Friday-run-64b000000000000000000001.csv');
+      expect(lines[0]).toBe('S/N,Reference,Account Number,Account Name,Bank Name,Bank Code,Amount,Narration');
+      expect(lines[2]).toBe('2,WD-def456-2,0001112223,Tunde Bello,Other Bank,000014,35000.5,Afrimobile Earnings Withdrawal');
+    });
+
+    it('writes an XLSX workbook that reads back the same rows', () => {
+      const { buffer } = buildBankFile(batch(), 'xlsx');
+      const workbook = XLSX.read(buffer, { type: 'buffer' });
+      const rows = XLSX.utils.sheet_to_json(workbook.Sheets.Transfers);
+
+      expect(rows).toHaveLength(2);
+      expect(rows[0]).toMatchObject({ Reference: 'WD-abc123-1', 'Account Number': '0123456789', Amount: 20000 });
+    });
+
+    it('refuses batches that have not been released as a file', () => {
+      expect(() => buildBankFile(batch({ status: 'open', releaseMethod: null }))).toThrow(PayoutBatchError);
+      expect(() => buildBankFile(batch({ releaseMethod: 'provider' }))).toThrow('Release the batch as a bank file before downloading it');
+      expect(() => buildBankFile(batch(), 'pdf')).toThrow('format must be one of csv, xlsx');
+    });
+  });
+
+  describe('parseResultFile', () => {
+    it('reads references and outcomes under the usual bank column names', () => {
+      const rows = parseResultFile(csv([
+        'Payment Reference,Transfer Status,Remarks,NIP Session ID',
+        'WD-abc123-1,SUCCESSFUL,,100004231',
+        'WD-def456-2,Failed,Account dormant,',
+        'WD-ghi789-3,Queued,,',
+        ',Successful,,'
+      ].join('\n')));
+
+      expect(rows).toEqual([
+        { reference: 'WD-abc123-1', result: 'paid', reason: '', bankReference: '100004231' },
+        { reference: 'WD-def456-2', result: 'failed', reason: 'Account dormant', bankReference: '' },
+        { reference: 'WD-ghi789-3', result: null, reason: '', bankReference: '' }
+      ]);
+    });
+
+    it('reads XLSX result files', () => {
+      const workbook = XLSX.utils.book_new();
+      XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet([{ Reference: 'WD-abc123-1', Status: 'Completed' }]), 'Results');
+
+      const rows = parseResultFile(XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' }));
+
+      expect(rows).toEqual([{ reference: 'WD-abc123-1', result: 'paid', reason: '', bankReference: '' }]);
+    });
+
+    it('needs a reference and a status column', () => {
+      expect(() => parseResultFile(csv('Account,Amount\n0123456789,20000'))).toThrow('The result file needs a Reference and a Status column');
+    });
+  });
+});
@@ -0,0 +1,98 @@
+// tests/utils/payoutProviders.test.js
+const { PayoutProvider, PayoutProviderError } = require('../../services/payoutProviders/PayoutProvider');
+const sandbox = require('../../services/payoutProviders/sandbox');
+const { validateRoute } = require('../../services/payoutProviders');
+
+const transfer = (accountNumber) => ({
+  reference: `WD-abc123-${accountNumber}`,
+  amount: 20000,
+  accountNumber,
+  bankCode: '999001',
+  accountName: 'Test User',
+  narration: 'Test withdrawal'
+});
+
+describe('payout providers', () => {
+  describe('sandbox', () => {
+    afterEach(() => sandbox.reset());
+
+    it('decides the outcome by the last digit of the account number', async () => {
+      expect((await sandbox.initiateTransfer(transfer('0123456789'))).status).toBe('successful');
+      expect(await sandbox.initiateTransfer(transfer('0123456781'))).toMatchObject({
+        status: 'failed',
+        failureReason: 'Sandbox: transfer declined'
+      });
+      await expect(sandbox.initiateTransfer(transfer('0123456783'))).rejects.toMatchObject({ failover: true });
+    });
+
+    it('settles a processing transfer at the next status check', async () => {
+      const { status } = await sandbox.initiateTransfer(transfer('0123456782'));
+      expect(status).toBe('processing');
+
+      expect((await sandbox.getTransferStatus('WD-abc123-0123456782')).status).toBe('successful');
+    });
+
+    it('is only available when enabled, and never in production', () => {
+      const env = { NODE_ENV: process.env.NODE_ENV, PAYOUT_SANDBOX: process.env.PAYOUT_SANDBOX };
+      const availableWith = (NODE_ENV, PAYOUT_SANDBOX) => {
+        process.env.NODE_ENV = NODE_ENV;
+        if (PAYOUT_SANDBOX === undefined) delete process.env.PAYOUT_SANDBOX;
+        else process.env.PAYOUT_SANDBOX = PAYOUT_SANDBOX;
+        return sandbox.isConfigured();
+      };
+
+      try {
+        expect(availableWith('test')).toBe(true);
+        expect(availableWith('development')).toBe(true);
+        expect(availableWith('staging')).toBe(false);
+        expect(availableWith('staging', 'true')).toBe(true);
+        expect(availableWith('production', 'true')).toBe(false);
+      } finally {
+        process.env.NODE_ENV = env.NODE_ENV;
+        if (env.PAYOUT_SANDBOX === undefined) delete process.env.PAYOUT_SANDBOX;
+        else process.env.PAYOUT_SANDBOX = env.PAYOUT_SANDBOX;
+      }
+    });
+
+    it('returns the same transfer for a repeated reference', async () => {
+      const first = await sandbox.initiateTransfer(transfer('0123456782'));
+      const again = await sandbox.initiateTransfer({ ...transfer('0123456782'), amount: 50000 });
+
+      expect(again.providerReference).toBe(first.providerReference);
+      expect(again.raw.amount).toBe(20000);
+    });
+  });
+
+  describe('toProviderError', () => {
+    const provider = new PayoutProvider('test');
+    const httpError = (status) => Object.assign(new Error('Request failed'), { response: { status, data: { message: 'Refused' } } });
+
+    it('allows failover only when no transfer can have been made', () => {
+      expect(provider.toProviderError(Object.assign(new Error('connect'), { code: 'ECONNREFUSED' })).failover).toBe(true);
+      expect(provider.toProviderError(httpError(401))).toMatchObject({ failover: true, statusCode: 401, message: 'Refused' });
+      expect(provider.toProviderError(httpError(409)).failover).toBe(false);
+      expect(provider.toProviderError(httpError(500)).failover).toBe(false);
+      expect(provider.toProviderError(Object.assign(new Error('timeout'), { code: 'ECONNABORTED' })).failover).toBe(false);
+    });
+
+    it('passes provider errors through', () => {
+      const error = new PayoutProviderError('Already wrapped', { failover: true });
+      expect(provider.toProviderError(error)).toBe(error);
+    });
+  });
+
+  describe('validateRoute', () => {
+    it('accepts configured providers', () => {
+      expect(validateRoute('bank', ['sandbox'])).toEqual([]);
+    });
+
+    it('rejects unknown methods, providers and repeats', () => {
+      expect(validateRoute('crypto', ['sandbox'])).toEqual(['paymentMethod must be one of bank']);
+      expect(validateRoute('bank', [])).toEqual(['providers must be a non-empty list']);
+      expect(validateRoute('bank', ['sandbox', 'sandbox', 'moneygram'])).toEqual([
+        'providers[1] sandbox is listed more than once',
+        'providers[2] must be one of lenco, paystack, sandbox'
+      ]);
+    });
+  });
+});
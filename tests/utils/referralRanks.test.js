@@ -0,0 +1,42 @@
+// tests/utils/referralRanks.test.js
+const { validateRanks, activeRanks } = require('../../utils/referralRanks');
+
+describe('referral ranks', () => {
+  describe('validateRanks', () => {
+    it('accepts a ladder of distinct ranks', () => {
+      expect(validateRanks([
+        { key: 'bronze', name: 'Bronze', minDirectReferrals: 5, bonus: 5000 },
+        { key: 'silver', name: 'Silver', minDirectReferrals: 10, minTeamVolume: 2000000, bonus: 25000 },
+        { key: 'gold', name: 'Gold', minCoFounderDownlines: 3, active: false }
+      ])).toEqual([]);
+    });
+
+    it('rejects repeated keys, missing thresholds and bad amounts', () => {
+      expect(validateRanks([
+        { key: 'bronze', name: 'Bronze', minDirectReferrals: 2.5 },
+        { key: 'bronze', name: '', bonus: -1, colour: 'brown' },
+        { key: 'Gold!', name: 'Gold', minTeamVolume: '1000000' }
+      ])).toEqual([
+        'referralRanks[0].minDirectReferrals must be a non-negative whole number',
+        'referralRanks[1] has unknown fields: colour',
+        'referralRanks[1].key bronze is used more than once',
+        'referralRanks[1].name is required',
+        'referralRanks[1] must set minDirectReferrals, minTeamVolume, minCoFounderDownlines or a combination',
+        'referralRanks[1].bonus must be a non-negative amount',
+        'referralRanks[2].key must be 2 to 32 lower-case letters, digits, - or _',
+        'referralRanks[2].minTeamVolume must be a non-negative amount'
+      ]);
+    });
+  });
+
+  it('numbers the ladder before dropping inactive ranks', () => {
+    const ranks = activeRanks({
+      referralRanks: [
+        { key: 'bronze', name: 'Bronze', minDirectReferrals: 1 },
+        { key: 'silver', name: 'Silver', minDirectReferrals: 5, active: false },
+        { key: 'gold', name: 'Gold', minDirectReferrals: 10 }
+      ]
+    });
+    expect(ranks.map(rank => [rank.key, rank.level])).toEqual([['bronze', 1], ['gold', 3]]);
+  });
+});
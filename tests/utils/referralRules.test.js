@@ -0,0 +1,101 @@
+// tests/utils/referralRules.test.js
+const { validateLevels, validateRules, resolvePolicy } = require('../../utils/referralRules');
+
+const config = (overrides = {}) => ({
+  referralRates: [],
+  referralMaxDepth: 3,
+  referralMinPurchase: 50000,
+  referralLockDays: 30,
+  commissionRules: [],
+  referralCommission: { generation1: 15, generation2: 3, generation3: 2 },
+  ...overrides
+});
+
+describe('referral rules', () => {
+  describe('validateLevels', () => {
+    it('accepts distinct levels within 100%', () => {
+      expect(validateLevels([{ level: 1, rate: 15 }, { level: 5, rate: 0.5 }])).toEqual([]);
+    });
+
+    it('rejects bad levels, bad rates, repeats and totals over 100%', () => {
+      const errors = validateLevels([
+        { level: 0, rate: 5 },
+        { level: 2, rate: -1 },
+        { level: 3, rate: 60 },
+        { level: 3, rate: 50 }
+      ]);
+      expect(errors).toEqual([
+        'levels[0].level must be a whole number from 1 to 10',
+        'levels[1].rate must be a percentage from 0 to 100',
+        'levels[3].level 3 is listed more than once',
+        'levels add up to 115%, more than the purchase'
+      ]);
+    });
+  });
+
+  describe('validateRules', () => {
+    it('accepts a well-formed rule', () => {
+      expect(validateRules([
+        { name: 'Co-founder', purchaseType: 'co-founder', rates: [{ level: 1, rate: 10 }], maxDepth: 1 }
+      ])).toEqual([]);
+    });
+
+    it('explains what is wrong with a rule', () => {
+      const errors = validateRules([{ rate: 10, purchaseType: 'nft' }]);
+      expect(errors).toEqual([
+        'commissionRules[0] has unknown fields: rate',
+        'commissionRules[0].name is required',
+        'commissionRules[0].purchaseType must be one of share, co-founder, other',
+        'commissionRules[0] must set rates, maxDepth, minPurchase or lockDays'
+      ]);
+    });
+
+    it('rejects two active rules for the same purchases', () => {
+      const errors = validateRules([
+        { name: 'A', tierKey: 'premium', maxDepth: 2 },
+        { name: 'B', tierKey: 'premium', minPurchase: 0 },
+        { name: 'C', tierKey: 'premium', maxDepth: 5, active: false }
+      ]);
+      expect(errors).toEqual(['commissionRules[1] matches the same purchases as an earlier active rule']);
+    });
+  });
+
+  describe('resolvePolicy', () => {
+    it('falls back to referralCommission when no level rates are set', () => {
+      expect(resolvePolicy(config())).toEqual({
+        rule: null,
+        maxDepth: 3,
+        minPurchase: 50000,
+        lockDays: 30,
+        rates: { 1: 15, 2: 3, 3: 2 }
+      });
+    });
+
+    it('uses level rates and depth beyond three generations', () => {
+      const policy = resolvePolicy(config({
+        referralRates: [{ level: 1, rate: 10 }, { level: 4, rate: 1 }],
+        referralMaxDepth: 5
+      }));
+      expect(policy.rates).toEqual({ 1: 10, 4: 1 });
+      expect(policy.maxDepth).toBe(5);
+    });
+
+    it('picks the most specific active rule and keeps global settings it leaves out', () => {
+      const rules = [
+        { name: 'All co-founder', purchaseType: 'co-founder', rates: [{ level: 1, rate: 8 }] },
+        { name: 'Premium tier', tierKey: 'premium', minPurchase: 0, lockDays: 0 },
+        { name: 'Co-founder flagship', purchaseType: 'co-founder', tierKey: 'cofounder', maxDepth: 1 },
+        { name: 'Retired', purchaseType: 'share', maxDepth: 1, active: false }
+      ];
+      const settings = config({ commissionRules: rules });
+
+      expect(resolvePolicy(settings, { purchaseType: 'co-founder', tierKey: 'cofounder' }))
+        .toMatchObject({ rule: 'Co-founder flagship', maxDepth: 1, rates: { 1: 15, 2: 3, 3: 2 } });
+      expect(resolvePolicy(settings, { purchaseType: 'co-founder', tierKey: 'other' }))
+        .toMatchObject({ rule: 'All co-founder', rates: { 1: 8 } });
+      expect(resolvePolicy(settings, { purchaseType: 'share', tierKey: 'premium' }))
+        .toMatchObject({ rule: 'Premium tier', minPurchase: 0, lockDays: 0, maxDepth: 3 });
+      expect(resolvePolicy(settings, { purchaseType: 'share', tierKey: 'basic' }).rule).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,70 @@
+// tests/utils/referralStatement.test.js
+const { resolveStatementPeriod, renderStatementPdf } = require('../../utils/referralStatementService');
+
+const NOW = new Date('2026-03-15T12:00:00Z');
+
+describe('referral statements', () => {
+  describe('resolveStatementPeriod', () => {
+    it('covers a whole calendar month', () => {
+      expect(resolveStatementPeriod({ month: '2026-02' }, NOW)).toEqual({
+        from: new Date('2026-02-01T00:00:00Z'),
+        to: new Date('2026-03-01T00:00:00Z')
+      });
+    });
+
+    it('includes the whole of a date-only end day and defaults to this month so far', () => {
+      expect(resolveStatementPeriod({ from: '2026-01-01', to: '2026-01-31' }, NOW)).toEqual({
+        from: new Date('2026-01-01T00:00:00Z'),
+        to: new Date('2026-02-01T00:00:00Z')
+      });
+      expect(resolveStatementPeriod({}, NOW)).toEqual({ from: new Date('2026-03-01T00:00:00Z'), to: NOW });
+    });
+
+    it('rejects malformed, reversed, future and overlong periods', () => {
+      const reason = (query) => {
+        try {
+          resolveStatementPeriod(query, NOW);
+        } catch (error) {
+          return [error.statusCode, error.message];
+        }
+        return null;
+      };
+
+      expect(reason({ month: '2026-13' })).toEqual([400, 'month must be YYYY-MM']);
+      expect(reason({ from: 'yesterday' })).toEqual([400, 'from and to must be dates']);
+      expect(reason({ from: '2026-02-10', to: '2026-02-01' })).toEqual([400, 'to must be after from']);
+      expect(reason({ from: '2026-04-01', to: '2026-04-30' })[1]).toBe('The statement period has not started yet');
+      expect(reason({ from: '2024-01-01', to: '2026-01-01' })[0]).toBe(400);
+    });
+  });
+
+  it('renders a PDF', async () => {
+    const pdf = await renderStatementPdf({
+      user: { name: 'Ada Obi', userName: 'ada', email: 'ada@example.com' },
+      period: { from: new Date('2026-02-01T00:00:00Z'), to: new Date('2026-03-01T00:00:00Z') },
+      commissions: [{
+        date: new Date('2026-02-03T00:00:00Z'),
+        referredUser: 'bola',
+        generation: 1,
+        purchaseType: 'share',
+        sourceTransaction: 'TX-1',
+        baseAmount: 100000,
+        rate: 15,
+        amount: 15000,
+        currency: 'naira',
+        status: 'completed'
+      }],
+      bonuses: [],
+      withdrawals: [],
+      summary: {
+        byCurrency: { naira: { earned: 15000, held: 0, reversed: 0, bonuses: 0, commissions: 1 } },
+        withdrawn: 0,
+        withdrawals: 0,
+        balancesToday: { availableBalance: 15000, lockedEarnings: 0 }
+      }
+    });
+
+    expect(Buffer.isBuffer(pdf)).toBe(true);
+    expect(pdf.subarray(0, 4).toString()).toBe('%PDF');
+  });
+});
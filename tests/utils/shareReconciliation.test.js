@@ -0,0 +1,285 @@
+// tests/utils/shareReconciliation.test.js
+const mongoose = require('mongoose');
+const ReconciliationMismatch = require('../../models/ReconciliationMismatch');
+const ReconciliationReport = require('../../models/ReconciliationReport');
+const TransactionV2 = require('../../models/TransactionV2');
+const UserShareV2 = require('../../models/UserShareV2');
+const { classifyUser, runReconciliation, repairReport, repairMismatch } = require('../../utils/shareReconciliation');
+const { createUser, createAdmin } = require('../fixtures/users');
+const { seedTiers, TEST_TIERS } = require('../fixtures/tiers');
+const { recordSharePurchase, legacyPurchase, recordLegacyShares } = require('../fixtures/shares');
+
+const BASIC = TEST_TIERS.basic;
+
+const USER = new mongoose.Types.ObjectId();
+
+const TIERS = new Map([
+  ['basic', { type: 'share', sharesIncluded: 1 }],
+  ['cofounder', { type: 'co-founder', sharesIncluded: 22 }]
+]);
+
+const legacyTx = (overrides = {}) => ({
+  transactionId: 'TXN-1',
+  type: 'share',
+  packageId: 'basic',
+  ownershipPct: 0.00004,
+  earningKobo: 28000,
+  amount: 50000,
+  status: 'completed',
+  ...overrides
+});
+
+// The TransactionV2 row writeToV2 makes from a legacy transaction
+const v2Tx = (overrides = {}) => ({
+  transactionId: 'TXN-1',
+  type: 'share',
+  ownershipPct: 0.00004,
+  earningKobo: 28000,
+  totalAmount: 50000,
+  currency: 'naira',
+  status: 'completed',
+  ...overrides
+});
+
+const legacyShare = (transactions, totals = {}) => {
+  const completed = transactions.filter(t => t.status === 'completed');
+  return {
+    transactions,
+    totalOwnershipPct: completed.reduce((s, t) => s + t.ownershipPct, 0),
+    totalEarningKobo: completed.reduce((s, t) => s + t.earningKobo, 0),
+    ...totals
+  };
+};
+
+const snapshot = (overrides = {}) => ({ totalOwnershipPct: 0.00004, totalEarningKobo: 28000, ...overrides });
+
+const classify = (legacy, v2Txs, v2Snapshot) =>
+  classifyUser(USER, legacy, v2Txs, v2Snapshot, TIERS)
+    .map(m => [m.mismatchType, m.scope, m.autoRepairable === true]);
+
+/**
+ * One user with a purchase missing from V2 and one still pending there, and a
+ * V2-only user whose snapshot has drifted: one of each repairable class
+ */
+const seedDrift = async () => {
+  const legacyUser = await createUser();
+  await recordLegacyShares(legacyUser, [legacyPurchase('TXN-MISSING'), legacyPurchase('TXN-PENDING')]);
+  await recordSharePurchase(legacyUser, { transactionId: 'TXN-PENDING', status: 'pending' });
+
+  const v2User = await createUser();
+  await recordSharePurchase(v2User);
+  await UserShareV2.updateOne({ user: v2User._id }, { $inc: { totalEarningKobo: 500 } });
+
+  return { legacyUser, v2User };
+};
+
+const reportMismatches = async (report) =>
+  (await ReconciliationMismatch.find({ report: report._id }).sort({ mismatchType: 1 }))
+    .map(m => [m.mismatchType, m.scope, m.transactionId, m.status]);
+
+describe('share reconciliation', () => {
+  beforeEach(async () => {
+    await seedTiers();
+  });
+
+  describe('classifyUser', () => {
+    it('finds nothing when the three copies agree', () => {
+      expect(classify(legacyShare([legacyTx()]), [v2Tx()], snapshot())).toEqual([]);
+    });
+
+    it('flags a legacy purchase that never reached V2, but not a failed one', () => {
+      const [missing] = classifyUser(USER, legacyShare([legacyTx()]), [], null, TIERS);
+
+      expect(missing).toMatchObject({
+        user: USER,
+        transactionId: 'TXN-1',
+        mismatchType: 'missing_v2',
+        scope: 'transaction',
+        expectedValue: { status: 'completed', ownershipPct: 0.00004, earningKobo: 28000, amount: 50000 },
+        actualValue: null,
+        autoRepairable: true
+      });
+      expect(classify(legacyShare([legacyTx({ status: 'failed' })]), [], null)).toEqual([]);
+    });
+
+    it('repairs a status only when V2 is still pending behind a settled legacy purchase', () => {
+      const settled = legacyShare([legacyTx()]);
+      const stillPending = legacyShare([legacyTx({ status: 'pending' })]);
+      const pendingSnapshot = snapshot({ totalOwnershipPct: 0, totalEarningKobo: 0 });
+
+      expect(classify(settled, [v2Tx({ status: 'pending' })], pendingSnapshot))
+        .toEqual([['status_mismatch', 'transaction', true]]);
+      expect(classify(stillPending, [v2Tx()], snapshot()))
+        .toEqual([['status_mismatch', 'transaction', false]]);
+    });
+
+    it('treats rejected and cancelled V2 rows as the same as a failed legacy purchase', () => {
+      const failed = legacyShare([legacyTx({ status: 'failed' })]);
+      const empty = snapshot({ totalOwnershipPct: 0, totalEarningKobo: 0 });
+
+      expect(classify(failed, [v2Tx({ status: 'rejected' })], empty)).toEqual([]);
+      expect(classify(failed, [v2Tx({ status: 'cancelled' })], empty)).toEqual([]);
+    });
+
+    it('reports per-transaction ownership and earning drift for a human to decide', () => {
+      const drifted = v2Tx({ ownershipPct: 0.00005, earningKobo: 30000 });
+      const mismatches = classifyUser(USER, legacyShare([legacyTx()]), [drifted], snapshot({ totalOwnershipPct: 0.00005, totalEarningKobo: 30000 }), TIERS);
+
+      expect(mismatches).toEqual([
+        expect.objectContaining({ mismatchType: 'ownership_drift', scope: 'transaction', expectedValue: 0.00004, actualValue: 0.00005, difference: 0.00001 }),
+        expect.objectContaining({ mismatchType: 'earning_drift', scope: 'transaction', expectedValue: 28000, actualValue: 30000, difference: 2000 })
+      ]);
+      expect(mismatches.some(m => m.autoRepairable)).toBe(false);
+    });
+
+    it('compares a co-founder purchase in regular-share equivalents', () => {
+      const cofounder = legacyTx({ type: 'co-founder', packageId: 'cofounder', ownershipPct: 0.000924, earningKobo: 616000 });
+      const converted = v2Tx({ type: 'co-founder', ownershipPct: 0.000924 * 22, earningKobo: 616000 * 22 });
+
+      expect(classify(
+        legacyShare([cofounder]),
+        [converted],
+        snapshot({ totalOwnershipPct: 0.000924 * 22, totalEarningKobo: 616000 * 22 })
+      )).toEqual([]);
+    });
+
+    it('reports legacy totals that disagree with the legacy transactions', () => {
+      const legacy = legacyShare([legacyTx()], { totalOwnershipPct: 0.00008, totalEarningKobo: 56000 });
+
+      expect(classify(legacy, [v2Tx()], snapshot())).toEqual([
+        ['ownership_drift', 'legacy_total', false],
+        ['earning_drift', 'legacy_total', false]
+      ]);
+    });
+
+    it('flags a missing or stale UserShareV2 snapshot as repairable', () => {
+      expect(classify(null, [v2Tx()], null)).toEqual([['ownership_drift', 'snapshot', true]]);
+      expect(classify(null, [v2Tx()], snapshot({ totalOwnershipPct: 0, totalEarningKobo: 0 }))).toEqual([
+        ['ownership_drift', 'snapshot', true],
+        ['earning_drift', 'snapshot', true]
+      ]);
+    });
+  });
+
+  describe('runReconciliation', () => {
+    it('records each disagreement under a completed report, including V2-only users', async () => {
+      await seedDrift();
+
+      const report = await runReconciliation({ trigger: 'scheduled' });
+
+      expect(report).toMatchObject({ status: 'completed', trigger: 'scheduled', usersScanned: 2 });
+      expect(report.toObject().summary).toEqual({
+        missing_v2: 1,
+        status_mismatch: 1,
+        earning_drift: 1,
+        ownership_drift: 0,
+        total: 3,
+        autoRepairable: 3,
+        repaired: 0
+      });
+      expect(await reportMismatches(report)).toEqual([
+        ['earning_drift', 'snapshot', null, 'open'],
+        ['missing_v2', 'transaction', 'TXN-MISSING', 'open'],
+        ['status_mismatch', 'transaction', 'TXN-PENDING', 'open']
+      ]);
+    });
+
+    it('finds nothing when the copies agree', async () => {
+      const user = await createUser();
+      await recordLegacyShares(user, [legacyPurchase('TXN-1')]);
+      await recordSharePurchase(user, { transactionId: 'TXN-1' });
+
+      const report = await runReconciliation();
+
+      expect(report.summary.total).toBe(0);
+      expect(await ReconciliationMismatch.countDocuments()).toBe(0);
+    });
+
+    it('does not start while another run is in progress', async () => {
+      const running = await ReconciliationReport.create({ trigger: 'manual' });
+
+      const result = await runReconciliation();
+
+      expect(result).toMatchObject({ skipped: true, reason: 'Reconciliation already in progress' });
+      expect(result.reportId.toString()).toBe(running._id.toString());
+      expect(await ReconciliationReport.countDocuments()).toBe(1);
+    });
+  });
+
+  describe('repairReport', () => {
+    it('repairs every auto-repairable mismatch so the next run is clean', async () => {
+      const { legacyUser, v2User } = await seedDrift();
+      const admin = await createAdmin();
+      const report = await runReconciliation();
+
+      const result = await repairReport(report._id, { adminId: admin._id });
+
+      expect(result).toEqual({ attempted: 3, repaired: 3, failed: 0 });
+      expect(await reportMismatches(report)).toEqual([
+        ['earning_drift', 'snapshot', null, 'repaired'],
+        ['missing_v2', 'transaction', 'TXN-MISSING', 'repaired'],
+        ['status_mismatch', 'transaction', 'TXN-PENDING', 'repaired']
+      ]);
+      expect((await ReconciliationReport.findById(report._id)).summary.repaired).toBe(3);
+
+      const backfilled = await TransactionV2.findOne({ transactionId: 'TXN-MISSING' });
+      expect(backfilled.status).toBe('completed');
+      expect(backfilled.enteredBy.toString()).toBe(admin._id.toString());
+      expect((await TransactionV2.findOne({ transactionId: 'TXN-PENDING' })).status).toBe('completed');
+      expect((await UserShareV2.findOne({ user: legacyUser._id })).totalEarningKobo).toBe(2 * BASIC.earningPerPhone);
+      expect((await UserShareV2.findOne({ user: v2User._id })).totalEarningKobo).toBe(BASIC.earningPerPhone);
+
+      expect((await runReconciliation()).summary.total).toBe(0);
+    });
+
+    it('repairs only the requested mismatch types', async () => {
+      await seedDrift();
+      const report = await runReconciliation();
+
+      const result = await repairReport(report._id, { types: ['missing_v2'] });
+
+      expect(result).toEqual({ attempted: 1, repaired: 1, failed: 0 });
+      expect((await TransactionV2.findOne({ transactionId: 'TXN-PENDING' })).status).toBe('pending');
+    });
+
+    it('leaves a mismatch that changed since the run as repair_failed, to be retried', async () => {
+      await seedDrift();
+      const report = await runReconciliation();
+      await TransactionV2.updateOne({ transactionId: 'TXN-PENDING' }, { status: 'rejected' });
+
+      const result = await repairReport(report._id, { types: ['status_mismatch'] });
+
+      expect(result).toEqual({ attempted: 1, repaired: 0, failed: 1 });
+      const failed = await ReconciliationMismatch.findOne({ report: report._id, mismatchType: 'status_mismatch' });
+      expect(failed.status).toBe('repair_failed');
+      expect(failed.repairError).toBe('Status changed since the run (legacy completed, v2 rejected)');
+
+      await TransactionV2.updateOne({ transactionId: 'TXN-PENDING' }, { status: 'pending' });
+      expect(await repairReport(report._id, { types: ['status_mismatch'] })).toEqual({ attempted: 1, repaired: 1, failed: 0 });
+    });
+  });
+
+  describe('repairMismatch', () => {
+    it('does not write a second V2 row for a purchase mirrored since the run', async () => {
+      const user = await createUser();
+      await recordLegacyShares(user, [legacyPurchase('TXN-1')]);
+      const report = await runReconciliation();
+      await recordSharePurchase(user, { transactionId: 'TXN-1' });
+
+      await repairMismatch(await ReconciliationMismatch.findOne({ report: report._id, mismatchType: 'missing_v2' }));
+
+      expect(await TransactionV2.countDocuments({ transactionId: 'TXN-1' })).toBe(1);
+    });
+
+    it('refuses drift that needs a human decision', async () => {
+      const user = await createUser();
+      await recordLegacyShares(user, [legacyPurchase('TXN-1')]);
+      await recordSharePurchase(user, { transactionId: 'TXN-1', earningKobo: BASIC.earningPerPhone + 1000 });
+      const report = await runReconciliation();
+      const drift = await ReconciliationMismatch.findOne({ report: report._id, scope: 'transaction' });
+
+      expect(drift).toMatchObject({ mismatchType: 'earning_drift', autoRepairable: false });
+      await expect(repairMismatch(drift)).rejects.toThrow('earning_drift (transaction) is not auto-repairable');
+    });
+  });
+});
@@ -0,0 +1,39 @@
+// tests/utils/totp.test.js
+const totp = require('../../utils/totp');
+
+// RFC 6238 appendix B, SHA-1 seed, truncated to 6 digits
+const RFC_SECRET = totp.base32Encode(Buffer.from('12345678901234567890'));
+const RFC_VECTORS = [
+  [59, '287082'],
+  [1111111109, '081804'],
+  [1234567890, '005924'],
+  [2000000000, '279037']
+];
+
+describe('totp', () => {
+  it.each(RFC_VECTORS)('matches the RFC 6238 vector at T=%i', (seconds, expected) => {
+    expect(totp.generateCode(RFC_SECRET, totp.currentStep(seconds * 1000))).toBe(expected);
+  });
+
+  it('round-trips base32', () => {
+    const bytes = Buffer.from('two-factor secret');
+    expect(totp.base32Decode(totp.base32Encode(bytes))).toEqual(bytes);
+  });
+
+  it('accepts codes one step either side and rejects older ones', () => {
+    const secret = totp.generateSecret();
+    const now = Date.now();
+    const step = totp.currentStep(now);
+
+    expect(totp.verifyCode(secret, totp.generateCode(secret, step), { time: now })).toBe(step);
+    expect(totp.verifyCode(secret, totp.generateCode(secret, step - 1), { time: now })).toBe(step - 1);
+    expect(totp.verifyCode(secret, totp.generateCode(secret, step - 3), { time: now })).toBeNull();
+  });
+
+  it('rejects malformed codes', () => {
+    const secret = totp.generateSecret();
+    expect(totp.verifyCode(secret, '12345')).toBeNull();
+    expect(totp.verifyCode(secret, 'abcdef')).toBeNull();
+    expect(totp.verifyCode(secret, undefined)).toBeNull();
+  });
+});
@@ -0,0 +1,13 @@
+// tests/utils/withdrawalCronJobs.test.js
+const withdrawalCronJobs = require('../../withdrawalCronJobs');
+
+describe('withdrawal cron jobs', () => {
+  it('registers the status checks and the retry job with the background jobs manager', () => {
+    const jobs = new Map();
+    withdrawalCronJobs.registerJobs({ addJob: (name, job) => jobs.set(name, job) });
+
+    expect([...jobs.keys()]).toEqual(['verifyProcessingWithdrawals', 'verifyPendingWithdrawals', 'retryFailedWithdrawals']);
+    expect(jobs.get('retryFailedWithdrawals')).toBe(withdrawalCronJobs.retryFailedWithdrawals);
+    expect(typeof jobs.get('retryFailedWithdrawals').start).toBe('function');
+  });
+});
@@ -0,0 +1,51 @@
+// tests/utils/withdrawalRetryPolicy.test.js
+const { classifyFailure, retryDelay, planFailure } = require('../../utils/withdrawalRetryPolicy');
+
+const POLICY = { maxRetries: 3, baseDelayMinutes: 5, maxDelayMinutes: 30 };
+const NOW = new Date('2026-01-01T12:00:00Z');
+const MINUTE = 60 * 1000;
+
+describe('withdrawalRetryPolicy', () => {
+  describe('classifyFailure', () => {
+    it('treats account and bank problems as permanent', () => {
+      expect(classifyFailure('Invalid account number')).toBe('permanent');
+      expect(classifyFailure('Beneficiary account is dormant')).toBe('permanent');
+      expect(classifyFailure('Could not resolve account name')).toBe('permanent');
+      expect(classifyFailure('Sandbox: transfer declined')).toBe('permanent');
+    });
+
+    it('treats provider and balance problems as transient', () => {
+      expect(classifyFailure('Sandbox: payout balance too low')).toBe('transient');
+      expect(classifyFailure('Request timed out', { statusCode: 504 })).toBe('transient');
+      expect(classifyFailure('Too many requests', { statusCode: 429 })).toBe('transient');
+      expect(classifyFailure(undefined)).toBe('transient');
+    });
+
+    it('treats other 4xx provider errors as permanent', () => {
+      expect(classifyFailure('Transfer rejected', { statusCode: 422 })).toBe('permanent');
+    });
+  });
+
+  describe('retryDelay', () => {
+    it('doubles from the base delay up to the cap', () => {
+      expect([0, 1, 2, 3].map(n => retryDelay(n, POLICY) / MINUTE)).toEqual([5, 10, 20, 30]);
+    });
+  });
+
+  describe('planFailure', () => {
+    it('fails permanent failures at once', () => {
+      expect(planFailure({ retryCount: 0 }, { reason: 'Invalid account' }, NOW, POLICY))
+        .toEqual({ status: 'failed', failureType: 'permanent', nextRetryAt: null });
+    });
+
+    it('schedules transient failures after the backoff', () => {
+      expect(planFailure({ retryCount: 1 }, { reason: 'Gateway timeout' }, NOW, POLICY))
+        .toEqual({ status: 'retrying', failureType: 'transient', nextRetryAt: new Date(NOW.getTime() + 10 * MINUTE) });
+    });
+
+    it('dead-letters transient failures once the retries are used up', () => {
+      expect(planFailure({ retryCount: 3 }, { reason: 'Gateway timeout' }, NOW, POLICY))
+        .toEqual({ status: 'dead_letter', failureType: 'transient', nextRetryAt: null });
+    });
+  });
+});
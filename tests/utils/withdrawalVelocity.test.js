@@ -0,0 +1,102 @@
+// tests/utils/withdrawalVelocity.test.js
+const { normalizeLimits, findBreach, remainingAllowance, allowanceBlock } = require('../../utils/withdrawalVelocity');
+
+const usage = (daily, weekly = daily, monthly = weekly) => ({
+  daily: { oldest: new Date('2026-01-01T08:00:00Z'), ...daily },
+  weekly: { oldest: new Date('2026-01-01T08:00:00Z'), ...weekly },
+  monthly: { oldest: new Date('2026-01-01T08:00:00Z'), ...monthly }
+});
+
+const caps = (overrides) => normalizeLimits(overrides).limits;
+
+describe('withdrawalVelocity', () => {
+  describe('normalizeLimits', () => {
+    it('fills every window and leaves missing caps unenforced', () => {
+      expect(normalizeLimits({ daily: { count: 2 }, monthly: { amount: '500000' } })).toEqual({
+        limits: {
+          daily: { count: 2, amount: null },
+          weekly: { count: null, amount: null },
+          monthly: { count: null, amount: 500000 }
+        },
+        errors: []
+      });
+      expect(normalizeLimits(null)).toEqual({ limits: null, errors: [] });
+    });
+
+    it('reports unknown windows and bad caps', () => {
+      expect(normalizeLimits({ hourly: { count: 1 }, daily: { count: 1.5, amount: 0 } }, 'bank').errors).toEqual([
+        'bank.hourly is not a window; use daily, weekly, monthly',
+        'bank.daily.count must be a whole number of at least 1, or null',
+        'bank.daily.amount must be a number of at least 1, or null'
+      ]);
+    });
+  });
+
+  describe('findBreach', () => {
+    it('refuses a withdrawal over the count cap', () => {
+      const levels = [{ level: 'user', limits: caps({ daily: { count: 1 } }), usage: usage({ count: 1, amount: 20000 }) }];
+
+      expect(findBreach(levels, 20000)).toMatchObject({
+        level: 'user',
+        window: 'daily',
+        kind: 'count',
+        limit: 1,
+        resetsAt: new Date('2026-01-02T08:00:00Z')
+      });
+    });
+
+    it('refuses a withdrawal that would take the amount over the cap', () => {
+      const levels = [
+        { level: 'global', limits: caps({ monthly: { amount: 1000000 } }), usage: usage({ count: 3, amount: 60000 }) },
+        { level: 'method', method: 'bank', limits: caps({ weekly: { amount: 50000 } }), usage: usage({ count: 2, amount: 40000 }) }
+      ];
+
+      expect(findBreach(levels, 10000)).toBeNull();
+      expect(findBreach(levels, 20000)).toMatchObject({ level: 'method', method: 'bank', window: 'weekly', kind: 'amount', remaining: 10000 });
+    });
+  });
+
+  describe('allowanceBlock', () => {
+    const open = { remainingCount: null, remainingAmount: null, resetsAt: null };
+    const allowance = (bankWindows = {}, holds = {}) => ({
+      bank: { daily: open, weekly: open, monthly: open, ...bankWindows },
+      crypto: { daily: open, weekly: open, monthly: open },
+      bankCooldownUntil: null,
+      firstWithdrawalHoldUntil: null,
+      ...holds
+    });
+    const resetsAt = new Date('2026-01-08T08:00:00Z');
+
+    it('is null while nothing stands in the way', () => {
+      expect(allowanceBlock(allowance(), 'bank', 20000)).toBeNull();
+    });
+
+    it('reports holds before caps, and the bank cooldown only for bank withdrawals', () => {
+      const held = allowance({}, { bankCooldownUntil: resetsAt });
+      expect(allowanceBlock(held, 'bank', 20000)).toEqual({ code: 'BANK_CHANGE_COOLDOWN', retryAt: resetsAt });
+      expect(allowanceBlock(held, 'crypto', 20000)).toBeNull();
+    });
+
+    it('reports a window with no withdrawals or too little left', () => {
+      expect(allowanceBlock(allowance({ weekly: { remainingCount: 0, remainingAmount: null, resetsAt } }), 'bank', 20000))
+        .toEqual({ code: 'VELOCITY_COUNT_LIMIT', retryAt: resetsAt });
+      expect(allowanceBlock(allowance({ weekly: { remainingCount: 2, remainingAmount: 10000, resetsAt } }), 'bank', 20000))
+        .toEqual({ code: 'VELOCITY_AMOUNT_LIMIT', retryAt: resetsAt });
+    });
+  });
+
+  describe('remainingAllowance', () => {
+    it('takes the tightest cap across levels for each window', () => {
+      const levels = [
+        { level: 'user', limits: caps({ daily: { count: 3 }, weekly: { amount: 100000 } }), usage: usage({ count: 1, amount: 20000 }, { count: 2, amount: 70000 }) },
+        { level: 'method', method: 'bank', limits: caps({ daily: { count: 2, amount: 50000 } }), usage: usage({ count: 1, amount: 20000 }) }
+      ];
+
+      expect(remainingAllowance(levels)).toEqual({
+        daily: { remainingCount: 1, remainingAmount: 30000, resetsAt: new Date('2026-01-02T08:00:00Z') },
+        weekly: { remainingCount: null, remainingAmount: 30000, resetsAt: new Date('2026-01-08T08:00:00Z') },
+        monthly: { remainingCount: null, remainingAmount: null, resetsAt: null }
+      });
+    });
+  });
+});
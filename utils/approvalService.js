@@ -0,0 +1,531 @@
+// utils/approvalService.js
+/**
+ * Four-eyes approvals for high-value admin actions.
+ *
+ * requireApproval (middleware/approval.js) values the incoming request with
+ * the action's assessor. At or above the threshold the request is stored as
+ * an ApprovalRequest instead of running; a different admin holding the same
+ * permission then approves it, which replays the stored request through the
+ * original handlers with the maker as req.user.
+ */
+
+const mongoose = require('mongoose');
+const ApprovalRequest = require('../models/ApprovalRequest');
+const ApprovalThreshold = require('../models/ApprovalThreshold');
+const AdminAuditLog = require('../models/AdminAuditLog');
+const User = require('../models/User');
+const {
+  APPROVAL_POLICIES,
+  APPROVAL_ACTIONS,
+  APPROVAL_TTL_HOURS
+} = require('../config/approvalPolicies');
+const { hasPermission } = require('../config/adminRoles');
+
+class ApprovalError extends Error {
+  constructor(message, statusCode = 400, code = 'APPROVAL_ERROR') {
+    super(message);
+    this.name = 'ApprovalError';
+    this.statusCode = statusCode;
+    this.code = code;
+  }
+}
+
+const describeUser = (user) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email
+});
+
+const findUser = (userId) =>
+  (userId && mongoose.isValidObjectId(userId) ? User.findById(userId) : null);
+
+// ─── Assessors ──────────────────────────────────────────────────────────────
+// Each returns { amount, targetUserId, preview } for a request, or null when
+// the request cannot be valued (bad input) — the handler then runs and
+// reports the problem itself.
+
+async function assessShareGrant(user, tierKey, shares, { type, defaultCount }) {
+  const TierConfig = require('../models/TierConfig');
+  const UserShareV2 = require('../models/UserShareV2');
+
+  const config = await TierConfig.getCurrentConfig();
+  let key = tierKey;
+  let tier = null;
+  if (key) {
+    tier = config.tiers.get(key);
+  } else if (type === 'share') {
+    for (const [candidateKey, candidate] of config.tiers) {
+      if (candidate.type === 'share' && candidate.active === true) {
+        key = candidateKey;
+        tier = candidate;
+        break;
+      }
+    }
+  }
+  const tierType = tier?.type === 'cofounder' ? 'co-founder' : tier?.type;
+  if (!tier || tierType !== type) return null;
+
+  const count = shares ? parseInt(shares, 10) : defaultCount(tier);
+  if (!(count > 0)) return null;
+
+  const holding = await UserShareV2.findOne({ user: user._id });
+  const currentInvested = holding?.totalInvestedNaira || 0;
+  const amount = tier.priceNGN * count;
+
+  return {
+    amount,
+    targetUserId: user._id,
+    preview: {
+      summary: `Add ${count} ${tier.name} ${type === 'share' ? 'share(s)' : 'co-founder share(s)'} to ${user.email}`,
+      target: describeUser(user),
+      details: {
+        tierKey: key,
+        tierName: tier.name,
+        shares: count,
+        pricePerShare: tier.priceNGN,
+        totalAmount: amount,
+        ownershipPct: tier.percentPerShare * count
+      },
+      changes: [
+        { field: 'totalInvestedNaira', from: currentInvested, to: currentInvested + amount }
+      ]
+    }
+  };
+}
+
+const ASSESSORS = {
+  'shares.add': async ({ body }) => {
+    const user = await findUser(body.userId);
+    if (!user) return null;
+    return assessShareGrant(user, body.tierKey || body.packageId, body.shares, {
+      type: 'share',
+      defaultCount: tier => tier.sharesIncluded || 1
+    });
+  },
+
+  'cofounder.add': async ({ body }) => {
+    let user;
+    if (body.userIdentifier) {
+      const { resolveUserIdentifier } = require('../controller/coFounderController');
+      user = await resolveUserIdentifier(body.userIdentifier);
+    } else {
+      user = await findUser(body.userId);
+    }
+    if (!user || !body.tierKey) return null;
+    return assessShareGrant(user, body.tierKey, body.shares, {
+      type: 'co-founder',
+      defaultCount: () => 1
+    });
+  },
+
+  'referral.earnings.adjust': async ({ body }) => {
+    const Referral = require('../models/Referral');
+    const { userId, adjustmentType, amount } = body;
+    const value = parseFloat(amount);
+    if (!['add', 'subtract', 'set'].includes(adjustmentType) || !(value >= 0)) return null;
+
+    const user = await findUser(userId);
+    if (!user) return null;
+
+    const referral = await Referral.findOne({ user: user._id });
+    const from = referral?.totalEarnings || 0;
+    const to = adjustmentType === 'add' ? from + value
+      : adjustmentType === 'subtract' ? Math.max(0, from - value)
+      : value;
+
+    return {
+      amount: Math.abs(to - from),
+      targetUserId: user._id,
+      preview: {
+        summary: `${adjustmentType} ${value} on ${user.email}'s referral earnings`,
+        target: describeUser(user),
+        details: { adjustmentType, amount: value, generation: body.generation || null, reason: body.reason || null },
+        changes: [{ field: 'totalEarnings', from, to }]
+      }
+    };
+  },
+
+  'franchise.credit.adjust': async ({ params, body }) => {
+    const Franchise = require('../models/Franchise');
+    const value = parseFloat(body.amount);
+    if (!(value > 0) || !['add', 'deduct'].includes(body.type)) return null;
+    if (!mongoose.isValidObjectId(params.franchiseId)) return null;
+
+    const franchise = await Franchise.findById(params.franchiseId);
+    if (!franchise) return null;
+
+    const from = franchise.creditBalance || 0;
+    return {
+      amount: value,
+      targetUserId: franchise.user,
+      preview: {
+        summary: `${body.type === 'add' ? 'Add' : 'Deduct'} ₦${value.toLocaleString()} franchise credit`,
+        target: { franchiseId: franchise._id, userId: franchise.user },
+        details: { type: body.type, amount: value, reason: body.reason || null },
+        changes: [{ field: 'creditBalance', from, to: body.type === 'add' ? from + value : from - value }]
+      }
+    };
+  },
+
+  'withdrawal.pay': async ({ params, body }) => {
+    const Withdrawal = require('../models/Withdrawal');
+    if (!mongoose.isValidObjectId(params.id)) return null;
+
+    const withdrawal = await Withdrawal.findById(params.id);
+    if (!withdrawal || !['pending', 'approved'].includes(withdrawal.status)) return null;
+
+    return {
+      amount: withdrawal.amount,
+      targetUserId: withdrawal.user,
+      preview: {
+        summary: `Mark withdrawal ${withdrawal._id} of ₦${withdrawal.amount.toLocaleString()} as paid`,
+        target: { withdrawalId: withdrawal._id, userId: withdrawal.user },
+        details: {
+          amount: withdrawal.amount,
+          paymentMethod: withdrawal.paymentMethod || withdrawal.withdrawalType,
+          transactionReference: body.transactionReference || null
+        },
+        changes: [{ field: 'status', from: withdrawal.status, to: 'paid' }]
+      }
+    };
+  },
+
+  'withdrawal.batch.release': async ({ params, body }) => {
+    const PayoutBatch = require('../models/PayoutBatch');
+    if (!mongoose.isValidObjectId(params.id)) return null;
+
+    const batch = await PayoutBatch.findById(params.id).select('-items');
+    if (!batch || batch.status !== 'open') return null;
+
+    return {
+      amount: batch.totalAmount,
+      preview: {
+        summary: `Release payout batch ${batch.name}: ${batch.itemCount} withdrawals, ₦${batch.totalAmount.toLocaleString()}`,
+        target: { batchId: batch._id },
+        details: { name: batch.name, itemCount: batch.itemCount, totalAmount: batch.totalAmount, method: body.method || null },
+        changes: [{ field: 'status', from: batch.status, to: 'processing' }]
+      }
+    };
+  }
+};
+
+// ─── Handlers replayed on approval ──────────────────────────────────────────
+// Loaded lazily: the controllers pull in most of the app.
+
+const HANDLERS = {
+  'shares.add': () => [require('../controller/shareController').adminAddShares],
+  'cofounder.add': ({ body }) => {
+    const coFounderController = require('../controller/coFounderController');
+    return [body.userIdentifier
+      ? coFounderController.adminAddCoFounderSharesFlexible
+      : coFounderController.adminAddCoFounderShares];
+  },
+  'referral.earnings.adjust': () => [require('../controller/adminReferralController').adjustUserEarnings],
+  'franchise.credit.adjust': () => [require('../controller/franchiseController').adminAdjustCredit],
+  'withdrawal.pay': () => [
+    require('../middleware/withdrawalGuard').withdrawalAdminGuard,
+    require('../controller/withdrawalController').markWithdrawalAsPaid
+  ],
+  'withdrawal.batch.release': () => [
+    require('../middleware/withdrawalGuard').withdrawalAdminGuard,
+    require('../controller/payoutBatchController').releasePayoutBatch
+  ]
+};
+
+// ─── Thresholds ─────────────────────────────────────────────────────────────
+
+/**
+ * Threshold in force for an action: { threshold, enabled, source }.
+ */
+async function getThreshold(action) {
+  const policy = APPROVAL_POLICIES[action];
+  const override = await ApprovalThreshold.findOne({ action }).lean();
+  if (override) {
+    return { threshold: override.threshold, enabled: override.enabled, source: 'admin' };
+  }
+
+  const fromEnv = parseFloat(process.env[policy.env]);
+  if (Number.isFinite(fromEnv) && fromEnv >= 0) {
+    return { threshold: fromEnv, enabled: true, source: 'env' };
+  }
+  return { threshold: policy.defaultThreshold, enabled: true, source: 'default' };
+}
+
+async function listThresholds() {
+  return Promise.all(APPROVAL_ACTIONS.map(async action => ({
+    action,
+    label: APPROVAL_POLICIES[action].label,
+    permission: APPROVAL_POLICIES[action].permission,
+    defaultThreshold: APPROVAL_POLICIES[action].defaultThreshold,
+    ...(await getThreshold(action))
+  })));
+}
+
+// ─── Requests ───────────────────────────────────────────────────────────────
+
+const audit = (adminId, action, targetUserId, details, meta = {}) =>
+  AdminAuditLog.create({
+    adminId,
+    action,
+    targetUserId: targetUserId || undefined,
+    details,
+    ipAddress: meta.ip,
+    userAgent: meta.userAgent
+  });
+
+/**
+ * Value the request and decide whether it needs a second admin.
+ * Returns { required: false } or { required: true, assessment, threshold }.
+ */
+async function evaluate(action, req) {
+  const { threshold, enabled } = await getThreshold(action);
+  if (!enabled) return { required: false };
+
+  const assessment = await ASSESSORS[action]({
+    body: req.body || {},
+    params: req.params || {},
+    query: req.query || {},
+    user: req.user
+  });
+  if (!assessment || assessment.amount < threshold) return { required: false };
+
+  return { required: true, assessment, threshold };
+}
+
+/**
+ * Store a pending request. Re-sending the same request while it is still
+ * pending returns the existing one rather than queueing a duplicate.
+ */
+async function createRequest(action, req, { assessment, threshold, requestHash }) {
+  const existing = await ApprovalRequest.findOne({
+    requestedBy: req.user._id,
+    action,
+    requestHash,
+    status: 'pending',
+    expiresAt: { $gt: new Date() }
+  });
+  if (existing) return { request: existing, created: false };
+
+  const body = { ...(req.body || {}) };
+  const request = await ApprovalRequest.create({
+    action,
+    method: req.method,
+    path: req.originalUrl,
+    params: { ...req.params },
+    query: { ...req.query },
+    body,
+    requestHash,
+    amount: assessment.amount,
+    threshold,
+    preview: assessment.preview,
+    targetUserId: assessment.targetUserId || null,
+    requestedBy: req.user._id,
+    reason: body.reason || body.note || null,
+    expiresAt: new Date(Date.now() + APPROVAL_TTL_HOURS * 60 * 60 * 1000)
+  });
+
+  await audit(req.user._id, 'APPROVAL_REQUESTED', request.targetUserId, {
+    approvalRequestId: request._id,
+    action,
+    amount: request.amount,
+    threshold,
+    path: request.path,
+    expiresAt: request.expiresAt
+  }, { ip: req.ip, userAgent: req.get('User-Agent') });
+
+  return { request, created: true };
+}
+
+/**
+ * Minimal response object that captures what a handler sends.
+ */
+function captureResponse(onDone) {
+  return {
+    statusCode: 200,
+    headersSent: false,
+    locals: {},
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    set() { return this; },
+    setHeader() { return this; },
+    json(body) {
+      if (!this.headersSent) {
+        this.headersSent = true;
+        onDone({ statusCode: this.statusCode, body: body === undefined ? null : JSON.parse(JSON.stringify(body)) });
+      }
+      return this;
+    },
+    send(body) { return this.json(body); }
+  };
+}
+
+/**
+ * Run the handlers in order, as express would, and resolve with the
+ * captured { statusCode, body }.
+ */
+function replay(handlers, req) {
+  return new Promise((resolve, reject) => {
+    const res = captureResponse(resolve);
+    let index = 0;
+
+    const next = (error) => {
+      if (error) return reject(error);
+      const handler = handlers[index++];
+      const isLast = index === handlers.length;
+      Promise.resolve()
+        .then(() => handler(req, res, next))
+        .then(() => {
+          if (isLast && !res.headersSent) {
+            resolve({ statusCode: 500, body: { success: false, message: 'Handler finished without responding' } });
+          }
+        })
+        .catch(reject);
+    };
+    next();
+  });
+}
+
+async function execute(request, approver, meta) {
+  const policy = APPROVAL_POLICIES[request.action];
+  const maker = await User.findById(request.requestedBy).select('-password');
+
+  if (!maker || maker.isBanned || !hasPermission(maker, policy.permission)) {
+    return {
+      statusCode: 403,
+      body: {
+        success: false,
+        message: `The requesting admin no longer holds the ${policy.permission} permission`
+      }
+    };
+  }
+
+  const headers = { 'user-agent': meta.userAgent };
+  const req = {
+    method: request.method,
+    originalUrl: request.path,
+    url: request.path,
+    path: request.path,
+    params: { ...request.params },
+    query: { ...request.query },
+    body: JSON.parse(JSON.stringify(request.body || {})),
+    user: maker,
+    ip: meta.ip,
+    headers,
+    get: (name) => headers[name.toLowerCase()],
+    header: (name) => headers[name.toLowerCase()],
+    approval: { requestId: request._id, approvedBy: approver._id }
+  };
+
+  try {
+    return await replay(HANDLERS[request.action](request), req);
+  } catch (error) {
+    console.error(`[approvals] ${request.action} failed on replay:`, error);
+    return { statusCode: 500, body: { success: false, message: error.message } };
+  }
+}
+
+async function loadPending(requestId, checker) {
+  if (!mongoose.isValidObjectId(requestId)) {
+    throw new ApprovalError('Approval request not found', 404, 'APPROVAL_NOT_FOUND');
+  }
+  const request = await ApprovalRequest.findById(requestId);
+  if (!request) {
+    throw new ApprovalError('Approval request not found', 404, 'APPROVAL_NOT_FOUND');
+  }
+
+  const permission = APPROVAL_POLICIES[request.action].permission;
+  if (!hasPermission(checker, permission)) {
+    throw new ApprovalError(`Deciding this request requires the ${permission} permission`, 403, 'PERMISSION_DENIED');
+  }
+
+  if (request.isExpired()) {
+    request.status = 'expired';
+    request.decidedAt = new Date();
+    await request.save();
+  }
+  if (request.status !== 'pending') {
+    throw new ApprovalError(
+      `This request is already ${request.status}`,
+      request.status === 'expired' ? 410 : 409,
+      request.status === 'expired' ? 'APPROVAL_EXPIRED' : 'APPROVAL_ALREADY_DECIDED'
+    );
+  }
+  if (request.requestedBy.equals(checker._id)) {
+    throw new ApprovalError('A different admin must approve or reject this request', 403, 'APPROVAL_SELF_DECISION');
+  }
+  return request;
+}
+
+/**
+ * Claim the request for a decision. Guards against two checkers deciding
+ * the same request at once.
+ */
+async function claim(request, checker, status, note) {
+  const now = new Date();
+  const claimed = await ApprovalRequest.findOneAndUpdate(
+    { _id: request._id, status: 'pending', expiresAt: { $gt: now } },
+    { $set: { status, decidedBy: checker._id, decidedAt: now, decisionNote: note || null } },
+    { new: true }
+  );
+  if (!claimed) {
+    throw new ApprovalError('This request was decided or expired in the meantime', 409, 'APPROVAL_ALREADY_DECIDED');
+  }
+  return claimed;
+}
+
+/**
+ * Approve and run a pending request. Returns the updated request; the
+ * handler's response is in request.executionResult.
+ */
+async function approveRequest(requestId, checker, { note, ip, userAgent } = {}) {
+  const pending = await loadPending(requestId, checker);
+  const request = await claim(pending, checker, 'approved', note);
+
+  const result = await execute(request, checker, { ip, userAgent });
+  request.status = result.statusCode < 400 ? 'executed' : 'failed';
+  request.executedAt = new Date();
+  request.executionResult = result;
+  await request.save();
+
+  await audit(checker._id, 'APPROVAL_APPROVED', request.targetUserId, {
+    approvalRequestId: request._id,
+    action: request.action,
+    amount: request.amount,
+    requestedBy: request.requestedBy,
+    note: note || null,
+    outcome: request.status,
+    statusCode: result.statusCode
+  }, { ip, userAgent });
+
+  return request;
+}
+
+async function rejectRequest(requestId, checker, { note, ip, userAgent } = {}) {
+  if (!note || !String(note).trim()) {
+    throw new ApprovalError('A reason is required to reject a request', 400, 'APPROVAL_REASON_REQUIRED');
+  }
+  const pending = await loadPending(requestId, checker);
+  const request = await claim(pending, checker, 'rejected', note);
+
+  await audit(checker._id, 'APPROVAL_REJECTED', request.targetUserId, {
+    approvalRequestId: request._id,
+    action: request.action,
+    amount: request.amount,
+    requestedBy: request.requestedBy,
+    note
+  }, { ip, userAgent });
+
+  return request;
+}
+
+module.exports = {
+  ApprovalError,
+  getThreshold,
+  listThresholds,
+  evaluate,
+  createRequest,
+  approveRequest,
+  rejectRequest
+};
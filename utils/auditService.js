@@ -0,0 +1,386 @@
+// utils/auditService.js
+/**
+ * Unified admin audit trail.
+ *
+ * Every admin mutation ends up as an AuditEvent:
+ *   - recordAuditEvent()            — explicit events with before/after snapshots
+ *   - AdminAuditLog / WithdrawalAuditLog saves are mirrored by model hooks
+ *   - trackAdminMutation()          — requirePermission attaches this to admin
+ *                                     routes; a successful POST/PUT/PATCH/DELETE
+ *                                     that wrote no event gets a generic one
+ *
+ * Actor, IP, user agent and request id come from the request context
+ * (middleware/requestContext.js) when the caller does not pass them.
+ * Audit failures are logged and never fail the action being audited, except
+ * for events written inside the action's own transaction.
+ */
+
+const mongoose = require('mongoose');
+const AuditEvent = require('../models/AuditEvent');
+const { getRequestContext } = require('../middleware/requestContext');
+
+const SENSITIVE_KEYS = new Set([
+  'password', 'newpassword', 'currentpassword', 'confirmpassword', 'oldpassword',
+  'token', 'refreshtoken', 'secret', 'pendingsecret', 'code', 'backupcodes',
+  'pin', 'transactionpin', 'otp', 'authorization'
+]);
+
+const MUTATING_METHODS = new Set(['POST', 'PUT', 'PATCH', 'DELETE']);
+
+/**
+ * Plain JSON copy with secrets masked, so request bodies and snapshots can
+ * be stored safely.
+ */
+function redact(value, depth = 0) {
+  if (value === undefined || value === null) return value;
+  if (depth > 8) return '[truncated]';
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  if (value instanceof Date) return value;
+  if (typeof value.toObject === 'function') value = value.toObject();
+  if (value instanceof Map) value = Object.fromEntries(value);
+  if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+  if (typeof value !== 'object') return value;
+
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    copy[key] = SENSITIVE_KEYS.has(key.toLowerCase()) ? '[redacted]' : redact(item, depth + 1);
+  }
+  return copy;
+}
+
+const toIdString = (value) => (value === undefined || value === null ? null : String(value));
+
+const asObjectId = (value) =>
+  (value && mongoose.isValidObjectId(value) ? value : null);
+
+/**
+ * Record an audit event.
+ *
+ * @param {Object} event
+ * @param {string} event.action        e.g. 'TIER_UPDATED'
+ * @param {string} event.source        subsystem, e.g. 'tiers'
+ * @param {string} [event.entityType]  e.g. 'tier', 'withdrawal', 'user'
+ * @param {*}      [event.entityId]
+ * @param {*}      [event.targetUser]  user affected by the action
+ * @param {*}      [event.before]      snapshot before the change
+ * @param {*}      [event.after]       snapshot after the change
+ * @param {*}      [event.details]
+ * @param {string} [event.reason]
+ * @param {*}      [event.actor]       defaults to the signed-in user
+ * @param {Object} [options.context]   request context to fill in from; defaults
+ *                                     to the current one, null for none
+ * @param {Object} [options.session]   transaction to write the event in; a
+ *                                     failure then throws, aborting the action
+ */
+async function recordAuditEvent(event, { context = getRequestContext(), session = null } = {}) {
+  const req = context?.req;
+  if (context) context.audited = true;
+
+  try {
+    const [created] = await AuditEvent.create([{
+      actor: asObjectId(event.actor ?? req?.user?._id),
+      action: event.action,
+      source: event.source,
+      entityType: event.entityType || null,
+      entityId: toIdString(event.entityId),
+      targetUser: asObjectId(event.targetUser),
+      before: redact(event.before),
+      after: redact(event.after),
+      details: redact(event.details),
+      reason: event.reason || null,
+      ipAddress: event.ipAddress ?? req?.ip,
+      userAgent: event.userAgent ?? req?.get?.('User-Agent'),
+      requestId: event.requestId ?? req?.id,
+      origin: event.origin,
+      createdAt: event.createdAt
+    }], { session });
+    return created;
+  } catch (error) {
+    console.error('[audit] failed to record event:', error.message);
+    if (session) throw error;
+    return null;
+  }
+}
+
+// ─── Legacy collections ─────────────────────────────────────────────────────
+// Mapping shared by the mirroring hooks and the backfill, so both produce the
+// same event for a given record.
+
+function fromAdminAuditLog(log) {
+  const details = log.details || {};
+  let entityType = log.targetType || null;
+  let entityId = log.targetId || null;
+  if (!entityId && details.approvalRequestId) {
+    entityType = 'approval_request';
+    entityId = details.approvalRequestId;
+  }
+  if (!entityId && log.targetUserId) {
+    entityType = 'user';
+    entityId = log.targetUserId;
+  }
+
+  return {
+    actor: log.adminId,
+    action: log.action,
+    source: 'admin',
+    entityType,
+    entityId,
+    targetUser: log.targetUserId,
+    before: details.before,
+    after: details.after,
+    details: log.details,
+    reason: log.reason || details.reason || null,
+    ipAddress: log.ipAddress,
+    userAgent: log.userAgent,
+    createdAt: log.timestamp,
+    origin: { collection: 'adminauditlogs', id: String(log._id) }
+  };
+}
+
+function fromWithdrawalAuditLog(log) {
+  const metadata = log.metadata || {};
+  const hasStatusChange = metadata.from !== undefined && metadata.to !== undefined;
+
+  return {
+    actor: log.performedBy,
+    action: log.action,
+    source: 'withdrawals',
+    entityType: log.targetWithdrawal ? 'withdrawal' : log.targetUser ? 'user' : 'withdrawal_system',
+    entityId: log.targetWithdrawal || log.targetUser || null,
+    targetUser: log.targetUser,
+    before: hasStatusChange ? { status: metadata.from } : metadata.before,
+    after: hasStatusChange ? { status: metadata.to } : metadata.after,
+    details: log.metadata,
+    reason: log.reason,
+    ipAddress: log.ip,
+    createdAt: log.createdAt,
+    origin: { collection: 'withdrawalauditlogs', id: String(log._id) }
+  };
+}
+
+/**
+ * TierConfig keeps the last few price, status and supply changes inline.
+ * One event per entry; `before` is the previous entry where there is one.
+ */
+function fromTierConfig(config) {
+  const events = [];
+  const configId = String(config._id);
+  const tiers = config.tiers instanceof Map ? Object.fromEntries(config.tiers) : (config.tiers || {});
+  const metadataOf = (holder) =>
+    (holder?.metadata instanceof Map ? Object.fromEntries(holder.metadata) : (holder?.metadata || {}));
+
+  for (const [tierKey, tier] of Object.entries(tiers)) {
+    (tier.priceHistory || []).forEach((entry, i, list) => {
+      const previous = list[i - 1];
+      events.push({
+        actor: entry.changedBy,
+        action: 'TIER_PRICE_UPDATED',
+        source: 'tiers',
+        entityType: 'tier',
+        entityId: tierKey,
+        before: previous ? { priceNGN: previous.priceNGN, priceUSD: previous.priceUSD } : undefined,
+        after: { priceNGN: entry.priceNGN, priceUSD: entry.priceUSD },
+        reason: entry.reason,
+        createdAt: entry.changedAt,
+        origin: { collection: 'tierconfigs', id: `${configId}:${tierKey}:price:${new Date(entry.changedAt).getTime()}` }
+      });
+    });
+
+    (metadataOf(tier).statusHistory || []).forEach(entry => {
+      events.push({
+        actor: entry.changedBy,
+        action: 'TIER_STATUS_UPDATED',
+        source: 'tiers',
+        entityType: 'tier',
+        entityId: tierKey,
+        before: { active: entry.previousStatus },
+        after: { active: entry.newStatus },
+        reason: entry.reason,
+        createdAt: entry.changedAt,
+        origin: { collection: 'tierconfigs', id: `${configId}:${tierKey}:status:${new Date(entry.changedAt).getTime()}` }
+      });
+    });
+  }
+
+  (metadataOf(config).supplyHistory || []).forEach(entry => {
+    events.push({
+      actor: entry.changedBy,
+      action: 'TOTAL_SUPPLY_UPDATED',
+      source: 'tiers',
+      entityType: 'tier_config',
+      entityId: configId,
+      before: { totalSupply: entry.oldSupply },
+      after: { totalSupply: entry.newSupply },
+      reason: entry.reason,
+      createdAt: entry.changedAt,
+      origin: { collection: 'tierconfigs', id: `${configId}:supply:${new Date(entry.changedAt).getTime()}` }
+    });
+  });
+
+  return events;
+}
+
+/**
+ * Model hook: copy a freshly saved legacy log into the unified trail.
+ */
+const mirror = (mapper) => function(doc) {
+  return recordAuditEvent(mapper(doc));
+};
+
+// ─── Generic events for admin routes ────────────────────────────────────────
+
+/**
+ * Attach to an admin request: once it finishes successfully, record a
+ * generic event if nothing more specific was written for it.
+ */
+function trackAdminMutation(req, res) {
+  if (!MUTATING_METHODS.has(req.method)) return;
+  const context = getRequestContext();
+  if (!context || context.tracked) return;
+  context.tracked = true;
+
+  res.on('finish', () => {
+    if (context.audited || res.statusCode >= 400) return;
+
+    const params = { ...req.params };
+    const routePath = req.route?.path || req.path;
+    const [entityType] = (req.baseUrl || '').replace(/^\/api\/?/, '').split('/');
+    const entityId = Object.values(params)[0];
+
+    recordAuditEvent({
+      actor: req.user?._id,
+      action: `${req.method} ${req.baseUrl || ''}${routePath}`,
+      source: 'request',
+      entityType: entityType || null,
+      entityId,
+      targetUser: params.userId,
+      details: {
+        params,
+        query: { ...req.query },
+        body: req.body,
+        statusCode: res.statusCode
+      },
+      reason: req.body?.reason,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      requestId: req.id
+    }, { context: null });
+  });
+}
+
+// ─── Querying ───────────────────────────────────────────────────────────────
+
+/**
+ * Mongo filter from query-string filters. `actor` may be a user id or an
+ * email; returns null when the actor does not exist.
+ */
+async function buildFilter({ actor, action, source, entityType, entityId, targetUser, requestId, from, to }) {
+  const filter = {};
+
+  if (actor) {
+    if (mongoose.isValidObjectId(actor)) {
+      filter.actor = actor;
+    } else {
+      const User = require('../models/User');
+      const user = await User.findOne({ email: String(actor).toLowerCase() }).select('_id');
+      if (!user) return null;
+      filter.actor = user._id;
+    }
+  }
+
+  if (action) {
+    const actions = String(action).split(',').map(a => a.trim()).filter(Boolean);
+    filter.action = actions.length > 1 ? { $in: actions } : actions[0];
+  }
+  if (source) filter.source = source;
+  if (entityType) filter.entityType = entityType;
+  if (entityId) filter.entityId = String(entityId);
+  if (targetUser && mongoose.isValidObjectId(targetUser)) filter.targetUser = targetUser;
+  if (requestId) filter.requestId = requestId;
+
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = new Date(from);
+    if (to) filter.createdAt.$lte = new Date(to);
+  }
+
+  return filter;
+}
+
+// ─── Backfill ───────────────────────────────────────────────────────────────
+
+/**
+ * Insert events whose origin is not in the trail yet. Safe to re-run.
+ */
+async function insertMissing(events) {
+  if (!events.length) return 0;
+  const collection = events[0].origin.collection;
+  const existing = new Set(await AuditEvent.find({
+    'origin.collection': collection,
+    'origin.id': { $in: events.map(e => e.origin.id) }
+  }).distinct('origin.id'));
+
+  const fresh = events
+    .filter(e => !existing.has(e.origin.id))
+    .map(e => ({
+      ...e,
+      actor: asObjectId(e.actor),
+      entityId: toIdString(e.entityId),
+      targetUser: asObjectId(e.targetUser),
+      before: redact(e.before),
+      after: redact(e.after),
+      details: redact(e.details)
+    }));
+  if (fresh.length) await AuditEvent.insertMany(fresh, { ordered: false });
+  return fresh.length;
+}
+
+async function backfillCollection(Model, mapper, batchSize) {
+  let inserted = 0;
+  let scanned = 0;
+  let batch = [];
+  for await (const doc of Model.find().lean().cursor()) {
+    batch.push(mapper(doc));
+    scanned++;
+    if (batch.length >= batchSize) {
+      inserted += await insertMissing(batch);
+      batch = [];
+    }
+  }
+  inserted += await insertMissing(batch);
+  return { scanned, inserted };
+}
+
+/**
+ * Copy AdminAuditLog, WithdrawalAuditLog and TierConfig history into the
+ * unified trail. Records already copied are skipped.
+ */
+async function backfillAuditEvents({ batchSize = 500 } = {}) {
+  const AdminAuditLog = require('../models/AdminAuditLog');
+  const WithdrawalAuditLog = require('../models/WithdrawalAuditLog');
+  const TierConfig = require('../models/TierConfig');
+
+  const adminAuditLogs = await backfillCollection(AdminAuditLog, fromAdminAuditLog, batchSize);
+  const withdrawalAuditLogs = await backfillCollection(WithdrawalAuditLog, fromWithdrawalAuditLog, batchSize);
+
+  const tierConfigs = { scanned: 0, inserted: 0 };
+  for await (const config of TierConfig.find().lean().cursor()) {
+    const events = fromTierConfig(config);
+    tierConfigs.scanned += events.length;
+    tierConfigs.inserted += await insertMissing(events);
+  }
+
+  return { adminAuditLogs, withdrawalAuditLogs, tierConfigs };
+}
+
+module.exports = {
+  redact,
+  recordAuditEvent,
+  fromAdminAuditLog,
+  fromWithdrawalAuditLog,
+  fromTierConfig,
+  mirror,
+  trackAdminMutation,
+  buildFilter,
+  backfillAuditEvents
+};
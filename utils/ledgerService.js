@@ -0,0 +1,843 @@
+// utils/ledgerService.js
+/**
+ * Ledger service - the single write path for money movements.
+ *
+ * Balances on Referral (totalEarnings, lockedEarnings, clawbackOutstanding,
+ * pendingWithdrawals, processingWithdrawals, totalWithdrawn) and Franchise.creditBalance are kept
+ * as a cached projection of the ledger. Callers post a journal entry here and
+ * then call syncReferralBalances / syncFranchiseCredit to refresh the cache,
+ * instead of $inc-ing the counters directly.
+ *
+ * Every amount in the ledger is naira. Commissions earned in another currency
+ * are posted at the naira value fixed when they were accrued
+ * (ReferralTransaction.conversion, see utils/referralCurrency.js).
+ */
+
+const mongoose = require('mongoose');
+const LedgerEntry = require('../models/LedgerEntry');
+const Referral = require('../models/Referral');
+const Franchise = require('../models/Franchise');
+const ReferralClawback = require('../models/ReferralClawback');
+const { settlementAmount, getEarningsByCurrency } = require('./referralCurrency');
+
+const SYSTEM_ACCOUNTS = {
+  REFERRAL_COMMISSIONS: 'system:referral_commissions',
+  REFERRAL_BONUSES: 'system:referral_bonuses',
+  OPENING_BALANCES: 'system:opening_balances',
+  REFERRAL_ADJUSTMENTS: 'system:referral_adjustments',
+  FRANCHISE_CREDIT: 'system:franchise_credit'
+};
+
+// Withdrawal buckets, in the order money flows through them
+const WITHDRAWAL_BUCKETS = ['available', 'pending', 'processing', 'withdrawn'];
+
+// Commissions still inside the lock period (SiteConfig.referralLockDays) sit
+// here until they mature into `available`. Not part of totalEarnings.
+const LOCKED_BUCKET = 'locked';
+
+// Reversed commissions the user had already moved out of `available` are
+// owed back here (a negative balance) and recovered from later commissions
+// before they become withdrawable. Not part of totalEarnings.
+const CLAWBACK_BUCKET = 'clawback';
+
+const USER_BUCKETS = [LOCKED_BUCKET, ...WITHDRAWAL_BUCKETS, CLAWBACK_BUCKET];
+
+// Where a withdrawal's money sits for each Withdrawal.status
+const WITHDRAWAL_STATUS_BUCKETS = {
+  pending: 'pending',
+  approved: 'pending',
+  processing: 'processing',
+  paid: 'withdrawn',
+  failed: 'available',
+  rejected: 'available',
+  cancelled: 'available',
+  // Waiting to be sent again, or for an admin to retry or refund it
+  retrying: 'pending',
+  dead_letter: 'pending'
+};
+
+const userAccount = (userId, bucket) => `user:${userId.toString()}:${bucket}`;
+const franchiseAccount = (franchiseId) => `franchise:${franchiseId.toString()}:credit`;
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+// Credit-normal posting for a signed amount
+const signedPosting = (account, amount) => (
+  amount >= 0 ? { account, credit: amount } : { account, debit: -amount }
+);
+
+/**
+ * Post a balanced journal entry. Idempotent on `reference`.
+ * @param {Object} entry - { reference, entryType, description, postings, sourceModel, sourceId, createdBy, metadata, reversalOf }
+ * @param {Object} options - { session }
+ * @returns {Promise<{entry: Object, created: boolean}>}
+ */
+const postEntry = async (entry, options = {}) => {
+  const { session } = options;
+
+  const existing = await LedgerEntry.findOne({ reference: entry.reference }).session(session || null);
+  if (existing) {
+    return { entry: existing, created: false };
+  }
+
+  const doc = new LedgerEntry({
+    ...entry,
+    postings: entry.postings
+      .map(p => ({ account: p.account, debit: round2(p.debit), credit: round2(p.credit) }))
+      .filter(p => p.debit > 0 || p.credit > 0)
+  });
+
+  try {
+    await doc.save({ session });
+    return { entry: doc, created: true };
+  } catch (error) {
+    // Lost a race on the same reference — treat as already posted
+    if (error.code === 11000) {
+      const raced = await LedgerEntry.findOne({ reference: entry.reference }).session(session || null);
+      return { entry: raced, created: false };
+    }
+    throw error;
+  }
+};
+
+/**
+ * Post a reversal of an existing entry (debits and credits swapped)
+ */
+const reverseEntry = async (reference, reversalReference, details = {}, options = {}) => {
+  const original = await LedgerEntry.findOne({ reference }).session(options.session || null);
+  if (!original) {
+    return { entry: null, created: false };
+  }
+
+  return postEntry({
+    reference: reversalReference,
+    entryType: details.entryType || 'adjustment',
+    description: details.description || `Reversal of ${reference}`,
+    postings: original.postings.map(p => ({ account: p.account, debit: p.credit, credit: p.debit })),
+    sourceModel: original.sourceModel,
+    sourceId: original.sourceId,
+    reversalOf: original._id,
+    createdBy: details.createdBy || null,
+    metadata: details.metadata
+  }, options);
+};
+
+/**
+ * Seed a user's ledger from their current Referral counters the first time
+ * the user is touched by the ledger, so existing balances carry over.
+ */
+const ensureUserOpeningBalance = async (userId, options = {}) => {
+  const { session } = options;
+  const reference = `opening:user:${userId.toString()}`;
+
+  const alreadyOpened = await LedgerEntry.exists({ reference }).session(session || null);
+  if (alreadyOpened) return null;
+
+  const hasEntries = await LedgerEntry.exists({
+    accounts: { $in: USER_BUCKETS.map(b => userAccount(userId, b)) }
+  }).session(session || null);
+  if (hasEntries) return null;
+
+  const referral = await Referral.findOne({ user: userId }).session(session || null);
+  const pending = round2(referral?.pendingWithdrawals);
+  const processing = round2(referral?.processingWithdrawals);
+  const withdrawn = round2(referral?.totalWithdrawn);
+  const available = round2((referral?.totalEarnings || 0) - pending - processing - withdrawn);
+  const total = round2(available + pending + processing + withdrawn);
+
+  if (!referral || (!available && !pending && !processing && !withdrawn)) return null;
+
+  // Counters may already be inconsistent (e.g. a user who withdrew more than
+  // they earned), so any bucket can open negative; the opening account absorbs it
+  const postings = [
+    signedPosting(SYSTEM_ACCOUNTS.OPENING_BALANCES, -total),
+    signedPosting(userAccount(userId, 'available'), available),
+    signedPosting(userAccount(userId, 'pending'), pending),
+    signedPosting(userAccount(userId, 'processing'), processing),
+    signedPosting(userAccount(userId, 'withdrawn'), withdrawn)
+  ];
+
+  const { entry } = await postEntry({
+    reference,
+    entryType: 'opening_balance',
+    description: 'Opening balance migrated from Referral counters',
+    postings,
+    sourceModel: 'Referral',
+    sourceId: referral._id.toString()
+  }, options);
+
+  return entry;
+};
+
+/**
+ * Compute a user's wallet balances from postings
+ * @returns {Promise<Object>} { totalEarnings, lockedEarnings, clawbackOutstanding, availableBalance, pendingWithdrawals, processingWithdrawals, totalWithdrawn }
+ */
+const getUserBalances = async (userId, options = {}) => {
+  const accounts = USER_BUCKETS.map(b => userAccount(userId, b));
+  const balances = await LedgerEntry.getBalances(accounts, options);
+
+  const lockedEarnings = balances[userAccount(userId, LOCKED_BUCKET)];
+  const availableBalance = balances[userAccount(userId, 'available')];
+  const pendingWithdrawals = balances[userAccount(userId, 'pending')];
+  const processingWithdrawals = balances[userAccount(userId, 'processing')];
+  const totalWithdrawn = balances[userAccount(userId, 'withdrawn')];
+  const clawbackOutstanding = round2(Math.max(0, -balances[userAccount(userId, CLAWBACK_BUCKET)]));
+
+  return {
+    totalEarnings: round2(availableBalance + pendingWithdrawals + processingWithdrawals + totalWithdrawn),
+    lockedEarnings,
+    clawbackOutstanding,
+    availableBalance,
+    pendingWithdrawals,
+    processingWithdrawals,
+    totalWithdrawn
+  };
+};
+
+/**
+ * Rewrite the cached Referral counters from the ledger, and the
+ * per-currency earnings from the commissions behind them
+ */
+const syncReferralBalances = async (userId, options = {}) => {
+  const balances = await getUserBalances(userId, options);
+  const earningsByCurrency = await getEarningsByCurrency(userId, options);
+
+  await Referral.findOneAndUpdate(
+    { user: userId },
+    {
+      $set: {
+        totalEarnings: balances.totalEarnings,
+        lockedEarnings: balances.lockedEarnings,
+        clawbackOutstanding: balances.clawbackOutstanding,
+        pendingWithdrawals: balances.pendingWithdrawals,
+        processingWithdrawals: balances.processingWithdrawals,
+        totalWithdrawn: balances.totalWithdrawn,
+        earningsByCurrency
+      }
+    },
+    { upsert: true, new: true, session: options.session }
+  );
+
+  return balances;
+};
+
+// Bucket a new commission is credited to
+const commissionBucket = (referralTx) =>
+  (referralTx.maturityStatus === 'pending' ? LOCKED_BUCKET : 'available');
+
+/**
+ * Postings that pay `amount` into a user's available balance, settling any
+ * outstanding clawback first
+ * @returns {Promise<{postings: Object[], recovered: number}>}
+ */
+const creditAvailable = async (userId, amount, options = {}) => {
+  const clawbackAccount = userAccount(userId, CLAWBACK_BUCKET);
+  const balances = await LedgerEntry.getBalances(clawbackAccount, options);
+  const recovered = round2(Math.min(amount, Math.max(0, -balances[clawbackAccount])));
+
+  return {
+    recovered,
+    postings: [
+      { account: clawbackAccount, credit: recovered },
+      { account: userAccount(userId, 'available'), credit: round2(amount - recovered) }
+    ]
+  };
+};
+
+/**
+ * Postings that take `amount` back out of a user's available balance; what is
+ * no longer there is owed to `clawback`
+ * @returns {Promise<{postings: Object[], clawback: number}>}
+ */
+const debitAvailable = async (userId, amount, options = {}) => {
+  const availableAccount = userAccount(userId, 'available');
+  const balances = await LedgerEntry.getBalances(availableAccount, options);
+  const fromAvailable = round2(Math.min(amount, Math.max(0, balances[availableAccount])));
+  const clawback = round2(amount - fromAvailable);
+
+  return {
+    clawback,
+    postings: [
+      { account: availableAccount, debit: fromAvailable },
+      { account: userAccount(userId, CLAWBACK_BUCKET), debit: clawback }
+    ]
+  };
+};
+
+// Record what a commission reversal or cut could not take back
+const recordClawback = (referralTx, ledgerReference, amount, reason, options = {}) =>
+  ReferralClawback.create([{
+    user: referralTx.beneficiary,
+    referralTransaction: referralTx._id,
+    sourceTransaction: referralTx.sourceTransaction ? referralTx.sourceTransaction.toString() : undefined,
+    ledgerReference,
+    amount,
+    outstandingAmount: amount,
+    reason
+  }], { session: options.session });
+
+/**
+ * Mark `amount` of a user's outstanding clawbacks as recovered, oldest first
+ */
+const applyClawbackRecovery = async (userId, amount, details = {}, options = {}) => {
+  let remaining = round2(amount);
+  const outstanding = await ReferralClawback.find({ user: userId, status: 'outstanding' })
+    .sort({ createdAt: 1, _id: 1 })
+    .session(options.session || null);
+
+  for (const clawback of outstanding) {
+    if (remaining <= 0) break;
+    const recovered = round2(Math.min(remaining, clawback.outstandingAmount));
+
+    clawback.recoveredAmount = round2(clawback.recoveredAmount + recovered);
+    clawback.outstandingAmount = round2(clawback.outstandingAmount - recovered);
+    clawback.recoveries.push({
+      amount: recovered,
+      referralTransaction: details.referralTransaction || null,
+      ledgerReference: details.ledgerReference
+    });
+    if (clawback.outstandingAmount <= 0) {
+      clawback.status = 'recovered';
+      clawback.recoveredAt = new Date();
+    }
+    await clawback.save({ session: options.session });
+    remaining = round2(remaining - recovered);
+  }
+};
+
+// Post a commission credit and record any clawback it paid off
+const postCommissionCredit = async (referralTx, entry, recovered, options = {}) => {
+  const result = await postEntry({
+    ...entry,
+    metadata: { ...entry.metadata, clawbackRecovered: recovered || undefined }
+  }, options);
+
+  if (result.created && recovered > 0) {
+    await applyClawbackRecovery(referralTx.beneficiary, recovered, {
+      referralTransaction: referralTx._id,
+      ledgerReference: entry.reference
+    }, options);
+  }
+  return result;
+};
+
+/**
+ * Credit a referral commission's naira value to the beneficiary: to `locked`
+ * while it is inside the lock period, otherwise to `available` after
+ * settling any outstanding clawback
+ * @param {Object} referralTx - ReferralTransaction document
+ */
+const recordCommission = async (referralTx, options = {}) => {
+  await ensureUserOpeningBalance(referralTx.beneficiary, options);
+
+  const amount = settlementAmount(referralTx);
+  const bucket = commissionBucket(referralTx);
+  const { postings, recovered } = bucket === LOCKED_BUCKET
+    ? { postings: [{ account: userAccount(referralTx.beneficiary, LOCKED_BUCKET), credit: amount }], recovered: 0 }
+    : await creditAvailable(referralTx.beneficiary, amount, options);
+
+  return postCommissionCredit(referralTx, {
+    reference: `commission:${referralTx._id.toString()}`,
+    entryType: 'referral_commission',
+    description: `Gen ${referralTx.generation} ${referralTx.purchaseType || 'share'} commission`,
+    postings: [
+      { account: SYSTEM_ACCOUNTS.REFERRAL_COMMISSIONS, debit: amount },
+      ...postings
+    ],
+    sourceModel: 'ReferralTransaction',
+    sourceId: referralTx._id.toString(),
+    metadata: {
+      generation: referralTx.generation,
+      currency: referralTx.currency,
+      currencyAmount: referralTx.amount,
+      exchangeRate: referralTx.conversion?.rate,
+      sourceTransaction: referralTx.sourceTransaction,
+      maturesAt: referralTx.maturesAt || undefined
+    }
+  }, recovered, options);
+};
+
+/**
+ * Credit a one-off referral bonus (e.g. a rank milestone) to the user's
+ * `available` balance, settling any outstanding clawback first
+ * @param {Object} details - { reference, description, sourceModel, sourceId, createdBy, metadata }
+ */
+const recordReferralBonus = async (userId, amount, details = {}, options = {}) => {
+  await ensureUserOpeningBalance(userId, options);
+  const { postings, recovered } = await creditAvailable(userId, amount, options);
+
+  const result = await postEntry({
+    reference: details.reference,
+    entryType: 'referral_bonus',
+    description: details.description || 'Referral bonus',
+    postings: [
+      { account: SYSTEM_ACCOUNTS.REFERRAL_BONUSES, debit: amount },
+      ...postings
+    ],
+    sourceModel: details.sourceModel,
+    sourceId: details.sourceId,
+    createdBy: details.createdBy || null,
+    metadata: { ...details.metadata, clawbackRecovered: recovered || undefined }
+  }, options);
+
+  if (result.created && recovered > 0) {
+    await applyClawbackRecovery(userId, recovered, { ledgerReference: details.reference }, options);
+  }
+  return result;
+};
+
+/**
+ * Move a commission that has served its lock period from `locked` to
+ * `available`, settling any outstanding clawback first
+ */
+const releaseCommission = async (referralTx, options = {}) => {
+  const reference = `commission:${referralTx._id.toString()}`;
+  const original = await LedgerEntry.findOne({ reference }).session(options.session || null);
+  const lockedAccount = userAccount(referralTx.beneficiary, LOCKED_BUCKET);
+  if (!original || !original.postings.some(p => p.account === lockedAccount && p.credit > 0)) {
+    return { entry: null, created: false };
+  }
+  if (await LedgerEntry.exists({ reference: `${reference}:matured` }).session(options.session || null)) {
+    return { entry: null, created: false };
+  }
+
+  const amount = settlementAmount(referralTx);
+  const { postings, recovered } = await creditAvailable(referralTx.beneficiary, amount, options);
+  return postCommissionCredit(referralTx, {
+    reference: `${reference}:matured`,
+    entryType: 'referral_commission_matured',
+    description: `Gen ${referralTx.generation} commission matured`,
+    postings: [{ account: lockedAccount, debit: amount }, ...postings],
+    sourceModel: 'ReferralTransaction',
+    sourceId: referralTx._id.toString()
+  }, recovered, options);
+};
+
+// Whether a commission was credited to `locked` and has not matured yet
+const isStillLocked = async (referralTx, options = {}) => {
+  const reference = `commission:${referralTx._id.toString()}`;
+  const lockedAccount = userAccount(referralTx.beneficiary, LOCKED_BUCKET);
+  const original = await LedgerEntry.findOne({ reference }).session(options.session || null);
+  if (!original || !original.postings.some(p => p.account === lockedAccount && p.credit > 0)) return false;
+  return !(await LedgerEntry.exists({ reference: `${reference}:matured` }).session(options.session || null));
+};
+
+/**
+ * Reverse a previously credited commission (rollback / revocation).
+ * A commission still locked is simply taken back. Otherwise it is taken from
+ * `available`, and whatever the user has already withdrawn or requested is
+ * recorded as a clawback to recover from later commissions.
+ * @returns {Promise<{entry: Object, created: boolean, clawback: number}>}
+ */
+const reverseCommission = async (referralTx, details = {}, options = {}) => {
+  const { session } = options;
+  await ensureUserOpeningBalance(referralTx.beneficiary, options);
+
+  const reference = `commission:${referralTx._id.toString()}`;
+  const reversalReference = `${reference}:reversal`;
+  const description = details.reason || `Rollback of gen ${referralTx.generation} commission`;
+
+  if (await isStillLocked(referralTx, options)) {
+    const reversed = await reverseEntry(reference, reversalReference, {
+      entryType: 'referral_commission_reversal',
+      description,
+      createdBy: details.createdBy
+    }, options);
+    // Older commissions were posted at face value and topped up to their
+    // naira value later; that top-up goes too
+    await reverseEntry(`${reference}:conversion`, `${reference}:conversion:reversal`, {
+      entryType: 'referral_commission_reversal',
+      description,
+      createdBy: details.createdBy
+    }, options);
+    // So do admin edits of its amount, which were posted to `locked` too
+    const adjustments = await LedgerEntry.find({
+      reference: { $regex: `^${reference}:adjustment:` },
+      reversalOf: null
+    }).session(session || null);
+    for (const adjustment of adjustments) {
+      await reverseEntry(adjustment.reference, `${adjustment.reference}:reversal`, {
+        entryType: 'referral_commission_reversal',
+        description,
+        createdBy: details.createdBy
+      }, options);
+    }
+    return { ...reversed, clawback: 0 };
+  }
+
+  const existing = await LedgerEntry.findOne({ reference: reversalReference }).session(session || null);
+  if (existing) return { entry: existing, created: false, clawback: 0 };
+
+  // Commissions created before the ledger existed live in the opening balance,
+  // so they are taken back from `available` the same way
+  const amount = settlementAmount(referralTx);
+  const { postings, clawback } = await debitAvailable(referralTx.beneficiary, amount, options);
+
+  const result = await postEntry({
+    reference: reversalReference,
+    entryType: 'referral_commission_reversal',
+    description,
+    postings: [
+      ...postings,
+      { account: SYSTEM_ACCOUNTS.REFERRAL_COMMISSIONS, credit: amount }
+    ],
+    sourceModel: 'ReferralTransaction',
+    sourceId: referralTx._id.toString(),
+    createdBy: details.createdBy || null,
+    metadata: { clawback: clawback || undefined }
+  }, options);
+
+  if (result.created && clawback > 0) {
+    await recordClawback(referralTx, reversalReference, clawback, description, options);
+  }
+
+  return { ...result, clawback: result.created ? clawback : 0 };
+};
+
+/**
+ * Post an admin edit of a commission's amount: the difference between
+ * `previousAmount` (the naira value it was credited at) and its
+ * settlementAmount now, in whichever bucket it sits. A cut to a commission
+ * the user has already moved out of `available` is recorded as a clawback.
+ * @param {Object} details - { key, reason, createdBy }; key is unique to the edit (approval / idempotency key)
+ * @returns {Promise<{entry: Object, created: boolean, clawback: number}>}
+ */
+const adjustCommission = async (referralTx, previousAmount, details = {}, options = {}) => {
+  const difference = round2(settlementAmount(referralTx) - previousAmount);
+  if (!difference) return { entry: null, created: false, clawback: 0 };
+
+  const reference = `commission:${referralTx._id.toString()}:adjustment:${details.key}`;
+  const existing = await LedgerEntry.findOne({ reference }).session(options.session || null);
+  if (existing) return { entry: existing, created: false, clawback: 0 };
+
+  await ensureUserOpeningBalance(referralTx.beneficiary, options);
+  const description = details.reason || `Gen ${referralTx.generation} commission adjusted`;
+
+  let postings;
+  let recovered = 0;
+  let clawback = 0;
+  if (await isStillLocked(referralTx, options)) {
+    postings = [signedPosting(userAccount(referralTx.beneficiary, LOCKED_BUCKET), difference)];
+  } else if (difference > 0) {
+    ({ postings, recovered } = await creditAvailable(referralTx.beneficiary, difference, options));
+  } else {
+    ({ postings, clawback } = await debitAvailable(referralTx.beneficiary, -difference, options));
+  }
+
+  const result = await postCommissionCredit(referralTx, {
+    reference,
+    entryType: 'adjustment',
+    description,
+    postings: [signedPosting(SYSTEM_ACCOUNTS.REFERRAL_COMMISSIONS, -difference), ...postings],
+    sourceModel: 'ReferralTransaction',
+    sourceId: referralTx._id.toString(),
+    createdBy: details.createdBy || null,
+    metadata: { previousAmount, clawback: clawback || undefined }
+  }, recovered, options);
+
+  if (result.created && clawback > 0) {
+    await recordClawback(referralTx, reference, clawback, description, options);
+  }
+  return { ...result, clawback: result.created ? clawback : 0 };
+};
+
+/**
+ * Post an admin adjustment of a user's referral earnings. `amount` is signed:
+ * a credit goes to `available` after settling any outstanding clawback, a
+ * debit takes no more than is available.
+ * @param {Object} details - { reference, description, createdBy, metadata }
+ * @returns {Promise<{entry: Object, created: boolean, amount: number}>} amount actually posted
+ */
+const recordEarningsAdjustment = async (userId, amount, details = {}, options = {}) => {
+  const existing = await LedgerEntry.findOne({ reference: details.reference }).session(options.session || null);
+  if (existing) return { entry: existing, created: false, amount: existing.metadata?.amount || 0 };
+
+  await ensureUserOpeningBalance(userId, options);
+  const availableAccount = userAccount(userId, 'available');
+  let posted = round2(amount);
+  if (posted < 0) {
+    const balances = await LedgerEntry.getBalances(availableAccount, options);
+    posted = -round2(Math.min(-posted, Math.max(0, balances[availableAccount])));
+  }
+  if (!posted) return { entry: null, created: false, amount: 0 };
+
+  const { postings, recovered } = posted > 0
+    ? await creditAvailable(userId, posted, options)
+    : { postings: [{ account: availableAccount, debit: -posted }], recovered: 0 };
+
+  const result = await postEntry({
+    reference: details.reference,
+    entryType: 'adjustment',
+    description: details.description || 'Referral earnings adjustment',
+    postings: [signedPosting(SYSTEM_ACCOUNTS.REFERRAL_ADJUSTMENTS, -posted), ...postings],
+    sourceModel: 'User',
+    sourceId: userId.toString(),
+    createdBy: details.createdBy || null,
+    metadata: { ...details.metadata, amount: posted, clawbackRecovered: recovered || undefined }
+  }, options);
+
+  if (result.created && recovered > 0) {
+    await applyClawbackRecovery(userId, recovered, { ledgerReference: details.reference }, options);
+  }
+  return { ...result, amount: posted };
+};
+
+/**
+ * Top up a commission that was credited at face value, before commissions
+ * were converted, to the naira value now set on it (referralTx.conversion),
+ * in whichever bucket it sits
+ */
+const recordCommissionConversion = async (referralTx, options = {}) => {
+  const difference = round2(settlementAmount(referralTx) - referralTx.amount);
+  if (!difference) return { entry: null, created: false };
+
+  await ensureUserOpeningBalance(referralTx.beneficiary, options);
+  const bucket = await isStillLocked(referralTx, options) ? LOCKED_BUCKET : 'available';
+
+  return postEntry({
+    reference: `commission:${referralTx._id.toString()}:conversion`,
+    entryType: 'adjustment',
+    description: `Gen ${referralTx.generation} commission of ${referralTx.amount} ${referralTx.currency} converted at ${referralTx.conversion.rate}`,
+    postings: [
+      signedPosting(SYSTEM_ACCOUNTS.REFERRAL_COMMISSIONS, -difference),
+      signedPosting(userAccount(referralTx.beneficiary, bucket), difference)
+    ],
+    sourceModel: 'ReferralTransaction',
+    sourceId: referralTx._id.toString(),
+    metadata: {
+      currency: referralTx.currency,
+      currencyAmount: referralTx.amount,
+      exchangeRate: referralTx.conversion.rate
+    }
+  }, options);
+};
+
+/**
+ * Move a withdrawal's amount between buckets.
+ * Typical flows:
+ *   available -> pending       (request)
+ *   pending   -> processing    (sent to provider)
+ *   pending|processing -> withdrawn (paid)
+ *   pending|processing -> available (rejected / failed)
+ *   processing -> pending    (back to the payout queue)
+ * @param {Object} withdrawal - Withdrawal document
+ * @param {string} from - Source bucket
+ * @param {string} to - Destination bucket
+ */
+const recordWithdrawalTransition = async (withdrawal, from, to, details = {}, options = {}) => {
+  if (!WITHDRAWAL_BUCKETS.includes(from) || !WITHDRAWAL_BUCKETS.includes(to) || from === to) {
+    throw new Error(`Invalid withdrawal transition ${from} -> ${to}`);
+  }
+
+  await ensureUserOpeningBalance(withdrawal.user, options);
+
+  // A withdrawal that goes back to the queue and is sent again repeats a
+  // leg; number the repeat by how many entries it already has so it posts
+  // (and a duplicate of that same repeat still dedupes)
+  const session = options.session || null;
+  let reference = `withdrawal:${withdrawal._id.toString()}:${from}->${to}`;
+  if (await LedgerEntry.exists({ reference }).session(session)) {
+    const posted = await LedgerEntry.countDocuments({ sourceModel: 'Withdrawal', sourceId: withdrawal._id.toString() }).session(session);
+    reference = `${reference}:${posted}`;
+  }
+
+  return postEntry({
+    reference,
+    entryType: 'withdrawal_transition',
+    description: details.description || `Withdrawal ${withdrawal.clientReference || withdrawal._id} ${from} -> ${to}`,
+    postings: [
+      { account: userAccount(withdrawal.user, from), debit: withdrawal.amount },
+      { account: userAccount(withdrawal.user, to), credit: withdrawal.amount }
+    ],
+    sourceModel: 'Withdrawal',
+    sourceId: withdrawal._id.toString(),
+    createdBy: details.createdBy || null,
+    metadata: { status: withdrawal.status, withdrawalType: withdrawal.withdrawalType }
+  }, options);
+};
+
+/**
+ * Find which bucket a withdrawal's money currently sits in, from its postings
+ */
+const getWithdrawalBucket = async (withdrawal, options = {}) => {
+  const entries = await LedgerEntry.find({
+    sourceModel: 'Withdrawal',
+    sourceId: withdrawal._id.toString()
+  }).sort({ createdAt: 1, _id: 1 }).session(options.session || null);
+
+  if (entries.length === 0) return null;
+
+  const last = entries[entries.length - 1];
+  const credited = last.postings.find(p => p.credit > 0);
+  return credited ? credited.account.split(':').pop() : null;
+};
+
+/**
+ * Move a withdrawal to a bucket from wherever it currently is.
+ * Withdrawals created before the ledger existed are assumed to sit in
+ * `fallbackFrom`, which the caller derives from the withdrawal status.
+ */
+const moveWithdrawalTo = async (withdrawal, to, fallbackFrom, details = {}, options = {}) => {
+  const from = (await getWithdrawalBucket(withdrawal, options)) || fallbackFrom;
+  if (from === to) return { entry: null, created: false };
+  return recordWithdrawalTransition(withdrawal, from, to, details, options);
+};
+
+/**
+ * Move a withdrawal between buckets and refresh the owner's Referral counters.
+ * This is what controllers and cron jobs call on every withdrawal status change.
+ * @param {Object} withdrawal - Withdrawal document
+ * @param {string} to - Destination bucket
+ * @param {string} fallbackFrom - Bucket assumed for pre-ledger withdrawals
+ */
+const transitionWithdrawalFunds = async (withdrawal, to, fallbackFrom, details = {}, options = {}) => {
+  await moveWithdrawalTo(withdrawal, to, fallbackFrom, details, options);
+  return syncReferralBalances(withdrawal.user, options);
+};
+
+/**
+ * Seed a franchise's ledger from its current creditBalance
+ */
+const ensureFranchiseOpeningBalance = async (franchise, options = {}) => {
+  const account = franchiseAccount(franchise._id);
+  const hasEntries = await LedgerEntry.exists({ accounts: account }).session(options.session || null);
+  if (hasEntries || !(franchise.creditBalance > 0)) return null;
+
+  const { entry } = await postEntry({
+    reference: `opening:franchise:${franchise._id.toString()}`,
+    entryType: 'opening_balance',
+    description: 'Opening balance migrated from Franchise.creditBalance',
+    postings: [
+      { account: SYSTEM_ACCOUNTS.OPENING_BALANCES, debit: franchise.creditBalance },
+      { account, credit: franchise.creditBalance }
+    ],
+    sourceModel: 'Franchise',
+    sourceId: franchise._id.toString()
+  }, options);
+
+  return entry;
+};
+
+/**
+ * Add (positive amount) or remove (negative amount) franchise credit.
+ * Call ensureFranchiseOpeningBalance BEFORE mutating creditBalance.
+ */
+const recordFranchiseCredit = async (franchiseId, amount, details = {}, options = {}) => {
+  const value = round2(Math.abs(amount));
+  const account = franchiseAccount(franchiseId);
+  if (value === 0) return null;
+
+  return postEntry({
+    reference: details.reference,
+    entryType: 'franchise_credit',
+    description: details.description,
+    postings: amount >= 0
+      ? [
+        { account: SYSTEM_ACCOUNTS.FRANCHISE_CREDIT, debit: value },
+        { account, credit: value }
+      ]
+      : [
+        { account, debit: value },
+        { account: SYSTEM_ACCOUNTS.FRANCHISE_CREDIT, credit: value }
+      ],
+    sourceModel: details.sourceModel || 'Franchise',
+    sourceId: details.sourceId || franchiseId.toString(),
+    createdBy: details.createdBy || null,
+    metadata: details.metadata
+  }, options);
+};
+
+/**
+ * Franchise credit balance computed from postings
+ */
+const getFranchiseCredit = async (franchiseId, options = {}) => {
+  const account = franchiseAccount(franchiseId);
+  const balances = await LedgerEntry.getBalances(account, options);
+  return balances[account];
+};
+
+/**
+ * Rewrite the cached Franchise.creditBalance from the ledger
+ */
+const syncFranchiseCredit = async (franchiseId, options = {}) => {
+  const creditBalance = Math.max(0, await getFranchiseCredit(franchiseId, options));
+
+  await Franchise.findByIdAndUpdate(franchiseId, { $set: { creditBalance } }, { session: options.session });
+  return creditBalance;
+};
+
+/**
+ * Ledger history for a user, newest first
+ */
+const getUserStatement = async (userId, { page = 1, limit = 50 } = {}) => {
+  const accounts = USER_BUCKETS.map(b => userAccount(userId, b));
+  const query = { accounts: { $in: accounts } };
+
+  const [entries, total] = await Promise.all([
+    LedgerEntry.find(query)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    LedgerEntry.countDocuments(query)
+  ]);
+
+  return {
+    entries: entries.map(e => ({
+      ...e,
+      postings: e.postings.filter(p => accounts.includes(p.account))
+    })),
+    total
+  };
+};
+
+/**
+ * Run a ledger write inside a transaction when the caller has none
+ */
+const withLedgerSession = async (fn, existingSession = null) => {
+  if (existingSession) return fn(existingSession);
+
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await fn(session);
+    });
+    return result;
+  } finally {
+    session.endSession();
+  }
+};
+
+module.exports = {
+  SYSTEM_ACCOUNTS,
+  WITHDRAWAL_BUCKETS,
+  WITHDRAWAL_STATUS_BUCKETS,
+  LOCKED_BUCKET,
+  CLAWBACK_BUCKET,
+  userAccount,
+  franchiseAccount,
+  postEntry,
+  reverseEntry,
+  ensureUserOpeningBalance,
+  ensureFranchiseOpeningBalance,
+  getUserBalances,
+  syncReferralBalances,
+  recordCommission,
+  recordReferralBonus,
+  releaseCommission,
+  reverseCommission,
+  adjustCommission,
+  recordEarningsAdjustment,
+  recordCommissionConversion,
+  recordWithdrawalTransition,
+  getWithdrawalBucket,
+  moveWithdrawalTo,
+  transitionWithdrawalFunds,
+  recordFranchiseCredit,
+  getFranchiseCredit,
+  syncFranchiseCredit,
+  getUserStatement,
+  withLedgerSession
+};
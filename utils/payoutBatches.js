@@ -0,0 +1,457 @@
+// utils/payoutBatches.js
+/**
+ * Payout batches: approved bank withdrawals paid out together.
+ *
+ *   create    - reserve approved withdrawals (picked, or oldest first under
+ *               a count/amount cap) into an open batch
+ *   release   - 'file': move them to processing and export a bank
+ *               bulk-transfer file (CSV or XLSX) for upload to the bank;
+ *               'provider': send each one through the payout provider
+ *   reconcile - apply the bank's result file, row by row, by reference
+ *   cancel    - give an open batch's withdrawals back to the queue
+ *
+ * Results go through applyTransferStatus() (utils/withdrawalSettlement.js),
+ * so a paid item is withdrawn exactly once however its result arrives, and a
+ * failed item's withdrawal goes back to the approved queue for a later batch.
+ * Each batch a withdrawal goes out in gets its own transfer reference
+ * (<clientReference>-R<n> after the first), used in the bank file, the
+ * provider call and reconciliation.
+ */
+
+const XLSX = require('xlsx');
+const mongoose = require('mongoose');
+const PayoutBatch = require('../models/PayoutBatch');
+const Withdrawal = require('../models/Withdrawal');
+const payoutProviders = require('../services/payoutProviders');
+const { PayoutProviderError } = payoutProviders;
+const { withLedgerSession, transitionWithdrawalFunds } = require('./ledgerService');
+const { applyTransferStatus, notifyWithdrawalOutcome } = require('./withdrawalSettlement');
+
+const MAX_BATCH_ITEMS = parseInt(process.env.PAYOUT_BATCH_MAX_ITEMS, 10) || 500;
+const RELEASE_METHODS = ['file', 'provider'];
+const FILE_FORMATS = ['csv', 'xlsx'];
+const NARRATION = 'Afrimobile Earnings Withdrawal';
+
+// Result file columns, matched on lower-case letters and digits only
+const RESULT_COLUMNS = {
+  reference: ['reference', 'ref', 'clientreference', 'paymentreference', 'customerreference'],
+  status: ['status', 'result', 'transferstatus', 'paymentstatus'],
+  reason: ['reason', 'failurereason', 'remarks', 'comment', 'message', 'responsemessage'],
+  bankReference: ['bankreference', 'sessionid', 'nipsessionid', 'transactionid', 'providerreference']
+};
+
+// Result file status values
+const PAID_RESULTS = ['paid', 'success', 'successful', 'completed', 'complete', 'processed'];
+const FAILED_RESULTS = ['failed', 'failure', 'unsuccessful', 'declined', 'rejected', 'reversed', 'returned', 'error'];
+
+class PayoutBatchError extends Error {
+  constructor(message, statusCode = 400, errors = []) {
+    super(message);
+    this.name = 'PayoutBatchError';
+    this.statusCode = statusCode;
+    this.errors = errors;
+  }
+}
+
+const toKey = (value) => String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Approved bank withdrawals waiting for a batch, oldest approval first
+ */
+const queuedWithdrawalsFilter = () => ({
+  status: 'approved',
+  withdrawalType: 'bank',
+  payoutBatch: null,
+  'paymentDetails.accountNumber': { $nin: [null, ''] }
+});
+
+const getQueue = async () => {
+  const [summary] = await Withdrawal.aggregate([
+    { $match: queuedWithdrawalsFilter() },
+    { $group: { _id: null, count: { $sum: 1 }, totalAmount: { $sum: '$amount' } } }
+  ]);
+  return { count: summary?.count || 0, totalAmount: summary?.totalAmount || 0 };
+};
+
+const loadBatch = async (batchId, session = null) => {
+  if (!mongoose.isValidObjectId(batchId)) throw new PayoutBatchError('Payout batch not found', 404);
+  const batch = await PayoutBatch.findById(batchId).session(session);
+  if (!batch) throw new PayoutBatchError('Payout batch not found', 404);
+  return batch;
+};
+
+const positiveNumber = (value) => value === undefined || value === null || value === ''
+  ? null
+  : Number(value);
+
+/**
+ * Reserve approved withdrawals into a new open batch
+ * @param {Object} input - { name, withdrawalIds, maxItems, maxAmount, notes }
+ * @param {Object} options - { adminId }
+ */
+async function createBatch(input = {}, { adminId }) {
+  const { name, withdrawalIds, notes } = input;
+  const maxItems = positiveNumber(input.maxItems);
+  const maxAmount = positiveNumber(input.maxAmount);
+
+  const errors = [];
+  if (typeof name !== 'string' || !name.trim()) errors.push('name is required');
+  if (withdrawalIds !== undefined && (!Array.isArray(withdrawalIds) || !withdrawalIds.length || !withdrawalIds.every(id => mongoose.isValidObjectId(id)))) {
+    errors.push('withdrawalIds must be a non-empty list of withdrawal ids');
+  }
+  if (maxItems !== null && !(Number.isInteger(maxItems) && maxItems > 0)) errors.push('maxItems must be a positive whole number');
+  if (maxAmount !== null && !(maxAmount > 0)) errors.push('maxAmount must be a positive amount');
+  if (errors.length) throw new PayoutBatchError('Invalid payout batch', 400, errors);
+
+  const filter = queuedWithdrawalsFilter();
+  if (withdrawalIds) {
+    filter._id = { $in: withdrawalIds };
+    const eligible = await Withdrawal.find(filter).select('_id').lean();
+    const found = new Set(eligible.map(w => w._id.toString()));
+    const ineligible = withdrawalIds.filter(id => !found.has(String(id)));
+    if (ineligible.length) {
+      throw new PayoutBatchError('Some withdrawals are not approved bank withdrawals waiting for a batch', 400,
+        ineligible.map(id => `${id} is not in the payout queue`));
+    }
+  }
+
+  const limit = Math.min(maxItems || MAX_BATCH_ITEMS, MAX_BATCH_ITEMS);
+  const candidates = await Withdrawal.find(filter).sort({ approvedAt: 1, createdAt: 1 }).limit(limit);
+
+  // Oldest first, stopping at the first one that would take the batch over the cap
+  const selected = [];
+  let total = 0;
+  for (const withdrawal of candidates) {
+    if (maxAmount !== null && total + withdrawal.amount > maxAmount) break;
+    selected.push(withdrawal);
+    total += withdrawal.amount;
+  }
+  if (!selected.length) throw new PayoutBatchError('No approved withdrawals fit in this batch', 400);
+
+  // A withdrawal sent before (in an earlier batch) goes out under a fresh
+  // reference, as retries do, so providers and banks don't reject it as a duplicate
+  const attempts = new Map(selected.map(withdrawal => {
+    if (!withdrawal.transferReference) {
+      return [withdrawal._id.toString(), { transferReference: withdrawal.clientReference }];
+    }
+    const retryCount = (withdrawal.retryCount || 0) + 1;
+    return [withdrawal._id.toString(), {
+      retryCount,
+      lastRetryAt: new Date(),
+      transferReference: `${withdrawal.clientReference}-R${retryCount}`
+    }];
+  }));
+
+  return withLedgerSession(async (session) => {
+    const [batch] = await PayoutBatch.create([{
+      name: name.trim(),
+      notes,
+      createdBy: adminId,
+      items: selected.map(withdrawal => ({
+        withdrawal: withdrawal._id,
+        user: withdrawal.user,
+        reference: attempts.get(withdrawal._id.toString()).transferReference,
+        amount: withdrawal.amount,
+        accountName: withdrawal.paymentDetails?.accountName,
+        accountNumber: withdrawal.paymentDetails?.accountNumber,
+        bankName: withdrawal.paymentDetails?.bankName,
+        bankCode: withdrawal.paymentDetails?.bankCode
+      }))
+    }], { session });
+
+    // Claim each withdrawal only if nothing else has taken it since it was read
+    for (const withdrawal of selected) {
+      const attempt = attempts.get(withdrawal._id.toString());
+      const claimed = await Withdrawal.updateOne(
+        { _id: withdrawal._id, status: 'approved', payoutBatch: null },
+        { $set: { payoutBatch: batch._id, ...attempt } },
+        { session }
+      );
+      if (claimed.modifiedCount !== 1) {
+        throw new PayoutBatchError('Some withdrawals changed while the batch was being created; please try again', 409);
+      }
+    }
+
+    batch.refreshTotals();
+    await batch.save({ session });
+    return batch;
+  });
+}
+
+/**
+ * Move an open batch's withdrawals to processing (pending -> processing funds)
+ */
+const markBatchProcessing = (batchId, { method, adminId }) =>
+  withLedgerSession(async (session) => {
+    const batch = await loadBatch(batchId, session);
+    if (batch.status !== 'open') throw new PayoutBatchError(`Only open batches can be released; this one is ${batch.status}`, 400);
+
+    for (const item of batch.items) {
+      const withdrawal = await Withdrawal.findById(item.withdrawal).session(session);
+      if (!withdrawal || withdrawal.status !== 'approved' || !batch._id.equals(withdrawal.payoutBatch)) {
+        throw new PayoutBatchError(`Withdrawal ${item.reference} is no longer approved in this batch`, 409);
+      }
+      withdrawal.status = 'processing';
+      await transitionWithdrawalFunds(withdrawal, 'processing', 'pending', {
+        description: `Withdrawal ${withdrawal.clientReference} released in payout batch ${batch.name}`,
+        createdBy: adminId
+      }, { session });
+      await withdrawal.save({ session });
+      item.status = 'processing';
+    }
+
+    batch.status = 'processing';
+    batch.releaseMethod = method;
+    batch.releasedBy = adminId;
+    batch.releasedAt = new Date();
+    batch.refreshTotals();
+    await batch.save({ session });
+    return batch;
+  });
+
+/**
+ * Send each item of a just-released batch through the payout provider.
+ * A transfer refused before anything was sent goes back to the queue; one
+ * whose outcome is unknown stays processing for the status poll, webhook or
+ * a reconciliation upload to settle.
+ */
+async function submitToProvider(batch) {
+  const summary = { paid: 0, processing: 0, requeued: 0, errors: [] };
+
+  for (const item of batch.items) {
+    let transfer;
+    try {
+      transfer = await payoutProviders.initiateTransfer('bank', {
+        reference: item.reference,
+        amount: item.amount,
+        accountNumber: item.accountNumber,
+        bankCode: item.bankCode,
+        bankName: item.bankName,
+        accountName: item.accountName,
+        narration: NARRATION
+      });
+    } catch (error) {
+      const message = error instanceof PayoutProviderError ? error.message : 'Payment processing failed';
+      summary.errors.push({ reference: item.reference, message });
+      if (error instanceof PayoutProviderError && error.failover) {
+        await applyTransferStatus(item.withdrawal, { status: 'failed', failureReason: message }, { source: `payout batch ${batch.name}`, attemptReference: item.reference });
+        summary.requeued++;
+      } else {
+        console.error(`Payout batch ${batch.name}: outcome of ${item.reference} unknown:`, error.message);
+        summary.processing++;
+      }
+      continue;
+    }
+
+    await Withdrawal.updateOne(
+      { _id: item.withdrawal },
+      { $set: { payoutProvider: transfer.provider, transactionReference: transfer.providerReference } }
+    );
+    if (!batch.provider) {
+      batch.provider = transfer.provider;
+      await PayoutBatch.updateOne({ _id: batch._id }, { $set: { provider: transfer.provider } });
+    }
+
+    const result = await applyTransferStatus(item.withdrawal, transfer, { source: `${transfer.provider} payout batch ${batch.name}`, attemptReference: item.reference });
+    if (result.withdrawal.status === 'paid') {
+      summary.paid++;
+      if (result.changed) await notifyWithdrawalOutcome(result.withdrawal);
+    } else if (result.requeued) {
+      summary.requeued++;
+    } else {
+      summary.processing++;
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Release an open batch as a bank file or through the payout provider
+ * @param {string} batchId
+ * @param {Object} options - { method: 'file'|'provider', adminId }
+ * @returns {Promise<{batch: Object, summary: Object|null}>}
+ */
+async function releaseBatch(batchId, { method, adminId }) {
+  if (!RELEASE_METHODS.includes(method)) {
+    throw new PayoutBatchError(`method must be one of ${RELEASE_METHODS.join(', ')}`, 400);
+  }
+
+  const released = await markBatchProcessing(batchId, { method, adminId });
+  const summary = method === 'provider' ? await submitToProvider(released) : null;
+  return { batch: await loadBatch(batchId), summary };
+}
+
+/**
+ * Give an open batch's withdrawals back to the queue
+ */
+const cancelBatch = (batchId, { adminId }) =>
+  withLedgerSession(async (session) => {
+    const batch = await loadBatch(batchId, session);
+    if (batch.status !== 'open') throw new PayoutBatchError(`Only open batches can be cancelled; this one is ${batch.status}`, 400);
+
+    await Withdrawal.updateMany(
+      { payoutBatch: batch._id, status: 'approved' },
+      { $set: { payoutBatch: null } },
+      { session }
+    );
+    batch.status = 'cancelled';
+    batch.cancelledBy = adminId;
+    batch.cancelledAt = new Date();
+    await batch.save({ session });
+    return batch;
+  });
+
+/**
+ * Bank bulk-transfer file for a batch released as a file
+ * @param {Object} batch - PayoutBatch document
+ * @param {string} format - 'csv' or 'xlsx'
+ * @returns {{ buffer: Buffer, contentType: string, fileName: string }}
+ */
+function buildBankFile(batch, format = 'csv') {
+  if (!FILE_FORMATS.includes(format)) {
+    throw new PayoutBatchError(`format must be one of ${FILE_FORMATS.join(', ')}`, 400);
+  }
+  if (batch.releaseMethod !== 'file' || batch.status === 'open') {
+    throw new PayoutBatchError('Release the batch as a bank file before downloading it', 400);
+  }
+
+  const rows = batch.items.map((item, index) => ({
+    'S/N': index + 1,
+    'Reference': item.reference,
+    'Account Number': item.accountNumber,
+    'Account Name': item.accountName || '',
+    'Bank Name': item.bankName || '',
+    'Bank Code': item.bankCode || '',
+    'Amount': item.amount,
+    'Narration': NARRATION
+  }));
+
+  const sheet = XLSX.utils.json_to_sheet(rows);
+  const fileStem = `payout-batch-${batch.name.replace(/[^A-Za-z0-9_-]+/g, '-')}-${batch._id}`;
+
+  if (format === 'csv') {
+    return {
+      buffer: Buffer.from(XLSX.utils.sheet_to_csv(sheet), 'utf8'),
+      contentType: 'text/csv',
+      fileName: `${fileStem}.csv`
+    };
+  }
+
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, sheet, 'Transfers');
+  return {
+    buffer: XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' }),
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    fileName: `${fileStem}.xlsx`
+  };
+}
+
+/**
+ * Rows of a bank result file (CSV or XLSX) as { reference, result, reason, bankReference }
+ */
+function parseResultFile(buffer) {
+  let workbook;
+  try {
+    workbook = XLSX.read(buffer, { type: 'buffer', raw: true });
+  } catch (error) {
+    throw new PayoutBatchError('The result file could not be read as CSV or XLSX', 400);
+  }
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  const rows = sheet ? XLSX.utils.sheet_to_json(sheet, { defval: '', raw: false }) : [];
+  if (!rows.length) throw new PayoutBatchError('The result file has no rows', 400);
+
+  const headers = Object.keys(rows[0]);
+  const column = (field) => headers.find(header => RESULT_COLUMNS[field].includes(toKey(header)));
+  const columns = {
+    reference: column('reference'),
+    status: column('status'),
+    reason: column('reason'),
+    bankReference: column('bankReference')
+  };
+  if (!columns.reference || !columns.status) {
+    throw new PayoutBatchError('The result file needs a Reference and a Status column', 400);
+  }
+
+  return rows.map(row => {
+    const status = toKey(row[columns.status]);
+    return {
+      reference: String(row[columns.reference]).trim(),
+      result: PAID_RESULTS.includes(status) ? 'paid' : FAILED_RESULTS.includes(status) ? 'failed' : null,
+      reason: columns.reason ? String(row[columns.reason]).trim() : '',
+      bankReference: columns.bankReference ? String(row[columns.bankReference]).trim() : ''
+    };
+  }).filter(row => row.reference);
+}
+
+/**
+ * Apply the bank's result file to a released batch. Rows for items that are
+ * already settled are skipped, so the same file can be uploaded again.
+ * @param {string} batchId
+ * @param {Object} file - { buffer, fileName }
+ * @param {Object} options - { adminId }
+ * @returns {Promise<{batch: Object, summary: Object}>}
+ */
+async function reconcileBatch(batchId, { buffer, fileName }, { adminId }) {
+  const batch = await loadBatch(batchId);
+  if (!['processing', 'completed'].includes(batch.status)) {
+    throw new PayoutBatchError(`Only released batches can be reconciled; this one is ${batch.status}`, 400);
+  }
+
+  const rows = parseResultFile(buffer);
+  const items = new Map(batch.items.map(item => [item.reference.toLowerCase(), item]));
+  const summary = { rows: rows.length, paid: 0, failed: 0, skipped: 0, unmatched: [], invalid: [] };
+  const source = `payout batch ${batch.name} reconciliation`;
+
+  for (const row of rows) {
+    const item = items.get(row.reference.toLowerCase());
+    if (!item) {
+      summary.unmatched.push(row.reference);
+      continue;
+    }
+    if (!row.result) {
+      summary.invalid.push(row.reference);
+      continue;
+    }
+    if (item.status !== 'processing') {
+      summary.skipped++;
+      continue;
+    }
+
+    const result = await applyTransferStatus(item.withdrawal, {
+      status: row.result === 'paid' ? 'successful' : 'failed',
+      providerReference: row.bankReference || null,
+      failureReason: row.reason || 'Rejected by the bank'
+    }, { source, createdBy: adminId, attemptReference: item.reference });
+
+    if (!result.changed) {
+      summary.skipped++;
+    } else if (result.requeued) {
+      summary.failed++;
+    } else {
+      summary.paid++;
+      await notifyWithdrawalOutcome(result.withdrawal);
+    }
+  }
+
+  const reconciled = await loadBatch(batchId);
+  reconciled.reconciliations.push({ uploadedBy: adminId, fileName, ...summary });
+  await reconciled.save();
+
+  return { batch: reconciled, summary };
+}
+
+module.exports = {
+  MAX_BATCH_ITEMS,
+  RELEASE_METHODS,
+  FILE_FORMATS,
+  PayoutBatchError,
+  getQueue,
+  loadBatch,
+  createBatch,
+  releaseBatch,
+  cancelBatch,
+  buildBankFile,
+  parseResultFile,
+  reconcileBatch
+};
@@ -0,0 +1,347 @@
+// utils/referralCampaigns.js
+/**
+ * Referral campaigns: time-boxed bonus rates behind a trackable code.
+ *
+ * A user who registers with ?campaign=CODE while the campaign runs carries it
+ * on referralInfo.campaign. processReferralCommission() then pays their naira
+ * purchases made inside the campaign window at the campaign's rate for any
+ * generation where it beats the policy rate, provided the purchase is for an
+ * eligible tier and the budget still covers the whole commission. Otherwise
+ * the commission is paid at the normal rate.
+ *
+ * Budget is reserved atomically as each boosted commission is created and
+ * given back when it is rolled back or voided, so `spent` never runs past
+ * `budget` however many purchases land at once.
+ */
+
+const ReferralCampaign = require('../models/ReferralCampaign');
+const ReferralTransaction = require('../models/ReferralTransaction');
+const TransactionV2 = require('../models/TransactionV2');
+const TierConfig = require('../models/TierConfig');
+const User = require('../models/User');
+const { validateLevels, MAX_REFERRAL_DEPTH } = require('./referralRules');
+
+const CAMPAIGN_FIELDS = ['name', 'code', 'description', 'startsAt', 'endsAt', 'rates', 'eligibleTiers', 'budget', 'active'];
+const CODE_PATTERN = /^[A-Z0-9_-]{3,32}$/;
+
+class CampaignError extends Error {
+  constructor(message, statusCode = 400, errors = []) {
+    super(message);
+    this.name = 'CampaignError';
+    this.statusCode = statusCode;
+    this.errors = errors;
+  }
+}
+
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+const isDate = (value) => value !== null && value !== '' && !Number.isNaN(new Date(value).getTime());
+
+/**
+ * Problems with campaign fields; empty when they can be saved. On an update,
+ * `existing` fills in the fields the input leaves out.
+ */
+async function validateCampaign(input, existing = null) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return ['Campaign must be an object'];
+
+  const errors = [];
+  const unknown = Object.keys(input).filter(key => !CAMPAIGN_FIELDS.includes(key));
+  if (unknown.length) errors.push(`Unknown fields: ${unknown.join(', ')}`);
+
+  const has = (key) => input[key] !== undefined;
+
+  if ((!existing || has('name')) && (typeof input.name !== 'string' || !input.name.trim())) {
+    errors.push('name is required');
+  }
+  if ((!existing || has('code')) && !CODE_PATTERN.test(normalizeCode(input.code))) {
+    errors.push('code must be 3 to 32 letters, digits, - or _');
+  }
+  if (has('description') && typeof input.description !== 'string') {
+    errors.push('description must be text');
+  }
+
+  for (const key of ['startsAt', 'endsAt']) {
+    if ((!existing || has(key)) && !isDate(input[key])) errors.push(`${key} must be a date`);
+  }
+  const startsAt = new Date(has('startsAt') ? input.startsAt : existing?.startsAt);
+  const endsAt = new Date(has('endsAt') ? input.endsAt : existing?.endsAt);
+  if (isDate(startsAt) && isDate(endsAt) && endsAt <= startsAt) {
+    errors.push('endsAt must be after startsAt');
+  }
+
+  if (has('rates')) errors.push(...validateLevels(input.rates, 'rates'));
+
+  if (has('eligibleTiers')) {
+    if (!Array.isArray(input.eligibleTiers) || input.eligibleTiers.some(key => typeof key !== 'string' || !key.trim())) {
+      errors.push('eligibleTiers must be a list of tier keys');
+    } else if (input.eligibleTiers.length) {
+      const config = await TierConfig.getCurrentConfig();
+      const known = new Set(config.tiers.keys());
+      const missing = input.eligibleTiers.filter(key => !known.has(key));
+      if (missing.length) errors.push(`Unknown tiers: ${missing.join(', ')}`);
+    }
+  }
+
+  if (has('budget') && input.budget !== null &&
+      !(typeof input.budget === 'number' && Number.isFinite(input.budget) && input.budget >= 0)) {
+    errors.push('budget must be a non-negative amount, or null for no cap');
+  }
+  if (has('active') && typeof input.active !== 'boolean') {
+    errors.push('active must be true or false');
+  }
+
+  return errors;
+}
+
+const pickFields = (input) => Object.fromEntries(
+  CAMPAIGN_FIELDS.filter(key => input[key] !== undefined).map(key => [key, key === 'code' ? normalizeCode(input[key]) : input[key]])
+);
+
+/**
+ * Create a campaign
+ * @throws {CampaignError} 400 when invalid, 409 when the code is taken
+ */
+const createCampaign = async (input, { adminId = null } = {}) => {
+  const errors = await validateCampaign(input);
+  if (errors.length) throw new CampaignError('Invalid campaign', 400, errors);
+
+  const fields = pickFields(input);
+  if (await ReferralCampaign.exists({ code: fields.code })) {
+    throw new CampaignError(`Campaign code ${fields.code} is already in use`, 409);
+  }
+
+  return ReferralCampaign.create({ ...fields, createdBy: adminId, updatedBy: adminId });
+};
+
+/**
+ * Change a campaign. Its code is fixed once it has started, as sign-up links
+ * are already out.
+ * @returns {Promise<{campaign: Object, before: Object}>}
+ */
+const updateCampaign = async (campaignId, input, { adminId = null } = {}) => {
+  const campaign = await ReferralCampaign.findById(campaignId);
+  if (!campaign) throw new CampaignError('Campaign not found', 404);
+
+  const errors = await validateCampaign(input, campaign);
+  if (errors.length) throw new CampaignError('Invalid campaign', 400, errors);
+
+  const fields = pickFields(input);
+  if (fields.code && fields.code !== campaign.code) {
+    if (campaign.startsAt <= new Date()) {
+      throw new CampaignError('The code of a campaign that has started cannot change', 409);
+    }
+    if (await ReferralCampaign.exists({ code: fields.code })) {
+      throw new CampaignError(`Campaign code ${fields.code} is already in use`, 409);
+    }
+  }
+
+  const before = campaign.toObject();
+  campaign.set({ ...fields, updatedBy: adminId });
+  await campaign.save();
+  return { campaign, before };
+};
+
+/**
+ * The campaign behind a sign-up code, if it is running at `at`
+ */
+const findRunningCampaign = async (code, at = new Date()) => {
+  const normalized = normalizeCode(code);
+  if (!CODE_PATTERN.test(normalized)) return null;
+  const campaign = await ReferralCampaign.findOne({ code: normalized });
+  return campaign?.isRunning(at) ? campaign : null;
+};
+
+/**
+ * Campaign that boosts a purchase, or null. Only naira purchases qualify, as
+ * budgets are set in naira.
+ * @param {Object} purchaser - User document
+ * @param {Object} options
+ * @param {string} options.currency
+ * @param {Function} options.tierKey - async () => tier key of the purchase, only
+ *                                     called for campaigns limited to some tiers
+ */
+const campaignForPurchase = async (purchaser, { currency, tierKey, at = new Date() }) => {
+  const campaignId = purchaser?.referralInfo?.campaign;
+  if (!campaignId || currency !== 'naira') return null;
+
+  const campaign = await ReferralCampaign.findById(campaignId);
+  if (!campaign?.isRunning(at) || !campaign.rates.length) return null;
+  if (campaign.remainingBudget === 0) return null;
+
+  if (campaign.eligibleTiers.length) {
+    const key = await tierKey();
+    if (!key || !campaign.eligibleTiers.includes(key)) return null;
+  }
+  return campaign;
+};
+
+/**
+ * Highest generation a campaign pays
+ */
+const campaignDepth = (campaign) =>
+  Math.min(Math.max(0, ...campaign.rates.map(entry => entry.level)), MAX_REFERRAL_DEPTH);
+
+/**
+ * Reserve `amount` of the campaign budget
+ * @returns {Promise<boolean>} false when the budget cannot cover it
+ */
+const reserveCampaignBudget = async (campaignId, amount, { session = null } = {}) => {
+  const reserved = await ReferralCampaign.findOneAndUpdate(
+    {
+      _id: campaignId,
+      $or: [
+        { budget: null },
+        { $expr: { $lte: [{ $add: ['$spent', amount] }, '$budget'] } }
+      ]
+    },
+    { $inc: { spent: amount } },
+    { new: true, session }
+  );
+  return Boolean(reserved);
+};
+
+/**
+ * Give back the budget a boosted commission reserved, when it is rolled back
+ * or voided
+ */
+const releaseCampaignBudget = async (refTx, { session = null } = {}) => {
+  if (!refTx?.campaign || !refTx.amount) return;
+  await ReferralCampaign.updateOne(
+    { _id: refTx.campaign },
+    [{ $set: { spent: { $max: [{ $subtract: ['$spent', refTx.amount] }, 0] } } }],
+    { session }
+  );
+};
+
+/**
+ * Sign-ups, purchases and commission for each campaign. Purchases are the
+ * completed ones made by campaign sign-ups inside the campaign window.
+ * @param {Object} [filter] - ReferralCampaign query
+ * @returns {Promise<Object[]>}
+ */
+const getCampaignAnalytics = async (filter = {}) => {
+  const campaigns = await ReferralCampaign.find(filter).sort({ startsAt: -1 });
+  const ids = campaigns.map(campaign => campaign._id);
+  if (!ids.length) return [];
+
+  const [signUps, purchases, commissions] = await Promise.all([
+    User.aggregate([
+      { $match: { 'referralInfo.campaign': { $in: ids } } },
+      { $group: { _id: '$referralInfo.campaign', count: { $sum: 1 } } }
+    ]),
+    User.aggregate([
+      { $match: { 'referralInfo.campaign': { $in: ids } } },
+      {
+        $lookup: {
+          from: ReferralCampaign.collection.name,
+          localField: 'referralInfo.campaign',
+          foreignField: '_id',
+          as: 'campaign'
+        }
+      },
+      { $unwind: '$campaign' },
+      {
+        $lookup: {
+          from: TransactionV2.collection.name,
+          let: { member: '$_id', startsAt: '$campaign.startsAt', endsAt: '$campaign.endsAt' },
+          pipeline: [
+            {
+              $match: {
+                status: 'completed',
+                $expr: {
+                  $and: [
+                    { $eq: ['$userId', '$$member'] },
+                    { $gte: ['$createdAt', '$$startsAt'] },
+                    { $lte: ['$createdAt', '$$endsAt'] }
+                  ]
+                }
+              }
+            },
+            { $project: { totalAmount: 1, currency: 1 } }
+          ],
+          as: 'purchases'
+        }
+      },
+      { $unwind: '$purchases' },
+      {
+        $group: {
+          _id: { campaign: '$referralInfo.campaign', currency: '$purchases.currency' },
+          amount: { $sum: '$purchases.totalAmount' },
+          count: { $sum: 1 },
+          buyers: { $addToSet: '$_id' }
+        }
+      }
+    ]),
+    ReferralTransaction.aggregate([
+      { $match: { campaign: { $in: ids }, status: { $in: ['completed', 'pending'] } } },
+      {
+        $group: {
+          _id: { campaign: '$campaign', status: '$status' },
+          amount: { $sum: '$amount' },
+          count: { $sum: 1 },
+          beneficiaries: { $addToSet: '$beneficiary' }
+        }
+      }
+    ])
+  ]);
+
+  return campaigns.map(campaign => {
+    const id = String(campaign._id);
+    const mine = (rows) => rows.filter(row => String(row._id.campaign || row._id) === id);
+
+    const buyers = new Set();
+    const byCurrency = {};
+    for (const row of mine(purchases)) {
+      byCurrency[row._id.currency] = { amount: row.amount, count: row.count };
+      row.buyers.forEach(buyer => buyers.add(String(buyer)));
+    }
+
+    const paid = mine(commissions).find(row => row._id.status === 'completed');
+    const held = mine(commissions).find(row => row._id.status === 'pending');
+
+    return {
+      campaign: {
+        _id: campaign._id,
+        name: campaign.name,
+        code: campaign.code,
+        startsAt: campaign.startsAt,
+        endsAt: campaign.endsAt,
+        active: campaign.active,
+        running: campaign.isRunning(),
+        rates: campaign.rates,
+        eligibleTiers: campaign.eligibleTiers
+      },
+      signUps: mine(signUps)[0]?.count || 0,
+      purchases: {
+        buyers: buyers.size,
+        byCurrency
+      },
+      commission: {
+        paid: paid?.amount || 0,
+        paidCount: paid?.count || 0,
+        held: held?.amount || 0,
+        heldCount: held?.count || 0,
+        beneficiaries: new Set([...(paid?.beneficiaries || []), ...(held?.beneficiaries || [])].map(String)).size
+      },
+      budget: {
+        cap: campaign.budget,
+        spent: campaign.spent,
+        remaining: campaign.remainingBudget
+      }
+    };
+  });
+};
+
+module.exports = {
+  CampaignError,
+  normalizeCode,
+  validateCampaign,
+  createCampaign,
+  updateCampaign,
+  findRunningCampaign,
+  campaignForPurchase,
+  campaignDepth,
+  reserveCampaignBudget,
+  releaseCampaignBudget,
+  getCampaignAnalytics
+};
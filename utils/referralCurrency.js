@@ -0,0 +1,175 @@
+// utils/referralCurrency.js
+/**
+ * Commission currencies.
+ *
+ * A commission is earned in the currency of the purchase (naira, usdt or
+ * USD), but the ledger, the Referral balances and withdrawals are all kept in
+ * naira. Each commission is therefore converted once, when it is accrued, at
+ * the CryptoExchangeRate snapshot in effect at that moment, and the rate is
+ * stored on it (ReferralTransaction.conversion). Reversals, maturity and
+ * reports use that stored value, so later rate moves never change what was
+ * earned.
+ *
+ * USD has no snapshot of its own and is converted at the USDT price. With no
+ * active snapshot, the last one updated is used; with none at all, accruing
+ * fails with a ConversionRateError rather than dropping the commission.
+ */
+
+const mongoose = require('mongoose');
+const CryptoExchangeRate = require('../models/CryptoExchangeRate');
+const ReferralTransaction = require('../models/ReferralTransaction');
+
+// Currency of the ledger, balances and withdrawals
+const SETTLEMENT_CURRENCY = 'naira';
+const CURRENCIES = ['naira', 'usdt', 'USD'];
+
+// CryptoExchangeRate field holding the naira price of one unit
+const RATE_FIELDS = {
+  usdt: 'usdtPriceNGN',
+  USD: 'usdtPriceNGN'
+};
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+class ConversionRateError extends Error {
+  constructor(currency, statusCode = 409) {
+    super(`No exchange rate available to convert ${currency} commissions`);
+    this.name = 'ConversionRateError';
+    this.currency = currency;
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Rate converting `currency` to naira: the active snapshot (else the last one
+ * updated) for a commission accrued now, or for an older one (`at`) the last
+ * snapshot updated by then (the earliest one if it predates them all)
+ * @returns {Promise<Object|null>} { rate, rateSnapshot, rateSource, ratedAt }, or null when there is no usable snapshot
+ */
+const getConversionRate = async (currency, { at = null, session = null } = {}) => {
+  if (currency === SETTLEMENT_CURRENCY) {
+    return { rate: 1, rateSnapshot: null, rateSource: null, ratedAt: at || new Date() };
+  }
+  const field = RATE_FIELDS[currency];
+  if (!field) throw new Error(`Unsupported commission currency: ${currency}`);
+
+  const snapshot = at
+    ? (await CryptoExchangeRate.findOne({ lastUpdated: { $lte: at } }).sort({ lastUpdated: -1 }).session(session)) ||
+      (await CryptoExchangeRate.findOne().sort({ lastUpdated: 1 }).session(session))
+    : (await CryptoExchangeRate.findOne({ active: true }).session(session)) ||
+      (await CryptoExchangeRate.findOne().sort({ lastUpdated: -1 }).session(session));
+
+  if (!snapshot || !(snapshot[field] > 0)) return null;
+  return {
+    rate: snapshot[field],
+    rateSnapshot: snapshot._id,
+    rateSource: snapshot.source,
+    ratedAt: snapshot.lastUpdated
+  };
+};
+
+/**
+ * ReferralTransaction.conversion for `amount` at a rate from getConversionRate
+ */
+const convert = (amount, conversionRate) => ({
+  settlementCurrency: SETTLEMENT_CURRENCY,
+  settlementAmount: round2(amount * conversionRate.rate),
+  rate: conversionRate.rate,
+  rateSnapshot: conversionRate.rateSnapshot,
+  rateSource: conversionRate.rateSource,
+  ratedAt: conversionRate.ratedAt
+});
+
+/**
+ * What a commission is worth in naira. Records from before conversion was
+ * introduced were credited at face value, so that is what they are worth.
+ */
+const settlementAmount = (referralTx) => referralTx.conversion?.settlementAmount ?? referralTx.amount;
+
+const emptyBucket = () => ({ earned: 0, locked: 0, held: 0, commissions: 0, converted: { earned: 0, locked: 0, held: 0 } });
+
+/**
+ * Commission earnings per currency, in that currency and converted to naira.
+ * `earned` is credited and withdrawable, `locked` is inside the lock period
+ * and `held` is waiting on fraud review.
+ * @returns {Promise<Object>} { naira: bucket, usdt: bucket, USD: bucket }
+ */
+const getEarningsByCurrency = async (userId, options = {}) => {
+  const rows = await ReferralTransaction.aggregate([
+    {
+      $match: {
+        beneficiary: new mongoose.Types.ObjectId(userId.toString()),
+        status: { $in: ['completed', 'pending'] }
+      }
+    },
+    {
+      $group: {
+        _id: {
+          currency: { $ifNull: ['$currency', SETTLEMENT_CURRENCY] },
+          bucket: {
+            $cond: [
+              { $eq: ['$status', 'pending'] },
+              'held',
+              { $cond: [{ $eq: ['$maturityStatus', 'pending'] }, 'locked', 'earned'] }
+            ]
+          }
+        },
+        amount: { $sum: '$amount' },
+        converted: { $sum: { $ifNull: ['$conversion.settlementAmount', '$amount'] } },
+        count: { $sum: 1 }
+      }
+    }
+  ]).session(options.session || null);
+
+  const buckets = Object.fromEntries(CURRENCIES.map(currency => [currency, emptyBucket()]));
+  for (const row of rows) {
+    const bucket = buckets[row._id.currency] || (buckets[row._id.currency] = emptyBucket());
+    bucket[row._id.bucket] = round2(row.amount);
+    bucket.converted[row._id.bucket] = round2(row.converted);
+    bucket.commissions += row.count;
+  }
+  return buckets;
+};
+
+/**
+ * Per-currency earnings for a balance response: the currencies the user has
+ * commissions in, and the naira they convert to altogether
+ * @param {Object} referral - Referral document or lean object
+ */
+const formatEarningsByCurrency = (referral) => {
+  const stored = referral?.earningsByCurrency || {};
+  const byCurrency = {};
+  const converted = { earned: 0, locked: 0, held: 0 };
+
+  for (const currency of CURRENCIES) {
+    const bucket = stored[currency];
+    if (!bucket || !bucket.commissions) continue;
+    byCurrency[currency] = {
+      earned: bucket.earned,
+      locked: bucket.locked,
+      held: bucket.held,
+      commissions: bucket.commissions,
+      converted: {
+        earned: bucket.converted.earned,
+        locked: bucket.converted.locked,
+        held: bucket.converted.held
+      }
+    };
+    Object.keys(converted).forEach(key => {
+      converted[key] = round2(converted[key] + bucket.converted[key]);
+    });
+  }
+
+  return { settlementCurrency: SETTLEMENT_CURRENCY, byCurrency, converted };
+};
+
+module.exports = {
+  SETTLEMENT_CURRENCY,
+  CURRENCIES,
+  ConversionRateError,
+  getConversionRate,
+  convert,
+  settlementAmount,
+  getEarningsByCurrency,
+  formatEarningsByCurrency
+};
@@ -0,0 +1,258 @@
+// utils/referralFraud.js
+/**
+ * Referral fraud scoring.
+ *
+ * When a referred user registers, the new referral edge (user -> referrer) is
+ * scored against what we know about both accounts:
+ *
+ *   shared_device       same device fingerprint as the referrer
+ *   shared_ip           registered from an IP the referrer registered or signed in from
+ *   shared_user_agent   ...and with the same browser
+ *   similar_email       same mailbox once +tags (and Gmail dots) are removed
+ *   shared_phone        same phone number
+ *   registration_burst  several sign-ups on the same code from one IP in a day
+ *   circular_chain      shares a device or IP with someone further up the chain
+ *                       (the same person appearing twice, A -> B -> A)
+ *
+ * Edges scoring FLAG_THRESHOLD or more get an open ReferralFraudFlag.
+ * processReferralCommission() holds every commission paid through an open
+ * flag until an admin releases or voids it with reviewFlag().
+ */
+
+const User = require('../models/User');
+const UserSession = require('../models/UserSession');
+const ReferralFraudFlag = require('../models/ReferralFraudFlag');
+const ReferralTransaction = require('../models/ReferralTransaction');
+const referralGraph = require('./referralGraph');
+const { releaseHeldCommission } = require('./referralUtils');
+const { releaseCampaignBudget } = require('./referralCampaigns');
+
+const SIGNAL_WEIGHTS = {
+  shared_device: 60,
+  shared_ip: 30,
+  shared_user_agent: 15,
+  similar_email: 50,
+  shared_phone: 50,
+  registration_burst: 50,
+  circular_chain: 50
+};
+
+const FLAG_THRESHOLD = 50;
+
+// Sign-ups on one code from one IP within the window that count as a burst
+const BURST_WINDOW_HOURS = 24;
+const BURST_SIZE = 3;
+
+const USER_FIELDS = '_id userName email phone registrationInfo referralInfo createdAt';
+
+class FraudReviewError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'FraudReviewError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * What to record about the device a user registers from
+ */
+const registrationSignals = (req) => ({
+  ip: req?.ip || req?.headers?.['x-forwarded-for']?.split(',')[0]?.trim() || null,
+  userAgent: (req?.get?.('user-agent') || '').slice(0, 500) || null,
+  deviceFingerprint: String(req?.get?.('x-device-fingerprint') || req?.body?.deviceFingerprint || '').slice(0, 200) || null
+});
+
+/**
+ * Canonical mailbox: lower case, no +tag, and no dots for Gmail
+ */
+const normalizeEmail = (email) => {
+  const [local = '', domain = ''] = String(email || '').toLowerCase().trim().split('@');
+  let mailbox = local.split('+')[0];
+  let host = domain;
+  if (host === 'googlemail.com') host = 'gmail.com';
+  if (host === 'gmail.com') mailbox = mailbox.replace(/\./g, '');
+  return mailbox && host ? `${mailbox}@${host}` : null;
+};
+
+const normalizePhone = (phone) => {
+  const digits = String(phone || '').replace(/\D/g, '');
+  return digits.length >= 7 ? digits.slice(-10) : null;
+};
+
+const signal = (code, detail, relatedUser = null) => ({ code, weight: SIGNAL_WEIGHTS[code], detail, relatedUser });
+
+/**
+ * Score a referral edge. Reads only.
+ * @returns {Promise<{score: number, signals: Object[]}>}
+ */
+const scoreReferral = async (user, referrer) => {
+  const signals = [];
+  const mine = user.registrationInfo || {};
+  const theirs = referrer.registrationInfo || {};
+
+  if (mine.deviceFingerprint && mine.deviceFingerprint === theirs.deviceFingerprint) {
+    signals.push(signal('shared_device', 'Registered on the referrer\'s device'));
+  }
+
+  if (mine.ip) {
+    const referrerIps = new Set([
+      theirs.ip,
+      ...(await UserSession.find({ user: referrer._id }).distinct('ip'))
+    ].filter(Boolean));
+    if (referrerIps.has(mine.ip)) {
+      signals.push(signal('shared_ip', `Registered from ${mine.ip}, an IP the referrer has used`));
+      if (mine.userAgent && mine.userAgent === theirs.userAgent) {
+        signals.push(signal('shared_user_agent', 'Same browser as the referrer'));
+      }
+    }
+
+    const since = new Date(Date.now() - BURST_WINDOW_HOURS * 60 * 60 * 1000);
+    const burst = await User.countDocuments({
+      'registrationInfo.ip': mine.ip,
+      'referralInfo.code': referrer.userName,
+      createdAt: { $gte: since }
+    });
+    if (burst >= BURST_SIZE) {
+      signals.push(signal('registration_burst', `${burst} sign-ups on this code from ${mine.ip} in ${BURST_WINDOW_HOURS}h`));
+    }
+  }
+
+  const email = normalizeEmail(user.email);
+  if (email && email === normalizeEmail(referrer.email)) {
+    signals.push(signal('similar_email', 'Same mailbox as the referrer'));
+  }
+
+  const phone = normalizePhone(user.phone);
+  if (phone && phone === normalizePhone(referrer.phone)) {
+    signals.push(signal('shared_phone', 'Same phone number as the referrer'));
+  }
+
+  // The same person further up the chain
+  if (mine.deviceFingerprint || mine.ip) {
+    const upline = await referralGraph.getUpline(referrer._id);
+    const uplineUsers = await User.find({ _id: { $in: upline.map(row => row.ancestor?._id).filter(Boolean) } })
+      .select(USER_FIELDS)
+      .lean();
+    const match = uplineUsers.find(ancestor =>
+      (mine.deviceFingerprint && ancestor.registrationInfo?.deviceFingerprint === mine.deviceFingerprint) ||
+      (mine.ip && ancestor.registrationInfo?.ip === mine.ip));
+    if (match) {
+      signals.push(signal('circular_chain', `Shares a device or IP with ${match.userName}, further up the chain`, match._id));
+    }
+  }
+
+  return {
+    score: signals.reduce((total, s) => total + s.weight, 0),
+    signals
+  };
+};
+
+/**
+ * Score a newly registered user's referral and flag it when suspicious
+ * @returns {Promise<Object|null>} the open flag, or null
+ */
+const checkNewReferral = async (userId) => {
+  const user = await User.findById(userId).select(USER_FIELDS).lean();
+  if (!user) return null;
+
+  const referrer = await referralGraph.findReferrer(user);
+  if (!referrer) return null;
+  const referrerDetails = await User.findById(referrer._id).select(USER_FIELDS).lean();
+
+  const { score, signals } = await scoreReferral(user, referrerDetails);
+  if (score < FLAG_THRESHOLD) return null;
+
+  const flag = await ReferralFraudFlag.findOneAndUpdate(
+    { user: user._id, referrer: referrer._id },
+    { $setOnInsert: { score, signals, status: 'open' } },
+    { upsert: true, new: true }
+  );
+  console.log(`🚩 Referral of ${user.userName} by ${referrer.userName} flagged (score ${score}: ${signals.map(s => s.code).join(', ')})`);
+  return flag;
+};
+
+/**
+ * Release or void the commissions held by an open flag. The flag is only
+ * marked reviewed once every commission it held has been dealt with, so a
+ * review that fails part way leaves it open and can simply be repeated.
+ * @param {string} decision - 'release' | 'void'
+ * @returns {Promise<{flag: Object, released: number, voided: number, stillHeld: number}>}
+ */
+const reviewFlag = async (flagId, decision, { adminId = null, note = null } = {}) => {
+  if (!['release', 'void'].includes(decision)) throw new FraudReviewError('Decision must be release or void');
+
+  const open = await ReferralFraudFlag.findOne({ _id: flagId, status: 'open' }).select('_id');
+  if (!open) {
+    const exists = await ReferralFraudFlag.exists({ _id: flagId });
+    throw exists
+      ? new FraudReviewError('This flag has already been reviewed', 409)
+      : new FraudReviewError('Flag not found', 404);
+  }
+
+  let released = 0;
+  let voided = 0;
+  let stillHeld = 0;
+
+  // Commissions accrued while the review runs are held by the flag too
+  let held = await ReferralTransaction.find({ status: 'pending', 'fraudHold.flags': open._id });
+  while (held.length) {
+    for (const refTx of held) {
+      if (decision === 'void') {
+        const { modifiedCount } = await ReferralTransaction.updateOne(
+          { _id: refTx._id, status: 'pending' },
+          {
+            $set: {
+              status: 'voided',
+              maturityStatus: 'cancelled',
+              notes: `Voided after fraud review${note ? `: ${note}` : ''}`.slice(0, 500),
+              ...(adminId && { processedBy: adminId })
+            }
+          }
+        );
+        if (modifiedCount) {
+          await releaseCampaignBudget(refTx);
+          voided++;
+        }
+        continue;
+      }
+
+      refTx.fraudHold.flags = refTx.fraudHold.flags.filter(id => !id.equals(open._id));
+      const otherOpen = await ReferralFraudFlag.countDocuments({ _id: { $in: refTx.fraudHold.flags }, status: 'open' });
+      if (otherOpen) {
+        await refTx.save();
+        stillHeld++;
+      } else {
+        refTx.processedBy = adminId || undefined;
+        if (await releaseHeldCommission(refTx)) released++;
+      }
+    }
+    held = await ReferralTransaction.find({ status: 'pending', 'fraudHold.flags': open._id });
+  }
+
+  const flag = await ReferralFraudFlag.findOneAndUpdate(
+    { _id: open._id, status: 'open' },
+    {
+      $set: {
+        status: decision === 'release' ? 'released' : 'voided',
+        reviewedBy: adminId,
+        reviewedAt: new Date(),
+        reviewNote: note || undefined
+      }
+    },
+    { new: true }
+  );
+  if (!flag) throw new FraudReviewError('This flag has already been reviewed', 409);
+
+  return { flag, released, voided, stillHeld };
+};
+
+module.exports = {
+  SIGNAL_WEIGHTS,
+  FLAG_THRESHOLD,
+  FraudReviewError,
+  registrationSignals,
+  normalizeEmail,
+  scoreReferral,
+  checkNewReferral,
+  reviewFlag
+};
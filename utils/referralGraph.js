@@ -0,0 +1,372 @@
+// utils/referralGraph.js
+/**
+ * Referral graph, persisted as a closure table (models/ReferralClosure.js).
+ *
+ * User.referralInfo.code (the referrer's userName) stays the source of truth.
+ * The closure rows are derived from it and kept in step here:
+ *
+ *   addUser   on registration
+ *   moveUser  when an admin changes someone's referrer
+ *   rebuild   repairs any drift (migrations/build_referral_closure.js and the
+ *             nightly job in referralCronJobs.js)
+ *
+ * Downlines, uplines, per-generation counts and team volume are then a single
+ * indexed query each, at any depth. The generation counts cached on Referral
+ * are refreshed from here rather than recounted user by user.
+ */
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Referral = require('../models/Referral');
+const ReferralClosure = require('../models/ReferralClosure');
+const TransactionV2 = require('../models/TransactionV2');
+const { MAX_REFERRAL_DEPTH } = require('./referralRules');
+
+const MEMBER_FIELDS = 'name userName email phone referralInfo.code createdAt profileImage';
+
+const toObjectId = (value) => new mongoose.Types.ObjectId(String(value?._id || value));
+
+const depthFilter = (maxDepth) => (maxDepth ? { depth: { $lte: maxDepth } } : {});
+
+const loadUser = (userOrId) =>
+  (userOrId && userOrId.referralInfo !== undefined && userOrId.userName !== undefined
+    ? userOrId
+    : User.findById(userOrId).select('_id userName referralInfo').lean());
+
+/**
+ * The user's direct referrer according to referralInfo.code, or null
+ */
+const findReferrer = async (user) => {
+  const code = user?.referralInfo?.code;
+  if (!code) return null;
+
+  const referrer = await User.findOne({ userName: code }).select('_id userName').lean();
+  return referrer && !referrer._id.equals(user._id) ? referrer : null;
+};
+
+// Inserting a row that is already there (a retried registration) is harmless
+const insertRows = async (rows) => {
+  if (!rows.length) return;
+  try {
+    await ReferralClosure.insertMany(rows, { ordered: false });
+  } catch (error) {
+    const errors = error.writeErrors || [error];
+    if (!errors.every(e => (e.code ?? e.err?.code) === 11000)) throw error;
+  }
+};
+
+/**
+ * Whether making `referrerId` the referrer of `userId` would close a loop
+ */
+const wouldCreateCycle = async (userId, referrerId) => {
+  if (!referrerId) return false;
+  if (String(userId) === String(referrerId)) return true;
+  return Boolean(await ReferralClosure.exists({ ancestor: toObjectId(userId), descendant: toObjectId(referrerId) }));
+};
+
+// Hang a user and their whole downline under a referrer
+const attachSubtree = async (rootId, referrerId) => {
+  const [downline, upline] = await Promise.all([
+    ReferralClosure.find({ ancestor: rootId }).select('descendant depth').lean(),
+    ReferralClosure.find({ descendant: referrerId }).select('ancestor depth').lean()
+  ]);
+
+  const nodes = [{ id: rootId, depth: 0 }, ...downline.map(row => ({ id: row.descendant, depth: row.depth }))];
+  const ancestors = [{ id: referrerId, depth: 0 }, ...upline.map(row => ({ id: row.ancestor, depth: row.depth }))];
+
+  const rows = [];
+  for (const ancestor of ancestors) {
+    for (const node of nodes) {
+      rows.push({ ancestor: ancestor.id, descendant: node.id, depth: ancestor.depth + 1 + node.depth });
+    }
+  }
+  await insertRows(rows);
+};
+
+// Cut a user and their downline loose from everyone above the user
+const detachSubtree = async (rootId) => {
+  const downline = await ReferralClosure.find({ ancestor: rootId }).distinct('descendant');
+  const subtree = [rootId, ...downline];
+  await ReferralClosure.deleteMany({ descendant: { $in: subtree }, ancestor: { $nin: subtree } });
+};
+
+/**
+ * Number of downline members at each depth
+ * @returns {Promise<Object<number, number>>} depth -> count
+ */
+const countByGeneration = async (userId, maxDepth = null) => {
+  const rows = await ReferralClosure.aggregate([
+    { $match: { ancestor: toObjectId(userId), ...depthFilter(maxDepth) } },
+    { $group: { _id: '$depth', count: { $sum: 1 } } }
+  ]);
+  return Object.fromEntries(rows.map(row => [row._id, row.count]));
+};
+
+/**
+ * Write per-generation counts onto a Referral document (not saved).
+ * Generations past the deepest one commissions can pay are not tracked.
+ */
+const applyGenerationCounts = (referral, counts) => {
+  referral.referredUsers = counts[1] || 0;
+  for (let generation = 1; generation <= 3; generation++) {
+    referral.generationStats(generation).count = counts[generation] || 0;
+  }
+  referral.deeperGenerations.forEach(entry => {
+    entry.count = counts[entry.generation] || 0;
+  });
+  Object.keys(counts)
+    .map(Number)
+    .filter(generation => generation > 3 && generation <= MAX_REFERRAL_DEPTH)
+    .forEach(generation => {
+      referral.generationStats(generation).count = counts[generation];
+    });
+  return referral;
+};
+
+/**
+ * Refresh the generation counts cached on a user's Referral record
+ */
+const refreshReferralCounts = async (userId) => {
+  const counts = await countByGeneration(userId, MAX_REFERRAL_DEPTH);
+  const referral = (await Referral.findOne({ user: userId })) || new Referral({ user: userId });
+  applyGenerationCounts(referral, counts);
+  await referral.save();
+  return referral;
+};
+
+const refreshAll = async (userIds) => {
+  const unique = [...new Set(userIds.map(String))];
+  for (const userId of unique) {
+    await refreshReferralCounts(userId);
+  }
+  return unique.length;
+};
+
+/**
+ * Everyone above a user, nearest first
+ */
+const getUpline = (userId, { maxDepth = null } = {}) =>
+  ReferralClosure.find({ descendant: toObjectId(userId), ...depthFilter(maxDepth) })
+    .sort({ depth: 1 })
+    .populate('ancestor', 'name userName email createdAt')
+    .lean();
+
+/**
+ * Add a newly registered user under their referrer. Safe to call again.
+ * @returns {Promise<{added: boolean, referrer?: Object, reason?: string}>}
+ */
+const addUser = async (userOrId) => {
+  const user = await loadUser(userOrId);
+  if (!user) return { added: false, reason: 'User not found' };
+
+  const referrer = await findReferrer(user);
+  if (!referrer) return { added: false, reason: 'No referrer' };
+  if (await ReferralClosure.exists({ descendant: user._id, depth: 1 })) {
+    return { added: false, referrer, reason: 'Already in the referral graph' };
+  }
+  if (await wouldCreateCycle(user._id, referrer._id)) {
+    return { added: false, referrer, reason: 'Referrer is in the user\'s own downline' };
+  }
+
+  await attachSubtree(user._id, referrer._id);
+  return { added: true, referrer };
+};
+
+/**
+ * Re-hang a user (and their downline) under the referrer now named in
+ * referralInfo.code, and refresh the counts of everyone above, before and
+ * after. Call after saving the new code.
+ * @returns {Promise<{referrer: Object|null, affectedAncestors: number}>}
+ */
+const moveUser = async (userOrId) => {
+  const user = await loadUser(userOrId);
+  if (!user) throw new Error('User not found');
+
+  const referrer = await findReferrer(user);
+  if (referrer && await wouldCreateCycle(user._id, referrer._id)) {
+    throw new Error(`${referrer.userName} is in ${user.userName}'s own downline`);
+  }
+
+  const before = await ReferralClosure.find({ descendant: user._id }).distinct('ancestor');
+  await detachSubtree(user._id);
+  if (referrer) await attachSubtree(user._id, referrer._id);
+  const after = await ReferralClosure.find({ descendant: user._id }).distinct('ancestor');
+
+  const affectedAncestors = await refreshAll([...before, ...after]);
+  return { referrer, affectedAncestors };
+};
+
+/**
+ * Downline members, nearest generations first
+ * @param {Object} [options]
+ * @param {number} [options.depth] - Only this generation
+ * @param {number} [options.maxDepth] - Down to this generation (default: all)
+ * @param {number} [options.limit] - Page size; 0 returns every member
+ * @returns {Promise<{members: Object[], total: number}>}
+ */
+const getDownline = async (userId, { depth = null, maxDepth = null, page = 1, limit = 50 } = {}) => {
+  const query = {
+    ancestor: toObjectId(userId),
+    ...(depth ? { depth } : depthFilter(maxDepth))
+  };
+
+  const [rows, total] = await Promise.all([
+    ReferralClosure.find(query)
+      .sort({ depth: 1, createdAt: 1, _id: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('descendant', MEMBER_FIELDS)
+      .lean(),
+    ReferralClosure.countDocuments(query)
+  ]);
+
+  return {
+    members: rows.filter(row => row.descendant).map(row => ({ depth: row.depth, user: row.descendant })),
+    total
+  };
+};
+
+/**
+ * Completed purchases made by a user's downline
+ * @returns {Promise<Object>} { members, buyers, byCurrency: { naira: { amount, shares, purchases } },
+ *                              byGeneration: [{ generation, currency, amount, shares, purchases, buyers }] }
+ */
+const getTeamVolume = async (userId, { maxDepth = null, purchaseType = null } = {}) => {
+  const match = { ancestor: toObjectId(userId), ...depthFilter(maxDepth) };
+  const purchaseMatch = { status: 'completed', ...(purchaseType ? { type: purchaseType } : {}) };
+
+  const [members, rows] = await Promise.all([
+    ReferralClosure.countDocuments(match),
+    ReferralClosure.aggregate([
+      { $match: match },
+      {
+        $lookup: {
+          from: TransactionV2.collection.name,
+          let: { member: '$descendant' },
+          pipeline: [
+            { $match: { $expr: { $eq: ['$userId', '$$member'] }, ...purchaseMatch } },
+            { $project: { totalAmount: 1, shares: 1, currency: 1 } }
+          ],
+          as: 'purchases'
+        }
+      },
+      { $unwind: '$purchases' },
+      {
+        $group: {
+          _id: { generation: '$depth', currency: '$purchases.currency' },
+          amount: { $sum: '$purchases.totalAmount' },
+          shares: { $sum: '$purchases.shares' },
+          purchases: { $sum: 1 },
+          buyers: { $addToSet: '$descendant' }
+        }
+      },
+      { $sort: { '_id.generation': 1, '_id.currency': 1 } }
+    ])
+  ]);
+
+  const byCurrency = {};
+  const buyers = new Set();
+  for (const row of rows) {
+    const totals = byCurrency[row._id.currency] || (byCurrency[row._id.currency] = { amount: 0, shares: 0, purchases: 0 });
+    totals.amount += row.amount;
+    totals.shares += row.shares;
+    totals.purchases += row.purchases;
+    row.buyers.forEach(buyer => buyers.add(String(buyer)));
+  }
+
+  return {
+    members,
+    buyers: buyers.size,
+    byCurrency,
+    byGeneration: rows.map(row => ({
+      generation: row._id.generation,
+      currency: row._id.currency,
+      amount: row.amount,
+      shares: row.shares,
+      purchases: row.purchases,
+      buyers: row.buyers.length
+    }))
+  };
+};
+
+/**
+ * Recompute the closure table from User.referralInfo.code and repair every
+ * user whose rows differ. Referral counts above repaired users are refreshed.
+ * @returns {Promise<{users: number, rows: number, repaired: number, cycles: number}>}
+ */
+const rebuild = async ({ dryRun = false } = {}) => {
+  const users = await User.find({}).select('_id userName referralInfo.code').lean();
+  const idByUserName = new Map(users.map(user => [user.userName, String(user._id)]));
+
+  const parentOf = new Map();
+  for (const user of users) {
+    const parent = idByUserName.get(user.referralInfo?.code);
+    if (parent && parent !== String(user._id)) parentOf.set(String(user._id), parent);
+  }
+
+  // Expected "ancestor:depth" keys per descendant, stopping at any loop
+  const expected = new Map();
+  let rows = 0;
+  let cycles = 0;
+  for (const user of users) {
+    const id = String(user._id);
+    const keys = new Set();
+    const seen = new Set([id]);
+    let current = parentOf.get(id);
+    let depth = 1;
+    while (current) {
+      if (seen.has(current)) {
+        cycles++;
+        break;
+      }
+      seen.add(current);
+      keys.add(`${current}:${depth}`);
+      current = parentOf.get(current);
+      depth++;
+    }
+    if (keys.size) expected.set(id, keys);
+    rows += keys.size;
+  }
+
+  const existing = new Map();
+  const cursor = ReferralClosure.find({}).select('ancestor descendant depth').lean().cursor();
+  for await (const row of cursor) {
+    const id = String(row.descendant);
+    if (!existing.has(id)) existing.set(id, new Set());
+    existing.get(id).add(`${row.ancestor}:${row.depth}`);
+  }
+
+  const sameKeys = (a = new Set(), b = new Set()) => a.size === b.size && [...a].every(key => b.has(key));
+  const repaired = [...new Set([...expected.keys(), ...existing.keys()])]
+    .filter(id => !sameKeys(expected.get(id), existing.get(id)));
+
+  if (!dryRun && repaired.length) {
+    const touched = [];
+    for (const id of repaired) {
+      const keys = [...(expected.get(id) || [])];
+      await ReferralClosure.deleteMany({ descendant: id });
+      await insertRows(keys.map(key => {
+        const [ancestor, depth] = key.split(':');
+        return { ancestor, descendant: id, depth: Number(depth) };
+      }));
+      touched.push(...keys, ...(existing.get(id) || []));
+    }
+    await refreshAll(touched.map(key => key.split(':')[0]));
+  }
+
+  return { users: users.length, rows, repaired: repaired.length, cycles };
+};
+
+module.exports = {
+  findReferrer,
+  wouldCreateCycle,
+  addUser,
+  moveUser,
+  getUpline,
+  getDownline,
+  countByGeneration,
+  applyGenerationCounts,
+  refreshReferralCounts,
+  getTeamVolume,
+  rebuild
+};
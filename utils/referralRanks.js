@@ -0,0 +1,263 @@
+// utils/referralRanks.js
+/**
+ * Referral ranks and milestone bonuses.
+ *
+ * The ladder lives on SiteConfig.referralRanks, lowest rank first, and is
+ * edited through PUT /api/admin/referrals/ranks:
+ *
+ *   {
+ *     key: 'silver',
+ *     name: 'Silver',
+ *     minDirectReferrals: 10,       // direct (generation 1) referrals
+ *     minTeamVolume: 2000000,       // naira value of what the whole downline bought
+ *     minCoFounderDownlines: 1,     // downline members holding co-founder shares
+ *     bonus: 25000,                 // one-off naira bonus, optional
+ *     active: true
+ *   }
+ *
+ * A rank is reached when every threshold it sets is met. Ranks are checked
+ * whenever updateReferrerStats() runs; each one is awarded once
+ * (ReferralRankAward) and its bonus is credited through the ledger like any
+ * other earnings. Ranks are achievements: they are not taken away when a
+ * threshold is no longer met.
+ *
+ * Team volume counts purchases in every currency, converted to naira at the
+ * current rate (utils/referralCurrency.js). A currency with no usable rate is
+ * left out until one is set.
+ */
+
+const ReferralRankAward = require('../models/ReferralRankAward');
+const Referral = require('../models/Referral');
+const SiteConfig = require('../models/SiteConfig');
+const ledgerService = require('./ledgerService');
+const referralGraph = require('./referralGraph');
+const { getConversionRate } = require('./referralCurrency');
+
+// Threshold field for each metric
+const CRITERIA = {
+  directReferrals: 'minDirectReferrals',
+  teamVolume: 'minTeamVolume',
+  coFounderDownlines: 'minCoFounderDownlines'
+};
+const RANK_FIELDS = ['key', 'name', ...Object.values(CRITERIA), 'bonus', 'active'];
+const KEY_PATTERN = /^[a-z0-9_-]{2,32}$/;
+const WHOLE_NUMBER_CRITERIA = ['minDirectReferrals', 'minCoFounderDownlines'];
+
+const isNonNegativeNumber = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+/**
+ * Problems with a referralRanks list; empty when it can be saved.
+ */
+function validateRanks(ranks) {
+  if (!Array.isArray(ranks)) return ['referralRanks must be an array'];
+
+  const errors = [];
+  const keys = new Set();
+
+  ranks.forEach((rank, i) => {
+    const label = `referralRanks[${i}]`;
+    if (!rank || typeof rank !== 'object' || Array.isArray(rank)) {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+
+    const unknown = Object.keys(rank).filter(key => !RANK_FIELDS.includes(key));
+    if (unknown.length) errors.push(`${label} has unknown fields: ${unknown.join(', ')}`);
+
+    if (typeof rank.key !== 'string' || !KEY_PATTERN.test(rank.key)) {
+      errors.push(`${label}.key must be 2 to 32 lower-case letters, digits, - or _`);
+    } else if (keys.has(rank.key)) {
+      errors.push(`${label}.key ${rank.key} is used more than once`);
+    } else {
+      keys.add(rank.key);
+    }
+    if (typeof rank.name !== 'string' || !rank.name.trim()) {
+      errors.push(`${label}.name is required`);
+    }
+
+    const criteria = Object.values(CRITERIA).filter(field => rank[field] !== undefined);
+    if (!criteria.length) {
+      errors.push(`${label} must set ${Object.values(CRITERIA).join(', ')} or a combination`);
+    }
+    criteria.forEach(field => {
+      const whole = WHOLE_NUMBER_CRITERIA.includes(field);
+      if (!isNonNegativeNumber(rank[field]) || (whole && !Number.isInteger(rank[field]))) {
+        errors.push(`${label}.${field} must be a non-negative ${whole ? 'whole number' : 'amount'}`);
+      }
+    });
+
+    if (rank.bonus !== undefined && !isNonNegativeNumber(rank.bonus)) {
+      errors.push(`${label}.bonus must be a non-negative amount`);
+    }
+    if (rank.active !== undefined && typeof rank.active !== 'boolean') {
+      errors.push(`${label}.active must be true or false`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * The active ranks, lowest first, with their ladder position
+ */
+const activeRanks = (siteConfig) =>
+  (siteConfig.referralRanks || [])
+    .map((rank, i) => ({ ...rank, level: i + 1 }))
+    .filter(rank => rank && rank.active !== false);
+
+/**
+ * Naira value of a getTeamVolume() byCurrency breakdown
+ */
+const volumeInNaira = async (byCurrency) => {
+  let total = 0;
+  for (const [currency, { amount }] of Object.entries(byCurrency)) {
+    const conversion = await getConversionRate(currency);
+    if (!conversion) {
+      console.warn(`[referralRanks] No exchange rate for ${currency}; its team volume is not counted`);
+      continue;
+    }
+    total += amount * conversion.rate;
+  }
+  return total;
+};
+
+/**
+ * What ranks are judged on
+ * @returns {Promise<{directReferrals: number, teamVolume: number, coFounderDownlines: number}>}
+ */
+const getRankMetrics = async (userId) => {
+  const [counts, volume, coFounders] = await Promise.all([
+    referralGraph.countByGeneration(userId, 1),
+    referralGraph.getTeamVolume(userId),
+    referralGraph.getTeamVolume(userId, { purchaseType: 'co-founder' })
+  ]);
+
+  return {
+    directReferrals: counts[1] || 0,
+    teamVolume: await volumeInNaira(volume.byCurrency),
+    coFounderDownlines: coFounders.buyers
+  };
+};
+
+// Metric against threshold for every criterion a rank sets
+const rankProgress = (rank, metrics) =>
+  Object.entries(CRITERIA)
+    .filter(([, field]) => rank[field] !== undefined)
+    .map(([metric, field]) => ({ metric, required: rank[field], current: metrics[metric] }));
+
+const qualifies = (rank, metrics) =>
+  rankProgress(rank, metrics).every(({ required, current }) => current >= required);
+
+/**
+ * Award a rank and pay its bonus in one transaction
+ * @returns {Promise<Object|null>} the award, or null if it was already awarded
+ */
+const awardRank = async (userId, rank, metrics) => {
+  try {
+    return await ledgerService.withLedgerSession(async (session) => {
+      const [award] = await ReferralRankAward.create([{
+        user: userId,
+        rank: rank.key,
+        name: rank.name,
+        level: rank.level,
+        metrics,
+        bonus: { amount: rank.bonus || 0 }
+      }], { session });
+
+      if (rank.bonus > 0) {
+        const reference = `rank_bonus:${award._id.toString()}`;
+        await ledgerService.recordReferralBonus(userId, rank.bonus, {
+          reference,
+          description: `${rank.name} rank bonus`,
+          sourceModel: 'ReferralRankAward',
+          sourceId: award._id.toString(),
+          metadata: { rank: rank.key, currency: 'naira' }
+        }, { session });
+        award.bonus.ledgerReference = reference;
+        await award.save({ session });
+      }
+      return award;
+    });
+  } catch (error) {
+    if (error.code === 11000) return null; // Awarded by a concurrent run
+    throw error;
+  }
+};
+
+/**
+ * Award every rank the user now qualifies for and has not had yet, and
+ * refresh the rank shown on their Referral record
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - only report the ranks that are due
+ * @returns {Promise<{awarded: Object[], due: Object[]}>}
+ */
+const evaluateRanks = async (userId, { dryRun = false } = {}) => {
+  const siteConfig = await SiteConfig.getCurrentConfig();
+  const ranks = activeRanks(siteConfig);
+  if (!ranks.length) return { awarded: [], due: [] };
+
+  const held = new Set(await ReferralRankAward.find({ user: userId }).distinct('rank'));
+  const open = ranks.filter(rank => !held.has(rank.key));
+  if (!open.length) return { awarded: [], due: [] };
+
+  const metrics = await getRankMetrics(userId);
+  const due = open.filter(candidate => qualifies(candidate, metrics));
+  if (dryRun) return { awarded: [], due };
+
+  const awarded = [];
+  for (const rank of due) {
+    const award = await awardRank(userId, rank, metrics);
+    if (award) awarded.push(award);
+  }
+  if (!awarded.length) return { awarded, due };
+
+  const [highest] = await ReferralRankAward.find({ user: userId }).sort({ level: -1, achievedAt: -1 }).limit(1);
+  await Referral.updateOne(
+    { user: userId },
+    { $set: { rank: { key: highest.rank, name: highest.name, achievedAt: highest.achievedAt } } },
+    { upsert: true }
+  );
+  if (awarded.some(award => award.bonus.amount > 0)) {
+    await ledgerService.syncReferralBalances(userId);
+  }
+
+  console.log(`🏅 ${userId} reached ${awarded.map(award => award.name).join(', ')}`);
+  return { awarded, due };
+};
+
+/**
+ * Current rank, progress toward the next one and rank history, for display
+ */
+const getRankSummary = async (userId) => {
+  const siteConfig = await SiteConfig.getCurrentConfig();
+  const ranks = activeRanks(siteConfig);
+  const history = await ReferralRankAward.find({ user: userId }).sort({ level: 1, achievedAt: 1 }).lean();
+
+  const current = history.reduce((best, award) => (!best || award.level > best.level ? award : best), null);
+  const held = new Set(history.map(award => award.rank));
+  const next = ranks.find(rank => !held.has(rank.key)) || null;
+  const metrics = next ? await getRankMetrics(userId) : null;
+
+  return {
+    current: current ? { key: current.rank, name: current.name, achievedAt: current.achievedAt } : null,
+    next: next
+      ? { key: next.key, name: next.name, bonus: next.bonus || 0, progress: rankProgress(next, metrics) }
+      : null,
+    history: history.map(award => ({
+      key: award.rank,
+      name: award.name,
+      achievedAt: award.achievedAt,
+      bonus: award.bonus.amount,
+      metrics: award.metrics
+    }))
+  };
+};
+
+module.exports = {
+  CRITERIA,
+  validateRanks,
+  activeRanks,
+  getRankMetrics,
+  evaluateRanks,
+  getRankSummary
+};
@@ -0,0 +1,209 @@
+// utils/referralRules.js
+/**
+ * Referral commission rules.
+ *
+ * The policy lives on SiteConfig and is edited through
+ * POST /api/users/admin/referral/update-rates:
+ *
+ *   referralRates        [{ level, rate }]  percentage paid to each generation.
+ *                                           Empty means "use referralCommission
+ *                                           generation1..3" (the older setting).
+ *   referralMaxDepth     how many generations up the chain are paid
+ *   referralMinPurchase  purchases worth less than this in naira pay no
+ *                        commission (others are converted first)
+ *   referralLockDays     days a commission stays locked before it can be
+ *                        withdrawn (0 = withdrawable at once)
+ *   commissionRules      overrides for a purchase type and/or tier:
+ *
+ *     {
+ *       name: 'Co-founder packages',
+ *       purchaseType: 'co-founder',      // 'share' | 'co-founder' | 'other'
+ *       tierKey: 'cofounder',            // optional
+ *       rates: [{ level: 1, rate: 10 }], // optional; replaces the level rates
+ *       maxDepth: 2,                     // optional
+ *       minPurchase: 0,                  // optional
+ *       lockDays: 14,                    // optional
+ *       active: true
+ *     }
+ *
+ * The most specific active rule wins: purchase type and tier, then tier only,
+ * then purchase type only. Settings a rule leaves out fall back to the global
+ * ones.
+ */
+
+const mongoose = require('mongoose');
+const TransactionV2 = require('../models/TransactionV2');
+const PaymentTransaction = require('../models/Transaction');
+
+const MAX_REFERRAL_DEPTH = 10;
+const PURCHASE_TYPES = ['share', 'co-founder', 'other'];
+const RULE_FIELDS = ['name', 'purchaseType', 'tierKey', 'rates', 'maxDepth', 'minPurchase', 'lockDays', 'active'];
+
+const isNonNegativeNumber = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+const isDepth = (value) => Number.isInteger(value) && value >= 1 && value <= MAX_REFERRAL_DEPTH;
+
+/**
+ * Problems with a list of { level, rate } entries. Rates are percentages of
+ * the purchase; together they may not exceed 100.
+ */
+function validateLevels(levels, label = 'levels') {
+  if (!Array.isArray(levels)) return [`${label} must be an array of { level, rate }`];
+
+  const errors = [];
+  const seen = new Set();
+  let total = 0;
+
+  levels.forEach((entry, i) => {
+    const level = entry?.level;
+    const rate = entry?.rate;
+    if (!isDepth(level)) {
+      errors.push(`${label}[${i}].level must be a whole number from 1 to ${MAX_REFERRAL_DEPTH}`);
+    } else if (seen.has(level)) {
+      errors.push(`${label}[${i}].level ${level} is listed more than once`);
+    } else {
+      seen.add(level);
+    }
+    if (!isNonNegativeNumber(rate) || rate > 100) {
+      errors.push(`${label}[${i}].rate must be a percentage from 0 to 100`);
+    } else {
+      total += rate;
+    }
+  });
+
+  if (total > 100) errors.push(`${label} add up to ${total}%, more than the purchase`);
+  return errors;
+}
+
+/**
+ * Problems with a commissionRules list; empty when it can be saved.
+ */
+function validateRules(rules) {
+  if (!Array.isArray(rules)) return ['commissionRules must be an array'];
+
+  const errors = [];
+  const selectors = new Set();
+
+  rules.forEach((rule, i) => {
+    const label = `commissionRules[${i}]`;
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+
+    const unknown = Object.keys(rule).filter(key => !RULE_FIELDS.includes(key));
+    if (unknown.length) errors.push(`${label} has unknown fields: ${unknown.join(', ')}`);
+
+    if (typeof rule.name !== 'string' || !rule.name.trim()) {
+      errors.push(`${label}.name is required`);
+    }
+    if (rule.purchaseType !== undefined && !PURCHASE_TYPES.includes(rule.purchaseType)) {
+      errors.push(`${label}.purchaseType must be one of ${PURCHASE_TYPES.join(', ')}`);
+    }
+    if (rule.tierKey !== undefined && (typeof rule.tierKey !== 'string' || !rule.tierKey.trim())) {
+      errors.push(`${label}.tierKey must be a tier key`);
+    }
+    if (rule.purchaseType === undefined && rule.tierKey === undefined) {
+      errors.push(`${label} must name a purchaseType, a tierKey or both`);
+    }
+    if (['rates', 'maxDepth', 'minPurchase', 'lockDays'].every(key => rule[key] === undefined)) {
+      errors.push(`${label} must set rates, maxDepth, minPurchase or lockDays`);
+    }
+    if (rule.rates !== undefined) errors.push(...validateLevels(rule.rates, `${label}.rates`));
+    if (rule.maxDepth !== undefined && !isDepth(rule.maxDepth)) {
+      errors.push(`${label}.maxDepth must be a whole number from 1 to ${MAX_REFERRAL_DEPTH}`);
+    }
+    if (rule.minPurchase !== undefined && !isNonNegativeNumber(rule.minPurchase)) {
+      errors.push(`${label}.minPurchase must be a non-negative number`);
+    }
+    if (rule.lockDays !== undefined && !(Number.isInteger(rule.lockDays) && rule.lockDays >= 0)) {
+      errors.push(`${label}.lockDays must be a non-negative whole number`);
+    }
+    if (rule.active !== undefined && typeof rule.active !== 'boolean') {
+      errors.push(`${label}.active must be true or false`);
+    }
+
+    if (rule.active !== false) {
+      const selector = `${rule.purchaseType || '*'}|${rule.tierKey || '*'}`;
+      if (selectors.has(selector)) errors.push(`${label} matches the same purchases as an earlier active rule`);
+      selectors.add(selector);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Level rates in force when no rule overrides them.
+ */
+function baseLevels(siteConfig) {
+  if (Array.isArray(siteConfig.referralRates) && siteConfig.referralRates.length) {
+    return siteConfig.referralRates;
+  }
+  const legacy = siteConfig.referralCommission || { generation1: 15, generation2: 3, generation3: 2 };
+  return [1, 2, 3].map(level => ({ level, rate: legacy[`generation${level}`] || 0 }));
+}
+
+function matchRule(rules, purchaseType, tierKey) {
+  const active = (rules || []).filter(rule => rule && rule.active !== false);
+  const candidates = [
+    rule => rule.purchaseType === purchaseType && tierKey && rule.tierKey === tierKey,
+    rule => !rule.purchaseType && tierKey && rule.tierKey === tierKey,
+    rule => rule.purchaseType === purchaseType && !rule.tierKey
+  ];
+  for (const matches of candidates) {
+    const rule = active.find(matches);
+    if (rule) return rule;
+  }
+  return null;
+}
+
+/**
+ * The commission policy for one purchase.
+ *
+ * @returns {{ rule: string|null, maxDepth: number, minPurchase: number, lockDays: number, rates: Object<number, number> }}
+ *          rates maps generation to percentage
+ */
+function resolvePolicy(siteConfig, { purchaseType = 'share', tierKey = null } = {}) {
+  const rule = matchRule(siteConfig.commissionRules, purchaseType, tierKey);
+  const levels = rule?.rates || baseLevels(siteConfig);
+  const maxDepth = rule?.maxDepth ?? siteConfig.referralMaxDepth ?? 3;
+
+  return {
+    rule: rule?.name || null,
+    maxDepth: Math.min(Math.max(parseInt(maxDepth, 10) || 1, 1), MAX_REFERRAL_DEPTH),
+    minPurchase: Number(rule?.minPurchase ?? siteConfig.referralMinPurchase ?? 0) || 0,
+    lockDays: Math.max(parseInt(rule?.lockDays ?? siteConfig.referralLockDays ?? 0, 10) || 0, 0),
+    rates: Object.fromEntries(levels.map(({ level, rate }) => [Number(level), Number(rate) || 0]))
+  };
+}
+
+const hasTierRules = (siteConfig) =>
+  (siteConfig.commissionRules || []).some(rule => rule && rule.active !== false && rule.tierKey);
+
+/**
+ * Tier a purchase was for, found from the V2 transaction record. Accepts the
+ * V2 transactionId or the _id of a PaymentTransaction.
+ */
+async function tierKeyForTransaction(transactionId) {
+  const id = String(transactionId);
+  const v2 = await TransactionV2.findOne({ transactionId: id }).select('tierKey').lean();
+  if (v2) return v2.tierKey;
+  if (!mongoose.isValidObjectId(id)) return null;
+
+  const payment = await PaymentTransaction.findById(id).select('transactionId packageId').lean();
+  if (!payment) return null;
+  const linked = payment.transactionId
+    ? await TransactionV2.findOne({ transactionId: payment.transactionId }).select('tierKey').lean()
+    : null;
+  return linked?.tierKey || (typeof payment.packageId === 'string' ? payment.packageId : null);
+}
+
+module.exports = {
+  MAX_REFERRAL_DEPTH,
+  PURCHASE_TYPES,
+  validateLevels,
+  validateRules,
+  resolvePolicy,
+  hasTierRules,
+  tierKeyForTransaction
+};
@@ -0,0 +1,351 @@
+// utils/referralStatementService.js
+/**
+ * Referral income statements.
+ *
+ * A statement covers one period and lists every commission credited to the
+ * user in it (referred user, generation, source purchase, rate, amount),
+ * rank bonuses and withdrawals, with totals per currency. Users download it
+ * from GET /api/referral/statement; referralCronJobs.referralMonthlyStatements
+ * emails last month's to everyone with referral activity on the 1st.
+ */
+
+const PDFDocument = require('pdfkit');
+const moment = require('moment');
+const User = require('../models/User');
+const ReferralTransaction = require('../models/ReferralTransaction');
+const ReferralRankAward = require('../models/ReferralRankAward');
+const Withdrawal = require('../models/Withdrawal');
+const ledgerService = require('./ledgerService');
+const { settlementAmount } = require('./referralCurrency');
+const { sendEmail } = require('./emailService');
+
+const MAX_PERIOD_DAYS = 366;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const MONTH = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+// Commission statuses a statement shows; failed records never moved money
+const STATEMENT_STATUSES = ['completed', 'pending', 'rolled_back', 'voided'];
+
+class StatementError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'StatementError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Period a statement covers: ?month=YYYY-MM, or ?from=…&to=… (a date-only
+ * `to` includes that whole day), or this month so far. `to` is exclusive.
+ * @returns {{from: Date, to: Date}}
+ */
+const resolveStatementPeriod = ({ month, from, to } = {}, now = new Date()) => {
+  if (month) {
+    if (!MONTH.test(month)) throw new StatementError('month must be YYYY-MM');
+    const start = moment.utc(month, 'YYYY-MM');
+    return { from: start.toDate(), to: start.clone().add(1, 'month').toDate() };
+  }
+
+  if (!from && !to) {
+    return { from: moment.utc(now).startOf('month').toDate(), to: now };
+  }
+
+  const start = new Date(from);
+  let end = to ? new Date(to) : now;
+  if (!from || Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+    throw new StatementError('from and to must be dates');
+  }
+  if (DATE_ONLY.test(to || '')) end = moment.utc(end).add(1, 'day').toDate();
+
+  if (end <= start) throw new StatementError('to must be after from');
+  if (start > now) throw new StatementError('The statement period has not started yet');
+  if ((end - start) / (24 * 60 * 60 * 1000) > MAX_PERIOD_DAYS) {
+    throw new StatementError(`A statement can cover at most ${MAX_PERIOD_DAYS} days`);
+  }
+  return { from: start, to: end };
+};
+
+/**
+ * Everything a statement shows, for one user and period
+ */
+const getStatementData = async (userId, { from, to }) => {
+  const user = await User.findById(userId).select('name userName email').lean();
+  if (!user) throw new StatementError('User not found', 404);
+
+  const period = { $gte: from, $lt: to };
+  const [commissions, awards, withdrawals, balances] = await Promise.all([
+    ReferralTransaction.find({ beneficiary: userId, status: { $in: STATEMENT_STATUSES }, createdAt: period })
+      .populate('referredUser', 'userName name')
+      .sort({ createdAt: 1 })
+      .lean(),
+    ReferralRankAward.find({ user: userId, achievedAt: period, 'bonus.amount': { $gt: 0 } })
+      .sort({ achievedAt: 1 })
+      .lean(),
+    Withdrawal.find({ user: userId, createdAt: period })
+      .sort({ createdAt: 1 })
+      .lean(),
+    ledgerService.getUserBalances(userId)
+  ]);
+
+  const totals = {};
+  const currencyTotals = (currency) =>
+    totals[currency] || (totals[currency] = { earned: 0, held: 0, reversed: 0, bonuses: 0, commissions: 0 });
+
+  for (const commission of commissions) {
+    const row = currencyTotals(commission.currency || 'naira');
+    row.commissions++;
+    if (commission.status === 'completed') row.earned += commission.amount;
+    if (commission.status === 'pending') row.held += commission.amount;
+    if (commission.status === 'rolled_back') row.reversed += commission.amount;
+  }
+  for (const award of awards) {
+    currencyTotals(award.bonus.currency || 'naira').bonuses += award.bonus.amount;
+  }
+
+  const paid = withdrawals.filter(withdrawal => withdrawal.status === 'paid');
+
+  return {
+    user,
+    period: { from, to },
+    commissions: commissions.map(commission => ({
+      date: commission.createdAt,
+      referredUser: commission.referredUser?.userName || 'Unknown',
+      generation: commission.generation,
+      purchaseType: commission.purchaseType,
+      sourceTransaction: commission.sourceTransaction,
+      baseAmount: commission.commissionDetails?.baseAmount ?? null,
+      rate: commission.commissionDetails?.commissionRate ?? null,
+      amount: commission.amount,
+      currency: commission.currency || 'naira',
+      // Naira credited, at the rate of the day it was accrued
+      nairaAmount: settlementAmount(commission),
+      exchangeRate: commission.conversion?.rate ?? null,
+      status: commission.status
+    })),
+    bonuses: awards.map(award => ({
+      date: award.achievedAt,
+      rank: award.name,
+      amount: award.bonus.amount,
+      currency: award.bonus.currency || 'naira'
+    })),
+    withdrawals: withdrawals.map(withdrawal => ({
+      date: withdrawal.createdAt,
+      reference: withdrawal.clientReference,
+      method: withdrawal.paymentMethod || withdrawal.withdrawalType,
+      amount: withdrawal.amount,
+      status: withdrawal.status
+    })),
+    summary: {
+      byCurrency: totals,
+      withdrawn: paid.reduce((sum, withdrawal) => sum + withdrawal.amount, 0),
+      withdrawals: withdrawals.length,
+      balancesToday: balances
+    }
+  };
+};
+
+const CURRENCY_LABELS = { naira: 'NGN', usdt: 'USDT', USD: 'USD' };
+
+const formatMoney = (amount, currency = 'naira') =>
+  `${CURRENCY_LABELS[currency] || currency.toUpperCase()} ${Number(amount || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const formatDate = (date) => moment(date).format('D MMM YYYY');
+
+const STATUS_LABELS = {
+  completed: 'Paid',
+  pending: 'Held for review',
+  rolled_back: 'Reversed',
+  voided: 'Voided'
+};
+
+/**
+ * Lay a statement out as a PDF
+ * @returns {Promise<Buffer>}
+ */
+const renderStatementPdf = (data) => new Promise((resolve, reject) => {
+  try {
+    const doc = new PDFDocument({
+      size: 'A4',
+      layout: 'landscape',
+      margin: 40,
+      info: {
+        Title: 'Referral Earnings Statement',
+        Author: 'Afrimobile',
+        Subject: `Referral statement for ${data.user.userName}`
+      }
+    });
+
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const left = 40;
+    const bottom = doc.page.height - 60;
+    const lastDay = moment(data.period.to).subtract(1, 'millisecond');
+
+    // Heading
+    doc.fontSize(20)
+      .fillColor('#5A19A0')
+      .text('REFERRAL EARNINGS STATEMENT', { align: 'center' })
+      .moveDown(0.5);
+    doc.fontSize(10)
+      .fillColor('#333333')
+      .text(`${data.user.name} (${data.user.userName}) - ${data.user.email}`, { align: 'center' })
+      .text(`${formatDate(data.period.from)} to ${formatDate(lastDay)}`, { align: 'center' })
+      .moveDown(1);
+
+    // Columns: [header, x, width, value]
+    const table = (title, columns, rows) => {
+      const ensureRoom = (height) => {
+        if (doc.y + height > bottom) doc.addPage();
+      };
+      const drawHeader = () => {
+        const y = doc.y;
+        doc.fontSize(8).fillColor('#5A19A0');
+        columns.forEach(([header, x, width]) => doc.text(header, x, y, { width }));
+        doc.moveTo(left, doc.y + 2).lineTo(doc.page.width - left, doc.y + 2).lineWidth(0.5).stroke('#CCCCCC');
+        doc.y += 6;
+      };
+
+      ensureRoom(60);
+      doc.fontSize(12).fillColor('#333333').text(title, left, doc.y).moveDown(0.3);
+      if (!rows.length) {
+        doc.fontSize(9).fillColor('#666666').text('None in this period', left, doc.y).moveDown(1);
+        return;
+      }
+      drawHeader();
+      rows.forEach(row => {
+        ensureRoom(16);
+        if (doc.y === doc.page.margins.top) drawHeader();
+        const y = doc.y;
+        doc.fontSize(8).fillColor('#333333');
+        columns.forEach(([, x, width, value]) => doc.text(String(value(row) ?? '-'), x, y, { width, lineBreak: false }));
+        doc.y = y + 14;
+      });
+      doc.moveDown(1);
+    };
+
+    // Summary per currency
+    const currencies = Object.entries(data.summary.byCurrency);
+    doc.fontSize(12).fillColor('#333333').text('SUMMARY', left, doc.y).moveDown(0.3);
+    doc.fontSize(9);
+    if (!currencies.length) doc.text('No referral earnings in this period', left, doc.y);
+    currencies.forEach(([currency, row]) => {
+      doc.text(
+        `${CURRENCY_LABELS[currency] || currency}: ${row.commissions} commission(s), ` +
+        `${formatMoney(row.earned, currency)} paid, ${formatMoney(row.bonuses, currency)} rank bonuses, ` +
+        `${formatMoney(row.held, currency)} held for review, ${formatMoney(row.reversed, currency)} reversed`,
+        left, doc.y
+      );
+    });
+    doc.text(`Withdrawn in this period: ${formatMoney(data.summary.withdrawn)} (${data.summary.withdrawals} request(s))`, left, doc.y);
+    doc.text(
+      `Balances today: ${formatMoney(data.summary.balancesToday.availableBalance)} available, ` +
+      `${formatMoney(data.summary.balancesToday.lockedEarnings)} locked`,
+      left, doc.y
+    );
+    doc.moveDown(1);
+
+    table('COMMISSIONS', [
+      ['Date', 40, 70, row => formatDate(row.date)],
+      ['Referred user', 110, 110, row => row.referredUser],
+      ['Gen', 220, 30, row => row.generation],
+      ['Type', 250, 60, row => row.purchaseType],
+      ['Source purchase', 310, 150, row => row.sourceTransaction],
+      ['Purchase', 460, 90, row => (row.baseAmount === null ? '-' : formatMoney(row.baseAmount, row.currency))],
+      ['Rate', 550, 45, row => (row.rate === null ? '-' : `${row.rate}%`)],
+      ['Amount', 595, 100, row => formatMoney(row.amount, row.currency)],
+      ['Status', 695, 107, row => STATUS_LABELS[row.status] || row.status]
+    ], data.commissions);
+
+    table('RANK BONUSES', [
+      ['Date', 40, 100, row => formatDate(row.date)],
+      ['Rank', 140, 200, row => row.rank],
+      ['Amount', 340, 150, row => formatMoney(row.amount, row.currency)]
+    ], data.bonuses);
+
+    table('WITHDRAWALS', [
+      ['Date', 40, 100, row => formatDate(row.date)],
+      ['Reference', 140, 220, row => row.reference],
+      ['Method', 360, 100, row => row.method],
+      ['Amount', 460, 130, row => formatMoney(row.amount)],
+      ['Status', 590, 100, row => row.status.charAt(0).toUpperCase() + row.status.slice(1)]
+    ], data.withdrawals);
+
+    doc.fontSize(8)
+      .fillColor('#666666')
+      .text(`Generated ${moment().format('D MMM YYYY, h:mm A')}. This is an electronically generated statement and does not require a signature.`, left, doc.y, { align: 'center' });
+
+    doc.end();
+  } catch (error) {
+    reject(error);
+  }
+});
+
+const statementFileName = (data) =>
+  `referral-statement-${data.user.userName}-${moment.utc(data.period.from).format('YYYY-MM-DD')}.pdf`;
+
+/**
+ * Email every user with referral activity last month their statement
+ * @param {Object} [options]
+ * @param {string} [options.month] - YYYY-MM; defaults to last month
+ * @returns {Promise<{month: string, users: number, sent: number, failed: number}>}
+ */
+const sendMonthlyStatements = async ({ month = moment.utc().subtract(1, 'month').format('YYYY-MM') } = {}) => {
+  const { from, to } = resolveStatementPeriod({ month });
+  const period = { $gte: from, $lt: to };
+
+  const [earners, bonusUsers, withdrawers] = await Promise.all([
+    ReferralTransaction.distinct('beneficiary', { status: { $in: STATEMENT_STATUSES }, createdAt: period }),
+    ReferralRankAward.distinct('user', { achievedAt: period, 'bonus.amount': { $gt: 0 } }),
+    Withdrawal.distinct('user', { createdAt: period })
+  ]);
+  const userIds = [...new Set([...earners, ...bonusUsers, ...withdrawers].map(String))];
+
+  const label = moment.utc(from).format('MMMM YYYY');
+  let sent = 0;
+  let failed = 0;
+
+  for (const userId of userIds) {
+    try {
+      const data = await getStatementData(userId, { from, to });
+      const pdf = await renderStatementPdf(data);
+      const naira = data.summary.byCurrency.naira;
+
+      const delivered = await sendEmail({
+        email: data.user.email,
+        subject: `Your referral statement for ${label}`,
+        html: `
+          <h2>Your referral statement for ${label}</h2>
+          <p>Hello ${data.user.name},</p>
+          <p>Your referral earnings statement for ${label} is attached.</p>
+          <ul>
+            <li>Commissions: ${data.commissions.length}</li>
+            <li>Paid: ${formatMoney(naira?.earned || 0)}</li>
+            <li>Rank bonuses: ${formatMoney(naira?.bonuses || 0)}</li>
+            <li>Withdrawn: ${formatMoney(data.summary.withdrawn)}</li>
+          </ul>
+          <p>You can download a statement for any period from your referral dashboard.</p>
+        `,
+        attachments: [{ filename: statementFileName(data), content: pdf, contentType: 'application/pdf' }]
+      });
+      if (delivered) sent++;
+      else failed++;
+    } catch (error) {
+      failed++;
+      console.error(`Error sending referral statement to ${userId}:`, error.message);
+    }
+  }
+
+  return { month, users: userIds.length, sent, failed };
+};
+
+module.exports = {
+  StatementError,
+  resolveStatementPeriod,
+  getStatementData,
+  renderStatementPdf,
+  statementFileName,
+  sendMonthlyStatements
+};
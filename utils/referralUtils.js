@@ -6,19 +6,30 @@ const UserShare = require('../models/UserShare');
 const PaymentTransaction = require('../models/Transaction');
 const SiteConfig = require('../models/SiteConfig');
 const CoFounderShare = require('../models/CoFounderShare');
+const ReferralFraudFlag = require('../models/ReferralFraudFlag');
+const ledgerService = require('./ledgerService');
+const { resolvePolicy, hasTierRules, tierKeyForTransaction, MAX_REFERRAL_DEPTH } = require('./referralRules');
+const referralGraph = require('./referralGraph');
+const { campaignForPurchase, campaignDepth, reserveCampaignBudget, releaseCampaignBudget } = require('./referralCampaigns');
+const { evaluateRanks } = require('./referralRanks');
+const { getConversionRate, convert, settlementAmount, ConversionRateError } = require('./referralCurrency');
 
 // CONFIGURATION: 1 Co-founder share = 29 regular shares
 const COFOUNDER_TO_SHARES_RATIO = 29;
 
 /**
  * Process referral commissions for a transaction (FIXED for co-founder shares)
+ * Depth, minimum purchase and per-generation rates come from the SiteConfig
+ * rules (utils/referralRules.js).
  * @param {string} userId - User ID who made the purchase 
  * @param {number} purchaseAmount - Transaction amount
  * @param {string} purchaseType - Type of purchase (share, cofounder, etc.)
  * @param {string} transactionId - Transaction ID (MongoDB ObjectId)
+ * @param {object} [options]
+ * @param {string} [options.tierKey] - Tier bought; looked up from the transaction when omitted
  * @returns {object} - Processing result
  */
-const processReferralCommission = async (userId, purchaseAmount, purchaseType = 'share', transactionId = null) => {
+const processReferralCommission = async (userId, purchaseAmount, purchaseType = 'share', transactionId = null, options = {}) => {
   try {
     console.log(`\n🎯 [FIXED] Processing referral commission for user: ${userId}`);
     console.log(`💰 Purchase amount: ${purchaseAmount}, Type: ${purchaseType}, Transaction: ${transactionId}`);
@@ -44,15 +55,21 @@ const processReferralCommission = async (userId, purchaseAmount, purchaseType =
     
     console.log(`👤 Purchaser: ${purchaser.userName}, Referred by: ${purchaser.referralInfo.code}`);
     
-    // Get site config for commission rates
+    // Get site config for the commission rules
     const siteConfig = await SiteConfig.getCurrentConfig();
-    const commissionRates = siteConfig.referralCommission || {
-      generation1: 15,
-      generation2: 3,
-      generation3: 2
-    };
+    let tierKey = (options && typeof options === 'object' && options.tierKey) || null;
+    if (!tierKey && hasTierRules(siteConfig)) {
+      tierKey = await tierKeyForTransaction(transactionId);
+    }
+    const policy = resolvePolicy(siteConfig, { purchaseType, tierKey });
 
-    console.log(`📊 Commission rates: Gen1: ${commissionRates.generation1}%, Gen2: ${commissionRates.generation2}%, Gen3: ${commissionRates.generation3}%`);
+    console.log(`📊 Commission policy${policy.rule ? ` (rule: ${policy.rule})` : ''}: depth ${policy.maxDepth}, rates ${JSON.stringify(policy.rates)}, minimum ${policy.minPurchase}, lock ${policy.lockDays} days`);
+    
+    // Commissions stay locked (not withdrawable) until the lock period is over
+    const now = new Date();
+    const maturity = policy.lockDays > 0
+      ? { maturityStatus: 'pending', maturesAt: new Date(now.getTime() + policy.lockDays * 24 * 60 * 60 * 1000) }
+      : { maturityStatus: 'matured', maturedAt: now };
 
     // FIXED: Determine currency and source model based on purchase type
     let currency = 'naira'; // Default currency
@@ -74,13 +91,38 @@ const processReferralCommission = async (userId, purchaseAmount, purchaseType =
     }
     
     console.log(`💱 Using currency: ${currency}, Source model: ${sourceModel}`);
+
+    // Balances are naira: every commission on this purchase is converted at
+    // the rate in effect now, and keeps that rate. Without any rate the
+    // purchase can't be credited, which the caller has to hear about.
+    const conversionRate = await getConversionRate(currency);
+    if (!conversionRate) throw new ConversionRateError(currency);
+
+    // The minimum is set in naira; other currencies are held to it at the same rate
+    if (convert(purchaseAmount, conversionRate).settlementAmount < policy.minPurchase) {
+      console.log(`⏹️  Purchase below the referral minimum of ${policy.minPurchase}, skipping commission`);
+      return { success: false, message: 'Purchase is below the referral minimum', minPurchase: policy.minPurchase };
+    }
+
+    // A campaign the purchaser signed up through may boost some generations
+    const campaign = await campaignForPurchase(purchaser, {
+      currency,
+      tierKey: async () => tierKey || (tierKey = await tierKeyForTransaction(transactionId))
+    });
+    const campaignRates = campaign
+      ? Object.fromEntries(campaign.rates.map(({ level, rate }) => [level, rate]))
+      : {};
+    const maxDepth = campaign ? Math.max(policy.maxDepth, campaignDepth(campaign)) : policy.maxDepth;
+    if (campaign) {
+      console.log(`📣 Campaign ${campaign.code}: rates ${JSON.stringify(campaignRates)}`);
+    }
     
     // ENHANCED: Check for existing commissions to prevent duplicates
     const existingCommissions = await ReferralTransaction.find({
       referredUser: userId,
       sourceTransaction: transactionId,
       sourceTransactionModel: sourceModel,
-      status: { $in: ['completed', 'pending'] } // Check both completed and pending
+      status: { $in: ['completed', 'pending', 'voided'] } // Paid, held for review or voided
     });
 
     if (existingCommissions.length > 0) {
@@ -105,12 +147,16 @@ const processReferralCommission = async (userId, purchaseAmount, purchaseType =
       };
     }
     
-    // Process up to 3 generations of referrals
+    // Process as many generations as the policy pays
     let currentUser = purchaser;
     let commissionsCreated = 0;
     const createdCommissions = [];
+    // Fraud flags on the referral path so far: open ones hold every commission
+    // above them, a voided one voids it
+    const holdFlags = [];
+    let voidedBy = null;
     
-    for (let generation = 1; generation <= 3; generation++) {
+    for (let generation = 1; generation <= maxDepth; generation++) {
       try {
         // Check if current user has a referrer
         if (!currentUser.referralInfo || !currentUser.referralInfo.code) {
@@ -128,6 +174,14 @@ const processReferralCommission = async (userId, purchaseAmount, purchaseType =
         
         console.log(`\n👥 Generation ${generation} referrer: ${referrer.userName} (ID: ${referrer._id})`);
         
+        const edgeFlag = await ReferralFraudFlag.findOne({
+          user: currentUser._id,
+          referrer: referrer._id,
+          status: { $in: ['open', 'voided'] }
+        }).select('_id status');
+        if (edgeFlag?.status === 'open') holdFlags.push(edgeFlag._id);
+        if (edgeFlag?.status === 'voided' && !voidedBy) voidedBy = edgeFlag._id;
+        
         // FIXED: Double-check for existing commission for this specific generation
         const existingGenCommission = await ReferralTransaction.findOne({
           beneficiary: referrer._id,
@@ -144,8 +198,17 @@ const processReferralCommission = async (userId, purchaseAmount, purchaseType =
           continue;
         }
         
-        // Calculate commission
-        const commissionRate = commissionRates[`generation${generation}`];
+        // Calculate commission: the campaign rate where it is higher and the
+        // campaign budget covers it, the policy rate otherwise
+        const policyRate = generation <= policy.maxDepth ? (policy.rates[generation] || 0) : 0;
+        const campaignRate = campaignRates[generation] || 0;
+        let commissionRate = policyRate;
+        let boostedBy = null;
+        if (campaignRate > policyRate && !voidedBy &&
+            await reserveCampaignBudget(campaign._id, (purchaseAmount * campaignRate) / 100)) {
+          commissionRate = campaignRate;
+          boostedBy = campaign;
+        }
         if (!commissionRate || commissionRate <= 0) {
           console.log(`⏭️  No commission rate for generation ${generation}, skipping`);
           currentUser = referrer;
@@ -166,11 +229,18 @@ const processReferralCommission = async (userId, purchaseAmount, purchaseType =
           purchaseType: purchaseType,
           sourceTransaction: transactionId,
           sourceTransactionModel: sourceModel,
-          status: 'completed',
+          status: voidedBy ? 'voided' : holdFlags.length ? 'pending' : 'completed',
+          campaign: boostedBy?._id || null,
+          conversion: convert(commissionAmount, conversionRate),
+          ...(voidedBy ? { maturityStatus: 'cancelled', maturesAt: maturity.maturesAt || null } : maturity),
+          ...(holdFlags.length && !voidedBy ? { fraudHold: { flags: [...holdFlags], heldAt: new Date() } } : {}),
+          ...(voidedBy ? { notes: `Voided: referral path flagged as fraudulent (flag ${voidedBy})` } : {}),
           createdAt: new Date(),
           commissionDetails: {
             baseAmount: purchaseAmount,
             commissionRate: commissionRate,
+            rule: policy.rule || undefined,
+            policyRate: boostedBy ? policyRate : undefined,
             calculatedAt: new Date(),
             referrerUserName: referrer.userName,
             purchaserUserName: purchaser.userName,
@@ -203,9 +273,15 @@ const processReferralCommission = async (userId, purchaseAmount, purchaseType =
           }
         }
         
-        // Create referral transaction
+        // Create referral transaction; a completed commission is credited to
+        // the ledger in the same transaction, so it is never left unpaid
         const referralTransaction = new ReferralTransaction(referralTxData);
-        await referralTransaction.save();
+        try {
+          await saveCommission(referralTransaction);
+        } catch (saveError) {
+          await releaseCampaignBudget(referralTransaction);
+          throw saveError;
+        }
         
         commissionsCreated++;
         createdCommissions.push({
@@ -213,14 +289,23 @@ const processReferralCommission = async (userId, purchaseAmount, purchaseType =
           beneficiary: referrer.userName,
           amount: commissionAmount,
           currency,
+          status: referralTransaction.status,
+          campaign: boostedBy?.code,
+          maturesAt: referralTransaction.maturesAt,
           transactionId: referralTransaction._id
         });
         
+        if (referralTransaction.status !== 'completed') {
+          console.log(`🚩 Generation ${generation} commission for ${referrer.userName} ${referralTransaction.status === 'voided' ? 'voided' : 'held for fraud review'}`);
+          currentUser = referrer;
+          continue;
+        }
+        
         console.log(`✅ Created Generation ${generation} commission: ${commissionAmount} ${currency} for ${referrer.userName}`);
         
         // FIXED: Update referrer stats immediately with better error handling
         try {
-          await updateReferrerStats(referrer._id, commissionAmount, generation, userId);
+          await updateReferrerStats(referrer._id, commissionAmount, generation, userId, referralTransaction);
           console.log(`📊 Updated stats for ${referrer.userName} (Gen ${generation})`);
         } catch (statsError) {
           console.error(`❌ Error updating stats for ${referrer.userName}:`, statsError.message);
@@ -247,11 +332,14 @@ const processReferralCommission = async (userId, purchaseAmount, purchaseType =
       transactionId: transactionId,
       purchaseType: purchaseType,
       totalAmount: purchaseAmount,
-      currency: currency
+      currency: currency,
+      rule: policy.rule,
+      campaign: campaign?.code || null
     };
     
   } catch (error) {
     console.error('❌ [FIXED] Error processing referral commission:', error);
+    if (error instanceof ConversionRateError) throw error;
     return { 
       success: false, 
       message: error.message,
@@ -260,10 +348,26 @@ const processReferralCommission = async (userId, purchaseAmount, purchaseType =
   }
 };
 
+/**
+ * Save a commission and, when it is completed, post its ledger credit in the
+ * same transaction
+ * @param {object} referralTransaction - ReferralTransaction document
+ */
+const saveCommission = (referralTransaction) =>
+  ledgerService.withLedgerSession(async (session) => {
+    await referralTransaction.save({ session });
+    if (referralTransaction.status === 'completed') {
+      await ledgerService.recordCommission(referralTransaction, { session });
+    }
+  });
+
 /**
  * FIXED: Helper function to update referrer statistics
+ * Earnings are credited through the ledger when the commission is saved (see
+ * saveCommission); only the per-generation breakdown is maintained here.
+ * @param {object} referralTransaction - The ReferralTransaction that was credited
  */
-async function updateReferrerStats(referrerId, commissionAmount, generation, referredUserId) {
+async function updateReferrerStats(referrerId, commissionAmount, generation, referredUserId, referralTransaction = null) {
   try {
     console.log(`📊 [FIXED] Updating stats for referrer ${referrerId}, Gen ${generation}`);
     
@@ -281,40 +385,26 @@ async function updateReferrerStats(referrerId, commissionAmount, generation, ref
       });
     }
     
-    // FIXED: Always update earnings
-    referralStats.totalEarnings += commissionAmount;
-    referralStats[`generation${generation}`].earnings += commissionAmount;
+    // FIXED: Always update earnings (totalEarnings is projected from the ledger below)
+    const generationStats = referralStats.generationStats(generation);
+    generationStats.earnings += referralTransaction ? settlementAmount(referralTransaction) : commissionAmount;
     
-    // FIXED: Update count logic - only increment if this is a new user for this generation
-    const existingTransactionCount = await ReferralTransaction.countDocuments({
-      beneficiary: referrerId,
-      referredUser: referredUserId,
-      generation: generation,
-      status: 'completed'
-    });
-    
-    // If this is the first transaction from this user for this generation, increment count
-    if (existingTransactionCount === 1) { // This is the first transaction
-      referralStats[`generation${generation}`].count += 1;
-      console.log(`📈 Incremented Gen${generation} count for ${referrerId} (new user)`);
-      
-      // FIXED: Only update referredUsers count for generation 1 (direct referrals)
-      if (generation === 1) {
-        // Get total unique generation 1 users
-        const totalUniqueGen1Users = await ReferralTransaction.distinct('referredUser', {
-          beneficiary: referrerId,
-          generation: 1,
-          status: 'completed'
-        });
-        referralStats.referredUsers = totalUniqueGen1Users.length;
-        console.log(`📈 Updated total referred users for ${referrerId}: ${referralStats.referredUsers}`);
-      }
-    } else {
-      console.log(`📊 Existing user transaction for Gen${generation} - only updating earnings`);
-    }
+    // Downline counts come from the referral graph, not from who has bought
+    referralGraph.applyGenerationCounts(
+      referralStats,
+      await referralGraph.countByGeneration(referrerId, MAX_REFERRAL_DEPTH)
+    );
     
     await referralStats.save();
-    console.log(`✅ Updated stats for ${referrerId}: Gen${generation} earnings: ${referralStats[`generation${generation}`].earnings}`);
+    await ledgerService.syncReferralBalances(referrerId);
+    console.log(`✅ Updated stats for ${referrerId}: Gen${generation} earnings: ${generationStats.earnings}`);
+    
+    // Rank-ups and their bonuses; the commission stands even if this fails
+    try {
+      await evaluateRanks(referrerId);
+    } catch (rankError) {
+      console.error(`❌ Error checking referral ranks for ${referrerId}:`, rankError.message);
+    }
     
   } catch (error) {
     console.error('❌ Error updating referrer stats:', error);
@@ -349,103 +439,23 @@ const processNewUserReferral = async (userId) => {
     
     console.log(`Processing new user referral for user ${userId} with referral code ${user.referralInfo.code}`);
     
-    // Find direct referrer (Gen 1)
-    const referrer = await User.findOne({ userName: user.referralInfo.code });
+    const { added, referrer, reason } = await referralGraph.addUser(user);
     
     if (!referrer) {
       return {
         success: false,
-        message: 'Referrer not found'
+        message: reason === 'No referrer' ? 'Referrer not found' : reason
       };
     }
     
-    // Update Gen 1 referrer's stats
-    let referralStats = await Referral.findOne({ user: referrer._id });
-    
-    if (!referralStats) {
-      referralStats = new Referral({
-        user: referrer._id,
-        referredUsers: 1,
-        totalEarnings: 0,
-        generation1: { count: 1, earnings: 0 },
-        generation2: { count: 0, earnings: 0 },
-        generation3: { count: 0, earnings: 0 }
-      });
-    } else {
-      // Check if this user is already counted
-      const existingReferralTx = await ReferralTransaction.findOne({
-        beneficiary: referrer._id,
-        referredUser: userId
-      });
-      
-      if (!existingReferralTx) {
-        referralStats.referredUsers += 1;
-        referralStats.generation1.count += 1;
-      }
-    }
-    
-    await referralStats.save();
-    
-    // Process Gen 2 (referrer's referrer)
-    if (referrer.referralInfo && referrer.referralInfo.code) {
-      const gen2Referrer = await User.findOne({ userName: referrer.referralInfo.code });
-      
-      if (gen2Referrer) {
-        let gen2Stats = await Referral.findOne({ user: gen2Referrer._id });
-        
-        if (!gen2Stats) {
-          gen2Stats = new Referral({
-            user: gen2Referrer._id,
-            referredUsers: 0, // Direct referrals only
-            totalEarnings: 0,
-            generation1: { count: 0, earnings: 0 },
-            generation2: { count: 1, earnings: 0 },
-            generation3: { count: 0, earnings: 0 }
-          });
-        } else {
-          // Check if this user is already counted
-          const existingGen2Tx = await ReferralTransaction.findOne({
-            beneficiary: gen2Referrer._id,
-            referredUser: userId
-          });
-          
-          if (!existingGen2Tx) {
-            gen2Stats.generation2.count += 1;
-          }
-        }
-        
-        await gen2Stats.save();
-        
-        // Process Gen 3 (referrer's referrer's referrer)
-        if (gen2Referrer.referralInfo && gen2Referrer.referralInfo.code) {
-          const gen3Referrer = await User.findOne({ userName: gen2Referrer.referralInfo.code });
-          
-          if (gen3Referrer) {
-            let gen3Stats = await Referral.findOne({ user: gen3Referrer._id });
-            
-            if (!gen3Stats) {
-              gen3Stats = new Referral({
-                user: gen3Referrer._id,
-                referredUsers: 0, // Direct referrals only
-                totalEarnings: 0,
-                generation1: { count: 0, earnings: 0 },
-                generation2: { count: 0, earnings: 0 },
-                generation3: { count: 1, earnings: 0 }
-              });
-            } else {
-              // Check if this user is already counted
-              const existingGen3Tx = await ReferralTransaction.findOne({
-                beneficiary: gen3Referrer._id,
-                referredUser: userId
-              });
-              
-              if (!existingGen3Tx) {
-                gen3Stats.generation3.count += 1;
-              }
-            }
-            
-            await gen3Stats.save();
-          }
+    // Every upline member's per-generation counts change with the new user
+    if (added) {
+      const upline = await referralGraph.getUpline(userId, { maxDepth: MAX_REFERRAL_DEPTH });
+      for (const row of upline) {
+        const referralStats = await referralGraph.refreshReferralCounts(row.ancestor._id);
+        if (row.depth === 1 && !referralStats.referrals.some(r => r.userId && r.userId.equals(user._id))) {
+          referralStats.referrals.push({ userId: user._id, name: user.name, userName: user.userName, email: user.email });
+          await referralStats.save();
         }
       }
     }
@@ -512,6 +522,9 @@ const processCommission = async (
       return;
     }
     
+    const conversionRate = await getConversionRate(currency);
+    if (!conversionRate) throw new ConversionRateError(currency);
+    
     // Create referral transaction record with enhanced details
     const transactionData = {
       beneficiary: beneficiaryId,
@@ -522,7 +535,8 @@ const processCommission = async (
       purchaseType,
       sourceTransaction,
       sourceTransactionModel,
-      status: 'completed' // Mark commission as completed immediately
+      status: 'completed', // Mark commission as completed immediately
+      conversion: convert(commissionAmount, conversionRate)
     };
     
     // Add share conversion details if available
@@ -537,7 +551,7 @@ const processCommission = async (
     }
     
     const transaction = new ReferralTransaction(transactionData);
-    await transaction.save();
+    await saveCommission(transaction);
     
     // Update referral stats
     let referral = await Referral.findOne({ user: beneficiaryId });
@@ -565,7 +579,7 @@ const processCommission = async (
     
     if (existingTransactions.length === 1 && 
         existingTransactions[0]._id.toString() === transaction._id.toString()) {
-      referral[`generation${generation}`].count += 1;
+      referral.generationStats(generation).count += 1;
       
       // Only update referredUsers count for generation 1
       if (generation === 1) {
@@ -573,12 +587,12 @@ const processCommission = async (
       }
     }
     
-    // Add earnings
-    referral[`generation${generation}`].earnings += commissionAmount;
-    referral.totalEarnings += commissionAmount;
+    // Add earnings in naira (totalEarnings is projected from the ledger)
+    referral.generationStats(generation).earnings += settlementAmount(transaction);
     
     // Save referral stats
     await referral.save();
+    await ledgerService.syncReferralBalances(beneficiaryId);
     
     // Log the commission with conversion details
     if (shareDetails.actualShares !== undefined) {
@@ -629,23 +643,25 @@ const calculateTotalEarnings = async (userId) => {
           status: 'completed'
         }
       },
+      // Naira value of each commission, whatever currency it was earned in
+      { $addFields: { nairaAmount: { $ifNull: ['$conversion.settlementAmount', '$amount'] } } },
       {
         $group: {
           _id: null,
-          totalEarnings: { $sum: '$amount' },
+          totalEarnings: { $sum: '$nairaAmount' },
           gen1Earnings: {
             $sum: {
-              $cond: [{ $eq: ['$generation', 1] }, '$amount', 0]
+              $cond: [{ $eq: ['$generation', 1] }, '$nairaAmount', 0]
             }
           },
           gen2Earnings: {
             $sum: {
-              $cond: [{ $eq: ['$generation', 2] }, '$amount', 0]
+              $cond: [{ $eq: ['$generation', 2] }, '$nairaAmount', 0]
             }
           },
           gen3Earnings: {
             $sum: {
-              $cond: [{ $eq: ['$generation', 3] }, '$amount', 0]
+              $cond: [{ $eq: ['$generation', 3] }, '$nairaAmount', 0]
             }
           }
         }
@@ -756,67 +772,47 @@ const syncReferralStats = async (userId) => {
       };
     }
     
-    // Ensure commission rates are set correctly
-    const siteConfig = await SiteConfig.getCurrentConfig();
-    if (!siteConfig.referralCommission || 
-        siteConfig.referralCommission.generation1 !== 15 || 
-        siteConfig.referralCommission.generation2 !== 3 || 
-        siteConfig.referralCommission.generation3 !== 2) {
-      
-      siteConfig.referralCommission = {
-        generation1: 15,
-        generation2: 3,
-        generation3: 2
-      };
-      
-      await siteConfig.save();
-      console.log('Updated commission rates during sync to: 15%, 3%, 2%');
-    }
-    
-    // Calculate counts for each generation
-    const gen1Users = await ReferralTransaction.distinct('referredUser', {
-      beneficiary: userId,
-      generation: 1,
-      status: 'completed'
-    });
-    
-    const gen2Users = await ReferralTransaction.distinct('referredUser', {
-      beneficiary: userId,
-      generation: 2,
-      status: 'completed'
-    });
-    
-    const gen3Users = await ReferralTransaction.distinct('referredUser', {
-      beneficiary: userId,
-      generation: 3,
-      status: 'completed'
-    });
+    // Downline counts come from the referral graph
+    const counts = await referralGraph.countByGeneration(user._id, MAX_REFERRAL_DEPTH);
     
     // Calculate earnings
-    const earnings = await calculateTotalEarnings(userId);
+    const earnings = await calculateTotalEarnings(user._id);
+    
+    // Generations past the third, when the commission rules pay that deep
+    const deeper = await ReferralTransaction.aggregate([
+      { $match: { beneficiary: user._id, generation: { $gt: 3 }, status: 'completed' } },
+      { $group: { _id: '$generation', earnings: { $sum: { $ifNull: ['$conversion.settlementAmount', '$amount'] } } } }
+    ]);
+    const deeperEarnings = Object.fromEntries(deeper.map(g => [g._id, g.earnings]));
+    const deeperGenerations = [...new Set([...Object.keys(counts), ...Object.keys(deeperEarnings)].map(Number))]
+      .filter(generation => generation > 3)
+      .sort((a, b) => a - b)
+      .map(generation => ({
+        generation,
+        count: counts[generation] || 0,
+        earnings: deeperEarnings[generation] || 0
+      }));
     
     // Update or create referral stats
     let referral = await Referral.findOne({ user: userId });
     
     if (!referral) {
-      referral = new Referral({
-        user: userId,
-        referredUsers: gen1Users.length,
-        totalEarnings: earnings.totalEarnings,
-        generation1: { count: gen1Users.length, earnings: earnings.generation1 },
-        generation2: { count: gen2Users.length, earnings: earnings.generation2 },
-        generation3: { count: gen3Users.length, earnings: earnings.generation3 }
-      });
-    } else {
-      referral.referredUsers = gen1Users.length;
-      referral.totalEarnings = earnings.totalEarnings;
-      referral.generation1 = { count: gen1Users.length, earnings: earnings.generation1 };
-      referral.generation2 = { count: gen2Users.length, earnings: earnings.generation2 };
-      referral.generation3 = { count: gen3Users.length, earnings: earnings.generation3 };
+      referral = new Referral({ user: userId, totalEarnings: earnings.totalEarnings });
     }
     
+    // totalEarnings is projected from the ledger below, not recounted here
+    referral.generation1 = { count: 0, earnings: earnings.generation1 };
+    referral.generation2 = { count: 0, earnings: earnings.generation2 };
+    referral.generation3 = { count: 0, earnings: earnings.generation3 };
+    referral.deeperGenerations = deeperGenerations;
+    referralGraph.applyGenerationCounts(referral, counts);
+    
     await referral.save();
     
+    await ledgerService.ensureUserOpeningBalance(userId);
+    const balances = await ledgerService.syncReferralBalances(userId);
+    referral.totalEarnings = balances.totalEarnings;
+    
     return {
       success: true,
       message: 'Referral stats synced successfully',
@@ -855,7 +851,7 @@ const rollbackReferralCommission = async (userId, transactionId, amount, currenc
       referredUser: userId, // FIXED: Use referredUser instead of sourceTransaction
       sourceTransaction: transactionId,
       sourceTransactionModel: correctSourceModel,
-      status: 'completed'
+      status: { $in: ['completed', 'pending'] } // pending = held for fraud review
     });
     
     console.log(`📋 Found ${referralTransactions.length} referral transactions to rollback`);
@@ -870,44 +866,65 @@ const rollbackReferralCommission = async (userId, transactionId, amount, currenc
     }
     
     let rolledBackCount = 0;
+    let clawbackTotal = 0;
     
     // Process each referral transaction
     for (const refTx of referralTransactions) {
       try {
         console.log(`🔄 Rolling back Gen${refTx.generation} commission: ${refTx.amount} ${refTx.currency} for beneficiary ${refTx.beneficiary}`);
         
+        // Held for fraud review: never credited, so nothing to reverse
+        if (refTx.status === 'pending') {
+          refTx.status = 'rolled_back';
+          refTx.maturityStatus = 'cancelled';
+          refTx.rolledBackAt = new Date();
+          await refTx.save();
+          await releaseCampaignBudget(refTx);
+          rolledBackCount++;
+          continue;
+        }
+        
+        // Reverse the commission in the ledger before touching the cached counters
+        const reversal = await ledgerService.reverseCommission(refTx, {
+          reason: `Transaction ${transactionId} was canceled or reversed`
+        });
+        if (reversal.clawback > 0) {
+          clawbackTotal += reversal.clawback;
+          console.log(`💸 ${reversal.clawback} ${refTx.currency} was already withdrawn; recorded as a clawback against ${refTx.beneficiary}`);
+        }
+        
         // Update referral stats for the beneficiary
         const referralStats = await Referral.findOne({ user: refTx.beneficiary });
         
         if (referralStats) {
           // FIXED: Subtract earnings with safety checks
           const oldTotalEarnings = referralStats.totalEarnings;
-          const oldGenEarnings = referralStats[`generation${refTx.generation}`].earnings;
-          
-          referralStats.totalEarnings = Math.max(0, referralStats.totalEarnings - refTx.amount);
+          const generationStats = referralStats.generationStats(refTx.generation);
+          const oldGenEarnings = generationStats.earnings;
           
           // Subtract from generation-specific earnings
-          const generationKey = `generation${refTx.generation}`;
-          if (referralStats[generationKey]) {
-            referralStats[generationKey].earnings = Math.max(0, 
-              referralStats[generationKey].earnings - refTx.amount
-            );
-          }
+          generationStats.earnings = Math.max(0, generationStats.earnings - settlementAmount(refTx));
           
           await referralStats.save();
+          const balances = await ledgerService.syncReferralBalances(refTx.beneficiary);
           
           console.log(`📉 Updated beneficiary ${refTx.beneficiary} stats:`);
-          console.log(`   Total earnings: ${oldTotalEarnings} → ${referralStats.totalEarnings}`);
-          console.log(`   Gen${refTx.generation} earnings: ${oldGenEarnings} → ${referralStats[generationKey].earnings}`);
+          console.log(`   Total earnings: ${oldTotalEarnings} → ${balances.totalEarnings} (locked: ${balances.lockedEarnings})`);
+          console.log(`   Gen${refTx.generation} earnings: ${oldGenEarnings} → ${generationStats.earnings}`);
         } else {
           console.log(`⚠️  No referral stats found for beneficiary ${refTx.beneficiary}`);
         }
         
         // FIXED: Mark referral transaction as rolled back (don't delete, preserve audit trail)
         refTx.status = 'rolled_back';
+        // Revoked inside the lock period: the commission never becomes withdrawable
+        if (refTx.maturityStatus === 'pending') {
+          refTx.maturityStatus = 'cancelled';
+        }
         refTx.rolledBackAt = new Date();
         refTx.rollbackReason = `Transaction ${transactionId} was canceled or reversed`;
         await refTx.save();
+        await releaseCampaignBudget(refTx);
         
         rolledBackCount++;
         console.log(`✅ Rolled back referral transaction ${refTx._id}`);
@@ -924,7 +941,8 @@ const rollbackReferralCommission = async (userId, transactionId, amount, currenc
       success: true,
       message: `Successfully rolled back ${rolledBackCount} referral commissions`,
       rolledBackCount: rolledBackCount,
-      totalFound: referralTransactions.length
+      totalFound: referralTransactions.length,
+      clawbackTotal
     };
   } catch (error) {
     console.error('❌ [FIXED] Error rolling back referral commissions:', error);
@@ -940,7 +958,7 @@ const rollbackReferralCommission = async (userId, transactionId, amount, currenc
  * Update referral statistics after a rollback
  * @param {string} beneficiaryId - The ID of the user whose commission was rolled back
  * @param {number} amount - The amount of the commission
- * @param {number} generation - The generation (1, 2, or 3)
+ * @param {number} generation - The generation (1 = direct referrer)
  */
 const updateReferralStatsAfterRollback = async (beneficiaryId, amount, generation) => {
   try {
@@ -952,17 +970,13 @@ const updateReferralStatsAfterRollback = async (beneficiaryId, amount, generatio
       return;
     }
     
-    // Update earnings
-    referral[`generation${generation}`].earnings -= amount;
-    referral.totalEarnings -= amount;
+    // Update earnings (totalEarnings follows the ledger reversal)
+    const generationStats = referral.generationStats(generation);
+    generationStats.earnings -= amount;
     
     // Ensure values don't go negative
-    if (referral[`generation${generation}`].earnings < 0) {
-      referral[`generation${generation}`].earnings = 0;
-    }
-    
-    if (referral.totalEarnings < 0) {
-      referral.totalEarnings = 0;
+    if (generationStats.earnings < 0) {
+      generationStats.earnings = 0;
     }
     
     // We're not decrementing the counts as the user was still referred,
@@ -980,6 +994,74 @@ const updateReferralStatsAfterRollback = async (beneficiaryId, amount, generatio
   }
 };
 
+/**
+ * Credit a commission that was held for fraud review, as if it had just been
+ * paid. It stays locked for whatever is left of its lock period.
+ * @param {object} refTx - ReferralTransaction document with status 'pending'
+ */
+const releaseHeldCommission = async (refTx) => {
+  if (refTx.status !== 'pending') return false;
+
+  if (refTx.maturityStatus === 'pending' && (!refTx.maturesAt || refTx.maturesAt <= new Date())) {
+    refTx.maturityStatus = 'matured';
+    refTx.maturedAt = new Date();
+  }
+  refTx.status = 'completed';
+  refTx.fraudHold = { flags: [], heldAt: refTx.fraudHold?.heldAt };
+  await saveCommission(refTx);
+
+  await updateReferrerStats(refTx.beneficiary, refTx.amount, refTx.generation, refTx.referredUser, refTx);
+  return true;
+};
+
+/**
+ * Release commissions whose lock period is over, making them withdrawable.
+ * Commissions revoked in the meantime are already rolled back and cancelled,
+ * so only completed ones are picked up.
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Cut-off for maturesAt (defaults to now)
+ * @param {number} [options.limit] - Most commissions to release in one run
+ * @returns {Promise<Object>} { matured, failed, beneficiaries }
+ */
+const matureDueCommissions = async ({ now = new Date(), limit = 500 } = {}) => {
+  const due = await ReferralTransaction.find({
+    status: 'completed',
+    maturityStatus: 'pending',
+    maturesAt: { $lte: now }
+  })
+    .sort({ maturesAt: 1 })
+    .limit(limit);
+  
+  let matured = 0;
+  let failed = 0;
+  const beneficiaries = new Set();
+  
+  for (const refTx of due) {
+    try {
+      await ledgerService.releaseCommission(refTx);
+      refTx.maturityStatus = 'matured';
+      refTx.maturedAt = new Date();
+      await refTx.save();
+      
+      beneficiaries.add(refTx.beneficiary.toString());
+      matured++;
+    } catch (error) {
+      console.error(`❌ Error maturing referral transaction ${refTx._id}:`, error.message);
+      failed++;
+    }
+  }
+  
+  for (const beneficiaryId of beneficiaries) {
+    await ledgerService.syncReferralBalances(beneficiaryId);
+  }
+  
+  if (due.length) {
+    console.log(`🔓 Matured ${matured}/${due.length} referral commissions for ${beneficiaries.size} users`);
+  }
+  
+  return { matured, failed, beneficiaries: beneficiaries.size };
+};
+
 /**
  * NEW: Validate referral balances for a user
  * @param {string} userId - User ID to validate
@@ -1024,8 +1106,7 @@ const validateReferralBalances = async (userId) => {
     };
     
     actualEarnings.forEach(gen => {
-      actualByGeneration[`generation${gen._id}`].earnings = gen.totalEarnings;
-      actualByGeneration[`generation${gen._id}`].count = gen.uniqueUsers.length;
+      actualByGeneration[`generation${gen._id}`] = { earnings: gen.totalEarnings, count: gen.uniqueUsers.length };
       actualTotal += gen.totalEarnings;
     });
     
@@ -1251,6 +1332,9 @@ const getComprehensiveReferralStats = async (userId) => {
       status: 'completed'
     }).sort({ createdAt: -1 });
     
+    // Downline size per generation, from the referral graph
+    const downlineCounts = await referralGraph.countByGeneration(userId);
+    
     // Get user's share information
     const shareInfo = await getUserTotalShares(userId);
     
@@ -1318,6 +1402,10 @@ const getComprehensiveReferralStats = async (userId) => {
             gen3: referralTransactions.filter(t => t.generation === 3).length
           }
         },
+        downline: {
+          total: Object.values(downlineCounts).reduce((sum, count) => sum + count, 0),
+          byGeneration: downlineCounts
+        },
         earningsByType: earningsByType.reduce((acc, item) => {
           acc[item._id] = {
             earnings: item.totalEarnings,
@@ -1358,6 +1446,8 @@ module.exports = {
   calculateTotalReferredUsers,
   rollbackReferralCommission,
   updateReferralStatsAfterRollback,
+  matureDueCommissions,
+  releaseHeldCommission,
   getUserTotalShares,
   validateReferralBalances, // NEW: Added validation function
   debugReferralData, // NEW: Debug function
@@ -0,0 +1,315 @@
+// utils/referrerReassignment.js
+/**
+ * Moving a user to a different referrer, commissions included.
+ *
+ * When a user is re-parented, every commission paid on a purchase by that
+ * user or anyone in their downline to someone *above* the user was paid along
+ * the old upline. planReassignment() works out, generation by generation,
+ * which of those ReferralTransaction records go to a different person under
+ * the new upline: those are rolled back (through the ledger, so anything
+ * already withdrawn becomes a clawback) and re-created for the new
+ * beneficiary at the current commission rules. Commissions whose beneficiary
+ * does not change, and those paid inside the moved downline, are left alone.
+ *
+ * Purchases are found from their existing commission records; a purchase that
+ * never paid any commission (made while the user had no referrer) is not
+ * back-paid. Re-created commissions are paid at the policy rate; a campaign
+ * boost on a rolled-back one is returned to the campaign budget. They keep
+ * the exchange rate the purchase's commissions were converted at.
+ *
+ * applyReassignment() makes the whole change, referral code included, in one
+ * database transaction. The referral graph and cached stats are refreshed
+ * once it has committed.
+ */
+
+const User = require('../models/User');
+const ReferralTransaction = require('../models/ReferralTransaction');
+const ReferralClosure = require('../models/ReferralClosure');
+const SiteConfig = require('../models/SiteConfig');
+const ledgerService = require('./ledgerService');
+const referralGraph = require('./referralGraph');
+const { syncReferralStats } = require('./referralUtils');
+const { releaseCampaignBudget } = require('./referralCampaigns');
+const { getConversionRate, convert } = require('./referralCurrency');
+const { resolvePolicy, hasTierRules, tierKeyForTransaction } = require('./referralRules');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class ReassignmentError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ReassignmentError';
+    this.statusCode = statusCode;
+  }
+}
+
+const summarize = (user) => (user ? { id: user._id, userName: user.userName, name: user.name } : null);
+
+const addTotal = (totals, currency, key, amount) => {
+  totals[currency] = totals[currency] || { rolledBack: 0, created: 0 };
+  totals[currency][key] += amount;
+};
+
+/**
+ * Rate a purchase's commissions are converted at: the one stored on them, or
+ * for commissions credited at face value before rates were stored, the rate
+ * of the purchase date
+ */
+const purchaseRate = async (purchase) => {
+  if (!purchase.conversionRate) {
+    purchase.conversionRate = await getConversionRate(purchase.currency, { at: purchase.purchasedAt });
+    if (!purchase.conversionRate) {
+      throw new ReassignmentError(`No exchange rate available to convert ${purchase.currency} commissions`, 409);
+    }
+  }
+  return purchase.conversionRate;
+};
+
+/**
+ * Work out what moving a user to a new referrer would change. Writes nothing.
+ * @param {string} userId - User being moved
+ * @param {string|null} referrerUserName - New referrer's userName (their referral code); null to remove the referrer
+ * @returns {Promise<Object>} { user, currentReferrer, newReferrer, members, purchases, rollBack[], create[], totals }
+ */
+const planReassignment = async (userId, referrerUserName) => {
+  const user = await User.findById(userId).select('_id name userName referralInfo').lean();
+  if (!user) throw new ReassignmentError('User not found', 404);
+
+  const newCode = referrerUserName ? String(referrerUserName).trim() : null;
+  const newReferrer = newCode
+    ? await User.findOne({ userName: newCode }).select('_id name userName').lean()
+    : null;
+  if (newCode && !newReferrer) throw new ReassignmentError(`No user with the username ${newCode}`, 404);
+  if (newReferrer && newReferrer._id.equals(user._id)) {
+    throw new ReassignmentError('A user cannot be their own referrer');
+  }
+
+  const currentReferrer = await referralGraph.findReferrer(user);
+  if (String(currentReferrer?._id || '') === String(newReferrer?._id || '')) {
+    throw new ReassignmentError(`${user.userName} is already referred by ${newReferrer ? newReferrer.userName : 'nobody'}`);
+  }
+  if (newReferrer && await referralGraph.wouldCreateCycle(user._id, newReferrer._id)) {
+    throw new ReassignmentError(`${newReferrer.userName} is in ${user.userName}'s own downline`);
+  }
+
+  // The moved subtree, with each member's distance below the user
+  const downline = await ReferralClosure.find({ ancestor: user._id }).select('descendant depth').lean();
+  const memberDepth = new Map([[String(user._id), 0], ...downline.map(row => [String(row.descendant), row.depth])]);
+
+  // Upline after the move: newUpline[0] is the new referrer
+  const newUpline = newReferrer
+    ? [newReferrer, ...(await referralGraph.getUpline(newReferrer._id)).map(row => row.ancestor).filter(Boolean)]
+    : [];
+
+  const commissions = await ReferralTransaction.find({
+    referredUser: { $in: [...memberDepth.keys()] },
+    status: 'completed'
+  }).populate('beneficiary', 'name userName').lean();
+
+  // Group by purchase
+  const purchases = new Map();
+  for (const commission of commissions) {
+    const key = `${commission.sourceTransactionModel}:${commission.sourceTransaction}`;
+    if (!purchases.has(key)) {
+      purchases.set(key, {
+        purchaser: commission.referredUser,
+        sourceTransaction: commission.sourceTransaction,
+        sourceTransactionModel: commission.sourceTransactionModel,
+        purchaseType: commission.purchaseType,
+        currency: commission.currency,
+        baseAmount: commission.commissionDetails?.baseAmount,
+        purchasedAt: commission.createdAt,
+        conversionRate: null,
+        byGeneration: new Map()
+      });
+    }
+    const purchase = purchases.get(key);
+    purchase.byGeneration.set(commission.generation, commission);
+    if (!purchase.conversionRate && commission.conversion?.rate) {
+      const { rate, rateSnapshot, rateSource, ratedAt } = commission.conversion;
+      purchase.conversionRate = { rate, rateSnapshot, rateSource, ratedAt };
+    }
+    if (commission.createdAt < purchase.purchasedAt) purchase.purchasedAt = commission.createdAt;
+    if (!purchase.baseAmount && commission.commissionDetails?.baseAmount) {
+      purchase.baseAmount = commission.commissionDetails.baseAmount;
+    }
+  }
+
+  const siteConfig = await SiteConfig.getCurrentConfig();
+  const tierRules = hasTierRules(siteConfig);
+  const now = new Date();
+
+  const rollBack = [];
+  const create = [];
+  const totals = {};
+
+  for (const purchase of purchases.values()) {
+    const depth = memberDepth.get(String(purchase.purchaser));
+    const tierKey = tierRules ? await tierKeyForTransaction(purchase.sourceTransaction) : null;
+    const policy = resolvePolicy(siteConfig, { purchaseType: purchase.purchaseType, tierKey });
+    // The minimum is set in naira; other currencies are held to it at the purchase's rate
+    let payable = purchase.baseAmount > 0;
+    if (payable && policy.minPurchase > 0) {
+      payable = convert(purchase.baseAmount, await purchaseRate(purchase)).settlementAmount >= policy.minPurchase;
+    }
+
+    // Generations above the moved user: old commission vs. new beneficiary
+    const generations = new Set([
+      ...[...purchase.byGeneration.keys()].filter(generation => generation > depth),
+      ...newUpline.map((_, i) => depth + 1 + i).filter(generation => generation <= policy.maxDepth)
+    ]);
+
+    for (const generation of [...generations].sort((a, b) => a - b)) {
+      const existing = purchase.byGeneration.get(generation);
+      const newMember = newUpline[generation - depth - 1];
+      if (existing && newMember && existing.beneficiary?._id?.equals(newMember._id)) continue;
+      const beneficiary = generation <= policy.maxDepth ? newMember : null;
+
+      if (existing) {
+        rollBack.push({
+          id: existing._id,
+          purchaser: purchase.purchaser,
+          sourceTransaction: purchase.sourceTransaction,
+          generation,
+          beneficiary: summarize(existing.beneficiary),
+          amount: existing.amount,
+          currency: existing.currency,
+          maturityStatus: existing.maturityStatus
+        });
+        addTotal(totals, existing.currency, 'rolledBack', existing.amount);
+      }
+
+      const rate = policy.rates[generation];
+      if (!beneficiary || !payable || !rate || rate <= 0) continue;
+
+      await purchaseRate(purchase);
+
+      const amount = (purchase.baseAmount * rate) / 100;
+      const maturesAt = new Date(purchase.purchasedAt.getTime() + policy.lockDays * DAY_MS);
+      create.push({
+        purchaser: purchase.purchaser,
+        sourceTransaction: purchase.sourceTransaction,
+        sourceTransactionModel: purchase.sourceTransactionModel,
+        purchaseType: purchase.purchaseType,
+        generation,
+        beneficiary: summarize(beneficiary),
+        amount,
+        rate,
+        rule: policy.rule,
+        currency: purchase.currency,
+        conversionRate: purchase.conversionRate,
+        baseAmount: purchase.baseAmount,
+        // Locked for what is left of the purchase's lock period
+        maturesAt: policy.lockDays > 0 && maturesAt > now ? maturesAt : null
+      });
+      addTotal(totals, purchase.currency, 'created', amount);
+    }
+  }
+
+  return {
+    user: summarize(user),
+    currentReferrer: summarize(currentReferrer),
+    newReferrer: summarize(newReferrer),
+    newReferralCode: newReferrer ? newReferrer.userName : null,
+    members: memberDepth.size,
+    purchases: purchases.size,
+    rollBack,
+    create,
+    totals
+  };
+};
+
+/**
+ * Move a user to a new referrer: roll back and re-create the commissions from
+ * planReassignment() and change the referral code, all in one transaction.
+ * @param {Object} [options]
+ * @param {string} [options.adminId] - Admin making the change
+ * @param {string} [options.reason]
+ * @param {Function} [options.audit] - async (applied, session) called inside the
+ *   transaction, so the change and its audit record commit or fail together
+ * @returns {Promise<Object>} the plan that was applied, plus clawbackTotal
+ */
+const applyReassignment = async (userId, referrerUserName, { adminId = null, reason = null, audit = null } = {}) => {
+  const plan = await planReassignment(userId, referrerUserName);
+  const note = `Referrer of ${plan.user.userName} changed from ${plan.currentReferrer?.userName || 'none'} to ${plan.newReferrer?.userName || 'none'}${reason ? `: ${reason}` : ''}`.slice(0, 500);
+
+  let clawbackTotal = 0;
+  await ledgerService.withLedgerSession(async (session) => {
+    clawbackTotal = 0;
+
+    for (const item of plan.rollBack) {
+      const refTx = await ReferralTransaction.findById(item.id).session(session);
+      if (!refTx || refTx.status !== 'completed') {
+        throw new ReassignmentError('Commissions changed while the referrer was being moved; try again', 409);
+      }
+
+      const reversal = await ledgerService.reverseCommission(refTx, { reason: note, createdBy: adminId }, { session });
+      clawbackTotal += reversal.clawback;
+
+      refTx.status = 'rolled_back';
+      if (refTx.maturityStatus === 'pending') refTx.maturityStatus = 'cancelled';
+      refTx.rolledBackAt = new Date();
+      refTx.notes = note;
+      refTx.processedBy = adminId || undefined;
+      await refTx.save({ session });
+      await releaseCampaignBudget(refTx, { session });
+    }
+
+    await User.updateOne(
+      { _id: plan.user.id },
+      { $set: { 'referralInfo.code': plan.newReferralCode } },
+      { session }
+    );
+
+    for (const item of plan.create) {
+      const now = new Date();
+      const [refTx] = await ReferralTransaction.create([{
+        beneficiary: item.beneficiary.id,
+        referredUser: item.purchaser,
+        amount: item.amount,
+        currency: item.currency,
+        generation: item.generation,
+        purchaseType: item.purchaseType,
+        sourceTransaction: item.sourceTransaction,
+        sourceTransactionModel: item.sourceTransactionModel,
+        status: 'completed',
+        conversion: convert(item.amount, item.conversionRate),
+        ...(item.maturesAt
+          ? { maturityStatus: 'pending', maturesAt: item.maturesAt }
+          : { maturityStatus: 'matured', maturedAt: now }),
+        notes: note,
+        processedBy: adminId || undefined,
+        commissionDetails: {
+          baseAmount: item.baseAmount,
+          commissionRate: item.rate,
+          rule: item.rule || undefined,
+          calculatedAt: now
+        }
+      }], { session });
+
+      await ledgerService.recordCommission(refTx, { session });
+    }
+
+    if (audit) await audit({ ...plan, clawbackTotal }, session);
+  });
+
+  // Derived state: the nightly graph repair would catch anything missed here
+  await referralGraph.moveUser(plan.user.id);
+
+  const beneficiaries = new Set(
+    [...plan.rollBack, ...plan.create]
+      .filter(item => item.beneficiary)
+      .map(item => String(item.beneficiary.id))
+  );
+  for (const beneficiaryId of beneficiaries) {
+    await syncReferralStats(beneficiaryId);
+  }
+
+  return { ...plan, clawbackTotal };
+};
+
+module.exports = {
+  ReassignmentError,
+  planReassignment,
+  applyReassignment
+};
@@ -0,0 +1,221 @@
+// utils/sessionService.js
+/**
+ * Session service - short-lived access tokens plus rotating refresh tokens,
+ * one UserSession per signed-in device.
+ *
+ *   access token  - JWT { id, sid }, JWT_ACCESS_EXPIRE (default 15m)
+ *   refresh token - "<sessionId>.<random>", REFRESH_TOKEN_DAYS (default 30)
+ *
+ * Every refresh replaces the refresh token. Presenting a token that has
+ * already been rotated out means it was copied, so the whole session is
+ * revoked. `protect` rejects access tokens whose session is revoked.
+ *
+ * Tokens issued before sessions existed carry no `sid`; revokeAllSessions
+ * stamps User.sessionsRevokedAt so those are cut off as well.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const UserSession = require('../models/UserSession');
+
+const ACCESS_TOKEN_EXPIRE = () => process.env.JWT_ACCESS_EXPIRE || '15m';
+const REFRESH_TOKEN_DAYS = () => Number(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+// lastSeenAt is only written when it is older than this
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+class SessionError extends Error {
+  constructor(message, statusCode = 401, code = 'INVALID_REFRESH_TOKEN') {
+    super(message);
+    this.name = 'SessionError';
+    this.statusCode = statusCode;
+    this.code = code;
+  }
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const newRefreshSecret = () => crypto.randomBytes(48).toString('hex');
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_DAYS() * 24 * 60 * 60 * 1000);
+
+const signAccessToken = (userId, sessionId) =>
+  jwt.sign({ id: userId.toString(), sid: sessionId.toString() }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_EXPIRE()
+  });
+
+const clientInfo = (req) => ({
+  device: (req?.get?.('user-agent') || 'Unknown device').slice(0, 500),
+  ip: req?.ip || req?.headers?.['x-forwarded-for']?.split(',')[0]?.trim() || req?.connection?.remoteAddress || null
+});
+
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!sessionId || !secret || !mongoose.Types.ObjectId.isValid(sessionId)) return null;
+  return { sessionId, secret };
+};
+
+/**
+ * Start a session for a user who has just authenticated.
+ * @returns {{ token: string, refreshToken: string, session: object }}
+ */
+async function createSession(userId, req) {
+  const sessionId = new mongoose.Types.ObjectId();
+  const refreshToken = `${sessionId}.${newRefreshSecret()}`;
+
+  const session = await UserSession.create({
+    _id: sessionId,
+    user: userId,
+    refreshTokenHash: hashToken(refreshToken),
+    ...clientInfo(req),
+    lastSeenAt: new Date(),
+    expiresAt: refreshExpiry()
+  });
+
+  return { token: signAccessToken(userId, sessionId), refreshToken, session };
+}
+
+/**
+ * Exchange a refresh token for a new access token and refresh token.
+ * Throws SessionError when the token is unknown, expired or revoked.
+ */
+async function refreshSession(refreshToken, req) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) throw new SessionError('Invalid refresh token');
+
+  const presentedHash = hashToken(refreshToken);
+  const nextToken = `${parsed.sessionId}.${newRefreshSecret()}`;
+  const now = new Date();
+
+  // Conditional on the current hash so two refreshes can't both win
+  const session = await UserSession.findOneAndUpdate(
+    {
+      _id: parsed.sessionId,
+      refreshTokenHash: presentedHash,
+      revokedAt: null,
+      expiresAt: { $gt: now }
+    },
+    {
+      $set: {
+        refreshTokenHash: hashToken(nextToken),
+        previousRefreshTokenHash: presentedHash,
+        lastSeenAt: now,
+        ...clientInfo(req)
+      },
+      $inc: { rotationCount: 1 }
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    const existing = await UserSession.findById(parsed.sessionId);
+
+    if (existing && !existing.revokedAt && existing.previousRefreshTokenHash === presentedHash) {
+      existing.revokedAt = now;
+      existing.revokedReason = 'token_reuse';
+      await existing.save();
+      console.warn(`🚨 Refresh token reuse detected for session ${existing._id} (user ${existing.user}); session revoked`);
+      throw new SessionError('Refresh token has already been used. Please login again.', 401, 'REFRESH_TOKEN_REUSED');
+    }
+
+    if (existing && existing.revokedAt) {
+      throw new SessionError('Session has been revoked. Please login again.', 401, 'SESSION_REVOKED');
+    }
+
+    throw new SessionError('Invalid or expired refresh token');
+  }
+
+  const user = await User.findById(session.user).select('isBanned status');
+  if (!user || user.isBanned || user.status === 'inactive' || user.status === 'suspended') {
+    await revokeSession(session.user, session._id, user?.isBanned ? 'banned' : 'user_revoked');
+    throw new SessionError('Your account is not allowed to sign in.', 403, 'ACCOUNT_DISABLED');
+  }
+
+  return { token: signAccessToken(session.user, session._id), refreshToken: nextToken, session };
+}
+
+/**
+ * Revoke one of a user's sessions. Returns false if it does not exist or
+ * was already revoked.
+ */
+async function revokeSession(userId, sessionId, reason = 'user_revoked') {
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) return false;
+
+  const result = await UserSession.updateOne(
+    { _id: sessionId, user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount > 0;
+}
+
+/**
+ * Revoke every session of a user, optionally keeping one (the caller's).
+ * Also invalidates older access tokens that carry no session id.
+ * @returns {Promise<number>} number of sessions revoked
+ */
+async function revokeAllSessions(userId, reason, { exceptSessionId = null } = {}) {
+  const now = new Date();
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+  const result = await UserSession.updateMany(filter, {
+    $set: { revokedAt: now, revokedReason: reason }
+  });
+  await User.updateOne({ _id: userId }, { $set: { sessionsRevokedAt: now } });
+
+  return result.modifiedCount;
+}
+
+/**
+ * Check the session behind a decoded access token. Returns the session when
+ * it is still active, null otherwise, and records the request as activity.
+ */
+async function validateAccessSession(decoded, req) {
+  const session = await UserSession.findById(decoded.sid);
+  if (!session || !session.isActive() || session.user.toString() !== String(decoded.id)) {
+    return null;
+  }
+
+  if (Date.now() - session.lastSeenAt.getTime() > TOUCH_INTERVAL_MS) {
+    UserSession.updateOne(
+      { _id: session._id },
+      { $set: { lastSeenAt: new Date(), ip: clientInfo(req).ip } }
+    ).catch(error => console.error('[sessions] failed to update lastSeenAt:', error));
+  }
+
+  return session;
+}
+
+/**
+ * Active sessions of a user, most recently used first.
+ */
+async function listSessions(userId, currentSessionId = null) {
+  const sessions = await UserSession.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastSeenAt: -1 });
+
+  return sessions.map(session => ({
+    id: session._id,
+    device: session.device,
+    ip: session.ip,
+    createdAt: session.createdAt,
+    lastSeenAt: session.lastSeenAt,
+    expiresAt: session.expiresAt,
+    current: !!currentSessionId && session._id.toString() === currentSessionId.toString()
+  }));
+}
+
+module.exports = {
+  SessionError,
+  hashToken,
+  createSession,
+  refreshSession,
+  revokeSession,
+  revokeAllSessions,
+  validateAccessSession,
+  listSessions
+};
@@ -0,0 +1,405 @@
+// utils/shareReconciliation.js
+/**
+ * Reconciles the three copies of a user's share holdings:
+ *   UserShare.transactions  (legacy, written first on every purchase)
+ *   TransactionV2           (mirror written by helpers/writeToV2)
+ *   UserShareV2             (snapshot rebuilt by helpers/recalculateUserShare)
+ *
+ * Every user is walked and each disagreement is stored as a
+ * ReconciliationMismatch under one ReconciliationReport. Only classes where
+ * the correct value is unambiguous are flagged autoRepairable:
+ *   - missing_v2 rows (re-mirrored from the legacy transaction)
+ *   - status_mismatch where V2 is still pending but legacy has settled
+ *   - snapshot drift (UserShareV2 rebuilt from TransactionV2)
+ * Per-transaction and legacy-total drift needs a human decision.
+ */
+
+const UserShare = require('../models/UserShare');
+const TransactionV2 = require('../models/TransactionV2');
+const UserShareV2 = require('../models/UserShareV2');
+const TierConfig = require('../models/TierConfig');
+const ReconciliationReport = require('../models/ReconciliationReport');
+const ReconciliationMismatch = require('../models/ReconciliationMismatch');
+const writeToV2 = require('../helpers/writeToV2');
+const recalculateUserShare = require('../helpers/recalculateUserShare');
+
+const { computeTotals } = recalculateUserShare;
+
+// Ownership is shown to 7 decimals; earnings are whole kobo
+const OWNERSHIP_TOLERANCE = 1e-7;
+const EARNING_TOLERANCE = 1;
+
+// A report still "running" after this long is assumed to have crashed
+const STALE_RUN_MS = 6 * 60 * 60 * 1000;
+
+const INSERT_BATCH_SIZE = 500;
+
+// Legacy has no rejected/cancelled — they are all "failed" there
+const normaliseStatus = (status) =>
+  ['failed', 'rejected', 'cancelled'].includes(status) ? 'failed' : status;
+
+const round = (n, dp) => parseFloat((Number(n) || 0).toFixed(dp));
+
+let isRunning = false;
+
+/**
+ * Whether writeToV2 converts this legacy transaction to regular-share
+ * equivalents, and by how much
+ */
+function coFounderMultiplier(legacyTx, tiers) {
+  const tier = legacyTx.packageId ? tiers.get(legacyTx.packageId) : null;
+  const isCoFounder = legacyTx.type === 'co-founder' ||
+    (tier && (tier.type === 'co-founder' || tier.type === 'cofounder'));
+
+  return isCoFounder && tier ? (tier.sharesIncluded || 1) : 1;
+}
+
+/**
+ * Compare one user's three copies and return unsaved mismatch documents
+ */
+function classifyUser(userId, legacyShare, v2Txs, v2Snapshot, tiers) {
+  const mismatches = [];
+  const add = (fields) => mismatches.push({ user: userId, transactionId: null, ...fields });
+
+  const v2ById = new Map(v2Txs.map(tx => [tx.transactionId, tx]));
+  const legacyTxs = legacyShare?.transactions || [];
+
+  // ── Per transaction: legacy → V2 ────────────────────────────────────────
+  for (const legacyTx of legacyTxs) {
+    const v2Tx = v2ById.get(legacyTx.transactionId);
+
+    if (!v2Tx) {
+      // A failed legacy purchase that was never mirrored changes nothing
+      if (legacyTx.status === 'failed') continue;
+
+      add({
+        transactionId: legacyTx.transactionId,
+        mismatchType: 'missing_v2',
+        scope: 'transaction',
+        expectedValue: {
+          status: legacyTx.status,
+          ownershipPct: legacyTx.ownershipPct,
+          earningKobo: legacyTx.earningKobo,
+          amount: legacyTx.amount
+        },
+        actualValue: null,
+        autoRepairable: true
+      });
+      continue;
+    }
+
+    const legacyStatus = normaliseStatus(legacyTx.status);
+    const v2Status = normaliseStatus(v2Tx.status);
+    if (legacyStatus !== v2Status) {
+      add({
+        transactionId: legacyTx.transactionId,
+        mismatchType: 'status_mismatch',
+        scope: 'transaction',
+        expectedValue: legacyTx.status,
+        actualValue: v2Tx.status,
+        autoRepairable: v2Status === 'pending' && legacyStatus !== 'pending'
+      });
+    }
+
+    const multiplier = coFounderMultiplier(legacyTx, tiers);
+
+    const expectedOwnership = (legacyTx.ownershipPct || 0) * multiplier;
+    const ownershipDiff = (v2Tx.ownershipPct || 0) - expectedOwnership;
+    if (Math.abs(ownershipDiff) > OWNERSHIP_TOLERANCE) {
+      add({
+        transactionId: legacyTx.transactionId,
+        mismatchType: 'ownership_drift',
+        scope: 'transaction',
+        expectedValue: expectedOwnership,
+        actualValue: v2Tx.ownershipPct,
+        difference: round(ownershipDiff, 10)
+      });
+    }
+
+    const expectedEarning = (legacyTx.earningKobo || 0) * multiplier;
+    const earningDiff = (v2Tx.earningKobo || 0) - expectedEarning;
+    if (Math.abs(earningDiff) >= EARNING_TOLERANCE) {
+      add({
+        transactionId: legacyTx.transactionId,
+        mismatchType: 'earning_drift',
+        scope: 'transaction',
+        expectedValue: expectedEarning,
+        actualValue: v2Tx.earningKobo,
+        difference: round(earningDiff, 2)
+      });
+    }
+  }
+
+  // ── Legacy totals vs legacy transactions ────────────────────────────────
+  if (legacyShare) {
+    const completed = legacyTxs.filter(t => t.status === 'completed');
+    const legacyOwnership = completed.reduce((s, t) => s + (t.ownershipPct || 0), 0);
+    const legacyEarning = completed.reduce((s, t) => s + (t.earningKobo || 0), 0);
+
+    const ownershipDiff = (legacyShare.totalOwnershipPct || 0) - legacyOwnership;
+    if (Math.abs(ownershipDiff) > OWNERSHIP_TOLERANCE) {
+      add({
+        mismatchType: 'ownership_drift',
+        scope: 'legacy_total',
+        expectedValue: legacyOwnership,
+        actualValue: legacyShare.totalOwnershipPct,
+        difference: round(ownershipDiff, 10)
+      });
+    }
+
+    const earningDiff = (legacyShare.totalEarningKobo || 0) - legacyEarning;
+    if (Math.abs(earningDiff) >= EARNING_TOLERANCE) {
+      add({
+        mismatchType: 'earning_drift',
+        scope: 'legacy_total',
+        expectedValue: legacyEarning,
+        actualValue: legacyShare.totalEarningKobo,
+        difference: round(earningDiff, 2)
+      });
+    }
+  }
+
+  // ── UserShareV2 snapshot vs TransactionV2 ───────────────────────────────
+  if (v2Txs.length > 0 || v2Snapshot) {
+    const expected = computeTotals(v2Txs);
+    const snapshotOwnership = v2Snapshot?.totalOwnershipPct || 0;
+    const snapshotEarning = v2Snapshot?.totalEarningKobo || 0;
+
+    const ownershipDiff = snapshotOwnership - expected.totalOwnershipPct;
+    if (!v2Snapshot || Math.abs(ownershipDiff) > OWNERSHIP_TOLERANCE) {
+      add({
+        mismatchType: 'ownership_drift',
+        scope: 'snapshot',
+        expectedValue: expected.totalOwnershipPct,
+        actualValue: v2Snapshot ? snapshotOwnership : null,
+        difference: round(ownershipDiff, 10),
+        autoRepairable: true
+      });
+    }
+
+    const earningDiff = snapshotEarning - expected.totalEarningKobo;
+    if (v2Snapshot && Math.abs(earningDiff) >= EARNING_TOLERANCE) {
+      add({
+        mismatchType: 'earning_drift',
+        scope: 'snapshot',
+        expectedValue: expected.totalEarningKobo,
+        actualValue: snapshotEarning,
+        difference: round(earningDiff, 2),
+        autoRepairable: true
+      });
+    }
+  }
+
+  return mismatches;
+}
+
+/**
+ * Walk every user and persist a reconciliation report
+ * @param {Object} options
+ * @param {'scheduled'|'manual'} options.trigger
+ * @param {ObjectId} [options.triggeredBy] - admin who started a manual run
+ * @returns {Promise<Object>} The finished report, or { skipped, reason }
+ */
+async function runReconciliation({ trigger = 'manual', triggeredBy = null } = {}) {
+  if (isRunning) {
+    return { skipped: true, reason: 'Reconciliation already in progress' };
+  }
+
+  const activeRun = await ReconciliationReport.findOne({
+    status: 'running',
+    startedAt: { $gte: new Date(Date.now() - STALE_RUN_MS) }
+  }).lean();
+  if (activeRun) {
+    return { skipped: true, reason: 'Reconciliation already in progress', reportId: activeRun._id };
+  }
+
+  isRunning = true;
+  const report = await ReconciliationReport.create({ trigger, triggeredBy });
+
+  try {
+    const config = await TierConfig.getCurrentConfig();
+    const tiers = config.tiers;
+
+    const summary = {
+      missing_v2: 0,
+      ownership_drift: 0,
+      earning_drift: 0,
+      status_mismatch: 0,
+      total: 0,
+      autoRepairable: 0,
+      repaired: 0
+    };
+    let usersScanned = 0;
+    let transactionsScanned = 0;
+    let buffer = [];
+
+    const flush = async () => {
+      if (buffer.length === 0) return;
+      await ReconciliationMismatch.insertMany(buffer, { ordered: false });
+      buffer = [];
+    };
+
+    const reconcile = async (userId, legacyShare) => {
+      const [v2Txs, v2Snapshot] = await Promise.all([
+        TransactionV2.find({ userId }).lean(),
+        UserShareV2.findOne({ user: userId }).lean()
+      ]);
+
+      const mismatches = classifyUser(userId, legacyShare, v2Txs, v2Snapshot, tiers);
+      mismatches.forEach(m => {
+        summary[m.mismatchType]++;
+        summary.total++;
+        if (m.autoRepairable) summary.autoRepairable++;
+        buffer.push({ ...m, report: report._id });
+      });
+
+      usersScanned++;
+      transactionsScanned += Math.max(legacyShare?.transactions?.length || 0, v2Txs.length);
+
+      if (buffer.length >= INSERT_BATCH_SIZE) await flush();
+    };
+
+    const seen = new Set();
+
+    const cursor = UserShare.find({}).lean().cursor();
+    for await (const legacyShare of cursor) {
+      const key = legacyShare.user.toString();
+      if (seen.has(key)) continue;
+      seen.add(key);
+      await reconcile(legacyShare.user, legacyShare);
+    }
+
+    // Users who only exist on the V2 side (entered directly through /api/v2)
+    const v2Users = await TransactionV2.distinct('userId');
+    for (const userId of v2Users) {
+      if (seen.has(userId.toString())) continue;
+      await reconcile(userId, null);
+    }
+
+    await flush();
+
+    report.status = 'completed';
+    report.finishedAt = new Date();
+    report.usersScanned = usersScanned;
+    report.transactionsScanned = transactionsScanned;
+    report.summary = summary;
+    await report.save();
+
+    console.log(`[RECONCILIATION] ${usersScanned} users scanned, ${summary.total} mismatches (${summary.autoRepairable} auto-repairable)`);
+    return report;
+  } catch (error) {
+    report.status = 'failed';
+    report.finishedAt = new Date();
+    report.error = error.message;
+    await report.save();
+    throw error;
+  } finally {
+    isRunning = false;
+  }
+}
+
+/**
+ * Apply the safe fix for one auto-repairable mismatch
+ */
+async function repairMismatch(mismatch, adminId = null) {
+  const userId = mismatch.user;
+
+  if (mismatch.scope === 'snapshot') {
+    await recalculateUserShare(userId);
+    return;
+  }
+
+  const legacyShare = await UserShare.findOne({ user: userId }).lean();
+  const legacyTx = legacyShare?.transactions?.find(t => t.transactionId === mismatch.transactionId);
+  if (!legacyTx) {
+    throw new Error(`Legacy transaction ${mismatch.transactionId} no longer exists`);
+  }
+
+  if (mismatch.mismatchType === 'missing_v2') {
+    const exists = await TransactionV2.exists({ transactionId: legacyTx.transactionId });
+    if (exists) return;
+
+    await writeToV2({
+      transactionId: legacyTx.transactionId,
+      userId,
+      type: legacyTx.type,
+      tierKey: legacyTx.packageId || 'legacy',
+      shares: 1,
+      ownershipPct: legacyTx.ownershipPct,
+      earningKobo: legacyTx.earningKobo,
+      totalAmount: legacyTx.amount,
+      currency: legacyTx.currency,
+      status: legacyTx.status,
+      paymentMethod: legacyTx.paymentMethod,
+      paymentProof: legacyTx.paymentProofCloudinaryUrl || legacyTx.paymentProofPath,
+      enteredBy: adminId,
+      note: 'Backfilled from UserShare by reconciliation'
+    });
+    return;
+  }
+
+  if (mismatch.mismatchType === 'status_mismatch') {
+    const v2Tx = await TransactionV2.findOne({ transactionId: legacyTx.transactionId });
+    if (!v2Tx) throw new Error(`TransactionV2 ${legacyTx.transactionId} no longer exists`);
+
+    // Only ever settle a V2 row that is still pending
+    if (v2Tx.status !== 'pending' || legacyTx.status === 'pending') {
+      throw new Error(`Status changed since the run (legacy ${legacyTx.status}, v2 ${v2Tx.status})`);
+    }
+
+    v2Tx.status = legacyTx.status;
+    await v2Tx.save();
+    await recalculateUserShare(userId);
+    return;
+  }
+
+  throw new Error(`${mismatch.mismatchType} (${mismatch.scope}) is not auto-repairable`);
+}
+
+/**
+ * Repair every open auto-repairable mismatch of a report
+ * @param {string} reportId
+ * @param {Object} options
+ * @param {string[]} [options.types] - limit to these mismatch types
+ * @param {ObjectId} [options.adminId]
+ * @returns {Promise<Object>} { attempted, repaired, failed }
+ */
+async function repairReport(reportId, { types, adminId = null } = {}) {
+  const query = { report: reportId, autoRepairable: true, status: { $in: ['open', 'repair_failed'] } };
+  if (types && types.length) query.mismatchType = { $in: types };
+
+  const mismatches = await ReconciliationMismatch.find(query);
+  const result = { attempted: mismatches.length, repaired: 0, failed: 0 };
+
+  for (const mismatch of mismatches) {
+    try {
+      await repairMismatch(mismatch, adminId);
+      mismatch.status = 'repaired';
+      mismatch.repairedAt = new Date();
+      mismatch.repairedBy = adminId;
+      mismatch.repairError = undefined;
+      result.repaired++;
+    } catch (error) {
+      mismatch.status = 'repair_failed';
+      mismatch.repairError = error.message;
+      result.failed++;
+    }
+    await mismatch.save();
+  }
+
+  if (result.repaired > 0) {
+    await ReconciliationReport.updateOne(
+      { _id: reportId },
+      { $inc: { 'summary.repaired': result.repaired } }
+    );
+  }
+
+  return result;
+}
+
+module.exports = {
+  runReconciliation,
+  repairReport,
+  repairMismatch,
+  classifyUser
+};
@@ -0,0 +1,99 @@
+// utils/totp.js
+/**
+ * RFC 6238 time-based one-time passwords (the codes shown by Google
+ * Authenticator, Authy, 1Password, ...): HMAC-SHA1, 6 digits, 30s steps.
+ * Secrets are exchanged as RFC 4648 base32.
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(input) {
+  const clean = String(input).toUpperCase().replace(/=+$/, '').replace(/\s+/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/** New random 160-bit secret, base32 encoded */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const currentStep = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+function generateCode(secret, step = currentStep()) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+/**
+ * Check a code against the current step and `window` steps either side to
+ * allow for clock drift. Returns the matching step, or null.
+ */
+function verifyCode(secret, code, { window = 1, time = Date.now() } = {}) {
+  const candidate = String(code || '').replace(/\s+/g, '');
+  if (!/^\d{6}$/.test(candidate)) return null;
+
+  const now = currentStep(time);
+  for (let offset = -window; offset <= window; offset++) {
+    const expected = generateCode(secret, now + offset);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+      return now + offset;
+    }
+  }
+  return null;
+}
+
+/** otpauth:// URI for authenticator apps (usually rendered as a QR code) */
+const keyUri = (secret, accountName, issuer = 'AfriMobile') =>
+  `otpauth://totp/${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}` +
+  `?secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  currentStep,
+  generateCode,
+  verifyCode,
+  keyUri
+};
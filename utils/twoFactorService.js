@@ -0,0 +1,194 @@
+// utils/twoFactorService.js
+/**
+ * Two-factor authentication - TOTP enrollment, backup codes and step-up.
+ *
+ * The TOTP secret is stored AES-256-GCM encrypted (TWO_FACTOR_ENCRYPTION_KEY,
+ * falling back to a key derived from JWT_SECRET); backup codes are stored as
+ * SHA-256 hashes and each works once.
+ *
+ * A "step-up" is proof of the second factor for a sensitive request. It is
+ * given either by verifying a code against the current session
+ * (POST /api/users/2fa/verify), which then counts for STEP_UP_MINUTES, or by
+ * sending the code with the request itself in the X-2FA-Code header.
+ */
+
+const crypto = require('crypto');
+const User = require('../models/User');
+const UserSession = require('../models/UserSession');
+const totp = require('./totp');
+
+const BACKUP_CODE_COUNT = 10;
+const STEP_UP_MINUTES = () => Number(process.env.TWO_FACTOR_STEP_UP_MINUTES) || 10;
+
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.backupCodes +twoFactor.lastUsedStep';
+
+const encryptionKey = () =>
+  crypto.createHash('sha256')
+    .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || `2fa:${process.env.JWT_SECRET}`)
+    .digest();
+
+function encryptSecret(plain) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(plain, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(b => b.toString('base64')).join('.');
+}
+
+function decryptSecret(stored) {
+  const [iv, tag, encrypted] = String(stored).split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+const hashBackupCode = (code) =>
+  crypto.createHash('sha256').update(String(code).replace(/[\s-]/g, '').toLowerCase()).digest('hex');
+
+/** Fresh set of backup codes: plain ones for the user, hashes for storage */
+function generateBackupCodes(count = BACKUP_CODE_COUNT) {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashBackupCode) };
+}
+
+const loadWithSecrets = (userId) => User.findById(userId).select(SECRET_FIELDS);
+
+/**
+ * Begin enrollment: store a pending secret and return it for the
+ * authenticator app. Nothing is enforced until confirmSetup succeeds.
+ */
+async function beginSetup(userId) {
+  const user = await loadWithSecrets(userId);
+  if (!user) return null;
+
+  const secret = totp.generateSecret();
+  user.twoFactor = user.twoFactor || {};
+  user.twoFactor.pendingSecret = encryptSecret(secret);
+  await user.save({ validateBeforeSave: false });
+
+  return {
+    secret,
+    otpauthUrl: totp.keyUri(secret, user.email)
+  };
+}
+
+/**
+ * Finish enrollment with a code from the pending secret.
+ * @returns {Promise<string[]|null>} backup codes, or null if the code is wrong
+ */
+async function confirmSetup(userId, code) {
+  const user = await loadWithSecrets(userId);
+  if (!user?.twoFactor?.pendingSecret) return null;
+
+  const step = totp.verifyCode(decryptSecret(user.twoFactor.pendingSecret), code);
+  if (step === null) return null;
+
+  const { codes, hashes } = generateBackupCodes();
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.backupCodes = hashes;
+  user.twoFactor.lastUsedStep = step;
+  user.twoFactor.enabled = true;
+  user.twoFactor.enabledAt = new Date();
+  await user.save({ validateBeforeSave: false });
+
+  return codes;
+}
+
+/**
+ * Check a TOTP or backup code for a user with 2FA enabled. TOTP codes can't
+ * be replayed within their window and backup codes are consumed.
+ * @returns {Promise<'totp'|'backup_code'|null>} how the user verified
+ */
+async function verifySecondFactor(userId, code) {
+  if (!code) return null;
+
+  const user = await loadWithSecrets(userId);
+  if (!user?.twoFactor?.enabled || !user.twoFactor.secret) return null;
+
+  const step = totp.verifyCode(decryptSecret(user.twoFactor.secret), code);
+  if (step !== null) {
+    // Conditional so the same code can't be accepted twice concurrently
+    const result = await User.updateOne(
+      {
+        _id: user._id,
+        $or: [
+          { 'twoFactor.lastUsedStep': { $lt: step } },
+          { 'twoFactor.lastUsedStep': null }
+        ]
+      },
+      { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+    return result.modifiedCount > 0 ? 'totp' : null;
+  }
+
+  const result = await User.updateOne(
+    { _id: user._id, 'twoFactor.backupCodes': hashBackupCode(code) },
+    { $pull: { 'twoFactor.backupCodes': hashBackupCode(code) } }
+  );
+  return result.modifiedCount > 0 ? 'backup_code' : null;
+}
+
+/** Replace the backup codes; returns the new plain codes */
+async function regenerateBackupCodes(userId) {
+  const { codes, hashes } = generateBackupCodes();
+  await User.updateOne({ _id: userId }, { $set: { 'twoFactor.backupCodes': hashes } });
+  return codes;
+}
+
+/** Turn 2FA off and forget the secret and backup codes */
+async function disableTwoFactor(userId) {
+  await User.updateOne(
+    { _id: userId },
+    {
+      $set: { 'twoFactor.enabled': false },
+      $unset: {
+        'twoFactor.secret': 1,
+        'twoFactor.pendingSecret': 1,
+        'twoFactor.backupCodes': 1,
+        'twoFactor.lastUsedStep': 1,
+        'twoFactor.enabledAt': 1
+      }
+    }
+  );
+}
+
+async function getStatus(userId) {
+  const user = await loadWithSecrets(userId);
+  if (!user) return null;
+
+  return {
+    enabled: !!user.twoFactor?.enabled,
+    enabledAt: user.twoFactor?.enabledAt || null,
+    setupPending: !user.twoFactor?.enabled && !!user.twoFactor?.pendingSecret,
+    backupCodesRemaining: user.twoFactor?.backupCodes?.length || 0,
+    required: !!user.isAdmin
+  };
+}
+
+/** Record a step-up on a session; returns when it lapses */
+async function markSessionStepUp(sessionId) {
+  const now = new Date();
+  await UserSession.updateOne({ _id: sessionId }, { $set: { stepUpAt: now } });
+  return new Date(now.getTime() + STEP_UP_MINUTES() * 60 * 1000);
+}
+
+const isSessionSteppedUp = (session) =>
+  !!session?.stepUpAt && Date.now() - session.stepUpAt.getTime() < STEP_UP_MINUTES() * 60 * 1000;
+
+module.exports = {
+  BACKUP_CODE_COUNT,
+  encryptSecret,
+  decryptSecret,
+  hashBackupCode,
+  beginSetup,
+  confirmSetup,
+  verifySecondFactor,
+  regenerateBackupCodes,
+  disableTwoFactor,
+  getStatus,
+  markSessionStepUp,
+  isSessionSteppedUp
+};
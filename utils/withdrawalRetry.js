@@ -0,0 +1,216 @@
+// utils/withdrawalRetry.js
+/**
+ * Sending failed bank withdrawals again, and giving up on them.
+ *
+ * applyTransferStatus() (utils/withdrawalSettlement.js) puts a transiently
+ * failed withdrawal in 'retrying' with a nextRetryAt from the retry policy
+ * (utils/withdrawalRetryPolicy.js). retryDueWithdrawals(), run from
+ * withdrawalCronJobs.js, sends each one again once it is due; the result goes
+ * back through applyTransferStatus(), which schedules the next retry or, with
+ * the retries used up, moves it to 'dead_letter'. From there an admin retries
+ * or refunds it through the control dashboard.
+ *
+ * Every attempt goes out under a fresh reference (<clientReference>-R<n>) so
+ * providers don't reject it as a duplicate of the failed one.
+ */
+
+const mongoose = require('mongoose');
+const Withdrawal = require('../models/Withdrawal');
+const WithdrawalConfig = require('../models/WithdrawalConfig');
+const payoutProviders = require('../services/payoutProviders');
+const { PayoutProviderError } = payoutProviders;
+const { withLedgerSession, transitionWithdrawalFunds, WITHDRAWAL_STATUS_BUCKETS } = require('./ledgerService');
+const { applyTransferStatus, notifyWithdrawalOutcome } = require('./withdrawalSettlement');
+const { RETRY_POLICY } = require('./withdrawalRetryPolicy');
+
+// Retries sent per cron run, so one run can't hammer a struggling provider
+const RETRY_BATCH_SIZE = parseInt(process.env.PAYOUT_RETRY_BATCH_SIZE, 10) || 50;
+
+class WithdrawalRetryError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'WithdrawalRetryError';
+    this.statusCode = statusCode;
+  }
+}
+
+const loadWithdrawal = async (withdrawalId, session) => {
+  if (!mongoose.isValidObjectId(withdrawalId)) throw new WithdrawalRetryError('Withdrawal not found', 404);
+  const withdrawal = await Withdrawal.findById(withdrawalId).session(session);
+  if (!withdrawal) throw new WithdrawalRetryError('Withdrawal not found', 404);
+  return withdrawal;
+};
+
+/**
+ * Whether automatic retries should hold off: the same switches that stop
+ * admins paying out (middleware/withdrawalGuard.js withdrawalAdminGuard)
+ */
+const payoutsHalted = async () => {
+  const configs = await WithdrawalConfig.find({
+    key: { $in: ['emergency_freeze', 'global_paused', 'bank_withdrawals_enabled'] }
+  }).lean();
+  const value = (key, fallback) => {
+    const config = configs.find(c => c.key === key);
+    return config ? config.value : fallback;
+  };
+  return value('emergency_freeze', false) || value('global_paused', false) || !value('bank_withdrawals_enabled', true);
+};
+
+/**
+ * Send a retrying (or, for an admin, dead-lettered) withdrawal again
+ * @param {string} withdrawalId
+ * @param {Object} [options]
+ * @param {string} [options.adminId] - set for a manual retry from the dashboard
+ * @returns {Promise<{withdrawal: Object, outcome: string}>} outcome is the
+ *   withdrawal's new status, or 'unknown' when the provider's answer was lost
+ */
+async function retryWithdrawal(withdrawalId, { adminId = null } = {}) {
+  const retryable = adminId ? ['retrying', 'dead_letter'] : ['retrying'];
+
+  const withdrawal = await withLedgerSession(async (session) => {
+    const current = await loadWithdrawal(withdrawalId, session);
+    if (current.withdrawalType !== 'bank' || !retryable.includes(current.status)) {
+      throw new WithdrawalRetryError(`Only ${retryable.join(' or ')} bank withdrawals can be retried; this one is ${current.status}`, 400);
+    }
+
+    const previousStatus = current.status;
+    current.retryCount = (current.retryCount || 0) + 1;
+    current.lastRetryAt = new Date();
+    current.nextRetryAt = null;
+    current.transferReference = `${current.clientReference}-R${current.retryCount}`;
+    current.payoutProvider = null;
+    current.status = 'processing';
+    if (adminId) current.adminNotes = `Retried by admin ${adminId} at ${current.lastRetryAt.toISOString()}`;
+
+    await transitionWithdrawalFunds(current, 'processing', WITHDRAWAL_STATUS_BUCKETS[previousStatus], {
+      description: `Withdrawal ${current.clientReference} retry ${current.retryCount}`,
+      createdBy: adminId
+    }, { session });
+    await current.save({ session });
+    return current;
+  });
+
+  const source = adminId ? 'manual retry' : `retry ${withdrawal.retryCount}`;
+  let transfer;
+  try {
+    transfer = await payoutProviders.initiateTransfer('bank', {
+      reference: withdrawal.transferReference,
+      amount: withdrawal.amount,
+      accountNumber: withdrawal.paymentDetails?.accountNumber,
+      bankCode: withdrawal.paymentDetails?.bankCode,
+      bankName: withdrawal.paymentDetails?.bankName,
+      accountName: withdrawal.paymentDetails?.accountName,
+      narration: 'Afrimobile Earnings Withdrawal'
+    });
+  } catch (error) {
+    if (!(error instanceof PayoutProviderError) || !error.failover) {
+      // The transfer may have gone out; leave it processing for the status poll
+      console.error(`Retry ${withdrawal.transferReference} outcome unknown:`, error.message);
+      if (error.provider) await Withdrawal.updateOne({ _id: withdrawal._id }, { $set: { payoutProvider: error.provider } });
+      return { withdrawal, outcome: 'unknown' };
+    }
+    transfer = { status: 'failed', failureReason: error.message, error };
+  }
+
+  if (transfer.provider) {
+    await Withdrawal.updateOne(
+      { _id: withdrawal._id },
+      { $set: { payoutProvider: transfer.provider, transactionReference: transfer.providerReference } }
+    );
+  }
+
+  const result = await applyTransferStatus(withdrawal._id, transfer, {
+    source: transfer.provider ? `${transfer.provider} ${source}` : source,
+    createdBy: adminId
+  });
+  if (result.changed) await notifyWithdrawalOutcome(result.withdrawal);
+
+  return { withdrawal: result.withdrawal, outcome: result.withdrawal.status };
+}
+
+/**
+ * Give a dead-lettered (or retrying) withdrawal's amount back to the user
+ * @param {string} withdrawalId
+ * @param {Object} options - { adminId, reason }
+ */
+async function refundWithdrawal(withdrawalId, { adminId, reason }) {
+  const withdrawal = await withLedgerSession(async (session) => {
+    const current = await loadWithdrawal(withdrawalId, session);
+    if (!['retrying', 'dead_letter'].includes(current.status)) {
+      throw new WithdrawalRetryError(`Only retrying or dead_letter withdrawals can be refunded; this one is ${current.status}`, 400);
+    }
+
+    const previousStatus = current.status;
+    current.status = 'failed';
+    current.nextRetryAt = null;
+    current.rejectionReason = reason || current.failureReason || 'Payout could not be completed';
+    current.refundedBy = adminId;
+    current.refundedAt = new Date();
+
+    await transitionWithdrawalFunds(current, 'available', WITHDRAWAL_STATUS_BUCKETS[previousStatus], {
+      description: `Withdrawal ${current.clientReference} refunded to balance`,
+      createdBy: adminId
+    }, { session });
+    await current.save({ session });
+    return current;
+  });
+
+  await notifyWithdrawalOutcome(withdrawal);
+  return withdrawal;
+}
+
+/**
+ * Send every retrying withdrawal whose backoff has run out
+ * @returns {Promise<Object>} counts by outcome
+ */
+async function retryDueWithdrawals(now = new Date()) {
+  const summary = { due: 0, paid: 0, processing: 0, retrying: 0, dead_letter: 0, failed: 0, unknown: 0, errors: 0 };
+
+  if (await payoutsHalted()) {
+    console.log('Withdrawal retries skipped: payouts are frozen, paused or bank withdrawals are disabled');
+    return summary;
+  }
+
+  const due = await Withdrawal.find({ status: 'retrying', nextRetryAt: { $lte: now } })
+    .sort({ nextRetryAt: 1 })
+    .limit(RETRY_BATCH_SIZE)
+    .select('_id');
+  summary.due = due.length;
+
+  for (const { _id } of due) {
+    try {
+      const { outcome } = await retryWithdrawal(_id);
+      summary[outcome] = (summary[outcome] || 0) + 1;
+    } catch (error) {
+      summary.errors++;
+      console.error(`Error retrying withdrawal ${_id}:`, error.message);
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Retry policy and queue sizes for the admin dashboard
+ */
+async function getRetryOverview() {
+  const counts = await Withdrawal.aggregate([
+    { $match: { status: { $in: ['retrying', 'dead_letter'] } } },
+    { $group: { _id: '$status', count: { $sum: 1 }, totalAmount: { $sum: '$amount' } } }
+  ]);
+  const of = (status) => counts.find(c => c._id === status) || { count: 0, totalAmount: 0 };
+
+  return {
+    policy: RETRY_POLICY,
+    retrying: { count: of('retrying').count, totalAmount: of('retrying').totalAmount },
+    deadLetter: { count: of('dead_letter').count, totalAmount: of('dead_letter').totalAmount }
+  };
+}
+
+module.exports = {
+  WithdrawalRetryError,
+  retryWithdrawal,
+  refundWithdrawal,
+  retryDueWithdrawals,
+  getRetryOverview
+};
@@ -0,0 +1,89 @@
+// utils/withdrawalRetryPolicy.js
+/**
+ * What happens to a bank withdrawal whose transfer failed.
+ *
+ *   permanent (invalid account, closed account, declined...) -> failed,
+ *     the amount goes back to the user's balance
+ *   transient (provider down, timeouts, our payout account short...) ->
+ *     retrying, sent again after an exponential backoff
+ *   transient, retries used up -> dead_letter, the amount stays reserved
+ *     until an admin retries or refunds it from the control dashboard
+ *
+ * A failure we can't place is treated as transient: retrying a transfer the
+ * provider has reported failed cannot pay twice, and anything still failing
+ * after the last retry reaches an admin instead of being dropped.
+ */
+
+const RETRY_POLICY = {
+  maxRetries: parseInt(process.env.PAYOUT_MAX_RETRIES, 10) || 5,
+  baseDelayMinutes: parseInt(process.env.PAYOUT_RETRY_BASE_MINUTES, 10) || 5,
+  maxDelayMinutes: parseInt(process.env.PAYOUT_RETRY_MAX_DELAY_MINUTES, 10) || 360
+};
+
+// Failure reasons that no retry will fix
+const PERMANENT_FAILURES = [
+  /invalid (account|bank|beneficiary|recipient)/i,
+  /account (number )?(is )?(invalid|not found|does not exist)/i,
+  /(could not|unable to) (resolve|verify) (the )?account/i,
+  /no such account/i,
+  /(account|beneficiary) (is )?(closed|dormant|blocked|restricted|frozen)/i,
+  /name (mis)?match/i,
+  /declined/i,
+  /do not honou?r/i,
+  /not permitted/i,
+  /bank (code )?(is )?not supported/i
+];
+
+// 4xx status codes that point at our provider setup rather than the transfer
+const TRANSIENT_STATUS_CODES = [401, 403, 408, 429];
+
+/**
+ * 'permanent' or 'transient' for a failure reason, optionally with the
+ * PayoutProviderError that carried it
+ * @param {string} reason
+ * @param {Object} [error]
+ * @returns {'permanent'|'transient'}
+ */
+const classifyFailure = (reason, error = null) => {
+  const text = String(reason || error?.message || '');
+  if (PERMANENT_FAILURES.some(pattern => pattern.test(text))) return 'permanent';
+
+  const statusCode = error?.statusCode;
+  if (statusCode && statusCode >= 400 && statusCode < 500 && !TRANSIENT_STATUS_CODES.includes(statusCode)) {
+    return 'permanent';
+  }
+  return 'transient';
+};
+
+/**
+ * Delay before retry number `retryCount + 1`: base, 2x base, 4x base... capped
+ * @param {number} retryCount - retries already made
+ * @returns {number} milliseconds
+ */
+const retryDelay = (retryCount, policy = RETRY_POLICY) => {
+  const minutes = Math.min(policy.baseDelayMinutes * 2 ** retryCount, policy.maxDelayMinutes);
+  return minutes * 60 * 1000;
+};
+
+/**
+ * Where a failed transfer goes next
+ * @param {Object} withdrawal - needs retryCount
+ * @param {Object} failure - { reason, error }
+ * @returns {{ status: 'failed'|'retrying'|'dead_letter', failureType: string, nextRetryAt: Date|null }}
+ */
+const planFailure = (withdrawal, { reason, error = null } = {}, now = new Date(), policy = RETRY_POLICY) => {
+  const failureType = classifyFailure(reason, error);
+  if (failureType === 'permanent') return { status: 'failed', failureType, nextRetryAt: null };
+
+  const retryCount = withdrawal.retryCount || 0;
+  if (retryCount >= policy.maxRetries) return { status: 'dead_letter', failureType, nextRetryAt: null };
+
+  return { status: 'retrying', failureType, nextRetryAt: new Date(now.getTime() + retryDelay(retryCount, policy)) };
+};
+
+module.exports = {
+  RETRY_POLICY,
+  classifyFailure,
+  retryDelay,
+  planFailure
+};
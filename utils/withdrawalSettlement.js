@@ -0,0 +1,248 @@
+// utils/withdrawalSettlement.js
+/**
+ * Applying payout provider results to withdrawals.
+ *
+ * A transfer's outcome reaches us from the provider's webhook
+ * (controller/payoutWebhookController.js) and, for withdrawals that have
+ * gone quiet, from the backstop polls in withdrawalCronJobs.js. Both go
+ * through applyTransferStatus(), which re-reads the withdrawal inside the
+ * ledger transaction and only moves it forward from an open status, so
+ * whichever arrives second changes nothing and sends no second email.
+ *
+ * Withdrawals paid out in a batch (utils/payoutBatches.js) settle the same
+ * way, whether the result comes from the provider or the bank's result
+ * file, and also settle their batch item. A failed batch item goes back to
+ * the approved queue for the next batch instead of failing the withdrawal.
+ *
+ * Any other failed transfer goes through the retry policy
+ * (utils/withdrawalRetryPolicy.js): refunded if the failure is permanent,
+ * otherwise scheduled for a retry (utils/withdrawalRetry.js) or, once the
+ * retries are used up, parked in the dead-letter queue for an admin.
+ */
+
+const Withdrawal = require('../models/Withdrawal');
+const PayoutBatch = require('../models/PayoutBatch');
+const User = require('../models/User');
+const { sendEmail } = require('./emailService');
+const { generateWithdrawalReceipt } = require('./withdrawalReceiptService.js');
+const { withLedgerSession, transitionWithdrawalFunds, WITHDRAWAL_STATUS_BUCKETS } = require('./ledgerService');
+const { planFailure } = require('./withdrawalRetryPolicy');
+
+// Statuses still waiting on the provider. A retrying or dead-lettered
+// withdrawal can still be paid by a late success from an earlier attempt.
+const OPEN_STATUSES = ['pending', 'approved', 'processing', 'retrying', 'dead_letter'];
+
+// Statuses that hold a user's withdrawal in progress
+const IN_PROGRESS_STATUSES = ['pending', 'processing', 'retrying', 'dead_letter'];
+
+// Withdrawal status for each provider transfer status
+const TRANSFER_OUTCOMES = {
+  successful: 'paid',
+  failed: 'failed',
+  processing: 'processing'
+};
+
+// Withdrawals a provider can report on: everything except items released to
+// the bank in a batch file, which only the bank's result file settles
+const PROVIDER_TRACKED = { $or: [{ payoutBatch: null }, { payoutProvider: { $ne: null } }] };
+
+/**
+ * Withdrawal a provider event refers to, by our reference or the provider's
+ */
+const findWithdrawalForTransfer = ({ reference, providerReference }) => {
+  const match = [];
+  if (reference) match.push({ clientReference: reference }, { transferReference: reference });
+  if (providerReference) match.push({ transactionReference: providerReference });
+  if (!match.length) return null;
+  return Withdrawal.findOne({ $or: match });
+};
+
+/**
+ * Mark a withdrawal's item in its payout batch, recounting the batch
+ */
+const settleBatchItem = async (withdrawal, fields, session) => {
+  const batch = await PayoutBatch.findById(withdrawal.payoutBatch).session(session);
+  const item = batch && batch.items.find(i => i.withdrawal.equals(withdrawal._id));
+  if (!item) return null;
+
+  Object.assign(item, fields, { settledAt: new Date() });
+  batch.refreshTotals();
+  await batch.save({ session });
+  return batch;
+};
+
+/**
+ * Move a withdrawal to the status its transfer has reached, with its funds
+ * @param {string|Object} withdrawalId - Withdrawal id or document
+ * @param {Object} transfer - { status, providerReference, failureReason, failedAt, error } from a payout provider
+ * @param {Object} [options]
+ * @param {string} [options.source] - what reported the status, for the ledger description
+ * @param {string} [options.createdBy] - admin applying the status, if any
+ * @param {string} [options.attemptReference] - reference the result is for; failures of
+ *   an earlier attempt than the withdrawal's current one are ignored
+ * @returns {Promise<{changed: boolean, requeued: boolean, previousStatus: string, withdrawal: Object}>}
+ */
+const applyTransferStatus = async (withdrawalId, transfer, { source = 'provider', createdBy = null, attemptReference = null } = {}) =>
+  withLedgerSession(async (session) => {
+    const withdrawal = await Withdrawal.findById(withdrawalId._id || withdrawalId).session(session);
+    if (!withdrawal) throw new Error(`Withdrawal ${withdrawalId._id || withdrawalId} not found`);
+
+    const previousStatus = withdrawal.status;
+    let status = TRANSFER_OUTCOMES[transfer.status];
+    const unchanged = { changed: false, requeued: false, previousStatus, withdrawal };
+
+    if (!status || !OPEN_STATUSES.includes(previousStatus) || status === previousStatus) return unchanged;
+
+    // Only a success moves a withdrawal that is already waiting on a retry or an admin
+    if (status !== 'paid' && ['retrying', 'dead_letter'].includes(previousStatus)) return unchanged;
+    const superseded = attemptReference && withdrawal.transferReference &&
+      attemptReference.toLowerCase() !== withdrawal.transferReference.toLowerCase();
+    if (superseded && status !== 'paid') return unchanged;
+
+    // A batch item is only settled once it has been released
+    const batchId = withdrawal.payoutBatch;
+    if (batchId && previousStatus !== 'processing') return unchanged;
+    const requeued = Boolean(batchId) && status === 'failed';
+    if (requeued) status = 'approved';
+
+    const failedAt = transfer.failedAt || new Date();
+    const failureReason = transfer.failureReason || 'Transaction failed';
+    if (status === 'failed') {
+      const plan = planFailure(withdrawal, { reason: failureReason, error: transfer.error });
+      status = plan.status;
+      withdrawal.failureType = plan.failureType;
+      withdrawal.nextRetryAt = plan.nextRetryAt;
+      if (status === 'dead_letter') withdrawal.deadLetteredAt = failedAt;
+    }
+
+    withdrawal.status = status;
+    if (transfer.providerReference) withdrawal.transactionReference = transfer.providerReference;
+    if (status === 'paid') {
+      withdrawal.processedAt = new Date();
+      withdrawal.nextRetryAt = null;
+    } else if (['failed', 'retrying', 'dead_letter'].includes(status) || requeued) {
+      withdrawal.failedAt = failedAt;
+      withdrawal.failureReason = failureReason;
+      if (requeued) {
+        withdrawal.payoutBatch = null;
+        withdrawal.payoutProvider = null;
+      } else if (status === 'failed') {
+        withdrawal.rejectionReason = failureReason;
+      }
+    }
+
+    await transitionWithdrawalFunds(
+      withdrawal,
+      WITHDRAWAL_STATUS_BUCKETS[status],
+      WITHDRAWAL_STATUS_BUCKETS[previousStatus],
+      {
+        description: `Withdrawal ${withdrawal.clientReference} ${previousStatus} -> ${status} (${source})`,
+        createdBy
+      },
+      { session }
+    );
+    await withdrawal.save({ session });
+
+    if (batchId && (status === 'paid' || requeued)) {
+      const fields = { status: requeued ? 'failed' : 'paid' };
+      if (transfer.providerReference) fields.providerReference = transfer.providerReference;
+      if (requeued) fields.failureReason = withdrawal.failureReason;
+      await settleBatchItem({ _id: withdrawal._id, payoutBatch: batchId }, fields, session);
+    }
+
+    return { changed: true, requeued, previousStatus, withdrawal };
+  });
+
+/**
+ * Save a status an admin or job has set on a withdrawal and move its funds
+ * to match, in one transaction
+ * @param {Object} withdrawal - Withdrawal document with its new status set
+ * @param {string} to - Destination bucket
+ * @param {string} fallbackFrom - Bucket assumed for pre-ledger withdrawals
+ * @param {Object} [details] - { createdBy } for the ledger entry
+ */
+const saveWithdrawalTransition = (withdrawal, to, fallbackFrom, details = {}) =>
+  withLedgerSession(async (session) => {
+    await withdrawal.save({ session });
+    await transitionWithdrawalFunds(withdrawal, to, fallbackFrom, details, { session });
+    return withdrawal;
+  });
+
+/**
+ * Receipt and email for a withdrawal that has just been paid or has failed
+ */
+const notifyWithdrawalOutcome = async (withdrawal) => {
+  if (!['paid', 'failed', 'dead_letter'].includes(withdrawal.status)) return;
+
+  const user = await User.findById(withdrawal.user);
+  if (!user) {
+    console.log(`User ${withdrawal.user} not found for email notification`);
+    return;
+  }
+
+  if (withdrawal.status === 'paid') {
+    try {
+      await generateWithdrawalReceipt(withdrawal, user);
+    } catch (error) {
+      console.error(`Error generating receipt: ${error.message}`);
+    }
+  }
+
+  if (withdrawal.status === 'dead_letter') {
+    try {
+      await sendEmail({
+        email: user.email,
+        subject: 'Withdrawal Delayed',
+        html: `
+          <h2>Withdrawal Delayed</h2>
+          <p>Hello ${user.name},</p>
+          <p>We tried several times but could not complete your withdrawal of ₦${withdrawal.amount.toLocaleString()}.</p>
+          <p><strong>Last error:</strong> ${withdrawal.failureReason}</p>
+          <p>The amount is still reserved for you. Our team will review it and either send it again or return it to your balance, and we will email you when they do.</p>
+        `
+      });
+    } catch (error) {
+      console.error(`Failed to send withdrawal dead_letter email: ${error.message}`);
+    }
+    return;
+  }
+
+  try {
+    await sendEmail(withdrawal.status === 'paid'
+      ? {
+          email: user.email,
+          subject: 'Withdrawal Successful',
+          html: `
+            <h2>Withdrawal Successful</h2>
+            <p>Hello ${user.name},</p>
+            <p>Your withdrawal of ₦${withdrawal.amount.toLocaleString()} has been processed successfully.</p>
+            <p><strong>Transaction Reference:</strong> ${withdrawal.transactionReference || withdrawal.clientReference}</p>
+            <p>You can download your receipt from the dashboard.</p>
+            <p>Thank you for using our platform!</p>
+          `
+        }
+      : {
+          email: user.email,
+          subject: 'Withdrawal Failed',
+          html: `
+            <h2>Withdrawal Failed</h2>
+            <p>Hello ${user.name},</p>
+            <p>We're sorry, but your withdrawal of ₦${withdrawal.amount.toLocaleString()} has failed.</p>
+            <p><strong>Reason:</strong> ${withdrawal.rejectionReason}</p>
+            <p>The funds have been returned to your account balance. You can try again or contact support if you need assistance.</p>
+          `
+        });
+  } catch (error) {
+    console.error(`Failed to send withdrawal ${withdrawal.status} email: ${error.message}`);
+  }
+};
+
+module.exports = {
+  OPEN_STATUSES,
+  IN_PROGRESS_STATUSES,
+  PROVIDER_TRACKED,
+  findWithdrawalForTransfer,
+  applyTransferStatus,
+  saveWithdrawalTransition,
+  notifyWithdrawalOutcome
+};
@@ -0,0 +1,351 @@
+// utils/withdrawalVelocity.js
+/**
+ * Rolling-window caps on how often and how much users withdraw, plus the
+ * holds that keep a new or just-changed payout destination from being
+ * emptied at once.
+ *
+ * Caps cover a rolling day, week (7 days) and month (30 days), each on the
+ * number of withdrawals and on their total amount, at three levels:
+ *
+ *   global  every user's withdrawals together        WithdrawalConfig 'velocity_global_limits'
+ *   user    one user's withdrawals, any method       WithdrawalConfig 'velocity_user_limits',
+ *                                                    overridden by UserWithdrawalControl.velocityLimits
+ *   method  one user's bank or crypto withdrawals    WithdrawalConfig 'velocity_method_limits'
+ *
+ * A withdrawal counts towards the caps from the moment it is requested
+ * unless it was rejected or refunded. A cap left null is not enforced.
+ *
+ * Holds:
+ *   bank_change_cooldown_hours  no bank withdrawal for this long after the
+ *                               saved bank account is changed (default 24)
+ *   first_withdrawal_hold_days  no withdrawal until the account is this many
+ *                               days old, until its first payout (default 0, off)
+ *
+ * middleware/withdrawalGuard.js refuses requests with checkVelocity();
+ * GET /api/withdrawal/balance shows getAllowance() so users can see why.
+ */
+
+const mongoose = require('mongoose');
+const WithdrawalConfig = require('../models/WithdrawalConfig');
+const UserWithdrawalControl = require('../models/UserWithdrawalControl');
+const Withdrawal = require('../models/Withdrawal');
+const Payment = require('../models/Payment');
+const User = require('../models/User');
+
+const DAY = 24 * 60 * 60 * 1000;
+const HOUR = 60 * 60 * 1000;
+
+// Rolling window lengths in days
+const WINDOWS = { daily: 1, weekly: 7, monthly: 30 };
+const METHODS = ['bank', 'crypto'];
+
+// Withdrawals that use up allowance: everything not rejected or refunded
+const COUNTED_STATUSES = ['pending', 'approved', 'processing', 'retrying', 'dead_letter', 'paid'];
+
+const CONFIG_KEYS = {
+  global: 'velocity_global_limits',
+  user: 'velocity_user_limits',
+  method: 'velocity_method_limits'
+};
+
+const DEFAULT_BANK_CHANGE_COOLDOWN_HOURS = 24;
+const DEFAULT_FIRST_WITHDRAWAL_HOLD_DAYS = 0;
+
+async function getConfig(key, defaultValue = null) {
+  const doc = await WithdrawalConfig.findOne({ key });
+  return doc ? doc.value : defaultValue;
+}
+
+/**
+ * Validate caps from an admin request
+ * @param {Object|null} input - { daily: { count, amount }, weekly: {...}, monthly: {...} }
+ * @param {string} [label] - prefix for error messages
+ * @returns {{ limits: Object|null, errors: string[] }} null limits clear every cap
+ */
+const normalizeLimits = (input, label = 'limits') => {
+  if (input === null) return { limits: null, errors: [] };
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { limits: null, errors: [`${label} must be an object keyed by ${Object.keys(WINDOWS).join(', ')}`] };
+  }
+
+  const errors = [];
+  const limits = {};
+  for (const key of Object.keys(input)) {
+    if (!WINDOWS[key]) errors.push(`${label}.${key} is not a window; use ${Object.keys(WINDOWS).join(', ')}`);
+  }
+  for (const window of Object.keys(WINDOWS)) {
+    const caps = input[window] || {};
+    limits[window] = { count: null, amount: null };
+    for (const field of ['count', 'amount']) {
+      const value = caps[field];
+      if (value === undefined || value === null) continue;
+      const number = Number(value);
+      if (!Number.isFinite(number) || number < 1 || (field === 'count' && !Number.isInteger(number))) {
+        errors.push(`${label}.${window}.${field} must be ${field === 'count' ? 'a whole number' : 'a number'} of at least 1, or null`);
+        continue;
+      }
+      limits[window][field] = number;
+    }
+  }
+  return { limits, errors };
+};
+
+const hasCaps = (limits) =>
+  Boolean(limits) && Object.keys(WINDOWS).some(w => limits[w] && (limits[w].count != null || limits[w].amount != null));
+
+/**
+ * The caps that apply to a user withdrawing by a method, with the
+ * withdrawals each level counts
+ * @param {string} userId
+ * @param {string|null} method - 'bank' or 'crypto'; null skips the method level
+ * @returns {Promise<Array<{ level: string, limits: Object, match: Object }>>}
+ */
+async function getVelocityLevels(userId, method) {
+  const [globalLimits, userLimits, methodLimits, control] = await Promise.all([
+    getConfig(CONFIG_KEYS.global, null),
+    getConfig(CONFIG_KEYS.user, null),
+    getConfig(CONFIG_KEYS.method, null),
+    UserWithdrawalControl.findOne({ user: userId }).select('velocityLimits').lean()
+  ]);
+
+  // Aggregations don't cast, so match on an ObjectId
+  const user = new mongoose.Types.ObjectId(String(userId));
+  const levels = [
+    { level: 'global', limits: globalLimits, match: {} },
+    { level: 'user', limits: hasCaps(control?.velocityLimits) ? control.velocityLimits : userLimits, match: { user } }
+  ];
+  if (method) {
+    levels.push({ level: 'method', method, limits: methodLimits?.[method] || null, match: { user, withdrawalType: method } });
+  }
+  return levels.filter(level => hasCaps(level.limits));
+}
+
+/**
+ * Count, amount and oldest withdrawal in each window for the matching withdrawals
+ */
+async function getUsage(match, now = new Date()) {
+  const starts = Object.fromEntries(Object.entries(WINDOWS).map(([w, days]) => [w, new Date(now.getTime() - days * DAY)]));
+  const group = { _id: null };
+  for (const window of Object.keys(WINDOWS)) {
+    const inWindow = { $gte: ['$createdAt', starts[window]] };
+    group[`${window}Count`] = { $sum: { $cond: [inWindow, 1, 0] } };
+    group[`${window}Amount`] = { $sum: { $cond: [inWindow, '$amount', 0] } };
+    group[`${window}Oldest`] = { $min: { $cond: [inWindow, '$createdAt', null] } };
+  }
+
+  const [totals] = await Withdrawal.aggregate([
+    { $match: { ...match, status: { $in: COUNTED_STATUSES }, createdAt: { $gte: starts.monthly } } },
+    { $group: group }
+  ]);
+
+  return Object.fromEntries(Object.keys(WINDOWS).map(window => [window, {
+    count: totals?.[`${window}Count`] || 0,
+    amount: totals?.[`${window}Amount`] || 0,
+    oldest: totals?.[`${window}Oldest`] || null
+  }]));
+}
+
+// When allowance in a window next grows: once its oldest withdrawal rolls out
+const windowResetsAt = (usage, window) =>
+  usage.oldest ? new Date(new Date(usage.oldest).getTime() + WINDOWS[window] * DAY) : null;
+
+/**
+ * First cap a withdrawal of `amount` would break
+ * @param {Array} levels - from getVelocityLevels(), each with its `usage`
+ * @param {number} amount
+ * @returns {Object|null} { level, method, window, limit, used, kind: 'count'|'amount', resetsAt }
+ */
+const findBreach = (levels, amount) => {
+  for (const { level, method, limits, usage } of levels) {
+    for (const window of Object.keys(WINDOWS)) {
+      const caps = limits[window];
+      if (!caps) continue;
+      const used = usage[window];
+      const resetsAt = windowResetsAt(used, window);
+      if (caps.count != null && used.count + 1 > caps.count) {
+        return { level, method, window, kind: 'count', limit: caps.count, used: used.count, resetsAt };
+      }
+      if (caps.amount != null && used.amount + amount > caps.amount) {
+        return { level, method, window, kind: 'amount', limit: caps.amount, used: used.amount, remaining: Math.max(caps.amount - used.amount, 0), resetsAt };
+      }
+    }
+  }
+  return null;
+};
+
+/**
+ * What is left in each window across every level
+ * @param {Array} levels - from getVelocityLevels(), each with its `usage`
+ * @returns {Object} { daily: { remainingCount, remainingAmount, resetsAt }, ... } null = no cap
+ */
+const remainingAllowance = (levels) => Object.fromEntries(Object.keys(WINDOWS).map(window => {
+  let remainingCount = null;
+  let remainingAmount = null;
+  let resetsAt = null;
+  for (const { limits, usage } of levels) {
+    const caps = limits[window];
+    if (!caps) continue;
+    const used = usage[window];
+    let limited = false;
+    if (caps.count != null) {
+      const left = Math.max(caps.count - used.count, 0);
+      if (remainingCount === null || left < remainingCount) remainingCount = left;
+      limited = true;
+    }
+    if (caps.amount != null) {
+      const left = Math.max(caps.amount - used.amount, 0);
+      if (remainingAmount === null || left < remainingAmount) remainingAmount = left;
+      limited = true;
+    }
+    const levelResetsAt = limited ? windowResetsAt(used, window) : null;
+    if (levelResetsAt && (!resetsAt || levelResetsAt < resetsAt)) resetsAt = levelResetsAt;
+  }
+  return [window, { remainingCount, remainingAmount, resetsAt }];
+}));
+
+const withUsage = async (levels, now) =>
+  Promise.all(levels.map(async level => ({ ...level, usage: await getUsage(level.match, now) })));
+
+const breachMessage = (breach) => {
+  const scope = { global: 'the platform-wide', user: 'your', method: `your ${breach.method}` }[breach.level];
+  const when = breach.resetsAt ? ` Try again after ${breach.resetsAt.toISOString()}.` : '';
+  if (breach.kind === 'count') {
+    return `You have reached ${scope} ${breach.window} limit of ${breach.limit} withdrawal${breach.limit === 1 ? '' : 's'}.${when}`;
+  }
+  return `This withdrawal would exceed ${scope} ${breach.window} limit of ₦${breach.limit.toLocaleString()}; ₦${breach.remaining.toLocaleString()} is left.${when}`;
+};
+
+/**
+ * Bank-change cooldown and first-withdrawal hold
+ * @returns {Promise<{ bankCooldownUntil: Date|null, firstWithdrawalHoldUntil: Date|null }>}
+ */
+async function getHolds(userId, now = new Date()) {
+  const [cooldownHours, holdDays] = await Promise.all([
+    getConfig('bank_change_cooldown_hours', DEFAULT_BANK_CHANGE_COOLDOWN_HOURS),
+    getConfig('first_withdrawal_hold_days', DEFAULT_FIRST_WITHDRAWAL_HOLD_DAYS)
+  ]);
+
+  let bankCooldownUntil = null;
+  if (cooldownHours > 0) {
+    const payment = await Payment.findOne({ user: userId }).select('bankAccountChangedAt').lean();
+    const until = payment?.bankAccountChangedAt ? new Date(new Date(payment.bankAccountChangedAt).getTime() + cooldownHours * HOUR) : null;
+    if (until && until > now) bankCooldownUntil = until;
+  }
+
+  let firstWithdrawalHoldUntil = null;
+  if (holdDays > 0) {
+    const user = await User.findById(userId).select('createdAt').lean();
+    const until = user?.createdAt ? new Date(new Date(user.createdAt).getTime() + holdDays * DAY) : null;
+    if (until && until > now && !(await Withdrawal.exists({ user: userId, status: 'paid' }))) {
+      firstWithdrawalHoldUntil = until;
+    }
+  }
+
+  return { bankCooldownUntil, firstWithdrawalHoldUntil };
+}
+
+/**
+ * Why a user may not withdraw `amount` by `method` right now
+ * @param {string} userId
+ * @param {string|null} method - 'bank' or 'crypto'
+ * @param {number} amount - naira
+ * @returns {Promise<Object|null>} { code, message, retryAt, ... } or null when allowed
+ */
+async function checkVelocity(userId, method, amount, now = new Date()) {
+  const { bankCooldownUntil, firstWithdrawalHoldUntil } = await getHolds(userId, now);
+  if (firstWithdrawalHoldUntil) {
+    return {
+      code: 'FIRST_WITHDRAWAL_HOLD',
+      message: `New accounts can make their first withdrawal from ${firstWithdrawalHoldUntil.toISOString()}`,
+      retryAt: firstWithdrawalHoldUntil
+    };
+  }
+  if (method === 'bank' && bankCooldownUntil) {
+    return {
+      code: 'BANK_CHANGE_COOLDOWN',
+      message: `Your bank details were changed recently. Bank withdrawals are available again from ${bankCooldownUntil.toISOString()}`,
+      retryAt: bankCooldownUntil
+    };
+  }
+
+  const levels = await withUsage(await getVelocityLevels(userId, method), now);
+  const breach = findBreach(levels, Number(amount) || 0);
+  if (!breach) return null;
+
+  return {
+    code: breach.kind === 'count' ? 'VELOCITY_COUNT_LIMIT' : 'VELOCITY_AMOUNT_LIMIT',
+    message: breachMessage(breach),
+    level: breach.level,
+    window: breach.window,
+    limit: breach.limit,
+    retryAt: breach.resetsAt
+  };
+}
+
+/**
+ * Remaining allowance per method, for the balance endpoint
+ * @returns {Promise<Object>} { bank: {...windows}, crypto: {...windows}, bankCooldownUntil, firstWithdrawalHoldUntil }
+ */
+async function getAllowance(userId, now = new Date()) {
+  const holds = await getHolds(userId, now);
+  const byMethod = {};
+  for (const method of METHODS) {
+    byMethod[method] = remainingAllowance(await withUsage(await getVelocityLevels(userId, method), now));
+  }
+  return { ...byMethod, ...holds };
+}
+
+/**
+ * What in an allowance from getAllowance() stops a `method` withdrawal of
+ * `amount` now: a hold, or a window with no withdrawals or too little left
+ * @returns {Object|null} { code, retryAt } with checkVelocity()'s codes, or null
+ */
+const allowanceBlock = (allowance, method, amount) => {
+  if (allowance.firstWithdrawalHoldUntil) {
+    return { code: 'FIRST_WITHDRAWAL_HOLD', retryAt: allowance.firstWithdrawalHoldUntil };
+  }
+  if (method === 'bank' && allowance.bankCooldownUntil) {
+    return { code: 'BANK_CHANGE_COOLDOWN', retryAt: allowance.bankCooldownUntil };
+  }
+  for (const window of Object.keys(WINDOWS)) {
+    const { remainingCount, remainingAmount, resetsAt } = allowance[method][window];
+    if (remainingCount === 0) return { code: 'VELOCITY_COUNT_LIMIT', retryAt: resetsAt };
+    if (remainingAmount !== null && remainingAmount < amount) return { code: 'VELOCITY_AMOUNT_LIMIT', retryAt: resetsAt };
+  }
+  return null;
+};
+
+/**
+ * Current velocity settings, for the admin control endpoints
+ */
+async function getVelocitySettings() {
+  const [global, user, method, bankChangeCooldownHours, firstWithdrawalHoldDays] = await Promise.all([
+    getConfig(CONFIG_KEYS.global, null),
+    getConfig(CONFIG_KEYS.user, null),
+    getConfig(CONFIG_KEYS.method, null),
+    getConfig('bank_change_cooldown_hours', DEFAULT_BANK_CHANGE_COOLDOWN_HOURS),
+    getConfig('first_withdrawal_hold_days', DEFAULT_FIRST_WITHDRAWAL_HOLD_DAYS)
+  ]);
+  return {
+    global,
+    user,
+    bank: method?.bank || null,
+    crypto: method?.crypto || null,
+    bankChangeCooldownHours,
+    firstWithdrawalHoldDays
+  };
+}
+
+module.exports = {
+  WINDOWS,
+  METHODS,
+  COUNTED_STATUSES,
+  CONFIG_KEYS,
+  normalizeLimits,
+  findBreach,
+  remainingAllowance,
+  checkVelocity,
+  getAllowance,
+  allowanceBlock,
+  getVelocitySettings
+};
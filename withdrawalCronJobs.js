@@ -1,83 +1,30 @@
-// Add this line at the top of the file with your other imports
-const mongoose = require('mongoose');
 const cron = require('node-cron');
 const Withdrawal = require('./models/Withdrawal');
 const ReferralTransaction = require('./models/ReferralTransaction');
 const Referral = require('./models/Referral');
-const axios = require('axios');
-const User = require('./models/User');
-const { sendEmail } = require('./utils/emailService');
-const { generateWithdrawalReceipt } = require('./utils/withdrawalReceiptService.js');
-// Log whether API key is configured
-console.log('LENCO_API_KEY configured:', process.env.LENCO_API_KEY ? 'Yes' : 'No');
+const { syncReferralBalances } = require('./utils/ledgerService');
+const payoutProviders = require('./services/payoutProviders');
+const { PROVIDER_TRACKED, applyTransferStatus, notifyWithdrawalOutcome } = require('./utils/withdrawalSettlement');
+const { retryDueWithdrawals } = require('./utils/withdrawalRetry');
 
 
 /**
- * Utility function to update user's balance after withdrawal
+ * Utility function to update user's balance after withdrawal.
+ * Balances are rebuilt from ledger postings rather than recounted from
+ * Withdrawal documents.
  */
 const updateUserBalance = async (userId) => {
   try {
-    // Count withdrawals by status
-    const paidWithdrawals = await Withdrawal.find({
-      user: userId,
-      status: 'paid'
-    });
+    const balances = await syncReferralBalances(userId);
     
-    const pendingWithdrawals = await Withdrawal.find({
-      user: userId,
-      status: 'pending'
-    });
-    
-    const processingWithdrawals = await Withdrawal.find({
-      user: userId,
-      status: 'processing'
-    });
-    
-    // Calculate totals for each status
-    const totalWithdrawn = paidWithdrawals.reduce((sum, withdrawal) => sum + withdrawal.amount, 0);
-    const totalPending = pendingWithdrawals.reduce((sum, withdrawal) => sum + withdrawal.amount, 0);
-    const totalProcessing = processingWithdrawals.reduce((sum, withdrawal) => sum + withdrawal.amount, 0);
-    
-    // Update the user's referral data with all amounts
-    const updated = await Referral.findOneAndUpdate(
-      { user: userId },
-      { 
-        $set: { 
-          totalWithdrawn: totalWithdrawn,
-          pendingWithdrawals: totalPending,
-          processingWithdrawals: totalProcessing
-        } 
-      },
-      { new: true }
-    );
-    
-    console.log(`Updated balance for user ${userId} - total withdrawn: ${totalWithdrawn}, pending: ${totalPending}, processing: ${totalProcessing}`);
-    return updated;
+    console.log(`Updated balance for user ${userId} - total withdrawn: ${balances.totalWithdrawn}, pending: ${balances.pendingWithdrawals}, processing: ${balances.processingWithdrawals}`);
+    return balances;
   } catch (error) {
     console.error(`Error updating user balance: ${error.message}`);
     return false;
   }
 };
 
-/**
- * Utility function to skip receipt generation errors
- */
-const safeGenerateReceipt = async (withdrawal, user) => {
-  try {
-    if (typeof generateWithdrawalReceipt === 'function') {
-      const receipt = await generateWithdrawalReceipt(withdrawal, user);
-      console.log(`Receipt generated successfully: ${receipt ? 'Yes' : 'No'}`);
-      return receipt;
-    } else {
-      console.log('generateWithdrawalReceipt function not available, skipping');
-      return null;
-    }
-  } catch (error) {
-    console.error(`Error generating receipt: ${error.message}`);
-    return null;
-  }
-};
-
 /**
  * Utility function to safely create a transaction record
  */
@@ -182,189 +129,71 @@ const updateWithdrawalStatus = async (withdrawal, newStatus, additionalData = {}
 };
 
 
+// Webhooks (routes/payoutWebhookRoutes.js) settle transfers as they happen.
+// These jobs are the backstop: they only poll withdrawals that have had no
+// update for a while, in case a delivery was lost.
+const STALE_AFTER_MINUTES = Number(process.env.PAYOUT_STATUS_STALE_MINUTES) || 30;
+
 /**
- * Cron job to verify and update processing withdrawals
- * Runs every 2 minutes
+ * Check every `status` withdrawal with no update in STALE_AFTER_MINUTES
+ * with its payout provider and apply what it reports
  */
-const verifyProcessingWithdrawals = cron.schedule('*/2 * * * *', async () => {
-  try {
-    console.log('\n\n');
-    console.log('**********************************************');
-    console.log('* CRON JOB: PROCESSING WITHDRAWALS VERIFICATION *');
-    console.log('* ' + new Date().toISOString() + ' *');
-    console.log('**********************************************');
-    
-    // Check if Lenco API key is configured
-    if (!process.env.LENCO_API_KEY) {
-      console.error('LENCO_API_KEY is not configured! Skipping verification.');
-      return;
-    }
-    
-    // Find all withdrawals in processing state
-    const processingWithdrawals = await Withdrawal.find({
-      status: 'processing'
-    });
-    
-    console.log(`Found ${processingWithdrawals.length} processing withdrawals to verify`);
-    
-    if (processingWithdrawals.length === 0) {
-      console.log('No processing withdrawals to check. Cron job complete.');
-      return;
-    }
-    
-    let updatedCount = 0;
-    
-    // Process each withdrawal
-    for (const withdrawal of processingWithdrawals) {
-      // Start a session for this withdrawal update
-      const session = await mongoose.startSession();
-      session.startTransaction();
+const verifyStaleWithdrawals = async (status) => {
+  console.log('\n\n');
+  console.log('**********************************************');
+  console.log(`* CRON JOB: STALE ${status.toUpperCase()} WITHDRAWALS VERIFICATION *`);
+  console.log('* ' + new Date().toISOString() + ' *');
+  console.log('**********************************************');
+  
+  const staleBefore = new Date(Date.now() - STALE_AFTER_MINUTES * 60 * 1000);
+  const withdrawals = await Withdrawal.find({
+    status,
+    updatedAt: { $lte: staleBefore },
+    ...PROVIDER_TRACKED
+  });
+  
+  console.log(`Found ${withdrawals.length} ${status} withdrawals with no update since ${staleBefore.toISOString()}`);
+  
+  let updatedCount = 0;
+  
+  for (const withdrawal of withdrawals) {
+    try {
+      const transfer = await payoutProviders.getTransferStatus(withdrawal);
+      const result = await applyTransferStatus(withdrawal._id, transfer, { source: `${transfer.provider} status poll` });
       
-      try {
-        console.log(`Checking withdrawal ${withdrawal._id} with Lenco API using reference: ${withdrawal.clientReference}`);
-        
-        // Use transaction-by-reference endpoint to get the latest status
-        const response = await axios.get(`https://api.lenco.co/access/v1/transaction-by-reference/${withdrawal.clientReference}`, {
-          headers: {
-            'Authorization': `Bearer ${process.env.LENCO_API_KEY}`
-          }
-        });
-        
-        console.log(`Lenco API Response for ${withdrawal._id}:`, JSON.stringify(response.data, null, 2));
-        
-        if (response.data && response.data.status) {
-          const transactionData = response.data.data;
-          
-          console.log(`Current withdrawal status: ${withdrawal.status}, Lenco status: ${transactionData.status}`);
-          
-          // Update transaction status based on Lenco response
-          if (transactionData.status === 'successful') {
-            console.log(`Withdrawal ${withdrawal._id} marked as PAID`);
-            
-            // Move amount from processing to totalWithdrawn
-            await Referral.findOneAndUpdate(
-              { user: withdrawal.user },
-              { 
-                $inc: { 
-                  processingWithdrawals: -withdrawal.amount,
-                  totalWithdrawn: withdrawal.amount 
-                } 
-              },
-              { session }
-            );
-            
-            // Create a transaction record for successful withdrawal
-            await createTransactionRecord(withdrawal, 'processing');
-            
-            // Get user info for notification
-            const user = await User.findById(withdrawal.user);
-            
-            if (user) {
-              // Generate receipt for successful payment
-              console.log(`Generating receipt for user ${user._id}`);
-              await safeGenerateReceipt(withdrawal, user);
-              
-              // Send confirmation email
-              try {
-                await sendEmail({
-                  email: user.email,
-                  subject: 'Withdrawal Successful',
-                  html: `
-                    <h2>Withdrawal Successful</h2>
-                    <p>Hello ${user.name},</p>
-                    <p>Your withdrawal of ₦${withdrawal.amount.toLocaleString()} has been processed successfully.</p>
-                    <p><strong>Transaction Reference:</strong> ${transactionData.transactionReference}</p>
-                    <p>You can download your receipt from the dashboard.</p>
-                    <p>Thank you for using our platform!</p>
-                  `
-                });
-                console.log(`Success email sent to ${user.email}`);
-              } catch (emailError) {
-                console.error(`Failed to send withdrawal confirmation email: ${emailError.message}`);
-              }
-            } else {
-              console.log(`User ${withdrawal.user} not found for email notification`);
-            }
-            
-            // Update withdrawal status
-            withdrawal.status = 'paid';
-            withdrawal.processedAt = new Date();
-            withdrawal.transactionReference = transactionData.transactionReference;
-            await withdrawal.save({ session });
-            
-            await session.commitTransaction();
-            session.endSession();
-            
-            updatedCount++;
-          } else if (transactionData.status === 'failed' || transactionData.status === 'declined') {
-            console.log(`Withdrawal ${withdrawal._id} marked as FAILED: ${transactionData.reasonForFailure || 'Transaction failed'}`);
-            
-            // Remove amount from processingWithdrawals since it failed
-            await Referral.findOneAndUpdate(
-              { user: withdrawal.user },
-              { $inc: { processingWithdrawals: -withdrawal.amount } },
-              { session }
-            );
-            
-            // Get user info for notification
-            const user = await User.findById(withdrawal.user);
-            
-            if (user) {
-              // Send failure notification email
-              try {
-                await sendEmail({
-                  email: user.email,
-                  subject: 'Withdrawal Failed',
-                  html: `
-                    <h2>Withdrawal Failed</h2>
-                    <p>Hello ${user.name},</p>
-                    <p>We're sorry, but your withdrawal of ₦${withdrawal.amount.toLocaleString()} has failed.</p>
-                    <p><strong>Reason:</strong> ${transactionData.reasonForFailure || 'Transaction failed'}</p>
-                    <p>The funds have been returned to your account balance. You can try again or contact support if you need assistance.</p>
-                  `
-                });
-                console.log(`Failure email sent to ${user.email}`);
-              } catch (emailError) {
-                console.error(`Failed to send withdrawal failure email: ${emailError.message}`);
-              }
-            }
-            
-            // Update withdrawal status
-            withdrawal.status = 'failed';
-            withdrawal.failedAt = transactionData.failedAt || new Date();
-            withdrawal.rejectionReason = transactionData.reasonForFailure || 'Transaction failed';
-            await withdrawal.save({ session });
-            
-            await session.commitTransaction();
-            session.endSession();
-            
-            updatedCount++;
-          } else {
-            // No status change needed
-            await session.abortTransaction();
-            session.endSession();
-            console.log(`No status change needed for withdrawal ${withdrawal._id}. Lenco status still: ${transactionData.status}`);
-          }
-        } else {
-          await session.abortTransaction();
-          session.endSession();
-          console.log(`No valid data in Lenco response for withdrawal ${withdrawal._id}`);
-        }
-      } catch (apiError) {
-        await session.abortTransaction();
-        session.endSession();
-        
-        console.error(`Error verifying withdrawal ${withdrawal._id}:`, apiError.message);
-        if (apiError.response) {
-          console.error(`API Response Error:`, JSON.stringify(apiError.response.data, null, 2));
-        }
-        // Continue to next withdrawal if this one fails
+      if (!result.changed) {
+        console.log(`No status change needed for ${status} withdrawal ${withdrawal._id}. ${transfer.provider} status: ${transfer.status}`);
+        continue;
       }
+      
+      console.log(`Withdrawal ${withdrawal._id} marked as ${result.withdrawal.status.toUpperCase()}`);
+      
+      if (result.withdrawal.status === 'paid') {
+        // Create a transaction record for successful withdrawal
+        await createTransactionRecord(result.withdrawal, status);
+      }
+      await notifyWithdrawalOutcome(result.withdrawal);
+      
+      updatedCount++;
+    } catch (error) {
+      // Continue to next withdrawal if this one fails
+      console.error(`Error verifying ${status} withdrawal ${withdrawal._id}:`, error.message);
     }
-    
-    console.log(`Updated ${updatedCount} of ${processingWithdrawals.length} processing withdrawals in this cron job run`);
-    console.log('**********************************************');
-    console.log('\n\n');
+  }
+  
+  console.log(`Updated ${updatedCount} of ${withdrawals.length} ${status} withdrawals in this cron job run`);
+  console.log('**********************************************');
+  console.log('\n\n');
+  return updatedCount;
+};
+
+/**
+ * Cron job to verify stale processing withdrawals
+ * Runs every 10 minutes
+ */
+const verifyProcessingWithdrawals = cron.schedule('*/10 * * * *', async () => {
+  try {
+    await verifyStaleWithdrawals('processing');
   } catch (error) {
     console.error('Error in withdrawal verification cron job:', error);
     console.error(error.stack);
@@ -374,208 +203,12 @@ const verifyProcessingWithdrawals = cron.schedule('*/2 * * * *', async () => {
 });
 
 /**
- * Cron job to verify pending withdrawals
- * Runs every 2 minutes
+ * Cron job to verify stale pending withdrawals
+ * Runs every 10 minutes
  */
-const verifyPendingWithdrawals = cron.schedule('*/2 * * * *', async () => {
+const verifyPendingWithdrawals = cron.schedule('5-59/10 * * * *', async () => {
   try {
-    console.log('\n\n');
-    console.log('**********************************************');
-    console.log('* CRON JOB: PENDING WITHDRAWALS VERIFICATION *');
-    console.log('* ' + new Date().toISOString() + ' *');
-    console.log('**********************************************');
-    
-    // Check if Lenco API key is configured
-    if (!process.env.LENCO_API_KEY) {
-      console.error('LENCO_API_KEY is not configured! Skipping verification.');
-      return;
-    }
-    
-    // Find all withdrawals in pending state
-    const pendingWithdrawals = await Withdrawal.find({
-      status: 'pending'
-    });
-    
-    console.log(`Found ${pendingWithdrawals.length} pending withdrawals to verify`);
-    
-    if (pendingWithdrawals.length === 0) {
-      console.log('No pending withdrawals to check. Cron job complete.');
-      return;
-    }
-    
-    let updatedCount = 0;
-    
-    // Process each withdrawal
-    for (const withdrawal of pendingWithdrawals) {
-      // Start a session for this withdrawal update
-      const session = await mongoose.startSession();
-      session.startTransaction();
-      
-      try {
-        console.log(`Checking pending withdrawal ${withdrawal._id} with Lenco API using reference: ${withdrawal.clientReference}`);
-        
-        // Use transaction-by-reference endpoint to get the latest status
-        const response = await axios.get(`https://api.lenco.co/access/v1/transaction-by-reference/${withdrawal.clientReference}`, {
-          headers: {
-            'Authorization': `Bearer ${process.env.LENCO_API_KEY}`
-          }
-        });
-        
-        console.log(`Lenco API Response for pending ${withdrawal._id}:`, JSON.stringify(response.data, null, 2));
-        
-        if (response.data && response.data.status) {
-          const transactionData = response.data.data;
-          
-          console.log(`Current pending withdrawal status: ${withdrawal.status}, Lenco status: ${transactionData.status}`);
-          
-          // Update transaction status based on Lenco response
-          if (transactionData.status === 'successful') {
-            console.log(`Pending withdrawal ${withdrawal._id} marked as PAID`);
-            
-            // Move amount from pending to totalWithdrawn
-            await Referral.findOneAndUpdate(
-              { user: withdrawal.user },
-              { 
-                $inc: { 
-                  pendingWithdrawals: -withdrawal.amount,
-                  totalWithdrawn: withdrawal.amount 
-                } 
-              },
-              { session }
-            );
-            
-            // Create a transaction record for successful withdrawal
-            await createTransactionRecord(withdrawal, 'pending');
-            
-            // Get user info for notification
-            const user = await User.findById(withdrawal.user);
-            
-            if (user) {
-              // Generate receipt for successful payment
-              console.log(`Generating receipt for user ${user._id}`);
-              await safeGenerateReceipt(withdrawal, user);
-              
-              // Send confirmation email
-              try {
-                await sendEmail({
-                  email: user.email,
-                  subject: 'Withdrawal Successful',
-                  html: `
-                    <h2>Withdrawal Successful</h2>
-                    <p>Hello ${user.name},</p>
-                    <p>Your withdrawal of ₦${withdrawal.amount.toLocaleString()} has been processed successfully.</p>
-                    <p><strong>Transaction Reference:</strong> ${transactionData.transactionReference}</p>
-                    <p>You can download your receipt from the dashboard.</p>
-                    <p>Thank you for using our platform!</p>
-                  `
-                });
-                console.log(`Success email sent to ${user.email}`);
-              } catch (emailError) {
-                console.error(`Failed to send withdrawal confirmation email: ${emailError.message}`);
-              }
-            }
-            
-            // Update withdrawal status
-            withdrawal.status = 'paid';
-            withdrawal.processedAt = new Date();
-            withdrawal.transactionReference = transactionData.transactionReference;
-            await withdrawal.save({ session });
-            
-            await session.commitTransaction();
-            session.endSession();
-            
-            updatedCount++;
-          } else if (transactionData.status === 'failed' || transactionData.status === 'declined') {
-            console.log(`Pending withdrawal ${withdrawal._id} marked as FAILED: ${transactionData.reasonForFailure || 'Transaction failed'}`);
-            
-            // Remove amount from pendingWithdrawals since it failed
-            await Referral.findOneAndUpdate(
-              { user: withdrawal.user },
-              { $inc: { pendingWithdrawals: -withdrawal.amount } },
-              { session }
-            );
-            
-            // Get user info for notification
-            const user = await User.findById(withdrawal.user);
-            
-            if (user) {
-              // Send failure notification email
-              try {
-                await sendEmail({
-                  email: user.email,
-                  subject: 'Withdrawal Failed',
-                  html: `
-                    <h2>Withdrawal Failed</h2>
-                    <p>Hello ${user.name},</p>
-                    <p>We're sorry, but your withdrawal of ₦${withdrawal.amount.toLocaleString()} has failed.</p>
-                    <p><strong>Reason:</strong> ${transactionData.reasonForFailure || 'Transaction failed'}</p>
-                    <p>The funds have been returned to your account balance. You can try again or contact support if you need assistance.</p>
-                  `
-                });
-                console.log(`Failure email sent to ${user.email}`);
-              } catch (emailError) {
-                console.error(`Failed to send withdrawal failure email: ${emailError.message}`);
-              }
-            }
-            
-            // Update withdrawal status
-            withdrawal.status = 'failed';
-            withdrawal.failedAt = transactionData.failedAt || new Date();
-            withdrawal.rejectionReason = transactionData.reasonForFailure || 'Transaction failed';
-            await withdrawal.save({ session });
-            
-            await session.commitTransaction();
-            session.endSession();
-            
-            updatedCount++;
-          } else if (transactionData.status === 'processing') {
-            console.log(`Pending withdrawal ${withdrawal._id} moved to PROCESSING state`);
-            
-            // Move amount from pending to processing
-            await Referral.findOneAndUpdate(
-              { user: withdrawal.user },
-              { 
-                $inc: { 
-                  pendingWithdrawals: -withdrawal.amount,
-                  processingWithdrawals: withdrawal.amount 
-                } 
-              },
-              { session }
-            );
-            
-            // Update withdrawal status
-            withdrawal.status = 'processing';
-            await withdrawal.save({ session });
-            
-            await session.commitTransaction();
-            session.endSession();
-            
-            updatedCount++;
-          } else {
-            await session.abortTransaction();
-            session.endSession();
-            console.log(`No status change needed for pending withdrawal ${withdrawal._id}. Lenco status: ${transactionData.status}`);
-          }
-        } else {
-          await session.abortTransaction();
-          session.endSession();
-          console.log(`No valid data in Lenco response for pending withdrawal ${withdrawal._id}`);
-        }
-      } catch (apiError) {
-        await session.abortTransaction();
-        session.endSession();
-        
-        console.error(`Error verifying pending withdrawal ${withdrawal._id}:`, apiError.message);
-        if (apiError.response) {
-          console.error(`API Response Error:`, JSON.stringify(apiError.response.data, null, 2));
-        }
-        // Continue to next withdrawal if this one fails
-      }
-    }
-    
-    console.log(`Updated ${updatedCount} of ${pendingWithdrawals.length} pending withdrawals in this cron job run`);
-    console.log('**********************************************');
-    console.log('\n\n');
+    await verifyStaleWithdrawals('pending');
   } catch (error) {
     console.error('Error in pending withdrawal verification cron job:', error);
     console.error(error.stack);
@@ -584,6 +217,21 @@ const verifyPendingWithdrawals = cron.schedule('*/2 * * * *', async () => {
   scheduled: false // Don't start automatically
 });
 
+/**
+ * Cron job to send transiently failed withdrawals again once their backoff is up
+ * Runs every 5 minutes
+ */
+const retryFailedWithdrawals = cron.schedule('2-59/5 * * * *', async () => {
+  try {
+    const summary = await retryDueWithdrawals();
+    if (summary.due) console.log('Withdrawal retry run:', JSON.stringify(summary));
+  } catch (error) {
+    console.error('Error in withdrawal retry cron job:', error);
+    console.error(error.stack);
+  }
+}, {
+  scheduled: false // Don't start automatically
+});
 
 /**
  * Utility function to manually force update all user balances
@@ -614,20 +262,41 @@ const forceUpdateAllBalances = async () => {
 };
 
 
+// Scheduled jobs, by the name they are registered under in app.js
+const scheduledJobs = {
+  verifyProcessingWithdrawals,
+  verifyPendingWithdrawals,
+  retryFailedWithdrawals
+};
+
+/**
+ * Hand every scheduled withdrawal job to the app's background jobs manager,
+ * which starts and stops them with the server
+ */
+const registerJobs = (jobsManager) => {
+  Object.entries(scheduledJobs).forEach(([name, job]) => jobsManager.addJob(name, job));
+};
+
 // Export the cron jobs
 module.exports = {
   verifyProcessingWithdrawals,
   verifyPendingWithdrawals,
+  retryFailedWithdrawals,
+  verifyStaleWithdrawals,
   updateUserBalance,          // Export the balance update function
   forceUpdateAllBalances,     // Export the force update function
+  registerJobs,
   startAll: () => {
     console.log('\n\n');
     console.log('**********************************************');
     console.log('* STARTING ALL WITHDRAWAL VERIFICATION JOBS *');
     console.log('**********************************************');
     
-    if (!process.env.LENCO_API_KEY) {
-      console.error('WARNING: LENCO_API_KEY is not configured! Jobs will run but API calls will fail.');
+    const configured = payoutProviders.describeProviders().filter(provider => provider.configured);
+    if (!configured.length) {
+      console.error('WARNING: no payout provider is configured! Jobs will run but status checks will fail.');
+    } else {
+      console.log('Payout providers configured:', configured.map(provider => provider.name).join(', '));
     }
     
     verifyProcessingWithdrawals.start();
@@ -636,6 +305,9 @@ module.exports = {
     verifyPendingWithdrawals.start();
     console.log('Pending withdrawals job started');
     
+    retryFailedWithdrawals.start();
+    console.log('Withdrawal retry job started');
+    
     console.log('All withdrawal verification cron jobs started');
     console.log('**********************************************');
     console.log('\n\n');
@@ -644,6 +316,7 @@ module.exports = {
     console.log('Stopping all withdrawal verification cron jobs...');
     verifyProcessingWithdrawals.stop();
     verifyPendingWithdrawals.stop();
+    retryFailedWithdrawals.stop();
     console.log('All withdrawal verification cron jobs stopped');
   }
 };
\ No newline at end of file